@@ -1,46 +1,32 @@
 // Cargar variables de entorno antes que nada
 require('dotenv').config();
 
-const express = require('express');
-const mongoose = require('mongoose');
-const cors = require('cors');
-const taskRoutes = require('./src/routes/taskRoutes');
-const serviceRoutes = require('./src/routes/serviceRoutes');
+const createApp = require('./src/app');
+const { connectDB } = require('./src/config/database');
+const { startScheduler } = require('./src/jobs/scheduler');
 
 // Verificar las variables de entorno
 console.log('Verificando variables de entorno:');
 console.log('PORT:', process.env.PORT ? 'Definida' : 'No definida');
 console.log('MONGODB_URI:', process.env.MONGODB_URI ? 'Definida' : 'No definida');
+console.log('JWT_SECRET:', process.env.JWT_SECRET ? 'Definida' : 'No definida');
+console.log('JWT_REFRESH_SECRET:', process.env.JWT_REFRESH_SECRET ? 'Definida' : 'No definida');
 
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Conexión a MongoDB
-const mongoURI = process.env.MONGODB_URI;
-console.log('Intentando conectar a MongoDB...');
-
-mongoose.connect(mongoURI)
-.then(() => console.log('Conectado exitosamente a MongoDB Atlas'))
-.catch((error) => {
-  console.error('Error detallado de conexión a MongoDB:', error);
-  process.exit(1); // Detener la aplicación si no se puede conectar a la BD
-});
-
-// Rutas
-app.use('/api/tasks', taskRoutes);
-app.use('/api/services', serviceRoutes);
-
-// Ruta básica
-app.get('/', (req, res) => {
-  res.json({ message: 'API funcionando correctamente' });
-});
+const app = createApp();
 
 // Puerto del servidor
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Servidor corriendo en el puerto ${PORT}`);
-});
+// Conexión a MongoDB antes de aceptar peticiones
+connectDB()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Servidor corriendo en el puerto ${PORT}`);
+    });
+    // Tareas periódicas (en Vercel las ejecuta el cron de vercel.json)
+    startScheduler();
+  })
+  .catch((error) => {
+    console.error('Error detallado de conexión a MongoDB:', error);
+    process.exit(1); // Detener la aplicación si no se puede conectar a la BD
+  });
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Fábrica de la aplicación Express de Virtyum
+ * @description Única definición de middleware y rutas, usada por server-local.js y por la función de Vercel (api/index.js)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { connectDB, isConnected } = require('./config/database');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const taskRoutes = require('./routes/taskRoutes');
+const serviceRoutes = require('./routes/serviceRoutes');
+const activityRoutes = require('./routes/activityRoutes');
+const clientRoutes = require('./routes/clientRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const bundleRoutes = require('./routes/bundleRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const cronRoutes = require('./routes/cronRoutes');
+
+/**
+ * Orígenes permitidos por CORS si no se define CORS_ORIGINS
+ * @constant {Array<string>} DEFAULT_CORS_ORIGINS
+ */
+const DEFAULT_CORS_ORIGINS = [
+  'https://virtyum-frontend-lemon.vercel.app',
+  'https://virtyum-frontend-q163wctcg-tauronros-projects.vercel.app',
+  'http://localhost:3000',
+  'http://localhost:5173'
+];
+
+/**
+ * Lee los orígenes permitidos de CORS_ORIGINS (separados por comas)
+ * @returns {Array<string>} Orígenes permitidos
+ */
+const getCorsOrigins = () => (
+  process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : DEFAULT_CORS_ORIGINS
+);
+
+/**
+ * Middleware que asegura la conexión a MongoDB antes de procesar requests de la API
+ * @async
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @param {Function} next - Siguiente middleware
+ */
+const ensureDatabase = async (req, res, next) => {
+  if (!req.path.startsWith('/api/') || req.path === '/api/health') {
+    return next();
+  }
+
+  try {
+    await connectDB();
+    next();
+  } catch (error) {
+    console.error('❌ Error al conectar a MongoDB en middleware:', error);
+    res.status(500).json({
+      message: 'Error de conexión a la base de datos',
+      error: 'No se pudo establecer conexión con MongoDB'
+    });
+  }
+};
+
+/**
+ * Crea y configura la aplicación Express
+ * @function createApp
+ * @returns {Express} Aplicación lista para escuchar o exportar como handler serverless
+ * @example
+ * const app = createApp();
+ * app.listen(5000);
+ */
+const createApp = () => {
+  const app = express();
+
+  // Middleware
+  app.use(cors({
+    origin: getCorsOrigins(),
+    credentials: true,
+    // El frontend lee el nombre de las descargas (exportaciones) de este encabezado
+    exposedHeaders: ['Content-Disposition']
+  }));
+  app.use(express.json());
+  app.use(ensureDatabase);
+
+  // Rutas
+  app.use('/api/auth', authRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/tasks', taskRoutes);
+  app.use('/api/services', serviceRoutes);
+  app.use('/api/bundles', bundleRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/activity', activityRoutes);
+  app.use('/api/clients', clientRoutes);
+  app.use('/api/quotes', quoteRoutes);
+  app.use('/api/invoices', invoiceRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/exchange-rates', exchangeRateRoutes);
+  app.use('/api/cron', cronRoutes);
+
+  // Ruta básica
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'API de Virtyum funcionando correctamente',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'production'
+    });
+  });
+
+  // Ruta de salud para verificar el estado
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      service: 'Virtyum Backend API',
+      timestamp: new Date().toISOString(),
+      mongodb: isConnected() ? 'Connected' : 'Disconnected'
+    });
+  });
+
+  // Rutas inexistentes
+  app.use('/api', (req, res) => {
+    res.status(404).json({
+      message: 'Ruta no encontrada',
+      path: req.originalUrl
+    });
+  });
+
+  // Manejo de errores no capturados (p. ej. JSON mal formado).
+  // Express reconoce el manejador de errores por sus cuatro argumentos.
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ message: 'El cuerpo de la petición no es un JSON válido' });
+    }
+
+    console.error('Error no controlado:', error);
+    res.status(error.status || 500).json({
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  });
+
+  return app;
+};
+
+module.exports = createApp;
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Configuración de la facturación
+ * @description Plazo de pago de las facturas emitidas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Días de plazo de pago por defecto si no se define INVOICE_PAYMENT_TERMS_DAYS
+ * @constant {number} DEFAULT_PAYMENT_TERMS_DAYS
+ */
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lee los días de plazo de pago de INVOICE_PAYMENT_TERMS_DAYS
+ * @function getPaymentTermsDays
+ * @returns {number} Días de plazo (entero no negativo; 0 vence el mismo día)
+ */
+const getPaymentTermsDays = () => {
+  const days = Number.parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_PAYMENT_TERMS_DAYS;
+};
+
+/**
+ * Calcula el vencimiento de una factura
+ * @function getDueDate
+ * @param {Date} issueDate - Fecha de emisión
+ * @returns {Date} Fecha de vencimiento
+ */
+const getDueDate = (issueDate) => new Date(new Date(issueDate).getTime() + getPaymentTermsDays() * DAY_MS);
+
+module.exports = {
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  getPaymentTermsDays,
+  getDueDate
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Valores admitidos y categorías iniciales del catálogo
+ * @description Las categorías se guardan en la colección Category y se gestionan desde la API;
+ * aquí solo están los colores que entiende el frontend y las seis categorías con las que arranca
+ * una base de datos nueva (ver scripts/seedCategories).
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Colores de Bootstrap con los que se pinta una categoría
+ * @constant {Array<string>} CATEGORY_COLORS
+ */
+const CATEGORY_COLORS = ['primary', 'secondary', 'success', 'danger', 'warning', 'info', 'dark'];
+
+/**
+ * Categorías que existían como enum antes de la colección, con su color e icono de siempre
+ * @constant {Array<Object>} DEFAULT_CATEGORIES
+ */
+const DEFAULT_CATEGORIES = [
+  { name: 'Digital', slug: 'digital', color: 'primary', icon: 'laptop' },
+  { name: 'Social', slug: 'social', color: 'info', icon: 'chat-dots' },
+  { name: 'Contenido', slug: 'contenido', color: 'warning', icon: 'file-text' },
+  { name: 'Diseño', slug: 'diseno', color: 'success', icon: 'palette' },
+  { name: 'Desarrollo', slug: 'desarrollo', color: 'danger', icon: 'code-slash' },
+  { name: 'Análisis', slug: 'analisis', color: 'dark', icon: 'graph-up' }
+];
+
+/**
+ * Genera el slug de un nombre: minúsculas, sin acentos y con guiones
+ * @function slugify
+ * @param {string} value - Texto de origen
+ * @returns {string} Slug (p. ej. "Diseño Web" → "diseno-web")
+ */
+const slugify = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  CATEGORY_COLORS,
+  DEFAULT_CATEGORIES,
+  slugify
+};
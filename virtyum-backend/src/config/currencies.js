@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Monedas admitidas
+ * @description Monedas en las que se pueden fijar los precios del catálogo. Los tipos de cambio se
+ * guardan respecto a la moneda base, que es también la de presupuestos, suscripciones y facturas.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Moneda base: la de los tipos de cambio (1 USD = `rate` unidades) y los documentos comerciales
+ * @constant {string} BASE_CURRENCY
+ */
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Códigos ISO 4217 admitidos
+ * @constant {Array<string>} SUPPORTED_CURRENCIES
+ */
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'MXN', 'COP'];
+
+/**
+ * Normaliza y comprueba un código de moneda
+ * @function parseCurrency
+ * @param {*} value - Código recibido (p. ej. de la query)
+ * @returns {string|null} Código en mayúsculas, o null si no está admitido
+ */
+const parseCurrency = (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  parseCurrency
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Conexión a MongoDB compartida por el servidor local y la función serverless
+ * @description Reutiliza una única conexión de Mongoose entre invocaciones (importante en Vercel)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Promesa de la conexión en curso o establecida
+ * @type {Promise<typeof mongoose>|null}
+ */
+let connectionPromise = null;
+
+/**
+ * Conecta a MongoDB si no hay una conexión activa
+ * @async
+ * @function connectDB
+ * @returns {Promise<typeof mongoose>} Instancia de mongoose conectada
+ * @throws {Error} Si MONGODB_URI no está definida o la conexión falla
+ */
+const connectDB = async () => {
+  if (mongoose.connection.readyState === 1) {
+    return mongoose;
+  }
+
+  if (!connectionPromise) {
+    const mongoURI = process.env.MONGODB_URI;
+    console.log('🔄 Intentando conectar a MongoDB...');
+
+    if (!mongoURI) {
+      throw new Error('MONGODB_URI no está definida en las variables de entorno');
+    }
+
+    connectionPromise = mongoose.connect(mongoURI, {
+      serverSelectionTimeoutMS: 10000,
+      socketTimeoutMS: 45000,
+    })
+      .then((connection) => {
+        console.log('✅ Conectado exitosamente a MongoDB Atlas');
+        return connection;
+      })
+      .catch((error) => {
+        // Permitir reintentar en la siguiente petición
+        connectionPromise = null;
+        console.error('❌ Error de conexión a MongoDB:', error.message);
+        throw error;
+      });
+  }
+
+  return connectionPromise;
+};
+
+/**
+ * Indica si la conexión a MongoDB está activa
+ * @function isConnected
+ * @returns {boolean} true si mongoose está conectado
+ */
+const isConnected = () => mongoose.connection.readyState === 1;
+
+module.exports = {
+  connectDB,
+  isConnected
+};
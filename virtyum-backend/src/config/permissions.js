@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Roles de usuario y permisos asociados
+ * @description Fuente única de la matriz rol → permisos usada por el middleware y enviada al frontend
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Roles disponibles, de mayor a menor privilegio
+ * @constant {Array<string>} ROLES
+ */
+const ROLES = ['admin', 'editor', 'viewer'];
+
+/**
+ * Rol asignado por defecto a los usuarios nuevos
+ * @constant {string} DEFAULT_ROLE
+ */
+const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Permisos de la aplicación
+ * @constant {Object} PERMISSIONS
+ */
+const PERMISSIONS = {
+  SERVICES_READ: 'services:read',
+  SERVICES_STATS: 'services:stats',
+  SERVICES_CREATE: 'services:create',
+  SERVICES_UPDATE: 'services:update',
+  SERVICES_DELETE: 'services:delete',
+  // Cambiar el estado de un servicio a Inactivo
+  SERVICES_DEACTIVATE: 'services:deactivate',
+  // Ver la papelera, restaurar y purgar servicios eliminados
+  SERVICES_TRASH: 'services:trash',
+  CLIENTS_READ: 'clients:read',
+  // Crear y editar clientes y gestionar sus suscripciones
+  CLIENTS_WRITE: 'clients:write',
+  // Eliminar clientes (borra también sus suscripciones)
+  CLIENTS_DELETE: 'clients:delete',
+  QUOTES_READ: 'quotes:read',
+  // Crear y editar presupuestos y cambiar su estado (aceptar crea suscripciones)
+  QUOTES_WRITE: 'quotes:write',
+  QUOTES_DELETE: 'quotes:delete',
+  INVOICES_READ: 'invoices:read',
+  // Generar, crear, editar y emitir facturas y registrar cobros
+  INVOICES_WRITE: 'invoices:write',
+  // Anular facturas, eliminar borradores y eliminar cobros
+  INVOICES_DELETE: 'invoices:delete',
+  // Fijar y eliminar tipos de cambio (consultarlos solo requiere services:read)
+  EXCHANGE_RATES_MANAGE: 'exchange-rates:manage',
+  // Crear, editar, ordenar y eliminar categorías (listarlas solo requiere services:read)
+  CATEGORIES_MANAGE: 'categories:manage',
+  TASKS_READ: 'tasks:read',
+  // Crear y editar tareas de entrega (responsable, estado, lista de comprobación)
+  TASKS_WRITE: 'tasks:write',
+  TASKS_DELETE: 'tasks:delete',
+  USERS_MANAGE: 'users:manage'
+};
+
+/**
+ * Permisos concedidos a cada rol
+ * @constant {Object<string, Array<string>>} ROLE_PERMISSIONS
+ */
+const ROLE_PERMISSIONS = {
+  viewer: [
+    PERMISSIONS.SERVICES_READ,
+    PERMISSIONS.SERVICES_STATS,
+    PERMISSIONS.CLIENTS_READ,
+    PERMISSIONS.QUOTES_READ,
+    PERMISSIONS.INVOICES_READ,
+    PERMISSIONS.TASKS_READ
+  ],
+  editor: [
+    PERMISSIONS.SERVICES_READ,
+    PERMISSIONS.SERVICES_STATS,
+    PERMISSIONS.SERVICES_CREATE,
+    PERMISSIONS.SERVICES_UPDATE,
+    PERMISSIONS.CLIENTS_READ,
+    PERMISSIONS.CLIENTS_WRITE,
+    PERMISSIONS.QUOTES_READ,
+    PERMISSIONS.QUOTES_WRITE,
+    PERMISSIONS.INVOICES_READ,
+    PERMISSIONS.INVOICES_WRITE,
+    PERMISSIONS.TASKS_READ,
+    PERMISSIONS.TASKS_WRITE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Devuelve los permisos de un rol
+ * @param {string} role - Rol del usuario
+ * @returns {Array<string>} Lista de permisos (vacía si el rol no existe)
+ */
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Indica si un usuario tiene un permiso
+ * @param {Object} user - Usuario autenticado
+ * @param {string} permission - Permiso a comprobar
+ * @returns {boolean} true si su rol lo concede
+ */
+const hasPermission = (user, permission) => Boolean(user) && getPermissionsForRole(user.role).includes(permission);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission
+};
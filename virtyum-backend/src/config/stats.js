@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Configuración del histórico de estadísticas
+ * @description Granularidades de la serie temporal y límites del rango que se puede consultar
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Granularidades de GET /api/services/stats/history (unidades de $dateTrunc)
+ * @constant {Array<string>} STATS_GRANULARITIES
+ */
+const STATS_GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Días que se consultan si no se indica `from`
+ * @constant {number} DEFAULT_HISTORY_DAYS
+ */
+const DEFAULT_HISTORY_DAYS = 90;
+
+/**
+ * Rango máximo en días por granularidad (unos pocos cientos de puntos como mucho)
+ * @constant {Object<string, number>} MAX_HISTORY_DAYS
+ */
+const MAX_HISTORY_DAYS = {
+  day: 366,
+  week: 5 * 366,
+  month: 10 * 366
+};
+
+module.exports = {
+  STATS_GRANULARITIES,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS
+};
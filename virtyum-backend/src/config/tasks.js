@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Estados y prioridades de las tareas de entrega
+ * @description Valores compartidos por los modelos Task y TaskTemplate, el listado filtrado y la documentación
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const { ROLES, PERMISSIONS, getPermissionsForRole } = require('./permissions');
+
+/**
+ * Estados de una tarea, en el orden del flujo de trabajo
+ * @constant {Array<string>} TASK_STATUSES
+ */
+const TASK_STATUSES = ['todo', 'in_progress', 'blocked', 'done'];
+
+/**
+ * Prioridades de una tarea, de menor a mayor
+ * @constant {Array<string>} TASK_PRIORITIES
+ */
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Número máximo de elementos en la lista de comprobación de una tarea
+ * @constant {number} MAX_CHECKLIST_ITEMS
+ */
+const MAX_CHECKLIST_ITEMS = 50;
+
+/**
+ * Número máximo de tareas en la plantilla de un servicio
+ * @constant {number} MAX_TEMPLATE_TASKS
+ */
+const MAX_TEMPLATE_TASKS = 30;
+
+/**
+ * Plazo máximo, en días desde el inicio de la suscripción, de una tarea de plantilla
+ * @constant {number} MAX_DUE_OFFSET_DAYS
+ */
+const MAX_DUE_OFFSET_DAYS = 365;
+
+/**
+ * Roles que pueden recibir tareas de una plantilla (los que pueden trabajarlas)
+ * @constant {Array<string>} TEMPLATE_ASSIGNEE_ROLES
+ */
+const TEMPLATE_ASSIGNEE_ROLES = ROLES.filter(role => getPermissionsForRole(role).includes(PERMISSIONS.TASKS_WRITE));
+
+/**
+ * Interpreta un plazo relativo de plantilla
+ * @function parseDueOffset
+ * @param {number|string|null} value - Días (3), o texto como "+3", "+3 days", "+2 weeks" o "+1 semana"
+ * @returns {number|null|undefined} Días, null si no hay plazo o undefined si no es válido
+ * @example
+ * parseDueOffset('+2 weeks'); // 14
+ */
+const parseDueOffset = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isInteger(value) ? value : undefined;
+
+  const match = String(value).trim().toLowerCase()
+    .match(/^\+?\s*(\d+)\s*(d|days?|d[ií]as?|w|weeks?|semanas?)?$/);
+  if (!match) return undefined;
+  const amount = Number(match[1]);
+  return match[2] && /^(w|week|semana)/.test(match[2]) ? amount * 7 : amount;
+};
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  MAX_CHECKLIST_ITEMS,
+  MAX_TEMPLATE_TASKS,
+  MAX_DUE_OFFSET_DAYS,
+  TEMPLATE_ASSIGNEE_ROLES,
+  parseDueOffset
+};
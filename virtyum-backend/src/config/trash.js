@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Configuración de la papelera de servicios
+ * @description Días que un servicio eliminado permanece en la papelera antes de borrarse definitivamente
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Días de retención por defecto si no se define SERVICE_TRASH_RETENTION_DAYS
+ * @constant {number} DEFAULT_RETENTION_DAYS
+ */
+const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lee los días de retención de SERVICE_TRASH_RETENTION_DAYS
+ * @function getRetentionDays
+ * @returns {number} Días de retención (entero positivo)
+ */
+const getRetentionDays = () => {
+  const days = Number.parseInt(process.env.SERVICE_TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Calcula cuándo se borrará definitivamente un servicio eliminado
+ * @function getPurgeDate
+ * @param {Date} deletedAt - Fecha de eliminación
+ * @returns {Date} Fecha a partir de la cual se purga
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Fecha límite: los servicios eliminados antes de ella ya deben purgarse
+ * @function getPurgeCutoff
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {Date} Fecha de corte
+ */
+const getPurgeCutoff = (now = new Date()) => new Date(now.getTime() - getRetentionDays() * DAY_MS);
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  getRetentionDays,
+  getPurgeDate,
+  getPurgeCutoff
+};
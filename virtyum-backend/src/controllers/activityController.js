@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Controlador del feed global de actividad
+ * @description Lista las entradas del registro de auditoría de todas las entidades
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { buildPagination, buildPaginationMeta } = require('../utils/serviceQuery');
+
+/**
+ * Acciones válidas para filtrar el feed
+ * @constant {Array<string>} VALID_ACTIONS
+ */
+const VALID_ACTIONS = AuditLog.schema.path('action').enumValues;
+
+/**
+ * Tipos de entidad válidos para filtrar el feed
+ * @constant {Array<string>} VALID_ENTITY_TYPES
+ */
+const VALID_ENTITY_TYPES = AuditLog.schema.path('entityType').enumValues;
+
+/**
+ * Obtiene la actividad reciente (creaciones, cambios y eliminaciones)
+ * @async
+ * @function getActivityFeed
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Entradas por página (máximo 100)
+ * @param {string} [req.query.entityType] - Filtra por tipo de entidad (Service)
+ * @param {string} [req.query.action] - Filtra por acción (create, update, delete)
+ * @param {string} [req.query.actor] - Filtra por ID del usuario que hizo el cambio
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Entradas de auditoría con paginación
+ * @example
+ * GET /api/activity?action=delete&limit=10
+ * Response: {
+ *   activity: [{ entityType: "Service", entityName: "Email Marketing", action: "delete", ... }],
+ *   pagination: { total: 2, page: 1, limit: 10, ... }
+ * }
+ */
+exports.getActivityFeed = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+    const { entityType, action, actor } = req.query;
+    const filter = {};
+
+    if (entityType) {
+      if (VALID_ENTITY_TYPES.includes(entityType)) {
+        filter.entityType = entityType;
+      } else {
+        errors.push(`entityType debe ser uno de: ${VALID_ENTITY_TYPES.join(', ')}`);
+      }
+    }
+
+    if (action) {
+      if (VALID_ACTIONS.includes(action)) {
+        filter.action = action;
+      } else {
+        errors.push(`action debe ser uno de: ${VALID_ACTIONS.join(', ')}`);
+      }
+    }
+
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        filter['actor.user'] = actor;
+      } else {
+        errors.push('actor debe ser un ID de usuario válido');
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const [activity, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      activity,
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    console.error('Error al obtener el feed de actividad:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al obtener actividad',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Controlador de autenticación de usuarios
+ * @description Registro de usuarios (por un administrador), inicio de sesión, refresco y cierre
+ * de sesión con JWT
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const { ROLES } = require('../config/permissions');
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  hashToken
+} = require('../utils/tokens');
+
+/**
+ * Número máximo de sesiones de refresco simultáneas por usuario
+ * @constant {number} MAX_SESSIONS
+ */
+const MAX_SESSIONS = 5;
+
+/**
+ * Emite un par de tokens y registra la sesión de refresco en el usuario
+ * @async
+ * @param {Object} user - Documento de usuario (con refreshTokens seleccionado)
+ * @returns {Promise<Object>} accessToken, refreshToken y expiración del refresh token
+ */
+const issueTokens = async (user) => {
+  const accessToken = signAccessToken(user);
+  const { token: refreshToken, expiresAt } = signRefreshToken(user);
+
+  user.pruneRefreshTokens();
+  user.refreshTokens.push({ tokenHash: hashToken(refreshToken), expiresAt });
+  // Conservar solo las sesiones más recientes
+  user.refreshTokens = user.refreshTokens.slice(-MAX_SESSIONS);
+  await user.save();
+
+  return { accessToken, refreshToken, refreshTokenExpiresAt: expiresAt };
+};
+
+/**
+ * Registra un usuario nuevo (solo administradores)
+ * @async
+ * @function register
+ * @param {Object} req - Objeto de request de Express (con `req.user`, el administrador)
+ * @param {Object} req.body - Datos del usuario
+ * @param {string} req.body.name - Nombre completo
+ * @param {string} req.body.email - Correo electrónico
+ * @param {string} req.body.password - Contraseña inicial (mínimo 8 caracteres)
+ * @param {string} [req.body.role='viewer'] - Rol (admin, editor, viewer)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Usuario creado con código 201
+ * @description No hay registro abierto: las cuentas las da de alta un administrador, que sigue
+ * con su propia sesión (no se emiten tokens para el usuario nuevo). El primer administrador se
+ * crea con el script db:create-admin.
+ * @example
+ * POST /api/auth/register
+ * Body: { "name": "Ana Pérez", "email": "ana@virtyum.com", "password": "secreto123", "role": "editor" }
+ */
+exports.register = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Rol inválido',
+        validRoles: ROLES,
+        receivedRole: role
+      });
+    }
+
+    const existing = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+    if (existing) {
+      return res.status(409).json({
+        message: 'Ya existe un usuario con ese correo electrónico'
+      });
+    }
+
+    const user = await User.create({ name, email, password, role });
+
+    res.status(201).json({
+      message: 'Usuario registrado exitosamente',
+      user
+    });
+  } catch (error) {
+    console.error('Error al registrar usuario:', error);
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({
+        message: 'Error de validación',
+        errors: validationErrors
+      });
+    } else if (error.code === 11000) {
+      res.status(409).json({
+        message: 'Ya existe un usuario con ese correo electrónico'
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error interno del servidor al registrar usuario',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Inicia sesión con correo y contraseña
+ * @async
+ * @function login
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - Credenciales
+ * @param {string} req.body.email - Correo electrónico
+ * @param {string} req.body.password - Contraseña
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Usuario autenticado y tokens
+ * @example
+ * POST /api/auth/login
+ * Body: { "email": "ana@virtyum.com", "password": "secreto123" }
+ * Response: { user: {...}, accessToken: "...", refreshToken: "...", refreshTokenExpiresAt: "..." }
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        message: 'El correo electrónico y la contraseña son obligatorios'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+password +refreshTokens');
+
+    // Mismo mensaje para usuario inexistente y contraseña incorrecta
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        message: 'Credenciales inválidas'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    const tokens = await issueTokens(user);
+
+    res.json({
+      message: 'Sesión iniciada correctamente',
+      user,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Error al iniciar sesión:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al iniciar sesión',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rota el refresh token y emite un nuevo access token
+ * @async
+ * @function refresh
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.body.refreshToken - Refresh token vigente
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Nuevo par de tokens
+ * @description Cada refresh token solo puede usarse una vez. Si se presenta un token
+ * ya rotado se revocan todas las sesiones del usuario (posible robo del token).
+ * @example
+ * POST /api/auth/refresh
+ * Body: { "refreshToken": "..." }
+ */
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      message: 'El refresh token es obligatorio'
+    });
+  }
+
+  try {
+    const payload = verifyRefreshToken(refreshToken);
+    if (payload.type !== 'refresh') {
+      return res.status(401).json({ message: 'Refresh token inválido', code: 'REFRESH_INVALID' });
+    }
+
+    const user = await User.findById(payload.sub).select('+refreshTokens');
+    if (!user) {
+      return res.status(401).json({ message: 'Refresh token inválido', code: 'REFRESH_INVALID' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = user.refreshTokens.find(item => item.tokenHash === tokenHash);
+
+    if (!session) {
+      // Reutilización de un token ya rotado: cerrar todas las sesiones
+      user.refreshTokens = [];
+      await user.save();
+      return res.status(401).json({ message: 'Refresh token revocado', code: 'REFRESH_REVOKED' });
+    }
+
+    user.refreshTokens = user.refreshTokens.filter(item => item.tokenHash !== tokenHash);
+    const tokens = await issueTokens(user);
+
+    res.json({
+      message: 'Tokens renovados',
+      user,
+      ...tokens
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        message: 'Refresh token inválido o expirado',
+        code: 'REFRESH_INVALID'
+      });
+    }
+
+    console.error('Error al renovar tokens:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al renovar tokens',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cierra la sesión asociada al refresh token
+ * @async
+ * @function logout
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.body.refreshToken - Refresh token de la sesión a cerrar
+ * @param {boolean} [req.body.allSessions=false] - Cierra todas las sesiones del usuario
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación de cierre de sesión
+ * @description No exige access token: basta con el refresh token, de modo que el
+ * cierre de sesión funciona aunque el access token ya haya expirado.
+ * @example
+ * POST /api/auth/logout
+ * Body: { "refreshToken": "..." }
+ */
+exports.logout = async (req, res) => {
+  const { refreshToken, allSessions = false } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      message: 'El refresh token es obligatorio'
+    });
+  }
+
+  try {
+    const payload = verifyRefreshToken(refreshToken);
+    const user = await User.findById(payload.sub).select('+refreshTokens');
+
+    if (user) {
+      const tokenHash = hashToken(refreshToken);
+      user.refreshTokens = allSessions
+        ? []
+        : user.refreshTokens.filter(item => item.tokenHash !== tokenHash);
+      await user.save();
+    }
+
+    res.json({ message: 'Sesión cerrada correctamente' });
+  } catch (error) {
+    // Un token inválido o expirado ya no abre ninguna sesión
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.json({ message: 'Sesión cerrada correctamente' });
+    }
+
+    console.error('Error al cerrar sesión:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al cerrar sesión',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Devuelve el usuario autenticado
+ * @async
+ * @function me
+ * @param {Object} req - Objeto de request de Express (req.user cargado por protect)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Datos del usuario
+ * @example
+ * GET /api/auth/me
+ */
+exports.me = async (req, res) => {
+  res.json({ user: req.user });
+};
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Controlador de operaciones masivas sobre servicios
+ * @description Cambio de estado, eliminación, cambio de categoría y ajuste de precios
+ * para varios servicios a la vez. Cada lote se aplica de forma atómica.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { parseBulkIds, runBulkOperation, summarizeResults } = require('../utils/bulkServices');
+const { roundMoney } = require('../utils/currency');
+
+const VALID_STATUSES = Service.schema.path('status').enumValues;
+
+/**
+ * Modos de ajuste de precio
+ * @constant {Array<string>} PRICE_MODES - percent (porcentaje) o absolute (importe a sumar/restar)
+ */
+const PRICE_MODES = ['percent', 'absolute'];
+
+/**
+ * Ejecuta la operación y envía la respuesta estándar de los endpoints masivos
+ * @async
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @param {Object} options - Opciones de runBulkOperation más el texto de la operación
+ * @param {string} options.label - Descripción de la operación para los mensajes
+ * @returns {Promise<void>} 200 si se aplicó el lote, 422 si se canceló por algún elemento
+ */
+const respondWithBulk = async (req, res, { label, ...options }) => {
+  const { ids, errors } = parseBulkIds(req.body.ids);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors
+    });
+  }
+
+  try {
+    const { committed, results } = await runBulkOperation({ ids, actor: req.user, ...options });
+    const summary = summarizeResults(results);
+
+    res.status(committed ? 200 : 422).json({
+      message: committed
+        ? `${label}: ${summary.updated} servicio(s) actualizados`
+        : `${label}: no se aplicó ningún cambio porque ${summary.failed} servicio(s) fallaron`,
+      committed,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error(`Error en operación masiva (${label}):`, error);
+    res.status(500).json({
+      message: 'Error interno del servidor en la operación masiva',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cambia el estado de varios servicios
+ * @async
+ * @function bulkUpdateStatus
+ * @param {Object} req - Objeto de request de Express
+ * @param {Array<string>} req.body.ids - IDs de los servicios
+ * @param {string} req.body.status - Nuevo estado
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Resultado por servicio
+ * @example
+ * PATCH /api/services/bulk/status
+ * Body: { "ids": ["...", "..."], "status": "Pausado" }
+ */
+exports.bulkUpdateStatus = async (req, res) => {
+  const { status } = req.body;
+
+  if (!VALID_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors: [`status debe ser uno de: ${VALID_STATUSES.join(', ')}`]
+    });
+  }
+
+  // Mismo criterio que updateService: solo admin puede pasar servicios a Inactivo
+  const canDeactivate = hasPermission(req.user, PERMISSIONS.SERVICES_DEACTIVATE);
+
+  return respondWithBulk(req, res, {
+    label: `Cambio de estado a ${status}`,
+    apply: (service) => {
+      if (status === 'Inactivo' && service.status !== 'Inactivo' && !canDeactivate) {
+        return 'Solo un administrador puede cambiar el estado a Inactivo';
+      }
+      service.status = status;
+      return null;
+    }
+  });
+};
+
+/**
+ * Cambia la categoría de varios servicios
+ * @async
+ * @function bulkMoveCategory
+ * @param {Object} req - Objeto de request de Express
+ * @param {Array<string>} req.body.ids - IDs de los servicios
+ * @param {string} req.body.category - Categoría de destino
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Resultado por servicio
+ * @example
+ * PATCH /api/services/bulk/category
+ * Body: { "ids": ["...", "..."], "category": "Social" }
+ */
+exports.bulkMoveCategory = async (req, res) => {
+  const { category } = req.body;
+
+  let categories;
+  try {
+    categories = await Category.find({ active: true }, 'name').sort({ order: 1, name: 1 }).lean();
+  } catch (error) {
+    console.error('Error al obtener las categorías para el cambio masivo:', error);
+    return res.status(500).json({
+      message: 'Error interno del servidor en la operación masiva',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+  const validCategories = categories.map(({ name }) => name);
+  if (!validCategories.includes(category)) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors: [`category debe ser una de: ${validCategories.join(', ')}`]
+    });
+  }
+
+  return respondWithBulk(req, res, {
+    label: `Cambio de categoría a ${category}`,
+    apply: (service) => {
+      service.category = category;
+      return null;
+    }
+  });
+};
+
+/**
+ * Ajusta el precio de varios servicios en porcentaje o en un importe fijo
+ * @async
+ * @function bulkAdjustPrice
+ * @param {Object} req - Objeto de request de Express
+ * @param {Array<string>} req.body.ids - IDs de los servicios
+ * @param {string} req.body.mode - percent (p. ej. 10 = +10 %) o absolute (importe a sumar; negativo para restar)
+ * @param {number} req.body.value - Cantidad del ajuste
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Resultado por servicio; un precio resultante negativo cancela el lote
+ * @description En los servicios con niveles se ajusta el precio de cada nivel (y con él el "desde")
+ * @example
+ * PATCH /api/services/bulk/price
+ * Body: { "ids": ["...", "..."], "mode": "percent", "value": -15 }
+ */
+exports.bulkAdjustPrice = async (req, res) => {
+  const { mode } = req.body;
+  const value = Number(req.body.value);
+  const errors = [];
+
+  if (!PRICE_MODES.includes(mode)) {
+    errors.push(`mode debe ser uno de: ${PRICE_MODES.join(', ')}`);
+  }
+  if (req.body.value === undefined || req.body.value === '' || !Number.isFinite(value) || value === 0) {
+    errors.push('value debe ser un número distinto de 0');
+  } else if (mode === 'percent' && value <= -100) {
+    errors.push('Un ajuste porcentual debe ser mayor que -100');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors
+    });
+  }
+
+  const label = mode === 'percent'
+    ? `Ajuste de precio ${value > 0 ? '+' : ''}${value} %`
+    : `Ajuste de precio ${value > 0 ? '+' : ''}${value}`;
+
+  return respondWithBulk(req, res, {
+    label,
+    apply: (service) => {
+      const adjust = (price) => (mode === 'percent'
+        ? roundMoney(price * (1 + value / 100))
+        : roundMoney(price + value));
+
+      if (service.tiers.length > 0) {
+        const prices = service.tiers.map(tier => adjust(tier.price));
+        const negative = prices.findIndex(price => price < 0);
+        if (negative !== -1) {
+          return `El precio resultante del nivel ${service.tiers[negative].name} (${prices[negative]}) no puede ser negativo`;
+        }
+        service.tiers.forEach((tier, index) => {
+          tier.price = prices[index];
+        });
+        return null;
+      }
+
+      const next = adjust(service.price);
+      if (next < 0) {
+        return `El precio resultante (${next}) no puede ser negativo`;
+      }
+      service.price = next;
+      return null;
+    }
+  });
+};
+
+/**
+ * Mueve varios servicios a la papelera
+ * @async
+ * @function bulkDelete
+ * @param {Object} req - Objeto de request de Express
+ * @param {Array<string>} req.body.ids - IDs de los servicios
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Resultado por servicio
+ * @description Igual que deleteService, escribe con updateOne para no revalidar servicios antiguos
+ * que ya no cumplen el esquema.
+ * @example
+ * POST /api/services/bulk/delete
+ * Body: { "ids": ["...", "..."] }
+ */
+exports.bulkDelete = async (req, res) => {
+  const deletedAt = new Date();
+
+  return respondWithBulk(req, res, {
+    label: 'Eliminación',
+    auditAction: 'delete',
+    apply: () => null,
+    write: (service, session) => Service.updateOne(
+      { _id: service._id },
+      { $set: { deletedAt, deletedBy: req.user._id } },
+      { session, timestamps: false }
+    )
+  });
+};
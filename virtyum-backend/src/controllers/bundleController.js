@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Controlador de paquetes de servicios
+ * @description Alta, edición y consulta de paquetes formados por servicios del catálogo. El
+ * precio y la disponibilidad se calculan al leer a partir del estado actual de los componentes.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Bundle = require('../models/Bundle');
+const Service = require('../models/Service');
+const {
+  BUNDLE_ITEMS_POPULATE,
+  evaluateBundle,
+  loadBundleRates,
+  findEvaluatedBundles
+} = require('../utils/bundles');
+const { MissingExchangeRateError } = require('../utils/currency');
+const { SUPPORTED_CURRENCIES, parseCurrency } = require('../config/currencies');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos editables de un paquete (los componentes se validan aparte)
+ * @constant {Array<string>} BUNDLE_FIELDS
+ */
+const BUNDLE_FIELDS = ['name', 'description', 'pricingMode', 'discountPercent', 'fixedPrice'];
+
+/**
+ * Responde a los errores comunes de los paquetes
+ */
+const handleBundleError = createErrorHandler({
+  handle: (res, error) => error instanceof MissingExchangeRateError
+    && res.status(422).json({ message: error.message, currencies: error.currencies })
+});
+
+/**
+ * Lee la moneda de `?currency`
+ * @param {Object} query - req.query
+ * @returns {{currency: string|undefined, error: string|null}} Moneda (undefined = base) o el error
+ */
+const parseCurrencyQuery = (query) => {
+  if (query.currency === undefined) return { currency: undefined, error: null };
+  const currency = parseCurrency(query.currency);
+  return currency
+    ? { currency, error: null }
+    : { currency: undefined, error: `currency debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}` };
+};
+
+/**
+ * Valida los componentes recibidos
+ * @async
+ * @param {Array<Object>} rawItems - Componentes `{ service, quantity }`
+ * @param {Array<Object>} [currentItems=[]] - Componentes guardados: un servicio que ya estaba en
+ * el paquete se admite aunque ahora esté en la papelera (el paquete queda marcado)
+ * @returns {Promise<{items: Array<Object>, errors: Array<string>}>} Componentes listos para el modelo
+ */
+const buildItems = async (rawItems, currentItems = []) => {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { items: [], errors: ['El paquete debe incluir al menos un servicio'] };
+  }
+
+  const serviceIds = rawItems.map(item => String(item.service?._id || item.service || ''));
+  if (serviceIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { items: [], errors: ['Cada componente debe indicar un servicio válido'] };
+  }
+
+  const services = await Service.find({ _id: { $in: serviceIds } }, 'deletedAt', { withDeleted: true }).lean();
+  const serviceById = new Map(services.map(service => [String(service._id), service]));
+  const currentIds = new Set(currentItems.map(item => String(item.service)));
+  const errors = [];
+
+  rawItems.forEach((raw, index) => {
+    const service = serviceById.get(serviceIds[index]);
+    if (!service || (service.deletedAt && !currentIds.has(serviceIds[index]))) {
+      errors.push(`Componente ${index + 1}: el servicio no existe o está en la papelera`);
+    }
+  });
+
+  const items = rawItems.map((raw, index) => ({
+    service: serviceIds[index],
+    quantity: raw.quantity === undefined || raw.quantity === '' ? 1 : raw.quantity
+  }));
+  return { items, errors };
+};
+
+/**
+ * Copia del body los campos editables presentes
+ * @param {Object} body - req.body
+ * @returns {Object} Datos del paquete
+ */
+const pickBundleFields = (body = {}) => BUNDLE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    data[field] = body[field];
+  }
+  return data;
+}, {});
+
+/**
+ * Puebla los componentes de un paquete y lo evalúa en la moneda base
+ * @async
+ * @param {Bundle} bundle - Documento guardado
+ * @returns {Promise<Object>} Paquete evaluado
+ */
+const populateAndEvaluate = async (bundle) => {
+  await bundle.populate(BUNDLE_ITEMS_POPULATE);
+  return evaluateBundle(bundle, await loadBundleRates([bundle]));
+};
+
+/**
+ * Lista los paquetes con su precio y disponibilidad
+ * @async
+ * @function getBundles
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.q] - Texto a buscar en el nombre
+ * @param {string} [req.query.service] - Solo los paquetes que incluyen este servicio
+ * @param {string} [req.query.available] - true (todos los componentes disponibles) o false (marcados)
+ * @param {string} [req.query.currency="USD"] - Moneda de los importes
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Paquetes ordenados por nombre
+ * @example
+ * GET /api/bundles?available=false
+ * Response: {
+ *   bundles: [{
+ *     name: "Lanzamiento Digital",
+ *     items: [{ service: { name: "SEO", status: "Pausado", ... }, quantity: 1, unitPrice: 899, subtotal: 899 }],
+ *     pricing: { currency: "USD", listPrice: 1897, price: 1612.45, savings: 284.55 },
+ *     available: false,
+ *     issues: [{ service: "...", name: "SEO", problem: "Pausado" }]
+ *   }],
+ *   total: 1
+ * }
+ */
+exports.getBundles = async (req, res) => {
+  try {
+    const { currency, error } = parseCurrencyQuery(req.query);
+    const errors = error ? [error] : [];
+    if (req.query.service && !mongoose.Types.ObjectId.isValid(req.query.service)) {
+      errors.push('service debe ser un ID de servicio válido');
+    }
+    if (req.query.available !== undefined && !['true', 'false'].includes(req.query.available)) {
+      errors.push('available debe ser true o false');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors
+      });
+    }
+
+    const filter = {};
+    if (req.query.service) filter['items.service'] = req.query.service;
+    const searchTerm = String(req.query.q || '').trim();
+    if (searchTerm) {
+      filter.name = new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    let bundles = await findEvaluatedBundles(filter, { currency });
+    if (req.query.available !== undefined) {
+      const available = req.query.available === 'true';
+      bundles = bundles.filter(bundle => bundle.available === available);
+    }
+
+    res.json({ bundles, total: bundles.length });
+  } catch (error) {
+    handleBundleError(res, error, 'obtener paquetes');
+  }
+};
+
+/**
+ * Obtiene un paquete con sus componentes
+ * @async
+ * @function getBundleById
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del paquete
+ * @param {string} [req.query.currency="USD"] - Moneda de los importes
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Paquete evaluado o 404
+ */
+exports.getBundleById = async (req, res) => {
+  try {
+    const { currency, error } = parseCurrencyQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: 'Parámetros inválidos', errors: [error] });
+    }
+
+    const bundle = await Bundle.findById(req.params.id).populate(BUNDLE_ITEMS_POPULATE);
+    if (!bundle) {
+      return res.status(404).json({
+        message: 'Paquete no encontrado',
+        id: req.params.id
+      });
+    }
+
+    res.json({ bundle: evaluateBundle(bundle, await loadBundleRates([bundle], currency), currency) });
+  } catch (error) {
+    handleBundleError(res, error, 'obtener paquete', req.params.id);
+  }
+};
+
+/**
+ * Crea un paquete
+ * @async
+ * @function createBundle
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - name, description, items (`service`, `quantity`), pricingMode
+ * (computed | fixed), discountPercent (computed) y fixedPrice (fixed, en la moneda base)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Paquete creado y evaluado con código 201
+ * @example
+ * POST /api/bundles
+ * Body: {
+ *   "name": "Lanzamiento Digital",
+ *   "items": [{ "service": "64a..." }, { "service": "64b..." }, { "service": "64c...", "quantity": 2 }],
+ *   "pricingMode": "computed",
+ *   "discountPercent": 15
+ * }
+ */
+exports.createBundle = async (req, res) => {
+  try {
+    const { items, errors } = await buildItems(req.body.items);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    const bundle = await Bundle.create({ ...pickBundleFields(req.body), items });
+
+    res.status(201).json({
+      message: 'Paquete creado exitosamente',
+      bundle: await populateAndEvaluate(bundle)
+    });
+  } catch (error) {
+    handleBundleError(res, error, 'crear paquete');
+  }
+};
+
+/**
+ * Modifica un paquete
+ * @async
+ * @function updateBundle
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del paquete
+ * @param {Object} req.body - Campos a modificar; `items` sustituye todos los componentes
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Paquete actualizado y evaluado
+ */
+exports.updateBundle = async (req, res) => {
+  try {
+    const bundle = await Bundle.findById(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({
+        message: 'Paquete no encontrado',
+        id: req.params.id
+      });
+    }
+
+    if (req.body.items !== undefined) {
+      const { items, errors } = await buildItems(req.body.items, bundle.items);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          message: 'Error de validación',
+          errors
+        });
+      }
+      bundle.items = items;
+    }
+    bundle.set(pickBundleFields(req.body));
+    await bundle.save();
+
+    res.json({
+      message: 'Paquete actualizado exitosamente',
+      bundle: await populateAndEvaluate(bundle)
+    });
+  } catch (error) {
+    handleBundleError(res, error, 'actualizar paquete', req.params.id);
+  }
+};
+
+/**
+ * Elimina un paquete (los servicios que lo forman no se modifican)
+ * @async
+ * @function deleteBundle
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del paquete
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación o 404
+ */
+exports.deleteBundle = async (req, res) => {
+  try {
+    const bundle = await Bundle.findByIdAndDelete(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({
+        message: 'Paquete no encontrado',
+        id: req.params.id
+      });
+    }
+
+    res.json({
+      message: 'Paquete eliminado exitosamente',
+      id: bundle._id
+    });
+  } catch (error) {
+    handleBundleError(res, error, 'eliminar paquete', req.params.id);
+  }
+};
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Controlador de categorías de servicios
+ * @description Alta, edición, orden y baja de las categorías del catálogo. Renombrar una
+ * categoría actualiza sus servicios; una categoría con servicios no se elimina (se desactiva).
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos editables de una categoría
+ * @constant {Array<string>} CATEGORY_FIELDS
+ */
+const CATEGORY_FIELDS = ['name', 'slug', 'color', 'icon', 'order', 'active'];
+
+/**
+ * Responde a los errores comunes de las categorías
+ */
+const handleCategoryError = createErrorHandler({ duplicateMessage: 'Ya existe una categoría con ese nombre o slug' });
+
+/**
+ * Copia del body los campos editables presentes
+ * @param {Object} body - req.body
+ * @returns {Object} Datos de la categoría
+ */
+const pickCategoryFields = (body = {}) => CATEGORY_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    data[field] = body[field];
+  }
+  return data;
+}, {});
+
+/**
+ * Cuenta los servicios de cada categoría, papelera incluida (también bloquean la baja)
+ * @async
+ * @returns {Promise<Map<string, {services: number, trashed: number}>>} Nombre → recuentos
+ */
+const countServicesByCategory = async () => {
+  const rows = await Service.aggregate([
+    {
+      $group: {
+        _id: '$category',
+        services: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$deletedAt', null] }, null] }, 1, 0] } },
+        trashed: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$deletedAt', null] }, null] }, 0, 1] } }
+      }
+    }
+  ]).option({ withDeleted: true });
+
+  return new Map(rows.map(({ _id, services, trashed }) => [_id, { services, trashed }]));
+};
+
+/**
+ * Añade a una categoría el número de servicios que la usan
+ * @param {Object} category - Categoría (documento u objeto plano)
+ * @param {Map} counts - Resultado de countServicesByCategory
+ * @returns {Object} Categoría plana con `services` y `trashedServices`
+ */
+const withServiceCounts = (category, counts) => {
+  const source = typeof category.toObject === 'function' ? category.toObject() : category;
+  const count = counts.get(source.name) || { services: 0, trashed: 0 };
+  return { ...source, services: count.services, trashedServices: count.trashed };
+};
+
+/**
+ * Lista las categorías en su orden
+ * @async
+ * @function getCategories
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.active] - true (solo las asignables) o false (solo las desactivadas)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Categorías con el número de servicios que las usan
+ * @example
+ * GET /api/categories?active=true
+ * Response: {
+ *   categories: [{ name: "Digital", slug: "digital", color: "primary", icon: "laptop", order: 0,
+ *                  active: true, services: 4, trashedServices: 0 }],
+ *   total: 6
+ * }
+ */
+exports.getCategories = async (req, res) => {
+  try {
+    if (req.query.active !== undefined && !['true', 'false'].includes(req.query.active)) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors: ['active debe ser true o false']
+      });
+    }
+
+    const filter = req.query.active === undefined ? {} : { active: req.query.active === 'true' };
+    const [categories, counts] = await Promise.all([
+      Category.find(filter).sort({ order: 1, name: 1 }).lean(),
+      countServicesByCategory()
+    ]);
+
+    res.json({
+      categories: categories.map(category => withServiceCounts(category, counts)),
+      total: categories.length
+    });
+  } catch (error) {
+    handleCategoryError(res, error, 'obtener categorías');
+  }
+};
+
+/**
+ * Crea una categoría (al final del orden si no se indica `order`)
+ * @async
+ * @function createCategory
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - name, slug (opcional), color, icon, order y active
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Categoría creada con código 201
+ * @example
+ * POST /api/categories
+ * Body: { "name": "Email Marketing", "color": "info", "icon": "envelope" }
+ */
+exports.createCategory = async (req, res) => {
+  try {
+    const data = pickCategoryFields(req.body);
+    if (data.order === undefined) {
+      const last = await Category.findOne({}, 'order').sort({ order: -1 }).lean();
+      data.order = last ? last.order + 1 : 0;
+    }
+
+    const category = await Category.create(data);
+
+    res.status(201).json({
+      message: 'Categoría creada exitosamente',
+      category: { ...category.toObject(), services: 0, trashedServices: 0 }
+    });
+  } catch (error) {
+    handleCategoryError(res, error, 'crear categoría');
+  }
+};
+
+/**
+ * Modifica una categoría. Si cambia el nombre, sus servicios (papelera incluida) pasan al nuevo
+ * nombre en la misma transacción.
+ * @async
+ * @function updateCategory
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la categoría
+ * @param {Object} req.body - Campos a modificar
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Categoría actualizada y número de servicios renombrados
+ */
+exports.updateCategory = async (req, res) => {
+  try {
+    const existing = await Category.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(404).json({
+        message: 'Categoría no encontrada',
+        id: req.params.id
+      });
+    }
+
+    let category;
+    let renamedServices = 0;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // withTransaction puede reintentar: cada intento parte del documento guardado
+        category = await Category.findById(req.params.id).session(session);
+        category.set(pickCategoryFields(req.body));
+        await category.save({ session });
+
+        renamedServices = 0;
+        if (category.name !== existing.name) {
+          const result = await Service.updateMany(
+            { category: existing.name },
+            { $set: { category: category.name } },
+            { session, withDeleted: true }
+          );
+          renamedServices = result.modifiedCount;
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      message: renamedServices > 0
+        ? `Categoría actualizada: ${renamedServices} servicio(s) renombrados`
+        : 'Categoría actualizada exitosamente',
+      category: withServiceCounts(category, await countServicesByCategory()),
+      renamedServices
+    });
+  } catch (error) {
+    handleCategoryError(res, error, 'actualizar categoría', req.params.id);
+  }
+};
+
+/**
+ * Fija el orden de las categorías
+ * @async
+ * @function reorderCategories
+ * @param {Object} req - Objeto de request de Express
+ * @param {Array<string>} req.body.ids - IDs de todas las categorías en el orden deseado
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Categorías en el nuevo orden
+ * @example
+ * PUT /api/categories/order
+ * Body: { "ids": ["64b...", "64a...", "64c..."] }
+ */
+exports.reorderCategories = async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const total = await Category.countDocuments();
+    if (
+      !Array.isArray(ids)
+      || ids.length !== total
+      || new Set(ids.map(String)).size !== ids.length
+      || ids.some(id => !mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors: ['ids debe incluir una vez cada categoría']
+      });
+    }
+
+    // Se comprueba antes de escribir para no dejar un orden a medias
+    const existing = await Category.countDocuments({ _id: { $in: ids } });
+    if (existing !== ids.length) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors: ['ids incluye categorías que no existen']
+      });
+    }
+
+    await Category.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index } } }
+    })));
+
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }).lean(),
+      countServicesByCategory()
+    ]);
+
+    res.json({
+      message: 'Orden actualizado',
+      categories: categories.map(category => withServiceCounts(category, counts))
+    });
+  } catch (error) {
+    handleCategoryError(res, error, 'ordenar categorías');
+  }
+};
+
+/**
+ * Elimina una categoría sin servicios
+ * @async
+ * @function deleteCategory
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la categoría
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación, 404 o 409 si algún servicio (también en la papelera) la usa
+ */
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        message: 'Categoría no encontrada',
+        id: req.params.id
+      });
+    }
+
+    const inUse = await Service.countDocuments({ category: category.name }, { withDeleted: true });
+    if (inUse > 0) {
+      return res.status(409).json({
+        message: `La categoría tiene ${inUse} servicio(s) (papelera incluida): muévelos o desactívala`,
+        services: inUse
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      message: 'Categoría eliminada exitosamente',
+      id: category._id
+    });
+  } catch (error) {
+    handleCategoryError(res, error, 'eliminar categoría', req.params.id);
+  }
+};
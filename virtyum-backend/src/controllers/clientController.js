@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Controlador de clientes
+ * @description Alta, consulta, edición y baja de clientes
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Subscription = require('../models/Subscription');
+const Invoice = require('../models/Invoice');
+const Task = require('../models/Task');
+const { buildPagination, buildPaginationMeta } = require('../utils/serviceQuery');
+const { recountServiceClients } = require('../utils/subscriptions');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos editables de un cliente
+ * @constant {Array<string>} CLIENT_FIELDS
+ */
+const CLIENT_FIELDS = ['company', 'contactName', 'email', 'phone', 'taxId', 'notes'];
+
+/**
+ * Copia del body solo los campos editables presentes
+ * @param {Object} body - req.body
+ * @returns {Object} Datos del cliente; un texto vacío borra el campo (el índice único de
+ * taxId no admite varios "")
+ */
+const pickClientFields = (body = {}) => CLIENT_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    data[field] = body[field] === '' || body[field] === null ? undefined : body[field];
+  }
+  return data;
+}, {});
+
+/**
+ * Escapa un texto para usarlo dentro de una expresión regular
+ * @param {string} text - Texto introducido por el usuario
+ * @returns {string} Texto escapado
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Responde a los errores comunes de escritura de clientes
+ */
+const handleClientError = createErrorHandler({
+  invalidIdMessage: 'ID de cliente inválido',
+  duplicateMessage: 'Ya existe un cliente con esa identificación fiscal'
+});
+
+/**
+ * Lista los clientes con búsqueda y paginación
+ * @async
+ * @function getClients
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.q] - Texto a buscar en empresa, contacto, email o identificación fiscal
+ * @param {string} [req.query.service] - Solo clientes con una suscripción vigente a este servicio
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Clientes por página (máximo 100)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Clientes (con `activeSubscriptions`) y paginación
+ * @example
+ * GET /api/clients?q=acme&page=1
+ * GET /api/clients?service=64a...
+ * Response: { clients: [{ company: "Acme S.A.", activeSubscriptions: 2, ... }], pagination: { ... } }
+ */
+exports.getClients = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+
+    if (req.query.service !== undefined && !mongoose.Types.ObjectId.isValid(req.query.service)) {
+      errors.push('service debe ser un ID de servicio válido');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const filter = {};
+    const searchTerm = String(req.query.q || '').trim();
+    if (searchTerm) {
+      const pattern = new RegExp(escapeRegex(searchTerm), 'i');
+      filter.$or = CLIENT_FIELDS.filter(field => field !== 'notes').map(field => ({ [field]: pattern }));
+    }
+    if (req.query.service) {
+      filter._id = {
+        $in: await Subscription.distinct('client', {
+          ...Subscription.activeFilter(),
+          service: req.query.service
+        })
+      };
+    }
+
+    const [clients, total] = await Promise.all([
+      Client.find(filter).sort({ company: 1, _id: 1 }).skip(skip).limit(limit).lean(),
+      Client.countDocuments(filter)
+    ]);
+
+    const counts = await Subscription.aggregate([
+      { $match: { ...Subscription.activeFilter(), client: { $in: clients.map(client => client._id) } } },
+      { $group: { _id: '$client', count: { $sum: 1 } } }
+    ]);
+    const countByClient = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    res.json({
+      clients: clients.map(client => ({
+        ...client,
+        activeSubscriptions: countByClient.get(String(client._id)) || 0
+      })),
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    console.error('Error al obtener clientes:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al obtener clientes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Obtiene un cliente con sus suscripciones
+ * @async
+ * @function getClientById
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cliente y suscripciones (con los datos básicos del servicio)
+ * @description Si un servicio está en la papelera, su suscripción se devuelve con `service: null`.
+ */
+exports.getClientById = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        message: 'Cliente no encontrado',
+        id: req.params.id
+      });
+    }
+
+    const subscriptions = await Subscription.find({ client: client._id })
+      .sort({ startDate: -1 })
+      .populate('service', 'name category price currency status duration');
+
+    res.json({ client, subscriptions });
+  } catch (error) {
+    handleClientError(res, error, 'obtener cliente', req.params.id);
+  }
+};
+
+/**
+ * Crea un cliente
+ * @async
+ * @function createClient
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - company (obligatorio), contactName, email, phone, taxId, notes
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cliente creado con código 201
+ * @example
+ * POST /api/clients
+ * Body: { "company": "Acme S.A.", "email": "compras@acme.com", "taxId": "B12345678" }
+ */
+exports.createClient = async (req, res) => {
+  try {
+    const client = await Client.create({ ...pickClientFields(req.body), createdBy: req.user._id });
+
+    res.status(201).json({
+      message: 'Cliente creado exitosamente',
+      client
+    });
+  } catch (error) {
+    handleClientError(res, error, 'crear cliente');
+  }
+};
+
+/**
+ * Actualiza un cliente
+ * @async
+ * @function updateClient
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {Object} req.body - Campos a modificar
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cliente actualizado o error 404
+ */
+exports.updateClient = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        message: 'Cliente no encontrado para actualizar',
+        id: req.params.id
+      });
+    }
+
+    client.set(pickClientFields(req.body));
+    await client.save();
+
+    res.json({
+      message: 'Cliente actualizado exitosamente',
+      client
+    });
+  } catch (error) {
+    handleClientError(res, error, 'actualizar cliente', req.params.id);
+  }
+};
+
+/**
+ * Elimina un cliente, sus suscripciones y sus borradores de factura
+ * @async
+ * @function deleteClient
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación, 404 o 409 si tiene facturas emitidas
+ * @description Recalcula el número de clientes de los servicios afectados.
+ */
+exports.deleteClient = async (req, res) => {
+  try {
+    // Las facturas emitidas son registros contables: el cliente no se puede borrar
+    if (mongoose.Types.ObjectId.isValid(req.params.id) &&
+        await Invoice.exists({ client: req.params.id, status: { $ne: 'draft' } })) {
+      return res.status(409).json({
+        message: 'No se puede eliminar un cliente con facturas emitidas',
+        id: req.params.id
+      });
+    }
+
+    const client = await Client.findByIdAndDelete(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        message: 'Cliente no encontrado para eliminar',
+        id: req.params.id
+      });
+    }
+
+    await Invoice.deleteMany({ client: client._id, status: 'draft' });
+    const serviceIds = await Subscription.distinct('service', { client: client._id });
+    const { deletedCount } = await Subscription.deleteMany({ client: client._id });
+    await recountServiceClients(serviceIds);
+    // Las tareas se conservan como trabajo interno del servicio
+    await Task.updateMany({ client: client._id }, { $set: { client: null, subscription: null } });
+
+    res.json({
+      message: 'Cliente eliminado exitosamente',
+      deletedClient: {
+        id: client._id,
+        company: client.company
+      },
+      deletedSubscriptions: deletedCount
+    });
+  } catch (error) {
+    handleClientError(res, error, 'eliminar cliente', req.params.id);
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Controlador de las tareas programadas invocadas por Vercel Cron
+ * @description Vercel llama a estas rutas con `Authorization: Bearer <CRON_SECRET>`
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const { purgeExpiredServices } = require('../jobs/purgeTrash');
+const { recountServiceClients } = require('../utils/subscriptions');
+const { BillingInProgressError, generateInvoices, markOverdueInvoices } = require('../jobs/billing');
+const { applyScheduledPriceChanges } = require('../jobs/priceChanges');
+const { captureStatsSnapshot } = require('../jobs/statsSnapshots');
+
+/**
+ * Middleware que acepta solo peticiones con el secreto de cron
+ * @function verifyCronSecret
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @param {Function} next - Siguiente middleware
+ */
+exports.verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    console.error('CRON_SECRET no está definida; las tareas programadas están deshabilitadas');
+    return res.status(503).json({ message: 'Tareas programadas no configuradas' });
+  }
+
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ message: 'No autorizado' });
+  }
+
+  next();
+};
+
+/**
+ * Purga los servicios cuya retención en la papelera ha vencido
+ * @async
+ * @function purgeTrash
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Número de servicios purgados
+ * @example
+ * GET /api/cron/purge-trash
+ * Response: { purged: 2, kept: 1, cutoff: "2025-01-01T03:00:00.000Z" }
+ */
+exports.purgeTrash = async (req, res) => {
+  try {
+    const result = await purgeExpiredServices();
+    res.json(result);
+  } catch (error) {
+    console.error('Error en la purga programada de la papelera:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al purgar la papelera',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Recalcula el número de clientes de todos los servicios a partir de las suscripciones vigentes
+ * @async
+ * @function recountClients
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Número de servicios cuyo contador cambió
+ * @example
+ * GET /api/cron/recount-clients
+ * Response: { updated: 3 }
+ */
+exports.recountClients = async (req, res) => {
+  try {
+    const updated = await recountServiceClients();
+    res.json({ updated });
+  } catch (error) {
+    console.error('Error en el recálculo programado de clientes:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al recalcular clientes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Aplica los cambios de precio programados cuya fecha ya llegó
+ * @async
+ * @function applyPriceChanges
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cambios aplicados, descartados y pendientes
+ * @example
+ * GET /api/cron/price-changes
+ * Response: { applied: 2, failed: 0, pending: 0 }
+ */
+exports.applyPriceChanges = async (req, res) => {
+  try {
+    const result = await applyScheduledPriceChanges();
+    res.json(result);
+  } catch (error) {
+    console.error('Error al aplicar los cambios de precio programados:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al aplicar los cambios de precio',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Genera los borradores de factura de los periodos que han empezado y marca las facturas vencidas
+ * @async
+ * @function runBilling
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Borradores generados y facturas marcadas como vencidas
+ * @example
+ * GET /api/cron/billing
+ * Response: { generated: 4, lines: 9, overdue: 1 }
+ * @description Si otra generación está en curso no genera borradores (`skipped: true`), pero
+ * sí marca las vencidas.
+ */
+exports.runBilling = async (req, res) => {
+  try {
+    let result = { generated: 0, lines: 0, skipped: false };
+    try {
+      const { invoices, lines } = await generateInvoices();
+      result = { generated: invoices.length, lines, skipped: false };
+    } catch (error) {
+      if (!(error instanceof BillingInProgressError)) throw error;
+      result.skipped = true;
+    }
+    const overdue = await markOverdueInvoices();
+    res.json({ ...result, overdue });
+  } catch (error) {
+    console.error('Error en la facturación programada:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor en la facturación',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Guarda la instantánea de estadísticas del día
+ * @async
+ * @function captureStatsSnapshot
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Instantánea guardada
+ * @example
+ * GET /api/cron/stats-snapshot
+ * Response: { date: "2025-01-01T00:00:00.000Z", services: { total: 12, ... }, clients: 40, ... }
+ */
+exports.captureStatsSnapshot = async (req, res) => {
+  try {
+    const snapshot = await captureStatsSnapshot();
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error al guardar la instantánea de estadísticas:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al guardar la instantánea de estadísticas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Controlador de tipos de cambio
+ * @description Consulta y mantenimiento manual de los tipos de cambio frente a la moneda base,
+ * usados para convertir precios en estadísticas, presupuestos, suscripciones y facturas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, parseCurrency } = require('../config/currencies');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Responde a los errores comunes de los tipos de cambio
+ */
+const handleExchangeRateError = createErrorHandler();
+
+/**
+ * Comprueba la moneda de la ruta: admitida y distinta de la base
+ * @param {string} value - Código recibido en la ruta
+ * @returns {{currency: string|null, error: string|null}} Moneda normalizada o el error
+ */
+const parseRateCurrency = (value) => {
+  const currency = parseCurrency(value);
+  if (!currency) {
+    return { currency: null, error: `La moneda debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
+  if (currency === BASE_CURRENCY) {
+    return { currency: null, error: `${BASE_CURRENCY} es la moneda base; su tipo es siempre 1` };
+  }
+  return { currency, error: null };
+};
+
+/**
+ * Lista los tipos de cambio de todas las monedas admitidas
+ * @async
+ * @function getExchangeRates
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Moneda base, monedas admitidas y un tipo por moneda (`rate` null si falta)
+ * @example
+ * GET /api/exchange-rates
+ * Response: {
+ *   base: "USD",
+ *   currencies: ["USD", "EUR", "MXN", "COP"],
+ *   rates: [{ currency: "EUR", rate: 0.92, updatedAt: "...", updatedBy: { name: "Ana" } }, ...]
+ * }
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const stored = await ExchangeRate.find()
+      .populate('updatedBy', 'name email')
+      .lean();
+    const byCurrency = new Map(stored.map(rate => [rate.currency, rate]));
+
+    res.json({
+      base: BASE_CURRENCY,
+      currencies: SUPPORTED_CURRENCIES,
+      rates: SUPPORTED_CURRENCIES
+        .filter(currency => currency !== BASE_CURRENCY)
+        .map(currency => byCurrency.get(currency) || { currency, rate: null, updatedAt: null, updatedBy: null })
+    });
+  } catch (error) {
+    handleExchangeRateError(res, error, 'obtener los tipos de cambio');
+  }
+};
+
+/**
+ * Fija el tipo de cambio de una moneda (lo crea si no existe)
+ * @async
+ * @function setExchangeRate
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.currency - Código de la moneda (distinta de la base)
+ * @param {number} req.body.rate - Unidades de la moneda por 1 unidad de la moneda base
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Tipo de cambio guardado
+ * @example
+ * PUT /api/exchange-rates/EUR
+ * Body: { "rate": 0.92 }
+ */
+exports.setExchangeRate = async (req, res) => {
+  const { currency, error } = parseRateCurrency(req.params.currency);
+  if (error) {
+    return res.status(400).json({ message: 'Parámetros inválidos', errors: [error] });
+  }
+
+  try {
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { currency, rate: req.body.rate, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('updatedBy', 'name email');
+
+    res.json(rate);
+  } catch (err) {
+    handleExchangeRateError(res, err, 'guardar el tipo de cambio');
+  }
+};
+
+/**
+ * Elimina el tipo de cambio de una moneda
+ * @async
+ * @function deleteExchangeRate
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.currency - Código de la moneda
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación o 404
+ * @description Los servicios con precio en esa moneda dejarán de poder convertirse (las
+ * estadísticas responderán 422) hasta que se vuelva a fijar
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  const { currency, error } = parseRateCurrency(req.params.currency);
+  if (error) {
+    return res.status(400).json({ message: 'Parámetros inválidos', errors: [error] });
+  }
+
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ currency });
+    if (!rate) {
+      return res.status(404).json({ message: `No hay tipo de cambio para ${currency}` });
+    }
+
+    res.json({ message: `Tipo de cambio de ${currency} eliminado` });
+  } catch (err) {
+    handleExchangeRateError(res, err, 'eliminar el tipo de cambio');
+  }
+};
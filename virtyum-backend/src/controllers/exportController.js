@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Controlador de exportación de servicios y estadísticas
+ * @description Descarga del catálogo filtrado (CSV, XLSX, JSON o PDF) y del informe de estadísticas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const Service = require('../models/Service');
+const { buildServiceFilter, buildServiceSort } = require('../utils/serviceQuery');
+const { computeServiceStats } = require('../utils/serviceStats');
+const { MissingExchangeRateError } = require('../utils/currency');
+const { SUPPORTED_CURRENCIES, parseCurrency } = require('../config/currencies');
+const {
+  EXPORT_MAX_ROWS,
+  EXPORT_FORMATS,
+  exportServices,
+  renderStatsReport,
+  buildExportFilename
+} = require('../utils/serviceExport');
+
+/**
+ * Envía un archivo como descarga
+ * @param {Object} res - Objeto de response de Express
+ * @param {Buffer} buffer - Contenido
+ * @param {string} format - Clave de EXPORT_FORMATS
+ * @param {string} filename - Nombre sugerido del archivo
+ */
+const sendFile = (res, buffer, format, filename) => {
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+/**
+ * Exporta los servicios que cumplen los filtros del listado
+ * @async
+ * @function exportServices
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.query - Mismos filtros y orden que GET /api/services (sin paginación)
+ * @param {string} [req.query.format=csv] - csv | xlsx | json | pdf
+ * @param {string} [req.query.q] - Texto de búsqueda (como GET /api/services/search)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Archivo adjunto
+ * @example
+ * GET /api/services/export?format=xlsx&category=Digital,Social&status=Activo
+ */
+exports.exportServices = async (req, res) => {
+  try {
+    const { format = 'csv', q = '', sortBy, order, ...filterQuery } = req.query;
+    const searchTerm = String(q).trim();
+    const { filter, applied, errors } = buildServiceFilter(filterQuery);
+
+    if (!EXPORT_FORMATS[format]) {
+      errors.push(`format debe ser uno de: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    // Con búsqueda se ordena por relevancia salvo que se pida otro campo, igual que /search
+    const sortByScore = searchTerm && (!sortBy || sortBy === 'score');
+    const fieldSort = sortByScore ? null : buildServiceSort({ sortBy, order });
+    if (fieldSort) {
+      errors.push(...fieldSort.errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    if (searchTerm) {
+      filter.$text = {
+        $search: searchTerm,
+        $language: 'spanish',
+        $diacriticSensitive: false,
+        $caseSensitive: false
+      };
+      applied.q = searchTerm;
+    }
+
+    const total = await Service.countDocuments(filter);
+    if (total > EXPORT_MAX_ROWS) {
+      return res.status(400).json({
+        message: `La exportación incluiría ${total} servicios; el máximo es ${EXPORT_MAX_ROWS}. Aplica más filtros.`
+      });
+    }
+
+    const services = await Service.find(filter, sortByScore ? { score: { $meta: 'textScore' } } : undefined)
+      .sort(sortByScore ? { score: { $meta: 'textScore' }, _id: -1 } : fieldSort.sort)
+      .lean();
+
+    const buffer = await exportServices(services, format, applied);
+    sendFile(res, buffer, format, buildExportFilename('servicios', format));
+  } catch (error) {
+    console.error('Error al exportar servicios:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al exportar servicios',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Descarga el informe PDF de estadísticas con desglose por categoría y estado
+ * @async
+ * @function exportStatsReport
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.currency="USD"] - Moneda del informe
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} PDF adjunto
+ * @example
+ * GET /api/services/stats/report?currency=MXN
+ */
+exports.exportStatsReport = async (req, res) => {
+  const currency = req.query.currency === undefined ? undefined : parseCurrency(req.query.currency);
+  if (currency === null) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors: [`currency debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}`]
+    });
+  }
+
+  try {
+    const stats = await computeServiceStats({ currency });
+    const buffer = await renderStatsReport(stats);
+    sendFile(res, buffer, 'pdf', buildExportFilename('estadisticas-servicios', 'pdf'));
+  } catch (error) {
+    if (error instanceof MissingExchangeRateError) {
+      return res.status(422).json({ message: error.message, currencies: error.currencies });
+    }
+
+    console.error('Error al generar el informe de estadísticas:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al generar el informe',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
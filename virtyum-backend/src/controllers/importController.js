@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Controlador de importación de servicios
+ * @description Vista previa de hojas CSV/XLSX, validación en seco e importación atómica
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const { snapshot, diffSnapshots, recordAudit } = require('../utils/audit');
+const { recordPriceChange } = require('../utils/priceHistory');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const {
+  IMPORT_LIMITS,
+  IMPORT_FIELDS,
+  ImportFileError,
+  parseSpreadsheet,
+  suggestMapping,
+  validateMapping,
+  validateRows
+} = require('../utils/serviceImport');
+
+/**
+ * Filas de ejemplo que se devuelven en la vista previa
+ * @constant {number} SAMPLE_ROWS
+ */
+const SAMPLE_ROWS = 5;
+
+/**
+ * Interpreta un booleano recibido en un campo multipart ("true", "1")
+ * @param {*} value - Valor del campo
+ * @returns {boolean} true si el valor es afirmativo
+ */
+const parseFlag = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Lee el archivo subido o responde 400 si no se puede interpretar
+ * @async
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<Object|null>} Encabezados y filas, o null si ya se respondió
+ */
+const readUpload = async (req, res) => {
+  try {
+    return await parseSpreadsheet(req.file);
+  } catch (error) {
+    if (error instanceof ImportFileError) {
+      res.status(400).json({ message: error.message });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Devuelve encabezados, filas de ejemplo y el mapeo sugerido de un archivo
+ * @async
+ * @function previewImport
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.file - Archivo CSV o XLSX (campo `file`)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Datos para construir el mapeo de columnas
+ * @example
+ * POST /api/services/import/preview (multipart/form-data, campo "file")
+ */
+exports.previewImport = async (req, res) => {
+  try {
+    const parsed = await readUpload(req, res);
+    if (!parsed) return;
+
+    res.status(200).json({
+      columns: parsed.columns,
+      sampleRows: parsed.rows.slice(0, SAMPLE_ROWS),
+      totalRows: parsed.rows.length,
+      suggestedMapping: suggestMapping(parsed.columns),
+      fields: Object.entries(IMPORT_FIELDS).map(([field, { required }]) => ({ field, required })),
+      maxRows: IMPORT_LIMITS.maxRows
+    });
+  } catch (error) {
+    console.error('Error al leer archivo de importación:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al leer el archivo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Valida e importa los servicios de un archivo
+ * @async
+ * @function importServices
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.file - Archivo CSV o XLSX (campo `file`)
+ * @param {string} req.body.mapping - JSON { campo: columna }
+ * @param {string} [req.body.dryRun] - "true" para validar sin guardar
+ * @param {string} [req.body.skipInvalid] - "true" para importar solo las filas válidas
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Resumen y resultado por fila. 201 si se importó, 200 en modo
+ * dryRun, 422 si hay filas inválidas y no se pidió omitirlas
+ * @example
+ * POST /api/services/import (multipart/form-data)
+ * file=<catalogo.xlsx>, mapping={"name":"Nombre","price":"Precio"}, dryRun=true
+ */
+exports.importServices = async (req, res) => {
+  let mapping;
+  try {
+    mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+  } catch {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors: ['mapping debe ser un JSON válido']
+    });
+  }
+
+  const dryRun = parseFlag(req.body.dryRun);
+  const skipInvalid = parseFlag(req.body.skipInvalid);
+
+  try {
+    const parsed = await readUpload(req, res);
+    if (!parsed) return;
+
+    const mappingErrors = validateMapping(mapping, parsed.columns);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors: mappingErrors
+      });
+    }
+
+    const categories = await Category.find({ active: true }, 'name').lean();
+    const validated = validateRows(parsed.rows, mapping, {
+      canDeactivate: hasPermission(req.user, PERMISSIONS.SERVICES_DEACTIVATE),
+      categories: categories.map(({ name }) => name)
+    });
+    const valid = validated.filter(result => result.valid);
+    const summary = {
+      total: validated.length,
+      valid: valid.length,
+      invalid: validated.length - valid.length,
+      imported: 0
+    };
+    const rows = validated.map(({ row, valid: isValid, data, errors }) => ({
+      row,
+      valid: isValid,
+      data,
+      errors
+    }));
+
+    if (dryRun) {
+      return res.status(200).json({
+        message: `Validación completada: ${summary.valid} de ${summary.total} fila(s) válidas`,
+        dryRun: true,
+        summary,
+        rows
+      });
+    }
+
+    if (summary.invalid > 0 && !skipInvalid) {
+      return res.status(422).json({
+        message: `No se importó nada: ${summary.invalid} fila(s) tienen errores`,
+        dryRun: false,
+        summary,
+        rows
+      });
+    }
+
+    if (valid.length === 0) {
+      return res.status(422).json({
+        message: 'No hay filas válidas para importar',
+        dryRun: false,
+        summary,
+        rows
+      });
+    }
+
+    // Todo o nada: si falla una inserción o su auditoría no queda ningún servicio a medias
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        for (const { service } of valid) {
+          // withTransaction puede reintentar: cada intento parte de un documento nuevo
+          service.isNew = true;
+          await service.save({ session });
+          await recordAudit({
+            entityType: 'Service',
+            entity: service,
+            action: 'create',
+            actor: req.user,
+            changes: diffSnapshots({}, snapshot(service)),
+            session
+          });
+          await recordPriceChange({ service, before: null, source: 'import', actor: req.user, session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    summary.imported = valid.length;
+    const importedIds = new Map(valid.map(({ row, service }) => [row, service._id]));
+
+    res.status(201).json({
+      message: `${summary.imported} servicio(s) importados${summary.invalid > 0 ? `; ${summary.invalid} fila(s) omitidas` : ''}`,
+      dryRun: false,
+      summary,
+      rows: rows.map(result => (
+        importedIds.has(result.row) ? { ...result, id: importedIds.get(result.row) } : result
+      ))
+    });
+  } catch (error) {
+    console.error('Error al importar servicios:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al importar servicios',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,587 @@
+/**
+ * @fileoverview Controlador de facturas
+ * @description Generación de facturas a partir de las suscripciones, facturas manuales,
+ * emisión con numeración correlativa, anulación y cuentas por cobrar por cliente
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Client = require('../models/Client');
+const Service = require('../models/Service');
+const { buildPagination, buildPaginationMeta } = require('../utils/serviceQuery');
+const { BillingInProgressError, generateInvoices } = require('../jobs/billing');
+const { getDueDate } = require('../config/billing');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { MissingExchangeRateError, roundMoney, convertAmount, loadRatesFor } = require('../utils/currency');
+const { clientExists } = require('../utils/clients');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos editables de cada línea
+ * @constant {Array<string>} ITEM_FIELDS
+ */
+const ITEM_FIELDS = ['description', 'quantity', 'unitPrice', 'taxRate'];
+
+/**
+ * Campos de una línea generada que no se pueden cambiar al editar el borrador
+ * @constant {Array<string>} LINKED_ITEM_FIELDS
+ */
+const LINKED_ITEM_FIELDS = ['subscription', 'service', 'periodStart', 'periodEnd'];
+
+/**
+ * Tramos de antigüedad de la deuda en días desde el vencimiento
+ * @constant {Array<{key: string, min: number, max: number}>} AGING_BUCKETS
+ */
+const AGING_BUCKETS = [
+  { key: 'current', min: -Infinity, max: 0 },
+  { key: 'days1to30', min: 0, max: 30 },
+  { key: 'days31to60', min: 30, max: 60 },
+  { key: 'days61to90', min: 60, max: 90 },
+  { key: 'over90', min: 90, max: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Responde a los errores comunes de las facturas
+ */
+const handleInvoiceError = createErrorHandler({
+  handle: (res, error) => error instanceof BillingInProgressError
+    && res.status(409).json({ message: error.message })
+});
+
+/**
+ * Construye las líneas de una factura a partir del body
+ * @async
+ * @param {Array<Object>} rawItems - Líneas recibidas (`service`, `description`, `quantity`, `unitPrice`, `taxRate`)
+ * @param {Array<Object>} [currentItems=[]] - Líneas guardadas; una línea con el mismo `_id`
+ * conserva su suscripción, servicio y periodo
+ * @returns {Promise<{items: Array<Object>, errors: Array<string>}>} Líneas listas para el modelo
+ * @description En una línea nueva con `service`, el concepto y el precio por defecto son los
+ * del servicio del catálogo, convertido a la moneda base si el servicio tiene otra.
+ */
+const buildInvoiceItems = async (rawItems, currentItems = []) => {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { items: [], errors: ['La factura debe tener al menos una línea'] };
+  }
+
+  const currentById = new Map(currentItems.map(item => [String(item._id), item]));
+  const serviceIds = rawItems
+    .filter(raw => raw.service && !(raw._id && currentById.has(String(raw._id))))
+    .map(raw => String(raw.service));
+  if (serviceIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { items: [], errors: ['El servicio de una línea no es un ID válido'] };
+  }
+
+  const services = await Service.find({ _id: { $in: serviceIds } }, 'name price currency').lean();
+  const rates = await loadRatesFor(services.map(service => service.currency));
+  const serviceById = new Map(services.map(service => [String(service._id), service]));
+  const errors = [];
+
+  const items = rawItems.map((raw, index) => {
+    const current = raw._id ? currentById.get(String(raw._id)) : null;
+    const item = {};
+
+    if (current) {
+      item._id = current._id;
+      LINKED_ITEM_FIELDS.forEach(field => {
+        item[field] = current[field];
+      });
+    } else if (raw.service) {
+      const service = serviceById.get(String(raw.service));
+      if (!service) {
+        errors.push(`Línea ${index + 1}: el servicio no existe o está en la papelera`);
+        return null;
+      }
+      item.service = service._id;
+      item.description = service.name;
+      if (raw.unitPrice === undefined || raw.unitPrice === '') {
+        try {
+          item.unitPrice = convertAmount(service.price, service.currency, BASE_CURRENCY, rates);
+        } catch (error) {
+          if (!(error instanceof MissingExchangeRateError)) throw error;
+          errors.push(`Línea ${index + 1}: ${error.message}`);
+          return null;
+        }
+      }
+    }
+
+    ITEM_FIELDS.forEach(field => {
+      if (raw[field] !== undefined && raw[field] !== '') {
+        item[field] = raw[field];
+      }
+    });
+    return item;
+  });
+
+  return { items, errors };
+};
+
+/**
+ * Lee una fecha opcional del body o de la query
+ * @param {string|undefined} value - Valor recibido
+ * @param {Date|null} fallback - Valor si no se indica
+ * @returns {Date|null|undefined} Fecha, el valor por defecto o undefined si no es válida
+ */
+const parseOptionalDate = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Lista las facturas con filtros y paginación
+ * @async
+ * @function getInvoices
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.status] - draft | issued | paid | overdue | void
+ * @param {string} [req.query.client] - ID del cliente
+ * @param {string} [req.query.q] - Texto a buscar en el número
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Facturas por página (máximo 100)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Facturas (sin líneas, con el cliente) y paginación
+ * @example
+ * GET /api/invoices?status=overdue&client=64b...
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+    const statuses = Invoice.schema.path('status').enumValues;
+
+    if (req.query.status && !statuses.includes(req.query.status)) {
+      errors.push(`status debe ser uno de: ${statuses.join(', ')}`);
+    }
+    if (req.query.client && !mongoose.Types.ObjectId.isValid(req.query.client)) {
+      errors.push('client debe ser un ID de cliente válido');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.client) filter.client = req.query.client;
+    const searchTerm = String(req.query.q || '').trim();
+    if (searchTerm) {
+      filter.number = new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter, '-items')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('client', 'company')
+        .lean(),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      invoices,
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'obtener facturas');
+  }
+};
+
+/**
+ * Obtiene una factura con sus líneas y cobros
+ * @async
+ * @function getInvoiceById
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Factura con el cliente y `payments` ordenados por fecha
+ */
+exports.getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('client', 'company contactName email phone taxId');
+
+    if (!invoice) {
+      return res.status(404).json({
+        message: 'Factura no encontrada',
+        id: req.params.id
+      });
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id }).sort({ date: 1 }).lean();
+
+    res.json({ invoice, payments });
+  } catch (error) {
+    handleInvoiceError(res, error, 'obtener factura', req.params.id);
+  }
+};
+
+/**
+ * Crea una factura manual en borrador (servicios puntuales u otros conceptos)
+ * @async
+ * @function createInvoice
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - client (obligatorio), notes e items
+ * @param {Array<Object>} req.body.items - Líneas: `service` opcional, `description`, `quantity`, `unitPrice` y `taxRate` (%)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Factura creada con código 201
+ * @example
+ * POST /api/invoices
+ * Body: { "client": "64b...", "items": [{ "service": "64a...", "taxRate": 21 }] }
+ */
+exports.createInvoice = async (req, res) => {
+  try {
+    if (!(await clientExists(req.body.client))) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['El cliente es obligatorio y debe existir']
+      });
+    }
+
+    const { items, errors } = await buildInvoiceItems(req.body.items);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    const invoice = await Invoice.create({
+      client: req.body.client,
+      notes: req.body.notes,
+      items,
+      createdBy: req.user._id
+    });
+    await invoice.populate('client', 'company');
+
+    res.status(201).json({
+      message: 'Factura creada exitosamente',
+      invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'crear factura');
+  }
+};
+
+/**
+ * Modifica una factura en borrador
+ * @async
+ * @function updateInvoice
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {Object} req.body - `notes` y/o `items` (sustituye todas las líneas)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Factura actualizada, 404 o 409 si ya está emitida
+ */
+exports.updateInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        message: 'Factura no encontrada para actualizar',
+        id: req.params.id
+      });
+    }
+    if (invoice.status !== 'draft') {
+      return res.status(409).json({
+        message: 'Solo se pueden editar facturas en borrador',
+        status: invoice.status
+      });
+    }
+
+    if (req.body.notes !== undefined) {
+      invoice.notes = req.body.notes;
+    }
+    if (req.body.items !== undefined) {
+      const { items, errors } = await buildInvoiceItems(req.body.items, invoice.items);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          message: 'Error de validación',
+          errors
+        });
+      }
+      invoice.items = items;
+    }
+
+    await invoice.save();
+    await invoice.populate('client', 'company');
+
+    res.json({
+      message: 'Factura actualizada exitosamente',
+      invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'actualizar factura', req.params.id);
+  }
+};
+
+/**
+ * Emite o anula una factura
+ * @async
+ * @function changeInvoiceStatus
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {string} req.body.status - `issued` (desde borrador) o `void` (emitida o vencida, sin cobros)
+ * @param {string} [req.body.dueDate] - Al emitir, vencimiento (por defecto INVOICE_PAYMENT_TERMS_DAYS días)
+ * @param {string} [req.body.reason] - Al anular, motivo
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Factura actualizada
+ * @description Emitir asigna el siguiente número del año en la misma transacción en que se
+ * guarda la factura, para que la numeración no tenga huecos. Anular requiere el permiso
+ * de eliminación de facturas; las líneas anuladas vuelven a quedar pendientes de facturar.
+ * @example
+ * POST /api/invoices/64c.../status
+ * Body: { "status": "issued", "dueDate": "2025-04-15" }
+ */
+exports.changeInvoiceStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        message: 'Factura no encontrada',
+        id: req.params.id
+      });
+    }
+    if (!['issued', 'void'].includes(status)) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['status debe ser issued o void']
+      });
+    }
+    if (status === 'void' && !hasPermission(req.user, PERMISSIONS.INVOICES_DELETE)) {
+      return res.status(403).json({
+        message: 'Solo un administrador puede anular facturas',
+        requiredPermissions: [PERMISSIONS.INVOICES_DELETE]
+      });
+    }
+    if (!invoice.canTransitionTo(status)) {
+      return res.status(409).json({
+        message: `No se puede pasar una factura de "${invoice.status}" a "${status}"`,
+        status: invoice.status
+      });
+    }
+
+    const now = new Date();
+
+    if (status === 'void') {
+      if (invoice.amountPaid > 0) {
+        return res.status(409).json({
+          message: 'No se puede anular una factura con cobros: elimina antes los cobros',
+          amountPaid: invoice.amountPaid
+        });
+      }
+      invoice.status = 'void';
+      invoice.voidedAt = now;
+      invoice.voidReason = req.body.reason;
+      await invoice.save();
+
+      return res.json({
+        message: 'Factura anulada',
+        invoice
+      });
+    }
+
+    const dueDate = parseOptionalDate(req.body.dueDate, getDueDate(now));
+    if (!dueDate || dueDate < new Date(now.toDateString())) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['dueDate debe ser una fecha válida no anterior a hoy']
+      });
+    }
+
+    invoice.status = 'issued';
+    invoice.issueDate = now;
+    invoice.dueDate = dueDate;
+    invoice.refreshPaymentStatus(now);
+
+    // Si el guardado falla, la transacción deshace también el avance del contador
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        invoice.number = await Invoice.nextNumber(now, { session });
+        await invoice.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      message: `Factura ${invoice.number} emitida`,
+      invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'cambiar el estado de la factura', req.params.id);
+  }
+};
+
+/**
+ * Elimina una factura en borrador
+ * @async
+ * @function deleteInvoice
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación, 404 o 409 si ya está emitida (hay que anularla)
+ */
+exports.deleteInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        message: 'Factura no encontrada para eliminar',
+        id: req.params.id
+      });
+    }
+    // Una factura emitida tiene número: se conserva y se anula
+    if (invoice.status !== 'draft') {
+      return res.status(409).json({
+        message: 'Solo se pueden eliminar borradores; una factura emitida se anula',
+        status: invoice.status
+      });
+    }
+
+    await invoice.deleteOne();
+
+    res.json({
+      message: 'Borrador eliminado exitosamente',
+      id: invoice._id
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'eliminar factura', req.params.id);
+  }
+};
+
+/**
+ * Genera borradores de factura con los periodos pendientes de las suscripciones
+ * @async
+ * @function generateSubscriptionInvoices
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.body.asOf=hoy] - Se facturan los periodos que empiezan hasta esta fecha
+ * @param {string} [req.body.client] - Limita la generación a un cliente
+ * @param {boolean} [req.body.dryRun=false] - Solo devuelve lo que se facturaría
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Facturas generadas (201) o previstas (200 con dryRun)
+ * @example
+ * POST /api/invoices/generate
+ * Body: { "asOf": "2025-03-31", "dryRun": true }
+ */
+exports.generateSubscriptionInvoices = async (req, res) => {
+  try {
+    const asOf = parseOptionalDate(req.body.asOf, new Date());
+    const errors = [];
+
+    if (!asOf) {
+      errors.push('asOf debe ser una fecha válida');
+    }
+    if (req.body.client && !mongoose.Types.ObjectId.isValid(req.body.client)) {
+      errors.push('client debe ser un ID de cliente válido');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const { invoices, lines } = await generateInvoices({
+      asOf,
+      client: req.body.client || undefined,
+      dryRun,
+      userId: req.user._id
+    });
+    const clients = await Client.find({ _id: { $in: invoices.map(invoice => invoice.client) } }, 'company').lean();
+    const companyById = new Map(clients.map(client => [String(client._id), client]));
+
+    res.status(dryRun ? 200 : 201).json({
+      message: invoices.length === 0
+        ? 'No hay periodos pendientes de facturar'
+        : `${dryRun ? 'Se generarían' : 'Generados'} ${invoices.length} borrador(es) con ${lines} línea(s)`,
+      dryRun,
+      asOf,
+      invoices: invoices.map(invoice => ({ ...invoice, client: companyById.get(String(invoice.client)) || invoice.client }))
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'generar facturas');
+  }
+};
+
+/**
+ * Cuentas por cobrar: saldo pendiente de cada cliente por antigüedad
+ * @async
+ * @function getReceivables
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} `clients` (ordenados por saldo) y `totals` con los tramos
+ * current, days1to30, days31to60, days61to90 y over90 (días desde el vencimiento)
+ * @example
+ * GET /api/invoices/receivables
+ * Response: { clients: [{ client: {...}, outstanding: 1200, overdue: 400, invoices: 3, ... }], totals: {...} }
+ */
+exports.getReceivables = async (req, res) => {
+  try {
+    const now = new Date();
+    const pending = await Invoice.find(
+      { status: { $in: ['issued', 'overdue'] }, balance: { $gt: 0 } },
+      'client balance dueDate'
+    ).lean();
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, 0]));
+    const totals = { outstanding: 0, overdue: 0, invoices: 0, ...emptyBuckets() };
+    const byClient = new Map();
+
+    pending.forEach(invoice => {
+      const key = String(invoice.client);
+      const entry = byClient.get(key) || {
+        client: invoice.client,
+        outstanding: 0,
+        overdue: 0,
+        invoices: 0,
+        oldestDueDate: null,
+        ...emptyBuckets()
+      };
+      const daysOverdue = (now - invoice.dueDate) / DAY_MS;
+      const bucket = AGING_BUCKETS.find(({ min, max }) => daysOverdue > min && daysOverdue <= max);
+
+      [entry, totals].forEach(target => {
+        target.outstanding += invoice.balance;
+        target.invoices += 1;
+        target[bucket.key] += invoice.balance;
+        if (daysOverdue > 0) target.overdue += invoice.balance;
+      });
+      if (!entry.oldestDueDate || invoice.dueDate < entry.oldestDueDate) {
+        entry.oldestDueDate = invoice.dueDate;
+      }
+      byClient.set(key, entry);
+    });
+
+    const clients = await Client.find({ _id: { $in: [...byClient.keys()] } }, 'company email').lean();
+    const clientById = new Map(clients.map(client => [String(client._id), client]));
+    const roundEntry = (entry) => {
+      ['outstanding', 'overdue', ...AGING_BUCKETS.map(({ key }) => key)].forEach(field => {
+        entry[field] = roundMoney(entry[field]);
+      });
+      return entry;
+    };
+
+    res.json({
+      clients: [...byClient.values()]
+        .map(entry => roundEntry({ ...entry, client: clientById.get(String(entry.client)) || { _id: entry.client } }))
+        .sort((a, b) => b.outstanding - a.outstanding),
+      totals: roundEntry(totals),
+      generatedAt: now
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'obtener las cuentas por cobrar');
+  }
+};
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Controlador del libro de cobros
+ * @description Registro y eliminación de cobros de facturas. Cada cobro actualiza el saldo
+ * y el estado de su factura en la misma transacción.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { buildPagination, buildPaginationMeta } = require('../utils/serviceQuery');
+const { roundMoney } = require('../utils/currency');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Responde a los errores comunes de los cobros
+ */
+const handlePaymentError = createErrorHandler();
+
+/**
+ * Lista el libro de cobros con filtros y paginación
+ * @async
+ * @function getPayments
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.client] - ID del cliente
+ * @param {string} [req.query.invoice] - ID de la factura
+ * @param {string} [req.query.from] - Cobros desde esta fecha (incluida)
+ * @param {string} [req.query.to] - Cobros hasta esta fecha (incluida)
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Cobros por página (máximo 100)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cobros (con factura y cliente), `total` cobrado con esos filtros y paginación
+ * @example
+ * GET /api/payments?from=2025-01-01&to=2025-03-31
+ */
+exports.getPayments = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+    const filter = {};
+
+    ['client', 'invoice'].forEach(field => {
+      if (!req.query[field]) return;
+      if (mongoose.Types.ObjectId.isValid(req.query[field])) {
+        filter[field] = new mongoose.Types.ObjectId(String(req.query[field]));
+      } else {
+        errors.push(`${field} debe ser un ID válido`);
+      }
+    });
+
+    const range = {};
+    [['from', '$gte'], ['to', '$lte']].forEach(([param, operator]) => {
+      if (!req.query[param]) return;
+      const date = new Date(req.query[param]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${param} debe ser una fecha válida`);
+        return;
+      }
+      // "to" incluye todo el día indicado
+      if (param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      range[operator] = date;
+    });
+    if (Object.keys(range).length > 0) filter.date = range;
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const [payments, total, [summary]] = await Promise.all([
+      Payment.find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('invoice', 'number status')
+        .populate('client', 'company')
+        .lean(),
+      Payment.countDocuments(filter),
+      Payment.aggregate([
+        { $match: filter },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.json({
+      payments,
+      total: roundMoney(summary?.amount || 0),
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    handlePaymentError(res, error, 'obtener cobros');
+  }
+};
+
+/**
+ * Registra un cobro de una factura emitida
+ * @async
+ * @function recordPayment
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {number} req.body.amount - Importe (no puede superar el saldo pendiente)
+ * @param {string} [req.body.date=hoy] - Fecha del cobro
+ * @param {string} [req.body.method=transfer] - transfer | card | cash | other
+ * @param {string} [req.body.reference] - Referencia de la operación
+ * @param {string} [req.body.notes] - Comentarios
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cobro creado (201) y factura actualizada (pasa a paid si queda saldada)
+ * @example
+ * POST /api/invoices/64c.../payments
+ * Body: { "amount": 500, "method": "transfer", "reference": "TRF-2291" }
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    const amount = roundMoney(Number(req.body.amount));
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+
+    if (!Number.isFinite(amount) || amount <= 0 || Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: [
+          ...(!Number.isFinite(amount) || amount <= 0 ? ['amount debe ser un importe mayor que 0'] : []),
+          ...(Number.isNaN(date.getTime()) ? ['date debe ser una fecha válida'] : [])
+        ]
+      });
+    }
+
+    let invoice = null;
+    let payment = null;
+    let rejection = null;
+
+    // La factura se lee dentro de la transacción: si dos cobros coinciden, uno se reintenta con el saldo actualizado
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        rejection = null;
+        invoice = await Invoice.findById(req.params.id).session(session);
+
+        if (!invoice) {
+          rejection = { status: 404, body: { message: 'Factura no encontrada', id: req.params.id } };
+          return;
+        }
+        if (!invoice.isPayable()) {
+          rejection = {
+            status: 409,
+            body: { message: 'Solo se pueden registrar cobros de facturas emitidas o vencidas', status: invoice.status }
+          };
+          return;
+        }
+        if (amount > invoice.balance) {
+          rejection = {
+            status: 400,
+            body: { message: 'Error de validación', errors: [`El importe supera el saldo pendiente (${invoice.balance})`] }
+          };
+          return;
+        }
+
+        [payment] = await Payment.create([{
+          invoice: invoice._id,
+          client: invoice.client,
+          amount,
+          date,
+          method: req.body.method || undefined,
+          reference: req.body.reference,
+          notes: req.body.notes,
+          createdBy: req.user._id
+        }], { session });
+
+        invoice.amountPaid = roundMoney(invoice.amountPaid + amount);
+        invoice.refreshPaymentStatus();
+        await invoice.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    res.status(201).json({
+      message: invoice.status === 'paid' ? `Cobro registrado: factura ${invoice.number} saldada` : 'Cobro registrado',
+      payment,
+      invoice
+    });
+  } catch (error) {
+    handlePaymentError(res, error, 'registrar cobro', req.params.id);
+  }
+};
+
+/**
+ * Elimina un cobro (p. ej. registrado por error) y devuelve el importe al saldo de la factura
+ * @async
+ * @function deletePayment
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cobro
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación y factura actualizada, o 404
+ */
+exports.deletePayment = async (req, res) => {
+  try {
+    let payment = null;
+    let invoice = null;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        payment = await Payment.findById(req.params.id).session(session);
+        if (!payment) return;
+
+        invoice = await Invoice.findById(payment.invoice).session(session);
+        if (invoice) {
+          invoice.amountPaid = Math.max(0, roundMoney(invoice.amountPaid - payment.amount));
+          invoice.refreshPaymentStatus();
+          await invoice.save({ session });
+        }
+        await payment.deleteOne({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!payment) {
+      return res.status(404).json({
+        message: 'Cobro no encontrado para eliminar',
+        id: req.params.id
+      });
+    }
+
+    res.json({
+      message: 'Cobro eliminado exitosamente',
+      id: payment._id,
+      invoice
+    });
+  } catch (error) {
+    handlePaymentError(res, error, 'eliminar cobro', req.params.id);
+  }
+};
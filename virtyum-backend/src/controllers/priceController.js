@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Controlador del historial de precios de los servicios
+ * @description Consulta del historial, programación y cancelación de cambios de precio futuros
+ * y precio vigente en una fecha pasada (para conciliar presupuestos y facturas)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const PriceChange = require('../models/PriceChange');
+const { toCreatedBy, getPriceAt } = require('../utils/priceHistory');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Responde a los errores comunes del historial de precios
+ */
+const handlePriceError = createErrorHandler();
+
+/**
+ * Busca el servicio de la ruta o responde 400/404
+ * @async
+ * @param {Object} req - Objeto de request de Express (params.id)
+ * @param {Object} res - Objeto de response de Express
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `withDeleted`)
+ * @returns {Promise<Service|null>} Servicio, o null si ya se respondió
+ */
+const findService = async (req, res, options = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'ID de servicio inválido', id: req.params.id });
+    return null;
+  }
+
+  const service = await Service.findById(req.params.id, null, options);
+  if (!service) {
+    res.status(404).json({ message: 'Servicio no encontrado', id: req.params.id });
+    return null;
+  }
+  return service;
+};
+
+/**
+ * Obtiene el historial de precios de un servicio y sus cambios programados
+ * @async
+ * @function getPriceHistory
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio (puede estar en la papelera)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Precio actual, cambios programados (del más próximo al más lejano),
+ * programados que no se pudieron aplicar y cambios aplicados (del más reciente al más antiguo)
+ * @example
+ * GET /api/services/507f1f77bcf86cd799439011/prices
+ * Response: {
+ *   service: { _id: "...", name: "SEO", price: 899, currency: "USD", hasTiers: false },
+ *   scheduled: [{ price: 949, effectiveDate: "2025-07-01T00:00:00.000Z", ... }],
+ *   failed: [],
+ *   history: [{ price: 899, previousPrice: 799, source: "update", appliedAt: "...", ... }]
+ * }
+ */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const service = await findService(req, res, { withDeleted: true });
+    if (!service) return;
+
+    const [scheduled, failed, history] = await Promise.all([
+      PriceChange.find({ service: service._id, status: 'scheduled' }).sort({ effectiveDate: 1, createdAt: 1 }),
+      PriceChange.find({ service: service._id, status: 'failed' }).sort({ effectiveDate: -1, _id: -1 }),
+      PriceChange.find({ service: service._id, status: 'applied' }).sort({ appliedAt: -1, _id: -1 })
+    ]);
+
+    res.json({
+      service: {
+        _id: service._id,
+        name: service.name,
+        price: service.price,
+        currency: service.currency || BASE_CURRENCY,
+        hasTiers: service.tiers.length > 0
+      },
+      scheduled,
+      failed,
+      history
+    });
+  } catch (error) {
+    handlePriceError(res, error, 'obtener el historial de precios', req.params.id);
+  }
+};
+
+/**
+ * Programa un cambio de precio para una fecha futura
+ * @async
+ * @function schedulePriceChange
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio
+ * @param {number} req.body.price - Precio nuevo
+ * @param {string} [req.body.currency] - Moneda del precio nuevo (por defecto, la actual del servicio)
+ * @param {string} req.body.effectiveDate - Fecha de entrada en vigor (YYYY-MM-DD, posterior a hoy)
+ * @param {string} [req.body.note] - Motivo del cambio
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Cambio programado con código 201
+ * @description Una tarea periódica (cron `/api/cron/price-changes`) lo aplica al llegar la fecha.
+ * Solo puede haber un cambio programado por servicio y fecha. Los servicios con niveles no
+ * admiten cambios programados: su precio es el del nivel más barato (409).
+ * @example
+ * POST /api/services/507f1f77bcf86cd799439011/prices
+ * Body: { "price": 949, "effectiveDate": "2025-07-01", "note": "Revisión anual" }
+ */
+exports.schedulePriceChange = async (req, res) => {
+  try {
+    const service = await findService(req, res);
+    if (!service) return;
+
+    if (service.tiers.length > 0) {
+      return res.status(409).json({
+        message: 'El servicio tiene niveles: su precio es el del nivel más barato, edita los niveles para cambiarlo'
+      });
+    }
+
+    const effectiveDate = new Date(req.body.effectiveDate);
+    if (!req.body.effectiveDate || Number.isNaN(effectiveDate.getTime())) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['effectiveDate debe ser una fecha válida']
+      });
+    }
+    if (effectiveDate <= new Date()) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['effectiveDate debe ser posterior a hoy; para cambiar el precio ya, edita el servicio']
+      });
+    }
+
+    const duplicate = await PriceChange.exists({ service: service._id, status: 'scheduled', effectiveDate });
+    if (duplicate) {
+      return res.status(409).json({
+        message: 'Ya hay un cambio de precio programado para esa fecha; cancélalo antes de programar otro'
+      });
+    }
+
+    const change = await PriceChange.create({
+      service: service._id,
+      price: req.body.price,
+      currency: req.body.currency || service.currency || BASE_CURRENCY,
+      effectiveDate,
+      status: 'scheduled',
+      source: 'schedule',
+      note: req.body.note,
+      createdBy: toCreatedBy(req.user)
+    });
+
+    res.status(201).json({
+      message: 'Cambio de precio programado',
+      change
+    });
+  } catch (error) {
+    handlePriceError(res, error, 'programar el cambio de precio', req.params.id);
+  }
+};
+
+/**
+ * Cancela un cambio de precio programado
+ * @async
+ * @function cancelPriceChange
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio
+ * @param {string} req.params.changeId - ID del cambio programado
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación, 404 si no existe o 409 si ya se aplicó
+ * @example
+ * DELETE /api/services/507f1f77bcf86cd799439011/prices/64f...
+ */
+exports.cancelPriceChange = async (req, res) => {
+  try {
+    const change = await PriceChange.findOne({ _id: req.params.changeId, service: req.params.id });
+    if (!change) {
+      return res.status(404).json({
+        message: 'Cambio de precio no encontrado',
+        id: req.params.changeId
+      });
+    }
+    if (change.status !== 'scheduled') {
+      return res.status(409).json({
+        message: change.status === 'failed'
+          ? 'El cambio de precio ya no está programado: no se pudo aplicar'
+          : 'El cambio de precio ya se aplicó y forma parte del historial'
+      });
+    }
+
+    await change.deleteOne();
+    res.json({ message: 'Cambio de precio cancelado' });
+  } catch (error) {
+    handlePriceError(res, error, 'cancelar el cambio de precio', req.params.changeId);
+  }
+};
+
+/**
+ * Obtiene el precio de un servicio vigente en una fecha
+ * @async
+ * @function getPriceAtDate
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio (puede estar en la papelera)
+ * @param {string} req.query.date - Fecha (YYYY-MM-DD, se toma el final del día en UTC) o fecha-hora ISO
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Precio, moneda y desde cuándo estaba vigente; 404 si el servicio aún no existía
+ * @example
+ * GET /api/services/507f1f77bcf86cd799439011/prices/at?date=2025-03-01
+ * Response: { serviceId: "...", date: "2025-03-01T23:59:59.999Z", price: 899, currency: "USD", since: "2025-01-10T...", change: "..." }
+ */
+exports.getPriceAtDate = async (req, res) => {
+  try {
+    const date = new Date(req.query.date);
+    if (!req.query.date || Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors: ['date debe ser una fecha válida']
+      });
+    }
+    // Una fecha sin hora incluye todo el día indicado
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+
+    const service = await findService(req, res, { withDeleted: true });
+    if (!service) return;
+
+    const price = await getPriceAt(service, date);
+    if (!price) {
+      return res.status(404).json({
+        message: 'El servicio no existía en esa fecha',
+        id: req.params.id
+      });
+    }
+
+    res.json({ serviceId: service._id, date, ...price });
+  } catch (error) {
+    handlePriceError(res, error, 'obtener el precio en la fecha', req.params.id);
+  }
+};
@@ -0,0 +1,513 @@
+/**
+ * @fileoverview Controlador de presupuestos
+ * @description Alta y edición de presupuestos con servicios del catálogo, ciclo de vida
+ * (borrador → enviado → aceptado/rechazado) y generación del PDF. Aceptar un presupuesto
+ * crea las suscripciones del cliente.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const Client = require('../models/Client');
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+const { buildPagination, buildPaginationMeta } = require('../utils/serviceQuery');
+const { recountServiceClients } = require('../utils/subscriptions');
+const { instantiateTaskTemplate } = require('../utils/taskTemplates');
+const { renderQuotePdf } = require('../utils/quotePdf');
+const { MissingExchangeRateError, convertAmount, loadRatesFor } = require('../utils/currency');
+const { clientExists } = require('../utils/clients');
+const { BASE_CURRENCY } = require('../config/currencies');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos de cabecera editables de un presupuesto
+ * @constant {Array<string>} QUOTE_FIELDS
+ */
+const QUOTE_FIELDS = ['client', 'title', 'validUntil', 'notes'];
+
+/**
+ * Campos editables de cada línea (nombre y precio se copian del servicio)
+ * @constant {Array<string>} ITEM_FIELDS
+ */
+const ITEM_FIELDS = ['quantity', 'discount', 'taxRate'];
+
+/**
+ * Responde a los errores comunes de los presupuestos
+ */
+const handleQuoteError = createErrorHandler();
+
+/**
+ * Construye las líneas del presupuesto a partir del body
+ * @async
+ * @param {Array<Object>} rawItems - Líneas recibidas (`service`, `quantity`, `discount`, `taxRate`)
+ * @param {Array<Object>} [currentItems=[]] - Líneas guardadas; una línea con el mismo `_id` y
+ * servicio conserva el nombre y el precio copiados en su momento
+ * @returns {Promise<{items: Array<Object>, errors: Array<string>}>} Líneas listas para el modelo
+ * @description Los presupuestos van en la moneda base: el precio de un servicio en otra moneda
+ * se convierte con el tipo de cambio vigente al copiarlo.
+ */
+const buildItems = async (rawItems, currentItems = []) => {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { items: [], errors: ['El presupuesto debe tener al menos una línea'] };
+  }
+
+  const serviceIds = rawItems.map(item => String(item.service || ''));
+  const invalidIds = serviceIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    return { items: [], errors: ['Cada línea debe indicar un servicio válido'] };
+  }
+
+  const services = await Service.find({ _id: { $in: serviceIds } }, 'name price currency').lean();
+  const rates = await loadRatesFor(services.map(service => service.currency));
+  const serviceById = new Map(services.map(service => [String(service._id), service]));
+  const currentById = new Map(currentItems.map(item => [String(item._id), item]));
+  const errors = [];
+
+  const items = rawItems.map((raw, index) => {
+    const serviceId = String(raw.service);
+    const current = raw._id ? currentById.get(String(raw._id)) : null;
+    const keepSnapshot = current && String(current.service) === serviceId;
+    const service = serviceById.get(serviceId);
+
+    if (!keepSnapshot && !service) {
+      errors.push(`Línea ${index + 1}: el servicio no existe o está en la papelera`);
+      return null;
+    }
+
+    let unitPrice = keepSnapshot ? current.unitPrice : null;
+    if (!keepSnapshot) {
+      try {
+        unitPrice = convertAmount(service.price, service.currency, BASE_CURRENCY, rates);
+      } catch (error) {
+        if (!(error instanceof MissingExchangeRateError)) throw error;
+        errors.push(`Línea ${index + 1}: ${error.message}`);
+        return null;
+      }
+    }
+
+    const item = {
+      service: serviceId,
+      name: keepSnapshot ? current.name : service.name,
+      unitPrice
+    };
+    if (keepSnapshot) {
+      item._id = current._id;
+    }
+    ITEM_FIELDS.forEach(field => {
+      if (raw[field] !== undefined && raw[field] !== '') {
+        item[field] = raw[field];
+      }
+    });
+    return item;
+  });
+
+  return { items, errors };
+};
+
+/**
+ * Copia del body los campos de cabecera presentes
+ * @param {Object} body - req.body
+ * @returns {Object} Datos del presupuesto ('' en validUntil la quita)
+ */
+const pickQuoteFields = (body = {}) => QUOTE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    data[field] = field === 'validUntil' && !body[field] ? null : body[field];
+  }
+  return data;
+}, {});
+
+/**
+ * Lista los presupuestos con filtros y paginación
+ * @async
+ * @function getQuotes
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.status] - draft | sent | accepted | rejected
+ * @param {string} [req.query.client] - ID del cliente
+ * @param {string} [req.query.q] - Texto a buscar en el número o el título
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Presupuestos por página (máximo 100)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Presupuestos (sin líneas, con el cliente) y paginación
+ * @example
+ * GET /api/quotes?status=sent&page=1
+ */
+exports.getQuotes = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+    const statuses = Quote.schema.path('status').enumValues;
+
+    if (req.query.status && !statuses.includes(req.query.status)) {
+      errors.push(`status debe ser uno de: ${statuses.join(', ')}`);
+    }
+    if (req.query.client && !mongoose.Types.ObjectId.isValid(req.query.client)) {
+      errors.push('client debe ser un ID de cliente válido');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.client) filter.client = req.query.client;
+    const searchTerm = String(req.query.q || '').trim();
+    if (searchTerm) {
+      const pattern = new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ number: pattern }, { title: pattern }];
+    }
+
+    const [quotes, total] = await Promise.all([
+      Quote.find(filter, '-items')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('client', 'company')
+        .lean(),
+      Quote.countDocuments(filter)
+    ]);
+
+    res.json({
+      quotes,
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    handleQuoteError(res, error, 'obtener presupuestos');
+  }
+};
+
+/**
+ * Obtiene un presupuesto con sus líneas
+ * @async
+ * @function getQuoteById
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del presupuesto
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Presupuesto con el cliente y el estado actual de cada servicio
+ */
+exports.getQuoteById = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('client', 'company contactName email phone taxId')
+      .populate('items.service', 'name price currency status');
+
+    if (!quote) {
+      return res.status(404).json({
+        message: 'Presupuesto no encontrado',
+        id: req.params.id
+      });
+    }
+
+    res.json({ quote });
+  } catch (error) {
+    handleQuoteError(res, error, 'obtener presupuesto', req.params.id);
+  }
+};
+
+/**
+ * Crea un presupuesto en borrador
+ * @async
+ * @function createQuote
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - client (obligatorio), title, validUntil, notes e items
+ * @param {Array<Object>} req.body.items - Líneas: `service`, `quantity`, `discount` (%) y `taxRate` (%)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Presupuesto creado con código 201
+ * @example
+ * POST /api/quotes
+ * Body: { "client": "64b...", "items": [{ "service": "64a...", "quantity": 3, "discount": 10, "taxRate": 21 }] }
+ */
+exports.createQuote = async (req, res) => {
+  try {
+    if (!(await clientExists(req.body.client))) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['El cliente es obligatorio y debe existir']
+      });
+    }
+
+    const { items, errors } = await buildItems(req.body.items);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    const quote = new Quote({
+      ...pickQuoteFields(req.body),
+      items,
+      createdBy: req.user._id
+    });
+    // Validar antes de reservar el número para no dejar huecos en la numeración
+    await quote.validate({ pathsToSkip: ['number'] });
+    quote.number = await Quote.nextNumber();
+    await quote.save();
+    await quote.populate('client', 'company');
+
+    res.status(201).json({
+      message: 'Presupuesto creado exitosamente',
+      quote
+    });
+  } catch (error) {
+    handleQuoteError(res, error, 'crear presupuesto');
+  }
+};
+
+/**
+ * Modifica un presupuesto en borrador
+ * @async
+ * @function updateQuote
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del presupuesto
+ * @param {Object} req.body - Campos a modificar; `items` sustituye todas las líneas
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Presupuesto actualizado, 404 o 409 si ya no es un borrador
+ */
+exports.updateQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        message: 'Presupuesto no encontrado para actualizar',
+        id: req.params.id
+      });
+    }
+    if (quote.status !== 'draft') {
+      return res.status(409).json({
+        message: 'Solo se pueden editar presupuestos en borrador',
+        status: quote.status
+      });
+    }
+    if (req.body.client !== undefined && !(await clientExists(req.body.client))) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['El cliente debe existir']
+      });
+    }
+
+    quote.set(pickQuoteFields(req.body));
+    if (req.body.items !== undefined) {
+      const { items, errors } = await buildItems(req.body.items, quote.items);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          message: 'Error de validación',
+          errors
+        });
+      }
+      quote.items = items;
+    }
+
+    await quote.save();
+    await quote.populate('client', 'company');
+
+    res.json({
+      message: 'Presupuesto actualizado exitosamente',
+      quote
+    });
+  } catch (error) {
+    handleQuoteError(res, error, 'actualizar presupuesto', req.params.id);
+  }
+};
+
+/**
+ * Cambia el estado de un presupuesto
+ * @async
+ * @function changeQuoteStatus
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del presupuesto
+ * @param {string} req.body.status - Estado destino (sent, accepted, rejected o draft para reabrirlo)
+ * @param {string} [req.body.startDate=hoy] - Al aceptar, inicio de las suscripciones
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Presupuesto actualizado (y `subscriptions` creadas al aceptar)
+ * @description Al aceptar se crea una suscripción del cliente por cada línea, con el importe
+ * de la línea sin impuestos como precio pactado y su impuesto, en la misma transacción que el
+ * cambio de estado y que las tareas de las plantillas de los servicios.
+ * @example
+ * POST /api/quotes/64c.../status
+ * Body: { "status": "accepted", "startDate": "2025-03-01" }
+ */
+exports.changeQuoteStatus = async (req, res) => {
+  try {
+    const { status, startDate } = req.body;
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        message: 'Presupuesto no encontrado',
+        id: req.params.id
+      });
+    }
+    if (!Quote.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: [`status debe ser uno de: ${Quote.schema.path('status').enumValues.join(', ')}`]
+      });
+    }
+    if (!quote.canTransitionTo(status)) {
+      return res.status(409).json({
+        message: `No se puede pasar un presupuesto de "${quote.status}" a "${status}"`,
+        status: quote.status
+      });
+    }
+
+    const now = new Date();
+    quote.status = status;
+    if (status === 'sent') quote.sentAt = now;
+    if (status === 'draft') quote.sentAt = null;
+    if (status === 'rejected') quote.decidedAt = now;
+
+    if (status !== 'accepted') {
+      await quote.save();
+      return res.json({
+        message: 'Estado del presupuesto actualizado',
+        quote
+      });
+    }
+
+    const [clientFound, services] = await Promise.all([
+      Client.exists({ _id: quote.client }),
+      Service.find({ _id: { $in: quote.items.map(item => item.service) } }, '_id').lean()
+    ]);
+    const available = new Set(services.map(service => String(service._id)));
+    const missing = quote.items.filter(item => !available.has(String(item.service)));
+
+    if (!clientFound || missing.length > 0) {
+      return res.status(409).json({
+        message: 'No se puede aceptar el presupuesto',
+        errors: [
+          ...(!clientFound ? ['El cliente ya no existe'] : []),
+          ...missing.map(item => `El servicio "${item.name}" ya no está en el catálogo`)
+        ]
+      });
+    }
+
+    const start = startDate ? new Date(startDate) : now;
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['startDate no es una fecha válida']
+      });
+    }
+
+    // Estado y suscripciones se guardan juntos: un presupuesto aceptado siempre tiene sus suscripciones
+    let subscriptions = [];
+    let createdTasks = 0;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        subscriptions = await Subscription.create(quote.items.map(item => ({
+          client: quote.client,
+          service: item.service,
+          startDate: start,
+          agreedPrice: item.subtotal - item.discountAmount,
+          taxRate: item.taxRate,
+          notes: `Presupuesto ${quote.number}${item.quantity > 1 ? ` · ${item.quantity} ud.` : ''}`,
+          createdBy: req.user._id
+        })), { session, ordered: true });
+
+        createdTasks = 0;
+        // La sesión no admite operaciones en paralelo: una plantilla detrás de otra
+        for (const subscription of subscriptions) {
+          createdTasks += (await instantiateTaskTemplate(subscription, { actor: req.user, session })).length;
+        }
+
+        quote.decidedAt = now;
+        quote.subscriptions = subscriptions.map(subscription => subscription._id);
+        await quote.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await recountServiceClients(quote.items.map(item => item.service));
+
+    res.json({
+      message: `Presupuesto aceptado: ${subscriptions.length} suscripción(es) creadas${createdTasks > 0 ? ` y ${createdTasks} tarea(s) de las plantillas` : ''}`,
+      quote,
+      subscriptions,
+      createdTasks
+    });
+  } catch (error) {
+    handleQuoteError(res, error, 'cambiar el estado del presupuesto', req.params.id);
+  }
+};
+
+/**
+ * Elimina un presupuesto que no ha sido aceptado
+ * @async
+ * @function deleteQuote
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del presupuesto
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación, 404 o 409 si está aceptado
+ */
+exports.deleteQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        message: 'Presupuesto no encontrado para eliminar',
+        id: req.params.id
+      });
+    }
+    // Un presupuesto aceptado es el origen de suscripciones: se conserva como registro
+    if (quote.status === 'accepted') {
+      return res.status(409).json({
+        message: 'No se puede eliminar un presupuesto aceptado',
+        status: quote.status
+      });
+    }
+
+    await quote.deleteOne();
+
+    res.json({
+      message: 'Presupuesto eliminado exitosamente',
+      deletedQuote: {
+        id: quote._id,
+        number: quote.number
+      }
+    });
+  } catch (error) {
+    handleQuoteError(res, error, 'eliminar presupuesto', req.params.id);
+  }
+};
+
+/**
+ * Descarga el presupuesto en PDF
+ * @async
+ * @function downloadQuotePdf
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del presupuesto
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Archivo PDF como adjunto
+ */
+exports.downloadQuotePdf = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('client', 'company contactName email phone taxId')
+      .lean();
+
+    if (!quote) {
+      return res.status(404).json({
+        message: 'Presupuesto no encontrado',
+        id: req.params.id
+      });
+    }
+
+    const buffer = await renderQuotePdf(quote);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="presupuesto-${quote.number}.pdf"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    handleQuoteError(res, error, 'generar el PDF del presupuesto', req.params.id);
+  }
+};
@@ -0,0 +1,887 @@
+/**
+ * @fileoverview Controlador para la gestión de servicios de marketing
+ * @description Maneja todas las operaciones CRUD y lógica de negocio para servicios
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+const AuditLog = require('../models/AuditLog');
+const { parseServiceListQuery, buildServiceSort, buildPagination, buildPaginationMeta } = require('../utils/serviceQuery');
+const { snapshot, diffSnapshots, recordAudit } = require('../utils/audit');
+const { recordPriceChange } = require('../utils/priceHistory');
+const { getRetentionDays, getPurgeDate } = require('../config/trash');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { computeServiceStats } = require('../utils/serviceStats');
+const { removeServiceDependents, findServicesWithSubscriptions } = require('../jobs/purgeTrash');
+const { MissingExchangeRateError } = require('../utils/currency');
+const { openEventStream } = require('../utils/realtime');
+const { parseStatsHistoryQuery, loadStatsHistory } = require('../utils/statsHistory');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, parseCurrency } = require('../config/currencies');
+
+/**
+ * Campos estructurados de la duración que se pueden modificar (la etiqueta `duration` se regenera)
+ * @constant {Array<string>} DURATION_FIELDS
+ */
+const DURATION_FIELDS = ['billingModel', 'billingInterval', 'estimatedDuration'];
+
+/**
+ * Comprueba si el usuario puede dejar un servicio en el estado indicado.
+ * Pasar un servicio a Inactivo requiere el permiso services:deactivate (solo admin).
+ * @param {Object} user - Usuario autenticado
+ * @param {string} nextStatus - Estado que tendrá el servicio
+ * @param {string} [currentStatus] - Estado actual (undefined al crear)
+ * @returns {boolean} true si el cambio está permitido
+ */
+const canSetStatus = (user, nextStatus, currentStatus) => (
+  nextStatus !== 'Inactivo' ||
+  currentStatus === 'Inactivo' ||
+  hasPermission(user, PERMISSIONS.SERVICES_DEACTIVATE)
+);
+
+/**
+ * Respuesta 403 para cambios de estado no permitidos
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Object} Respuesta enviada
+ */
+const forbidStatusChange = (res) => res.status(403).json({
+  message: 'Solo un administrador puede cambiar el estado a Inactivo',
+  requiredPermissions: [PERMISSIONS.SERVICES_DEACTIVATE]
+});
+
+/**
+ * Obtiene los servicios de la base de datos con paginación, orden y filtros
+ * @async
+ * @function getAllServices
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {number} [req.query.page=1] - Página solicitada (base 1)
+ * @param {number} [req.query.limit=20] - Servicios por página (máximo 100)
+ * @param {string} [req.query.sortBy=createdAt] - Campo de orden (name, category, price, status, clients, createdAt, updatedAt)
+ * @param {string} [req.query.order=desc] - Dirección del orden (asc | desc)
+ * @param {string} [req.query.category] - Una o varias categorías separadas por comas
+ * @param {string} [req.query.status] - Uno o varios estados separados por comas
+ * @param {number} [req.query.minPrice] - Precio mínimo
+ * @param {number} [req.query.maxPrice] - Precio máximo
+ * @param {string} [req.query.createdFrom] - Fecha de creación desde (YYYY-MM-DD)
+ * @param {string} [req.query.createdTo] - Fecha de creación hasta (YYYY-MM-DD)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Página de servicios con metadatos de paginación
+ * @example
+ * GET /api/services?page=2&limit=10&sortBy=price&order=asc&status=Activo&minPrice=500
+ * Response: {
+ *   services: [{ _id: "...", name: "SEO & Posicionamiento Web", price: 899, ... }],
+ *   pagination: { total: 24, page: 2, limit: 10, totalPages: 3, hasNextPage: true, hasPrevPage: true },
+ *   sort: { field: "price", order: "asc" },
+ *   filters: { status: ["Activo"], price: { min: 500 } }
+ * }
+ */
+exports.getAllServices = async (req, res) => {
+  try {
+    const {
+      filter,
+      applied,
+      sort,
+      sortField,
+      sortOrder,
+      page,
+      limit,
+      skip,
+      errors
+    } = parseServiceListQuery(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const [services, total] = await Promise.all([
+      Service.find(filter).sort(sort).skip(skip).limit(limit),
+      Service.countDocuments(filter)
+    ]);
+
+    res.json({
+      services,
+      pagination: buildPaginationMeta(total, page, limit),
+      sort: { field: sortField, order: sortOrder },
+      filters: applied
+    });
+  } catch (error) {
+    console.error('Error al obtener servicios:', error);
+    res.status(500).json({ 
+      message: 'Error interno del servidor al obtener servicios',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Búsqueda de texto completo sobre nombre y descripción, ordenada por relevancia
+ * @async
+ * @function searchServices
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} req.query.q - Texto a buscar (admite varias palabras y "frases exactas")
+ * @param {string} [req.query.sortBy=score] - score (relevancia) o cualquier campo ordenable del listado
+ * @param {string} [req.query.order=desc] - Dirección del orden cuando no se ordena por relevancia
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Página de servicios con su puntuación de relevancia
+ * @description Usa el índice de texto del modelo (idioma español, insensible a tildes),
+ * por lo que "analisis" encuentra "Análisis" y "campaña" encuentra "campañas".
+ * Acepta los mismos filtros y paginación que GET /api/services.
+ * @example
+ * GET /api/services/search?q=analisis&status=Activo
+ * Response: {
+ *   query: "analisis",
+ *   services: [{ _id: "...", name: "Marketing Analytics", score: 1.8, ... }],
+ *   pagination: { total: 1, page: 1, limit: 20, totalPages: 1, ... }
+ * }
+ */
+exports.searchServices = async (req, res) => {
+  try {
+    const { q = '', sortBy, order, ...listQuery } = req.query;
+    const searchTerm = String(q).trim();
+
+    if (!searchTerm) {
+      return res.status(400).json({
+        message: 'El parámetro de búsqueda "q" es obligatorio'
+      });
+    }
+
+    const { filter, applied, page, limit, skip, errors } = parseServiceListQuery(listQuery);
+
+    // Por defecto se ordena por relevancia; cualquier otro campo usa el orden del listado
+    const sortByScore = !sortBy || sortBy === 'score';
+    const fieldSort = sortByScore ? null : buildServiceSort({ sortBy, order });
+    if (fieldSort) {
+      errors.push(...fieldSort.errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const textFilter = {
+      ...filter,
+      $text: {
+        $search: searchTerm,
+        $language: 'spanish',
+        $diacriticSensitive: false,
+        $caseSensitive: false
+      }
+    };
+    const scoreProjection = { score: { $meta: 'textScore' } };
+    const sort = sortByScore ? { score: { $meta: 'textScore' }, _id: -1 } : fieldSort.sort;
+
+    const [results, total] = await Promise.all([
+      Service.find(textFilter, scoreProjection).sort(sort).skip(skip).limit(limit),
+      Service.countDocuments(textFilter)
+    ]);
+
+    const services = results.map(service => {
+      const json = service.toJSON();
+      return { ...json, score: Math.round((json.score || 0) * 1000) / 1000 };
+    });
+
+    res.json({
+      query: searchTerm,
+      services,
+      pagination: buildPaginationMeta(total, page, limit),
+      sort: sortByScore
+        ? { field: 'score', order: 'desc' }
+        : { field: fieldSort.field, order: fieldSort.order },
+      filters: applied
+    });
+  } catch (error) {
+    console.error('Error en la búsqueda de servicios:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al buscar servicios',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Crea un nuevo servicio en la base de datos
+ * @async
+ * @function createService
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - Datos del servicio a crear
+ * @param {string} req.body.name - Nombre del servicio
+ * @param {string} req.body.category - Categoría del servicio
+ * @param {number} req.body.price - Precio del servicio
+ * @param {string} [req.body.currency="USD"] - Moneda del precio (USD, EUR, MXN, COP)
+ * @param {string} req.body.billingModel - Modelo de facturación (recurring, one-off, per-campaign)
+ * @param {Object} [req.body.billingInterval] - Periodicidad `{ unit, count }` (obligatoria si es recurring)
+ * @param {Object} [req.body.estimatedDuration] - Duración estimada `{ min, max, unit }`
+ * @param {string} [req.body.duration] - Texto de la duración; solo se usa si no se envía
+ * billingModel, y entonces se interpreta ("Mensual", "3-6 meses", "Por campaña")
+ * @param {string} [req.body.status="Nuevo"] - Estado del servicio
+ * @param {string} req.body.description - Descripción del servicio
+ * @param {Array<Object>} [req.body.tiers] - Niveles `{ name, price, deliverables, limits }`; si se
+ * envían, `price` pasa a ser el del nivel más barato
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Servicio creado con código 201
+ * @example
+ * POST /api/services
+ * Body: {
+ *   "name": "Email Marketing",
+ *   "category": "Digital",
+ *   "price": 399,
+ *   "billingModel": "recurring",
+ *   "billingInterval": { "unit": "month", "count": 1 },
+ *   "description": "Campañas automatizadas de email"
+ * }
+ */
+exports.createService = async (req, res) => {
+  if (!canSetStatus(req.user, req.body.status)) {
+    return forbidStatusChange(res);
+  }
+
+  const service = new Service({
+    name: req.body.name,
+    category: req.body.category,
+    price: req.body.price,
+    currency: req.body.currency,
+    duration: req.body.duration,
+    billingModel: req.body.billingModel,
+    billingInterval: req.body.billingInterval,
+    estimatedDuration: req.body.estimatedDuration,
+    status: req.body.status || 'Nuevo',
+    description: req.body.description,
+    tiers: req.body.tiers
+  });
+
+  try {
+    const newService = await service.save();
+    await recordAudit({
+      entityType: 'Service',
+      entity: newService,
+      action: 'create',
+      actor: req.user,
+      changes: diffSnapshots({}, snapshot(newService))
+    });
+    await recordPriceChange({ service: newService, before: null, source: 'create', actor: req.user });
+
+    res.status(201).json({
+      message: 'Servicio creado exitosamente',
+      service: newService
+    });
+  } catch (error) {
+    console.error('Error al crear servicio:', error);
+    
+    // Manejo específico de errores de validación
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ 
+        message: 'Error de validación',
+        errors: validationErrors
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Error interno del servidor al crear servicio',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Obtiene un servicio específico por su ID
+ * @async
+ * @function getServiceById
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio a buscar
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Servicio encontrado o error 404
+ * @example
+ * GET /api/services/507f1f77bcf86cd799439011
+ */
+exports.getServiceById = async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+    if (service) {
+      res.json(service);
+    } else {
+      res.status(404).json({ 
+        message: 'Servicio no encontrado',
+        id: req.params.id
+      });
+    }
+  } catch (error) {
+    console.error('Error al obtener servicio por ID:', error);
+    
+    // Manejo específico de errores de ObjectId inválido
+    if (error.name === 'CastError') {
+      res.status(400).json({ 
+        message: 'ID de servicio inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Error interno del servidor',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Actualiza un servicio existente
+ * @async
+ * @function updateService
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio a actualizar
+ * @param {Object} req.body - Datos a actualizar (campos opcionales)
+ * @param {Array<Object>} [req.body.tiers] - Lista completa de niveles en su nuevo orden (los que
+ * conservan `_id` mantienen su identificador; `[]` vuelve a un precio único)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Servicio actualizado o error 404
+ * @example
+ * PUT /api/services/507f1f77bcf86cd799439011
+ * Body: {
+ *   "price": 599,
+ *   "status": "Activo"
+ * }
+ */
+exports.updateService = async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+    if (service) {
+      if (!canSetStatus(req.user, req.body.status || service.status, service.status)) {
+        return forbidStatusChange(res);
+      }
+
+      const before = snapshot(service);
+
+      service.name = req.body.name || service.name;
+      service.category = req.body.category || service.category;
+      service.price = req.body.price !== undefined ? req.body.price : service.price;
+      service.currency = req.body.currency || service.currency;
+      service.duration = req.body.duration || service.duration;
+      DURATION_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          service[field] = req.body[field];
+        }
+      });
+      service.status = req.body.status || service.status;
+      service.description = req.body.description || service.description;
+      if (req.body.tiers !== undefined) {
+        service.tiers = req.body.tiers;
+      }
+
+      const updatedService = await service.save();
+      await recordAudit({
+        entityType: 'Service',
+        entity: updatedService,
+        action: 'update',
+        actor: req.user,
+        changes: diffSnapshots(before, snapshot(updatedService))
+      });
+      await recordPriceChange({ service: updatedService, before, source: 'update', actor: req.user });
+
+      res.json({
+        message: 'Servicio actualizado exitosamente',
+        service: updatedService
+      });
+    } else {
+      res.status(404).json({ 
+        message: 'Servicio no encontrado para actualizar',
+        id: req.params.id
+      });
+    }
+  } catch (error) {
+    console.error('Error al actualizar servicio:', error);
+    
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      res.status(400).json({ 
+        message: 'Error de validación en actualización',
+        errors: validationErrors
+      });
+    } else if (error.name === 'CastError') {
+      res.status(400).json({ 
+        message: 'ID de servicio inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Error interno del servidor al actualizar',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Mueve un servicio a la papelera (eliminación lógica)
+ * @async
+ * @function deleteService
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio a eliminar
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación con la fecha de purga o error 404
+ * @description El servicio deja de aparecer en listados, búsquedas y estadísticas,
+ * puede restaurarse desde la papelera y se borra definitivamente al cumplirse
+ * SERVICE_TRASH_RETENTION_DAYS.
+ * @example
+ * DELETE /api/services/507f1f77bcf86cd799439011
+ */
+exports.deleteService = async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+    if (service) {
+      const deletedAt = new Date();
+      // updateOne evita revalidar documentos antiguos que ya no cumplen el esquema
+      await Service.updateOne(
+        { _id: service._id },
+        { $set: { deletedAt, deletedBy: req.user._id } },
+        { timestamps: false }
+      );
+      await recordAudit({
+        entityType: 'Service',
+        entity: service,
+        action: 'delete',
+        actor: req.user,
+        changes: diffSnapshots(snapshot(service), {})
+      });
+
+      res.json({ 
+        message: 'Servicio movido a la papelera',
+        deletedService: {
+          id: service._id,
+          name: service.name,
+          deletedAt,
+          purgeAt: getPurgeDate(deletedAt)
+        }
+      });
+    } else {
+      res.status(404).json({ 
+        message: 'Servicio no encontrado para eliminar',
+        id: req.params.id
+      });
+    }
+  } catch (error) {
+    console.error('Error al eliminar servicio:', error);
+    
+    if (error.name === 'CastError') {
+      res.status(400).json({ 
+        message: 'ID de servicio inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Error interno del servidor al eliminar',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Lista los servicios de la papelera, del eliminado más recientemente al más antiguo
+ * @async
+ * @function getTrash
+ * @param {Object} req - Objeto de request de Express
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Servicios por página (máximo 100)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Servicios eliminados con quién los eliminó y su fecha de purga
+ * @example
+ * GET /api/services/trash
+ * Response: {
+ *   services: [{ _id: "...", name: "Email Marketing", deletedAt: "...", deletedBy: { name: "Ana" }, purgeAt: "..." }],
+ *   pagination: { total: 1, page: 1, limit: 20, ... },
+ *   retentionDays: 30
+ * }
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const filter = { deletedAt: { $ne: null } };
+    const [results, total] = await Promise.all([
+      Service.find(filter)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('deletedBy', 'name email'),
+      Service.countDocuments(filter)
+    ]);
+
+    res.json({
+      services: results.map(service => ({
+        ...service.toJSON(),
+        purgeAt: getPurgeDate(service.deletedAt)
+      })),
+      pagination: buildPaginationMeta(total, page, limit),
+      retentionDays: getRetentionDays()
+    });
+  } catch (error) {
+    console.error('Error al obtener la papelera:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al obtener la papelera',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Restaura un servicio de la papelera
+ * @async
+ * @function restoreService
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio eliminado
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Servicio restaurado o error 404 si no está en la papelera
+ * @example
+ * POST /api/services/507f1f77bcf86cd799439011/restore
+ */
+exports.restoreService = async (req, res) => {
+  try {
+    const service = await Service.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { new: true, timestamps: false }
+    );
+
+    if (!service) {
+      return res.status(404).json({
+        message: 'Servicio no encontrado en la papelera',
+        id: req.params.id
+      });
+    }
+
+    await recordAudit({
+      entityType: 'Service',
+      entity: service,
+      action: 'restore',
+      actor: req.user,
+      changes: []
+    });
+
+    res.json({
+      message: 'Servicio restaurado correctamente',
+      service
+    });
+  } catch (error) {
+    console.error('Error al restaurar servicio:', error);
+
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        message: 'ID de servicio inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error interno del servidor al restaurar',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Elimina definitivamente un servicio que está en la papelera
+ * @async
+ * @function purgeService
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio eliminado
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación o error 404 si no está en la papelera
+ * @description Solo borra servicios ya eliminados; un servicio activo debe
+ * pasar antes por DELETE /api/services/:id. Un servicio con suscripciones no se puede purgar
+ * (409); se borran sus tareas de entrega y su plantilla, y el historial de auditoría se conserva.
+ * @example
+ * DELETE /api/services/507f1f77bcf86cd799439011/purge
+ */
+exports.purgeService = async (req, res) => {
+  try {
+    // Las suscripciones son el historial de los clientes con el servicio: se conservan con él
+    if (mongoose.Types.ObjectId.isValid(req.params.id) &&
+        (await findServicesWithSubscriptions([req.params.id])).size > 0) {
+      return res.status(409).json({
+        message: 'No se puede eliminar definitivamente un servicio con suscripciones (conservan el historial de sus clientes)',
+        id: req.params.id
+      });
+    }
+
+    const service = await Service.findOneAndDelete({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!service) {
+      return res.status(404).json({
+        message: 'Servicio no encontrado en la papelera',
+        id: req.params.id
+      });
+    }
+
+    await removeServiceDependents([service._id]);
+    await recordAudit({
+      entityType: 'Service',
+      entity: service,
+      action: 'purge',
+      actor: req.user,
+      changes: []
+    });
+
+    res.json({
+      message: 'Servicio eliminado definitivamente',
+      purgedService: {
+        id: service._id,
+        name: service.name
+      }
+    });
+  } catch (error) {
+    console.error('Error al purgar servicio:', error);
+
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        message: 'ID de servicio inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error interno del servidor al eliminar definitivamente',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Obtiene el historial de cambios de un servicio, del más reciente al más antiguo
+ * @async
+ * @function getServiceHistory
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio
+ * @param {number} [req.query.page=1] - Página solicitada
+ * @param {number} [req.query.limit=20] - Entradas por página (máximo 100)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Entradas de auditoría con paginación
+ * @description También funciona con servicios ya eliminados, ya que el historial
+ * se conserva aunque el documento no exista.
+ * @example
+ * GET /api/services/507f1f77bcf86cd799439011/history
+ * Response: {
+ *   serviceId: "507f1f77bcf86cd799439011",
+ *   history: [{ action: "update", actor: { name: "Ana" }, changes: [{ field: "price", before: 899, after: 999 }], createdAt: "..." }],
+ *   pagination: { total: 3, page: 1, limit: 20, ... }
+ * }
+ */
+exports.getServiceHistory = async (req, res) => {
+  try {
+    const { page, limit, skip, errors } = buildPagination(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros de consulta inválidos',
+        errors
+      });
+    }
+
+    const filter = { entityType: 'Service', entityId: req.params.id };
+    const [history, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      serviceId: req.params.id,
+      history,
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    console.error('Error al obtener historial del servicio:', error);
+
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        message: 'ID de servicio inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error interno del servidor al obtener historial',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+/**
+ * Obtiene servicios filtrados por categoría
+ * @async
+ * @function getServicesByCategory
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.category - Nombre o slug de la categoría (también las desactivadas)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Lista de servicios de la categoría especificada
+ * @example
+ * GET /api/services/category/Digital
+ * GET /api/services/category/diseno
+ */
+exports.getServicesByCategory = async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      $or: [{ name: req.params.category }, { slug: req.params.category.toLowerCase() }]
+    }).lean();
+
+    if (!category) {
+      const categories = await Category.find({}, 'name').sort({ order: 1, name: 1 }).lean();
+      return res.status(400).json({
+        message: 'Categoría inválida',
+        validCategories: categories.map(({ name }) => name),
+        receivedCategory: req.params.category
+      });
+    }
+    
+    const services = await Service.find({ category: category.name }).sort({ createdAt: -1 });
+    
+    res.json({
+      category: category.name,
+      count: services.length,
+      services
+    });
+  } catch (error) {
+    console.error('Error al obtener servicios por categoría:', error);
+    res.status(500).json({ 
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Obtiene estadísticas generales de los servicios
+ * @async
+ * @function getServiceStats
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.currency="USD"] - Moneda en la que se expresan precios e ingresos
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Objeto con estadísticas agregadas
+ * @description El cálculo está en utils/serviceStats e incluye `breakdown.byCategory`,
+ * `breakdown.byStatus` y el resumen de paquetes (`bundles`), los mismos datos del informe PDF. Los precios de cada servicio se
+ * convierten a la moneda pedida; si falta algún tipo de cambio responde 422 con las monedas.
+ * @example
+ * GET /api/services/stats?currency=EUR
+ * Response: {
+ *   overview: { totalServices: 10, activeServices: 8 },
+ *   pricing: { currency: "EUR", averagePrice: 736, minPrice: 275.5, maxPrice: 1380 },
+ *   bundles: { totalBundles: 3, availableBundles: 2, flaggedBundles: 1, averagePrice: 1450, averageSavings: 210 },
+ *   ...
+ * }
+ */
+exports.getServiceStats = async (req, res) => {
+  const currency = req.query.currency === undefined ? undefined : parseCurrency(req.query.currency);
+  if (currency === null) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors: [`currency debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}`]
+    });
+  }
+
+  try {
+    const stats = await computeServiceStats({ currency });
+
+    res.json(stats);
+  } catch (error) {
+    if (error instanceof MissingExchangeRateError) {
+      return res.status(422).json({ message: error.message, currencies: error.currencies });
+    }
+
+    console.error('Error al obtener estadísticas:', error);
+    res.status(500).json({ 
+      message: 'Error interno del servidor al obtener estadísticas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}; 
+
+/**
+ * Obtiene la evolución de las estadísticas a partir de las instantáneas diarias
+ * @async
+ * @function getStatsHistory
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} [req.query.from] - Desde (por defecto, 90 días antes de `to`)
+ * @param {string} [req.query.to] - Hasta (por defecto, hoy)
+ * @param {string} [req.query.granularity="day"] - day, week o month
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Rango, granularidad, moneda base y un punto por periodo
+ * @description Cada punto lleva las cifras del último día con instantánea del periodo. Los
+ * importes van en la moneda base, convertidos con los tipos de cambio del día de la instantánea.
+ * @example
+ * GET /api/services/stats/history?from=2025-01-01&to=2025-06-30&granularity=month
+ * Response: {
+ *   granularity: "month", currency: "USD",
+ *   points: [{ date: "2025-01-01T00:00:00.000Z", services: { total: 12, active: 9, ... },
+ *              clients: 40, pricing: { averagePrice: 820, ... }, ... }, ...]
+ * }
+ */
+exports.getStatsHistory = async (req, res) => {
+  const { from, to, granularity, errors } = parseStatsHistoryQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      message: 'Parámetros inválidos',
+      errors
+    });
+  }
+
+  try {
+    const points = await loadStatsHistory({ from, to, granularity });
+
+    res.json({
+      from,
+      to,
+      granularity,
+      currency: BASE_CURRENCY,
+      points
+    });
+  } catch (error) {
+    console.error('Error al obtener el histórico de estadísticas:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al obtener el histórico de estadísticas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Abre el canal de eventos en tiempo real del catálogo (Server-Sent Events)
+ * @function streamServiceEvents
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express (queda abierto hasta que el cliente se desconecta)
+ * @returns {void}
+ * @description Envía `service` por cada servicio creado, modificado, eliminado, restaurado o
+ * purgado (con el servicio actualizado y quién hizo el cambio), `services:reload` tras lotes
+ * grandes y `stats` cuando cambian las estadísticas. Ver utils/realtime.
+ * @example
+ * GET /api/services/events
+ * event: service
+ * data: {"action":"update","serviceId":"...","service":{...},"actor":{"name":"Ana"},"at":"..."}
+ */
+exports.streamServiceEvents = (req, res) => {
+  try {
+    openEventStream(req, res);
+  } catch (error) {
+    console.error('Error al abrir el canal de eventos:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        message: 'Error interno del servidor al abrir el canal de eventos',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    } else {
+      res.end();
+    }
+  }
+};
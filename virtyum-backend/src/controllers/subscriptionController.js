@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Controlador de suscripciones de clientes a servicios
+ * @description Alta, edición y baja de suscripciones. Cada cambio recalcula el número
+ * de clientes de los servicios afectados.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+const Task = require('../models/Task');
+const { recountServiceClients } = require('../utils/subscriptions');
+const { toBaseCurrency } = require('../utils/currency');
+const { instantiateTaskTemplate } = require('../utils/taskTemplates');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos editables de una suscripción
+ * @constant {Array<string>} SUBSCRIPTION_FIELDS
+ */
+const SUBSCRIPTION_FIELDS = ['service', 'startDate', 'endDate', 'agreedPrice', 'taxRate', 'notes'];
+
+/**
+ * Responde a los errores comunes de las suscripciones
+ */
+const handleSubscriptionError = createErrorHandler({
+  handle: (res, error) => error.name === 'MissingExchangeRateError' && res.status(400).json({
+    message: 'Error de validación',
+    errors: [`${error.message}; indica el precio pactado o fija el tipo de cambio`]
+  })
+});
+
+/**
+ * Busca la suscripción de un cliente o responde 404
+ * @async
+ * @param {Object} req - Objeto de request de Express (params.id y params.subscriptionId)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<Subscription|null>} Suscripción, o null si ya se respondió
+ */
+const findClientSubscription = async (req, res) => {
+  const subscription = await Subscription.findOne({
+    _id: req.params.subscriptionId,
+    client: req.params.id
+  });
+
+  if (!subscription) {
+    res.status(404).json({
+      message: 'Suscripción no encontrada para este cliente',
+      id: req.params.subscriptionId
+    });
+    return null;
+  }
+  return subscription;
+};
+
+/**
+ * Suscribe un cliente a un servicio
+ * @async
+ * @function createSubscription
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {string} req.body.service - ID del servicio
+ * @param {string} [req.body.startDate=hoy] - Inicio de la vigencia
+ * @param {string} [req.body.endDate] - Fin de la vigencia (sin fin si se omite)
+ * @param {number} [req.body.agreedPrice] - Precio pactado en la moneda base (por defecto, el precio
+ * actual del servicio convertido con el tipo de cambio vigente)
+ * @param {number} [req.body.taxRate=0] - Impuesto en porcentaje que se aplica al facturar
+ * @param {string} [req.body.notes] - Condiciones o comentarios
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Suscripción creada con código 201 y `createdTasks`
+ * @description Si el servicio tiene plantilla de tareas, sus tareas se crean en la misma
+ * transacción que la suscripción.
+ * @example
+ * POST /api/clients/64b.../subscriptions
+ * Body: { "service": "64a...", "startDate": "2025-02-01", "agreedPrice": 799 }
+ */
+exports.createSubscription = async (req, res) => {
+  try {
+    const [client, service] = await Promise.all([
+      Client.findById(req.params.id),
+      req.body.service ? Service.findById(req.body.service) : null
+    ]);
+
+    if (!client) {
+      return res.status(404).json({
+        message: 'Cliente no encontrado',
+        id: req.params.id
+      });
+    }
+    if (!service) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['El servicio es obligatorio y debe existir en el catálogo']
+      });
+    }
+
+    const agreedPrice = req.body.agreedPrice !== undefined && req.body.agreedPrice !== ''
+      ? req.body.agreedPrice
+      : await toBaseCurrency(service.price, service.currency);
+
+    let subscription;
+    let tasks = [];
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        [subscription] = await Subscription.create([{
+          client: client._id,
+          service: service._id,
+          startDate: req.body.startDate || undefined,
+          endDate: req.body.endDate || null,
+          agreedPrice,
+          taxRate: req.body.taxRate !== '' ? req.body.taxRate : undefined,
+          notes: req.body.notes,
+          createdBy: req.user._id
+        }], { session });
+        tasks = await instantiateTaskTemplate(subscription, { actor: req.user, session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    await recountServiceClients([service._id]);
+    await subscription.populate('service', 'name category price currency status duration');
+
+    res.status(201).json({
+      message: tasks.length > 0
+        ? `Suscripción creada exitosamente con ${tasks.length} tarea(s) de la plantilla`
+        : 'Suscripción creada exitosamente',
+      subscription,
+      createdTasks: tasks.length
+    });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'crear suscripción');
+  }
+};
+
+/**
+ * Modifica una suscripción (fechas, precio pactado, notas o servicio)
+ * @async
+ * @function updateSubscription
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {string} req.params.subscriptionId - ID de la suscripción
+ * @param {Object} req.body - Campos a modificar; `endDate: null` la deja sin fecha de fin
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Suscripción actualizada o error 404
+ * @example
+ * PUT /api/clients/64b.../subscriptions/64c...
+ * Body: { "endDate": "2025-06-30" }
+ */
+exports.updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findClientSubscription(req, res);
+    if (!subscription) return;
+
+    const previousService = subscription.service;
+    if (req.body.service && String(req.body.service) !== String(previousService)) {
+      const service = await Service.findById(req.body.service);
+      if (!service) {
+        return res.status(400).json({
+          message: 'Error de validación',
+          errors: ['El servicio debe existir en el catálogo']
+        });
+      }
+    }
+
+    SUBSCRIPTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = field === 'endDate' && req.body.endDate === '' ? null : req.body[field];
+      }
+    });
+
+    await subscription.save();
+    await recountServiceClients([previousService, subscription.service]);
+    await subscription.populate('service', 'name category price currency status duration');
+
+    res.json({
+      message: 'Suscripción actualizada exitosamente',
+      subscription
+    });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'actualizar suscripción');
+  }
+};
+
+/**
+ * Elimina una suscripción (para finalizarla conservando el registro, usar endDate)
+ * @async
+ * @function deleteSubscription
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {string} req.params.subscriptionId - ID de la suscripción
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación o error 404
+ */
+exports.deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await findClientSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.deleteOne();
+    await recountServiceClients([subscription.service]);
+    // Las tareas siguen asociadas al cliente aunque ya no a la suscripción
+    await Task.updateMany({ subscription: subscription._id }, { $set: { subscription: null } });
+
+    res.json({
+      message: 'Suscripción eliminada exitosamente',
+      id: subscription._id
+    });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'eliminar suscripción');
+  }
+};
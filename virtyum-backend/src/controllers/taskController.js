@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Controlador de tareas de entrega
+ * @description Seguimiento del trabajo para entregar cada servicio: tareas con responsable,
+ * fecha límite, prioridad, estado y lista de comprobación, opcionalmente dentro de la
+ * suscripción de un cliente
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { parseTaskListQuery } = require('../utils/taskQuery');
+const { buildPaginationMeta } = require('../utils/serviceQuery');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos editables de una tarea (los vínculos se validan aparte)
+ * @constant {Array<string>} TASK_FIELDS
+ */
+const TASK_FIELDS = ['title', 'description', 'dueDate', 'priority', 'status', 'checklist'];
+
+/**
+ * Datos relacionados que acompañan a cada tarea. El servicio se incluye aunque esté en la
+ * papelera para que la tarea siga mostrando a qué pertenece.
+ * @constant {Array<Object>} TASK_POPULATE
+ */
+const TASK_POPULATE = [
+  { path: 'service', select: 'name category status deletedAt', options: { withDeleted: true } },
+  { path: 'client', select: 'company' },
+  { path: 'assignee', select: 'name email' },
+  { path: 'createdBy', select: 'name' },
+  { path: 'dependsOn', select: 'title status' }
+];
+
+/**
+ * Estados que exigen tener terminadas las tareas de las que se depende
+ * @constant {Array<string>} STARTED_STATUSES
+ */
+const STARTED_STATUSES = ['in_progress', 'done'];
+
+/**
+ * Responde a los errores comunes de las tareas
+ */
+const handleTaskError = createErrorHandler();
+
+/**
+ * Copia del body los campos editables presentes
+ * @param {Object} body - req.body
+ * @returns {Object} Datos de la tarea
+ */
+const pickTaskFields = (body = {}) => TASK_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    // Un campo de fecha vacío en el formulario quita la fecha límite
+    data[field] = field === 'dueDate' && body[field] === '' ? null : body[field];
+  }
+  return data;
+}, {});
+
+/**
+ * Lee un ID de referencia del body
+ * @param {*} value - Valor recibido (ID, documento poblado, null o '')
+ * @returns {string|null|undefined} ID, null para quitar el vínculo o undefined si no viene
+ */
+const readRef = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return String(value._id || value);
+};
+
+/**
+ * Valida el servicio, la suscripción y el responsable de una tarea
+ * @async
+ * @param {Object} body - req.body
+ * @param {Task|null} [task=null] - Tarea guardada (null al crear)
+ * @returns {Promise<{links: Object, errors: Array<string>}>} Vínculos listos para el modelo
+ * @description Si se indica una suscripción sin servicio, el servicio se toma de ella; el
+ * cliente siempre se copia de la suscripción. Un servicio en la papelera solo se admite si la
+ * tarea ya pertenecía a él.
+ */
+const resolveLinks = async (body, task = null) => {
+  const links = {};
+  const errors = [];
+  const serviceRef = readRef(body.service);
+  const subscriptionRef = readRef(body.subscription);
+  const assigneeRef = readRef(body.assignee);
+
+  const invalid = [
+    ['service', serviceRef],
+    ['subscription', subscriptionRef],
+    ['assignee', assigneeRef]
+  ].filter(([, ref]) => ref && !mongoose.Types.ObjectId.isValid(ref));
+  if (invalid.length > 0) {
+    return { links, errors: invalid.map(([field]) => `${field} debe ser un ID válido`) };
+  }
+
+  let subscription = null;
+  if (subscriptionRef) {
+    subscription = await Subscription.findById(subscriptionRef, 'client service').lean();
+    if (!subscription) {
+      errors.push('La suscripción no existe');
+    } else {
+      links.subscription = subscription._id;
+      links.client = subscription.client;
+    }
+  } else if (subscriptionRef === null) {
+    links.subscription = null;
+    links.client = null;
+  } else if (task?.subscription) {
+    subscription = await Subscription.findById(task.subscription, 'service').lean();
+  }
+
+  const currentService = task ? String(task.service) : null;
+  const serviceId = serviceRef || (subscriptionRef && subscription ? String(subscription.service) : currentService);
+  if (!serviceId) {
+    errors.push('El servicio es obligatorio');
+  } else if (serviceId !== currentService) {
+    if (!await Service.exists({ _id: serviceId })) {
+      errors.push('El servicio no existe o está en la papelera');
+    } else {
+      links.service = serviceId;
+    }
+  }
+
+  if (serviceId && subscription && String(subscription.service) !== serviceId) {
+    errors.push('La suscripción no corresponde al servicio de la tarea');
+  }
+
+  if (assigneeRef) {
+    if (!await User.exists({ _id: assigneeRef })) {
+      errors.push('El responsable no existe');
+    } else {
+      links.assignee = assigneeRef;
+    }
+  } else if (assigneeRef === null) {
+    links.assignee = null;
+  }
+
+  return { links, errors };
+};
+
+/**
+ * Lista las tareas con filtros y paginación
+ * @async
+ * @function getTasks
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.query - Filtros (ver utils/taskQuery: q, service, client, subscription,
+ * assignee, status, priority, overdue, dueFrom, dueTo), sortBy, order, page y limit
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Página de tareas con sus datos relacionados
+ * @example
+ * GET /api/tasks?assignee=me&status=todo,in_progress&sortBy=dueDate&order=asc
+ * Response: {
+ *   tasks: [{ title: "Auditoría SEO inicial", service: { name: "SEO" }, status: "todo", ... }],
+ *   pagination: { total: 32, page: 1, limit: 20, totalPages: 2, ... }
+ * }
+ */
+exports.getTasks = async (req, res) => {
+  try {
+    const { filter, sort, page, limit, skip, errors } = parseTaskListQuery(req.query, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors
+      });
+    }
+
+    const [tasks, total] = await Promise.all([
+      Task.find(filter).sort(sort).skip(skip).limit(limit).populate(TASK_POPULATE).lean(),
+      Task.countDocuments(filter)
+    ]);
+
+    res.json({
+      tasks,
+      pagination: buildPaginationMeta(total, page, limit)
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'obtener tareas');
+  }
+};
+
+/**
+ * Lista los usuarios a los que se puede asignar una tarea
+ * @async
+ * @function getAssignees
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Usuarios ordenados por nombre
+ * @description Solo expone nombre y email: la gestión completa de usuarios requiere users:manage.
+ */
+exports.getAssignees = async (req, res) => {
+  try {
+    const users = await User.find({}, 'name email').sort({ name: 1 }).lean();
+    res.json({ users });
+  } catch (error) {
+    handleTaskError(res, error, 'obtener responsables');
+  }
+};
+
+/**
+ * Obtiene una tarea
+ * @async
+ * @function getTaskById
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la tarea
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Tarea o 404
+ */
+exports.getTaskById = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate(TASK_POPULATE);
+    if (!task) {
+      return res.status(404).json({
+        message: 'Tarea no encontrada',
+        id: req.params.id
+      });
+    }
+
+    res.json({ task });
+  } catch (error) {
+    handleTaskError(res, error, 'obtener tarea', req.params.id);
+  }
+};
+
+/**
+ * Crea una tarea
+ * @async
+ * @function createTask
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} req.body - title, description, service, subscription, assignee, dueDate,
+ * priority, status y checklist (`text`, `done`)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Tarea creada con código 201
+ * @example
+ * POST /api/tasks
+ * Body: {
+ *   "title": "Auditoría SEO inicial",
+ *   "subscription": "64f...",
+ *   "assignee": "650...",
+ *   "dueDate": "2025-03-15",
+ *   "priority": "high",
+ *   "checklist": [{ "text": "Rastreo del sitio" }, { "text": "Informe de palabras clave" }]
+ * }
+ */
+exports.createTask = async (req, res) => {
+  try {
+    const { links, errors } = await resolveLinks(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    const task = await Task.create({
+      ...pickTaskFields(req.body),
+      ...links,
+      createdBy: req.user._id
+    });
+    await task.populate(TASK_POPULATE);
+
+    res.status(201).json({
+      message: 'Tarea creada exitosamente',
+      task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'crear tarea');
+  }
+};
+
+/**
+ * Modifica una tarea
+ * @async
+ * @function updateTask
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la tarea
+ * @param {Object} req.body - Campos a modificar; `checklist` sustituye toda la lista y
+ * `subscription: null` desvincula la tarea del cliente
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Tarea actualizada o 404
+ * @description Una tarea con dependencias (creada desde una plantilla) no puede pasar a
+ * in_progress ni a done mientras alguna de ellas no esté terminada.
+ */
+exports.updateTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        message: 'Tarea no encontrada',
+        id: req.params.id
+      });
+    }
+
+    const { links, errors } = await resolveLinks(req.body, task);
+    if (STARTED_STATUSES.includes(req.body.status) && req.body.status !== task.status && task.dependsOn.length > 0) {
+      const pending = await Task.find({ _id: { $in: task.dependsOn }, status: { $ne: 'done' } }, 'title').lean();
+      if (pending.length > 0) {
+        errors.push(`Antes hay que terminar: ${pending.map(item => item.title).join(', ')}`);
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    task.set({ ...pickTaskFields(req.body), ...links });
+    await task.save();
+    await task.populate(TASK_POPULATE);
+
+    res.json({
+      message: 'Tarea actualizada exitosamente',
+      task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'actualizar tarea', req.params.id);
+  }
+};
+
+/**
+ * Elimina una tarea
+ * @async
+ * @function deleteTask
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID de la tarea
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Confirmación o 404
+ */
+exports.deleteTask = async (req, res) => {
+  try {
+    const task = await Task.findByIdAndDelete(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        message: 'Tarea no encontrada',
+        id: req.params.id
+      });
+    }
+    // Las tareas que esperaban a esta dejan de hacerlo
+    await Task.updateMany({ dependsOn: task._id }, { $pull: { dependsOn: task._id } });
+
+    res.json({
+      message: 'Tarea eliminada exitosamente',
+      id: task._id
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'eliminar tarea', req.params.id);
+  }
+};
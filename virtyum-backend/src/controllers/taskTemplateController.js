@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Controlador de las plantillas de tareas de los servicios
+ * @description Consulta y edición versionada de la plantilla de cada servicio y creación de sus
+ * tareas para una suscripción que ya existía
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const { findCurrentTemplate, instantiateTaskTemplate } = require('../utils/taskTemplates');
+const { parseDueOffset } = require('../config/tasks');
+const { createErrorHandler } = require('../utils/controllerErrors');
+
+/**
+ * Campos de cada tarea de la plantilla que se comparan para saber si hubo cambios
+ * @constant {Array<string>} TEMPLATE_TASK_FIELDS
+ */
+const TEMPLATE_TASK_FIELDS = ['title', 'description', 'dueOffsetDays', 'priority', 'assigneeRole', 'checklist', 'dependsOn'];
+
+/**
+ * Responde a los errores comunes de las plantillas
+ */
+const handleTemplateError = createErrorHandler({
+  duplicateMessage: 'La plantilla se guardó a la vez desde otra sesión; vuelve a cargarla e inténtalo de nuevo'
+});
+
+/**
+ * Normaliza las tareas recibidas para la plantilla
+ * @param {Array<Object>} rawTasks - Tareas del body
+ * @returns {{tasks: Array<Object>, errors: Array<string>}} Tareas listas para el modelo
+ */
+const buildTemplateTasks = (rawTasks) => {
+  if (!Array.isArray(rawTasks)) {
+    return { tasks: [], errors: ['tasks debe ser una lista (vacía para quitar la plantilla)'] };
+  }
+
+  const errors = [];
+  const tasks = rawTasks.map((raw, index) => {
+    const dueOffsetDays = parseDueOffset(raw.dueOffsetDays);
+    if (dueOffsetDays === undefined) {
+      errors.push(`Tarea ${index + 1}: plazo inválido (usa un número de días o un texto como "+3 days")`);
+    }
+    return {
+      title: raw.title,
+      description: raw.description || '',
+      dueOffsetDays: dueOffsetDays ?? null,
+      priority: raw.priority || undefined,
+      assigneeRole: raw.assigneeRole || null,
+      checklist: Array.isArray(raw.checklist)
+        ? raw.checklist.map(item => String(item.text ?? item).trim()).filter(Boolean)
+        : [],
+      dependsOn: Array.isArray(raw.dependsOn) ? [...new Set(raw.dependsOn.map(Number))] : []
+    };
+  });
+
+  return { tasks, errors };
+};
+
+/**
+ * Resume una versión para el historial
+ * @param {TaskTemplate} template - Versión de la plantilla
+ * @returns {Object} Versión, fecha, autor y número de tareas
+ */
+const summarizeVersion = (template) => ({
+  _id: template._id,
+  version: template.version,
+  tasks: template.tasks.length,
+  createdAt: template.createdAt,
+  createdBy: template.createdBy
+});
+
+/**
+ * Obtiene la plantilla de tareas de un servicio
+ * @async
+ * @function getTaskTemplate
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio (puede estar en la papelera)
+ * @param {string} [req.query.version] - Versión concreta (por defecto, la vigente)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Versión pedida (null si no hay plantilla) y el historial de versiones
+ * @example
+ * GET /api/services/507f1f77bcf86cd799439011/task-template
+ * Response: {
+ *   service: { _id: "...", name: "SEO" },
+ *   template: { version: 3, tasks: [{ title: "Auditoría inicial", dueOffsetDays: 3, ... }] },
+ *   versions: [{ version: 3, tasks: 5, createdAt: "...", createdBy: { name: "Ana" } }, ...]
+ * }
+ */
+exports.getTaskTemplate = async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id, 'name', { withDeleted: true });
+    if (!service) {
+      return res.status(404).json({
+        message: 'Servicio no encontrado',
+        id: req.params.id
+      });
+    }
+
+    const version = req.query.version !== undefined ? Number(req.query.version) : null;
+    if (version !== null && (!Number.isInteger(version) || version < 1)) {
+      return res.status(400).json({
+        message: 'Parámetros inválidos',
+        errors: ['version debe ser un entero mayor que 0']
+      });
+    }
+
+    const versions = await TaskTemplate.find({ service: service._id })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name');
+    const template = version === null ? versions[0] : versions.find(item => item.version === version);
+    if (version !== null && !template) {
+      return res.status(404).json({
+        message: 'Versión de la plantilla no encontrada',
+        version
+      });
+    }
+
+    res.json({
+      service: { _id: service._id, name: service.name },
+      template: template || null,
+      versions: versions.map(summarizeVersion)
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'obtener la plantilla de tareas', req.params.id);
+  }
+};
+
+/**
+ * Guarda una versión nueva de la plantilla de un servicio
+ * @async
+ * @function updateTaskTemplate
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del servicio
+ * @param {Array<Object>} req.body.tasks - Tareas en orden: title, description, dueOffsetDays
+ * (días o texto como "+3 days"), priority, assigneeRole, checklist (textos) y dependsOn
+ * (posiciones de tareas anteriores)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Versión vigente
+ * @description Las versiones anteriores se conservan y las tareas ya creadas no cambian. Si las
+ * tareas no cambian no se crea versión.
+ * @example
+ * PUT /api/services/507f1f77bcf86cd799439011/task-template
+ * Body: {
+ *   "tasks": [
+ *     { "title": "Reunión de arranque", "dueOffsetDays": "+1 day", "assigneeRole": "editor" },
+ *     { "title": "Auditoría SEO inicial", "dueOffsetDays": "+3 days", "dependsOn": [0],
+ *       "checklist": ["Rastreo del sitio", "Informe de palabras clave"] }
+ *   ]
+ * }
+ */
+exports.updateTaskTemplate = async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id, 'name');
+    if (!service) {
+      return res.status(404).json({
+        message: 'Servicio no encontrado',
+        id: req.params.id
+      });
+    }
+
+    const { tasks, errors } = buildTemplateTasks(req.body.tasks);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    const current = await findCurrentTemplate(service._id);
+    const draft = new TaskTemplate({
+      service: service._id,
+      version: (current?.version || 0) + 1,
+      tasks,
+      createdBy: req.user._id
+    });
+    await draft.validate();
+
+    const serialize = (template) => JSON.stringify(template.tasks.map(task => (
+      TEMPLATE_TASK_FIELDS.map(field => task[field])
+    )));
+    if (current && serialize(current) === serialize(draft)) {
+      return res.json({
+        message: 'La plantilla no ha cambiado',
+        template: current
+      });
+    }
+    if (!current && tasks.length === 0) {
+      return res.json({
+        message: 'El servicio no tiene plantilla',
+        template: null
+      });
+    }
+
+    await draft.save();
+
+    res.json({
+      message: `Plantilla guardada (versión ${draft.version})`,
+      template: draft
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'guardar la plantilla de tareas', req.params.id);
+  }
+};
+
+/**
+ * Crea las tareas de la plantilla vigente para una suscripción que ya existía
+ * @async
+ * @function instantiateTemplate
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.body.subscription - ID de la suscripción
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Tareas creadas con código 201
+ * @description Las suscripciones nuevas reciben sus tareas al crearse; esto sirve para las
+ * anteriores a la plantilla. Responde 409 si la suscripción ya tiene tareas de una plantilla.
+ */
+exports.instantiateTemplate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.subscription)) {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: ['subscription debe ser un ID válido']
+      });
+    }
+
+    const subscription = await Subscription.findById(req.body.subscription);
+    if (!subscription) {
+      return res.status(404).json({
+        message: 'Suscripción no encontrada',
+        id: req.body.subscription
+      });
+    }
+    if (!await Service.exists({ _id: subscription.service })) {
+      return res.status(409).json({
+        message: 'El servicio de la suscripción está en la papelera'
+      });
+    }
+    if (await Task.exists({ subscription: subscription._id, template: { $ne: null } })) {
+      return res.status(409).json({
+        message: 'La suscripción ya tiene las tareas de la plantilla'
+      });
+    }
+
+    const tasks = await instantiateTaskTemplate(subscription, { actor: req.user });
+    if (tasks.length === 0) {
+      return res.status(404).json({
+        message: 'El servicio no tiene plantilla de tareas'
+      });
+    }
+
+    res.status(201).json({
+      message: `${tasks.length} tarea(s) creadas a partir de la plantilla`,
+      tasks
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'crear las tareas de la plantilla');
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Controlador para la administración de usuarios
+ * @description Listado de usuarios y asignación de roles (solo administradores)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Lista todos los usuarios
+ * @async
+ * @function getAllUsers
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Usuarios ordenados por nombre y matriz de roles disponible
+ * @example
+ * GET /api/users
+ * Response: { users: [...], roles: { admin: [...], editor: [...], viewer: [...] } }
+ */
+exports.getAllUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ name: 1 });
+    res.json({
+      users,
+      roles: ROLE_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Error al obtener usuarios:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al obtener usuarios',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cambia el rol de un usuario
+ * @async
+ * @function updateUserRole
+ * @param {Object} req - Objeto de request de Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {string} req.body.role - Nuevo rol (admin, editor, viewer)
+ * @param {Object} res - Objeto de response de Express
+ * @returns {Promise<void>} Usuario actualizado
+ * @description No permite dejar la aplicación sin ningún administrador.
+ * @example
+ * PATCH /api/users/507f1f77bcf86cd799439011/role
+ * Body: { "role": "editor" }
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Rol inválido',
+        validRoles: ROLES,
+        receivedRole: role
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        message: 'Usuario no encontrado',
+        id: req.params.id
+      });
+    }
+
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(409).json({
+          message: 'Debe existir al menos un administrador'
+        });
+      }
+    }
+
+    user.role = role;
+    const updatedUser = await user.save();
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Error al actualizar rol:', error);
+
+    if (error.name === 'CastError') {
+      res.status(400).json({
+        message: 'ID de usuario inválido',
+        id: req.params.id
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error interno del servidor al actualizar rol',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tareas de facturación
+ * @description Genera los borradores de factura de las suscripciones con periodos pendientes
+ * y marca como vencidas las facturas emitidas que superan su fecha de vencimiento
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Subscription = require('../models/Subscription');
+const JobLock = require('../models/JobLock');
+const { getBillingCycle, addCycles, formatBillingPeriod } = require('../utils/billing');
+
+/**
+ * Máximo de periodos que se facturan de una suscripción en una sola ejecución
+ * @constant {number} MAX_PERIODS_PER_RUN
+ * @description Evita generar cientos de líneas si se da de alta una suscripción muy antigua
+ */
+const MAX_PERIODS_PER_RUN = 24;
+
+/**
+ * Duración máxima del bloqueo de la generación de facturas
+ * @constant {number} BILLING_LOCK_TTL_MS
+ */
+const BILLING_LOCK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Otra generación de facturas está en curso (el cron o una generación manual)
+ */
+class BillingInProgressError extends Error {
+  constructor() {
+    super('Ya hay una generación de facturas en curso; inténtalo de nuevo en unos minutos');
+    this.name = 'BillingInProgressError';
+  }
+}
+
+/**
+ * Obtiene lo ya facturado de cada suscripción (sin contar facturas anuladas)
+ * @async
+ * @param {Array<ObjectId>} subscriptionIds - Suscripciones a consultar
+ * @returns {Promise<Map<string, {periods: Set<number>, lines: number}>>} Inicio de cada periodo
+ * facturado (en milisegundos) y número de líneas
+ * @description Se lleva la cuenta periodo a periodo: si se anula una factura, sus periodos
+ * vuelven a quedar pendientes aunque los posteriores ya estén facturados.
+ */
+const getBilledPeriods = async (subscriptionIds) => {
+  const billed = await Invoice.aggregate([
+    { $match: { status: { $ne: 'void' }, 'items.subscription': { $in: subscriptionIds } } },
+    { $unwind: '$items' },
+    { $match: { 'items.subscription': { $in: subscriptionIds } } },
+    {
+      $group: {
+        _id: '$items.subscription',
+        periods: { $addToSet: '$items.periodStart' },
+        lines: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(billed.map(({ _id, periods, lines }) => [String(_id), {
+    periods: new Set(periods.filter(Boolean).map(date => date.getTime())),
+    lines
+  }]));
+};
+
+/**
+ * Calcula las líneas pendientes de facturar de una suscripción
+ * @param {Object} subscription - Suscripción con el servicio poblado
+ * @param {{periods: Set<number>, lines: number}|undefined} billed - Lo ya facturado
+ * @param {Date} asOf - Se facturan los periodos que empiezan en esta fecha o antes
+ * @returns {Array<Object>} Líneas de factura
+ * @description Las suscripciones recurrentes se facturan por periodos completos y por
+ * adelantado; las de servicios sin periodicidad, una sola vez al empezar.
+ */
+const buildSubscriptionLines = (subscription, billed, asOf) => {
+  const { service } = subscription;
+  const cycle = getBillingCycle(service);
+  const baseLine = {
+    subscription: subscription._id,
+    service: service._id,
+    quantity: 1,
+    unitPrice: subscription.agreedPrice,
+    taxRate: subscription.taxRate || 0
+  };
+
+  if (!cycle) {
+    return billed?.lines > 0 ? [] : [{ ...baseLine, description: service.name }];
+  }
+
+  const lines = [];
+  for (let period = 0; lines.length < MAX_PERIODS_PER_RUN; period++) {
+    const periodStart = addCycles(subscription.startDate, cycle, period);
+    if (periodStart > asOf || (subscription.endDate && periodStart >= subscription.endDate)) {
+      break;
+    }
+
+    if (billed?.periods.has(periodStart.getTime())) {
+      continue;
+    }
+
+    const periodEnd = addCycles(subscription.startDate, cycle, period + 1);
+    lines.push({
+      ...baseLine,
+      description: `${service.name} · ${cycle.label} ${formatBillingPeriod(periodStart, periodEnd)}`,
+      periodStart,
+      periodEnd
+    });
+  }
+  return lines;
+};
+
+/**
+ * Genera un borrador de factura por cliente con los periodos pendientes de sus suscripciones
+ * @async
+ * @function generateInvoices
+ * @param {Object} [options={}] - Opciones
+ * @param {Date} [options.asOf=new Date()] - Fecha hasta la que se factura
+ * @param {string} [options.client] - Limita la generación a un cliente
+ * @param {boolean} [options.dryRun=false] - Solo calcula las facturas, sin guardarlas
+ * @param {ObjectId} [options.userId] - Usuario que lanza la generación (vacío si es el sistema)
+ * @returns {Promise<{invoices: Array<Object>, lines: number}>} Facturas generadas (o previstas) y líneas
+ * @description Salvo en dryRun, toma un bloqueo para que dos generaciones simultáneas no
+ * facturen dos veces el mismo periodo.
+ * @throws {BillingInProgressError} Si otra generación está en curso
+ * @example
+ * const { invoices } = await generateInvoices({ asOf: new Date('2025-03-01'), dryRun: true });
+ */
+const generateInvoices = async ({ asOf = new Date(), client, dryRun = false, userId } = {}) => {
+  if (dryRun) {
+    return buildInvoices({ asOf, client, dryRun, userId });
+  }
+
+  const token = await JobLock.acquire('billing', BILLING_LOCK_TTL_MS);
+  if (!token) {
+    throw new BillingInProgressError();
+  }
+  try {
+    return await buildInvoices({ asOf, client, dryRun, userId });
+  } finally {
+    await JobLock.release('billing', token);
+  }
+};
+
+/**
+ * Calcula y, salvo en dryRun, guarda los borradores (ver generateInvoices)
+ * @async
+ * @param {Object} options - Opciones de generateInvoices
+ * @returns {Promise<{invoices: Array<Object>, lines: number}>} Facturas y líneas
+ */
+const buildInvoices = async ({ asOf, client, dryRun, userId }) => {
+  const filter = { startDate: { $lte: asOf } };
+  if (client) filter.client = client;
+
+  const subscriptions = await Subscription.find(filter)
+    .populate({ path: 'service', select: 'name duration billingModel billingInterval', options: { withDeleted: true } })
+    .lean();
+  const billable = subscriptions.filter(subscription => subscription.service);
+  const billed = await getBilledPeriods(billable.map(subscription => subscription._id));
+
+  const itemsByClient = new Map();
+  billable.forEach(subscription => {
+    const lines = buildSubscriptionLines(subscription, billed.get(String(subscription._id)), asOf);
+    if (lines.length === 0) return;
+
+    const key = String(subscription.client);
+    itemsByClient.set(key, [...(itemsByClient.get(key) || []), ...lines]);
+  });
+
+  const invoices = await Promise.all([...itemsByClient].map(async ([clientId, items]) => {
+    const invoice = new Invoice({
+      client: new mongoose.Types.ObjectId(clientId),
+      items,
+      createdBy: userId
+    });
+    await invoice.validate();
+    return invoice;
+  }));
+
+  if (!dryRun && invoices.length > 0) {
+    await Invoice.insertMany(invoices);
+  }
+
+  return {
+    invoices: invoices.map(invoice => invoice.toObject()),
+    lines: invoices.reduce((sum, invoice) => sum + invoice.items.length, 0)
+  };
+};
+
+/**
+ * Marca como vencidas las facturas emitidas con saldo pendiente y fecha de vencimiento pasada
+ * @async
+ * @function markOverdueInvoices
+ * @param {Object} [options={}] - Opciones
+ * @param {Date} [options.now=new Date()] - Momento de referencia
+ * @returns {Promise<number>} Facturas marcadas como vencidas
+ */
+const markOverdueInvoices = async ({ now = new Date() } = {}) => {
+  const { modifiedCount } = await Invoice.updateMany(
+    { status: 'issued', dueDate: { $lt: now }, balance: { $gt: 0 } },
+    { $set: { status: 'overdue' } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  BillingInProgressError,
+  generateInvoices,
+  markOverdueInvoices
+};
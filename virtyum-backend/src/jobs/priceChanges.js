@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tarea de cambios de precio programados
+ * @description Aplica a cada servicio los cambios de precio cuya fecha de entrada en vigor ya llegó
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const PriceChange = require('../models/PriceChange');
+const Service = require('../models/Service');
+const { snapshot, diffSnapshots, recordAudit } = require('../utils/audit');
+
+/**
+ * Aplica los cambios de precio programados que ya deben estar en vigor
+ * @async
+ * @function applyScheduledPriceChanges
+ * @param {Object} [options={}] - Opciones
+ * @param {Date} [options.now=new Date()] - Momento de referencia
+ * @returns {Promise<{applied: number, failed: number, pending: number}>} Cambios aplicados, los
+ * descartados y los que siguen pendientes (servicio en la papelera o error al aplicarlos)
+ * @description Se aplican por orden de fecha, cada uno en su propia transacción junto con la
+ * auditoría (actor Sistema). Un error se registra y no detiene los demás; los pendientes se
+ * reintentan en la siguiente ejecución (los de servicios en la papelera, si se restauran). Si el
+ * servicio pasó a tener niveles el cambio no se puede aplicar nunca: queda como `failed` con el
+ * motivo en `failureReason` y no se reintenta.
+ */
+const applyScheduledPriceChanges = async ({ now = new Date() } = {}) => {
+  const due = await PriceChange.find({ status: 'scheduled', effectiveDate: { $lte: now } })
+    .sort({ effectiveDate: 1, createdAt: 1 });
+
+  let applied = 0;
+  let failed = 0;
+  for (const change of due) {
+    const session = await mongoose.startSession();
+    let done = false;
+    let discarded = false;
+    try {
+      await session.withTransaction(async () => {
+        // withTransaction puede reintentar la función: partir siempre de cero
+        done = false;
+        discarded = false;
+        const service = await Service.findById(change.service).session(session);
+        if (!service) return;
+        if (service.tiers.length > 0) {
+          change.status = 'failed';
+          change.failureReason = 'El servicio pasó a tener niveles: su precio es el del nivel más barato';
+          await change.save({ session });
+          discarded = true;
+          return;
+        }
+
+        const before = snapshot(service);
+        change.previousPrice = service.price;
+        change.previousCurrency = service.currency;
+        service.price = change.price;
+        service.currency = change.currency;
+        await service.save({ session });
+
+        change.status = 'applied';
+        change.appliedAt = now;
+        await change.save({ session });
+
+        await recordAudit({
+          entityType: 'Service',
+          entity: service,
+          action: 'update',
+          changes: diffSnapshots(before, snapshot(service)),
+          session
+        });
+        done = true;
+      });
+      if (done) applied += 1;
+      if (discarded) failed += 1;
+    } catch (error) {
+      console.error(`Error al aplicar el cambio de precio ${change._id}:`, error);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return { applied, failed, pending: due.length - applied - failed };
+};
+
+module.exports = { applyScheduledPriceChanges };
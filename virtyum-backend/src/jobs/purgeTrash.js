@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tarea de purga de la papelera de servicios
+ * @description Borra definitivamente los servicios que llevan en la papelera más de SERVICE_TRASH_RETENTION_DAYS días
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+const PriceChange = require('../models/PriceChange');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const { recordAudit } = require('../utils/audit');
+const { getPurgeCutoff } = require('../config/trash');
+
+/**
+ * Borra los datos que dependen de servicios ya purgados
+ * @async
+ * @function removeServiceDependents
+ * @param {Array<ObjectId>} serviceIds - Servicios borrados definitivamente (solo los que se
+ * borraron de verdad: uno restaurado a la vez conserva sus datos)
+ * @returns {Promise<void>}
+ * @description Las suscripciones no se tocan: un servicio con suscripciones no se puede purgar
+ * (ver findServicesWithSubscriptions).
+ */
+const removeServiceDependents = async (serviceIds) => {
+  if (serviceIds.length === 0) return;
+
+  // El historial de precios se conserva para conciliar; los cambios pendientes ya no se aplicarán
+  await PriceChange.deleteMany({ service: { $in: serviceIds }, status: 'scheduled' });
+  // Las tareas de entrega y la plantilla no tienen sentido sin el servicio
+  await Task.deleteMany({ service: { $in: serviceIds } });
+  await TaskTemplate.deleteMany({ service: { $in: serviceIds } });
+};
+
+/**
+ * Indica qué servicios tienen suscripciones
+ * @async
+ * @function findServicesWithSubscriptions
+ * @param {Array<ObjectId>} serviceIds - Servicios a comprobar
+ * @returns {Promise<Set<string>>} IDs (como texto) de los que tienen alguna suscripción
+ * @description Las suscripciones son el historial de los clientes con el servicio: mientras
+ * existan, el servicio no se puede purgar.
+ */
+const findServicesWithSubscriptions = async (serviceIds) => {
+  const ids = await Subscription.distinct('service', { service: { $in: serviceIds } });
+  return new Set(ids.map(String));
+};
+
+/**
+ * Purga los servicios cuya retención en la papelera ha vencido
+ * @async
+ * @function purgeExpiredServices
+ * @param {Object} [options={}] - Opciones
+ * @param {Date} [options.now=new Date()] - Momento de referencia
+ * @returns {Promise<{purged: number, kept: number, cutoff: Date}>} Servicios borrados, servicios
+ * que siguen en la papelera por tener suscripciones y fecha de corte
+ * @description Cada servicio purgado deja una entrada "purge" en la auditoría con el actor Sistema.
+ */
+const purgeExpiredServices = async ({ now = new Date() } = {}) => {
+  const cutoff = getPurgeCutoff(now);
+  const expired = await Service.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id name');
+
+  if (expired.length === 0) {
+    return { purged: 0, kept: 0, cutoff };
+  }
+
+  const withSubscriptions = await findServicesWithSubscriptions(expired.map(service => service._id));
+  const purged = [];
+  for (const service of expired.filter(item => !withSubscriptions.has(String(item._id)))) {
+    // Se vuelve a filtrar por deletedAt por si se restauró mientras tanto
+    const deleted = await Service.findOneAndDelete(
+      { _id: service._id, deletedAt: { $ne: null, $lte: cutoff } },
+      { projection: { _id: 1, name: 1 } }
+    );
+    if (deleted) purged.push(deleted);
+  }
+
+  await removeServiceDependents(purged.map(service => service._id));
+  await Promise.all(purged.map(service => recordAudit({
+    entityType: 'Service',
+    entity: service,
+    action: 'purge',
+    changes: []
+  })));
+
+  return { purged: purged.length, kept: withSubscriptions.size, cutoff };
+};
+
+module.exports = {
+  purgeExpiredServices,
+  removeServiceDependents,
+  findServicesWithSubscriptions
+};
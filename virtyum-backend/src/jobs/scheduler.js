@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Planificador de tareas periódicas para el servidor local
+ * @description En Vercel no hay procesos persistentes: allí las mismas tareas se
+ * ejecutan desde los cron de vercel.json a través de /api/cron/*.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const { purgeExpiredServices } = require('./purgeTrash');
+const { recountServiceClients } = require('../utils/subscriptions');
+const { BillingInProgressError, generateInvoices, markOverdueInvoices } = require('./billing');
+const { applyScheduledPriceChanges } = require('./priceChanges');
+const { captureStatsSnapshot } = require('./statsSnapshots');
+
+/**
+ * Intervalo entre ejecuciones de las tareas periódicas
+ * @constant {number} PURGE_INTERVAL_MS
+ */
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Ejecuta la purga de la papelera registrando el resultado
+ * @async
+ * @returns {Promise<void>}
+ */
+const runTrashPurge = async () => {
+  try {
+    const { purged } = await purgeExpiredServices();
+    if (purged > 0) {
+      console.log(`🗑️  Papelera: ${purged} servicio(s) eliminados definitivamente`);
+    }
+  } catch (error) {
+    console.error('Error en la purga de la papelera:', error);
+  }
+};
+
+/**
+ * Recalcula los clientes de cada servicio (suscripciones que empezaron o vencieron)
+ * @async
+ * @returns {Promise<void>}
+ */
+const runClientRecount = async () => {
+  try {
+    const updated = await recountServiceClients();
+    if (updated > 0) {
+      console.log(`👥 Clientes recalculados en ${updated} servicio(s)`);
+    }
+  } catch (error) {
+    console.error('Error al recalcular los clientes de los servicios:', error);
+  }
+};
+
+/**
+ * Aplica los cambios de precio programados que ya están en vigor
+ * @async
+ * @returns {Promise<void>}
+ */
+const runPriceChanges = async () => {
+  try {
+    const { applied, failed } = await applyScheduledPriceChanges();
+    if (applied > 0) {
+      console.log(`💲 Precios: ${applied} cambio(s) programado(s) aplicados`);
+    }
+    if (failed > 0) {
+      console.log(`💲 Precios: ${failed} cambio(s) programado(s) descartados (servicio con niveles)`);
+    }
+  } catch (error) {
+    console.error('Error al aplicar los cambios de precio programados:', error);
+  }
+};
+
+/**
+ * Genera los borradores de los periodos que han empezado y marca las facturas vencidas
+ * @async
+ * @returns {Promise<void>}
+ */
+const runBilling = async () => {
+  try {
+    try {
+      const { invoices } = await generateInvoices();
+      if (invoices.length > 0) {
+        console.log(`🧾 Facturación: ${invoices.length} borrador(es) generados`);
+      }
+    } catch (error) {
+      if (!(error instanceof BillingInProgressError)) throw error;
+      // Otra instancia o una generación manual está facturando; la próxima ejecución seguirá
+      console.log('🧾 Facturación: otra generación en curso, se omite esta ejecución');
+    }
+    const overdue = await markOverdueInvoices();
+    if (overdue > 0) {
+      console.log(`⏰ Facturación: ${overdue} factura(s) vencidas`);
+    }
+  } catch (error) {
+    console.error('Error en la facturación periódica:', error);
+  }
+};
+
+/**
+ * Guarda la instantánea de estadísticas del día
+ * @async
+ * @returns {Promise<void>}
+ */
+const runStatsSnapshot = async () => {
+  try {
+    await captureStatsSnapshot();
+  } catch (error) {
+    console.error('Error al guardar la instantánea de estadísticas:', error);
+  }
+};
+
+/**
+ * Ejecuta todas las tareas periódicas
+ * @async
+ * @returns {Promise<void>}
+ */
+const runTasks = async () => {
+  await runTrashPurge();
+  await runClientRecount();
+  await runPriceChanges();
+  await runBilling();
+  // Al final, para que la instantánea recoja los cambios de las tareas anteriores
+  await runStatsSnapshot();
+};
+
+/**
+ * Arranca las tareas periódicas (una ejecución inmediata y luego cada hora)
+ * @function startScheduler
+ * @returns {Function} Función que detiene las tareas
+ */
+const startScheduler = () => {
+  runTasks();
+  const timer = setInterval(runTasks, PURGE_INTERVAL_MS);
+  // No mantener vivo el proceso solo por el planificador
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { startScheduler };
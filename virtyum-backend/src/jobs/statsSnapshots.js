@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tarea de instantáneas de estadísticas
+ * @description Guarda cada día las cifras principales de las estadísticas del catálogo para poder
+ * consultar su evolución (GET /api/services/stats/history)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const StatsSnapshot = require('../models/StatsSnapshot');
+const { computeServiceStats, computeServiceCounts } = require('../utils/serviceStats');
+const { MissingExchangeRateError } = require('../utils/currency');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Inicio del día UTC de una fecha
+ * @param {Date} date - Fecha
+ * @returns {Date} Mismo día a las 00:00 UTC
+ */
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Guarda (o actualiza) la instantánea del día con las estadísticas actuales
+ * @async
+ * @function captureStatsSnapshot
+ * @param {Object} [options={}] - Opciones
+ * @param {Date} [options.now=new Date()] - Momento de referencia (decide el día)
+ * @returns {Promise<StatsSnapshot>} Instantánea del día
+ * @description Se puede ejecutar varias veces al día: cada ejecución sobrescribe la del día en
+ * curso, que queda con las cifras de la última. Los importes van en la moneda base; si algún
+ * servicio tiene una moneda sin tipo de cambio, la instantánea guarda igualmente los recuentos y
+ * deja los precios a null.
+ */
+const captureStatsSnapshot = async ({ now = new Date() } = {}) => {
+  let stats;
+  let pricing;
+  try {
+    stats = await computeServiceStats();
+    pricing = {
+      currency: stats.pricing.currency,
+      averagePrice: stats.pricing.averagePrice,
+      minPrice: stats.pricing.minPrice,
+      maxPrice: stats.pricing.maxPrice
+    };
+  } catch (error) {
+    if (!(error instanceof MissingExchangeRateError)) throw error;
+    console.warn(`Instantánea de estadísticas sin precios: ${error.message}`);
+    stats = await computeServiceCounts();
+    pricing = { currency: BASE_CURRENCY, averagePrice: null, minPrice: null, maxPrice: null };
+  }
+
+  return StatsSnapshot.findOneAndUpdate(
+    { date: startOfUtcDay(now) },
+    {
+      $set: {
+        services: {
+          total: stats.overview.totalServices,
+          active: stats.overview.activeServices,
+          new: stats.overview.newServices,
+          paused: stats.overview.pausedServices,
+          inactive: stats.overview.inactiveServices
+        },
+        clients: stats.clients.totalClients,
+        categories: stats.categories.totalCategories,
+        pricing,
+        bundles: {
+          total: stats.bundles.totalBundles,
+          available: stats.bundles.availableBundles
+        }
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  startOfUtcDay,
+  captureStatsSnapshot
+};
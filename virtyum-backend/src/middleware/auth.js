@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Middleware de autenticación para rutas protegidas
+ * @description Verifica el access token JWT de la cabecera Authorization y carga el usuario en req.user
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Exige un access token válido
+ * @async
+ * @function protect
+ * @param {Object} req - Objeto de request de Express
+ * @param {Object} res - Objeto de response de Express
+ * @param {Function} next - Siguiente middleware
+ * @returns {Promise<void>} Continúa con req.user cargado o responde 401
+ * @example
+ * router.post('/', protect, serviceController.createService);
+ * // Cabecera requerida: Authorization: Bearer <accessToken>
+ */
+exports.protect = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      message: 'Autenticación requerida',
+      code: 'TOKEN_MISSING'
+    });
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    if (payload.type !== 'access') {
+      return res.status(401).json({
+        message: 'Token de acceso inválido',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        message: 'El usuario del token ya no existe',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        message: 'El token de acceso ha expirado',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        message: 'Token de acceso inválido',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    console.error('Error al verificar autenticación:', error);
+    res.status(500).json({
+      message: 'Error interno del servidor al verificar autenticación',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exige que el usuario autenticado tenga todos los permisos indicados
+ * @function authorize
+ * @param {...string} permissions - Permisos requeridos (ver config/permissions)
+ * @returns {Function} Middleware de Express que responde 403 si falta alguno
+ * @example
+ * router.delete('/:id', protect, authorize(PERMISSIONS.SERVICES_DELETE), serviceController.deleteService);
+ */
+exports.authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'No tienes permisos para realizar esta acción',
+      requiredPermissions: missing
+    });
+  }
+
+  next();
+};
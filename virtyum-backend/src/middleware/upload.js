@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Middleware de subida de archivos
+ * @description Recibe hojas de cálculo en memoria (no hay disco persistente en Vercel)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const multer = require('multer');
+const { IMPORT_LIMITS, IMPORT_EXTENSIONS } = require('../utils/serviceImport');
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_LIMITS.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Acepta un único archivo CSV o XLSX en el campo `file`
+ * @function uploadSpreadsheet
+ * @param {Object} req - Objeto de request de Express (deja el archivo en req.file)
+ * @param {Object} res - Objeto de response de Express
+ * @param {Function} next - Siguiente middleware
+ */
+exports.uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `El archivo supera el máximo de ${IMPORT_LIMITS.maxFileSize / (1024 * 1024)} MB`
+        : `Se esperaba un único archivo ${IMPORT_EXTENSIONS.join(' o ')} en el campo "file"`;
+      return res.status(400).json({ message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No se recibió ningún archivo (campo "file")' });
+    }
+
+    next();
+  });
+};
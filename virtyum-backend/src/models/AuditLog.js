@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Modelo de datos para el registro de auditoría
+ * @description Guarda quién creó, modificó o eliminó cada entidad y qué campos cambiaron
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Cambio de un campo concreto
+ * @typedef {Object} FieldChange
+ * @property {string} field - Nombre del campo
+ * @property {*} before - Valor anterior (null al crear)
+ * @property {*} after - Valor nuevo (null al eliminar)
+ */
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Esquema de la base de datos para entradas de auditoría
+ * @typedef {Object} AuditLog
+ * @property {string} entityType - Tipo de entidad auditada (p. ej. Service)
+ * @property {ObjectId} entityId - ID de la entidad
+ * @property {string} entityName - Nombre de la entidad en el momento del cambio
+ * @property {string} action - Acción realizada (create, update, delete, restore, purge)
+ * @property {Object} actor - Usuario que realizó la acción (copia de nombre y email)
+ * @property {Array<FieldChange>} changes - Diferencias campo a campo
+ * @property {Date} createdAt - Momento del cambio (automático)
+ */
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['Service']
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  entityName: {
+    type: String,
+    trim: true
+  },
+
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'restore', 'purge']
+  },
+
+  // Se copian nombre y email para que el historial siga siendo legible si el usuario se elimina
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String
+  },
+
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Índices para el historial por entidad y el feed global
+ */
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+
+/**
+ * Exporta el modelo AuditLog
+ * @module AuditLog
+ * @description Modelo de Mongoose para el registro de auditoría de Virtyum
+ */
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Modelo de paquetes de servicios
+ * @description Paquetes del catálogo formados por varios servicios (p. ej. "Lanzamiento Digital" =
+ * SEO + Social Media + Email Marketing) con precio calculado con descuento o fijo
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Número máximo de servicios distintos en un paquete
+ * @constant {number} MAX_BUNDLE_ITEMS
+ */
+const MAX_BUNDLE_ITEMS = 20;
+
+/**
+ * Componente de un paquete
+ * @typedef {Object} BundleItem
+ * @property {ObjectId} service - Servicio incluido
+ * @property {number} quantity - Unidades del servicio (entero, 1-99)
+ */
+const bundleItemSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Cada componente debe indicar un servicio']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'La cantidad mínima es 1'],
+    max: [99, 'La cantidad máxima es 99'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'La cantidad debe ser un número entero'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Esquema de la base de datos para paquetes
+ * @typedef {Object} Bundle
+ * @property {string} name - Nombre del paquete
+ * @property {string} description - Descripción comercial
+ * @property {Array<BundleItem>} items - Servicios incluidos (sin repetir)
+ * @property {string} pricingMode - computed (suma de componentes menos descuento) o fixed
+ * @property {number} discountPercent - Descuento sobre la suma de componentes (modo computed)
+ * @property {number|null} fixedPrice - Precio fijo en la moneda base (modo fixed)
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const bundleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del paquete es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres'],
+    default: ''
+  },
+
+  items: {
+    type: [bundleItemSchema],
+    validate: [
+      {
+        validator: (items) => items.length > 0,
+        message: 'El paquete debe incluir al menos un servicio'
+      },
+      {
+        validator: (items) => items.length <= MAX_BUNDLE_ITEMS,
+        message: `Un paquete no puede incluir más de ${MAX_BUNDLE_ITEMS} servicios`
+      },
+      {
+        validator: (items) => new Set(items.map(item => String(item.service))).size === items.length,
+        message: 'Un servicio no puede aparecer dos veces en el paquete; usa la cantidad'
+      }
+    ]
+  },
+
+  pricingMode: {
+    type: String,
+    enum: {
+      values: ['computed', 'fixed'],
+      message: 'El modo de precio debe ser computed o fixed'
+    },
+    default: 'computed'
+  },
+
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'El descuento no puede ser negativo'],
+    max: [99, 'El descuento no puede superar el 99 %']
+  },
+
+  // Como presupuestos y facturas, el precio fijo va en la moneda base
+  fixedPrice: {
+    type: Number,
+    default: null,
+    min: [0, 'El precio no puede ser negativo'],
+    required: [
+      function() { return this.pricingMode === 'fixed'; },
+      'Un paquete de precio fijo necesita fixedPrice'
+    ]
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * En modo fijo el descuento no se usa: se pone a 0 para no mostrar un dato engañoso
+ */
+bundleSchema.pre('validate', function(next) {
+  if (this.pricingMode === 'fixed') {
+    this.discountPercent = 0;
+  } else {
+    this.fixedPrice = null;
+  }
+  next();
+});
+
+// Paquetes que incluyen un servicio (filtro ?service=)
+bundleSchema.index({ 'items.service': 1 });
+bundleSchema.index({ name: 1 });
+
+/**
+ * Exporta el modelo Bundle
+ * @module Bundle
+ * @description Modelo de Mongoose para paquetes de servicios
+ */
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Modelo de categorías de servicios
+ * @description Categorías del catálogo gestionadas desde la API. Los servicios guardan el nombre
+ * de su categoría; al renombrarla se actualizan todos.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { CATEGORY_COLORS, slugify } = require('../config/categories');
+
+/**
+ * Esquema de la base de datos para categorías
+ * @typedef {Object} Category
+ * @property {string} name - Nombre visible, el que guardan los servicios
+ * @property {string} slug - Identificador para URLs (se genera del nombre si no se indica)
+ * @property {string} color - Color de Bootstrap (ver CATEGORY_COLORS)
+ * @property {string} icon - Nombre de Bootstrap Icons sin el prefijo `bi-` (p. ej. "laptop")
+ * @property {number} order - Posición en los desplegables y listados
+ * @property {boolean} active - Las categorías desactivadas no se pueden asignar a servicios
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la categoría es obligatorio'],
+    trim: true,
+    maxlength: [40, 'El nombre no puede exceder 40 caracteres']
+  },
+
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [40, 'El slug no puede exceder 40 caracteres'],
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'El slug solo admite minúsculas, números y guiones']
+  },
+
+  color: {
+    type: String,
+    enum: {
+      values: CATEGORY_COLORS,
+      message: `El color debe ser uno de: ${CATEGORY_COLORS.join(', ')}`
+    },
+    default: 'secondary'
+  },
+
+  icon: {
+    type: String,
+    trim: true,
+    default: 'tag',
+    match: [/^[a-z0-9-]+$/, 'El icono debe ser un nombre de Bootstrap Icons (p. ej. "laptop")']
+  },
+
+  order: {
+    type: Number,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'El orden debe ser un número entero'
+    }
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Genera el slug a partir del nombre cuando no se envía uno
+ */
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+categorySchema.index({ name: 1 }, { unique: true });
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ order: 1, name: 1 });
+
+/**
+ * Exporta el modelo Category
+ * @module Category
+ * @description Modelo de Mongoose para las categorías del catálogo
+ */
+module.exports = mongoose.model('Category', categorySchema);
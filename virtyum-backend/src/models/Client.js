@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Modelo de datos para clientes
+ * @description Empresas a las que Virtyum presta servicios; la relación con cada servicio
+ * está en el modelo Subscription
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de la base de datos para clientes
+ * @typedef {Object} Client
+ * @property {string} company - Razón social o nombre comercial (requerido)
+ * @property {string} contactName - Persona de contacto
+ * @property {string} email - Email de contacto
+ * @property {string} phone - Teléfono de contacto
+ * @property {string} taxId - Identificación fiscal (CIF, NIF, RUT...), única si se indica
+ * @property {string} notes - Notas internas
+ * @property {ObjectId} createdBy - Usuario que registró el cliente
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const clientSchema = new mongoose.Schema({
+  company: {
+    type: String,
+    required: [true, 'El nombre de la empresa es obligatorio'],
+    trim: true,
+    maxlength: [120, 'El nombre de la empresa no puede exceder 120 caracteres']
+  },
+
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El nombre del contacto no puede exceder 100 caracteres']
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'El email no es válido']
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'El teléfono no puede exceder 30 caracteres']
+  },
+
+  taxId: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'La identificación fiscal no puede exceder 30 caracteres']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Las notas no pueden exceder 1000 caracteres']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Índices para optimización de consultas
+ */
+clientSchema.index({ company: 1 });
+// Índice parcial: la identificación fiscal es opcional pero no puede repetirse
+clientSchema.index(
+  { taxId: 1 },
+  { unique: true, partialFilterExpression: { taxId: { $type: 'string' } } }
+);
+
+/**
+ * Exporta el modelo Client
+ * @module Client
+ * @description Modelo de Mongoose para los clientes de Virtyum
+ */
+module.exports = mongoose.model('Client', clientSchema);
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Modelo de contadores secuenciales
+ * @description Genera números correlativos (p. ej. la numeración de presupuestos) de forma atómica
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de la base de datos para contadores
+ * @typedef {Object} Counter
+ * @property {string} _id - Clave del contador (p. ej. "quote-2025")
+ * @property {number} seq - Último valor entregado
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Reserva el siguiente valor de un contador
+ * @param {string} key - Clave del contador (se crea al usarla por primera vez)
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `session`)
+ * @returns {Promise<number>} Valor reservado, empezando por 1
+ * @example
+ * const seq = await Counter.next('quote-2025'); // 1, 2, 3...
+ */
+counterSchema.statics.next = async function(key, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, ...options }
+  );
+  return counter.seq;
+};
+
+/**
+ * Exporta el modelo Counter
+ * @module Counter
+ * @description Modelo de Mongoose para numeraciones correlativas
+ */
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Modelo de tipos de cambio
+ * @description Cuántas unidades de cada moneda equivalen a 1 unidad de la moneda base. Se
+ * mantienen a mano desde la API, sin fuente externa.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+/**
+ * Esquema de la base de datos para tipos de cambio
+ * @typedef {Object} ExchangeRate
+ * @property {string} currency - Código ISO de la moneda (distinta de la base)
+ * @property {number} rate - Unidades de `currency` por 1 unidad de la moneda base
+ * @property {ObjectId} updatedBy - Usuario que fijó el tipo
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de la última actualización del tipo (automático)
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'La moneda es obligatoria'],
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY),
+      message: `La moneda debe ser una de: ${SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY).join(', ')}`
+    }
+  },
+
+  rate: {
+    type: Number,
+    required: [true, 'El tipo de cambio es obligatorio'],
+    min: [0.000001, 'El tipo de cambio debe ser mayor que 0']
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+exchangeRateSchema.index({ currency: 1 }, { unique: true });
+
+/**
+ * Obtiene todos los tipos de cambio como mapa moneda → unidades por 1 de la moneda base
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `session`)
+ * @returns {Promise<Object<string, number>>} Mapa que incluye la moneda base con 1
+ * @example
+ * const rates = await ExchangeRate.getRateMap(); // { USD: 1, EUR: 0.92, MXN: 17.1 }
+ */
+exchangeRateSchema.statics.getRateMap = async function(options = {}) {
+  const rates = await this.find({}, 'currency rate', options).lean();
+  return rates.reduce(
+    (map, { currency, rate }) => ({ ...map, [currency]: rate }),
+    { [BASE_CURRENCY]: 1 }
+  );
+};
+
+/**
+ * Exporta el modelo ExchangeRate
+ * @module ExchangeRate
+ * @description Modelo de Mongoose para los tipos de cambio frente a la moneda base
+ */
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
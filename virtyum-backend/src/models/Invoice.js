@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Modelo de datos para facturas
+ * @description Facturas de clientes, generadas a partir de sus suscripciones o creadas a mano.
+ * El número correlativo se asigna al emitir la factura, de modo que los borradores descartados
+ * no dejan huecos en la numeración.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { roundMoney } = require('../utils/currency');
+
+/**
+ * Estados de una factura
+ * @constant {Array<string>} INVOICE_STATUSES
+ * @description `paid` y `overdue` no se fijan a mano: dependen de los cobros y del vencimiento
+ */
+const INVOICE_STATUSES = ['draft', 'issued', 'paid', 'overdue', 'void'];
+
+/**
+ * Transiciones de estado que se pueden pedir a través de la API
+ * @constant {Object<string, Array<string>>} INVOICE_TRANSITIONS
+ */
+const INVOICE_TRANSITIONS = {
+  draft: ['issued'],
+  issued: ['void'],
+  overdue: ['void'],
+  paid: [],
+  void: []
+};
+
+/**
+ * Esquema de una línea de factura
+ * @typedef {Object} InvoiceItem
+ * @property {ObjectId|null} subscription - Suscripción facturada (null en líneas manuales)
+ * @property {ObjectId|null} service - Servicio del catálogo
+ * @property {string} description - Concepto que se imprime en la factura
+ * @property {number} quantity - Unidades
+ * @property {number} unitPrice - Precio por unidad en USD
+ * @property {number} taxRate - Impuesto en porcentaje
+ * @property {Date|null} periodStart - Inicio del periodo facturado (suscripciones recurrentes)
+ * @property {Date|null} periodEnd - Fin (exclusivo) del periodo facturado
+ * @property {number} subtotal - unitPrice × quantity (calculado)
+ * @property {number} taxAmount - Importe de impuestos (calculado)
+ * @property {number} total - Total de la línea (calculado)
+ */
+const invoiceItemSchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Cada línea debe tener un concepto'],
+    trim: true,
+    maxlength: [200, 'El concepto no puede exceder 200 caracteres']
+  },
+
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0.01, 'La cantidad debe ser mayor que 0']
+  },
+
+  unitPrice: {
+    type: Number,
+    required: [true, 'Cada línea debe tener un precio'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'El impuesto no puede ser negativo'],
+    max: [100, 'El impuesto no puede superar el 100 %']
+  },
+
+  periodStart: {
+    type: Date,
+    default: null
+  },
+
+  periodEnd: {
+    type: Date,
+    default: null
+  },
+
+  subtotal: Number,
+  taxAmount: Number,
+  total: Number
+}, {
+  _id: true
+});
+
+/**
+ * Esquema de la base de datos para facturas
+ * @typedef {Object} Invoice
+ * @property {string|null} number - Numeración correlativa por año (F-2025-0001), asignada al emitir
+ * @property {ObjectId} client - Cliente facturado (requerido)
+ * @property {string} status - draft | issued | paid | overdue | void
+ * @property {Array<InvoiceItem>} items - Líneas de la factura (al menos una)
+ * @property {Array<Object>} taxLines - Base e impuesto agrupados por tipo (calculado)
+ * @property {Object} totals - Sumas de las líneas (calculado)
+ * @property {number} amountPaid - Suma de los cobros registrados
+ * @property {number} balance - Pendiente de cobro (calculado)
+ * @property {Date|null} issueDate - Fecha de emisión
+ * @property {Date|null} dueDate - Fecha de vencimiento
+ * @property {Date|null} paidAt - Fecha en que quedó cobrada por completo
+ * @property {Date|null} voidedAt - Fecha de anulación
+ * @property {string} voidReason - Motivo de la anulación
+ * @property {string} notes - Observaciones que se muestran con la factura
+ * @property {ObjectId} createdBy - Usuario que la creó (vacío si la generó el sistema)
+ */
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    default: null
+  },
+
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'El cliente es obligatorio']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: INVOICE_STATUSES,
+      message: `El estado debe ser: ${INVOICE_STATUSES.join(', ')}`
+    },
+    default: 'draft'
+  },
+
+  items: {
+    type: [invoiceItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'La factura debe tener al menos una línea'
+    }
+  },
+
+  taxLines: [{
+    _id: false,
+    rate: Number,
+    base: Number,
+    amount: Number
+  }],
+
+  totals: {
+    subtotal: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, 'El importe cobrado no puede ser negativo']
+  },
+
+  balance: {
+    type: Number,
+    default: 0
+  },
+
+  issueDate: {
+    type: Date,
+    default: null
+  },
+
+  dueDate: {
+    type: Date,
+    default: null
+  },
+
+  paidAt: {
+    type: Date,
+    default: null
+  },
+
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Las notas no pueden exceder 2000 caracteres']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Recalcula los importes de cada línea, el desglose de impuestos y el saldo antes de validar
+ */
+invoiceSchema.pre('validate', function(next) {
+  const totals = { subtotal: 0, tax: 0, total: 0 };
+  const byRate = new Map();
+
+  this.items.forEach(item => {
+    item.subtotal = roundMoney(item.unitPrice * item.quantity);
+    item.taxAmount = roundMoney(item.subtotal * (item.taxRate || 0) / 100);
+    item.total = roundMoney(item.subtotal + item.taxAmount);
+
+    totals.subtotal += item.subtotal;
+    totals.tax += item.taxAmount;
+    totals.total += item.total;
+
+    const rate = item.taxRate || 0;
+    const line = byRate.get(rate) || { rate, base: 0, amount: 0 };
+    line.base += item.subtotal;
+    line.amount += item.taxAmount;
+    byRate.set(rate, line);
+  });
+
+  this.taxLines = [...byRate.values()]
+    .sort((a, b) => a.rate - b.rate)
+    .map(line => ({ rate: line.rate, base: roundMoney(line.base), amount: roundMoney(line.amount) }));
+  this.totals = {
+    subtotal: roundMoney(totals.subtotal),
+    tax: roundMoney(totals.tax),
+    total: roundMoney(totals.total)
+  };
+  this.balance = this.status === 'void' ? 0 : roundMoney(this.totals.total - this.amountPaid);
+  next();
+});
+
+/**
+ * Indica si la factura puede pasar a otro estado a petición del usuario
+ * @param {string} status - Estado destino
+ * @returns {boolean} true si la transición está permitida
+ */
+invoiceSchema.methods.canTransitionTo = function(status) {
+  return (INVOICE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Indica si la factura admite cobros (emitida o vencida)
+ * @returns {boolean} true si está pendiente de cobro
+ */
+invoiceSchema.methods.isPayable = function() {
+  return this.status === 'issued' || this.status === 'overdue';
+};
+
+/**
+ * Ajusta el estado de una factura emitida según lo cobrado y el vencimiento
+ * @param {Date} [now=new Date()] - Fecha de referencia para el vencimiento
+ */
+invoiceSchema.methods.refreshPaymentStatus = function(now = new Date()) {
+  if (!['issued', 'overdue', 'paid'].includes(this.status)) return;
+
+  const balance = roundMoney(this.totals.total - this.amountPaid);
+  if (balance <= 0) {
+    this.status = 'paid';
+    this.paidAt = this.paidAt || now;
+  } else {
+    this.status = this.dueDate && this.dueDate < now ? 'overdue' : 'issued';
+    this.paidAt = null;
+  }
+};
+
+/**
+ * Reserva el siguiente número de factura del año
+ * @param {Date} [date=new Date()] - Fecha de emisión
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `session`)
+ * @returns {Promise<string>} Número con el formato F-AAAA-NNNN
+ */
+invoiceSchema.statics.nextNumber = async function(date = new Date(), options = {}) {
+  const year = date.getUTCFullYear();
+  const seq = await Counter.next(`invoice-${year}`, options);
+  return `F-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+/**
+ * Índices para optimización de consultas
+ * @description El número es único solo entre facturas emitidas: los borradores no lo tienen
+ */
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+invoiceSchema.index({ client: 1, createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'items.subscription': 1 });
+
+/**
+ * Exporta el modelo Invoice
+ * @module Invoice
+ * @description Modelo de Mongoose para facturas
+ */
+module.exports = mongoose.model('Invoice', invoiceSchema);
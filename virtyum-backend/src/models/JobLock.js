@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Modelo de bloqueos de tareas
+ * @description Impide que dos ejecuciones de la misma tarea (p. ej. el cron y una generación
+ * manual de facturas) trabajen a la vez, también entre instancias del backend
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de la base de datos para bloqueos
+ * @typedef {Object} JobLock
+ * @property {string} _id - Nombre de la tarea (p. ej. "billing")
+ * @property {Date} lockedUntil - Caducidad del bloqueo (por si el proceso que lo tenía murió)
+ * @property {string} token - Identifica a quien lo tiene, para que solo él lo libere
+ */
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+
+  token: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Toma el bloqueo de una tarea si está libre o caducado
+ * @param {string} key - Nombre de la tarea
+ * @param {number} ttlMs - Duración máxima del bloqueo
+ * @returns {Promise<string|null>} Token para liberarlo, o null si otra ejecución lo tiene
+ * @example
+ * const token = await JobLock.acquire('billing', 10 * 60 * 1000);
+ */
+jobLockSchema.statics.acquire = async function(key, ttlMs) {
+  const now = new Date();
+  const token = crypto.randomUUID();
+  try {
+    // Si el bloqueo está vigente el filtro no coincide y el upsert choca con el _id existente
+    await this.findOneAndUpdate(
+      { _id: key, lockedUntil: { $lte: now } },
+      { $set: { lockedUntil: new Date(now.getTime() + ttlMs), token } },
+      { upsert: true }
+    );
+    return token;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Libera un bloqueo tomado con acquire
+ * @param {string} key - Nombre de la tarea
+ * @param {string} token - Token devuelto por acquire
+ * @returns {Promise<void>}
+ */
+jobLockSchema.statics.release = async function(key, token) {
+  await this.deleteOne({ _id: key, token });
+};
+
+/**
+ * Exporta el modelo JobLock
+ * @module JobLock
+ * @description Modelo de Mongoose para bloqueos entre ejecuciones de tareas
+ */
+module.exports = mongoose.model('JobLock', jobLockSchema);
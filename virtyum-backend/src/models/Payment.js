@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Modelo de datos para cobros
+ * @description Libro de cobros: cada cobro se aplica a una factura emitida y actualiza su saldo
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Formas de pago admitidas
+ * @constant {Array<string>} PAYMENT_METHODS
+ */
+const PAYMENT_METHODS = ['transfer', 'card', 'cash', 'other'];
+
+/**
+ * Esquema de la base de datos para cobros
+ * @typedef {Object} Payment
+ * @property {ObjectId} invoice - Factura cobrada (requerido)
+ * @property {ObjectId} client - Cliente de la factura (copiado para consultar el libro por cliente)
+ * @property {number} amount - Importe cobrado en USD
+ * @property {Date} date - Fecha del cobro
+ * @property {string} method - transfer | card | cash | other
+ * @property {string} reference - Referencia bancaria o de la operación
+ * @property {string} notes - Comentarios
+ * @property {ObjectId} createdBy - Usuario que registró el cobro
+ */
+const paymentSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'La factura es obligatoria']
+  },
+
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'El importe es obligatorio'],
+    min: [0.01, 'El importe debe ser mayor que 0']
+  },
+
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  method: {
+    type: String,
+    enum: {
+      values: PAYMENT_METHODS,
+      message: `La forma de pago debe ser: ${PAYMENT_METHODS.join(', ')}`
+    },
+    default: 'transfer'
+  },
+
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La referencia no puede exceder 100 caracteres']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Índices para optimización de consultas
+ */
+paymentSchema.index({ invoice: 1, date: 1 });
+paymentSchema.index({ client: 1, date: -1 });
+paymentSchema.index({ date: -1 });
+
+/**
+ * Exporta el modelo Payment
+ * @module Payment
+ * @description Modelo de Mongoose para el libro de cobros
+ */
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Modelo del historial de precios de los servicios
+ * @description Cada cambio de precio aplicado (alta, edición, ajuste masivo, importación o
+ * cambio programado) y los cambios programados pendientes de aplicar
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+/**
+ * Origen de cada cambio de precio
+ * @constant {Array<string>} PRICE_CHANGE_SOURCES
+ */
+const PRICE_CHANGE_SOURCES = ['create', 'update', 'bulk', 'import', 'schedule'];
+
+/**
+ * Esquema de la base de datos para cambios de precio
+ * @typedef {Object} PriceChange
+ * @property {ObjectId} service - Servicio afectado
+ * @property {number} price - Precio nuevo
+ * @property {string} currency - Moneda del precio nuevo
+ * @property {number|null} previousPrice - Precio anterior (null en el alta del servicio; en los
+ * programados se rellena al aplicarlos)
+ * @property {string|null} previousCurrency - Moneda del precio anterior
+ * @property {Date} effectiveDate - Fecha prevista de entrada en vigor
+ * @property {Date|null} appliedAt - Momento en que el precio pasó al servicio (null si está programado)
+ * @property {string} status - scheduled (pendiente), applied o failed (no se pudo aplicar)
+ * @property {string|null} failureReason - Motivo por el que un cambio programado no se aplicó
+ * @property {string} source - Origen del cambio (create, update, bulk, import, schedule)
+ * @property {string} note - Motivo del cambio
+ * @property {Object} createdBy - Usuario que hizo o programó el cambio (copia de nombre y email)
+ * @property {Date} createdAt - Fecha de creación (automático)
+ */
+const priceChangeSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'El servicio es obligatorio']
+  },
+
+  price: {
+    type: Number,
+    required: [true, 'El precio es obligatorio'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: `La moneda debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}`
+    },
+    default: BASE_CURRENCY
+  },
+
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+
+  previousCurrency: {
+    type: String,
+    default: null
+  },
+
+  effectiveDate: {
+    type: Date,
+    required: [true, 'La fecha de entrada en vigor es obligatoria']
+  },
+
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['scheduled', 'applied', 'failed'],
+    default: 'applied'
+  },
+
+  failureReason: {
+    type: String,
+    default: null
+  },
+
+  source: {
+    type: String,
+    required: true,
+    enum: PRICE_CHANGE_SOURCES
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La nota no puede exceder 200 caracteres'],
+    default: ''
+  },
+
+  // Como en AuditLog, se copian nombre y email para que el historial siga siendo legible
+  createdBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Historial de un servicio y precio vigente en una fecha
+priceChangeSchema.index({ service: 1, status: 1, appliedAt: -1 });
+// Cambios programados que ya deben aplicarse
+priceChangeSchema.index({ status: 1, effectiveDate: 1 });
+
+/**
+ * Exporta el modelo PriceChange
+ * @module PriceChange
+ * @description Modelo de Mongoose para el historial de precios
+ */
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Modelo de datos para presupuestos
+ * @description Propuestas comerciales con líneas de servicios del catálogo. Cada línea guarda
+ * una copia del nombre y el precio del servicio al presupuestar, de modo que los cambios
+ * posteriores del catálogo no alteran un presupuesto ya enviado.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { roundMoney } = require('../utils/currency');
+
+/**
+ * Estados de un presupuesto
+ * @constant {Array<string>} QUOTE_STATUSES
+ */
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'rejected'];
+
+/**
+ * Transiciones de estado permitidas
+ * @constant {Object<string, Array<string>>} QUOTE_TRANSITIONS
+ * @description Un presupuesto enviado puede volver a borrador para corregirlo.
+ * Aceptado y rechazado son estados finales.
+ */
+const QUOTE_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['accepted', 'rejected', 'draft'],
+  accepted: [],
+  rejected: []
+};
+
+/**
+ * Esquema de una línea del presupuesto
+ * @typedef {Object} QuoteItem
+ * @property {ObjectId} service - Servicio del catálogo
+ * @property {string} name - Nombre del servicio al presupuestar
+ * @property {number} unitPrice - Precio del servicio al presupuestar en USD
+ * @property {number} quantity - Unidades (meses, entregas...)
+ * @property {number} discount - Descuento en porcentaje (0-100)
+ * @property {number} taxRate - Impuesto en porcentaje sobre la base con descuento
+ * @property {number} subtotal - unitPrice × quantity (calculado)
+ * @property {number} discountAmount - Importe descontado (calculado)
+ * @property {number} taxAmount - Importe de impuestos (calculado)
+ * @property {number} total - Total de la línea con impuestos (calculado)
+ */
+const quoteItemSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Cada línea debe indicar un servicio']
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'El precio no puede ser negativo']
+  },
+
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'La cantidad mínima es 1']
+  },
+
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El descuento no puede ser negativo'],
+    max: [100, 'El descuento no puede superar el 100 %']
+  },
+
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'El impuesto no puede ser negativo'],
+    max: [100, 'El impuesto no puede superar el 100 %']
+  },
+
+  subtotal: Number,
+  discountAmount: Number,
+  taxAmount: Number,
+  total: Number
+}, {
+  _id: true
+});
+
+/**
+ * Esquema de la base de datos para presupuestos
+ * @typedef {Object} Quote
+ * @property {string} number - Numeración correlativa por año (P-2025-0001)
+ * @property {ObjectId} client - Cliente o prospecto (requerido)
+ * @property {string} title - Título de la propuesta
+ * @property {string} status - draft | sent | accepted | rejected
+ * @property {Array<QuoteItem>} items - Líneas del presupuesto (al menos una)
+ * @property {Date|null} validUntil - Fecha límite de la oferta
+ * @property {string} notes - Condiciones que se imprimen en el PDF
+ * @property {Object} totals - Sumas de las líneas (calculado)
+ * @property {Date|null} sentAt - Fecha de envío
+ * @property {Date|null} decidedAt - Fecha de aceptación o rechazo
+ * @property {Array<ObjectId>} subscriptions - Suscripciones creadas al aceptarlo
+ * @property {ObjectId} createdBy - Usuario que lo creó
+ */
+const quoteSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'El cliente es obligatorio']
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'El título no puede exceder 150 caracteres']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: QUOTE_STATUSES,
+      message: `El estado debe ser: ${QUOTE_STATUSES.join(', ')}`
+    },
+    default: 'draft'
+  },
+
+  items: {
+    type: [quoteItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'El presupuesto debe tener al menos una línea'
+    }
+  },
+
+  validUntil: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Las notas no pueden exceder 2000 caracteres']
+  },
+
+  totals: {
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+
+  subscriptions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Recalcula los importes de cada línea y los totales antes de validar
+ */
+quoteSchema.pre('validate', function(next) {
+  const totals = { subtotal: 0, discount: 0, tax: 0, total: 0 };
+
+  this.items.forEach(item => {
+    item.subtotal = roundMoney(item.unitPrice * item.quantity);
+    item.discountAmount = roundMoney(item.subtotal * (item.discount || 0) / 100);
+    item.taxAmount = roundMoney((item.subtotal - item.discountAmount) * (item.taxRate || 0) / 100);
+    item.total = roundMoney(item.subtotal - item.discountAmount + item.taxAmount);
+
+    totals.subtotal += item.subtotal;
+    totals.discount += item.discountAmount;
+    totals.tax += item.taxAmount;
+    totals.total += item.total;
+  });
+
+  this.totals = {
+    subtotal: roundMoney(totals.subtotal),
+    discount: roundMoney(totals.discount),
+    tax: roundMoney(totals.tax),
+    total: roundMoney(totals.total)
+  };
+  next();
+});
+
+/**
+ * Indica si el presupuesto puede pasar a otro estado
+ * @param {string} status - Estado destino
+ * @returns {boolean} true si la transición está permitida
+ */
+quoteSchema.methods.canTransitionTo = function(status) {
+  return (QUOTE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Reserva el siguiente número de presupuesto del año
+ * @param {Date} [date=new Date()] - Fecha del presupuesto
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `session`)
+ * @returns {Promise<string>} Número con el formato P-AAAA-NNNN
+ */
+quoteSchema.statics.nextNumber = async function(date = new Date(), options = {}) {
+  const year = date.getUTCFullYear();
+  const seq = await Counter.next(`quote-${year}`, options);
+  return `P-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+/**
+ * Índices para optimización de consultas
+ */
+quoteSchema.index({ client: 1, createdAt: -1 });
+quoteSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Exporta el modelo Quote
+ * @module Quote
+ * @description Modelo de Mongoose para presupuestos
+ */
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Modelo de datos para servicios de marketing
+ * @description Define la estructura y validaciones para los servicios que ofrece Virtyum
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const {
+  BILLING_MODELS,
+  INTERVAL_UNITS,
+  DURATION_UNITS,
+  formatDurationLabel,
+  parseDuration
+} = require('../utils/serviceDuration');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currencies');
+const Category = require('./Category');
+
+/**
+ * Número máximo de niveles por servicio
+ * @constant {number} MAX_TIERS
+ */
+const MAX_TIERS = 6;
+
+/**
+ * Número máximo de entregables y de límites por nivel
+ * @constant {number} MAX_TIER_ITEMS
+ */
+const MAX_TIER_ITEMS = 20;
+
+/**
+ * Periodicidad de cobro de un servicio recurrente ("cada `count` `unit`")
+ * @typedef {Object} BillingInterval
+ * @property {string} unit - week | month | year
+ * @property {number} count - Número de unidades por periodo (entero, 1-24)
+ */
+const billingIntervalSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    required: [true, 'La unidad de la periodicidad es obligatoria'],
+    enum: {
+      values: INTERVAL_UNITS,
+      message: 'La periodicidad debe ser en semanas, meses o años'
+    }
+  },
+  count: {
+    type: Number,
+    required: [true, 'El número de unidades de la periodicidad es obligatorio'],
+    min: [1, 'La periodicidad debe ser de al menos 1 unidad'],
+    max: [24, 'La periodicidad no puede superar 24 unidades'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'La periodicidad debe ser un número entero'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Duración estimada del servicio, de `min` a `max` `unit`
+ * @typedef {Object} EstimatedDuration
+ * @property {number} min - Duración mínima
+ * @property {number} max - Duración máxima (igual a min si es fija)
+ * @property {string} unit - day | week | month | year
+ */
+const estimatedDurationSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    required: [true, 'La duración mínima es obligatoria'],
+    min: [1, 'La duración mínima debe ser al menos 1']
+  },
+  max: {
+    type: Number,
+    required: [true, 'La duración máxima es obligatoria'],
+    validate: {
+      validator: function(value) {
+        return value >= this.min;
+      },
+      message: 'La duración máxima no puede ser menor que la mínima'
+    }
+  },
+  unit: {
+    type: String,
+    required: [true, 'La unidad de la duración es obligatoria'],
+    enum: {
+      values: DURATION_UNITS,
+      message: 'La duración debe ser en días, semanas, meses o años'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Límite de un nivel (p. ej. "Publicaciones al mes": "12")
+ * @typedef {Object} TierLimit
+ * @property {string} label - Qué se limita
+ * @property {string} value - Valor del límite (texto libre: "12", "Ilimitado", "2 revisiones")
+ */
+const tierLimitSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'El nombre del límite es obligatorio'],
+    trim: true,
+    maxlength: [50, 'El nombre del límite no puede exceder 50 caracteres']
+  },
+  value: {
+    type: String,
+    required: [true, 'El valor del límite es obligatorio'],
+    trim: true,
+    maxlength: [50, 'El valor del límite no puede exceder 50 caracteres']
+  }
+}, { _id: false });
+
+/**
+ * Nivel o paquete de un servicio (Básico, Pro, Enterprise...) con su propio precio
+ * @typedef {Object} ServiceTier
+ * @property {ObjectId} _id - Identificador del nivel (se conserva al reordenar)
+ * @property {string} name - Nombre del nivel
+ * @property {number} price - Precio del nivel, en la moneda del servicio
+ * @property {Array<string>} deliverables - Entregables incluidos
+ * @property {Array<TierLimit>} limits - Límites del nivel
+ */
+const tierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del nivel es obligatorio'],
+    trim: true,
+    maxlength: [50, 'El nombre del nivel no puede exceder 50 caracteres']
+  },
+  price: {
+    type: Number,
+    required: [true, 'El precio del nivel es obligatorio'],
+    min: [0, 'El precio del nivel no puede ser negativo']
+  },
+  deliverables: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Cada entregable no puede exceder 200 caracteres']
+    }],
+    validate: {
+      validator: (values) => values.length <= MAX_TIER_ITEMS,
+      message: `Un nivel no puede tener más de ${MAX_TIER_ITEMS} entregables`
+    }
+  },
+  limits: {
+    type: [tierLimitSchema],
+    validate: {
+      validator: (values) => values.length <= MAX_TIER_ITEMS,
+      message: `Un nivel no puede tener más de ${MAX_TIER_ITEMS} límites`
+    }
+  }
+});
+
+/**
+ * Esquema de la base de datos para servicios de marketing
+ * @typedef {Object} Service
+ * @property {string} name - Nombre del servicio (requerido)
+ * @property {string} category - Categoría del servicio (Digital, Social, Contenido, Diseño, Desarrollo, Análisis)
+ * @property {number} price - Precio del servicio en su moneda (mínimo 0); con niveles, el del
+ * nivel más barato ("desde"), calculado al guardar
+ * @property {string} currency - Código ISO de la moneda del precio (USD, EUR, MXN, COP)
+ * @property {string} duration - Etiqueta de duración que se muestra ("Mensual", "3-6 meses"), generada
+ * a partir de los campos estructurados
+ * @property {string} billingModel - Modelo de facturación (recurring, one-off, per-campaign)
+ * @property {BillingInterval|null} billingInterval - Periodicidad de cobro (solo recurring)
+ * @property {EstimatedDuration|null} estimatedDuration - Duración estimada
+ * @property {string} status - Estado actual del servicio (Activo, Nuevo, Pausado, Inactivo)
+ * @property {string} description - Descripción detallada del servicio
+ * @property {Array<ServiceTier>} tiers - Niveles del servicio, en el orden en que se muestran (vacío si
+ * tiene un único precio)
+ * @property {number} clients - Clientes distintos con una suscripción vigente (calculado, ver utils/subscriptions)
+ * @property {Date|null} deletedAt - Fecha en que se movió a la papelera (null si no está eliminado)
+ * @property {ObjectId|null} deletedBy - Usuario que lo eliminó
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const serviceSchema = new mongoose.Schema({
+  // Información básica del servicio
+  name: {
+    type: String,
+    required: [true, 'El nombre del servicio es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  
+  // Categorización del servicio: nombre de una categoría activa de la colección Category.
+  // Solo se comprueba al asignarla, así los servicios de una categoría desactivada se siguen
+  // pudiendo editar. validateSync no ejecuta esta validación (la importación la hace aparte).
+  category: {
+    type: String,
+    required: [true, 'La categoría es obligatoria'],
+    trim: true,
+    validate: {
+      validator: async function(value) {
+        if (!this.isNew && !this.isModified('category')) return true;
+        return Boolean(await Category.exists({ name: value, active: true }));
+      },
+      message: (props) => `La categoría "${props.value}" no existe o está desactivada`
+    }
+  },
+  
+  // Información comercial
+  price: {
+    type: Number,
+    required: [true, 'El precio es obligatorio'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: `La moneda debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}`
+    },
+    default: BASE_CURRENCY
+  },
+  
+  // Etiqueta de duración: se genera desde los campos estructurados (ver pre-validate)
+  duration: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'La duración no puede exceder 50 caracteres']
+  },
+
+  // Cómo se cobra el servicio: por periodos, una vez o por campaña
+  billingModel: {
+    type: String,
+    required: [true, 'El modelo de facturación es obligatorio'],
+    enum: {
+      values: BILLING_MODELS,
+      message: 'El modelo de facturación debe ser: recurring, one-off o per-campaign'
+    }
+  },
+
+  billingInterval: {
+    type: billingIntervalSchema,
+    default: null,
+    required: [
+      function() { return this.billingModel === 'recurring'; },
+      'Un servicio recurrente necesita una periodicidad'
+    ]
+  },
+
+  estimatedDuration: {
+    type: estimatedDurationSchema,
+    default: null
+  },
+  
+  // Estado operativo del servicio
+  status: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['Activo', 'Nuevo', 'Pausado', 'Inactivo'],
+      message: 'El estado debe ser: Activo, Nuevo, Pausado o Inactivo'
+    },
+    default: 'Nuevo'
+  },
+  
+  // Descripción detallada del servicio
+  description: {
+    type: String,
+    required: [true, 'La descripción es obligatoria'],
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+
+  // Variantes con precio propio; el orden del array es el de presentación
+  tiers: {
+    type: [tierSchema],
+    validate: [
+      {
+        validator: (tiers) => tiers.length <= MAX_TIERS,
+        message: `Un servicio no puede tener más de ${MAX_TIERS} niveles`
+      },
+      {
+        validator: (tiers) => {
+          const names = tiers.map(tier => (tier.name || '').trim().toLowerCase());
+          return new Set(names).size === names.length;
+        },
+        message: 'Los nombres de los niveles no se pueden repetir'
+      }
+    ]
+  },
+  
+  // Métricas del servicio: se recalcula desde Subscription, la API no permite editarlo
+  clients: {
+    type: Number,
+    default: 0,
+    min: [0, 'El número de clientes no puede ser negativo']
+  },
+
+  // Papelera: un servicio con deletedAt está eliminado y se purga tras la retención
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  // Configuraciones del esquema
+  timestamps: true, // Agrega createdAt y updatedAt automáticamente
+  versionKey: false // Remueve el campo __v de versioning
+});
+
+/**
+ * Campos estructurados de los que se genera la etiqueta `duration`
+ * @constant {Array<string>} STRUCTURED_DURATION_PATHS
+ */
+const STRUCTURED_DURATION_PATHS = ['billingModel', 'billingInterval', 'estimatedDuration'];
+
+/**
+ * Mantiene la etiqueta y los campos estructurados de la duración en sincronía.
+ * Si se envían los campos estructurados se regenera la etiqueta; si solo llega el texto
+ * (clientes antiguos de la API, importación) o el servicio aún no se ha migrado, se
+ * interpreta el texto y se conserva tal cual. Lo que no se reconoce queda como pago único.
+ * @returns {Service} El propio documento
+ */
+serviceSchema.methods.syncDuration = function() {
+  // Los campos ya se interpretaron de esta misma etiqueta (p. ej. validateSync y luego save)
+  if (this.$locals.parsedDuration !== undefined && this.$locals.parsedDuration === this.duration) {
+    return this;
+  }
+
+  const structuredChanged = Boolean(this.billingModel) &&
+    STRUCTURED_DURATION_PATHS.some(path => this.isModified(path));
+
+  if (structuredChanged) {
+    if (this.billingModel !== 'recurring') {
+      this.billingInterval = null;
+    }
+    this.duration = formatDurationLabel(this);
+  } else if (this.duration && (this.isModified('duration') || !this.billingModel)) {
+    this.set(parseDuration(this.duration) || {
+      billingModel: 'one-off',
+      billingInterval: null,
+      estimatedDuration: null
+    });
+    this.$locals.parsedDuration = this.duration;
+  }
+  return this;
+};
+
+/**
+ * Con niveles, el precio del servicio es el del nivel más barato: así el listado, los filtros
+ * por precio, las estadísticas por categoría y los precios copiados a suscripciones siguen
+ * usando un único importe
+ * @returns {Service} El propio documento
+ */
+serviceSchema.methods.syncTierPrice = function() {
+  const prices = (this.tiers || [])
+    .map(tier => tier.price)
+    .filter(price => typeof price === 'number' && Number.isFinite(price));
+  if (prices.length > 0) {
+    this.price = Math.min(...prices);
+  }
+  return this;
+};
+
+/**
+ * Middleware pre-validate: sincroniza la duración y el precio de los niveles (validateSync no
+ * ejecuta este hook, quien lo use debe llamar antes a syncDuration y syncTierPrice)
+ */
+serviceSchema.pre('validate', function(next) {
+  this.syncDuration();
+  this.syncTierPrice();
+  next();
+});
+
+/**
+ * Middleware pre-save para procesar datos antes de guardar
+ */
+serviceSchema.pre('save', function(next) {
+  // Capitalizar la primera letra del nombre
+  if (this.name) {
+    this.name = this.name.charAt(0).toUpperCase() + this.name.slice(1);
+  }
+  next();
+});
+
+/**
+ * Excluye los servicios de la papelera de todas las consultas.
+ * Se omite si el filtro ya menciona deletedAt o si la consulta usa la opción { withDeleted: true }.
+ */
+const QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+serviceSchema.pre(QUERY_HOOKS, function() {
+  if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
+serviceSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) {
+    return;
+  }
+
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  // $geoNear y $search deben ser la primera etapa; un $match inicial se amplía
+  // para no romper las consultas $text, que también exigen ir primero.
+  if (first && (first.$geoNear || first.$search)) {
+    pipeline.splice(1, 0, { $match: { deletedAt: null } });
+  } else if (first && first.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      first.$match = { ...first.$match, deletedAt: null };
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+/**
+ * Métodos virtuales para formateo de datos
+ */
+serviceSchema.virtual('formattedPrice').get(function() {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: this.currency || BASE_CURRENCY,
+    maximumFractionDigits: 2
+  }).format(this.price);
+});
+
+/**
+ * Métodos de instancia
+ */
+serviceSchema.methods.toJSON = function() {
+  const service = this.toObject();
+  service.formattedPrice = this.formattedPrice;
+  return service;
+};
+
+/**
+ * Índices para optimización de consultas
+ */
+serviceSchema.index({ category: 1, status: 1 });
+serviceSchema.index({ createdAt: -1 });
+serviceSchema.index({ price: 1 });
+serviceSchema.index({ deletedAt: 1 });
+// Índice de texto para la búsqueda por relevancia: stemming en español e
+// insensible a tildes (los índices de texto v3 ignoran diacríticos).
+// Si existía el índice anterior sin idioma, ejecutar `npm run db:sync-indexes`.
+serviceSchema.index(
+  { name: 'text', description: 'text' },
+  {
+    name: 'service_text_search',
+    default_language: 'spanish',
+    weights: { name: 3, description: 1 }
+  }
+);
+
+/**
+ * Exporta el modelo Service
+ * @module Service
+ * @description Modelo de Mongoose para servicios de marketing de Virtyum
+ */
+module.exports = mongoose.model('Service', serviceSchema); 
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Modelo de instantáneas diarias de las estadísticas
+ * @description Copia de las cifras principales de GET /api/services/stats, una por día (UTC), para
+ * ver su evolución. La tarea periódica sobrescribe la del día en curso, así que cada día guarda
+ * sus cifras al cierre.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Esquema de la base de datos para instantáneas de estadísticas
+ * @typedef {Object} StatsSnapshot
+ * @property {Date} date - Día de la instantánea (00:00 UTC, único)
+ * @property {Object} services - Servicios del catálogo: total, active, new, paused e inactive
+ * @property {number} clients - Clientes distintos con alguna suscripción vigente
+ * @property {number} categories - Categorías con algún servicio
+ * @property {Object} pricing - Precio medio, mínimo y máximo en `currency` (la moneda base); null
+ * si faltaba algún tipo de cambio al capturarla
+ * @property {Object} bundles - Paquetes totales y disponibles
+ * @property {Date} updatedAt - Última vez que se capturó (automático)
+ */
+const statsSnapshotSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+
+  services: {
+    total: { type: Number, default: 0 },
+    active: { type: Number, default: 0 },
+    new: { type: Number, default: 0 },
+    paused: { type: Number, default: 0 },
+    inactive: { type: Number, default: 0 }
+  },
+
+  clients: {
+    type: Number,
+    default: 0
+  },
+
+  categories: {
+    type: Number,
+    default: 0
+  },
+
+  pricing: {
+    currency: { type: String, default: BASE_CURRENCY },
+    averagePrice: { type: Number, default: null },
+    minPrice: { type: Number, default: null },
+    maxPrice: { type: Number, default: null }
+  },
+
+  bundles: {
+    total: { type: Number, default: 0 },
+    available: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: { createdAt: false, updatedAt: true },
+  versionKey: false
+});
+
+/**
+ * Índices para optimización de consultas
+ */
+statsSnapshotSchema.index({ date: 1 }, { unique: true });
+
+/**
+ * Exporta el modelo StatsSnapshot
+ * @module StatsSnapshot
+ * @description Modelo de Mongoose para el histórico diario de estadísticas
+ */
+module.exports = mongoose.model('StatsSnapshot', statsSnapshotSchema);
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Modelo de datos para suscripciones de clientes a servicios
+ * @description Relación cliente ↔ servicio con vigencia y precio pactado. El contador
+ * `clients` de cada Service se calcula a partir de las suscripciones activas.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de la base de datos para suscripciones
+ * @typedef {Object} Subscription
+ * @property {ObjectId} client - Cliente suscrito (requerido)
+ * @property {ObjectId} service - Servicio contratado (requerido)
+ * @property {Date} startDate - Inicio de la vigencia (requerido)
+ * @property {Date|null} endDate - Fin de la vigencia (null si no tiene fecha de fin)
+ * @property {number} agreedPrice - Precio pactado con el cliente en USD (por periodo de facturación)
+ * @property {number} taxRate - Impuesto en porcentaje que se aplica al facturar
+ * @property {string} notes - Condiciones o comentarios
+ * @property {ObjectId} createdBy - Usuario que registró la suscripción
+ * @property {boolean} active - Virtual: vigente en la fecha actual
+ */
+const subscriptionSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'El cliente es obligatorio']
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'El servicio es obligatorio']
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'La fecha de inicio es obligatoria'],
+    default: Date.now
+  },
+
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'La fecha de fin no puede ser anterior a la de inicio'
+    }
+  },
+
+  agreedPrice: {
+    type: Number,
+    required: [true, 'El precio pactado es obligatorio'],
+    min: [0, 'El precio pactado no puede ser negativo']
+  },
+
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'El impuesto no puede ser negativo'],
+    max: [100, 'El impuesto no puede superar el 100 %']
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Filtro de suscripciones vigentes en una fecha
+ * @param {Date} [now=new Date()] - Fecha de referencia
+ * @returns {Object} Filtro de Mongoose
+ */
+subscriptionSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    startDate: { $lte: now },
+    $or: [{ endDate: null }, { endDate: { $gt: now } }]
+  };
+};
+
+/**
+ * Indica si la suscripción está vigente hoy
+ */
+subscriptionSchema.virtual('active').get(function() {
+  const now = new Date();
+  return this.startDate <= now && (!this.endDate || this.endDate > now);
+});
+
+/**
+ * Índices para optimización de consultas
+ */
+subscriptionSchema.index({ client: 1, startDate: -1 });
+subscriptionSchema.index({ service: 1, startDate: 1, endDate: 1 });
+
+/**
+ * Exporta el modelo Subscription
+ * @module Subscription
+ * @description Modelo de Mongoose para las suscripciones de clientes a servicios
+ */
+module.exports = mongoose.model('Subscription', subscriptionSchema);
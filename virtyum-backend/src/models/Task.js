@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Modelo de tareas de entrega
+ * @description Trabajo pendiente para entregar un servicio, opcionalmente dentro de la suscripción
+ * de un cliente, con responsable, fecha límite, prioridad, estado y lista de comprobación
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { TASK_STATUSES, TASK_PRIORITIES, MAX_CHECKLIST_ITEMS } = require('../config/tasks');
+
+/**
+ * Elemento de la lista de comprobación
+ * @typedef {Object} ChecklistItem
+ * @property {string} text - Paso a completar
+ * @property {boolean} done - Si ya está hecho
+ */
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Cada elemento de la lista necesita un texto'],
+    trim: true,
+    maxlength: [200, 'Un elemento de la lista no puede exceder 200 caracteres']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  }
+});
+
+/**
+ * Esquema de la base de datos para tareas
+ * @typedef {Object} Task
+ * @property {string} title - Título de la tarea (requerido)
+ * @property {string} description - Detalle del trabajo
+ * @property {ObjectId} service - Servicio que se entrega (requerido)
+ * @property {ObjectId|null} subscription - Suscripción del cliente a la que pertenece la entrega
+ * @property {ObjectId|null} client - Cliente de la suscripción (se copia de ella para filtrar)
+ * @property {ObjectId|null} assignee - Usuario responsable
+ * @property {Date|null} dueDate - Fecha límite
+ * @property {string} priority - low, medium, high o urgent
+ * @property {string} status - todo, in_progress, blocked o done
+ * @property {Array<ChecklistItem>} checklist - Pasos de la tarea
+ * @property {Array<ObjectId>} dependsOn - Tareas que deben terminarse antes de empezar esta
+ * @property {ObjectId|null} template - Versión de la plantilla de la que se creó (null si se creó a mano)
+ * @property {Date|null} completedAt - Cuándo pasó a done (null si no está terminada)
+ * @property {ObjectId} createdBy - Usuario que creó la tarea
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const taskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'El título de la tarea es obligatorio'],
+    trim: true,
+    maxlength: [150, 'El título no puede exceder 150 caracteres']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres'],
+    default: ''
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'El servicio es obligatorio']
+  },
+
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  dueDate: {
+    type: Date,
+    default: null
+  },
+
+  priority: {
+    type: String,
+    enum: {
+      values: TASK_PRIORITIES,
+      message: `La prioridad debe ser una de: ${TASK_PRIORITIES.join(', ')}`
+    },
+    default: 'medium'
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: TASK_STATUSES,
+      message: `El estado debe ser uno de: ${TASK_STATUSES.join(', ')}`
+    },
+    default: 'todo'
+  },
+
+  checklist: {
+    type: [checklistItemSchema],
+    validate: {
+      validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `La lista de comprobación no puede tener más de ${MAX_CHECKLIST_ITEMS} elementos`
+    }
+  },
+
+  dependsOn: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    default: []
+  },
+
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskTemplate',
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Middleware pre-validate: fecha de finalización según el estado
+ */
+taskSchema.pre('validate', function(next) {
+  if (this.status === 'done') {
+    this.completedAt = this.completedAt || new Date();
+  } else {
+    this.completedAt = null;
+  }
+  next();
+});
+
+/**
+ * Índices para optimización de consultas
+ */
+taskSchema.index({ service: 1, status: 1 });
+taskSchema.index({ client: 1, status: 1 });
+taskSchema.index({ subscription: 1, template: 1 });
+taskSchema.index({ dependsOn: 1 });
+taskSchema.index({ assignee: 1, status: 1, dueDate: 1 });
+taskSchema.index({ status: 1, dueDate: 1 });
+
+/**
+ * Exporta el modelo Task
+ * @module Task
+ * @description Modelo de Mongoose para las tareas de entrega de servicios
+ */
+module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Modelo de plantillas de tareas de los servicios
+ * @description Tareas que se crean automáticamente al empezar una suscripción a un servicio. Cada
+ * edición guarda una versión nueva y las versiones no se modifican: las tareas ya creadas apuntan
+ * a la versión de la que salieron y no cambian al editar la plantilla.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const {
+  TASK_PRIORITIES,
+  MAX_CHECKLIST_ITEMS,
+  MAX_TEMPLATE_TASKS,
+  MAX_DUE_OFFSET_DAYS,
+  TEMPLATE_ASSIGNEE_ROLES
+} = require('../config/tasks');
+
+/**
+ * Tarea de la plantilla
+ * @typedef {Object} TemplateTask
+ * @property {string} title - Título de la tarea
+ * @property {string} description - Detalle del trabajo
+ * @property {number|null} dueOffsetDays - Días desde el inicio de la suscripción hasta la fecha
+ * límite (null sin fecha límite)
+ * @property {string} priority - low, medium, high o urgent
+ * @property {string|null} assigneeRole - Rol del que se elige el responsable (el que tenga menos
+ * tareas abiertas); null la deja sin asignar
+ * @property {Array<string>} checklist - Pasos de la tarea
+ * @property {Array<number>} dependsOn - Posiciones de tareas anteriores de la plantilla que deben
+ * terminarse antes
+ */
+const templateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Cada tarea de la plantilla necesita un título'],
+    trim: true,
+    maxlength: [150, 'El título no puede exceder 150 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres'],
+    default: ''
+  },
+  dueOffsetDays: {
+    type: Number,
+    default: null,
+    min: [0, 'El plazo no puede ser negativo'],
+    max: [MAX_DUE_OFFSET_DAYS, `El plazo no puede superar ${MAX_DUE_OFFSET_DAYS} días`],
+    validate: {
+      validator: (value) => value === null || Number.isInteger(value),
+      message: 'El plazo debe ser un número entero de días'
+    }
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: TASK_PRIORITIES,
+      message: `La prioridad debe ser una de: ${TASK_PRIORITIES.join(', ')}`
+    },
+    default: 'medium'
+  },
+  assigneeRole: {
+    type: String,
+    enum: {
+      values: [...TEMPLATE_ASSIGNEE_ROLES, null],
+      message: `El rol del responsable debe ser uno de: ${TEMPLATE_ASSIGNEE_ROLES.join(', ')}`
+    },
+    default: null
+  },
+  checklist: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Un elemento de la lista no puede exceder 200 caracteres']
+    }],
+    validate: {
+      validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `La lista de comprobación no puede tener más de ${MAX_CHECKLIST_ITEMS} elementos`
+    }
+  },
+  dependsOn: {
+    type: [Number],
+    default: []
+  }
+}, { _id: false });
+
+/**
+ * Esquema de la base de datos para versiones de plantillas
+ * @typedef {Object} TaskTemplate
+ * @property {ObjectId} service - Servicio de la plantilla (requerido)
+ * @property {number} version - Número de versión, empezando en 1
+ * @property {Array<TemplateTask>} tasks - Tareas en orden (vacía = sin plantilla)
+ * @property {ObjectId} createdBy - Usuario que guardó la versión
+ * @property {Date} createdAt - Fecha de la versión (automático)
+ */
+const taskTemplateSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'El servicio es obligatorio']
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  tasks: {
+    type: [templateTaskSchema],
+    validate: [
+      {
+        validator: (tasks) => tasks.length <= MAX_TEMPLATE_TASKS,
+        message: `La plantilla no puede tener más de ${MAX_TEMPLATE_TASKS} tareas`
+      },
+      {
+        // Solo se puede depender de tareas anteriores: así no hay ciclos
+        validator: (tasks) => tasks.every((task, index) => task.dependsOn.every(position => (
+          Number.isInteger(position) && position >= 0 && position < index
+        ))),
+        message: 'Una tarea solo puede depender de tareas anteriores de la plantilla'
+      }
+    ]
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Índices para optimización de consultas
+ */
+taskTemplateSchema.index({ service: 1, version: -1 }, { unique: true });
+
+/**
+ * Exporta el modelo TaskTemplate
+ * @module TaskTemplate
+ * @description Modelo de Mongoose para las versiones de las plantillas de tareas
+ */
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Modelo de datos para usuarios de la aplicación
+ * @description Define la estructura, validaciones y hashing de contraseñas de los usuarios de Virtyum
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE, getPermissionsForRole } = require('../config/permissions');
+
+/**
+ * Número de rondas de sal para bcrypt
+ * @constant {number} SALT_ROUNDS
+ */
+const SALT_ROUNDS = 12;
+
+/**
+ * Sesión de refresco emitida a un usuario (solo se guarda el hash del token)
+ * @typedef {Object} RefreshSession
+ * @property {string} tokenHash - Hash SHA-256 del refresh token
+ * @property {Date} expiresAt - Fecha de expiración del token
+ * @property {Date} createdAt - Fecha de emisión
+ */
+const refreshSessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Esquema de la base de datos para usuarios
+ * @typedef {Object} User
+ * @property {string} name - Nombre completo del usuario (requerido)
+ * @property {string} email - Correo electrónico único, usado para iniciar sesión
+ * @property {string} password - Contraseña hasheada con bcrypt (nunca se devuelve en consultas)
+ * @property {string} role - Rol del usuario (admin, editor, viewer)
+ * @property {Array<RefreshSession>} refreshTokens - Sesiones de refresco activas
+ * @property {Date} lastLoginAt - Fecha del último inicio de sesión
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const userSchema = new mongoose.Schema({
+  // Datos de perfil
+  name: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+
+  // Credenciales
+  email: {
+    type: String,
+    required: [true, 'El correo electrónico es obligatorio'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El correo electrónico no es válido']
+  },
+
+  password: {
+    type: String,
+    required: [true, 'La contraseña es obligatoria'],
+    minlength: [8, 'La contraseña debe tener al menos 8 caracteres'],
+    select: false
+  },
+
+  // Autorización
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: `El rol debe ser: ${ROLES.join(', ')}`
+    },
+    default: DEFAULT_ROLE
+  },
+
+  // Sesiones de refresco vigentes (rotan en cada refresh)
+  refreshTokens: {
+    type: [refreshSessionSchema],
+    default: [],
+    select: false
+  },
+
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Middleware pre-save para hashear la contraseña cuando cambia
+ */
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compara una contraseña en texto plano con el hash almacenado
+ * @param {string} candidatePassword - Contraseña recibida en el login
+ * @returns {Promise<boolean>} true si coincide
+ */
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+/**
+ * Elimina las sesiones de refresco caducadas
+ */
+userSchema.methods.pruneRefreshTokens = function() {
+  const now = new Date();
+  this.refreshTokens = this.refreshTokens.filter(session => session.expiresAt > now);
+};
+
+/**
+ * Representación pública del usuario (sin credenciales y con sus permisos)
+ */
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.refreshTokens;
+  user.permissions = getPermissionsForRole(this.role);
+  return user;
+};
+
+/**
+ * Exporta el modelo User
+ * @module User
+ * @description Modelo de Mongoose para usuarios de Virtyum
+ */
+module.exports = mongoose.model('User', userSchema);
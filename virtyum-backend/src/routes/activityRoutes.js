@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Rutas API del feed global de actividad
+ * @description Expone el registro de auditoría de todas las entidades
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const activityController = require('../controllers/activityController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/activity:
+ *   get:
+ *     summary: Feed de actividad reciente (creaciones, cambios y eliminaciones)
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [Service]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID del usuario que realizó el cambio
+ *     responses:
+ *       200:
+ *         description: Entradas de auditoría paginadas, de la más reciente a la más antigua
+ *       400:
+ *         description: Parámetros inválidos
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get('/', protect, authorize(PERMISSIONS.SERVICES_READ), activityController.getActivityFeed);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Activity
+ *   description: Registro de auditoría y actividad reciente
+ */
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Rutas API de autenticación
+ * @description Registro, login, refresco de tokens, logout y datos del usuario autenticado
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Registra un usuario (solo administradores)
+ *     description: |
+ *       No hay registro abierto. El usuario nuevo no inicia sesión: el administrador le
+ *       comunica su contraseña inicial. El primer administrador se crea con
+ *       `npm run db:create-admin`.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, email, password]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, viewer]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: Usuario registrado
+ *       400:
+ *         description: Error de validación o rol inválido
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: Solo administradores
+ *       409:
+ *         description: El correo ya está registrado
+ */
+router.post('/register', protect, authorize(PERMISSIONS.USERS_MANAGE), authController.register);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Inicia sesión con correo y contraseña
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Usuario, accessToken y refreshToken
+ *       401:
+ *         description: Credenciales inválidas
+ */
+router.post('/login', authController.login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rota el refresh token y emite un nuevo access token
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Nuevo par de tokens
+ *       401:
+ *         description: Refresh token inválido, expirado o revocado
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoca el refresh token (o todas las sesiones con allSessions)
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Devuelve el usuario autenticado
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Datos del usuario
+ *       401:
+ *         description: Token ausente, inválido o expirado
+ */
+router.get('/me', protect, authController.me);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Autenticación de usuarios con JWT
+ */
+
+module.exports = router;
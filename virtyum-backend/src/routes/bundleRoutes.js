@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Rutas API de paquetes de servicios
+ * @description Los paquetes forman parte del catálogo: se consultan y gestionan con los mismos
+ * permisos que los servicios
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     BundleInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - items
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Lanzamiento Digital"
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 20
+ *           description: Servicios incluidos, sin repetir
+ *           items:
+ *             type: object
+ *             required:
+ *               - service
+ *             properties:
+ *               service:
+ *                 type: string
+ *                 description: ID del servicio
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 99
+ *                 default: 1
+ *         pricingMode:
+ *           type: string
+ *           enum: [computed, fixed]
+ *           default: computed
+ *           description: computed = suma de los componentes menos discountPercent; fixed = fixedPrice
+ *         discountPercent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 99
+ *           example: 15
+ *         fixedPrice:
+ *           type: number
+ *           minimum: 0
+ *           description: Precio en USD (obligatorio en modo fixed)
+ *     Bundle:
+ *       allOf:
+ *         - $ref: '#/components/schemas/BundleInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             pricing:
+ *               type: object
+ *               description: Calculado con los precios actuales de los componentes
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                 listPrice:
+ *                   type: number
+ *                   description: Suma de los componentes
+ *                 price:
+ *                   type: number
+ *                 savings:
+ *                   type: number
+ *             available:
+ *               type: boolean
+ *               description: false si algún componente está Pausado, Inactivo o eliminado
+ *             issues:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   service:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   problem:
+ *                     type: string
+ *                     enum: [Pausado, Inactivo, deleted, missing]
+ */
+
+const express = require('express');
+const router = express.Router();
+const bundleController = require('../controllers/bundleController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/bundles:
+ *   get:
+ *     summary: Lista los paquetes con su precio y disponibilidad
+ *     tags: [Bundles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el nombre
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Solo los paquetes que incluyen este servicio
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *         description: false devuelve solo los paquetes marcados
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [USD, EUR, MXN, COP]
+ *           default: USD
+ *     responses:
+ *       200:
+ *         description: Paquetes ordenados por nombre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bundles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Bundle'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Parámetros inválidos
+ *       422:
+ *         description: Falta el tipo de cambio de alguna moneda (devuelve `currencies`)
+ *   post:
+ *     summary: Crea un paquete
+ *     tags: [Bundles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BundleInput'
+ *     responses:
+ *       201:
+ *         description: Paquete creado
+ *       400:
+ *         description: Error de validación (p. ej. un servicio no existe o está en la papelera)
+ */
+router.get('/', protect, authorize(PERMISSIONS.SERVICES_READ), bundleController.getBundles);
+router.post('/', protect, authorize(PERMISSIONS.SERVICES_CREATE), bundleController.createBundle);
+
+/**
+ * @swagger
+ * /api/bundles/{id}:
+ *   get:
+ *     summary: Obtiene un paquete
+ *     tags: [Bundles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [USD, EUR, MXN, COP]
+ *     responses:
+ *       200:
+ *         description: Paquete con sus componentes
+ *       404:
+ *         description: Paquete no encontrado
+ *   put:
+ *     summary: Modifica un paquete (items sustituye todos los componentes)
+ *     tags: [Bundles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BundleInput'
+ *     responses:
+ *       200:
+ *         description: Paquete actualizado
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Paquete no encontrado
+ *   delete:
+ *     summary: Elimina un paquete
+ *     tags: [Bundles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paquete eliminado
+ *       404:
+ *         description: Paquete no encontrado
+ */
+router.get('/:id', protect, authorize(PERMISSIONS.SERVICES_READ), bundleController.getBundleById);
+router.put('/:id', protect, authorize(PERMISSIONS.SERVICES_UPDATE), bundleController.updateBundle);
+router.delete('/:id', protect, authorize(PERMISSIONS.SERVICES_DELETE), bundleController.deleteBundle);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Rutas API de categorías de servicios
+ * @description Cualquier usuario que consulte servicios puede listar las categorías; solo admin
+ * las crea, edita, ordena o elimina
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     CategoryInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 40
+ *           example: "Email Marketing"
+ *         slug:
+ *           type: string
+ *           description: Minúsculas, números y guiones (se genera del nombre si no se envía)
+ *           example: "email-marketing"
+ *         color:
+ *           type: string
+ *           enum: [primary, secondary, success, danger, warning, info, dark]
+ *           default: secondary
+ *         icon:
+ *           type: string
+ *           description: Nombre de Bootstrap Icons sin el prefijo bi-
+ *           default: tag
+ *           example: "envelope"
+ *         order:
+ *           type: integer
+ *           description: Posición en los listados (por defecto, la última)
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Las categorías desactivadas no se pueden asignar a servicios
+ *     Category:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CategoryInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             services:
+ *               type: integer
+ *               description: Servicios que la usan
+ *             trashedServices:
+ *               type: integer
+ *               description: Servicios de la papelera que la usan
+ */
+
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Lista las categorías en su orden
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *         description: true para las asignables, false para las desactivadas
+ *     responses:
+ *       200:
+ *         description: Categorías con el número de servicios que las usan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Parámetros inválidos
+ *   post:
+ *     summary: Crea una categoría (solo admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       201:
+ *         description: Categoría creada
+ *       400:
+ *         description: Error de validación
+ *       409:
+ *         description: Ya existe una categoría con ese nombre o slug
+ */
+router.get('/', protect, authorize(PERMISSIONS.SERVICES_READ), categoryController.getCategories);
+router.post('/', protect, authorize(PERMISSIONS.CATEGORIES_MANAGE), categoryController.createCategory);
+
+/**
+ * @swagger
+ * /api/categories/order:
+ *   put:
+ *     summary: Fija el orden de las categorías (solo admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 description: IDs de todas las categorías en el orden deseado
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Categorías en el nuevo orden
+ *       400:
+ *         description: Parámetros inválidos (faltan o sobran categorías)
+ */
+router.put('/order', protect, authorize(PERMISSIONS.CATEGORIES_MANAGE), categoryController.reorderCategories);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Modifica una categoría (solo admin)
+ *     description: Si cambia el nombre, los servicios de la categoría (papelera incluida) pasan al nuevo nombre.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       200:
+ *         description: Categoría actualizada (con `renamedServices`)
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Categoría no encontrada
+ *       409:
+ *         description: Ya existe una categoría con ese nombre o slug
+ *   delete:
+ *     summary: Elimina una categoría sin servicios (solo admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Categoría eliminada
+ *       404:
+ *         description: Categoría no encontrada
+ *       409:
+ *         description: Algún servicio (también en la papelera) usa la categoría
+ */
+router.put('/:id', protect, authorize(PERMISSIONS.CATEGORIES_MANAGE), categoryController.updateCategory);
+router.delete('/:id', protect, authorize(PERMISSIONS.CATEGORIES_MANAGE), categoryController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Rutas API de clientes y sus suscripciones
+ * @description Todas las rutas requieren autenticación. viewer consulta clientes,
+ * editor además los crea, edita y gestiona sus suscripciones, y admin puede eliminarlos.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     Client:
+ *       type: object
+ *       required:
+ *         - company
+ *       properties:
+ *         _id:
+ *           type: string
+ *         company:
+ *           type: string
+ *           maxLength: 120
+ *           description: Razón social o nombre comercial
+ *         contactName:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         phone:
+ *           type: string
+ *         taxId:
+ *           type: string
+ *           description: Identificación fiscal (única si se indica)
+ *         notes:
+ *           type: string
+ *         activeSubscriptions:
+ *           type: integer
+ *           readOnly: true
+ *           description: Suscripciones vigentes (solo en el listado)
+ *     Subscription:
+ *       type: object
+ *       required:
+ *         - service
+ *       properties:
+ *         _id:
+ *           type: string
+ *         client:
+ *           type: string
+ *         service:
+ *           type: string
+ *           description: ID del servicio (en las respuestas, el servicio con sus datos básicos)
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         agreedPrice:
+ *           type: number
+ *           minimum: 0
+ *           description: Precio por periodo de facturación; por defecto, el precio del servicio al crear la suscripción
+ *         taxRate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           default: 0
+ *           description: Impuesto en porcentaje que se aplica al facturar
+ *         notes:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *           readOnly: true
+ */
+
+const express = require('express');
+const router = express.Router();
+const clientController = require('../controllers/clientController');
+const subscriptionController = require('../controllers/subscriptionController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/clients:
+ *   get:
+ *     summary: Lista los clientes con búsqueda y paginación
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca en empresa, contacto, email e identificación fiscal
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Solo clientes con una suscripción vigente a este servicio
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Clientes y paginación
+ *       400:
+ *         description: Parámetros inválidos
+ *   post:
+ *     summary: Crea un cliente
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Client'
+ *     responses:
+ *       201:
+ *         description: Cliente creado
+ *       400:
+ *         description: Error de validación
+ *       409:
+ *         description: Identificación fiscal duplicada
+ */
+router.get('/', protect, authorize(PERMISSIONS.CLIENTS_READ), clientController.getClients);
+router.post('/', protect, authorize(PERMISSIONS.CLIENTS_WRITE), clientController.createClient);
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   get:
+ *     summary: Obtiene un cliente con sus suscripciones
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cliente y suscripciones
+ *       404:
+ *         description: Cliente no encontrado
+ *   put:
+ *     summary: Actualiza un cliente
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Client'
+ *     responses:
+ *       200:
+ *         description: Cliente actualizado
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Cliente no encontrado
+ *       409:
+ *         description: Identificación fiscal duplicada
+ *   delete:
+ *     summary: Elimina un cliente y sus suscripciones (solo admin)
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cliente eliminado
+ *       404:
+ *         description: Cliente no encontrado
+ */
+router.get('/:id', protect, authorize(PERMISSIONS.CLIENTS_READ), clientController.getClientById);
+router.put('/:id', protect, authorize(PERMISSIONS.CLIENTS_WRITE), clientController.updateClient);
+router.delete('/:id', protect, authorize(PERMISSIONS.CLIENTS_DELETE), clientController.deleteClient);
+
+/**
+ * @swagger
+ * /api/clients/{id}/subscriptions:
+ *   post:
+ *     summary: Suscribe el cliente a un servicio
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Subscription'
+ *     responses:
+ *       201:
+ *         description: Suscripción creada; se recalcula el número de clientes del servicio
+ *       400:
+ *         description: Error de validación o servicio inexistente
+ *       404:
+ *         description: Cliente no encontrado
+ */
+router.post('/:id/subscriptions', protect, authorize(PERMISSIONS.CLIENTS_WRITE), subscriptionController.createSubscription);
+
+/**
+ * @swagger
+ * /api/clients/{id}/subscriptions/{subscriptionId}:
+ *   put:
+ *     summary: Modifica una suscripción (p. ej. endDate para finalizarla)
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción actualizada
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Suscripción no encontrada
+ *   delete:
+ *     summary: Elimina una suscripción
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción eliminada
+ *       404:
+ *         description: Suscripción no encontrada
+ */
+router.put('/:id/subscriptions/:subscriptionId', protect, authorize(PERMISSIONS.CLIENTS_WRITE), subscriptionController.updateSubscription);
+router.delete('/:id/subscriptions/:subscriptionId', protect, authorize(PERMISSIONS.CLIENTS_WRITE), subscriptionController.deleteSubscription);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Clients
+ *   description: Clientes y suscripciones a servicios
+ */
+
+module.exports = router;
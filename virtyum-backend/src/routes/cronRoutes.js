@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Rutas de tareas programadas (Vercel Cron)
+ * @description Protegidas por CRON_SECRET en lugar de JWT; ver "crons" en vercel.json
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cronController');
+
+router.use(cronController.verifyCronSecret);
+
+router.get('/purge-trash', cronController.purgeTrash);
+router.get('/recount-clients', cronController.recountClients);
+router.get('/price-changes', cronController.applyPriceChanges);
+router.get('/billing', cronController.runBilling);
+router.get('/stats-snapshot', cronController.captureStatsSnapshot);
+
+module.exports = router;
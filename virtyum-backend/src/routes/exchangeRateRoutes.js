@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Rutas API de tipos de cambio
+ * @description Los tipos se mantienen a mano, sin fuente externa. Cualquier usuario que consulte
+ * servicios puede verlos; solo admin los fija o elimina.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *           enum: [EUR, MXN, COP]
+ *         rate:
+ *           type: number
+ *           nullable: true
+ *           description: Unidades de la moneda por 1 USD (null si aún no se ha fijado)
+ *         updatedBy:
+ *           type: object
+ *           nullable: true
+ *           description: Usuario que fijó el tipo
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Lista los tipos de cambio frente a la moneda base
+ *     tags: [Exchange rates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Moneda base, monedas admitidas y un tipo por moneda
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 base:
+ *                   type: string
+ *                   example: USD
+ *                 currencies:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ */
+router.get('/', protect, authorize(PERMISSIONS.SERVICES_READ), exchangeRateController.getExchangeRates);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{currency}:
+ *   put:
+ *     summary: Fija el tipo de cambio de una moneda (solo admin)
+ *     tags: [Exchange rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [EUR, MXN, COP]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 example: 0.92
+ *                 description: Unidades de la moneda por 1 USD
+ *     responses:
+ *       200:
+ *         description: Tipo de cambio guardado
+ *       400:
+ *         description: Moneda no admitida o tipo inválido
+ *   delete:
+ *     summary: Elimina el tipo de cambio de una moneda (solo admin)
+ *     tags: [Exchange rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tipo de cambio eliminado
+ *       404:
+ *         description: No hay tipo de cambio para esa moneda
+ */
+router.put('/:currency', protect, authorize(PERMISSIONS.EXCHANGE_RATES_MANAGE), exchangeRateController.setExchangeRate);
+router.delete('/:currency', protect, authorize(PERMISSIONS.EXCHANGE_RATES_MANAGE), exchangeRateController.deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Rutas API de facturas
+ * @description Todas las rutas requieren autenticación. viewer consulta facturas y cuentas
+ * por cobrar, editor además genera, crea, edita y emite facturas y registra cobros, y admin
+ * puede anular facturas y eliminar borradores.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Al editar, conserva la suscripción, el servicio y el periodo de la línea existente
+ *         service:
+ *           type: string
+ *           description: Servicio del catálogo; en líneas nuevas aporta el concepto y el precio por defecto
+ *         subscription:
+ *           type: string
+ *           readOnly: true
+ *           description: Suscripción facturada (líneas generadas)
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         quantity:
+ *           type: number
+ *           default: 1
+ *         unitPrice:
+ *           type: number
+ *           minimum: 0
+ *         taxRate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Fin exclusivo del periodo facturado
+ *         total:
+ *           type: number
+ *           readOnly: true
+ *     Invoice:
+ *       type: object
+ *       required:
+ *         - client
+ *         - items
+ *       properties:
+ *         _id:
+ *           type: string
+ *         number:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           example: F-2025-0001
+ *           description: Se asigna al emitir
+ *         client:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, issued, paid, overdue, void]
+ *           readOnly: true
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InvoiceItem'
+ *         taxLines:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               base:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         totals:
+ *           type: object
+ *           readOnly: true
+ *           properties:
+ *             subtotal:
+ *               type: number
+ *             tax:
+ *               type: number
+ *             total:
+ *               type: number
+ *         amountPaid:
+ *           type: number
+ *           readOnly: true
+ *         balance:
+ *           type: number
+ *           readOnly: true
+ *         issueDate:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         notes:
+ *           type: string
+ *     Payment:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         _id:
+ *           type: string
+ *         invoice:
+ *           type: string
+ *           readOnly: true
+ *         client:
+ *           type: string
+ *           readOnly: true
+ *         amount:
+ *           type: number
+ *           minimum: 0.01
+ *         date:
+ *           type: string
+ *           format: date
+ *         method:
+ *           type: string
+ *           enum: [transfer, card, cash, other]
+ *           default: transfer
+ *         reference:
+ *           type: string
+ *         notes:
+ *           type: string
+ */
+
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const paymentController = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Lista las facturas
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, issued, paid, overdue, void]
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca en el número
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Facturas (sin líneas) y paginación
+ *       400:
+ *         description: Parámetros inválidos
+ *   post:
+ *     summary: Crea una factura manual en borrador
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Invoice'
+ *     responses:
+ *       201:
+ *         description: Borrador creado
+ *       400:
+ *         description: Error de validación, cliente o servicio inexistente
+ */
+router.get('/', protect, authorize(PERMISSIONS.INVOICES_READ), invoiceController.getInvoices);
+router.post('/', protect, authorize(PERMISSIONS.INVOICES_WRITE), invoiceController.createInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/generate:
+ *   post:
+ *     summary: Genera borradores con los periodos pendientes de las suscripciones
+ *     description: |
+ *       Un borrador por cliente. Los servicios recurrentes (`billingModel: recurring`) se
+ *       facturan por periodos completos de su `billingInterval` y por adelantado desde el
+ *       inicio de la suscripción; los de pago único o por campaña, una sola vez. Las líneas de facturas anuladas
+ *       vuelven a quedar pendientes.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               asOf:
+ *                 type: string
+ *                 format: date
+ *                 description: Se facturan los periodos que empiezan hasta esta fecha (por defecto, hoy)
+ *               client:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Facturas que se generarían (dryRun)
+ *       201:
+ *         description: Borradores generados
+ *       400:
+ *         description: Parámetros inválidos
+ *       409:
+ *         description: Otra generación de facturas está en curso (el cron o una manual)
+ */
+router.post('/generate', protect, authorize(PERMISSIONS.INVOICES_WRITE), invoiceController.generateSubscriptionInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/receivables:
+ *   get:
+ *     summary: Cuentas por cobrar por cliente
+ *     description: Saldo pendiente de las facturas emitidas y vencidas, por tramos de antigüedad desde el vencimiento
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saldos por cliente y totales (current, days1to30, days31to60, days61to90, over90)
+ */
+router.get('/receivables', protect, authorize(PERMISSIONS.INVOICES_READ), invoiceController.getReceivables);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Obtiene una factura con sus líneas y cobros
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Factura y `payments`
+ *       404:
+ *         description: Factura no encontrada
+ *   put:
+ *     summary: Modifica una factura en borrador
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/InvoiceItem'
+ *     responses:
+ *       200:
+ *         description: Factura actualizada
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: La factura ya está emitida
+ *   delete:
+ *     summary: Elimina un borrador (solo admin)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Borrador eliminado
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: La factura está emitida (hay que anularla)
+ */
+router.get('/:id', protect, authorize(PERMISSIONS.INVOICES_READ), invoiceController.getInvoiceById);
+router.put('/:id', protect, authorize(PERMISSIONS.INVOICES_WRITE), invoiceController.updateInvoice);
+router.delete('/:id', protect, authorize(PERMISSIONS.INVOICES_DELETE), invoiceController.deleteInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/status:
+ *   post:
+ *     summary: Emite o anula una factura
+ *     description: |
+ *       `issued` (desde borrador) asigna el número F-AAAA-NNNN y el vencimiento.
+ *       `void` (emitida o vencida, sin cobros) requiere permisos de administrador.
+ *       `paid` y `overdue` se calculan a partir de los cobros y del vencimiento.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [issued, void]
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Al emitir (por defecto, INVOICE_PAYMENT_TERMS_DAYS días)
+ *               reason:
+ *                 type: string
+ *                 description: Al anular
+ *     responses:
+ *       200:
+ *         description: Factura actualizada
+ *       400:
+ *         description: Estado o fecha inválidos
+ *       403:
+ *         description: Anular requiere permisos de administrador
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: Transición no permitida o factura con cobros
+ */
+router.post('/:id/status', protect, authorize(PERMISSIONS.INVOICES_WRITE), invoiceController.changeInvoiceStatus);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   post:
+ *     summary: Registra un cobro de la factura
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Payment'
+ *     responses:
+ *       201:
+ *         description: Cobro registrado y factura actualizada
+ *       400:
+ *         description: Importe inválido o superior al saldo
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: La factura no está emitida
+ */
+router.post('/:id/payments', protect, authorize(PERMISSIONS.INVOICES_WRITE), paymentController.recordPayment);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Facturas, cobros y cuentas por cobrar
+ */
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Rutas API del libro de cobros
+ * @description Los cobros se registran desde su factura (POST /api/invoices/:id/payments);
+ * aquí se consultan y, solo admin, se eliminan.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/payments:
+ *   get:
+ *     summary: Lista el libro de cobros
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: invoice
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Cobros, importe total con los filtros y paginación
+ *       400:
+ *         description: Parámetros inválidos
+ */
+router.get('/', protect, authorize(PERMISSIONS.INVOICES_READ), paymentController.getPayments);
+
+/**
+ * @swagger
+ * /api/payments/{id}:
+ *   delete:
+ *     summary: Elimina un cobro y repone el saldo de su factura (solo admin)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cobro eliminado y factura actualizada
+ *       404:
+ *         description: Cobro no encontrado
+ */
+router.delete('/:id', protect, authorize(PERMISSIONS.INVOICES_DELETE), paymentController.deletePayment);
+
+module.exports = router;
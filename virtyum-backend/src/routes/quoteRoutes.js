@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Rutas API de presupuestos
+ * @description Todas las rutas requieren autenticación. viewer consulta presupuestos y
+ * descarga el PDF, editor además los crea, edita y cambia de estado, y admin puede eliminarlos.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuoteItem:
+ *       type: object
+ *       required:
+ *         - service
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Al editar, conserva el nombre y el precio copiados de la línea existente
+ *         service:
+ *           type: string
+ *           description: ID del servicio del catálogo
+ *         name:
+ *           type: string
+ *           readOnly: true
+ *           description: Nombre del servicio al presupuestar
+ *         unitPrice:
+ *           type: number
+ *           readOnly: true
+ *           description: Precio del servicio al presupuestar
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         discount:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Descuento en porcentaje
+ *         taxRate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Impuesto en porcentaje sobre la base con descuento
+ *         total:
+ *           type: number
+ *           readOnly: true
+ *     Quote:
+ *       type: object
+ *       required:
+ *         - client
+ *         - items
+ *       properties:
+ *         _id:
+ *           type: string
+ *         number:
+ *           type: string
+ *           readOnly: true
+ *           example: P-2025-0001
+ *         client:
+ *           type: string
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, sent, accepted, rejected]
+ *           readOnly: true
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuoteItem'
+ *         validUntil:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *         totals:
+ *           type: object
+ *           readOnly: true
+ *           properties:
+ *             subtotal:
+ *               type: number
+ *             discount:
+ *               type: number
+ *             tax:
+ *               type: number
+ *             total:
+ *               type: number
+ */
+
+const express = require('express');
+const router = express.Router();
+const quoteController = require('../controllers/quoteController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/quotes:
+ *   get:
+ *     summary: Lista los presupuestos
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, accepted, rejected]
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca en el número y el título
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Presupuestos (sin líneas) y paginación
+ *       400:
+ *         description: Parámetros inválidos
+ *   post:
+ *     summary: Crea un presupuesto en borrador
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Quote'
+ *     responses:
+ *       201:
+ *         description: Presupuesto creado con su número
+ *       400:
+ *         description: Error de validación, cliente o servicio inexistente
+ */
+router.get('/', protect, authorize(PERMISSIONS.QUOTES_READ), quoteController.getQuotes);
+router.post('/', protect, authorize(PERMISSIONS.QUOTES_WRITE), quoteController.createQuote);
+
+/**
+ * @swagger
+ * /api/quotes/{id}:
+ *   get:
+ *     summary: Obtiene un presupuesto con sus líneas
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Presupuesto
+ *       404:
+ *         description: Presupuesto no encontrado
+ *   put:
+ *     summary: Modifica un presupuesto en borrador
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Quote'
+ *     responses:
+ *       200:
+ *         description: Presupuesto actualizado
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Presupuesto no encontrado
+ *       409:
+ *         description: El presupuesto ya no es un borrador
+ *   delete:
+ *     summary: Elimina un presupuesto no aceptado (solo admin)
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Presupuesto eliminado
+ *       404:
+ *         description: Presupuesto no encontrado
+ *       409:
+ *         description: El presupuesto está aceptado
+ */
+router.get('/:id', protect, authorize(PERMISSIONS.QUOTES_READ), quoteController.getQuoteById);
+router.put('/:id', protect, authorize(PERMISSIONS.QUOTES_WRITE), quoteController.updateQuote);
+router.delete('/:id', protect, authorize(PERMISSIONS.QUOTES_DELETE), quoteController.deleteQuote);
+
+/**
+ * @swagger
+ * /api/quotes/{id}/status:
+ *   post:
+ *     summary: Cambia el estado de un presupuesto
+ *     description: |
+ *       Transiciones permitidas: draft → sent, sent → accepted | rejected | draft.
+ *       Al aceptar se crea una suscripción del cliente por cada línea.
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, sent, accepted, rejected]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Inicio de las suscripciones al aceptar (por defecto, hoy)
+ *     responses:
+ *       200:
+ *         description: Estado actualizado (con las suscripciones creadas al aceptar)
+ *       400:
+ *         description: Estado o fecha inválidos
+ *       404:
+ *         description: Presupuesto no encontrado
+ *       409:
+ *         description: Transición no permitida o servicio/cliente ya no disponible
+ */
+router.post('/:id/status', protect, authorize(PERMISSIONS.QUOTES_WRITE), quoteController.changeQuoteStatus);
+
+/**
+ * @swagger
+ * /api/quotes/{id}/pdf:
+ *   get:
+ *     summary: Descarga el presupuesto en PDF
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documento PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Presupuesto no encontrado
+ */
+router.get('/:id/pdf', protect, authorize(PERMISSIONS.QUOTES_READ), quoteController.downloadQuotePdf);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotes
+ *   description: Presupuestos con servicios del catálogo
+ */
+
+module.exports = router;
@@ -0,0 +1,1439 @@
+/**
+ * @fileoverview Rutas API para la gestión de servicios de marketing
+ * @description Define todos los endpoints disponibles para operaciones CRUD de servicios.
+ * Todas las rutas requieren autenticación; los permisos por rol están en config/permissions:
+ * viewer lee servicios y estadísticas, editor además crea y edita, admin además elimina,
+ * gestiona la papelera y puede cambiar el estado a Inactivo.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ * 
+ * @swagger
+ * components:
+ *   schemas:
+ *     BillingInterval:
+ *       type: object
+ *       nullable: true
+ *       description: Periodicidad de cobro, obligatoria si billingModel es recurring
+ *       properties:
+ *         unit:
+ *           type: string
+ *           enum: [week, month, year]
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 24
+ *     EstimatedDuration:
+ *       type: object
+ *       nullable: true
+ *       description: Duración estimada del servicio
+ *       properties:
+ *         min:
+ *           type: number
+ *           minimum: 1
+ *         max:
+ *           type: number
+ *           description: Mayor o igual que min
+ *         unit:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *     ServiceTier:
+ *       type: object
+ *       required:
+ *         - name
+ *         - price
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID del nivel (enviarlo al editar conserva el nivel al reordenar)
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *           example: "Pro"
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *           description: Precio del nivel en la moneda del servicio
+ *           example: 599
+ *         deliverables:
+ *           type: array
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *           example: ["Auditoría mensual", "Informe de posiciones"]
+ *         limits:
+ *           type: array
+ *           maxItems: 20
+ *           items:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               value:
+ *                 type: string
+ *           example: [{ "label": "Palabras clave", "value": "50" }]
+ *     Service:
+ *       type: object
+ *       required:
+ *         - name
+ *         - category
+ *         - price
+ *         - billingModel
+ *         - description
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del servicio
+ *         name:
+ *           type: string
+ *           description: Nombre del servicio
+ *         category:
+ *           type: string
+ *           description: Nombre de una categoría activa (ver /api/categories)
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *           description: Precio del servicio en su moneda; con niveles, el del más barato (calculado)
+ *         currency:
+ *           type: string
+ *           enum: [USD, EUR, MXN, COP]
+ *           default: USD
+ *           description: Moneda del precio
+ *         duration:
+ *           type: string
+ *           description: |
+ *             Etiqueta de duración ("Mensual", "3-6 meses", "Por campaña · 2-4 semanas").
+ *             Se genera a partir de los campos estructurados; si solo se envía este texto,
+ *             se interpreta para rellenarlos.
+ *         billingModel:
+ *           type: string
+ *           enum: [recurring, one-off, per-campaign]
+ *           description: Modelo de facturación
+ *         billingInterval:
+ *           $ref: '#/components/schemas/BillingInterval'
+ *         estimatedDuration:
+ *           $ref: '#/components/schemas/EstimatedDuration'
+ *         status:
+ *           type: string
+ *           enum: [Activo, Nuevo, Pausado, Inactivo]
+ *           description: Estado actual del servicio
+ *         description:
+ *           type: string
+ *           description: Descripción detallada del servicio
+ *         tiers:
+ *           type: array
+ *           maxItems: 6
+ *           description: Niveles del servicio en orden de presentación (nombres únicos)
+ *           items:
+ *             $ref: '#/components/schemas/ServiceTier'
+ *         clients:
+ *           type: number
+ *           minimum: 0
+ *           readOnly: true
+ *           description: Clientes distintos con una suscripción vigente (calculado)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de última actualización
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fecha en que se movió a la papelera (null si no está eliminado)
+ */
+
+const express = require('express');
+const router = express.Router();
+const serviceController = require('../controllers/serviceController');
+const bulkServiceController = require('../controllers/bulkServiceController');
+const importController = require('../controllers/importController');
+const exportController = require('../controllers/exportController');
+const priceController = require('../controllers/priceController');
+const taskTemplateController = require('../controllers/taskTemplateController');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/services/stats:
+ *   get:
+ *     summary: Obtiene estadísticas generales de servicios
+ *     tags: [Services]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [USD, EUR, MXN, COP]
+ *           default: USD
+ *         description: Moneda a la que se convierten precios e ingresos
+ *     responses:
+ *       200:
+ *         description: Estadísticas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 overview:
+ *                   type: object
+ *                 clients:
+ *                   type: object
+ *                 categories:
+ *                   type: object
+ *                 pricing:
+ *                   type: object
+ *                   description: |
+ *                     Precio medio, mínimo y máximo en `pricing.currency`, calculados sobre cada
+ *                     precio ofrecido (un nivel cuenta como un precio; ver `pricePoints`)
+ *                 bundles:
+ *                   type: object
+ *                   description: Paquetes totales, disponibles, con incidencias (`flaggedBundles`), precio y ahorro medios
+ *                 breakdown:
+ *                   type: object
+ *                   description: Desglose `byCategory`, `byStatus` y `byTier`
+ *       400:
+ *         description: Moneda no admitida
+ *       422:
+ *         description: Falta el tipo de cambio de alguna moneda (devuelve `currencies`)
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/stats', protect, authorize(PERMISSIONS.SERVICES_STATS), serviceController.getServiceStats);
+
+/**
+ * @swagger
+ * /api/services/stats/history:
+ *   get:
+ *     summary: Evolución de las estadísticas
+ *     description: |
+ *       Serie temporal a partir de las instantáneas diarias (tarea programada `stats-snapshot`).
+ *       Cada punto lleva las cifras del último día con instantánea de su periodo; los periodos
+ *       sin instantáneas no aparecen. Los importes van en la moneda base; son null en los días
+ *       en que faltaba algún tipo de cambio (los recuentos sí se guardan).
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Desde (por defecto, 90 días antes de `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Hasta, día incluido (por defecto, hoy)
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Periodo de cada punto (las semanas empiezan en lunes, UTC). El rango admite hasta 366 días por día, 5 años por semana y 10 por mes.
+ *     responses:
+ *       200:
+ *         description: Serie temporal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 granularity:
+ *                   type: string
+ *                 currency:
+ *                   type: string
+ *                 points:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Inicio del periodo
+ *                       snapshotDate:
+ *                         type: string
+ *                         format: date-time
+ *                       services:
+ *                         type: object
+ *                         description: total, active, new, paused e inactive
+ *                       clients:
+ *                         type: integer
+ *                       categories:
+ *                         type: integer
+ *                       pricing:
+ *                         type: object
+ *                         description: currency, averagePrice, minPrice y maxPrice
+ *                       bundles:
+ *                         type: object
+ *                         description: total y available
+ *       400:
+ *         description: Parámetros inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/stats/history', protect, authorize(PERMISSIONS.SERVICES_STATS), serviceController.getStatsHistory);
+
+/**
+ * @swagger
+ * /api/services/events:
+ *   get:
+ *     summary: Canal de eventos en tiempo real del catálogo (Server-Sent Events)
+ *     description: |
+ *       La respuesta queda abierta y envía eventos `text/event-stream`:
+ *       - `ready` al conectar.
+ *       - `service` por cada servicio creado, modificado, eliminado, restaurado o purgado:
+ *         `action`, `serviceId`, `serviceName`, `service` (documento actual, null al eliminar),
+ *         `actor` (`_id`, `name`) y `at`.
+ *       - `services:reload` con `count` y `actor` cuando un lote (importación, operación masiva)
+ *         es demasiado grande para enviarlo servicio a servicio.
+ *       - `stats` cuando cambian los datos de las estadísticas (servicios, suscripciones,
+ *         tipos de cambio, paquetes o categorías).
+ *       - `reconnect` con `at` justo antes de un cierre planificado (en Vercel, a los 25 s, o
+ *         cada `SSE_MAX_DURATION_MS`). El cliente vuelve a conectarse con `since=at`.
+ *
+ *       Con un replica set los eventos salen de change streams; con un MongoDB standalone se
+ *       consultan los cambios cada 5 segundos.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: |
+ *           `at` del evento `reconnect` de la conexión anterior. Se reenvían los cambios de
+ *           servicios posteriores (hasta 5 minutos atrás) seguidos de `stats`.
+ *     responses:
+ *       200:
+ *         description: Flujo de eventos
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Autenticación requerida
+ */
+router.get('/events', protect, authorize(PERMISSIONS.SERVICES_READ), serviceController.streamServiceEvents);
+
+/**
+ * @swagger
+ * /api/services/stats/report:
+ *   get:
+ *     summary: Descarga el informe PDF de estadísticas
+ *     description: Resumen general y desglose por categoría y por estado.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [USD, EUR, MXN, COP]
+ *           default: USD
+ *         description: Moneda a la que se convierten precios e ingresos
+ *     responses:
+ *       200:
+ *         description: Informe en PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Moneda no admitida
+ *       422:
+ *         description: Falta el tipo de cambio de alguna moneda (devuelve `currencies`)
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/stats/report', protect, authorize(PERMISSIONS.SERVICES_STATS), exportController.exportStatsReport);
+
+/**
+ * @swagger
+ * /api/services/export:
+ *   get:
+ *     summary: Exporta los servicios filtrados a CSV, XLSX, JSON o PDF
+ *     description: >
+ *       Acepta los mismos filtros y orden que GET /api/services, sin paginación,
+ *       y el texto de búsqueda q de GET /api/services/search. Máximo 5000 servicios.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, json, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto de búsqueda (ordena por relevancia)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Archivo adjunto
+ *       400:
+ *         description: Parámetros inválidos o demasiados servicios
+ */
+router.get('/export', protect, authorize(PERMISSIONS.SERVICES_READ), exportController.exportServices);
+
+/**
+ * @swagger
+ * /api/services/search:
+ *   get:
+ *     summary: Búsqueda de texto completo por relevancia
+ *     description: >
+ *       Busca en nombre y descripción usando el índice de texto (español, insensible a tildes).
+ *       Admite los mismos filtros y paginación que GET /api/services.
+ *     tags: [Services]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar
+ *         example: analisis
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: score
+ *         description: score (relevancia) o un campo ordenable del listado
+ *     responses:
+ *       200:
+ *         description: Resultados de la búsqueda
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 services:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Service'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                             description: Puntuación de relevancia
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Falta el parámetro q o hay parámetros inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/search', protect, authorize(PERMISSIONS.SERVICES_READ), serviceController.searchServices);
+
+/**
+ * @swagger
+ * /api/services/trash:
+ *   get:
+ *     summary: Lista los servicios en la papelera
+ *     description: Servicios eliminados que aún no se han purgado, con quién los eliminó y cuándo se borrarán definitivamente
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Servicios eliminados (con purgeAt) y días de retención
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: Solo administradores
+ */
+router.get('/trash', protect, authorize(PERMISSIONS.SERVICES_TRASH), serviceController.getTrash);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         committed:
+ *           type: boolean
+ *           description: false si el lote se canceló porque algún servicio falló
+ *         summary:
+ *           type: object
+ *           properties:
+ *             requested: { type: integer }
+ *             updated: { type: integer }
+ *             unchanged: { type: integer }
+ *             failed: { type: integer }
+ *             skipped: { type: integer }
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id: { type: string }
+ *               name: { type: string }
+ *               status:
+ *                 type: string
+ *                 enum: [updated, unchanged, failed, skipped]
+ *               error: { type: string }
+ *               changes: { type: array, items: { type: object } }
+ */
+
+/**
+ * @swagger
+ * /api/services/bulk/status:
+ *   patch:
+ *     summary: Cambia el estado de varios servicios (atómico)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids, status]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items: { type: string }
+ *               status:
+ *                 type: string
+ *                 enum: [Activo, Nuevo, Pausado, Inactivo]
+ *     responses:
+ *       200:
+ *         description: Lote aplicado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       400:
+ *         description: Parámetros inválidos
+ *       422:
+ *         description: Algún servicio falló; no se aplicó ningún cambio
+ */
+router.patch('/bulk/status', protect, authorize(PERMISSIONS.SERVICES_UPDATE), bulkServiceController.bulkUpdateStatus);
+
+/**
+ * @swagger
+ * /api/services/bulk/category:
+ *   patch:
+ *     summary: Mueve varios servicios a otra categoría (atómico)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids, category]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items: { type: string }
+ *               category:
+ *                 type: string
+ *                 description: Nombre de una categoría activa
+ *     responses:
+ *       200:
+ *         description: Lote aplicado
+ *       400:
+ *         description: Parámetros inválidos
+ *       422:
+ *         description: Algún servicio falló; no se aplicó ningún cambio
+ */
+router.patch('/bulk/category', protect, authorize(PERMISSIONS.SERVICES_UPDATE), bulkServiceController.bulkMoveCategory);
+
+/**
+ * @swagger
+ * /api/services/bulk/price:
+ *   patch:
+ *     summary: Ajusta el precio de varios servicios en porcentaje o importe fijo (atómico)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids, mode, value]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items: { type: string }
+ *               mode:
+ *                 type: string
+ *                 enum: [percent, absolute]
+ *               value:
+ *                 type: number
+ *                 description: "percent: 10 sube un 10 %, -15 baja un 15 %. absolute: importe a sumar (negativo para restar)"
+ *     responses:
+ *       200:
+ *         description: Lote aplicado
+ *       400:
+ *         description: Parámetros inválidos
+ *       422:
+ *         description: Algún precio resultante es inválido; no se aplicó ningún cambio
+ */
+router.patch('/bulk/price', protect, authorize(PERMISSIONS.SERVICES_UPDATE), bulkServiceController.bulkAdjustPrice);
+
+/**
+ * @swagger
+ * /api/services/bulk/delete:
+ *   post:
+ *     summary: Mueve varios servicios a la papelera (atómico)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items: { type: string }
+ *     responses:
+ *       200:
+ *         description: Lote aplicado
+ *       400:
+ *         description: Parámetros inválidos
+ *       422:
+ *         description: Algún servicio no existe; no se eliminó ninguno
+ */
+router.post('/bulk/delete', protect, authorize(PERMISSIONS.SERVICES_DELETE), bulkServiceController.bulkDelete);
+
+/**
+ * @swagger
+ * /api/services/import/preview:
+ *   post:
+ *     summary: Lee un CSV o XLSX y sugiere el mapeo de columnas
+ *     description: No guarda nada. Máximo 1000 filas y 4 MB por archivo.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Encabezados, filas de ejemplo, total de filas y mapeo sugerido
+ *       400:
+ *         description: Archivo ausente, con formato no soportado, vacío o demasiado grande
+ */
+router.post('/import/preview', protect, authorize(PERMISSIONS.SERVICES_CREATE), uploadSpreadsheet, importController.previewImport);
+
+/**
+ * @swagger
+ * /api/services/import:
+ *   post:
+ *     summary: Valida e importa servicios desde un CSV o XLSX
+ *     description: >
+ *       Cada fila se valida con las reglas del modelo Service. Con dryRun solo se valida.
+ *       La importación es atómica: si hay filas inválidas no se guarda nada, salvo que se
+ *       indique skipInvalid, en cuyo caso se importan solo las válidas.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, mapping]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: 'JSON campo → columna, p. ej. {"name":"Nombre","price":"Precio"}'
+ *               dryRun:
+ *                 type: boolean
+ *               skipInvalid:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Resultado de la validación (dryRun)
+ *       201:
+ *         description: Servicios importados
+ *       400:
+ *         description: Archivo o mapeo inválido
+ *       422:
+ *         description: Hay filas con errores; no se importó nada
+ */
+router.post('/import', protect, authorize(PERMISSIONS.SERVICES_CREATE), uploadSpreadsheet, importController.importServices);
+
+/**
+ * @swagger
+ * /api/services:
+ *   get:
+ *     summary: Obtiene servicios paginados, ordenados y filtrados
+ *     tags: [Services]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Página solicitada
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Servicios por página
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [name, category, price, status, clients, createdAt, updatedAt]
+ *           default: createdAt
+ *         description: Campo de orden
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Dirección del orden
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Una o varias categorías separadas por comas
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Uno o varios estados separados por comas
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Precio mínimo (inclusive)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Precio máximo (inclusive)
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de creación desde (inclusive)
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de creación hasta (inclusive)
+ *     responses:
+ *       200:
+ *         description: Página de servicios obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 services:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Service'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNextPage:
+ *                       type: boolean
+ *                     hasPrevPage:
+ *                       type: boolean
+ *                 sort:
+ *                   type: object
+ *                 filters:
+ *                   type: object
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/', protect, authorize(PERMISSIONS.SERVICES_READ), serviceController.getAllServices);
+
+/**
+ * @swagger
+ * /api/services:
+ *   post:
+ *     summary: Crea un nuevo servicio
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - category
+ *               - price
+ *               - billingModel
+ *               - description
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Email Marketing"
+ *               category:
+ *                 type: string
+ *                 description: Nombre de una categoría activa (ver /api/categories)
+ *                 example: "Digital"
+ *               price:
+ *                 type: number
+ *                 example: 399
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, EUR, MXN, COP]
+ *                 default: USD
+ *               billingModel:
+ *                 type: string
+ *                 enum: [recurring, one-off, per-campaign]
+ *                 example: "recurring"
+ *               billingInterval:
+ *                 $ref: '#/components/schemas/BillingInterval'
+ *               estimatedDuration:
+ *                 $ref: '#/components/schemas/EstimatedDuration'
+ *               duration:
+ *                 type: string
+ *                 description: Alternativa a los campos estructurados; se interpreta el texto
+ *                 example: "Mensual"
+ *               status:
+ *                 type: string
+ *                 enum: [Activo, Nuevo, Pausado, Inactivo]
+ *                 example: "Nuevo"
+ *               description:
+ *                 type: string
+ *                 example: "Campañas automatizadas de email marketing"
+ *               tiers:
+ *                 type: array
+ *                 description: Si se envían, price se calcula como el del nivel más barato
+ *                 items:
+ *                   $ref: '#/components/schemas/ServiceTier'
+ *     responses:
+ *       201:
+ *         description: Servicio creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 service:
+ *                   $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Error de validación
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: El rol del usuario no tiene permiso
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', protect, authorize(PERMISSIONS.SERVICES_CREATE), serviceController.createService);
+
+/**
+ * @swagger
+ * /api/services/category/{category}:
+ *   get:
+ *     summary: Obtiene servicios por categoría
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre o slug de la categoría (también las desactivadas)
+ *     responses:
+ *       200:
+ *         description: Servicios de la categoría obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 category:
+ *                   type: string
+ *                 count:
+ *                   type: number
+ *                 services:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Categoría inválida
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/category/:category', protect, authorize(PERMISSIONS.SERVICES_READ), serviceController.getServicesByCategory);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   get:
+ *     summary: Obtiene un servicio específico por ID
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id', protect, authorize(PERMISSIONS.SERVICES_READ), serviceController.getServiceById);
+
+/**
+ * @swagger
+ * /api/services/{id}/history:
+ *   get:
+ *     summary: Historial de cambios de un servicio (auditoría)
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio (puede estar ya eliminado)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Entradas con actor, fecha y cambios campo a campo, de la más reciente a la más antigua
+ *       400:
+ *         description: ID o parámetros inválidos
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get('/:id/history', protect, authorize(PERMISSIONS.SERVICES_READ), serviceController.getServiceHistory);
+
+/**
+ * @swagger
+ * /api/services/{id}/prices:
+ *   get:
+ *     summary: Historial de precios y cambios programados de un servicio
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio (puede estar en la papelera)
+ *     responses:
+ *       200:
+ *         description: Precio actual, cambios programados (`scheduled`), programados que no se pudieron aplicar (`failed`, con `failureReason`) y aplicados (`history`)
+ *       404:
+ *         description: Servicio no encontrado
+ *   post:
+ *     summary: Programa un cambio de precio para una fecha futura
+ *     description: La tarea `/api/cron/price-changes` lo aplica al llegar la fecha.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *               - effectiveDate
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 949
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, EUR, MXN, COP]
+ *                 description: Por defecto, la moneda actual del servicio
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-07-01"
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Cambio programado
+ *       400:
+ *         description: Precio o fecha inválidos (la fecha debe ser posterior a hoy)
+ *       404:
+ *         description: Servicio no encontrado
+ *       409:
+ *         description: Ya hay un cambio programado para esa fecha, o el servicio tiene niveles
+ */
+router.get('/:id/prices', protect, authorize(PERMISSIONS.SERVICES_READ), priceController.getPriceHistory);
+router.post('/:id/prices', protect, authorize(PERMISSIONS.SERVICES_UPDATE), priceController.schedulePriceChange);
+
+/**
+ * @swagger
+ * /api/services/{id}/prices/at:
+ *   get:
+ *     summary: Precio de un servicio vigente en una fecha
+ *     description: Para conciliar presupuestos y facturas con el precio del catálogo de entonces.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: YYYY-MM-DD (final del día en UTC) o fecha-hora ISO
+ *     responses:
+ *       200:
+ *         description: Precio, moneda, desde cuándo estaba vigente (`since`) y el cambio que lo fijó
+ *       400:
+ *         description: Fecha inválida
+ *       404:
+ *         description: Servicio no encontrado o aún no existía en esa fecha
+ */
+router.get('/:id/prices/at', protect, authorize(PERMISSIONS.SERVICES_READ), priceController.getPriceAtDate);
+
+/**
+ * @swagger
+ * /api/services/{id}/prices/{changeId}:
+ *   delete:
+ *     summary: Cancela un cambio de precio programado
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: changeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cambio cancelado
+ *       404:
+ *         description: Cambio no encontrado
+ *       409:
+ *         description: El cambio ya se aplicó
+ */
+router.delete('/:id/prices/:changeId', protect, authorize(PERMISSIONS.SERVICES_UPDATE), priceController.cancelPriceChange);
+
+/**
+ * @swagger
+ * /api/services/{id}/task-template:
+ *   get:
+ *     summary: Plantilla de tareas del servicio y su historial de versiones
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Versión concreta (por defecto, la vigente)
+ *     responses:
+ *       200:
+ *         description: Versión pedida (`template`, null si no hay plantilla) y `versions`
+ *       404:
+ *         description: Servicio o versión no encontrados
+ *   put:
+ *     summary: Guarda una versión nueva de la plantilla de tareas
+ *     description: Las tareas ya creadas a partir de versiones anteriores no cambian. Las
+ *       suscripciones que se creen desde ahora reciben las tareas de esta versión.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tasks
+ *             properties:
+ *               tasks:
+ *                 type: array
+ *                 maxItems: 30
+ *                 description: Tareas en orden (vacía para quitar la plantilla)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                       maxLength: 150
+ *                       example: "Auditoría SEO inicial"
+ *                     description:
+ *                       type: string
+ *                     dueOffsetDays:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *                       description: Días desde el inicio de la suscripción (3 o "+3 days", "+2 weeks")
+ *                       example: "+3 days"
+ *                     priority:
+ *                       type: string
+ *                       enum: [low, medium, high, urgent]
+ *                     assigneeRole:
+ *                       type: string
+ *                       enum: [admin, editor]
+ *                       description: Se asigna al usuario de ese rol con menos tareas abiertas
+ *                     checklist:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     dependsOn:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Posiciones (desde 0) de tareas anteriores que deben terminarse antes
+ *     responses:
+ *       200:
+ *         description: Versión vigente (no se crea versión si no hay cambios)
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Servicio no encontrado
+ *       409:
+ *         description: Otra sesión guardó la plantilla a la vez
+ */
+router.get('/:id/task-template', protect, authorize(PERMISSIONS.SERVICES_READ), taskTemplateController.getTaskTemplate);
+router.put('/:id/task-template', protect, authorize(PERMISSIONS.SERVICES_UPDATE), taskTemplateController.updateTaskTemplate);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   put:
+ *     summary: Actualiza un servicio existente
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio a actualizar
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 description: Nombre de una categoría activa (ver /api/categories)
+ *               price:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, EUR, MXN, COP]
+ *               billingModel:
+ *                 type: string
+ *                 enum: [recurring, one-off, per-campaign]
+ *               billingInterval:
+ *                 $ref: '#/components/schemas/BillingInterval'
+ *               estimatedDuration:
+ *                 $ref: '#/components/schemas/EstimatedDuration'
+ *               duration:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [Activo, Nuevo, Pausado, Inactivo]
+ *               description:
+ *                 type: string
+ *               tiers:
+ *                 type: array
+ *                 description: Lista completa de niveles en su nuevo orden ([] vuelve a un precio único)
+ *                 items:
+ *                   $ref: '#/components/schemas/ServiceTier'
+ *     responses:
+ *       200:
+ *         description: Servicio actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 service:
+ *                   $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Error de validación o ID inválido
+ *       404:
+ *         description: Servicio no encontrado
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: El rol del usuario no tiene permiso
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/:id', protect, authorize(PERMISSIONS.SERVICES_UPDATE), serviceController.updateService);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   delete:
+ *     summary: Mueve un servicio a la papelera
+ *     description: >
+ *       Eliminación lógica. El servicio deja de aparecer en listados, búsquedas y estadísticas
+ *       y se borra definitivamente tras SERVICE_TRASH_RETENTION_DAYS días (30 por defecto).
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio a eliminar
+ *     responses:
+ *       200:
+ *         description: Servicio movido a la papelera
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletedService:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     deletedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     purgeAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Servicio no encontrado
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: El rol del usuario no tiene permiso
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.delete('/:id', protect, authorize(PERMISSIONS.SERVICES_DELETE), serviceController.deleteService);
+
+/**
+ * @swagger
+ * /api/services/{id}/restore:
+ *   post:
+ *     summary: Restaura un servicio de la papelera
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Servicio restaurado
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: El servicio no está en la papelera
+ */
+router.post('/:id/restore', protect, authorize(PERMISSIONS.SERVICES_TRASH), serviceController.restoreService);
+
+/**
+ * @swagger
+ * /api/services/{id}/purge:
+ *   delete:
+ *     summary: Elimina definitivamente un servicio de la papelera
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Servicio borrado definitivamente
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: El servicio no está en la papelera
+ *       409:
+ *         description: El servicio tiene suscripciones (son el historial de sus clientes)
+ */
+router.delete('/:id/purge', protect, authorize(PERMISSIONS.SERVICES_TRASH), serviceController.purgeService);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Services
+ *   description: API para la gestión de servicios de marketing de Virtyum
+ */
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Rutas API de tareas de entrega
+ * @description Seguimiento del trabajo de entrega de los servicios, con o sin cliente asociado
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskInput:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 150
+ *           example: "Auditoría SEO inicial"
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *         service:
+ *           type: string
+ *           description: ID del servicio (obligatorio salvo que se indique la suscripción)
+ *         subscription:
+ *           type: string
+ *           nullable: true
+ *           description: ID de la suscripción del cliente; debe ser del mismo servicio. null desvincula la tarea.
+ *         assignee:
+ *           type: string
+ *           nullable: true
+ *           description: ID del usuario responsable
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *           default: medium
+ *         status:
+ *           type: string
+ *           enum: [todo, in_progress, blocked, done]
+ *           default: todo
+ *         checklist:
+ *           type: array
+ *           maxItems: 50
+ *           items:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 200
+ *               done:
+ *                 type: boolean
+ *                 default: false
+ *     Task:
+ *       allOf:
+ *         - $ref: '#/components/schemas/TaskInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             service:
+ *               type: object
+ *               description: Servicio poblado (name, category, status, deletedAt)
+ *             client:
+ *               type: object
+ *               nullable: true
+ *               description: Cliente de la suscripción (company)
+ *             assignee:
+ *               type: object
+ *               nullable: true
+ *               description: Responsable (name, email)
+ *             completedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: Se fija al pasar a done y se borra al reabrir
+ *             createdBy:
+ *               type: object
+ *               description: Usuario que creó la tarea (name)
+ *             dependsOn:
+ *               type: array
+ *               description: Tareas que deben terminarse antes (title, status); solo en tareas de plantilla
+ *               items:
+ *                 type: object
+ *             template:
+ *               type: string
+ *               nullable: true
+ *               description: Versión de la plantilla de la que se creó la tarea
+ */
+
+const express = require('express');
+const router = express.Router();
+const taskController = require('../controllers/taskController');
+const taskTemplateController = require('../controllers/taskTemplateController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   get:
+ *     summary: Lista las tareas con filtros y paginación
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el título
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Uno o varios IDs de servicio separados por comas
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Uno o varios IDs de cliente separados por comas
+ *       - in: query
+ *         name: subscription
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: ID del responsable, `me` o `none` (sin asignar)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Uno o varios de todo, in_progress, blocked, done separados por comas
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         description: Una o varias de low, medium, high, urgent separadas por comas
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *         description: true devuelve las tareas sin terminar con la fecha límite pasada
+ *       - in: query
+ *         name: dueFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dueTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [dueDate, createdAt, updatedAt, title]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Página de tareas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Parámetros inválidos
+ *   post:
+ *     summary: Crea una tarea
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskInput'
+ *     responses:
+ *       201:
+ *         description: Tarea creada
+ *       400:
+ *         description: Error de validación (p. ej. el servicio está en la papelera o la suscripción es de otro servicio)
+ */
+router.get('/', protect, authorize(PERMISSIONS.TASKS_READ), taskController.getTasks);
+router.post('/', protect, authorize(PERMISSIONS.TASKS_WRITE), taskController.createTask);
+
+/**
+ * @swagger
+ * /api/tasks/assignees:
+ *   get:
+ *     summary: Lista los usuarios a los que se puede asignar una tarea
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuarios (nombre y email) ordenados por nombre
+ */
+router.get('/assignees', protect, authorize(PERMISSIONS.TASKS_READ), taskController.getAssignees);
+
+/**
+ * @swagger
+ * /api/tasks/from-template:
+ *   post:
+ *     summary: Crea las tareas de la plantilla del servicio para una suscripción existente
+ *     description: Las suscripciones nuevas ya reciben sus tareas al crearse; esto sirve para las anteriores a la plantilla.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subscription
+ *             properties:
+ *               subscription:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tareas creadas
+ *       404:
+ *         description: Suscripción no encontrada o el servicio no tiene plantilla
+ *       409:
+ *         description: La suscripción ya tiene las tareas de la plantilla o su servicio está en la papelera
+ */
+router.post('/from-template', protect, authorize(PERMISSIONS.TASKS_WRITE), taskTemplateController.instantiateTemplate);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: Obtiene una tarea
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tarea con sus datos relacionados
+ *       404:
+ *         description: Tarea no encontrada
+ *   put:
+ *     summary: Modifica una tarea (checklist sustituye toda la lista)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskInput'
+ *     responses:
+ *       200:
+ *         description: Tarea actualizada
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Tarea no encontrada
+ *   delete:
+ *     summary: Elimina una tarea
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tarea eliminada
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.get('/:id', protect, authorize(PERMISSIONS.TASKS_READ), taskController.getTaskById);
+router.put('/:id', protect, authorize(PERMISSIONS.TASKS_WRITE), taskController.updateTask);
+router.delete('/:id', protect, authorize(PERMISSIONS.TASKS_DELETE), taskController.deleteTask);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Rutas API para la administración de usuarios
+ * @description Endpoints restringidos a administradores para gestionar roles
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+router.use(protect, authorize(PERMISSIONS.USERS_MANAGE));
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Lista los usuarios y la matriz de roles
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuarios y permisos por rol
+ *       401:
+ *         description: Autenticación requerida
+ *       403:
+ *         description: Solo administradores
+ */
+router.get('/', userController.getAllUsers);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Cambia el rol de un usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *       400:
+ *         description: Rol o ID inválido
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Se quedaría sin administradores
+ */
+router.patch('/:id/role', userController.updateUserRole);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: Administración de usuarios y roles
+ */
+
+module.exports = router;
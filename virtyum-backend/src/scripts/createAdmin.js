@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Crea el primer administrador
+ * @description No hay registro abierto: este script da de alta un administrador con los datos de
+ * ADMIN_NAME, ADMIN_EMAIL y ADMIN_PASSWORD. Si el correo ya existe, le asigna el rol admin sin
+ * cambiar su contraseña (sirve para recuperar el acceso si no queda ningún administrador).
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * Uso: ADMIN_EMAIL=ana@virtyum.com ADMIN_PASSWORD=... ADMIN_NAME="Ana Pérez" npm run db:create-admin
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const createAdmin = async () => {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI no está definida en las variables de entorno');
+  }
+  const { ADMIN_NAME: name = 'Administrador', ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = process.env;
+  if (!email) {
+    throw new Error('ADMIN_EMAIL no está definida en las variables de entorno');
+  }
+
+  await mongoose.connect(mongoURI);
+
+  const existing = await User.findOne({ email: email.toLowerCase().trim() });
+  if (existing) {
+    if (existing.role === 'admin') {
+      console.log(`${existing.email} ya es administrador`);
+    } else {
+      existing.role = 'admin';
+      await existing.save();
+      console.log(`${existing.email} ahora es administrador`);
+    }
+    return;
+  }
+
+  if (!password) {
+    throw new Error('ADMIN_PASSWORD no está definida en las variables de entorno');
+  }
+  const user = await User.create({ name, email, password, role: 'admin' });
+  console.log(`Administrador creado: ${user.email}`);
+};
+
+createAdmin()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al crear el administrador:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Migra la duración en texto libre de los servicios a campos estructurados
+ * @description Rellena billingModel, billingInterval y estimatedDuration de los servicios que aún
+ * no los tienen (papelera incluida) interpretando su `duration`. Los textos que no se reconocen
+ * quedan como pago único conservando la etiqueta, y se listan para revisarlos a mano.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * Uso: npm run db:migrate-durations [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const { parseDuration } = require('../utils/serviceDuration');
+
+const migrateServiceDurations = async ({ dryRun }) => {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI no está definida en las variables de entorno');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`Conectado a MongoDB, migrando duraciones${dryRun ? ' (simulación)' : ''}...`);
+
+  const services = await Service.find(
+    { billingModel: { $exists: false } },
+    'name duration',
+    { withDeleted: true }
+  ).lean();
+
+  const unparsed = [];
+  const operations = services.map(service => {
+    const fields = parseDuration(service.duration);
+    if (!fields) {
+      unparsed.push(service);
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: service._id },
+        update: { $set: fields || { billingModel: 'one-off', billingInterval: null, estimatedDuration: null } }
+      }
+    };
+  });
+
+  if (operations.length > 0 && !dryRun) {
+    await Service.bulkWrite(operations);
+  }
+
+  console.log(`${services.length} servicio(s) sin migrar, ${services.length - unparsed.length} interpretado(s)`);
+  if (unparsed.length > 0) {
+    console.log('Duraciones no reconocidas (quedan como pago único, revísalas en el formulario):');
+    unparsed.forEach(service => console.log(`  - ${service.name} (${service._id}): "${service.duration || ''}"`));
+  }
+};
+
+migrateServiceDurations({ dryRun: process.argv.includes('--dry-run') })
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al migrar las duraciones:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Migra las tareas antiguas al modelo de tareas de entrega
+ * @description Las tareas anteriores solo tenían `completed`: se convierte en `status` (done o
+ * todo) y se elimina el campo. Las tareas sin servicio no pasarán la validación al editarlas, así
+ * que se listan para asignarles uno o borrarlas a mano.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * Uso: npm run db:migrate-tasks [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+const migrateTasks = async ({ dryRun }) => {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI no está definida en las variables de entorno');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`Conectado a MongoDB, migrando tareas${dryRun ? ' (simulación)' : ''}...`);
+
+  // `completed` ya no está en el esquema: se consulta la colección directamente
+  const collection = Task.collection;
+  const legacy = { completed: { $exists: true } };
+  const [done, pending, withoutService] = await Promise.all([
+    collection.countDocuments({ ...legacy, completed: true }),
+    collection.countDocuments({ ...legacy, completed: { $ne: true } }),
+    collection.find({ service: { $exists: false } }, { projection: { title: 1 } }).toArray()
+  ]);
+
+  if (!dryRun) {
+    const now = new Date();
+    await collection.updateMany(
+      { ...legacy, completed: true },
+      { $set: { status: 'done', completedAt: now }, $unset: { completed: '' } }
+    );
+    await collection.updateMany(
+      { ...legacy, completed: { $ne: true } },
+      { $set: { status: 'todo', completedAt: null }, $unset: { completed: '' } }
+    );
+  }
+
+  console.log(`${done} tarea(s) completadas pasan a done y ${pending} a todo`);
+  if (withoutService.length > 0) {
+    console.log(`${withoutService.length} tarea(s) sin servicio: asígnales uno o elimínalas`);
+    withoutService.forEach(task => console.log(`  - ${task._id} ${task.title}`));
+  }
+};
+
+migrateTasks({ dryRun: process.argv.includes('--dry-run') })
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al migrar las tareas:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Crea las categorías que faltan en la colección Category
+ * @description Da de alta las seis categorías que antes eran un enum del modelo Service y
+ * cualquier otra que ya usen los servicios (papelera incluida), para que los servicios existentes
+ * sigan siendo válidos. Las categorías que ya existen no se modifican.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * Uso: npm run db:seed-categories [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+const { DEFAULT_CATEGORIES, slugify } = require('../config/categories');
+
+const seedCategories = async ({ dryRun }) => {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI no está definida en las variables de entorno');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`Conectado a MongoDB, creando categorías${dryRun ? ' (simulación)' : ''}...`);
+
+  const [existing, used] = await Promise.all([
+    Category.find({}, 'name').lean(),
+    Service.distinct('category', {}, { withDeleted: true })
+  ]);
+  const existingNames = new Set(existing.map(category => category.name));
+
+  const defaults = DEFAULT_CATEGORIES.map(category => category.name);
+  const candidates = [
+    ...DEFAULT_CATEGORIES,
+    ...used
+      .filter(name => name && !defaults.includes(name))
+      .map(name => ({ name, slug: slugify(name) }))
+  ];
+  const missing = candidates
+    .filter(category => !existingNames.has(category.name))
+    .map((category, index) => ({ ...category, order: existing.length + index }));
+
+  if (missing.length > 0 && !dryRun) {
+    await Category.insertMany(missing);
+  }
+
+  console.log(`${missing.length} categoría(s) nuevas, ${existing.length} ya existían`);
+  missing.forEach(category => console.log(`  - ${category.name} (${category.slug})`));
+};
+
+seedCategories({ dryRun: process.argv.includes('--dry-run') })
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al crear las categorías:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Sincroniza los índices de MongoDB con los definidos en los modelos
+ * @description Elimina índices obsoletos y crea los nuevos (p. ej. el índice de texto en español de Service)
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ *
+ * Uso: npm run db:sync-indexes
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const AuditLog = require('../models/AuditLog');
+const Client = require('../models/Client');
+const Subscription = require('../models/Subscription');
+const Quote = require('../models/Quote');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const ExchangeRate = require('../models/ExchangeRate');
+const PriceChange = require('../models/PriceChange');
+const Bundle = require('../models/Bundle');
+const Category = require('../models/Category');
+const StatsSnapshot = require('../models/StatsSnapshot');
+
+const models = [Service, Task, TaskTemplate, AuditLog, Client, Subscription, Quote, Invoice, Payment, ExchangeRate, PriceChange, Bundle, Category, StatsSnapshot];
+
+const syncIndexes = async () => {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI no está definida en las variables de entorno');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log('Conectado a MongoDB, sincronizando índices...');
+
+  for (const model of models) {
+    const dropped = await model.syncIndexes();
+    console.log(`${model.modelName}: índices sincronizados${dropped.length ? ` (eliminados: ${dropped.join(', ')})` : ''}`);
+  }
+};
+
+syncIndexes()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al sincronizar índices:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Utilidades para registrar entradas de auditoría
+ * @description Calcula diferencias campo a campo y guarda la entrada en AuditLog
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Campos de Service que se auditan (clients se calcula a partir de las suscripciones)
+ * @constant {Array<string>} SERVICE_AUDIT_FIELDS
+ */
+const SERVICE_AUDIT_FIELDS = ['name', 'category', 'price', 'currency', 'duration', 'status', 'description', 'tiers'];
+
+/**
+ * Normaliza un valor para compararlo y guardarlo en el log
+ * @param {*} value - Valor del campo
+ * @returns {*} Valor serializable (undefined y los arrays vacíos pasan a null)
+ */
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+/**
+ * Extrae los campos auditados de un documento
+ * @function snapshot
+ * @param {Object|null} doc - Documento de Mongoose u objeto plano
+ * @param {Array<string>} [fields=SERVICE_AUDIT_FIELDS] - Campos a copiar
+ * @returns {Object} Copia plana con solo esos campos
+ */
+const snapshot = (doc, fields = SERVICE_AUDIT_FIELDS) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  return fields.reduce((acc, field) => {
+    acc[field] = normalize(source[field]);
+    return acc;
+  }, {});
+};
+
+/**
+ * Calcula los cambios entre dos instantáneas
+ * @function diffSnapshots
+ * @param {Object} before - Instantánea anterior ({} al crear)
+ * @param {Object} after - Instantánea posterior ({} al eliminar)
+ * @param {Array<string>} [fields=SERVICE_AUDIT_FIELDS] - Campos a comparar
+ * @returns {Array<{field: string, before: *, after: *}>} Solo los campos que cambiaron
+ * @example
+ * diffSnapshots({ price: 899 }, { price: 999 }, ['price']);
+ * // [{ field: 'price', before: 899, after: 999 }]
+ */
+const diffSnapshots = (before, after, fields = SERVICE_AUDIT_FIELDS) => fields
+  .map(field => ({
+    field,
+    before: normalize(before[field]),
+    after: normalize(after[field])
+  }))
+  .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+/**
+ * Registra una entrada de auditoría
+ * @async
+ * @function recordAudit
+ * @param {Object} params - Datos de la entrada
+ * @param {string} params.entityType - Tipo de entidad (Service)
+ * @param {Object} params.entity - Documento afectado (para id y nombre)
+ * @param {string} params.action - create | update | delete | restore | purge
+ * @param {Object} [params.actor] - Usuario autenticado (req.user); sin él se registra como Sistema
+ * @param {Array} params.changes - Cambios calculados con diffSnapshots
+ * @param {ClientSession} [params.session] - Sesión de MongoDB si el cambio forma parte de una transacción
+ * @returns {Promise<Object|null>} Entrada creada, o null si no hubo cambios o falló el registro
+ * @description Un fallo al auditar se registra en consola pero no revierte la operación principal,
+ * salvo que se pase una sesión (entonces el error se propaga para abortar la transacción).
+ */
+const recordAudit = async ({ entityType, entity, action, actor, changes, session }) => {
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const entry = {
+    entityType,
+    entityId: entity._id,
+    entityName: entity.name,
+    action,
+    actor: actor
+      ? { user: actor._id, name: actor.name, email: actor.email }
+      : { name: 'Sistema' },
+    changes
+  };
+
+  try {
+    const [log] = await AuditLog.create([entry], { session });
+    return log;
+  } catch (error) {
+    if (session) throw error;
+    console.error('Error al registrar auditoría:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  SERVICE_AUDIT_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordAudit
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Ciclos de facturación
+ * @description Obtiene la periodicidad de cobro de un servicio a partir de su modelo de
+ * facturación y calcula los periodos de una suscripción. Los servicios de pago único o
+ * por campaña se facturan una sola vez.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const { formatIntervalLabel, parseDuration } = require('./serviceDuration');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Obtiene la periodicidad de cobro de un servicio
+ * @function getBillingCycle
+ * @param {Object|null} service - Servicio con `billingModel` y `billingInterval` (o solo
+ * `duration` si todavía no se ha migrado)
+ * @returns {{unit: string, count: number, label: string}|null} Periodicidad en semanas o meses,
+ * o null si se factura una vez
+ * @example
+ * getBillingCycle({ billingModel: 'recurring', billingInterval: { unit: 'year', count: 1 } });
+ * // { unit: 'month', count: 12, label: 'Anual' }
+ * getBillingCycle({ billingModel: 'one-off' }); // null
+ */
+const getBillingCycle = (service) => {
+  const fields = service?.billingModel ? service : parseDuration(service?.duration);
+  const interval = fields?.billingModel === 'recurring' ? fields.billingInterval : null;
+  if (!interval?.unit) return null;
+
+  const label = formatIntervalLabel(interval);
+  return interval.unit === 'year'
+    ? { unit: 'month', count: interval.count * 12, label }
+    : { unit: interval.unit, count: interval.count, label };
+};
+
+/**
+ * Suma periodos completos a una fecha de inicio
+ * @function addCycles
+ * @param {Date} anchor - Inicio de la suscripción
+ * @param {Object} cycle - Periodicidad (ver getBillingCycle)
+ * @param {number} periods - Número de periodos
+ * @returns {Date} Inicio del periodo `periods` (contado desde 0)
+ * @description Los meses se cuentan siempre desde el inicio para no acumular desvíos:
+ * del 31 de enero se pasa al 28 de febrero y de ahí al 31 de marzo.
+ */
+const addCycles = (anchor, cycle, periods) => {
+  const start = new Date(anchor);
+
+  if (cycle.unit === 'week') {
+    return new Date(start.getTime() + periods * cycle.count * 7 * DAY_MS);
+  }
+
+  const result = new Date(start);
+  const targetMonth = start.getUTCMonth() + periods * cycle.count;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(targetMonth);
+  result.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return result;
+};
+
+/**
+ * Formatea un periodo facturado para el concepto de la línea
+ * @function formatBillingPeriod
+ * @param {Date} periodStart - Inicio del periodo
+ * @param {Date} periodEnd - Fin exclusivo del periodo
+ * @returns {string} "01/03/2025 – 31/03/2025"
+ */
+const formatBillingPeriod = (periodStart, periodEnd) => {
+  const format = (date) => date.toLocaleDateString('es-ES', { timeZone: 'UTC' });
+  return `${format(periodStart)} – ${format(new Date(periodEnd.getTime() - DAY_MS))}`;
+};
+
+module.exports = {
+  getBillingCycle,
+  addCycles,
+  formatBillingPeriod
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Ejecución atómica de operaciones masivas sobre servicios
+ * @description Aplica un cambio a varios servicios dentro de una transacción de MongoDB
+ * y devuelve el resultado de cada elemento. Si alguno falla no se guarda ninguno.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const { snapshot, diffSnapshots, recordAudit } = require('./audit');
+const { recordPriceChange } = require('./priceHistory');
+
+/**
+ * Máximo de servicios por operación masiva
+ * @constant {number} BULK_MAX_ITEMS
+ */
+const BULK_MAX_ITEMS = 100;
+
+/**
+ * Error interno usado para abortar la transacción cuando algún elemento falla
+ * @private
+ */
+class BulkAbortError extends Error {
+  constructor() {
+    super('Operación masiva cancelada');
+    this.name = 'BulkAbortError';
+  }
+}
+
+/**
+ * Valida y normaliza la lista de IDs recibida
+ * @function parseBulkIds
+ * @param {*} ids - Valor de req.body.ids
+ * @returns {{ids: Array<string>, errors: Array<string>}} IDs sin duplicados y errores encontrados
+ */
+const parseBulkIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { ids: [], errors: ['ids debe ser una lista con al menos un ID de servicio'] };
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  const errors = [];
+
+  if (unique.length > BULK_MAX_ITEMS) {
+    errors.push(`No se pueden procesar más de ${BULK_MAX_ITEMS} servicios por operación`);
+  }
+
+  const invalid = unique.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    errors.push(`IDs inválidos: ${invalid.join(', ')}`);
+  }
+
+  return { ids: unique, errors };
+};
+
+/**
+ * Ejecuta una operación masiva de forma atómica
+ * @async
+ * @function runBulkOperation
+ * @param {Object} params - Parámetros
+ * @param {Array<string>} params.ids - IDs de los servicios (ya validados)
+ * @param {Object} params.actor - Usuario autenticado (para la auditoría)
+ * @param {Function} params.apply - Recibe el documento y lo modifica; puede devolver un
+ * mensaje de error para rechazar ese elemento
+ * @param {string} [params.auditAction='update'] - Acción registrada en la auditoría
+ * @param {Function} [params.write] - Recibe `(service, session)` y escribe el cambio en lugar de
+ * validar y guardar el documento (p. ej. un updateOne que no revalida servicios antiguos)
+ * @returns {Promise<{committed: boolean, results: Array<Object>}>} Resultado por elemento:
+ * `updated`, `unchanged`, `failed` (con `error`) o `skipped` (no se aplicó porque otro falló)
+ * @description Cada elemento se valida antes de escribir nada. Si alguno falla la transacción
+ * se aborta y los demás se devuelven como `skipped`. Requiere un replica set (MongoDB Atlas lo es).
+ */
+const runBulkOperation = async ({ ids, actor, apply, auditAction = 'update', write }) => {
+  const session = await mongoose.startSession();
+  let results = [];
+
+  try {
+    await session.withTransaction(async () => {
+      // withTransaction puede reintentar la función: partir siempre de cero
+      results = [];
+      const services = await Service.find({ _id: { $in: ids } }).session(session);
+      const byId = new Map(services.map(service => [service._id.toString(), service]));
+      const pending = [];
+
+      for (const id of ids) {
+        const service = byId.get(id);
+        if (!service) {
+          results.push({ id, status: 'failed', error: 'Servicio no encontrado' });
+          continue;
+        }
+
+        const before = snapshot(service);
+        const rejection = apply(service);
+        if (rejection) {
+          results.push({ id, name: service.name, status: 'failed', error: rejection });
+          continue;
+        }
+
+        try {
+          if (!write) await service.validate();
+        } catch (error) {
+          const messages = error.errors
+            ? Object.values(error.errors).map(err => err.message)
+            : [error.message];
+          results.push({ id, name: service.name, status: 'failed', error: messages.join(', ') });
+          continue;
+        }
+
+        const changes = auditAction === 'delete'
+          ? diffSnapshots(before, {})
+          : diffSnapshots(before, snapshot(service));
+        const result = {
+          id,
+          name: service.name,
+          status: auditAction === 'delete' || changes.length > 0 ? 'updated' : 'unchanged',
+          changes
+        };
+        results.push(result);
+        pending.push({ service, before, changes, result });
+      }
+
+      if (results.some(result => result.status === 'failed')) {
+        throw new BulkAbortError();
+      }
+
+      for (const { service, before, changes, result } of pending) {
+        if (result.status === 'unchanged') continue;
+        if (write) {
+          await write(service, session);
+        } else {
+          await service.save({ session });
+        }
+        await recordAudit({
+          entityType: 'Service',
+          entity: service,
+          action: auditAction,
+          actor,
+          changes,
+          session
+        });
+        if (auditAction === 'update') {
+          await recordPriceChange({ service, before, source: 'bulk', actor, session });
+        }
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof BulkAbortError)) {
+      throw error;
+    }
+
+    results = results.map(result => (
+      result.status === 'failed'
+        ? result
+        : { id: result.id, name: result.name, status: 'skipped' }
+    ));
+    return { committed: false, results };
+  } finally {
+    await session.endSession();
+  }
+
+  return { committed: true, results };
+};
+
+/**
+ * Resume los resultados por estado
+ * @function summarizeResults
+ * @param {Array<Object>} results - Resultados de runBulkOperation
+ * @returns {Object} Conteo total y por estado
+ */
+const summarizeResults = (results) => results.reduce((summary, result) => {
+  summary[result.status] = (summary[result.status] || 0) + 1;
+  return summary;
+}, { requested: results.length, updated: 0, unchanged: 0, failed: 0, skipped: 0 });
+
+module.exports = {
+  BULK_MAX_ITEMS,
+  parseBulkIds,
+  runBulkOperation,
+  summarizeResults
+};
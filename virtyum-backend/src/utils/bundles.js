@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Precio y disponibilidad de los paquetes de servicios
+ * @description Calcula el precio de cada paquete a partir de sus componentes y lo marca cuando
+ * algún componente está pausado, inactivo o eliminado. Se calcula al leer, así refleja siempre el
+ * estado y el precio actuales de los servicios.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const Bundle = require('../models/Bundle');
+const { roundMoney, convertAmount, loadRatesFor } = require('./currency');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Estados de servicio con los que un paquete deja de estar disponible
+ * @constant {Array<string>} UNAVAILABLE_STATUSES
+ */
+const UNAVAILABLE_STATUSES = ['Pausado', 'Inactivo'];
+
+/**
+ * Populate de los componentes, incluidos los servicios de la papelera para poder avisar de ellos
+ * @constant {Object} BUNDLE_ITEMS_POPULATE
+ */
+const BUNDLE_ITEMS_POPULATE = {
+  path: 'items.service',
+  select: 'name category price currency status deletedAt',
+  options: { withDeleted: true }
+};
+
+/**
+ * Describe por qué un componente impide vender el paquete
+ * @param {Object|null} service - Servicio poblado (null si se purgó)
+ * @returns {string|null} Problema (missing, deleted o el estado) o null si está disponible
+ */
+const getComponentProblem = (service) => {
+  if (!service) return 'missing';
+  if (service.deletedAt) return 'deleted';
+  if (UNAVAILABLE_STATUSES.includes(service.status)) return service.status;
+  return null;
+};
+
+/**
+ * Calcula los componentes, el precio y la disponibilidad de un paquete
+ * @function evaluateBundle
+ * @param {Object} bundle - Paquete con `items.service` poblado (documento u objeto plano)
+ * @param {Object<string, number>} rates - Tipos de cambio (ver loadBundleRates)
+ * @param {string} [currency=BASE_CURRENCY] - Moneda en la que se expresan los importes
+ * @returns {Object} Paquete plano con `items` (precio unitario y subtotal), `pricing`
+ * (`currency`, `listPrice`, `price`, `savings`), `available` e `issues`
+ * @throws {MissingExchangeRateError} Si falta el tipo de cambio de algún componente
+ * @description `listPrice` es la suma de los componentes (sin los purgados). En modo computed el
+ * precio es `listPrice` menos `discountPercent`; en modo fixed, `fixedPrice` (moneda base)
+ * convertido a `currency`.
+ */
+const evaluateBundle = (bundle, rates, currency = BASE_CURRENCY) => {
+  const source = typeof bundle.toObject === 'function' ? bundle.toObject() : bundle;
+  const issues = [];
+
+  const items = source.items.map(item => {
+    const service = item.service && item.service.name !== undefined ? item.service : null;
+    const problem = getComponentProblem(service);
+    if (problem) {
+      issues.push({
+        service: service ? service._id : item.service,
+        name: service ? service.name : null,
+        problem
+      });
+    }
+    if (!service) {
+      return { service: null, quantity: item.quantity, unitPrice: null, subtotal: null };
+    }
+
+    const unitPrice = convertAmount(service.price, service.currency, currency, rates);
+    return {
+      service: {
+        _id: service._id,
+        name: service.name,
+        category: service.category,
+        status: service.status,
+        price: service.price,
+        currency: service.currency || BASE_CURRENCY,
+        deleted: Boolean(service.deletedAt)
+      },
+      quantity: item.quantity,
+      unitPrice,
+      subtotal: roundMoney(unitPrice * item.quantity)
+    };
+  });
+
+  const listPrice = roundMoney(items.reduce((sum, item) => sum + (item.subtotal || 0), 0));
+  const price = source.pricingMode === 'fixed'
+    ? convertAmount(source.fixedPrice, BASE_CURRENCY, currency, rates)
+    : roundMoney(listPrice * (1 - (source.discountPercent || 0) / 100));
+
+  return {
+    ...source,
+    items,
+    pricing: {
+      currency,
+      listPrice,
+      price,
+      savings: roundMoney(Math.max(listPrice - price, 0))
+    },
+    available: issues.length === 0,
+    issues
+  };
+};
+
+/**
+ * Carga los tipos de cambio necesarios para evaluar unos paquetes
+ * @async
+ * @function loadBundleRates
+ * @param {Array<Object>} bundles - Paquetes con los componentes poblados
+ * @param {string} [currency=BASE_CURRENCY] - Moneda de destino
+ * @returns {Promise<Object<string, number>>} Mapa de tipos (solo consulta si hace falta)
+ */
+const loadBundleRates = (bundles, currency = BASE_CURRENCY) => loadRatesFor([
+  currency,
+  ...bundles.flatMap(bundle => bundle.items.map(item => item.service?.currency))
+]);
+
+/**
+ * Busca paquetes y los evalúa
+ * @async
+ * @function findEvaluatedBundles
+ * @param {Object} [filter={}] - Filtro de Mongoose
+ * @param {Object} [options={}] - Opciones
+ * @param {string} [options.currency=BASE_CURRENCY] - Moneda de los importes
+ * @returns {Promise<Array<Object>>} Paquetes evaluados (ver evaluateBundle), por nombre
+ * @throws {MissingExchangeRateError} Si falta el tipo de cambio de algún componente
+ */
+const findEvaluatedBundles = async (filter = {}, { currency = BASE_CURRENCY } = {}) => {
+  const bundles = await Bundle.find(filter)
+    .sort({ name: 1, _id: 1 })
+    .populate(BUNDLE_ITEMS_POPULATE)
+    .lean();
+  const rates = await loadBundleRates(bundles, currency);
+  return bundles.map(bundle => evaluateBundle(bundle, rates, currency));
+};
+
+/**
+ * Resume los paquetes para las estadísticas del catálogo
+ * @async
+ * @function computeBundleStats
+ * @param {Object} [options={}] - Opciones
+ * @param {string} [options.currency=BASE_CURRENCY] - Moneda de los importes
+ * @returns {Promise<Object>} `{ totalBundles, availableBundles, flaggedBundles, averagePrice, averageSavings }`
+ * @throws {MissingExchangeRateError} Si falta el tipo de cambio de algún componente
+ */
+const computeBundleStats = async ({ currency = BASE_CURRENCY } = {}) => {
+  const bundles = await findEvaluatedBundles({}, { currency });
+  const total = bundles.length;
+  const average = (field) => (
+    total > 0 ? roundMoney(bundles.reduce((sum, bundle) => sum + bundle.pricing[field], 0) / total) : 0
+  );
+  const availableBundles = bundles.filter(bundle => bundle.available).length;
+
+  return {
+    totalBundles: total,
+    availableBundles,
+    flaggedBundles: total - availableBundles,
+    averagePrice: average('price'),
+    averageSavings: average('savings')
+  };
+};
+
+/**
+ * Cuenta los paquetes y los disponibles sin calcular sus precios
+ * @async
+ * @function countBundles
+ * @returns {Promise<{totalBundles: number, availableBundles: number}>} Paquetes y disponibles
+ * @description No necesita tipos de cambio, así que sirve cuando falta alguno.
+ */
+const countBundles = async () => {
+  const bundles = await Bundle.find({}, 'items').populate(BUNDLE_ITEMS_POPULATE).lean();
+  const availableBundles = bundles.filter(bundle => bundle.items.every(item => (
+    !getComponentProblem(item.service && item.service.name !== undefined ? item.service : null)
+  ))).length;
+
+  return { totalBundles: bundles.length, availableBundles };
+};
+
+module.exports = {
+  UNAVAILABLE_STATUSES,
+  BUNDLE_ITEMS_POPULATE,
+  evaluateBundle,
+  loadBundleRates,
+  findEvaluatedBundles,
+  computeBundleStats,
+  countBundles
+};
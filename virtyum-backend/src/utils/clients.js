@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Comprobaciones sobre clientes compartidas por presupuestos y facturas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+
+/**
+ * Comprueba que el cliente existe
+ * @async
+ * @function clientExists
+ * @param {string} clientId - ID del cliente
+ * @returns {Promise<boolean>} true si existe (false también si el ID no es válido)
+ */
+const clientExists = async (clientId) => (
+  mongoose.Types.ObjectId.isValid(String(clientId || '')) && Boolean(await Client.exists({ _id: clientId }))
+);
+
+module.exports = {
+  clientExists
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Respuestas de error comunes de los controladores
+ * @description Traduce los errores de Mongoose a la respuesta que usa toda la API: 400 con la
+ * lista de errores de validación, 400 para los IDs inválidos, 409 para los duplicados y 500 con
+ * el mensaje solo en desarrollo
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Crea el manejador de errores de un controlador
+ * @function createErrorHandler
+ * @param {Object} [options={}] - Opciones
+ * @param {string} [options.duplicateMessage] - Mensaje del 409 por índice único (sin él, un
+ * duplicado es un 500)
+ * @param {string} [options.invalidIdMessage='ID inválido'] - Mensaje del 400 por ID inválido
+ * @param {Function} [options.handle] - Recibe `(res, error)` antes que los casos comunes; si
+ * devuelve algo, el error ya está respondido
+ * @returns {Function} `(res, error, context, id)`: `context` completa "Error al ..." y `id` es el
+ * ID de la ruta, si lo hay
+ * @example
+ * const handleQuoteError = createErrorHandler();
+ * handleQuoteError(res, error, 'obtener el presupuesto', req.params.id);
+ */
+const createErrorHandler = ({ duplicateMessage, invalidIdMessage = 'ID inválido', handle } = {}) => (
+  (res, error, context, id) => {
+    const handled = handle?.(res, error);
+    if (handled) return handled;
+
+    console.error(`Error al ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => (
+          err.name === 'CastError' ? `Valor inválido para ${err.path}` : err.message
+        ))
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: invalidIdMessage,
+        id: id || error.value
+      });
+    }
+    if (error.code === 11000 && duplicateMessage) {
+      return res.status(409).json({
+        message: duplicateMessage
+      });
+    }
+
+    return res.status(500).json({
+      message: `Error interno del servidor al ${context}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+);
+
+module.exports = {
+  createErrorHandler
+};
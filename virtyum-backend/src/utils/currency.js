@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Conversión entre monedas
+ * @description Convierte importes con los tipos de cambio de ExchangeRate, en JavaScript o como
+ * expresión de agregación de MongoDB
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Falta el tipo de cambio de alguna moneda necesaria para convertir
+ */
+class MissingExchangeRateError extends Error {
+  constructor(currencies) {
+    super(`Falta el tipo de cambio de: ${currencies.join(', ')}`);
+    this.name = 'MissingExchangeRateError';
+    this.currencies = currencies;
+  }
+}
+
+/**
+ * Redondea un importe a céntimos
+ * @function roundMoney
+ * @param {number} value - Importe
+ * @returns {number} Importe con dos decimales como máximo
+ */
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Comprueba que hay tipo de cambio para todas las monedas indicadas
+ * @function assertRates
+ * @param {Object<string, number>} rates - Mapa de ExchangeRate.getRateMap
+ * @param {Array<string|null>} currencies - Monedas a convertir (null equivale a la base)
+ * @throws {MissingExchangeRateError} Si falta alguna
+ */
+const assertRates = (rates, currencies) => {
+  const missing = [...new Set(currencies.map(code => code || BASE_CURRENCY))].filter(code => !rates[code]);
+  if (missing.length > 0) {
+    throw new MissingExchangeRateError(missing);
+  }
+};
+
+/**
+ * Convierte un importe entre dos monedas
+ * @function convertAmount
+ * @param {number} amount - Importe en `from`
+ * @param {string} from - Moneda de origen
+ * @param {string} to - Moneda de destino
+ * @param {Object<string, number>} rates - Mapa de ExchangeRate.getRateMap
+ * @returns {number} Importe en `to`, redondeado a céntimos
+ * @throws {MissingExchangeRateError} Si falta el tipo de alguna de las dos monedas
+ * @example
+ * convertAmount(100, 'EUR', 'USD', { USD: 1, EUR: 0.8 }); // 125
+ */
+const convertAmount = (amount, from, to, rates) => {
+  const source = from || BASE_CURRENCY;
+  if (source === to) return amount;
+  assertRates(rates, [source, to]);
+  return roundMoney((amount / rates[source]) * rates[to]);
+};
+
+/**
+ * Carga los tipos de cambio solo si alguna de las monedas no es la base
+ * @async
+ * @function loadRatesFor
+ * @param {Array<string|null>} currencies - Monedas que se van a convertir
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `session`)
+ * @returns {Promise<Object<string, number>>} Mapa de ExchangeRate.getRateMap (o solo la base)
+ */
+const loadRatesFor = async (currencies, options = {}) => (
+  currencies.some(code => code && code !== BASE_CURRENCY)
+    ? ExchangeRate.getRateMap(options)
+    : { [BASE_CURRENCY]: 1 }
+);
+
+/**
+ * Convierte un importe a la moneda base cargando los tipos solo si hace falta
+ * @description Los documentos sin campo de moneda (presupuestos, suscripciones, facturas y
+ * cobros) guardan sus importes en la moneda base.
+ * @async
+ * @function toBaseCurrency
+ * @param {number} amount - Importe
+ * @param {string} currency - Moneda del importe
+ * @param {Object} [options={}] - Opciones de la consulta (p. ej. `session`)
+ * @returns {Promise<number>} Importe en la moneda base
+ * @throws {MissingExchangeRateError} Si no hay tipo de cambio para `currency`
+ */
+const toBaseCurrency = async (amount, currency, options = {}) => {
+  if (!currency || currency === BASE_CURRENCY) return amount;
+  return convertAmount(amount, currency, BASE_CURRENCY, await ExchangeRate.getRateMap(options));
+};
+
+/**
+ * Construye una expresión de agregación que convierte un campo a otra moneda
+ * @function buildConversionExpression
+ * @param {string} amountField - Campo con el importe (p. ej. '$price')
+ * @param {string} currencyField - Campo con la moneda (los documentos sin moneda están en la base)
+ * @param {string} target - Moneda de destino
+ * @param {Object<string, number>} rates - Mapa de ExchangeRate.getRateMap (ya comprobado con assertRates)
+ * @returns {Object} Expresión `$multiply` con el factor de cada moneda
+ */
+const buildConversionExpression = (amountField, currencyField, target, rates) => ({
+  $multiply: [
+    amountField,
+    {
+      $switch: {
+        branches: Object.entries(rates).map(([code, rate]) => ({
+          case: { $eq: [{ $ifNull: [currencyField, BASE_CURRENCY] }, code] },
+          then: rates[target] / rate
+        })),
+        default: null
+      }
+    }
+  ]
+});
+
+module.exports = {
+  MissingExchangeRateError,
+  roundMoney,
+  assertRates,
+  convertAmount,
+  loadRatesFor,
+  toBaseCurrency,
+  buildConversionExpression
+};
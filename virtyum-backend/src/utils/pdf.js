@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Utilidades para generar documentos PDF
+ * @description Genera el PDF en memoria y dibuja encabezados y tablas con el estilo de Virtyum
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Estilo común de los documentos
+ * @constant {Object} PDF_STYLE
+ */
+const PDF_STYLE = {
+  margin: 40,
+  primaryColor: '#0d6efd',
+  mutedColor: '#6c757d',
+  borderColor: '#dee2e6',
+  headerFill: '#f1f3f5',
+  fontSize: 9,
+  rowPadding: 4
+};
+
+/**
+ * Genera un PDF y devuelve su contenido
+ * @async
+ * @function renderPdf
+ * @param {Function} draw - Recibe el PDFDocument y dibuja el contenido (puede ser async)
+ * @param {Object} [options={}] - Opciones de PDFDocument (p. ej. `layout: 'landscape'`)
+ * @returns {Promise<Buffer>} Contenido del PDF
+ * @example
+ * const buffer = await renderPdf((doc) => doc.text('Hola'));
+ */
+const renderPdf = (draw, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PDF_STYLE.margin, bufferPages: true, ...options });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  Promise.resolve()
+    .then(() => draw(doc))
+    .then(() => {
+      drawPageNumbers(doc);
+      doc.end();
+    })
+    .catch(reject);
+});
+
+/**
+ * Numera todas las páginas en el pie
+ * @param {PDFDocument} doc - Documento con bufferPages activado
+ */
+const drawPageNumbers = (doc) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    // Se quita el margen inferior temporalmente para que pdfkit no cree otra página
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8).fillColor(PDF_STYLE.mutedColor).text(
+      `Página ${index + 1} de ${count}`,
+      doc.page.margins.left,
+      bottom + 15,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'right' }
+    );
+    doc.page.margins.bottom = PDF_STYLE.margin;
+  }
+};
+
+/**
+ * Dibuja el título del documento con la fecha de generación
+ * @function drawHeader
+ * @param {PDFDocument} doc - Documento
+ * @param {string} title - Título principal
+ * @param {string} [subtitle] - Línea secundaria (filtros aplicados, cliente, etc.)
+ */
+const drawHeader = (doc, title, subtitle) => {
+  doc.fontSize(18).fillColor(PDF_STYLE.primaryColor).text('Virtyum', { continued: true })
+    .fillColor('#212529').text(` · ${title}`);
+  doc.fontSize(9).fillColor(PDF_STYLE.mutedColor)
+    .text(`Generado el ${new Date().toLocaleString('es-ES', { timeZone: 'UTC' })} UTC`);
+  if (subtitle) {
+    doc.text(subtitle);
+  }
+  doc.moveDown();
+  doc.fillColor('#212529');
+};
+
+/**
+ * Dibuja un título de sección
+ * @function drawSectionTitle
+ * @param {PDFDocument} doc - Documento
+ * @param {string} title - Texto de la sección
+ */
+const drawSectionTitle = (doc, title) => {
+  doc.moveDown(0.5);
+  doc.fontSize(12).fillColor(PDF_STYLE.primaryColor).text(title, doc.page.margins.left);
+  doc.moveDown(0.3);
+  doc.fillColor('#212529');
+};
+
+/**
+ * Dibuja una tabla que continúa en páginas nuevas (repitiendo el encabezado)
+ * @function drawTable
+ * @param {PDFDocument} doc - Documento
+ * @param {Array<{header: string, width: number, align?: string}>} columns - Columnas; `width` es
+ * la fracción del ancho disponible (la suma debería ser 1)
+ * @param {Array<Array<string>>} rows - Celdas ya formateadas como texto
+ */
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const availableWidth = doc.page.width - left - doc.page.margins.right;
+  const widths = columns.map(column => column.width * availableWidth);
+  const { rowPadding, fontSize } = PDF_STYLE;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map((cell, index) => (
+      doc.heightOfString(String(cell), { width: widths[index] - rowPadding * 2 })
+    ))) + rowPadding * 2;
+  };
+
+  const drawRow = (cells, { header = false } = {}) => {
+    const font = header ? 'Helvetica-Bold' : 'Helvetica';
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    let x = left;
+
+    if (header) {
+      doc.rect(left, y, availableWidth, height).fill(PDF_STYLE.headerFill);
+    }
+
+    doc.font(font).fontSize(fontSize).fillColor('#212529');
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + rowPadding, y + rowPadding, {
+        width: widths[index] - rowPadding * 2,
+        align: columns[index].align || 'left'
+      });
+      x += widths[index];
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + availableWidth, y + height)
+      .strokeColor(PDF_STYLE.borderColor).lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headers = columns.map(column => column.header);
+  const pageBottom = () => doc.page.height - doc.page.margins.bottom;
+
+  drawRow(headers, { header: true });
+  rows.forEach(cells => {
+    if (doc.y + rowHeight(cells, 'Helvetica') > pageBottom()) {
+      doc.addPage();
+      drawRow(headers, { header: true });
+    }
+    drawRow(cells);
+  });
+
+  doc.font('Helvetica');
+};
+
+/**
+ * Formatea un importe en su moneda para los documentos
+ * @function formatMoney
+ * @param {number} value - Importe
+ * @param {string} [currency='USD'] - Código ISO de la moneda
+ * @returns {string} Importe con símbolo y separadores (p. ej. "$1,299.50" o "€1,299.50")
+ */
+const formatMoney = (value, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2
+}).format(Number(value || 0));
+
+module.exports = {
+  PDF_STYLE,
+  renderPdf,
+  drawHeader,
+  drawSectionTitle,
+  drawTable,
+  formatMoney
+};
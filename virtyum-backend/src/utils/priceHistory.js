@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Historial de precios de los servicios
+ * @description Registra los cambios de precio aplicados y calcula el precio vigente en una fecha
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const PriceChange = require('../models/PriceChange');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Copia los datos del usuario para el historial
+ * @param {Object} [actor] - Usuario autenticado (req.user); sin él se registra como Sistema
+ * @returns {Object} `{ user, name, email }`
+ */
+const toCreatedBy = (actor) => (
+  actor ? { user: actor._id, name: actor.name, email: actor.email } : { name: 'Sistema' }
+);
+
+/**
+ * Registra en el historial el precio aplicado a un servicio, si cambió
+ * @async
+ * @function recordPriceChange
+ * @param {Object} params - Datos del cambio
+ * @param {Object} params.service - Servicio ya guardado (precio y moneda nuevos)
+ * @param {Object|null} params.before - `{ price, currency }` anteriores (null en el alta)
+ * @param {string} params.source - create | update | bulk | import
+ * @param {Object} [params.actor] - Usuario autenticado
+ * @param {ClientSession} [params.session] - Sesión si el cambio forma parte de una transacción
+ * @returns {Promise<Object|null>} Entrada creada, o null si el precio no cambió o falló el registro
+ * @description Igual que recordAudit: un fallo se registra en consola sin revertir la operación
+ * principal, salvo que se pase una sesión.
+ */
+const recordPriceChange = async ({ service, before, source, actor, session }) => {
+  const currency = service.currency || BASE_CURRENCY;
+  if (before && before.price === service.price && (before.currency || BASE_CURRENCY) === currency) {
+    return null;
+  }
+
+  const now = new Date();
+  try {
+    const [change] = await PriceChange.create([{
+      service: service._id,
+      price: service.price,
+      currency,
+      previousPrice: before ? before.price : null,
+      previousCurrency: before ? before.currency || BASE_CURRENCY : null,
+      effectiveDate: now,
+      appliedAt: now,
+      status: 'applied',
+      source,
+      createdBy: toCreatedBy(actor)
+    }], { session });
+    return change;
+  } catch (error) {
+    if (session) throw error;
+    console.error('Error al registrar el cambio de precio:', error);
+    return null;
+  }
+};
+
+/**
+ * Calcula el precio de un servicio vigente en un momento dado
+ * @async
+ * @function getPriceAt
+ * @param {Object} service - Servicio (`_id`, `price`, `currency`, `createdAt`)
+ * @param {Date} date - Momento consultado
+ * @returns {Promise<{price: number, currency: string, since: Date|null, change: ObjectId|null}|null>}
+ * Precio vigente, desde cuándo (null si es anterior al historial) y el cambio que lo fijó; null si
+ * el servicio aún no existía
+ * @description Se usa `appliedAt`, el momento real del cambio. Si la fecha es anterior a todo el
+ * historial se toma el precio anterior al primer cambio; sin historial, el precio actual.
+ * @example
+ * const price = await getPriceAt(service, new Date('2025-03-01'));
+ * // { price: 899, currency: 'USD', since: '2025-01-10T...', change: '...' }
+ */
+const getPriceAt = async (service, date) => {
+  if (service.createdAt && date < service.createdAt) {
+    return null;
+  }
+
+  const last = await PriceChange.findOne({
+    service: service._id,
+    status: 'applied',
+    appliedAt: { $lte: date }
+  }).sort({ appliedAt: -1, _id: -1 }).lean();
+  if (last) {
+    return { price: last.price, currency: last.currency, since: last.appliedAt, change: last._id };
+  }
+
+  const next = await PriceChange.findOne({
+    service: service._id,
+    status: 'applied',
+    appliedAt: { $gt: date }
+  }).sort({ appliedAt: 1, _id: 1 }).lean();
+  if (next) {
+    return next.previousPrice === null
+      ? null
+      : { price: next.previousPrice, currency: next.previousCurrency || BASE_CURRENCY, since: null, change: null };
+  }
+
+  return { price: service.price, currency: service.currency || BASE_CURRENCY, since: null, change: null };
+};
+
+module.exports = {
+  toCreatedBy,
+  recordPriceChange,
+  getPriceAt
+};
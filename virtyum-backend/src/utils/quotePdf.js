@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Documento PDF de un presupuesto
+ * @description Dibuja los datos del cliente, las líneas con descuentos e impuestos y los totales
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const { PDF_STYLE, renderPdf, drawHeader, drawSectionTitle, drawTable, formatMoney } = require('./pdf');
+
+/**
+ * Texto de cada estado en el documento
+ * @constant {Object<string, string>} STATUS_LABELS
+ */
+const STATUS_LABELS = {
+  draft: 'Borrador',
+  sent: 'Enviado',
+  accepted: 'Aceptado',
+  rejected: 'Rechazado'
+};
+
+/**
+ * Formatea una fecha para el documento
+ * @param {Date|string} value - Fecha
+ * @returns {string} Fecha DD/MM/AAAA
+ */
+const formatDate = (value) => new Date(value).toLocaleDateString('es-ES', { timeZone: 'UTC' });
+
+/**
+ * Formatea un porcentaje (sin decimales si es entero)
+ * @param {number} value - Porcentaje
+ * @returns {string} Texto con el símbolo %, o "—" si es 0
+ */
+const formatPercent = (value) => (value ? `${Number(value).toLocaleString('es-ES')} %` : '—');
+
+/**
+ * Dibuja una línea de la tabla de totales alineada a la derecha
+ * @param {PDFDocument} doc - Documento
+ * @param {string} label - Concepto
+ * @param {string} value - Importe formateado
+ * @param {boolean} [bold=false] - Resalta la línea (total)
+ */
+const drawTotalLine = (doc, label, value, bold = false) => {
+  const right = doc.page.width - doc.page.margins.right;
+  const width = 220;
+  const y = doc.y;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : PDF_STYLE.fontSize);
+  doc.text(label, right - width, y, { width: width / 2 });
+  doc.text(value, right - width / 2, y, { width: width / 2, align: 'right' });
+  doc.moveDown(0.3);
+};
+
+/**
+ * Genera el PDF de un presupuesto
+ * @async
+ * @function renderQuotePdf
+ * @param {Object} quote - Presupuesto con `client` poblado
+ * @returns {Promise<Buffer>} Contenido del PDF
+ */
+const renderQuotePdf = (quote) => renderPdf((doc) => {
+  const left = doc.page.margins.left;
+  const { client } = quote;
+
+  drawHeader(
+    doc,
+    `Presupuesto ${quote.number}`,
+    `${STATUS_LABELS[quote.status] || quote.status} · emitido el ${formatDate(quote.createdAt)}` +
+      (quote.validUntil ? ` · válido hasta el ${formatDate(quote.validUntil)}` : '')
+  );
+
+  if (quote.title) {
+    doc.fontSize(13).text(quote.title);
+    doc.moveDown(0.5);
+  }
+
+  drawSectionTitle(doc, 'Cliente');
+  doc.fontSize(10).font('Helvetica-Bold').text(client?.company || 'Cliente eliminado', left);
+  doc.font('Helvetica').fontSize(PDF_STYLE.fontSize);
+  [
+    client?.taxId,
+    client?.contactName,
+    [client?.email, client?.phone].filter(Boolean).join(' · ')
+  ].filter(Boolean).forEach(line => doc.text(line, left));
+
+  drawSectionTitle(doc, 'Servicios');
+  drawTable(doc, [
+    { header: 'Servicio', width: 0.34 },
+    { header: 'Cant.', width: 0.08, align: 'right' },
+    { header: 'Precio', width: 0.14, align: 'right' },
+    { header: 'Dto.', width: 0.1, align: 'right' },
+    { header: 'Impuesto', width: 0.12, align: 'right' },
+    { header: 'Total', width: 0.22, align: 'right' }
+  ], quote.items.map(item => [
+    item.name,
+    String(item.quantity),
+    formatMoney(item.unitPrice),
+    formatPercent(item.discount),
+    formatPercent(item.taxRate),
+    formatMoney(item.total)
+  ]));
+
+  // Bloque de totales: se mantiene entero en la misma página
+  doc.moveDown();
+  if (doc.y + 80 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  drawTotalLine(doc, 'Subtotal', formatMoney(quote.totals.subtotal));
+  if (quote.totals.discount > 0) {
+    drawTotalLine(doc, 'Descuentos', `-${formatMoney(quote.totals.discount)}`);
+  }
+  drawTotalLine(doc, 'Impuestos', formatMoney(quote.totals.tax));
+  drawTotalLine(doc, 'Total', formatMoney(quote.totals.total), true);
+
+  if (quote.notes) {
+    doc.x = left;
+    drawSectionTitle(doc, 'Condiciones');
+    doc.font('Helvetica').fontSize(PDF_STYLE.fontSize).text(quote.notes, left);
+  }
+});
+
+module.exports = {
+  renderQuotePdf
+};
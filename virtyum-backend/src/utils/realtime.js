@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Canal de eventos en tiempo real del catálogo (Server-Sent Events)
+ * @description Envía a las pantallas abiertas los servicios creados, modificados y eliminados, y
+ * avisa cuando cambian las estadísticas. Los cambios se leen de un change stream de MongoDB: así
+ * llegan solo los que se confirmaron (también los de transacciones) y los de cualquier instancia
+ * del backend. Los servicios se siguen a través del registro de auditoría, que ya guarda la
+ * acción y quién la hizo.
+ *
+ * Los change streams necesitan un replica set. Con un MongoDB standalone (desarrollo local) se
+ * detecta el error una vez y se pasa a consultar la auditoría y las colecciones cada pocos
+ * segundos. Donde las funciones tienen duración máxima (Vercel), la conexión se cierra antes del
+ * límite con un evento `reconnect` y el cliente vuelve a conectarse con `since` para recibir lo
+ * que llegó entre medias.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+const ExchangeRate = require('../models/ExchangeRate');
+const Bundle = require('../models/Bundle');
+const Category = require('../models/Category');
+
+/**
+ * Espera para agrupar los cambios seguidos (operaciones masivas) en un solo envío
+ * @constant {number} SERVICE_FLUSH_DELAY_MS
+ */
+const SERVICE_FLUSH_DELAY_MS = 300;
+
+/**
+ * Espera para avisar de las estadísticas una sola vez por ráfaga de cambios
+ * @constant {number} STATS_DELAY_MS
+ */
+const STATS_DELAY_MS = 1000;
+
+/**
+ * Intervalo del comentario que mantiene abierta la conexión a través de proxies
+ * @constant {number} HEARTBEAT_MS
+ */
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Cambios por envío a partir de los que se pide recargar en lugar de mandar cada servicio
+ * @constant {number} MAX_SERVICE_EVENTS
+ */
+const MAX_SERVICE_EVENTS = 100;
+
+/**
+ * Intervalo de consulta cuando no hay change streams (MongoDB standalone)
+ * @constant {number} POLL_INTERVAL_MS
+ */
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * Margen con el que se repasan las entradas de auditoría al consultar o reanudar, por si alguna
+ * se guardó con una fecha algo anterior a la última vista (varias instancias, reloj)
+ * @constant {number} AUDIT_MARGIN_MS
+ */
+const AUDIT_MARGIN_MS = 2000;
+
+/**
+ * Antigüedad máxima de `since` al reanudar; si la pausa fue mayor el cliente debe recargar
+ * @constant {number} MAX_RESUME_MS
+ */
+const MAX_RESUME_MS = 5 * 60 * 1000;
+
+/**
+ * Duración de cada conexión antes del cierre planificado (0 = sin límite). En Vercel la función
+ * se corta a los 30 s (maxDuration en vercel.json): se cierra antes para que no sea un corte.
+ * @constant {number} STREAM_MAX_MS
+ */
+const STREAM_MAX_MS = Number(process.env.SSE_MAX_DURATION_MS) || (process.env.VERCEL ? 25000 : 0);
+
+/**
+ * Colecciones cuyos cambios alteran las estadísticas de GET /api/services/stats
+ * @constant {Array<string>} STATS_COLLECTIONS
+ */
+const STATS_MODELS = [Service, Subscription, ExchangeRate, Bundle, Category];
+const STATS_COLLECTIONS = STATS_MODELS.map(model => model.collection.collectionName);
+
+/**
+ * Conexiones abiertas
+ * @type {Set<Object>}
+ */
+const subscribers = new Set();
+
+/**
+ * Estado del change stream, compartido por todas las conexiones de esta instancia
+ */
+let changeStream = null;
+let pendingAudits = [];
+let flushTimer = null;
+let statsTimer = null;
+// Modo de consulta periódica (sin replica set): se decide una vez por proceso
+let changeStreamsUnsupported = false;
+let pollTimer = null;
+let pollCursor = null;
+let polledAuditIds = new Set();
+let statsFingerprint = null;
+
+/**
+ * Escribe un evento en una conexión
+ * @param {Response} res - Respuesta abierta
+ * @param {string} event - Nombre del evento
+ * @param {Object} data - Datos (se envían como JSON)
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Envía un evento a todas las conexiones abiertas
+ * @param {string} event - Nombre del evento
+ * @param {Object} data - Datos del evento
+ */
+const broadcast = (event, data) => {
+  subscribers.forEach(({ res }) => writeEvent(res, event, data));
+};
+
+/**
+ * Convierte entradas de auditoría de servicios en eventos: uno por entrada, con el servicio
+ * actualizado en las creaciones, modificaciones y restauraciones
+ * @async
+ * @param {Array<Object>} entries - Entradas de auditoría en orden
+ * @returns {Promise<Array<{event: string, data: Object}>>} Eventos a enviar
+ */
+const buildServiceEvents = async (entries) => {
+  const actorOf = (entry) => ({ _id: entry.actor?.user || null, name: entry.actor?.name || 'Sistema' });
+
+  // Una importación o una operación masiva grande se resume en un solo aviso
+  if (entries.length > MAX_SERVICE_EVENTS) {
+    return [{ event: 'services:reload', data: { count: entries.length, actor: actorOf(entries[entries.length - 1]) } }];
+  }
+
+  const ids = entries
+    .filter(entry => ['create', 'update', 'restore'].includes(entry.action))
+    .map(entry => entry.entityId);
+  const services = ids.length > 0 ? await Service.find({ _id: { $in: ids } }) : [];
+  const byId = new Map(services.map(service => [String(service._id), service]));
+
+  return entries.map(entry => ({
+    event: 'service',
+    data: {
+      action: entry.action,
+      serviceId: entry.entityId,
+      serviceName: entry.entityName,
+      service: byId.get(String(entry.entityId)) || null,
+      actor: actorOf(entry),
+      at: entry.createdAt
+    }
+  }));
+};
+
+/**
+ * Envía los cambios de servicios acumulados
+ * @async
+ */
+const flushServiceEvents = async () => {
+  flushTimer = null;
+  const entries = pendingAudits;
+  pendingAudits = [];
+
+  const events = await buildServiceEvents(entries);
+  events.forEach(({ event, data }) => broadcast(event, data));
+};
+
+/**
+ * Acumula entradas de auditoría de servicios para el próximo envío
+ * @param {Array<Object>} entries - Entradas nuevas
+ */
+const queueAudits = (entries) => {
+  pendingAudits.push(...entries);
+  flushTimer = flushTimer || setTimeout(() => {
+    flushServiceEvents().catch(resetChannel);
+  }, SERVICE_FLUSH_DELAY_MS);
+};
+
+/**
+ * Avisa de un cambio en las estadísticas (una vez por ráfaga)
+ */
+const queueStats = () => {
+  statsTimer = statsTimer || setTimeout(() => {
+    statsTimer = null;
+    broadcast('stats', { at: new Date() });
+  }, STATS_DELAY_MS);
+};
+
+/**
+ * Huella de las colecciones de las estadísticas: número de documentos y última modificación
+ * @async
+ * @returns {Promise<string>} Cambia cuando se crea, modifica o borra algún documento
+ */
+const getStatsFingerprint = async () => {
+  // Sobre la colección directamente para incluir los servicios de la papelera
+  const parts = await Promise.all(STATS_MODELS.map(async ({ collection }) => {
+    const [count, latest] = await Promise.all([
+      collection.estimatedDocumentCount(),
+      collection.findOne({}, { sort: { updatedAt: -1 }, projection: { updatedAt: 1 } })
+    ]);
+    return `${count}:${latest?.updatedAt?.getTime() || 0}`;
+  }));
+  return parts.join('|');
+};
+
+/**
+ * Busca los cambios desde la última consulta (modo sin change streams)
+ * @async
+ */
+const pollChanges = async () => {
+  const until = new Date();
+  const entries = await AuditLog.find({
+    entityType: 'Service',
+    createdAt: { $gt: new Date(pollCursor.getTime() - AUDIT_MARGIN_MS), $lte: until }
+  }).sort({ createdAt: 1 }).lean();
+  // Las del margen ya se enviaron en la consulta anterior
+  const fresh = entries.filter(entry => !polledAuditIds.has(String(entry._id)));
+  polledAuditIds = new Set(entries.map(entry => String(entry._id)));
+  pollCursor = until;
+
+  const fingerprint = await getStatsFingerprint();
+  const statsChanged = statsFingerprint !== null && fingerprint !== statsFingerprint;
+  statsFingerprint = fingerprint;
+
+  if (fresh.length > 0) queueAudits(fresh);
+  // La papelera no cambia updatedAt: las entradas de auditoría también cuentan
+  if (statsChanged || fresh.length > 0) queueStats();
+};
+
+/**
+ * Empieza a consultar los cambios periódicamente
+ */
+const startPolling = () => {
+  pollCursor = new Date();
+  polledAuditIds = new Set();
+  statsFingerprint = null;
+  pollTimer = setInterval(() => {
+    pollChanges().catch(error => console.error('Error al consultar cambios del catálogo:', error));
+  }, POLL_INTERVAL_MS);
+  // La primera huella sirve de referencia
+  getStatsFingerprint()
+    .then(fingerprint => { statsFingerprint = statsFingerprint ?? fingerprint; })
+    .catch(() => {});
+};
+
+/**
+ * Indica si el error del change stream se debe a que MongoDB no es un replica set
+ * @param {Error} error - Error del change stream
+ * @returns {boolean} true si no hay soporte de change streams
+ */
+const isChangeStreamUnsupported = (error) => (
+  [40573, 40324].includes(error?.code) || /replica set/i.test(error?.message || '')
+);
+
+/**
+ * Cierra el change stream y las conexiones (los clientes vuelven a conectarse solos)
+ * @param {Error} [error] - Error del change stream, si lo hubo
+ */
+const resetChannel = (error) => {
+  if (error) {
+    console.error('Error en el canal de eventos en tiempo real:', error);
+  }
+  changeStream?.close().catch(() => {});
+  changeStream = null;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  clearTimeout(flushTimer);
+  clearTimeout(statsTimer);
+  flushTimer = null;
+  statsTimer = null;
+  pendingAudits = [];
+  subscribers.forEach(({ res }) => res.end());
+};
+
+/**
+ * Abre el change stream (o la consulta periódica sin replica set) si aún no lo está
+ */
+const ensureChannel = () => {
+  if (changeStream || pollTimer) return;
+  if (changeStreamsUnsupported) {
+    startPolling();
+    return;
+  }
+
+  const auditCollection = AuditLog.collection.collectionName;
+  changeStream = mongoose.connection.watch([
+    {
+      $match: {
+        operationType: { $in: ['insert', 'update', 'replace', 'delete'] },
+        'ns.coll': { $in: [auditCollection, ...STATS_COLLECTIONS] }
+      }
+    },
+    // Solo interesa el documento de las entradas de auditoría
+    {
+      $project: {
+        ns: 1,
+        fullDocument: { $cond: [{ $eq: ['$ns.coll', auditCollection] }, '$fullDocument', '$$REMOVE'] }
+      }
+    }
+  ]);
+
+  changeStream.on('change', ({ ns, fullDocument }) => {
+    if (ns.coll === auditCollection) {
+      if (fullDocument?.entityType !== 'Service') return;
+      queueAudits([fullDocument]);
+      return;
+    }
+
+    queueStats();
+  });
+  changeStream.on('error', (error) => {
+    if (!isChangeStreamUnsupported(error)) {
+      resetChannel(error);
+      return;
+    }
+    // Sin replica set no tiene sentido reintentar: las conexiones siguen con la consulta periódica
+    console.warn('MongoDB no admite change streams (no es un replica set); el canal de eventos consultará los cambios cada', POLL_INTERVAL_MS / 1000, 's');
+    changeStreamsUnsupported = true;
+    changeStream.close().catch(() => {});
+    changeStream = null;
+    if (subscribers.size > 0) startPolling();
+  });
+};
+
+/**
+ * Envía a una conexión los cambios de servicios desde una fecha (al reanudar tras un cierre
+ * planificado)
+ * @async
+ * @param {Response} res - Respuesta abierta
+ * @param {Date} since - Fecha del cierre anterior
+ */
+const replayServiceEvents = async (res, since) => {
+  const entries = await AuditLog.find({
+    entityType: 'Service',
+    createdAt: { $gt: new Date(since.getTime() - AUDIT_MARGIN_MS) }
+  }).sort({ createdAt: 1 }).limit(MAX_SERVICE_EVENTS + 1).lean();
+  if (entries.length === 0) return;
+
+  const events = await buildServiceEvents(entries);
+  events.forEach(({ event, data }) => writeEvent(res, event, data));
+  writeEvent(res, 'stats', { at: new Date() });
+};
+
+/**
+ * Abre un flujo de eventos para la petición y lo mantiene hasta que el cliente se desconecta
+ * @function openEventStream
+ * @param {Request} req - Petición autenticada
+ * @param {string} [req.query.since] - Fecha del evento `reconnect` de la conexión anterior: se
+ * reenvían los cambios de servicios posteriores
+ * @param {Response} res - Respuesta que queda abierta
+ * @description Eventos: `ready` al conectar; `service` con `action` (create, update, delete,
+ * restore, purge), `serviceId`, `serviceName`, `service` (documento actual o null), `actor` y `at`;
+ * `services:reload` cuando un lote es demasiado grande para enviarlo servicio a servicio;
+ * `stats` cuando cambian los datos de las estadísticas; y `reconnect` con `at` justo antes del
+ * cierre planificado (ver STREAM_MAX_MS).
+ */
+const openEventStream = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Evita que nginx y otros proxies retengan los eventos
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const subscriber = {
+    res,
+    heartbeat: setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS),
+    closeTimer: STREAM_MAX_MS > 0 ? setTimeout(() => {
+      writeEvent(res, 'reconnect', { at: new Date() });
+      res.end();
+    }, STREAM_MAX_MS) : null
+  };
+  subscribers.add(subscriber);
+  ensureChannel();
+  writeEvent(res, 'ready', { at: new Date() });
+
+  const since = req.query.since ? new Date(req.query.since) : null;
+  if (since && !Number.isNaN(since.getTime()) && Date.now() - since.getTime() <= MAX_RESUME_MS) {
+    replayServiceEvents(res, since).catch(error => {
+      console.error('Error al reenviar los cambios del catálogo:', error);
+      res.end();
+    });
+  }
+
+  req.on('close', () => {
+    clearInterval(subscriber.heartbeat);
+    clearTimeout(subscriber.closeTimer);
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && (changeStream || pollTimer)) {
+      resetChannel();
+    }
+  });
+};
+
+module.exports = {
+  openEventStream
+};
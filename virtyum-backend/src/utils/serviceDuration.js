@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Duración y modelo de facturación de los servicios
+ * @description Interpreta el texto libre de la duración ("Mensual", "3-6 meses", "Por campaña")
+ * como campos estructurados y genera la etiqueta que se muestra a partir de ellos
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Modelos de facturación de un servicio
+ * @constant {Array<string>} BILLING_MODELS
+ */
+const BILLING_MODELS = ['recurring', 'one-off', 'per-campaign'];
+
+/**
+ * Unidades de la periodicidad de cobro de un servicio recurrente
+ * @constant {Array<string>} INTERVAL_UNITS
+ */
+const INTERVAL_UNITS = ['week', 'month', 'year'];
+
+/**
+ * Unidades de la duración estimada
+ * @constant {Array<string>} DURATION_UNITS
+ */
+const DURATION_UNITS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Nombre en singular y plural de cada unidad, y patrón con el que se reconoce en el texto
+ * @constant {Object<string, {one: string, other: string, pattern: RegExp}>} UNIT_NAMES
+ */
+const UNIT_NAMES = {
+  day: { one: 'día', other: 'días', pattern: /^d[ií]as?$/i },
+  week: { one: 'semana', other: 'semanas', pattern: /^semanas?$/i },
+  month: { one: 'mes', other: 'meses', pattern: /^mes(es)?$/i },
+  year: { one: 'año', other: 'años', pattern: /^años?$/i }
+};
+
+/**
+ * Periodicidades con nombre propio, de la más específica a la más general
+ * @constant {Array<{pattern: RegExp, unit: string, count: number, label: string}>} NAMED_INTERVALS
+ */
+const NAMED_INTERVALS = [
+  { pattern: /bimestral|bimensual/i, unit: 'month', count: 2, label: 'Bimestral' },
+  { pattern: /trimestral/i, unit: 'month', count: 3, label: 'Trimestral' },
+  { pattern: /semestral/i, unit: 'month', count: 6, label: 'Semestral' },
+  { pattern: /anual/i, unit: 'year', count: 1, label: 'Anual' },
+  { pattern: /quincenal/i, unit: 'week', count: 2, label: 'Quincenal' },
+  { pattern: /semanal/i, unit: 'week', count: 1, label: 'Semanal' },
+  { pattern: /mensual|por mes|mes a mes/i, unit: 'month', count: 1, label: 'Mensual' }
+];
+
+/**
+ * Textos que indican un servicio por campaña o de pago único
+ * @constant {Object<string, RegExp>} MODEL_PATTERNS
+ */
+const MODEL_PATTERNS = {
+  'per-campaign': /campa[ñn]a/i,
+  'one-off': /proyecto|puntual|[úu]nic[oa]|una vez/i
+};
+
+/**
+ * Busca una duración del tipo "2-3 semanas", "de 3 a 6 meses" o "1 mes"
+ * @constant {RegExp} DURATION_PATTERN
+ */
+const DURATION_PATTERN = /(\d+)(?:\s*(?:-|–|a)\s*(\d+))?\s*(d[ií]as?|semanas?|mes(?:es)?|años?)\b/i;
+
+/**
+ * Nombre de una unidad según la cantidad
+ * @param {string} unit - day | week | month | year
+ * @param {number} amount - Cantidad
+ * @returns {string} "mes" o "meses"
+ */
+const unitName = (unit, amount) => (amount === 1 ? UNIT_NAMES[unit].one : UNIT_NAMES[unit].other);
+
+/**
+ * Etiqueta de una periodicidad de cobro
+ * @function formatIntervalLabel
+ * @param {{unit: string, count: number}} interval - Periodicidad
+ * @returns {string} "Mensual", "Trimestral" o "Cada 4 meses"
+ */
+const formatIntervalLabel = ({ unit, count }) => {
+  const named = NAMED_INTERVALS.find(candidate => (
+    (candidate.unit === unit && candidate.count === count) ||
+    (candidate.unit === 'year' && unit === 'month' && count === 12)
+  ));
+  return named ? named.label : `Cada ${count} ${unitName(unit, count)}`;
+};
+
+/**
+ * Etiqueta de una duración estimada
+ * @param {{min: number, max: number, unit: string}} estimate - Duración estimada
+ * @returns {string} "3-6 meses" o "1 mes"
+ */
+const formatEstimateLabel = ({ min, max, unit }) => (
+  min === max ? `${min} ${unitName(unit, min)}` : `${min}-${max} ${unitName(unit, max)}`
+);
+
+/**
+ * Genera la etiqueta de duración que se muestra en la interfaz y en las exportaciones
+ * @function formatDurationLabel
+ * @param {Object} service - billingModel, billingInterval y estimatedDuration
+ * @returns {string} Etiqueta, p. ej. "Mensual", "Por campaña · 2-4 semanas" o "Pago único"
+ */
+const formatDurationLabel = ({ billingModel, billingInterval, estimatedDuration }) => {
+  const parts = [];
+
+  if (billingModel === 'recurring') {
+    parts.push(billingInterval?.unit ? formatIntervalLabel(billingInterval) : 'Recurrente');
+  } else if (billingModel === 'per-campaign') {
+    parts.push('Por campaña');
+  }
+  if (estimatedDuration?.unit) {
+    parts.push(formatEstimateLabel(estimatedDuration));
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : 'Pago único';
+};
+
+/**
+ * Extrae la duración estimada de un texto
+ * @param {string} value - Texto de la duración
+ * @returns {{min: number, max: number, unit: string}|null} Duración, o null si no hay una válida
+ */
+const parseEstimate = (value) => {
+  const match = value.match(DURATION_PATTERN);
+  if (!match) return null;
+
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : min;
+  const unit = Object.keys(UNIT_NAMES).find(key => UNIT_NAMES[key].pattern.test(match[3]));
+  return min >= 1 && max >= min ? { min, max, unit } : null;
+};
+
+/**
+ * Interpreta el texto libre de una duración
+ * @function parseDuration
+ * @param {string} text - Duración escrita a mano
+ * @returns {{billingModel: string, billingInterval: Object|null, estimatedDuration: Object|null}|null}
+ * Campos estructurados, o null si el texto no se reconoce
+ * @example
+ * parseDuration('Mensual');     // { billingModel: 'recurring', billingInterval: { unit: 'month', count: 1 }, estimatedDuration: null }
+ * parseDuration('3-6 meses');   // { billingModel: 'one-off', billingInterval: null, estimatedDuration: { min: 3, max: 6, unit: 'month' } }
+ * parseDuration('Por definir'); // null
+ */
+const parseDuration = (text) => {
+  const value = String(text || '').trim();
+  if (!value) return null;
+
+  const interval = NAMED_INTERVALS.find(({ pattern }) => pattern.test(value));
+  const estimatedDuration = parseEstimate(value);
+
+  let billingModel = null;
+  if (interval) {
+    billingModel = 'recurring';
+  } else if (MODEL_PATTERNS['per-campaign'].test(value)) {
+    billingModel = 'per-campaign';
+  } else if (MODEL_PATTERNS['one-off'].test(value) || estimatedDuration) {
+    billingModel = 'one-off';
+  }
+
+  if (!billingModel) return null;
+
+  return {
+    billingModel,
+    billingInterval: interval ? { unit: interval.unit, count: interval.count } : null,
+    estimatedDuration
+  };
+};
+
+module.exports = {
+  BILLING_MODELS,
+  INTERVAL_UNITS,
+  DURATION_UNITS,
+  formatIntervalLabel,
+  formatDurationLabel,
+  parseDuration
+};
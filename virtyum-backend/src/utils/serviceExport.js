@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Exportación del catálogo de servicios y de sus estadísticas
+ * @description Serializa servicios a CSV, XLSX, JSON o PDF y genera el informe PDF de estadísticas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+const { renderPdf, drawHeader, drawSectionTitle, drawTable, formatMoney } = require('./pdf');
+
+/**
+ * Máximo de servicios por exportación (evita respuestas enormes en Vercel)
+ * @constant {number} EXPORT_MAX_ROWS
+ */
+const EXPORT_MAX_ROWS = 5000;
+
+/**
+ * Formatos soportados con su tipo MIME y extensión
+ * @constant {Object<string, {contentType: string, extension: string}>} EXPORT_FORMATS
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Columnas exportadas (mismos encabezados que reconoce la importación)
+ * @constant {Array<{field: string, header: string, width: number}>} EXPORT_COLUMNS
+ * @description `width` es el ancho en caracteres de la columna en Excel
+ */
+const EXPORT_COLUMNS = [
+  { field: 'name', header: 'Nombre', width: 32 },
+  { field: 'category', header: 'Categoría', width: 14 },
+  { field: 'price', header: 'Precio', width: 12 },
+  { field: 'currency', header: 'Moneda', width: 8 },
+  { field: 'duration', header: 'Duración', width: 14 },
+  { field: 'status', header: 'Estado', width: 12 },
+  { field: 'clients', header: 'Clientes', width: 10 },
+  { field: 'description', header: 'Descripción', width: 60 },
+  { field: 'tiers', header: 'Niveles', width: 40 },
+  { field: 'createdAt', header: 'Creado', width: 20 }
+];
+
+/**
+ * Resume los niveles de un servicio en una celda ("Básico: 299; Pro: 599")
+ * @param {Array<Object>} [tiers] - Niveles del servicio
+ * @returns {string} Nombre y precio de cada nivel, o cadena vacía si no tiene
+ */
+const formatTiers = (tiers) => (tiers || []).map(tier => `${tier.name}: ${tier.price}`).join('; ');
+
+/**
+ * Convierte un servicio en una fila plana con las columnas exportadas
+ * @param {Object} service - Documento de Mongoose u objeto plano
+ * @returns {Object} Campo → valor
+ */
+const toRow = (service) => {
+  const source = typeof service.toObject === 'function' ? service.toObject() : service;
+  return EXPORT_COLUMNS.reduce((row, { field }) => {
+    const value = field === 'tiers' ? formatTiers(source.tiers) : source[field];
+    row[field] = value instanceof Date ? value.toISOString() : (value ?? '');
+    return row;
+  }, {});
+};
+
+/**
+ * Genera un CSV con BOM para que Excel detecte UTF-8
+ * @param {Array<Object>} services - Servicios a exportar
+ * @returns {Buffer} Contenido del archivo
+ */
+const toCsv = (services) => Buffer.from(stringify(services.map(toRow), {
+  bom: true,
+  header: true,
+  columns: EXPORT_COLUMNS.map(({ field, header }) => ({ key: field, header }))
+}));
+
+/**
+ * Genera un libro de Excel con una hoja de servicios
+ * @async
+ * @param {Array<Object>} services - Servicios a exportar
+ * @returns {Promise<Buffer>} Contenido del archivo
+ */
+const toXlsx = async (services) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Virtyum';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Servicios', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map(({ field, header, width }) => ({ key: field, header, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn('price').numFmt = '#,##0.00';
+
+  services.forEach(service => {
+    const row = toRow(service);
+    sheet.addRow({ ...row, createdAt: row.createdAt ? new Date(row.createdAt) : '' });
+  });
+  sheet.autoFilter = { from: 'A1', to: { row: 1, column: EXPORT_COLUMNS.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Genera un JSON con los servicios y los filtros aplicados
+ * @param {Array<Object>} services - Servicios a exportar
+ * @param {Object} filters - Filtros aplicados
+ * @returns {Buffer} Contenido del archivo
+ */
+const toJson = (services, filters) => Buffer.from(JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  filters,
+  total: services.length,
+  services: services.map(toRow)
+}, null, 2));
+
+/**
+ * Describe los filtros aplicados en una línea legible
+ * @param {Object} filters - Filtros aplicados (formato `applied` de buildServiceFilter)
+ * @returns {string} Texto de los filtros, o "Sin filtros"
+ */
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.q) parts.push(`Búsqueda: "${filters.q}"`);
+  if (filters.category) parts.push(`Categoría: ${filters.category.join(', ')}`);
+  if (filters.status) parts.push(`Estado: ${filters.status.join(', ')}`);
+  if (filters.price) {
+    const range = [];
+    if (filters.price.min !== undefined) range.push(`desde ${filters.price.min}`);
+    if (filters.price.max !== undefined) range.push(`hasta ${filters.price.max}`);
+    parts.push(`Precio: ${range.join(' ')}`);
+  }
+  if (filters.createdAt) {
+    const format = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '…');
+    parts.push(`Creado: ${format(filters.createdAt.from)} – ${format(filters.createdAt.to)}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'Sin filtros';
+};
+
+/**
+ * Genera un listado imprimible de servicios
+ * @async
+ * @param {Array<Object>} services - Servicios a exportar
+ * @param {Object} filters - Filtros aplicados
+ * @returns {Promise<Buffer>} Contenido del PDF
+ */
+const toPdf = (services, filters) => renderPdf((doc) => {
+  drawHeader(doc, 'Catálogo de servicios', `${services.length} servicio(s) · ${describeFilters(filters)}`);
+  drawTable(doc, [
+    { header: 'Nombre', width: 0.3 },
+    { header: 'Categoría', width: 0.14 },
+    { header: 'Precio', width: 0.12, align: 'right' },
+    { header: 'Duración', width: 0.16 },
+    { header: 'Estado', width: 0.14 },
+    { header: 'Clientes', width: 0.14, align: 'right' }
+  ], services.map(service => [
+    service.name,
+    service.category,
+    formatMoney(service.price, service.currency),
+    service.duration,
+    service.status,
+    String(service.clients ?? 0)
+  ]));
+}, { layout: 'landscape' });
+
+/**
+ * Serializa servicios en el formato pedido
+ * @async
+ * @function exportServices
+ * @param {Array<Object>} services - Servicios a exportar
+ * @param {string} format - csv | xlsx | json | pdf
+ * @param {Object} [filters={}] - Filtros aplicados (se incluyen en JSON y PDF)
+ * @returns {Promise<Buffer>} Contenido del archivo
+ */
+const exportServices = async (services, format, filters = {}) => {
+  switch (format) {
+    case 'csv':
+      return toCsv(services);
+    case 'xlsx':
+      return toXlsx(services);
+    case 'json':
+      return toJson(services, filters);
+    case 'pdf':
+      return toPdf(services, filters);
+    default:
+      throw new Error(`Formato de exportación no soportado: ${format}`);
+  }
+};
+
+/**
+ * Calcula el porcentaje de un valor sobre el total
+ * @param {number} value - Parte
+ * @param {number} total - Total
+ * @returns {string} Porcentaje con un decimal
+ */
+const percent = (value, total) => `${total > 0 ? ((value / total) * 100).toFixed(1) : '0.0'} %`;
+
+/**
+ * Genera el informe PDF de estadísticas del catálogo
+ * @async
+ * @function renderStatsReport
+ * @param {Object} stats - Resultado de computeServiceStats
+ * @returns {Promise<Buffer>} Contenido del PDF
+ */
+const renderStatsReport = (stats) => renderPdf((doc) => {
+  const { overview, clients, pricing, bundles, breakdown } = stats;
+  const totalServices = overview.totalServices;
+
+  drawHeader(doc, 'Informe de estadísticas', `Importes en ${pricing.currency}`);
+
+  drawSectionTitle(doc, 'Resumen');
+  drawTable(doc, [
+    { header: 'Indicador', width: 0.6 },
+    { header: 'Valor', width: 0.4, align: 'right' }
+  ], [
+    ['Servicios', String(totalServices)],
+    ['Servicios activos', String(overview.activeServices)],
+    ['Clientes totales', String(clients.totalClients)],
+    ['Categorías', String(stats.categories.totalCategories)],
+    ['Servicios con niveles', String(pricing.tieredServices || 0)],
+    ['Precio medio', formatMoney(pricing.averagePrice, pricing.currency)],
+    ['Precio mínimo', formatMoney(pricing.minPrice, pricing.currency)],
+    ['Precio máximo', formatMoney(pricing.maxPrice, pricing.currency)],
+    ['Paquetes', String(bundles?.totalBundles || 0)],
+    ['Paquetes con componentes no disponibles', String(bundles?.flaggedBundles || 0)],
+    ['Precio medio de los paquetes', formatMoney(bundles?.averagePrice || 0, pricing.currency)],
+    ['Ahorro medio de los paquetes', formatMoney(bundles?.averageSavings || 0, pricing.currency)]
+  ]);
+
+  drawSectionTitle(doc, 'Por categoría');
+  drawTable(doc, [
+    { header: 'Categoría', width: 0.24 },
+    { header: 'Servicios', width: 0.14, align: 'right' },
+    { header: '% del catálogo', width: 0.16, align: 'right' },
+    { header: 'Clientes', width: 0.14, align: 'right' },
+    { header: 'Precio medio', width: 0.16, align: 'right' },
+    { header: 'Ingreso estimado', width: 0.16, align: 'right' }
+  ], breakdown.byCategory.map(row => [
+    row.category,
+    String(row.services),
+    percent(row.services, totalServices),
+    String(row.clients),
+    formatMoney(row.averagePrice, pricing.currency),
+    formatMoney(row.revenue, pricing.currency)
+  ]));
+
+  drawSectionTitle(doc, 'Por estado');
+  drawTable(doc, [
+    { header: 'Estado', width: 0.4 },
+    { header: 'Servicios', width: 0.2, align: 'right' },
+    { header: '% del catálogo', width: 0.2, align: 'right' },
+    { header: 'Clientes', width: 0.2, align: 'right' }
+  ], breakdown.byStatus.map(row => [
+    row.status,
+    String(row.services),
+    percent(row.services, totalServices),
+    String(row.clients)
+  ]));
+
+  if (breakdown.byTier?.length > 0) {
+    drawSectionTitle(doc, 'Por nivel');
+    drawTable(doc, [
+      { header: 'Nivel', width: 0.28 },
+      { header: 'Servicios', width: 0.18, align: 'right' },
+      { header: 'Precio medio', width: 0.18, align: 'right' },
+      { header: 'Precio mínimo', width: 0.18, align: 'right' },
+      { header: 'Precio máximo', width: 0.18, align: 'right' }
+    ], breakdown.byTier.map(row => [
+      row.tier,
+      String(row.services),
+      formatMoney(row.averagePrice, pricing.currency),
+      formatMoney(row.minPrice, pricing.currency),
+      formatMoney(row.maxPrice, pricing.currency)
+    ]));
+  }
+});
+
+/**
+ * Nombre de archivo con la fecha del día (p. ej. servicios-2025-01-31.csv)
+ * @function buildExportFilename
+ * @param {string} prefix - Prefijo del archivo
+ * @param {string} format - Formato (clave de EXPORT_FORMATS)
+ * @returns {string} Nombre del archivo
+ */
+const buildExportFilename = (prefix, format) => (
+  `${prefix}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`
+);
+
+module.exports = {
+  EXPORT_MAX_ROWS,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  exportServices,
+  renderStatsReport,
+  buildExportFilename
+};
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Lectura y validación de hojas de cálculo para importar servicios
+ * @description Convierte archivos CSV y XLSX en filas, sugiere el mapeo de columnas
+ * y valida cada fila con las mismas reglas del esquema de Service
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Service = require('../models/Service');
+
+/**
+ * Límites de la importación
+ * @constant {Object} IMPORT_LIMITS
+ * @property {number} maxRows - Filas de datos por archivo
+ * @property {number} maxFileSize - Tamaño máximo en bytes (por debajo del límite de 4.5 MB de Vercel)
+ */
+const IMPORT_LIMITS = {
+  maxRows: 1000,
+  maxFileSize: 4 * 1024 * 1024
+};
+
+/**
+ * Extensiones aceptadas
+ * @constant {Array<string>} IMPORT_EXTENSIONS
+ */
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Campos importables y encabezados que se reconocen automáticamente
+ * @constant {Object<string, {required: boolean, aliases: Array<string>}>} IMPORT_FIELDS
+ */
+const IMPORT_FIELDS = {
+  name: { required: true, aliases: ['nombre', 'name', 'servicio', 'service'] },
+  category: { required: true, aliases: ['categoria', 'category'] },
+  price: { required: true, aliases: ['precio', 'price', 'importe', 'usd'] },
+  currency: { required: false, aliases: ['moneda', 'currency', 'divisa'] },
+  duration: { required: true, aliases: ['duracion', 'duration', 'plazo'] },
+  status: { required: false, aliases: ['estado', 'status'] },
+  description: { required: true, aliases: ['descripcion', 'description', 'detalle'] }
+};
+
+/**
+ * Error de lectura del archivo (formato no soportado, vacío o demasiado grande)
+ */
+class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFileError';
+  }
+}
+
+/**
+ * Normaliza un encabezado para compararlo (minúsculas, sin tildes ni espacios extra)
+ * @param {string} header - Encabezado original
+ * @returns {string} Encabezado normalizado
+ */
+const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Detecta el separador del CSV a partir de la fila de encabezados.
+ * Las hojas en español suelen exportarse con ";" porque la coma es el separador decimal.
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {string} "," o ";"
+ */
+const detectDelimiter = (buffer) => {
+  const header = buffer.toString('utf8').split(/\r?\n/, 1)[0] || '';
+  const count = (char) => header.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Lee un CSV (separado por comas o punto y coma)
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Encabezados y filas
+ */
+const parseCsv = (buffer) => {
+  const delimiter = detectDelimiter(buffer);
+  const records = parse(buffer, {
+    bom: true,
+    columns: true,
+    delimiter,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+  });
+
+  const columns = records.length > 0
+    ? Object.keys(records[0])
+    : parse(buffer, { bom: true, delimiter, to_line: 1 })[0] || [];
+
+  return { columns, rows: records };
+};
+
+/**
+ * Lee la primera hoja de un XLSX; la primera fila son los encabezados
+ * @async
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Promise<{columns: Array<string>, rows: Array<Object>}>} Encabezados y filas
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+
+  if (!sheet) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = [];
+  sheet.getRow(1).eachCell({ includeEmpty: false }, (cell, colNumber) => {
+    columns[colNumber - 1] = cell.text.trim();
+  });
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    columns.forEach((column, index) => {
+      if (!column) return;
+      const cell = row.getCell(index + 1);
+      // Los números se conservan; el resto se lee como texto visible (fórmulas, fechas, texto enriquecido)
+      const value = typeof cell.value === 'number' ? cell.value : cell.text.trim();
+      record[column] = value;
+    });
+
+    if (Object.values(record).some(value => value !== '' && value !== null)) {
+      rows.push(record);
+    }
+  });
+
+  return { columns: columns.filter(Boolean), rows };
+};
+
+/**
+ * Convierte el archivo subido en encabezados y filas
+ * @async
+ * @function parseSpreadsheet
+ * @param {Object} file - Archivo de multer (`buffer`, `originalname`)
+ * @returns {Promise<{columns: Array<string>, rows: Array<Object>}>} Encabezados y filas de datos
+ * @throws {ImportFileError} Si el formato no es válido, no hay filas o se supera el máximo
+ */
+const parseSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  let parsed;
+
+  try {
+    parsed = extension === '.xlsx' ? await parseXlsx(file.buffer) : parseCsv(file.buffer);
+  } catch (error) {
+    throw new ImportFileError(`No se pudo leer el archivo: ${error.message}`);
+  }
+
+  if (parsed.columns.length === 0 || parsed.rows.length === 0) {
+    throw new ImportFileError('El archivo no contiene filas de datos');
+  }
+
+  if (parsed.rows.length > IMPORT_LIMITS.maxRows) {
+    throw new ImportFileError(`El archivo tiene ${parsed.rows.length} filas; el máximo es ${IMPORT_LIMITS.maxRows}`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Sugiere qué columna corresponde a cada campo según sus encabezados
+ * @function suggestMapping
+ * @param {Array<string>} columns - Encabezados del archivo
+ * @returns {Object<string, string|null>} Campo de Service → encabezado (null si no se reconoce)
+ * @example
+ * suggestMapping(['Nombre', 'Categoría', 'Precio (USD)']);
+ * // { name: 'Nombre', category: 'Categoría', price: 'Precio (USD)', duration: null, ... }
+ */
+const suggestMapping = (columns) => {
+  const normalized = columns.map(column => ({ column, key: normalizeHeader(column) }));
+
+  return Object.entries(IMPORT_FIELDS).reduce((mapping, [field, { aliases }]) => {
+    const exact = normalized.find(({ key }) => aliases.includes(key));
+    const partial = normalized.find(({ key }) => aliases.some(alias => key.startsWith(alias)));
+    mapping[field] = (exact || partial)?.column || null;
+    return mapping;
+  }, {});
+};
+
+/**
+ * Valida el mapeo enviado por el cliente
+ * @function validateMapping
+ * @param {Object} mapping - Campo → encabezado
+ * @param {Array<string>} columns - Encabezados del archivo
+ * @returns {Array<string>} Errores (vacío si es válido)
+ */
+const validateMapping = (mapping, columns) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping debe ser un objeto { campo: columna }'];
+  }
+
+  const errors = [];
+  Object.entries(IMPORT_FIELDS).forEach(([field, { required }]) => {
+    const column = mapping[field];
+    if (!column) {
+      if (required) errors.push(`Falta asignar una columna al campo obligatorio "${field}"`);
+      return;
+    }
+    if (!columns.includes(column)) {
+      errors.push(`La columna "${column}" asignada a "${field}" no existe en el archivo`);
+    }
+  });
+
+  Object.keys(mapping).forEach(field => {
+    if (!IMPORT_FIELDS[field]) {
+      errors.push(`Campo desconocido en mapping: ${field}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Convierte un valor numérico de la hoja (admite "1.299,50", "$1,299.50" o "1299")
+ * @param {*} value - Valor de la celda
+ * @returns {number|*} Número, o el valor original si no se puede interpretar (lo rechazará el esquema)
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+
+  let text = String(value).replace(/[^\d.,-]/g, '');
+  if (text === '') return value;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // La coma es el separador decimal
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : value;
+};
+
+/**
+ * Construye los datos de un servicio a partir de una fila y el mapeo
+ * @function mapRow
+ * @param {Object} row - Fila leída del archivo
+ * @param {Object} mapping - Campo → encabezado
+ * @returns {Object} Datos listos para new Service()
+ */
+const mapRow = (row, mapping) => {
+  const data = {};
+
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    const column = mapping[field];
+    if (!column) return;
+
+    const raw = row[column];
+    if (raw === undefined || raw === null || raw === '') return;
+
+    data[field] = field === 'price' ? toNumber(raw) : String(raw).trim();
+  });
+
+  return data;
+};
+
+/**
+ * Valida todas las filas con las reglas del esquema de Service
+ * @function validateRows
+ * @param {Array<Object>} rows - Filas leídas del archivo
+ * @param {Object} mapping - Campo → encabezado
+ * @param {Object} [options={}] - Opciones
+ * @param {boolean} [options.canDeactivate=false] - Si el usuario puede crear servicios Inactivo
+ * @param {Array<string>} [options.categories=[]] - Nombres de las categorías activas (validateSync
+ * no ejecuta la validación asíncrona de la categoría)
+ * @returns {Array<{row: number, valid: boolean, data: Object, errors: Array<string>, service?: Service}>}
+ * Resultado por fila; `row` es el número de fila en la hoja (la 1 son los encabezados)
+ */
+const validateRows = (rows, mapping, { canDeactivate = false, categories = [] } = {}) => rows.map((row, index) => {
+  const data = mapRow(row, mapping);
+  const service = new Service(data).syncDuration();
+  const validationError = service.validateSync();
+  const errors = validationError
+    ? Object.values(validationError.errors).map(err => (
+      err.name === 'CastError' ? `Valor inválido para ${err.path}: "${err.value}"` : err.message
+    ))
+    : [];
+
+  if (service.category && !categories.includes(service.category)) {
+    errors.push(`La categoría "${service.category}" no existe o está desactivada`);
+  }
+
+  if (service.status === 'Inactivo' && !canDeactivate) {
+    errors.push('Solo un administrador puede crear servicios con estado Inactivo');
+  }
+
+  return {
+    row: index + 2,
+    valid: errors.length === 0,
+    data,
+    errors,
+    service
+  };
+});
+
+module.exports = {
+  IMPORT_LIMITS,
+  IMPORT_EXTENSIONS,
+  IMPORT_FIELDS,
+  ImportFileError,
+  parseSpreadsheet,
+  suggestMapping,
+  validateMapping,
+  validateRows
+};
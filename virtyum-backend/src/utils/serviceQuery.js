@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Utilidades para construir consultas de listado de servicios
+ * @description Traduce los query params de GET /api/services a filtros, orden y paginación de Mongoose
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Valores por defecto y límites de paginación
+ * @constant {Object} PAGINATION_DEFAULTS
+ */
+const PAGINATION_DEFAULTS = {
+  page: 1,
+  limit: 20,
+  maxLimit: 100
+};
+
+/**
+ * Campos por los que se permite ordenar el listado
+ * @constant {Array<string>} SORTABLE_FIELDS
+ */
+const SORTABLE_FIELDS = ['name', 'category', 'price', 'status', 'clients', 'createdAt', 'updatedAt'];
+
+/**
+ * Estados válidos de un servicio (mismo enum que el modelo Service)
+ * @constant {Array<string>} VALID_STATUSES
+ */
+const VALID_STATUSES = ['Activo', 'Nuevo', 'Pausado', 'Inactivo'];
+
+/**
+ * Convierte un valor de query en entero positivo
+ * @param {*} value - Valor recibido en la query
+ * @returns {number|null} Entero mayor que cero o null si no es válido
+ */
+const toPositiveInt = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * Convierte un valor de query en número no negativo
+ * @param {*} value - Valor recibido en la query
+ * @returns {number|null} Número mayor o igual a cero o null si no es válido
+ */
+const toNonNegativeNumber = (value) => {
+  if (value === '' || value === null) return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+/**
+ * Convierte un valor de query en fecha
+ * @param {*} value - Fecha en formato ISO (YYYY-MM-DD o fecha-hora completa)
+ * @returns {Date|null} Fecha válida o null
+ */
+const toDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Separa un parámetro que admite varios valores separados por comas
+ * @param {string|Array<string>} value - Valor de la query (?status=Activo,Nuevo)
+ * @returns {Array<string>} Lista de valores sin espacios ni vacíos
+ */
+const toList = (value) => {
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+  return raw.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Construye el filtro de Mongoose a partir de los parámetros de búsqueda
+ * @function buildServiceFilter
+ * @param {Object} query - Query params de la request
+ * @param {string} [query.category] - Una o varias categorías separadas por comas
+ * @param {string} [query.status] - Uno o varios estados separados por comas
+ * @param {number} [query.minPrice] - Precio mínimo (inclusive)
+ * @param {number} [query.maxPrice] - Precio máximo (inclusive)
+ * @param {string} [query.createdFrom] - Fecha de creación desde (inclusive)
+ * @param {string} [query.createdTo] - Fecha de creación hasta (inclusive, día completo si es YYYY-MM-DD)
+ * @returns {{filter: Object, applied: Object, errors: Array<string>}} Filtro, filtros aplicados y errores
+ */
+const buildServiceFilter = (query = {}) => {
+  const filter = {};
+  const applied = {};
+  const errors = [];
+
+  if (query.category && query.category !== 'all') {
+    const categories = toList(query.category);
+    filter.category = categories.length === 1 ? categories[0] : { $in: categories };
+    applied.category = categories;
+  }
+
+  if (query.status && query.status !== 'all') {
+    const statuses = toList(query.status);
+    const invalid = statuses.filter(status => !VALID_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      errors.push(`Estado inválido: ${invalid.join(', ')}. Estados válidos: ${VALID_STATUSES.join(', ')}`);
+    } else {
+      filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+      applied.status = statuses;
+    }
+  }
+
+  // Rango de precios
+  const priceRange = {};
+  if (query.minPrice !== undefined && query.minPrice !== '') {
+    const minPrice = toNonNegativeNumber(query.minPrice);
+    if (minPrice === null) {
+      errors.push('minPrice debe ser un número mayor o igual a 0');
+    } else {
+      priceRange.$gte = minPrice;
+    }
+  }
+  if (query.maxPrice !== undefined && query.maxPrice !== '') {
+    const maxPrice = toNonNegativeNumber(query.maxPrice);
+    if (maxPrice === null) {
+      errors.push('maxPrice debe ser un número mayor o igual a 0');
+    } else {
+      priceRange.$lte = maxPrice;
+    }
+  }
+  if (priceRange.$gte !== undefined && priceRange.$lte !== undefined && priceRange.$gte > priceRange.$lte) {
+    errors.push('minPrice no puede ser mayor que maxPrice');
+  } else if (Object.keys(priceRange).length > 0) {
+    filter.price = priceRange;
+    applied.price = { min: priceRange.$gte, max: priceRange.$lte };
+  }
+
+  // Rango de fechas de creación
+  const createdRange = {};
+  if (query.createdFrom) {
+    const createdFrom = toDate(query.createdFrom);
+    if (!createdFrom) {
+      errors.push('createdFrom debe ser una fecha válida (YYYY-MM-DD)');
+    } else {
+      createdRange.$gte = createdFrom;
+    }
+  }
+  if (query.createdTo) {
+    const createdTo = toDate(query.createdTo);
+    if (!createdTo) {
+      errors.push('createdTo debe ser una fecha válida (YYYY-MM-DD)');
+    } else {
+      // Si solo se indica el día, incluir el día completo
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.createdTo)) {
+        createdTo.setUTCHours(23, 59, 59, 999);
+      }
+      createdRange.$lte = createdTo;
+    }
+  }
+  if (createdRange.$gte && createdRange.$lte && createdRange.$gte > createdRange.$lte) {
+    errors.push('createdFrom no puede ser posterior a createdTo');
+  } else if (Object.keys(createdRange).length > 0) {
+    filter.createdAt = createdRange;
+    applied.createdAt = { from: createdRange.$gte, to: createdRange.$lte };
+  }
+
+  return { filter, applied, errors };
+};
+
+/**
+ * Interpreta los parámetros de orden
+ * @function buildServiceSort
+ * @param {Object} query - Query params de la request
+ * @param {string} [query.sortBy=createdAt] - Campo de orden (ver SORTABLE_FIELDS)
+ * @param {string} [query.order=desc] - Dirección del orden (asc | desc)
+ * @returns {{sort: Object, field: string, order: string, errors: Array<string>}} Objeto sort de Mongoose y metadatos
+ */
+const buildServiceSort = (query = {}) => {
+  const errors = [];
+  const field = query.sortBy || 'createdAt';
+  const order = (query.order || 'desc').toLowerCase();
+
+  if (!SORTABLE_FIELDS.includes(field)) {
+    errors.push(`sortBy inválido. Campos permitidos: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('order debe ser "asc" o "desc"');
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  // Desempate por _id para que la paginación sea estable
+  const sort = { [field]: direction, _id: direction };
+
+  return { sort, field, order, errors };
+};
+
+/**
+ * Interpreta los parámetros de paginación
+ * @function buildPagination
+ * @param {Object} query - Query params de la request
+ * @param {number} [query.page=1] - Página solicitada (base 1)
+ * @param {number} [query.limit=20] - Elementos por página (máximo 100)
+ * @returns {{page: number, limit: number, skip: number, errors: Array<string>}} Datos de paginación
+ */
+const buildPagination = (query = {}) => {
+  const errors = [];
+  let page = PAGINATION_DEFAULTS.page;
+  let limit = PAGINATION_DEFAULTS.limit;
+
+  if (query.page !== undefined) {
+    page = toPositiveInt(query.page);
+    if (page === null) {
+      errors.push('page debe ser un entero mayor que 0');
+      page = PAGINATION_DEFAULTS.page;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    limit = toPositiveInt(query.limit);
+    if (limit === null) {
+      errors.push('limit debe ser un entero mayor que 0');
+      limit = PAGINATION_DEFAULTS.limit;
+    }
+  }
+
+  limit = Math.min(limit, PAGINATION_DEFAULTS.maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit, errors };
+};
+
+/**
+ * Construye los metadatos de paginación para la respuesta
+ * @function buildPaginationMeta
+ * @param {number} total - Total de documentos que cumplen el filtro
+ * @param {number} page - Página actual
+ * @param {number} limit - Elementos por página
+ * @returns {Object} Metadatos de paginación
+ */
+const buildPaginationMeta = (total, page, limit) => {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1
+  };
+};
+
+/**
+ * Interpreta toda la query de listado de servicios
+ * @function parseServiceListQuery
+ * @param {Object} query - Query params de la request
+ * @returns {Object} Filtro, orden, paginación, filtros aplicados y lista de errores
+ * @example
+ * const { filter, sort, skip, limit, errors } = parseServiceListQuery(req.query);
+ */
+const parseServiceListQuery = (query = {}) => {
+  const { filter, applied, errors: filterErrors } = buildServiceFilter(query);
+  const { sort, field, order, errors: sortErrors } = buildServiceSort(query);
+  const { page, limit, skip, errors: paginationErrors } = buildPagination(query);
+
+  return {
+    filter,
+    applied,
+    sort,
+    sortField: field,
+    sortOrder: order,
+    page,
+    limit,
+    skip,
+    errors: [...filterErrors, ...sortErrors, ...paginationErrors]
+  };
+};
+
+module.exports = {
+  PAGINATION_DEFAULTS,
+  SORTABLE_FIELDS,
+  toDate,
+  toList,
+  buildServiceFilter,
+  buildServiceSort,
+  buildPagination,
+  buildPaginationMeta,
+  parseServiceListQuery
+};
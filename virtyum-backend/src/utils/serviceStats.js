@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Cálculo de estadísticas del catálogo de servicios
+ * @description Compartido por GET /api/services/stats y el informe PDF de estadísticas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+const ExchangeRate = require('../models/ExchangeRate');
+const { countActiveClients } = require('./subscriptions');
+const { computeBundleStats, countBundles } = require('./bundles');
+const { roundMoney, assertRates, buildConversionExpression } = require('./currency');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Calcula las estadísticas generales y los desgloses por categoría y estado
+ * @async
+ * @function computeServiceStats
+ * @param {Object} [options={}] - Opciones
+ * @param {string} [options.currency=BASE_CURRENCY] - Moneda en la que se expresan precios e ingresos
+ * @returns {Promise<Object>} Estadísticas con `overview`, `clients`, `categories`, `pricing`
+ * (con su `currency`), `bundles`, `breakdown` y `lastUpdated`
+ * @description Los precios medio, mínimo y máximo se calculan sobre cada precio ofrecido: cada
+ * nivel de un servicio cuenta como un precio (`pricing.pricePoints`). `breakdown.byTier` agrupa los
+ * niveles por nombre (sin distinguir mayúsculas). Los desgloses por categoría usan el precio
+ * "desde" de cada servicio, porque los clientes no se cuentan por nivel. `bundles` resume los paquetes:
+ * cuántos hay, cuántos tienen algún componente pausado, inactivo o eliminado, y su precio y ahorro
+ * medios. `categories.availableCategories` son las categorías con algún servicio, en el orden
+ * configurado en la colección Category.
+ * @throws {MissingExchangeRateError} Si algún servicio tiene una moneda sin tipo de cambio
+ * @example
+ * const stats = await computeServiceStats({ currency: 'EUR' });
+ * console.log(stats.breakdown.byCategory[0]); // { category: 'Digital', services: 3, clients: 120, ... }
+ */
+const computeServiceStats = async ({ currency = BASE_CURRENCY } = {}) => {
+  // Los precios de cada servicio se convierten a la moneda del informe antes de agregarlos
+  const [rates, usedCurrencies] = await Promise.all([
+    ExchangeRate.getRateMap(),
+    Service.distinct('currency')
+  ]);
+  assertRates(rates, [...usedCurrencies, currency]);
+  const price = buildConversionExpression('$price', '$currency', currency, rates);
+  // Tras $unwind de tiers: el precio del nivel o, en los servicios sin niveles, el del servicio
+  const offeredPrice = buildConversionExpression(
+    { $ifNull: ['$tiers.price', '$price'] }, '$currency', currency, rates
+  );
+  const tierPrice = buildConversionExpression('$tiers.price', '$currency', currency, rates);
+
+  // Ejecutar múltiples consultas en paralelo para mejor rendimiento
+  const [
+    totalServices,
+    activeServices,
+    newServices,
+    pausedServices,
+    inactiveServices,
+    totalClients,
+    categories,
+    averagePriceResult,
+    byCategory,
+    byStatus,
+    tieredServices,
+    byTier,
+    bundles,
+    categoryOrder
+  ] = await Promise.all([
+    Service.countDocuments(),
+    Service.countDocuments({ status: 'Activo' }),
+    Service.countDocuments({ status: 'Nuevo' }),
+    Service.countDocuments({ status: 'Pausado' }),
+    Service.countDocuments({ status: 'Inactivo' }),
+    countActiveClients(),
+    Service.distinct('category'),
+    Service.aggregate([
+      { $unwind: { path: '$tiers', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: null,
+          pricePoints: { $sum: 1 },
+          averagePrice: { $avg: offeredPrice },
+          minPrice: { $min: offeredPrice },
+          maxPrice: { $max: offeredPrice }
+        }
+      }
+    ]),
+    Service.aggregate([
+      {
+        $group: {
+          _id: '$category',
+          services: { $sum: 1 },
+          clients: { $sum: '$clients' },
+          averagePrice: { $avg: price },
+          // Ingreso estimado: precio por número de clientes
+          revenue: { $sum: { $multiply: [price, '$clients'] } }
+        }
+      },
+      { $sort: { services: -1, _id: 1 } }
+    ]),
+    Service.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          services: { $sum: 1 },
+          clients: { $sum: '$clients' }
+        }
+      },
+      { $sort: { services: -1, _id: 1 } }
+    ]),
+    Service.countDocuments({ 'tiers.0': { $exists: true } }),
+    Service.aggregate([
+      { $unwind: '$tiers' },
+      {
+        $group: {
+          _id: { $toLower: '$tiers.name' },
+          tier: { $first: '$tiers.name' },
+          services: { $sum: 1 },
+          averagePrice: { $avg: tierPrice },
+          minPrice: { $min: tierPrice },
+          maxPrice: { $max: tierPrice }
+        }
+      },
+      { $sort: { services: -1, _id: 1 } }
+    ]),
+    computeBundleStats({ currency }),
+    Category.find({}, 'name').sort({ order: 1, name: 1 }).lean()
+  ]);
+
+  const position = new Map(categoryOrder.map(({ name }, index) => [name, index]));
+  const sortedCategories = [...categories].sort((a, b) => (
+    (position.get(a) ?? Infinity) - (position.get(b) ?? Infinity) || String(a).localeCompare(String(b))
+  ));
+
+  return {
+    overview: {
+      totalServices,
+      activeServices,
+      newServices,
+      pausedServices,
+      inactiveServices
+    },
+    clients: {
+      // Clientes distintos con alguna suscripción vigente (no la suma de los contadores por servicio)
+      totalClients
+    },
+    categories: {
+      totalCategories: categories.length,
+      availableCategories: sortedCategories
+    },
+    pricing: {
+      currency,
+      pricePoints: averagePriceResult[0]?.pricePoints || 0,
+      tieredServices,
+      averagePrice: Math.round(averagePriceResult[0]?.averagePrice || 0),
+      minPrice: roundMoney(averagePriceResult[0]?.minPrice || 0),
+      maxPrice: roundMoney(averagePriceResult[0]?.maxPrice || 0)
+    },
+    bundles,
+    breakdown: {
+      byCategory: byCategory.map(({ _id, averagePrice, ...rest }) => ({
+        category: _id,
+        ...rest,
+        averagePrice: Math.round(averagePrice || 0),
+        revenue: roundMoney(rest.revenue || 0)
+      })),
+      byStatus: byStatus.map(({ _id, ...rest }) => ({ status: _id, ...rest })),
+      byTier: byTier.map(({ tier, services, averagePrice, minPrice, maxPrice }) => ({
+        tier,
+        services,
+        averagePrice: Math.round(averagePrice || 0),
+        minPrice: roundMoney(minPrice || 0),
+        maxPrice: roundMoney(maxPrice || 0)
+      }))
+    },
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+/**
+ * Cuenta servicios, clientes, categorías y paquetes sin calcular precios
+ * @async
+ * @function computeServiceCounts
+ * @returns {Promise<Object>} `overview`, `clients`, `categories.totalCategories` y `bundles`
+ * (`totalBundles`, `availableBundles`), con la misma forma que en computeServiceStats
+ * @description No necesita tipos de cambio: las instantáneas diarias la usan cuando falta alguno.
+ */
+const computeServiceCounts = async () => {
+  const [
+    totalServices,
+    activeServices,
+    newServices,
+    pausedServices,
+    inactiveServices,
+    totalClients,
+    categories,
+    bundles
+  ] = await Promise.all([
+    Service.countDocuments(),
+    Service.countDocuments({ status: 'Activo' }),
+    Service.countDocuments({ status: 'Nuevo' }),
+    Service.countDocuments({ status: 'Pausado' }),
+    Service.countDocuments({ status: 'Inactivo' }),
+    countActiveClients(),
+    Service.distinct('category'),
+    countBundles()
+  ]);
+
+  return {
+    overview: {
+      totalServices,
+      activeServices,
+      newServices,
+      pausedServices,
+      inactiveServices
+    },
+    clients: { totalClients },
+    categories: { totalCategories: categories.length },
+    bundles
+  };
+};
+
+module.exports = {
+  computeServiceStats,
+  computeServiceCounts
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Serie temporal de las estadísticas
+ * @description Lectura y validación de los parámetros de GET /api/services/stats/history y
+ * agrupación de las instantáneas diarias por día, semana o mes
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const StatsSnapshot = require('../models/StatsSnapshot');
+const { toDate } = require('./serviceQuery');
+const { STATS_GRANULARITIES, DEFAULT_HISTORY_DAYS, MAX_HISTORY_DAYS } = require('../config/stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lee el rango y la granularidad de la serie
+ * @function parseStatsHistoryQuery
+ * @param {Object} query - Query params de la request
+ * @param {string} [query.from] - Desde (inclusive; por defecto, 90 días antes de `to`)
+ * @param {string} [query.to] - Hasta (inclusive, día completo si es YYYY-MM-DD; por defecto, ahora)
+ * @param {string} [query.granularity='day'] - day, week o month
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {{from: Date, to: Date, granularity: string, errors: Array<string>}} Parámetros y errores
+ * @example
+ * const { from, to, granularity, errors } = parseStatsHistoryQuery({ granularity: 'week' });
+ */
+const parseStatsHistoryQuery = (query, now = new Date()) => {
+  const errors = [];
+
+  const granularity = query.granularity || 'day';
+  if (!STATS_GRANULARITIES.includes(granularity)) {
+    errors.push(`granularity debe ser una de: ${STATS_GRANULARITIES.join(', ')}`);
+  }
+
+  let to = now;
+  if (query.to) {
+    to = toDate(query.to);
+    if (!to) {
+      errors.push('to debe ser una fecha válida (YYYY-MM-DD)');
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+  }
+
+  let from = to ? new Date(to.getTime() - DEFAULT_HISTORY_DAYS * DAY_MS) : null;
+  if (query.from) {
+    from = toDate(query.from);
+    if (!from) {
+      errors.push('from debe ser una fecha válida (YYYY-MM-DD)');
+    }
+  }
+
+  if (from && to && errors.length === 0) {
+    if (from > to) {
+      errors.push('from no puede ser posterior a to');
+    } else if (to - from > MAX_HISTORY_DAYS[granularity] * DAY_MS) {
+      errors.push(`Con granularity=${granularity} el rango no puede superar ${MAX_HISTORY_DAYS[granularity]} días`);
+    }
+  }
+
+  return { from, to, granularity, errors };
+};
+
+/**
+ * Agrupa las instantáneas del rango por periodo
+ * @async
+ * @function loadStatsHistory
+ * @param {Object} params - Parámetros validados con parseStatsHistoryQuery
+ * @param {Date} params.from - Desde
+ * @param {Date} params.to - Hasta
+ * @param {string} params.granularity - day, week (empieza en lunes) o month
+ * @returns {Promise<Array<Object>>} Un punto por periodo con datos, en orden: `date` (inicio del
+ * periodo, UTC), `snapshotDate` y las cifras de la última instantánea del periodo
+ * @description Las cifras son valores en un momento dado (no se suman): cada periodo toma las de
+ * su último día con instantánea. Los periodos sin instantáneas no aparecen.
+ */
+const loadStatsHistory = ({ from, to, granularity }) => StatsSnapshot.aggregate([
+  { $match: { date: { $gte: from, $lte: to } } },
+  { $sort: { date: 1 } },
+  {
+    $group: {
+      _id: {
+        $dateTrunc: {
+          date: '$date',
+          unit: granularity,
+          timezone: 'UTC',
+          ...(granularity === 'week' ? { startOfWeek: 'monday' } : {})
+        }
+      },
+      snapshotDate: { $last: '$date' },
+      services: { $last: '$services' },
+      clients: { $last: '$clients' },
+      categories: { $last: '$categories' },
+      pricing: { $last: '$pricing' },
+      bundles: { $last: '$bundles' }
+    }
+  },
+  { $sort: { _id: 1 } },
+  {
+    $project: {
+      _id: 0,
+      date: '$_id',
+      snapshotDate: 1,
+      services: 1,
+      clients: 1,
+      categories: 1,
+      pricing: 1,
+      bundles: 1
+    }
+  }
+]);
+
+module.exports = {
+  parseStatsHistoryQuery,
+  loadStatsHistory
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Cálculo del número de clientes de cada servicio
+ * @description `Service.clients` es un valor derivado: clientes distintos con una suscripción
+ * vigente. Se recalcula al cambiar suscripciones y periódicamente, porque una suscripción
+ * empieza o vence por el paso del tiempo sin que nadie la modifique.
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Subscription = require('../models/Subscription');
+
+/**
+ * Recalcula `clients` de los servicios indicados (o de todos)
+ * @async
+ * @function recountServiceClients
+ * @param {Array<ObjectId|string>} [serviceIds] - Servicios a recalcular; sin valor, todo el catálogo
+ * @param {Object} [options={}] - Opciones
+ * @param {Date} [options.now=new Date()] - Fecha de referencia para decidir qué suscripciones están vigentes
+ * @returns {Promise<number>} Servicios cuyo contador cambió
+ * @example
+ * await recountServiceClients([subscription.service]);
+ */
+const recountServiceClients = async (serviceIds, { now = new Date() } = {}) => {
+  const match = Subscription.activeFilter(now);
+  const targets = serviceIds
+    ? [...new Set(serviceIds.map(String))]
+    : (await Service.find({}, '_id', { withDeleted: true }).lean()).map(({ _id }) => String(_id));
+
+  if (targets.length === 0) {
+    return 0;
+  }
+
+  if (serviceIds) {
+    // aggregate no convierte tipos: los IDs deben ser ObjectId
+    match.service = { $in: targets.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const counts = await Subscription.aggregate([
+    { $match: match },
+    { $group: { _id: '$service', clients: { $addToSet: '$client' } } },
+    { $project: { clients: { $size: '$clients' } } }
+  ]);
+  const byService = new Map(counts.map(({ _id, clients }) => [String(_id), clients]));
+
+  // bulkWrite no pasa por los hooks de consulta: también actualiza servicios en la papelera
+  const result = await Service.bulkWrite(targets.map(id => ({
+    updateOne: {
+      filter: { _id: id, clients: { $ne: byService.get(id) || 0 } },
+      update: { $set: { clients: byService.get(id) || 0 } },
+      timestamps: false
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
+/**
+ * Cuenta los clientes distintos con alguna suscripción vigente a un servicio del catálogo
+ * @async
+ * @function countActiveClients
+ * @param {Date} [now=new Date()] - Fecha de referencia
+ * @returns {Promise<number>} Clientes activos (un cliente con varios servicios cuenta una vez)
+ */
+const countActiveClients = async (now = new Date()) => {
+  // Service.distinct excluye los servicios de la papelera
+  const serviceIds = await Service.distinct('_id');
+  const clients = await Subscription.distinct('client', {
+    ...Subscription.activeFilter(now),
+    service: { $in: serviceIds }
+  });
+  return clients.length;
+};
+
+module.exports = {
+  recountServiceClients,
+  countActiveClients
+};
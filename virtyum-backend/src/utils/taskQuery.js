@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Utilidades para construir consultas de listado de tareas
+ * @description Traduce los query params de GET /api/tasks a filtro, orden y paginación de Mongoose
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { toDate, toList, buildPagination } = require('./serviceQuery');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../config/tasks');
+
+/**
+ * Campos por los que se permite ordenar el listado
+ * @constant {Array<string>} TASK_SORTABLE_FIELDS
+ */
+const TASK_SORTABLE_FIELDS = ['dueDate', 'createdAt', 'updatedAt', 'title'];
+
+/**
+ * Filtro de referencia que admite uno o varios IDs separados por comas
+ * @param {string} value - Valor de la query
+ * @param {string} name - Nombre del parámetro para el mensaje de error
+ * @param {Array<string>} errors - Lista de errores a completar
+ * @returns {Object|string|null} Condición de Mongoose o null si no es válida
+ */
+const buildIdCondition = (value, name, errors) => {
+  const ids = toList(value);
+  if (ids.length === 0 || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    errors.push(`${name} debe ser uno o varios IDs válidos separados por comas`);
+    return null;
+  }
+  return ids.length === 1 ? ids[0] : { $in: ids };
+};
+
+/**
+ * Filtro de valores de un enum que admite varios separados por comas
+ * @param {string} value - Valor de la query
+ * @param {string} name - Nombre del parámetro
+ * @param {Array<string>} allowed - Valores admitidos
+ * @param {Array<string>} errors - Lista de errores a completar
+ * @returns {Object|string|null} Condición de Mongoose o null si no es válida
+ */
+const buildEnumCondition = (value, name, allowed, errors) => {
+  const values = toList(value);
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (values.length === 0 || invalid.length > 0) {
+    errors.push(`${name} inválido: ${invalid.join(', ') || '(vacío)'}. Valores válidos: ${allowed.join(', ')}`);
+    return null;
+  }
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+/**
+ * Construye el filtro de Mongoose a partir de los parámetros de búsqueda
+ * @function buildTaskFilter
+ * @param {Object} query - Query params de la request
+ * @param {string} [query.q] - Texto a buscar en el título
+ * @param {string} [query.service] - Uno o varios servicios separados por comas
+ * @param {string} [query.client] - Uno o varios clientes separados por comas
+ * @param {string} [query.subscription] - ID de la suscripción
+ * @param {string} [query.assignee] - ID del responsable, `me` (el usuario autenticado) o `none`
+ * @param {string} [query.status] - Uno o varios estados separados por comas
+ * @param {string} [query.priority] - Una o varias prioridades separadas por comas
+ * @param {string} [query.overdue] - true para las tareas sin terminar con la fecha límite pasada
+ * @param {string} [query.dueFrom] - Fecha límite desde (inclusive)
+ * @param {string} [query.dueTo] - Fecha límite hasta (inclusive, día completo si es YYYY-MM-DD)
+ * @param {Object} user - Usuario autenticado (para `assignee=me`)
+ * @param {Date} [now=new Date()] - Momento de referencia para `overdue`
+ * @returns {{filter: Object, errors: Array<string>}} Filtro y errores
+ */
+const buildTaskFilter = (query = {}, user, now = new Date()) => {
+  const filter = {};
+  const errors = [];
+
+  const searchTerm = String(query.q || '').trim();
+  if (searchTerm) {
+    filter.title = new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  ['service', 'client', 'subscription'].forEach(field => {
+    if (query[field] === undefined || query[field] === '') return;
+    const condition = buildIdCondition(query[field], field, errors);
+    if (condition) filter[field] = condition;
+  });
+
+  if (query.assignee !== undefined && query.assignee !== '') {
+    if (query.assignee === 'me') {
+      filter.assignee = user._id;
+    } else if (query.assignee === 'none') {
+      filter.assignee = null;
+    } else {
+      const condition = buildIdCondition(query.assignee, 'assignee', errors);
+      if (condition) filter.assignee = condition;
+    }
+  }
+
+  if (query.status && query.status !== 'all') {
+    const condition = buildEnumCondition(query.status, 'status', TASK_STATUSES, errors);
+    if (condition) filter.status = condition;
+  }
+
+  if (query.priority && query.priority !== 'all') {
+    const condition = buildEnumCondition(query.priority, 'priority', TASK_PRIORITIES, errors);
+    if (condition) filter.priority = condition;
+  }
+
+  const dueRange = {};
+  if (query.dueFrom) {
+    const dueFrom = toDate(query.dueFrom);
+    if (!dueFrom) {
+      errors.push('dueFrom debe ser una fecha válida (YYYY-MM-DD)');
+    } else {
+      dueRange.$gte = dueFrom;
+    }
+  }
+  if (query.dueTo) {
+    const dueTo = toDate(query.dueTo);
+    if (!dueTo) {
+      errors.push('dueTo debe ser una fecha válida (YYYY-MM-DD)');
+    } else {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.dueTo)) {
+        dueTo.setUTCHours(23, 59, 59, 999);
+      }
+      dueRange.$lte = dueTo;
+    }
+  }
+
+  if (query.overdue !== undefined) {
+    if (query.overdue !== 'true' && query.overdue !== 'false') {
+      errors.push('overdue debe ser true o false');
+    } else if (query.overdue === 'true') {
+      dueRange.$lt = now;
+      // Una tarea terminada nunca está vencida (se combina con el filtro de estado, si lo hay)
+      filter.$and = [{ status: { $ne: 'done' } }];
+    }
+  }
+
+  if (dueRange.$gte && dueRange.$lte && dueRange.$gte > dueRange.$lte) {
+    errors.push('dueFrom no puede ser posterior a dueTo');
+  } else if (Object.keys(dueRange).length > 0) {
+    filter.dueDate = dueRange;
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Interpreta los parámetros de orden
+ * @function buildTaskSort
+ * @param {Object} query - Query params de la request
+ * @param {string} [query.sortBy=createdAt] - Campo de orden (ver TASK_SORTABLE_FIELDS)
+ * @param {string} [query.order=desc] - Dirección del orden (asc | desc)
+ * @returns {{sort: Object, errors: Array<string>}} Objeto sort de Mongoose y errores
+ */
+const buildTaskSort = (query = {}) => {
+  const errors = [];
+  const field = query.sortBy || 'createdAt';
+  const order = (query.order || 'desc').toLowerCase();
+
+  if (!TASK_SORTABLE_FIELDS.includes(field)) {
+    errors.push(`sortBy inválido. Campos permitidos: ${TASK_SORTABLE_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('order debe ser "asc" o "desc"');
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  return { sort: { [field]: direction, _id: direction }, errors };
+};
+
+/**
+ * Interpreta toda la query de listado de tareas
+ * @function parseTaskListQuery
+ * @param {Object} query - Query params de la request
+ * @param {Object} user - Usuario autenticado
+ * @returns {Object} Filtro, orden, paginación y lista de errores
+ * @example
+ * const { filter, sort, skip, limit, errors } = parseTaskListQuery(req.query, req.user);
+ */
+const parseTaskListQuery = (query = {}, user) => {
+  const { filter, errors: filterErrors } = buildTaskFilter(query, user);
+  const { sort, errors: sortErrors } = buildTaskSort(query);
+  const { page, limit, skip, errors: paginationErrors } = buildPagination(query);
+
+  return {
+    filter,
+    sort,
+    page,
+    limit,
+    skip,
+    errors: [...filterErrors, ...sortErrors, ...paginationErrors]
+  };
+};
+
+module.exports = {
+  TASK_SORTABLE_FIELDS,
+  buildTaskFilter,
+  buildTaskSort,
+  parseTaskListQuery
+};
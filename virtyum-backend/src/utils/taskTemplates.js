@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Creación de tareas a partir de las plantillas de los servicios
+ * @description Al empezar una suscripción se copian las tareas de la versión vigente de la
+ * plantilla del servicio: plazos relativos al inicio de la suscripción, responsable elegido por
+ * rol y dependencias entre las tareas creadas
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const User = require('../models/User');
+
+/**
+ * Milisegundos de un día
+ * @constant {number} DAY_MS
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Busca la versión vigente (la más reciente) de la plantilla de un servicio
+ * @function findCurrentTemplate
+ * @param {ObjectId|string} serviceId - Servicio
+ * @param {Object} [options={}] - Opciones
+ * @param {ClientSession} [options.session=null] - Sesión de la transacción, si la hay
+ * @returns {Query} Consulta de la versión (null si el servicio no tiene plantilla)
+ */
+const findCurrentTemplate = (serviceId, { session = null } = {}) => (
+  TaskTemplate.findOne({ service: serviceId }).sort({ version: -1 }).session(session)
+);
+
+/**
+ * Prepara el reparto de tareas por rol: para cada rol, sus usuarios con el número de tareas
+ * abiertas que ya tienen
+ * @async
+ * @param {Array<string>} roles - Roles usados por la plantilla
+ * @param {ClientSession|null} session - Sesión de la transacción
+ * @returns {Promise<Function>} Función `(role) => userId|null` que elige al menos cargado
+ */
+const buildAssigneePicker = async (roles, session) => {
+  if (roles.length === 0) return () => null;
+
+  const users = await User.find({ role: { $in: roles } }, 'role').sort({ name: 1 }).session(session).lean();
+  const counts = await Task.aggregate([
+    { $match: { assignee: { $in: users.map(user => user._id) }, status: { $ne: 'done' } } },
+    { $group: { _id: '$assignee', open: { $sum: 1 } } }
+  ]).session(session);
+  const openByUser = new Map(counts.map(({ _id, open }) => [String(_id), open]));
+  const candidates = users.map(user => ({ ...user, open: openByUser.get(String(user._id)) || 0 }));
+
+  return (role) => {
+    const chosen = candidates
+      .filter(candidate => candidate.role === role)
+      .reduce((best, candidate) => (!best || candidate.open < best.open ? candidate : best), null);
+    if (!chosen) return null;
+    // Las tareas de la misma plantilla también cuentan para repartir las siguientes
+    chosen.open += 1;
+    return chosen._id;
+  };
+};
+
+/**
+ * Crea las tareas de la plantilla vigente del servicio de una suscripción
+ * @async
+ * @function instantiateTaskTemplate
+ * @param {Subscription} subscription - Suscripción recién creada (client, service, startDate)
+ * @param {Object} [options={}] - Opciones
+ * @param {Object} [options.actor] - Usuario que inicia la suscripción (queda como creador de las tareas)
+ * @param {ClientSession} [options.session=null] - Sesión de la transacción, si la hay
+ * @returns {Promise<Array<Task>>} Tareas creadas (vacío si el servicio no tiene plantilla)
+ * @example
+ * const tasks = await instantiateTaskTemplate(subscription, { actor: req.user });
+ */
+const instantiateTaskTemplate = async (subscription, { actor, session = null } = {}) => {
+  const template = await findCurrentTemplate(subscription.service, { session });
+  if (!template || template.tasks.length === 0) {
+    return [];
+  }
+
+  const roles = [...new Set(template.tasks.map(item => item.assigneeRole).filter(Boolean))];
+  const pickAssignee = await buildAssigneePicker(roles, session);
+  // Los IDs se reservan antes para poder enlazar las dependencias
+  const ids = template.tasks.map(() => new mongoose.Types.ObjectId());
+  const start = new Date(subscription.startDate).getTime();
+
+  return Task.insertMany(template.tasks.map((item, index) => ({
+    _id: ids[index],
+    title: item.title,
+    description: item.description,
+    service: subscription.service,
+    subscription: subscription._id,
+    client: subscription.client,
+    assignee: item.assigneeRole ? pickAssignee(item.assigneeRole) : null,
+    dueDate: item.dueOffsetDays === null ? null : new Date(start + item.dueOffsetDays * DAY_MS),
+    priority: item.priority,
+    checklist: item.checklist.map(text => ({ text })),
+    dependsOn: item.dependsOn.map(position => ids[position]),
+    template: template._id,
+    createdBy: actor?._id
+  })), { session });
+};
+
+module.exports = {
+  findCurrentTemplate,
+  instantiateTaskTemplate
+};
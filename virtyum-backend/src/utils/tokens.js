@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Utilidades para emitir y verificar tokens JWT
+ * @description Access tokens de corta duración y refresh tokens rotativos firmados con secretos distintos
+ * @author Virtyum Backend Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Configuración de tokens leída de las variables de entorno
+ * @constant {Object} TOKEN_CONFIG
+ * @property {string} accessTokenTtl - Duración del access token (JWT_ACCESS_EXPIRES_IN, default 15m)
+ * @property {string} refreshTokenTtl - Duración del refresh token (JWT_REFRESH_EXPIRES_IN, default 7d)
+ */
+const TOKEN_CONFIG = {
+  accessTokenTtl: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTokenTtl: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  issuer: 'virtyum-api'
+};
+
+/**
+ * Obtiene un secreto obligatorio de las variables de entorno
+ * @param {string} name - Nombre de la variable
+ * @returns {string} Valor del secreto
+ * @throws {Error} Si la variable no está definida
+ */
+const getSecret = (name) => {
+  const secret = process.env[name];
+  if (!secret) {
+    throw new Error(`${name} no está definida en las variables de entorno`);
+  }
+  return secret;
+};
+
+/**
+ * Firma un access token para el usuario
+ * @param {Object} user - Documento de usuario
+ * @returns {string} JWT firmado con JWT_SECRET
+ */
+const signAccessToken = (user) => jwt.sign(
+  { sub: user._id.toString(), email: user.email, type: 'access' },
+  getSecret('JWT_SECRET'),
+  { expiresIn: TOKEN_CONFIG.accessTokenTtl, issuer: TOKEN_CONFIG.issuer }
+);
+
+/**
+ * Firma un refresh token para el usuario
+ * @param {Object} user - Documento de usuario
+ * @returns {{token: string, expiresAt: Date}} JWT firmado con JWT_REFRESH_SECRET y su expiración
+ */
+const signRefreshToken = (user) => {
+  const token = jwt.sign(
+    // jti aleatorio para que dos tokens emitidos en el mismo segundo sean distintos
+    { sub: user._id.toString(), type: 'refresh', jti: crypto.randomUUID() },
+    getSecret('JWT_REFRESH_SECRET'),
+    { expiresIn: TOKEN_CONFIG.refreshTokenTtl, issuer: TOKEN_CONFIG.issuer }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verifica un access token
+ * @param {string} token - JWT recibido en la cabecera Authorization
+ * @returns {Object} Payload decodificado
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido o expiró
+ */
+const verifyAccessToken = (token) => jwt.verify(token, getSecret('JWT_SECRET'), { issuer: TOKEN_CONFIG.issuer });
+
+/**
+ * Verifica un refresh token
+ * @param {string} token - Refresh token recibido en el body
+ * @returns {Object} Payload decodificado
+ * @throws {JsonWebTokenError|TokenExpiredError} Si el token no es válido o expiró
+ */
+const verifyRefreshToken = (token) => jwt.verify(token, getSecret('JWT_REFRESH_SECRET'), { issuer: TOKEN_CONFIG.issuer });
+
+/**
+ * Calcula el hash SHA-256 de un token para guardarlo sin exponerlo
+ * @param {string} token - Token en claro
+ * @returns {string} Hash hexadecimal
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  TOKEN_CONFIG,
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  hashToken
+};
@@ -1,25 +1,122 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { Spinner } from 'react-bootstrap'
 import Layout from './components/Layout'
 import Dashboard from './components/Dashboard'
 import Products from './components/Products'
+import Login from './components/Login'
+import Profile from './components/Profile'
+import Trash from './components/Trash'
+import Clients from './components/Clients'
+import Quotes from './components/Quotes'
+import Invoices from './components/Invoices'
+import Categories from './components/Categories'
+import Tasks from './components/Tasks'
+import Users from './components/Users'
+import AuthAPI from './services/authApi'
+import { PERMISSIONS, hasPermission } from './services/permissions'
+import { AUTH_LOGOUT_EVENT } from './services/apiClient'
 import './App.css'
 
 function App() {
   const [currentPage, setCurrentPage] = useState('dashboard')
+  const [user, setUser] = useState(() => AuthAPI.getStoredUser())
+  const [checkingSession, setCheckingSession] = useState(() => AuthAPI.hasSession())
+  const [loginNotice, setLoginNotice] = useState(null)
+  // Servicio cuyos clientes se muestran al llegar desde Productos
+  const [clientServiceFilter, setClientServiceFilter] = useState(null)
+
+  // Validar la sesión guardada al arrancar (renueva el access token si expiró)
+  useEffect(() => {
+    if (!AuthAPI.hasSession()) return
+
+    AuthAPI.getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setCheckingSession(false))
+  }, [])
+
+  // Volver al login cuando el backend rechaza la sesión
+  useEffect(() => {
+    const handleLogout = () => {
+      setUser(null)
+      setCurrentPage('dashboard')
+      setLoginNotice('Tu sesión ha expirado. Inicia sesión de nuevo.')
+    }
+
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleLogout)
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleLogout)
+  }, [])
+
+  const handleAuthenticated = (authenticatedUser) => {
+    setUser(authenticatedUser)
+    setLoginNotice(null)
+  }
+
+  const handleNavigate = (pageId) => {
+    setClientServiceFilter(null)
+    setCurrentPage(pageId)
+  }
+
+  const handleViewServiceClients = (service) => {
+    setClientServiceFilter({ _id: service._id, name: service.name })
+    setCurrentPage('clients')
+  }
+
+  const handleLogout = async () => {
+    await AuthAPI.logout()
+    setUser(null)
+    setCurrentPage('dashboard')
+    setLoginNotice(null)
+  }
+
+  if (checkingSession) {
+    return (
+      <div className="min-vh-100 d-flex align-items-center justify-content-center">
+        <Spinner animation="border" className="me-2" />
+        Verificando sesión...
+      </div>
+    )
+  }
+
+  if (!user) {
+    return <Login onAuthenticated={handleAuthenticated} notice={loginNotice} />
+  }
 
   const renderCurrentPage = () => {
     switch(currentPage) {
       case 'dashboard':
-        return <Dashboard />
+        return <Dashboard user={user} />
       case 'products':
-        return <Products />
+        return <Products user={user} onViewClients={handleViewServiceClients} />
+      case 'clients':
+        return hasPermission(user, PERMISSIONS.CLIENTS_READ) ? (
+          <Clients
+            user={user}
+            serviceFilter={clientServiceFilter}
+            onClearServiceFilter={() => setClientServiceFilter(null)}
+          />
+        ) : <Dashboard user={user} />
+      case 'quotes':
+        return hasPermission(user, PERMISSIONS.QUOTES_READ) ? <Quotes user={user} /> : <Dashboard user={user} />
+      case 'invoices':
+        return hasPermission(user, PERMISSIONS.INVOICES_READ) ? <Invoices user={user} /> : <Dashboard user={user} />
+      case 'tasks':
+        return hasPermission(user, PERMISSIONS.TASKS_READ) ? <Tasks user={user} /> : <Dashboard user={user} />
+      case 'categories':
+        return hasPermission(user, PERMISSIONS.CATEGORIES_MANAGE) ? <Categories /> : <Dashboard user={user} />
+      case 'trash':
+        return hasPermission(user, PERMISSIONS.SERVICES_TRASH) ? <Trash /> : <Dashboard user={user} />
+      case 'users':
+        return hasPermission(user, PERMISSIONS.USERS_MANAGE) ? <Users user={user} /> : <Dashboard user={user} />
+      case 'profile':
+        return <Profile user={user} onLogout={handleLogout} />
       default:
-        return <Dashboard />
+        return <Dashboard user={user} />
     }
   }
 
   return (
-    <Layout currentPage={currentPage} setCurrentPage={setCurrentPage}>
+    <Layout currentPage={currentPage} setCurrentPage={handleNavigate} user={user} onLogout={handleLogout}>
       {renderCurrentPage()}
     </Layout>
   )
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Panel de actividad reciente del Dashboard
+ * @description Muestra las últimas creaciones, modificaciones y eliminaciones registradas en la auditoría
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Badge, Button, Spinner, Alert, Collapse } from 'react-bootstrap';
+import ActivityAPI, { AUDIT_ACTIONS, AUDIT_FIELD_LABELS } from '../services/activityApi';
+import { AuditChangeList } from './ServiceHistory';
+
+/**
+ * Entradas mostradas por página
+ * @constant {number} FEED_PAGE_SIZE
+ */
+const FEED_PAGE_SIZE = 8;
+
+/**
+ * Formatea la fecha de una entrada de forma relativa
+ * @param {string} dateString - Fecha en formato ISO
+ * @returns {string} Texto relativo (p. ej. "Hace 5 min")
+ */
+const formatRelative = (dateString) => {
+  const diffMinutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+  if (diffMinutes < 1) return 'Ahora';
+  if (diffMinutes < 60) return `Hace ${diffMinutes} min`;
+  if (diffMinutes < 60 * 24) return `Hace ${Math.floor(diffMinutes / 60)} h`;
+  return new Date(dateString).toLocaleDateString();
+};
+
+/**
+ * Resume en una línea los campos cambiados de una entrada
+ * @param {Object} entry - Entrada de auditoría
+ * @returns {string} Resumen para la lista
+ */
+const summarize = (entry) => {
+  if (entry.action !== 'update') {
+    return AUDIT_ACTIONS[entry.action]?.label || entry.action;
+  }
+  const fields = entry.changes.map(change => AUDIT_FIELD_LABELS[change.field] || change.field);
+  return `Cambió ${fields.join(', ')}`;
+};
+
+/**
+ * Panel con el feed global de actividad
+ * @component ActivityFeed
+ * @returns {JSX.Element} Card con la actividad reciente y detalle desplegable
+ * @example
+ * <ActivityFeed />
+ */
+const ActivityFeed = () => {
+  const [activity, setActivity] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  /**
+   * Carga una página del feed
+   * @param {number} page - Página a cargar (la 1 reemplaza la lista)
+   */
+  const loadActivity = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ActivityAPI.getActivityFeed({ page, limit: FEED_PAGE_SIZE });
+      setActivity(prev => (page === 1 ? data.activity : [...prev, ...data.activity]));
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Error al cargar actividad:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadActivity(1);
+  }, [loadActivity]);
+
+  return (
+    <Card className="border-0 shadow-sm">
+      <Card.Header className="bg-white border-0 py-3">
+        <div className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Actividad Reciente</h5>
+          <Button variant="link" size="sm" className="p-0" onClick={() => loadActivity(1)} disabled={loading}>
+            {loading ? <Spinner animation="border" size="sm" /> : <i className="bi bi-arrow-clockwise"></i>}
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" className="mb-3">
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {!loading && !error && activity.length === 0 && (
+          <div className="text-center py-4 text-muted">
+            <i className="bi bi-activity display-6 d-block mb-2"></i>
+            <p className="mb-0">Sin actividad registrada</p>
+            <small>Los cambios en los servicios aparecerán aquí</small>
+          </div>
+        )}
+
+        {activity.map((entry, index) => {
+          const action = AUDIT_ACTIONS[entry.action] || AUDIT_ACTIONS.update;
+          const expanded = expandedId === entry._id;
+          return (
+            <div key={entry._id} className={`py-2 ${index < activity.length - 1 ? 'border-bottom' : ''}`}>
+              <div
+                className="d-flex align-items-center"
+                role="button"
+                onClick={() => setExpandedId(expanded ? null : entry._id)}
+              >
+                <div className={`bg-${action.variant} bg-opacity-10 p-2 rounded-circle me-3`}>
+                  <i className={`bi bi-${action.icon} text-${action.variant}`}></i>
+                </div>
+                <div className="flex-grow-1">
+                  <div className="d-flex align-items-center gap-2">
+                    <h6 className="mb-0">{entry.entityName || 'Servicio'}</h6>
+                    <Badge bg={action.variant} className="fs-7">{action.label}</Badge>
+                  </div>
+                  <small className="text-muted">
+                    {entry.actor?.name || 'Desconocido'} · {summarize(entry)}
+                  </small>
+                </div>
+                <small className="text-muted text-nowrap ms-2">{formatRelative(entry.createdAt)}</small>
+              </div>
+              <Collapse in={expanded}>
+                <div>
+                  <div className="pt-2 ps-5">
+                    <AuditChangeList changes={entry.changes} action={entry.action} />
+                  </div>
+                </div>
+              </Collapse>
+            </div>
+          );
+        })}
+
+        {!loading && pagination?.hasNextPage && (
+          <div className="text-center pt-3">
+            <Button variant="outline-secondary" size="sm" onClick={() => loadActivity(pagination.page + 1)}>
+              Ver más
+            </Button>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Modal para ajustar el precio de varios servicios a la vez
+ * @description Ajuste porcentual o por importe fijo con vista previa de los precios resultantes
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Form, InputGroup, Table, Spinner, ButtonGroup, ToggleButton } from 'react-bootstrap';
+import { formatMoney } from '../services/format';
+
+/**
+ * Calcula el precio resultante de un ajuste (mismo redondeo que el backend)
+ * @param {number} price - Precio actual
+ * @param {string} mode - percent | absolute
+ * @param {number} value - Cantidad del ajuste
+ * @returns {number} Precio nuevo
+ */
+const applyAdjustment = (price, mode, value) => {
+  const next = mode === 'percent' ? price * (1 + value / 100) : price + value;
+  return Math.round(next * 100) / 100;
+};
+
+/**
+ * Modal de ajuste masivo de precios
+ * @component BulkPriceModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el modal está visible
+ * @param {Function} props.onHide - Cierra el modal
+ * @param {Function} props.onConfirm - Recibe `{ mode, value }` al confirmar
+ * @param {Array<Object>} props.services - Servicios seleccionados (para la vista previa)
+ * @param {boolean} [props.loading=false] - Deshabilita el formulario mientras se aplica
+ * @returns {JSX.Element} Modal renderizado
+ */
+const BulkPriceModal = ({ show, onHide, onConfirm, services, loading = false }) => {
+  const [mode, setMode] = useState('percent');
+  const [value, setValue] = useState('');
+
+  // Reiniciar el formulario cada vez que se abre
+  useEffect(() => {
+    if (show) {
+      setMode('percent');
+      setValue('');
+    }
+  }, [show]);
+
+  const numericValue = Number(value);
+  const isValid = value !== '' && Number.isFinite(numericValue) && numericValue !== 0 &&
+    (mode !== 'percent' || numericValue > -100);
+  const previews = services.map(service => ({
+    ...service,
+    nextPrice: isValid ? applyAdjustment(service.price, mode, numericValue) : service.price
+  }));
+  const hasNegative = previews.some(service => service.nextPrice < 0);
+
+  /**
+   * Envía el ajuste al componente padre
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isValid && !hasNegative) {
+      onConfirm({ mode, value: numericValue });
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className="bi bi-currency-dollar me-2"></i>
+          Ajustar precio de {services.length} servicio(s)
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          <ButtonGroup className="mb-3 w-100">
+            {[
+              { id: 'percent', label: 'Porcentaje' },
+              { id: 'absolute', label: 'Importe fijo' }
+            ].map(option => (
+              <ToggleButton
+                key={option.id}
+                id={`bulk-price-${option.id}`}
+                type="radio"
+                variant="outline-primary"
+                name="bulk-price-mode"
+                value={option.id}
+                checked={mode === option.id}
+                onChange={(e) => setMode(e.currentTarget.value)}
+                disabled={loading}
+              >
+                {option.label}
+              </ToggleButton>
+            ))}
+          </ButtonGroup>
+
+          <Form.Group className="mb-3">
+            <InputGroup>
+              <Form.Control
+                type="number"
+                step="0.01"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                placeholder={mode === 'percent' ? 'Ej: 10 o -15' : 'Ej: 50 o -20'}
+                disabled={loading}
+                autoFocus
+              />
+              {mode === 'percent' && <InputGroup.Text>%</InputGroup.Text>}
+            </InputGroup>
+            <Form.Text className="text-muted">
+              Usa valores negativos para bajar el precio
+              {mode === 'absolute' && '. El importe se suma en la moneda de cada servicio'}
+            </Form.Text>
+          </Form.Group>
+
+          <Table size="sm" className="mb-0 small">
+            <thead>
+              <tr>
+                <th>Servicio</th>
+                <th className="text-end">Actual</th>
+                <th className="text-end">Nuevo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {previews.map(service => (
+                <tr key={service._id}>
+                  <td>{service.name}</td>
+                  <td className="text-end text-muted">{formatMoney(service.price, service.currency)}</td>
+                  <td className={`text-end ${service.nextPrice < 0 ? 'text-danger' : 'fw-semibold'}`}>
+                    {formatMoney(service.nextPrice, service.currency)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {hasNegative && (
+            <small className="text-danger d-block mt-2">
+              <i className="bi bi-exclamation-triangle me-1"></i>
+              Algún precio quedaría negativo; el lote se rechazaría completo.
+            </small>
+          )}
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            Cancelar
+          </Button>
+          <Button variant="primary" type="submit" disabled={loading || !isValid || hasNegative}>
+            {loading ? (
+              <Spinner as="span" animation="border" size="sm" className="me-2" />
+            ) : (
+              <i className="bi bi-check-lg me-2"></i>
+            )}
+            Aplicar ajuste
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default BulkPriceModal;
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Modal para crear y editar paquetes de servicios
+ * @description Nombre, componentes elegidos del catálogo con su cantidad y modo de precio, con una
+ * vista previa del precio calculado en la moneda base
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner, Table, InputGroup, ListGroup } from 'react-bootstrap';
+import ServiceAPI from '../services/serviceApi';
+import BundleAPI, { BUNDLE_PRICING_MODES } from '../services/bundleApi';
+import CurrencyAPI, { BASE_CURRENCY, convertToBase } from '../services/currencyApi';
+import { formatMoney } from '../services/format';
+
+/**
+ * Formulario vacío
+ * @constant {Object} EMPTY_BUNDLE
+ */
+const EMPTY_BUNDLE = {
+  name: '',
+  description: '',
+  pricingMode: 'computed',
+  discountPercent: 0,
+  fixedPrice: ''
+};
+
+/**
+ * Modal de alta y edición de paquetes
+ * @component BundleModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el modal está visible
+ * @param {Function} props.onHide - Cierra el modal
+ * @param {Function} props.onSaved - Recibe la respuesta del backend tras guardar
+ * @param {Object|null} [props.bundle=null] - Paquete a editar (null para crear)
+ * @returns {JSX.Element} Modal con el formulario
+ */
+const BundleModal = ({ show, onHide, onSaved, bundle = null }) => {
+  const [formData, setFormData] = useState(EMPTY_BUNDLE);
+  const [items, setItems] = useState([]);
+  const [catalogSearch, setCatalogSearch] = useState('');
+  const [catalog, setCatalog] = useState([]);
+  const [rates, setRates] = useState({ [BASE_CURRENCY]: 1 });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Cargar el paquete al abrir
+  useEffect(() => {
+    if (!show) return;
+    setFormData(bundle ? {
+      name: bundle.name,
+      description: bundle.description || '',
+      pricingMode: bundle.pricingMode,
+      discountPercent: bundle.discountPercent || 0,
+      fixedPrice: bundle.fixedPrice ?? ''
+    } : EMPTY_BUNDLE);
+    // Los componentes purgados no se pueden volver a guardar: se quitan del formulario
+    setItems(bundle ? bundle.items.filter(item => item.service).map(item => ({
+      service: item.service,
+      quantity: item.quantity
+    })) : []);
+    setCatalogSearch('');
+    setError(null);
+    CurrencyAPI.getRateMap().then(setRates).catch(err => setError(err.message));
+  }, [show, bundle]);
+
+  // Búsqueda en el catálogo con espera para no lanzar una petición por tecla
+  useEffect(() => {
+    if (!show) return undefined;
+    const timeoutId = setTimeout(() => {
+      ServiceAPI.searchServices({ searchTerm: catalogSearch, limit: 6, sortBy: 'name', order: 'asc' })
+        .then(data => setCatalog(data.services))
+        .catch(err => setError(err.message));
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [catalogSearch, show]);
+
+  /**
+   * Actualiza un campo del formulario
+   * @param {Event} e - Evento del control
+   */
+  const handleChange = (e) => {
+    const { name, value, type } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'number' && value !== '' ? Number(value) : value }));
+  };
+
+  /**
+   * Añade un servicio del catálogo (o suma una unidad si ya está)
+   * @param {Object} service - Servicio del catálogo
+   */
+  const addService = (service) => {
+    setItems(prev => (prev.some(item => item.service._id === service._id)
+      ? prev.map(item => (item.service._id === service._id ? { ...item, quantity: item.quantity + 1 } : item))
+      : [...prev, { service, quantity: 1 }]));
+  };
+
+  /**
+   * Cambia la cantidad de un componente
+   * @param {number} index - Posición del componente
+   * @param {string} value - Valor del input
+   */
+  const updateQuantity = (index, value) => {
+    setItems(prev => prev.map((item, position) => (
+      position === index ? { ...item, quantity: value === '' ? '' : Number(value) } : item
+    )));
+  };
+
+  // Vista previa con los precios actuales, como la calcula el backend
+  const listPrice = items.reduce(
+    (sum, item) => sum + (convertToBase(item.service.price, item.service.currency, rates) ?? 0) * (Number(item.quantity) || 0),
+    0
+  );
+  const price = formData.pricingMode === 'fixed'
+    ? Number(formData.fixedPrice) || 0
+    : listPrice * (1 - (Number(formData.discountPercent) || 0) / 100);
+
+  /**
+   * Guarda el paquete
+   * @async
+   * @param {Event} e - Evento de envío del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (items.length === 0) {
+      setError('Añade al menos un servicio');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      fixedPrice: formData.pricingMode === 'fixed' ? formData.fixedPrice : null,
+      items: items.map(item => ({ service: item.service._id, quantity: item.quantity }))
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = bundle
+        ? await BundleAPI.updateBundle(bundle._id, payload)
+        : await BundleAPI.createBundle(payload);
+      onSaved(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg" backdrop="static">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className={`bi bi-${bundle ? 'pencil' : 'box-seam'} me-2`}></i>
+          {bundle ? 'Editar Paquete' : 'Nuevo Paquete'}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          <Row className="g-3">
+            <Col md={12}>
+              <Form.Label>Nombre <span className="text-danger">*</span></Form.Label>
+              <Form.Control
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Ej: Lanzamiento Digital"
+                maxLength={100}
+                required
+                disabled={saving}
+              />
+            </Col>
+            <Col md={12}>
+              <Form.Label>Descripción</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                maxLength={500}
+                disabled={saving}
+              />
+            </Col>
+
+            <Col md={7}>
+              <Form.Label>Servicios incluidos <span className="text-danger">*</span></Form.Label>
+              {items.length === 0 ? (
+                <p className="text-muted small">Añade servicios desde el catálogo</p>
+              ) : (
+                <Table size="sm" className="small mb-0">
+                  <tbody>
+                    {items.map((item, index) => (
+                      <tr key={item.service._id}>
+                        <td>
+                          {item.service.name}
+                          <div className="text-muted">{formatMoney(item.service.price, item.service.currency)}</div>
+                        </td>
+                        <td style={{ width: '5rem' }}>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min="1"
+                            max="99"
+                            step="1"
+                            value={item.quantity}
+                            onChange={(e) => updateQuantity(index, e.target.value)}
+                            required
+                            disabled={saving}
+                            aria-label={`Cantidad de ${item.service.name}`}
+                          />
+                        </td>
+                        <td className="text-end">
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => setItems(prev => prev.filter((_, position) => position !== index))}
+                            disabled={saving}
+                            title="Quitar"
+                          >
+                            <i className="bi bi-x-lg"></i>
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Col>
+
+            <Col md={5}>
+              <InputGroup size="sm" className="mb-2">
+                <InputGroup.Text className="bg-white">
+                  <i className="bi bi-search"></i>
+                </InputGroup.Text>
+                <Form.Control
+                  type="search"
+                  placeholder="Buscar servicios..."
+                  value={catalogSearch}
+                  onChange={(e) => setCatalogSearch(e.target.value)}
+                />
+              </InputGroup>
+              <ListGroup variant="flush" className="border rounded">
+                {catalog.length === 0 ? (
+                  <ListGroup.Item className="text-muted small">Sin resultados</ListGroup.Item>
+                ) : (
+                  catalog.map(service => (
+                    <ListGroup.Item key={service._id} className="d-flex justify-content-between align-items-center py-1">
+                      <div className="me-2 small">
+                        <div className="fw-semibold">{service.name}</div>
+                        <span className="text-muted">{service.status} · {formatMoney(service.price, service.currency)}</span>
+                      </div>
+                      <Button variant="outline-primary" size="sm" onClick={() => addService(service)} disabled={saving} title="Añadir al paquete">
+                        <i className="bi bi-plus-lg"></i>
+                      </Button>
+                    </ListGroup.Item>
+                  ))
+                )}
+              </ListGroup>
+            </Col>
+
+            <Col md={6}>
+              <Form.Label>Precio</Form.Label>
+              <Form.Select name="pricingMode" value={formData.pricingMode} onChange={handleChange} disabled={saving}>
+                {Object.entries(BUNDLE_PRICING_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={6}>
+              {formData.pricingMode === 'fixed' ? (
+                <>
+                  <Form.Label>Precio fijo <span className="text-danger">*</span></Form.Label>
+                  <InputGroup>
+                    <Form.Control
+                      type="number"
+                      name="fixedPrice"
+                      min="0"
+                      step="0.01"
+                      value={formData.fixedPrice}
+                      onChange={handleChange}
+                      required
+                      disabled={saving}
+                    />
+                    <InputGroup.Text>{BASE_CURRENCY}</InputGroup.Text>
+                  </InputGroup>
+                </>
+              ) : (
+                <>
+                  <Form.Label>Descuento</Form.Label>
+                  <InputGroup>
+                    <Form.Control
+                      type="number"
+                      name="discountPercent"
+                      min="0"
+                      max="99"
+                      step="0.5"
+                      value={formData.discountPercent}
+                      onChange={handleChange}
+                      disabled={saving}
+                    />
+                    <InputGroup.Text>%</InputGroup.Text>
+                  </InputGroup>
+                </>
+              )}
+            </Col>
+          </Row>
+
+          {items.length > 0 && (
+            <div className="d-flex justify-content-end gap-3 mt-3 small">
+              <span className="text-muted">
+                Servicios por separado: <span className="text-decoration-line-through">{formatMoney(listPrice)}</span>
+              </span>
+              <strong className="text-success">Paquete: {formatMoney(price)}</strong>
+            </div>
+          )}
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={saving}>
+            Cancelar
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? <Spinner animation="border" size="sm" /> : (bundle ? 'Guardar' : 'Crear paquete')}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default BundleModal;
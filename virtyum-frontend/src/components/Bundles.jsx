@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Paquetes de servicios del catálogo
+ * @description Tarjetas con los servicios de cada paquete, su precio frente a la suma de los
+ * componentes y el aviso cuando algún componente no se puede vender
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Badge, Row, Col, Alert, Spinner, ListGroup } from 'react-bootstrap';
+import BundleAPI, { BUNDLE_ISSUES } from '../services/bundleApi';
+import BundleModal from './BundleModal';
+import { formatMoney } from '../services/format';
+
+/**
+ * Listado de paquetes
+ * @component Bundles
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.canCreate - Permite crear paquetes
+ * @param {boolean} props.canUpdate - Permite editar paquetes
+ * @param {boolean} props.canDelete - Permite eliminar paquetes
+ * @param {number} [props.refreshKey=0] - Cambia cuando se recarga el catálogo, para reflejar el
+ * estado actual de los servicios
+ * @param {Function} props.onNotify - Muestra una notificación (mensaje, tipo)
+ * @returns {JSX.Element} Tarjeta con los paquetes
+ */
+const Bundles = ({ canCreate, canUpdate, canDelete, refreshKey = 0, onNotify }) => {
+  const [bundles, setBundles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingBundle, setEditingBundle] = useState(null);
+
+  /**
+   * Carga los paquetes con su precio y disponibilidad
+   * @async
+   * @function loadBundles
+   */
+  const loadBundles = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await BundleAPI.getBundles();
+      setBundles(data.bundles);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBundles();
+  }, [loadBundles, refreshKey]);
+
+  /**
+   * Abre el modal para crear o editar
+   * @param {Object|null} bundle - Paquete a editar (null para crear)
+   */
+  const openModal = (bundle) => {
+    setEditingBundle(bundle);
+    setShowModal(true);
+  };
+
+  /**
+   * Cierra el modal y recarga tras guardar
+   * @async
+   * @param {Object} response - Respuesta del backend
+   */
+  const handleSaved = async (response) => {
+    setShowModal(false);
+    onNotify(`Paquete "${response.bundle.name}" ${editingBundle ? 'actualizado' : 'creado'}`);
+    setEditingBundle(null);
+    await loadBundles();
+  };
+
+  /**
+   * Elimina un paquete después de confirmación
+   * @async
+   * @param {Object} bundle - Paquete a eliminar
+   */
+  const handleDelete = async (bundle) => {
+    if (!window.confirm(`¿Eliminar el paquete "${bundle.name}"?\n\nLos servicios que lo forman no se modifican.`)) {
+      return;
+    }
+
+    try {
+      await BundleAPI.deleteBundle(bundle._id);
+      onNotify(`Paquete "${bundle.name}" eliminado`);
+      await loadBundles();
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  return (
+    <Card className="border-0 shadow-sm mt-4">
+      <Card.Header className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="bi bi-box-seam me-2"></i>
+          Paquetes
+          <Badge bg="secondary" className="ms-2">{bundles.length}</Badge>
+        </h5>
+        {canCreate && (
+          <Button variant="outline-primary" size="sm" onClick={() => openModal(null)}>
+            <i className="bi bi-plus-lg me-1"></i>
+            Nuevo paquete
+          </Button>
+        )}
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" className="mb-3">
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="text-center py-3">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : bundles.length === 0 ? (
+          <p className="text-muted text-center mb-0">No hay paquetes en el catálogo</p>
+        ) : (
+          <Row xs={1} md={2} xl={3} className="g-3">
+            {bundles.map(bundle => (
+              <Col key={bundle._id}>
+                <Card className={`h-100 ${bundle.available ? '' : 'border-warning'}`}>
+                  <Card.Body>
+                    <div className="d-flex justify-content-between align-items-start mb-1">
+                      <Card.Title as="h6" className="mb-0">{bundle.name}</Card.Title>
+                      {!bundle.available && <Badge bg="warning" text="dark">No disponible</Badge>}
+                    </div>
+                    {bundle.description && <Card.Text className="small text-muted">{bundle.description}</Card.Text>}
+
+                    <ListGroup variant="flush" className="small mb-2">
+                      {bundle.items.map((item, index) => (
+                        <ListGroup.Item key={item.service?._id || index} className="px-0 py-1 d-flex justify-content-between">
+                          <span className={item.service ? '' : 'text-muted fst-italic'}>
+                            {item.quantity > 1 && `${item.quantity} × `}
+                            {item.service ? item.service.name : 'Servicio eliminado'}
+                          </span>
+                          {item.subtotal !== null && (
+                            <span className="text-muted">{formatMoney(item.subtotal, bundle.pricing.currency)}</span>
+                          )}
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+
+                    {bundle.issues.length > 0 && (
+                      <Alert variant="warning" className="small py-1 px-2 mb-2">
+                        {bundle.issues.map(issue => (
+                          <div key={String(issue.service)}>
+                            <i className="bi bi-exclamation-triangle me-1"></i>
+                            {issue.name || 'Un servicio'} está {BUNDLE_ISSUES[issue.problem]}
+                          </div>
+                        ))}
+                      </Alert>
+                    )}
+
+                    <div className="d-flex align-items-baseline gap-2">
+                      {bundle.pricing.listPrice > bundle.pricing.price && (
+                        <small className="text-muted text-decoration-line-through">
+                          {formatMoney(bundle.pricing.listPrice, bundle.pricing.currency)}
+                        </small>
+                      )}
+                      <strong>{formatMoney(bundle.pricing.price, bundle.pricing.currency)}</strong>
+                      {bundle.pricing.savings > 0 && (
+                        <Badge bg="success" className="ms-auto">
+                          Ahorro {formatMoney(bundle.pricing.savings, bundle.pricing.currency)}
+                        </Badge>
+                      )}
+                    </div>
+                  </Card.Body>
+                  {(canUpdate || canDelete) && (
+                    <Card.Footer className="bg-white d-flex justify-content-end gap-2">
+                      {canUpdate && (
+                        <Button variant="outline-secondary" size="sm" onClick={() => openModal(bundle)} title="Editar">
+                          <i className="bi bi-pencil"></i>
+                        </Button>
+                      )}
+                      {canDelete && (
+                        <Button variant="outline-danger" size="sm" onClick={() => handleDelete(bundle)} title="Eliminar">
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      )}
+                    </Card.Footer>
+                  )}
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        )}
+      </Card.Body>
+
+      <BundleModal
+        show={showModal}
+        onHide={() => {
+          setShowModal(false);
+          setEditingBundle(null);
+        }}
+        onSaved={handleSaved}
+        bundle={editingBundle}
+      />
+    </Card>
+  );
+};
+
+export default Bundles;
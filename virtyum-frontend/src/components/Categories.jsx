@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Administración de categorías de servicios
+ * @description Listado de las categorías del catálogo con su orden, color, icono y número de
+ * servicios. Solo lo ven los usuarios con el permiso categories:manage.
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Alert, Spinner, Toast, ToastContainer } from 'react-bootstrap';
+import CategoryAPI from '../services/categoryApi';
+import CategoryModal from './CategoryModal';
+
+/**
+ * Pantalla de categorías
+ * @component Categories
+ * @returns {JSX.Element} Tabla de categorías con sus acciones
+ */
+const Categories = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+
+  // Estados para notificaciones
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [toastType, setToastType] = useState('success');
+
+  /**
+   * Muestra notificaciones toast temporales
+   * @param {string} message - Mensaje a mostrar
+   * @param {string} type - Tipo de notificación (success, error)
+   */
+  const showNotification = (message, type = 'success') => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  };
+
+  /**
+   * Carga las categorías en su orden
+   * @async
+   * @function loadCategories
+   */
+  const loadCategories = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await CategoryAPI.getCategories();
+      setCategories(data.categories);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  /**
+   * Abre el modal para crear o editar
+   * @param {Object|null} category - Categoría a editar (null para crear)
+   */
+  const openModal = (category) => {
+    setEditingCategory(category);
+    setShowModal(true);
+  };
+
+  /**
+   * Cierra el modal y recarga tras guardar
+   * @async
+   * @param {Object} response - Respuesta del backend
+   */
+  const handleSaved = async (response) => {
+    setShowModal(false);
+    setEditingCategory(null);
+    showNotification(response.message);
+    await loadCategories();
+  };
+
+  /**
+   * Mueve una categoría una posición arriba o abajo
+   * @async
+   * @param {number} index - Posición actual
+   * @param {number} offset - -1 para subir, 1 para bajar
+   */
+  const moveCategory = async (index, offset) => {
+    const reordered = [...categories];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+
+    try {
+      setSaving(true);
+      const data = await CategoryAPI.reorderCategories(reordered.map(category => category._id));
+      setCategories(data.categories);
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Activa o desactiva una categoría
+   * @async
+   * @param {Object} category - Categoría a cambiar
+   */
+  const toggleActive = async (category) => {
+    try {
+      setSaving(true);
+      await CategoryAPI.updateCategory(category._id, { active: !category.active });
+      showNotification(`Categoría "${category.name}" ${category.active ? 'desactivada' : 'activada'}`);
+      await loadCategories();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Elimina una categoría sin servicios después de confirmación
+   * @async
+   * @param {Object} category - Categoría a eliminar
+   */
+  const handleDelete = async (category) => {
+    if (!window.confirm(`¿Eliminar la categoría "${category.name}"?`)) return;
+
+    try {
+      setSaving(true);
+      await CategoryAPI.deleteCategory(category._id);
+      showNotification(`Categoría "${category.name}" eliminada`);
+      await loadCategories();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Categorías</h1>
+          <p className="text-muted mb-0">Categorías del catálogo, su orden y su aspecto</p>
+        </div>
+        <Button variant="primary" onClick={() => openModal(null)}>
+          <i className="bi bi-plus-lg me-2"></i>
+          Nueva Categoría
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="danger">
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm">
+        <Card.Body className="p-0">
+          <Table hover responsive className="mb-0 align-middle">
+            <thead className="bg-light">
+              <tr>
+                <th className="border-0 ps-4">Orden</th>
+                <th className="border-0">Categoría</th>
+                <th className="border-0">Slug</th>
+                <th className="border-0 text-end">Servicios</th>
+                <th className="border-0">Estado</th>
+                <th className="border-0 text-end pe-4">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={6} className="text-center py-4">
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    Cargando...
+                  </td>
+                </tr>
+              ) : categories.length === 0 ? (
+                <tr>
+                  <td colSpan={6} className="text-center py-4 text-muted">No hay categorías</td>
+                </tr>
+              ) : (
+                categories.map((category, index) => {
+                  const usage = category.services + category.trashedServices;
+
+                  return (
+                    <tr key={category._id} className={category.active ? '' : 'text-muted'}>
+                      <td className="ps-4">
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0 me-2"
+                          onClick={() => moveCategory(index, -1)}
+                          disabled={saving || index === 0}
+                          title="Subir"
+                        >
+                          <i className="bi bi-arrow-up"></i>
+                        </Button>
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0"
+                          onClick={() => moveCategory(index, 1)}
+                          disabled={saving || index === categories.length - 1}
+                          title="Bajar"
+                        >
+                          <i className="bi bi-arrow-down"></i>
+                        </Button>
+                      </td>
+                      <td>
+                        <Badge bg={category.color} className="bg-opacity-10" text={category.color}>
+                          <i className={`bi bi-${category.icon} me-1`}></i>
+                          {category.name}
+                        </Badge>
+                      </td>
+                      <td><code>{category.slug}</code></td>
+                      <td className="text-end">
+                        {category.services}
+                        {category.trashedServices > 0 && (
+                          <small className="text-muted d-block">+{category.trashedServices} en la papelera</small>
+                        )}
+                      </td>
+                      <td>
+                        <Badge bg={category.active ? 'success' : 'secondary'}>
+                          {category.active ? 'Activa' : 'Desactivada'}
+                        </Badge>
+                      </td>
+                      <td className="text-end pe-4 text-nowrap">
+                        <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => openModal(category)} disabled={saving} title="Editar">
+                          <i className="bi bi-pencil"></i>
+                        </Button>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1"
+                          onClick={() => toggleActive(category)}
+                          disabled={saving}
+                          title={category.active ? 'Desactivar' : 'Activar'}
+                        >
+                          <i className={`bi bi-${category.active ? 'eye-slash' : 'eye'}`}></i>
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => handleDelete(category)}
+                          disabled={saving || usage > 0}
+                          title={usage > 0 ? 'Tiene servicios: desactívala en su lugar' : 'Eliminar'}
+                        >
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <CategoryModal
+        show={showModal}
+        onHide={() => {
+          setShowModal(false);
+          setEditingCategory(null);
+        }}
+        onSaved={handleSaved}
+        category={editingCategory}
+      />
+
+      {/* Toast notifications */}
+      <ToastContainer position="top-end" className="p-3" style={{ zIndex: 1050 }}>
+        <Toast
+          show={showToast}
+          onClose={() => setShowToast(false)}
+          autohide
+          delay={4000}
+          bg={toastType === 'error' ? 'danger' : 'success'}
+        >
+          <Toast.Header closeButton={false}>
+            <i className={`bi bi-${toastType === 'error' ? 'exclamation-triangle' : 'check-circle'} me-2`}></i>
+            <strong className="me-auto">
+              {toastType === 'error' ? 'Error' : 'Éxito'}
+            </strong>
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 text-white"
+              onClick={() => setShowToast(false)}
+            >
+              <i className="bi bi-x"></i>
+            </Button>
+          </Toast.Header>
+          <Toast.Body className="text-white">
+            {toastMessage}
+          </Toast.Body>
+        </Toast>
+      </ToastContainer>
+    </div>
+  );
+};
+
+export default Categories;
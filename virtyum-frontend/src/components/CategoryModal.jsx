@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Modal para crear y editar categorías de servicios
+ * @description Nombre, slug, color, icono y estado de una categoría, con una vista previa de cómo
+ * se verá en el catálogo
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner, Badge, InputGroup } from 'react-bootstrap';
+import CategoryAPI, { CATEGORY_COLORS, DEFAULT_CATEGORY_STYLE } from '../services/categoryApi';
+
+/**
+ * Formulario vacío
+ * @constant {Object} EMPTY_CATEGORY
+ */
+const EMPTY_CATEGORY = {
+  name: '',
+  slug: '',
+  color: DEFAULT_CATEGORY_STYLE.color,
+  icon: DEFAULT_CATEGORY_STYLE.icon,
+  active: true
+};
+
+/**
+ * Modal de alta y edición de categorías
+ * @component CategoryModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el modal está visible
+ * @param {Function} props.onHide - Cierra el modal
+ * @param {Function} props.onSaved - Recibe la respuesta del backend tras guardar
+ * @param {Object|null} [props.category=null] - Categoría a editar (null para crear)
+ * @returns {JSX.Element} Modal con el formulario
+ */
+const CategoryModal = ({ show, onHide, onSaved, category = null }) => {
+  const [formData, setFormData] = useState(EMPTY_CATEGORY);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!show) return;
+    setFormData(category ? {
+      name: category.name,
+      slug: category.slug,
+      color: category.color,
+      icon: category.icon,
+      active: category.active
+    } : EMPTY_CATEGORY);
+    setError(null);
+  }, [show, category]);
+
+  /**
+   * Actualiza un campo del formulario
+   * @param {Event} e - Evento del control
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  /**
+   * Guarda la categoría
+   * @async
+   * @param {Event} e - Evento de envío del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...formData,
+      // Sin slug, el backend lo genera a partir del nombre
+      slug: formData.slug.trim() || undefined,
+      icon: formData.icon.trim().replace(/^bi-/, '')
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = category
+        ? await CategoryAPI.updateCategory(category._id, payload)
+        : await CategoryAPI.createCategory(payload);
+      onSaved(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renamesServices = Boolean(category) && formData.name.trim() !== category.name && category.services + category.trashedServices > 0;
+
+  return (
+    <Modal show={show} onHide={onHide} backdrop="static">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className={`bi bi-${category ? 'pencil' : 'tags'} me-2`}></i>
+          {category ? 'Editar Categoría' : 'Nueva Categoría'}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          <Row className="g-3">
+            <Col md={7}>
+              <Form.Label>Nombre <span className="text-danger">*</span></Form.Label>
+              <Form.Control
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Ej: Email Marketing"
+                maxLength={40}
+                required
+                disabled={saving}
+              />
+            </Col>
+            <Col md={5}>
+              <Form.Label>Slug</Form.Label>
+              <Form.Control
+                name="slug"
+                value={formData.slug}
+                onChange={handleChange}
+                placeholder="Automático"
+                maxLength={40}
+                pattern="[a-z0-9]+(-[a-z0-9]+)*"
+                title="Minúsculas, números y guiones"
+                disabled={saving}
+              />
+            </Col>
+            <Col md={6}>
+              <Form.Label>Color</Form.Label>
+              <Form.Select name="color" value={formData.color} onChange={handleChange} disabled={saving}>
+                {Object.entries(CATEGORY_COLORS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={6}>
+              <Form.Label>Icono</Form.Label>
+              <InputGroup>
+                <InputGroup.Text>
+                  <i className={`bi bi-${formData.icon || DEFAULT_CATEGORY_STYLE.icon}`}></i>
+                </InputGroup.Text>
+                <Form.Control
+                  name="icon"
+                  value={formData.icon}
+                  onChange={handleChange}
+                  placeholder="laptop"
+                  disabled={saving}
+                />
+              </InputGroup>
+              <Form.Text className="text-muted">
+                Nombre de <a href="https://icons.getbootstrap.com/" target="_blank" rel="noreferrer">Bootstrap Icons</a>
+              </Form.Text>
+            </Col>
+            <Col md={12}>
+              <Form.Check
+                type="switch"
+                id="category-active"
+                name="active"
+                label="Activa (se puede asignar a servicios)"
+                checked={formData.active}
+                onChange={handleChange}
+                disabled={saving}
+              />
+            </Col>
+          </Row>
+
+          <div className="mt-3">
+            <small className="text-muted me-2">Vista previa:</small>
+            <Badge bg={formData.color} className="bg-opacity-10" text={formData.color}>
+              <i className={`bi bi-${formData.icon || DEFAULT_CATEGORY_STYLE.icon} me-1`}></i>
+              {formData.name || 'Categoría'}
+            </Badge>
+          </div>
+
+          {renamesServices && (
+            <Alert variant="info" className="small mt-3 mb-0">
+              <i className="bi bi-info-circle me-2"></i>
+              Los {category.services + category.trashedServices} servicio(s) de "{category.name}" pasarán a llamarse "{formData.name.trim()}".
+            </Alert>
+          )}
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={saving}>
+            Cancelar
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? <Spinner animation="border" size="sm" /> : (category ? 'Guardar' : 'Crear categoría')}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default CategoryModal;
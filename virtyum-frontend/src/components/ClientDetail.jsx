@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Ficha de un cliente
+ * @description Datos de contacto y servicios contratados, con la gestión de sus suscripciones
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Row, Col, Alert, Spinner, Dropdown } from 'react-bootstrap';
+import ClientAPI, { isSubscriptionActive } from '../services/clientApi';
+import TaskAPI from '../services/taskApi';
+import { formatMoney } from '../services/format';
+import ClientModal from './ClientModal';
+import SubscriptionModal from './SubscriptionModal';
+
+/**
+ * Devuelve el badge de estado de una suscripción
+ * @param {Object} subscription - Suscripción con `startDate` y `endDate`
+ * @returns {JSX.Element} Badge Vigente, Programada o Finalizada
+ */
+const getSubscriptionBadge = (subscription) => {
+  if (isSubscriptionActive(subscription)) {
+    return <Badge bg="success">Vigente</Badge>;
+  }
+  if (new Date(subscription.startDate).getTime() > Date.now()) {
+    return <Badge bg="info">Programada</Badge>;
+  }
+  return <Badge bg="secondary">Finalizada</Badge>;
+};
+
+/**
+ * Formatea una fecha de la vigencia
+ * @param {string|null} value - Fecha ISO
+ * @returns {string} Fecha local o 'Sin fin'
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Sin fin');
+
+/**
+ * Ficha de un cliente con sus suscripciones
+ * @component ClientDetail
+ * @param {Object} props - Props del componente
+ * @param {string} props.clientId - ID del cliente
+ * @param {boolean} props.canWrite - Si el usuario puede editar el cliente y sus suscripciones
+ * @param {boolean} props.canDelete - Si el usuario puede eliminar el cliente
+ * @param {boolean} props.canCreateTasks - Si el usuario puede crear las tareas de las plantillas
+ * @param {Function} props.onBack - Vuelve al listado
+ * @param {Function} props.onDeleted - Se llama tras eliminar el cliente
+ * @param {Function} props.onNotify - Muestra una notificación `(message, type)`
+ * @returns {JSX.Element} Ficha renderizada
+ */
+const ClientDetail = ({ clientId, canWrite, canDelete, canCreateTasks, onBack, onDeleted, onNotify }) => {
+  const [client, setClient] = useState(null);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [showClientModal, setShowClientModal] = useState(false);
+  const [showSubscriptionModal, setShowSubscriptionModal] = useState(false);
+  const [editingSubscription, setEditingSubscription] = useState(null);
+
+  /**
+   * Carga el cliente y sus suscripciones
+   * @async
+   */
+  const loadClient = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ClientAPI.getClientById(clientId);
+      setClient(data.client);
+      setSubscriptions(data.subscriptions);
+    } catch (err) {
+      console.error('Error al cargar el cliente:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    loadClient();
+  }, [loadClient]);
+
+  /**
+   * Elimina el cliente y sus suscripciones tras confirmación
+   */
+  const handleDeleteClient = async () => {
+    const confirmed = window.confirm(
+      `¿Eliminar el cliente "${client.company}"?\n\nSe eliminarán también sus ${subscriptions.length} suscripción(es).`
+    );
+    if (!confirmed) return;
+
+    try {
+      setBusyId(client._id);
+      await ClientAPI.deleteClient(client._id);
+      onNotify(`Cliente "${client.company}" eliminado`);
+      onDeleted();
+    } catch (err) {
+      onNotify(err.message, 'error');
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Abre el modal de suscripción
+   * @param {Object|null} subscription - Suscripción a editar (null para crear)
+   */
+  const openSubscriptionModal = (subscription = null) => {
+    setEditingSubscription(subscription);
+    setShowSubscriptionModal(true);
+  };
+
+  /**
+   * Finaliza hoy una suscripción conservando el registro
+   * @param {Object} subscription - Suscripción vigente
+   */
+  const handleEndSubscription = async (subscription) => {
+    try {
+      setBusyId(subscription._id);
+      await ClientAPI.updateSubscription(client._id, subscription._id, {
+        endDate: new Date().toISOString()
+      });
+      await loadClient();
+      onNotify('Suscripción finalizada');
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Crea las tareas de la plantilla del servicio para una suscripción anterior a la plantilla
+   * @param {Object} subscription - Suscripción
+   */
+  const handleCreateTemplateTasks = async (subscription) => {
+    try {
+      setBusyId(subscription._id);
+      const { message } = await TaskAPI.createFromTemplate(subscription._id);
+      onNotify(message);
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Elimina una suscripción tras confirmación
+   * @param {Object} subscription - Suscripción a eliminar
+   */
+  const handleDeleteSubscription = async (subscription) => {
+    const confirmed = window.confirm(
+      `¿Eliminar la suscripción a "${subscription.service?.name || 'servicio eliminado'}"?\n\n` +
+      'Para conservar el historial, finalízala en lugar de eliminarla.'
+    );
+    if (!confirmed) return;
+
+    try {
+      setBusyId(subscription._id);
+      await ClientAPI.deleteSubscription(client._id, subscription._id);
+      await loadClient();
+      onNotify('Suscripción eliminada');
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && !client) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" className="me-2" />
+        Cargando cliente...
+      </div>
+    );
+  }
+
+  if (!client) {
+    return (
+      <div>
+        <Button variant="link" className="px-0 mb-3" onClick={onBack}>
+          <i className="bi bi-arrow-left me-1"></i>
+          Volver a clientes
+        </Button>
+        <Alert variant="danger">
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      </div>
+    );
+  }
+
+  const activeCount = subscriptions.filter(isSubscriptionActive).length;
+  const activeTotal = subscriptions
+    .filter(isSubscriptionActive)
+    .reduce((sum, subscription) => sum + subscription.agreedPrice, 0);
+
+  return (
+    <div>
+      <Button variant="link" className="px-0 mb-3" onClick={onBack}>
+        <i className="bi bi-arrow-left me-1"></i>
+        Volver a clientes
+      </Button>
+
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-start mb-4">
+        <div>
+          <h1 className="h3 mb-0">{client.company}</h1>
+          <p className="text-muted mb-0">
+            {client.taxId || 'Sin identificación fiscal'} · cliente desde {new Date(client.createdAt).toLocaleDateString()}
+          </p>
+        </div>
+        <div className="d-flex gap-2">
+          {canWrite && (
+            <Button variant="outline-primary" onClick={() => setShowClientModal(true)}>
+              <i className="bi bi-pencil me-2"></i>
+              Editar
+            </Button>
+          )}
+          {canDelete && (
+            <Button variant="outline-danger" onClick={handleDeleteClient} disabled={busyId === client._id}>
+              <i className="bi bi-trash me-2"></i>
+              Eliminar
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Row className="g-4 mb-4">
+        {/* Contacto */}
+        <Col lg={8}>
+          <Card className="border-0 shadow-sm h-100">
+            <Card.Body>
+              <h6 className="text-muted text-uppercase small mb-3">Contacto</h6>
+              <Row>
+                <Col sm={6} className="mb-2">
+                  <i className="bi bi-person me-2 text-muted"></i>
+                  {client.contactName || '—'}
+                </Col>
+                <Col sm={6} className="mb-2">
+                  <i className="bi bi-telephone me-2 text-muted"></i>
+                  {client.phone || '—'}
+                </Col>
+                <Col sm={12} className="mb-2">
+                  <i className="bi bi-envelope me-2 text-muted"></i>
+                  {client.email ? <a href={`mailto:${client.email}`}>{client.email}</a> : '—'}
+                </Col>
+              </Row>
+              {client.notes && (
+                <p className="text-muted small mb-0 mt-2" style={{ whiteSpace: 'pre-line' }}>{client.notes}</p>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        {/* Resumen */}
+        <Col lg={4}>
+          <Card className="border-0 shadow-sm h-100">
+            <Card.Body>
+              <h6 className="text-muted text-uppercase small mb-3">Resumen</h6>
+              <div className="d-flex justify-content-between mb-2">
+                <span>Suscripciones vigentes</span>
+                <strong>{activeCount}</strong>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Importe pactado vigente</span>
+                <strong className="text-success">{formatMoney(activeTotal)}</strong>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {/* Suscripciones */}
+      <Card className="border-0 shadow-sm">
+        <Card.Header className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Servicios contratados</h5>
+          {canWrite && (
+            <Button variant="primary" size="sm" onClick={() => openSubscriptionModal()}>
+              <i className="bi bi-plus-lg me-1"></i>
+              Añadir servicio
+            </Button>
+          )}
+        </Card.Header>
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th className="border-0 py-3 px-4">Servicio</th>
+                <th className="border-0 py-3">Vigencia</th>
+                <th className="border-0 py-3">Precio pactado</th>
+                <th className="border-0 py-3">Estado</th>
+                {canWrite && <th className="border-0 py-3 text-end px-4">Acciones</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.length === 0 ? (
+                <tr>
+                  <td colSpan={canWrite ? 5 : 4} className="text-center py-5 text-muted">
+                    <i className="bi bi-link-45deg display-6 d-block mb-2"></i>
+                    Este cliente no tiene servicios contratados
+                  </td>
+                </tr>
+              ) : (
+                subscriptions.map(subscription => (
+                  <tr key={subscription._id}>
+                    <td className="py-3 px-4">
+                      {subscription.service ? (
+                        <>
+                          <h6 className="mb-0">{subscription.service.name}</h6>
+                          <small className="text-muted">
+                            {subscription.service.category} · {subscription.service.duration}
+                          </small>
+                        </>
+                      ) : (
+                        <span className="text-muted fst-italic">Servicio en la papelera</span>
+                      )}
+                      {subscription.notes && (
+                        <small className="d-block text-muted">{subscription.notes}</small>
+                      )}
+                    </td>
+                    <td className="py-3">
+                      <small>{formatDate(subscription.startDate)} → {formatDate(subscription.endDate)}</small>
+                    </td>
+                    <td className="py-3">
+                      <strong className="text-success">{formatMoney(subscription.agreedPrice)}</strong>
+                      {subscription.service && subscription.service.price !== subscription.agreedPrice && (
+                        <small className="d-block text-muted">
+                          Catálogo: {formatMoney(subscription.service.price, subscription.service.currency)}
+                        </small>
+                      )}
+                    </td>
+                    <td className="py-3">{getSubscriptionBadge(subscription)}</td>
+                    {canWrite && (
+                      <td className="py-3 text-end px-4">
+                        <Dropdown>
+                          <Dropdown.Toggle
+                            variant="outline-secondary"
+                            size="sm"
+                            className="border-0"
+                            disabled={busyId === subscription._id}
+                          >
+                            <i className="bi bi-three-dots"></i>
+                          </Dropdown.Toggle>
+                          <Dropdown.Menu>
+                            <Dropdown.Item
+                              onClick={() => openSubscriptionModal(subscription)}
+                              disabled={!subscription.service}
+                            >
+                              <i className="bi bi-pencil me-2"></i>Editar
+                            </Dropdown.Item>
+                            {isSubscriptionActive(subscription) && (
+                              <Dropdown.Item onClick={() => handleEndSubscription(subscription)}>
+                                <i className="bi bi-stop-circle me-2"></i>Finalizar hoy
+                              </Dropdown.Item>
+                            )}
+                            {canCreateTasks && subscription.service && (
+                              <Dropdown.Item onClick={() => handleCreateTemplateTasks(subscription)}>
+                                <i className="bi bi-list-check me-2"></i>Crear tareas de la plantilla
+                              </Dropdown.Item>
+                            )}
+                            <Dropdown.Divider />
+                            <Dropdown.Item onClick={() => handleDeleteSubscription(subscription)} className="text-danger">
+                              <i className="bi bi-trash me-2"></i>Eliminar
+                            </Dropdown.Item>
+                          </Dropdown.Menu>
+                        </Dropdown>
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <ClientModal
+        show={showClientModal}
+        onHide={() => setShowClientModal(false)}
+        onSaved={({ client: updated }) => {
+          setClient(updated);
+          onNotify('Cliente actualizado exitosamente');
+        }}
+        editingClient={client}
+      />
+
+      <SubscriptionModal
+        show={showSubscriptionModal}
+        onHide={() => setShowSubscriptionModal(false)}
+        onSaved={({ message }) => {
+          loadClient();
+          onNotify(message);
+        }}
+        clientId={client._id}
+        editingSubscription={editingSubscription}
+      />
+    </div>
+  );
+};
+
+export default ClientDetail;
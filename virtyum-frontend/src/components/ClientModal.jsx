@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Modal para crear y editar clientes
+ * @description Formulario modal con validación para los datos de contacto de un cliente
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import ClientAPI, { ClientValidation } from '../services/clientApi';
+
+/**
+ * Valores iniciales del formulario
+ * @constant {Object} EMPTY_CLIENT
+ */
+const EMPTY_CLIENT = {
+  company: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  taxId: '',
+  notes: ''
+};
+
+/**
+ * Modal para crear y editar clientes
+ * @component ClientModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el modal está visible
+ * @param {Function} props.onHide - Función para cerrar el modal
+ * @param {Function} props.onSaved - Recibe la respuesta del backend al crear o actualizar
+ * @param {Object|null} props.editingClient - Cliente a editar (null para crear uno nuevo)
+ * @returns {JSX.Element} Componente modal renderizado
+ *
+ * @example
+ * <ClientModal
+ *   show={showModal}
+ *   onHide={() => setShowModal(false)}
+ *   onSaved={({ client }) => loadClients()}
+ *   editingClient={null}
+ * />
+ */
+const ClientModal = ({ show, onHide, onSaved, editingClient = null }) => {
+  const [formData, setFormData] = useState(EMPTY_CLIENT);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [alertMessage, setAlertMessage] = useState(null);
+
+  const isEditing = Boolean(editingClient?._id);
+
+  /**
+   * Carga los datos del cliente al abrir el modal
+   */
+  useEffect(() => {
+    setFormData(editingClient
+      ? Object.fromEntries(Object.keys(EMPTY_CLIENT).map(field => [field, editingClient[field] || '']))
+      : EMPTY_CLIENT);
+    setErrors([]);
+    setAlertMessage(null);
+  }, [editingClient, show]);
+
+  /**
+   * Maneja cambios en los campos del formulario
+   * @param {Event} e - Evento del input
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Valida y envía el formulario
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = ClientValidation.validateClientData(formData);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setErrors([]);
+    setAlertMessage(null);
+    setLoading(true);
+
+    try {
+      const response = isEditing
+        ? await ClientAPI.updateClient(editingClient._id, formData)
+        : await ClientAPI.createClient(formData);
+      onSaved?.(response);
+      onHide();
+    } catch (error) {
+      console.error('Error al guardar cliente:', error);
+      setAlertMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg" backdrop="static" keyboard={false}>
+      <Modal.Header closeButton={!loading}>
+        <Modal.Title>
+          <i className={`bi bi-${isEditing ? 'pencil' : 'person-plus'} me-2`}></i>
+          {isEditing ? 'Editar Cliente' : 'Nuevo Cliente'}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {alertMessage && (
+            <Alert variant="danger" dismissible onClose={() => setAlertMessage(null)} className="mb-3">
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {alertMessage}
+            </Alert>
+          )}
+
+          {errors.length > 0 && (
+            <Alert variant="danger" className="mb-3">
+              <Alert.Heading>
+                <i className="bi bi-exclamation-triangle me-2"></i>
+                Errores de Validación
+              </Alert.Heading>
+              <ul className="mb-0">
+                {errors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </Alert>
+          )}
+
+          <Row>
+            {/* Empresa */}
+            <Col md={8} className="mb-3">
+              <Form.Group>
+                <Form.Label>
+                  Empresa <span className="text-danger">*</span>
+                </Form.Label>
+                <Form.Control
+                  type="text"
+                  name="company"
+                  value={formData.company}
+                  onChange={handleInputChange}
+                  placeholder="Ej: Acme S.A."
+                  maxLength={120}
+                  required
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+
+            {/* Identificación fiscal */}
+            <Col md={4} className="mb-3">
+              <Form.Group>
+                <Form.Label>Identificación fiscal</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="taxId"
+                  value={formData.taxId}
+                  onChange={handleInputChange}
+                  placeholder="CIF, NIF, RUT..."
+                  maxLength={30}
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+
+            {/* Contacto */}
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Persona de contacto</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="contactName"
+                  value={formData.contactName}
+                  onChange={handleInputChange}
+                  maxLength={100}
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+
+            {/* Teléfono */}
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Teléfono</Form.Label>
+                <Form.Control
+                  type="tel"
+                  name="phone"
+                  value={formData.phone}
+                  onChange={handleInputChange}
+                  maxLength={30}
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+
+            {/* Email */}
+            <Col md={12} className="mb-3">
+              <Form.Group>
+                <Form.Label>Email</Form.Label>
+                <Form.Control
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  placeholder="compras@empresa.com"
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+
+            {/* Notas */}
+            <Col md={12} className="mb-3">
+              <Form.Group>
+                <Form.Label>Notas internas</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={3}
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  maxLength={1000}
+                  disabled={loading}
+                />
+                <Form.Text className="text-muted">
+                  {formData.notes.length}/1000 caracteres
+                </Form.Text>
+              </Form.Group>
+            </Col>
+          </Row>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            Cancelar
+          </Button>
+          <Button variant="primary" type="submit" disabled={loading}>
+            {loading ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                {isEditing ? 'Actualizando...' : 'Creando...'}
+              </>
+            ) : (
+              <>
+                <i className={`bi bi-${isEditing ? 'check-lg' : 'plus-lg'} me-2`}></i>
+                {isEditing ? 'Actualizar Cliente' : 'Crear Cliente'}
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ClientModal;
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Gestión de clientes
+ * @description Listado con búsqueda y paginación, alta de clientes y acceso a la ficha de cada uno
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, InputGroup, Alert, Spinner, Toast, ToastContainer, Pagination } from 'react-bootstrap';
+import ClientAPI from '../services/clientApi';
+import ClientModal from './ClientModal';
+import ClientDetail from './ClientDetail';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
+
+/**
+ * Clientes por página
+ * @constant {number} CLIENTS_PAGE_SIZE
+ */
+const CLIENTS_PAGE_SIZE = 20;
+
+/**
+ * Página de clientes
+ * @component Clients
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado (con su lista de permisos)
+ * @param {Object|null} [props.serviceFilter] - Servicio (`_id`, `name`) cuyos clientes se listan
+ * @param {Function} [props.onClearServiceFilter] - Quita el filtro por servicio
+ * @returns {JSX.Element} Listado de clientes o ficha del cliente seleccionado
+ */
+const Clients = ({ user, serviceFilter = null, onClearServiceFilter }) => {
+  const canWrite = hasPermission(user, PERMISSIONS.CLIENTS_WRITE);
+  const canDelete = hasPermission(user, PERMISSIONS.CLIENTS_DELETE);
+  const canCreateTasks = hasPermission(user, PERMISSIONS.TASKS_WRITE);
+
+  const [clients, setClients] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 0, hasNextPage: false, hasPrevPage: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedClientId, setSelectedClientId] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+
+  // Estados para notificaciones
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [toastType, setToastType] = useState('success');
+
+  /**
+   * Muestra notificaciones toast temporales
+   * @param {string} message - Mensaje a mostrar
+   * @param {string} type - Tipo de notificación (success, error)
+   */
+  const showNotification = (message, type = 'success') => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  };
+
+  /**
+   * Carga la página actual de clientes
+   * @async
+   */
+  const loadClients = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ClientAPI.getClients({
+        q: searchTerm.trim(),
+        service: serviceFilter?._id,
+        page,
+        limit: CLIENTS_PAGE_SIZE
+      });
+
+      // Si la página quedó vacía tras eliminar, volver a la última con datos
+      if (data.clients.length === 0 && page > 1 && data.pagination.totalPages > 0) {
+        setPage(data.pagination.totalPages);
+        return;
+      }
+
+      setClients(data.clients);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Error al cargar clientes:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [searchTerm, serviceFilter, page]);
+
+  /**
+   * Recarga al cambiar búsqueda, filtro o página; se espera un momento para no lanzar
+   * una petición por cada tecla
+   */
+  useEffect(() => {
+    if (selectedClientId) return undefined;
+    const timeoutId = setTimeout(loadClients, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadClients, selectedClientId]);
+
+  // Un filtro nuevo siempre empieza en la primera página del listado
+  useEffect(() => {
+    setPage(1);
+    setSelectedClientId(null);
+  }, [serviceFilter]);
+
+  /**
+   * Renderiza las notificaciones (compartidas por el listado y la ficha)
+   * @returns {JSX.Element} Contenedor de toasts
+   */
+  const renderToast = () => (
+    <ToastContainer position="top-end" className="p-3" style={{ zIndex: 1050 }}>
+      <Toast
+        show={showToast}
+        onClose={() => setShowToast(false)}
+        autohide
+        delay={4000}
+        bg={toastType === 'error' ? 'danger' : 'success'}
+      >
+        <Toast.Header closeButton={false}>
+          <i className={`bi bi-${toastType === 'error' ? 'exclamation-triangle' : 'check-circle'} me-2`}></i>
+          <strong className="me-auto">
+            {toastType === 'error' ? 'Error' : 'Éxito'}
+          </strong>
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 text-white"
+            onClick={() => setShowToast(false)}
+          >
+            <i className="bi bi-x"></i>
+          </Button>
+        </Toast.Header>
+        <Toast.Body className="text-white">
+          {toastMessage}
+        </Toast.Body>
+      </Toast>
+    </ToastContainer>
+  );
+
+  if (selectedClientId) {
+    return (
+      <>
+        <ClientDetail
+          clientId={selectedClientId}
+          canWrite={canWrite}
+          canDelete={canDelete}
+          canCreateTasks={canCreateTasks}
+          onBack={() => setSelectedClientId(null)}
+          onDeleted={() => setSelectedClientId(null)}
+          onNotify={showNotification}
+        />
+        {renderToast()}
+      </>
+    );
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Clientes</h1>
+          <p className="text-muted mb-0">Empresas y servicios que tienen contratados</p>
+        </div>
+        {canWrite && (
+          <Button variant="primary" onClick={() => setShowModal(true)}>
+            <i className="bi bi-person-plus me-2"></i>
+            Nuevo Cliente
+          </Button>
+        )}
+      </div>
+
+      {serviceFilter && (
+        <Alert variant="info" className="d-flex justify-content-between align-items-center mb-4">
+          <span>
+            <i className="bi bi-funnel me-2"></i>
+            Clientes con suscripción vigente a <strong>{serviceFilter.name}</strong>
+          </span>
+          <Button variant="outline-info" size="sm" onClick={onClearServiceFilter}>
+            <i className="bi bi-x-lg me-1"></i>
+            Ver todos
+          </Button>
+        </Alert>
+      )}
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm">
+        <Card.Header className="bg-white border-0 py-3">
+          <InputGroup style={{ maxWidth: '420px' }}>
+            <InputGroup.Text className="bg-white">
+              <i className="bi bi-search"></i>
+            </InputGroup.Text>
+            <Form.Control
+              type="search"
+              placeholder="Buscar por empresa, contacto, email o identificación fiscal..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setPage(1);
+              }}
+            />
+          </InputGroup>
+        </Card.Header>
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th className="border-0 py-3 px-4">Empresa</th>
+                <th className="border-0 py-3">Contacto</th>
+                <th className="border-0 py-3">Identificación fiscal</th>
+                <th className="border-0 py-3">Suscripciones vigentes</th>
+                <th className="border-0 py-3 text-end px-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="5" className="text-center py-5">
+                    <Spinner animation="border" className="me-2" />
+                    Cargando clientes...
+                  </td>
+                </tr>
+              ) : clients.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="text-center py-5 text-muted">
+                    <i className="bi bi-people display-6 d-block mb-2"></i>
+                    {searchTerm || serviceFilter ? 'Ningún cliente coincide con el filtro' : 'Todavía no hay clientes'}
+                  </td>
+                </tr>
+              ) : (
+                clients.map(client => (
+                  <tr key={client._id} role="button" onClick={() => setSelectedClientId(client._id)}>
+                    <td className="py-3 px-4">
+                      <h6 className="mb-0">{client.company}</h6>
+                      {client.email && <small className="text-muted">{client.email}</small>}
+                    </td>
+                    <td className="py-3">
+                      <div>{client.contactName || '—'}</div>
+                      {client.phone && <small className="text-muted">{client.phone}</small>}
+                    </td>
+                    <td className="py-3">
+                      <small>{client.taxId || '—'}</small>
+                    </td>
+                    <td className="py-3">
+                      <Badge bg={client.activeSubscriptions > 0 ? 'success' : 'secondary'}>
+                        {client.activeSubscriptions}
+                      </Badge>
+                    </td>
+                    <td className="py-3 text-end px-4">
+                      <i className="bi bi-chevron-right text-muted"></i>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+        {pagination.totalPages > 1 && (
+          <Card.Footer className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+            <small className="text-muted">{pagination.total} clientes</small>
+            <Pagination className="mb-0">
+              <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+              <Pagination.Item active>{pagination.page}</Pagination.Item>
+              <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+            </Pagination>
+          </Card.Footer>
+        )}
+      </Card>
+
+      <ClientModal
+        show={showModal}
+        onHide={() => setShowModal(false)}
+        onSaved={({ client }) => {
+          showNotification(`Cliente "${client.company}" creado exitosamente`);
+          setSelectedClientId(client._id);
+        }}
+      />
+
+      {renderToast()}
+    </div>
+  );
+};
+
+export default Clients;
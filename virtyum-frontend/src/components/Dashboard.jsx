@@ -5,47 +5,116 @@
  * @version 2.0.0 - Conectado con backend de servicios
  */
 
-import { useState, useEffect } from 'react';
-import { Card, Row, Col, Badge, Spinner, Alert, Button } from 'react-bootstrap';
-import ServiceAPI from '../services/serviceApi';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Card, Row, Col, Badge, Spinner, Alert, Button, Form, Table } from 'react-bootstrap';
+import ServiceAPI, { SERVICE_EXPORT_FORMATS, STATS_GRANULARITIES, STATS_HISTORY_RANGES } from '../services/serviceApi';
+import { BASE_CURRENCY, CURRENCIES } from '../services/currencyApi';
+import CategoryAPI, { getCategoryStyle } from '../services/categoryApi';
+import { formatMoney, formatCompactMoney } from '../services/format';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
+import { subscribeToCatalogEvents, describeServiceEvent } from '../services/realtime';
+import ActivityFeed from './ActivityFeed';
+import ExportMenu from './ExportMenu';
+import ExchangeRatesModal from './ExchangeRatesModal';
+import TrendChart from './TrendChart';
+
+/**
+ * Opciones del menú de exportación: informe de estadísticas y catálogo completo
+ * @constant {Array<Object>} DASHBOARD_EXPORTS
+ */
+const DASHBOARD_EXPORTS = [
+  { key: 'report', label: 'Informe de estadísticas (PDF)', icon: 'file-earmark-bar-graph', header: 'Estadísticas' },
+  ...SERVICE_EXPORT_FORMATS.map((format, index) => ({
+    ...format,
+    header: index === 0 ? 'Catálogo completo' : undefined
+  }))
+];
+
+/**
+ * Series del gráfico de servicios por estado (mismos colores que los badges de estado)
+ * @constant {Array<Object>} STATUS_SERIES
+ */
+const STATUS_SERIES = [
+  { key: 'active', label: 'Activos', color: 'success' },
+  { key: 'new', label: 'Nuevos', color: 'primary' },
+  { key: 'paused', label: 'Pausados', color: 'warning' },
+  { key: 'inactive', label: 'Inactivos', color: 'secondary' }
+];
+
+/**
+ * Fecha local en formato YYYY-MM-DD de hace unos días
+ * @param {number} days - Días hacia atrás
+ * @returns {string} Fecha para los parámetros de la API
+ */
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Etiqueta del eje X de un periodo de la evolución
+ * @param {string} date - Inicio del periodo (UTC)
+ * @param {string} granularity - day, week o month
+ * @returns {string} Etiqueta como "3 mar" o "mar 2025"
+ */
+const formatPeriod = (date, granularity) => new Date(date).toLocaleDateString(undefined, granularity === 'month'
+  ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+  : { day: 'numeric', month: 'short', timeZone: 'UTC' });
 
 /**
  * Componente Dashboard principal
  * @component Dashboard
- * @description Muestra estadísticas en tiempo real de servicios de marketing
+ * @description Muestra estadísticas en tiempo real de servicios de marketing. Los importes se
+ * expresan en la moneda de informe elegida, convirtiendo cada precio con los tipos de cambio.
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado (permisos)
  * @returns {JSX.Element} Dashboard con métricas actualizadas
  */
-const Dashboard = () => {
+const Dashboard = ({ user }) => {
   // Estados para datos del backend
   const [stats, setStats] = useState({
     overview: { totalServices: 0, activeServices: 0, newServices: 0, pausedServices: 0 },
     clients: { totalClients: 0 },
     categories: { totalCategories: 0, availableCategories: [] },
-    pricing: { averagePrice: 0, minPrice: 0, maxPrice: 0 }
+    pricing: { currency: BASE_CURRENCY, averagePrice: 0, minPrice: 0, maxPrice: 0 }
   });
 
   const [recentServices, setRecentServices] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [showRates, setShowRates] = useState(false);
+  const [live, setLive] = useState(false);
+  const [lastRemoteChange, setLastRemoteChange] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [historyDays, setHistoryDays] = useState(90);
+  const [granularity, setGranularity] = useState('day');
+  const [historyLoading, setHistoryLoading] = useState(true);
+  const [historyError, setHistoryError] = useState(null);
 
   /**
    * Carga las estadísticas y servicios recientes desde el backend
    * @async
    * @function loadDashboardData
    */
-  const loadDashboardData = async () => {
+  const loadDashboardData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
       
-      const [statsData, servicesData] = await Promise.all([
-        ServiceAPI.getServiceStats(),
-        ServiceAPI.getAllServices()
+      const [statsData, servicesData, categoriesData] = await Promise.all([
+        ServiceAPI.getServiceStats({ currency }),
+        ServiceAPI.getAllServices({ limit: 5, sortBy: 'createdAt', order: 'desc' }),
+        CategoryAPI.getCategories()
       ]);
       
       setStats(statsData);
-      // Tomar los 5 servicios más recientes
-      setRecentServices(servicesData.slice(0, 5));
+      setCategories(categoriesData.categories);
+      // Los 5 servicios más recientes
+      setRecentServices(servicesData.services);
       
     } catch (err) {
       console.error('Error al cargar datos del dashboard:', err);
@@ -53,14 +122,125 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
+  }, [currency]);
+
+  /**
+   * Carga la evolución de las estadísticas del rango elegido
+   * @async
+   */
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistoryLoading(true);
+      setHistoryError(null);
+      setHistory(await ServiceAPI.getStatsHistory({ from: daysAgo(historyDays), granularity }));
+    } catch (err) {
+      setHistoryError(err.message);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, [historyDays, granularity]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  /**
+   * Cambia el rango de la evolución y, si la granularidad actual no cabe en él, usa la primera
+   * que sí
+   * @param {number} days - Días del rango
+   */
+  const handleHistoryRangeChange = (days) => {
+    const { granularities } = STATS_HISTORY_RANGES.find(range => range.days === days);
+    setHistoryDays(days);
+    if (!granularities.includes(granularity)) {
+      setGranularity(granularities[0]);
+    }
+  };
+
+  /**
+   * Recarga las estadísticas sin mostrar los indicadores de carga
+   * @async
+   */
+  const refreshStats = useCallback(async () => {
+    try {
+      setStats(await ServiceAPI.getServiceStats({ currency }));
+    } catch (err) {
+      console.error('Error al actualizar estadísticas:', err);
+    }
+  }, [currency]);
+
+  /**
+   * Atiende un evento del canal en tiempo real: las estadísticas se recalculan en el backend y
+   * la lista de recientes se actualiza con el servicio recibido
+   * @param {string} event - Nombre del evento
+   * @param {Object} data - Datos del evento
+   */
+  const handleCatalogEvent = (event, data) => {
+    if (event === 'ready') {
+      setLive(true);
+      if (data.reconnected) loadDashboardData();
+      return;
+    }
+    if (event === 'disconnected') {
+      setLive(false);
+      return;
+    }
+    if (event === 'stats') {
+      refreshStats();
+      return;
+    }
+    if (event === 'services:reload') {
+      loadDashboardData();
+      return;
+    }
+    if (event !== 'service') return;
+
+    const { action, serviceId, service } = data;
+    if (action === 'create' && service) {
+      setRecentServices(prev => [service, ...prev.filter(item => item._id !== serviceId)].slice(0, 5));
+    } else if (action === 'update' && service) {
+      setRecentServices(prev => prev.map(item => (item._id === serviceId ? service : item)));
+    } else if (action === 'delete' || action === 'purge' || action === 'restore') {
+      // El hueco o el servicio restaurado dependen del orden por fecha: se vuelve a pedir la lista
+      ServiceAPI.getAllServices({ limit: 5, sortBy: 'createdAt', order: 'desc' })
+        .then(servicesData => setRecentServices(servicesData.services))
+        .catch(err => console.error('Error al actualizar servicios recientes:', err));
+    }
+    if (data.actor._id !== user?._id) {
+      setLastRemoteChange({ text: `${data.serviceName}: ${describeServiceEvent(data)}`, at: new Date(data.at) });
+    }
+  };
+
+  // El canal se abre una vez; el manejador se lee de la ref para usar siempre el estado actual
+  const catalogEventHandler = useRef(handleCatalogEvent);
+  useEffect(() => {
+    catalogEventHandler.current = handleCatalogEvent;
+  });
+  useEffect(() => subscribeToCatalogEvents((event, data) => catalogEventHandler.current(event, data)), []);
+
+  /**
+   * Descarga el informe de estadísticas o el catálogo completo
+   * @param {string} key - report, o un formato de exportación del catálogo
+   */
+  const handleExport = async (key) => {
+    try {
+      setExportError(null);
+      if (key === 'report') {
+        await ServiceAPI.downloadStatsReport({ currency });
+      } else {
+        await ServiceAPI.exportServices({}, key);
+      }
+    } catch (err) {
+      setExportError(err.message);
+    }
   };
 
   /**
-   * Efecto para cargar datos al montar el componente
+   * Efecto para cargar datos al montar el componente y al cambiar de moneda
    */
   useEffect(() => {
     loadDashboardData();
-  }, []);
+  }, [loadDashboardData]);
 
   /**
    * Configuración de las cards de estadísticas principales
@@ -85,11 +265,11 @@ const Dashboard = () => {
       value: loading ? <Spinner animation="border" size="sm" /> : stats.clients.totalClients,
       icon: 'bi-people',
       color: 'info',
-      description: 'Clientes atendidos'
+      description: 'Con suscripción vigente'
     },
     {
       title: 'Precio Promedio',
-      value: loading ? <Spinner animation="border" size="sm" /> : `$${stats.pricing.averagePrice.toLocaleString()}`,
+      value: loading ? <Spinner animation="border" size="sm" /> : formatMoney(stats.pricing.averagePrice, stats.pricing.currency),
       icon: 'bi-currency-dollar',
       color: 'warning',
       description: 'Valor promedio'
@@ -135,10 +315,36 @@ const Dashboard = () => {
         <div>
           <h1 className="h3 mb-0">Dashboard</h1>
           <p className="text-muted mb-0">Bienvenido de vuelta, aquí tienes un resumen de tus servicios de marketing</p>
+          {lastRemoteChange && (
+            <small className="text-muted" title="Cambio recibido en tiempo real">
+              <i className="bi bi-broadcast me-1"></i>
+              {lastRemoteChange.text} · {lastRemoteChange.at.toLocaleTimeString()}
+            </small>
+          )}
         </div>
         <div className="d-flex gap-2">
-          <Badge bg={error ? 'danger' : 'success'} className="fs-6">
-            {error ? 'Error de conexión' : 'En línea'}
+          <Form.Select
+            size="sm"
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            title="Moneda de los importes"
+            style={{ width: 'auto' }}
+          >
+            {Object.entries(CURRENCIES).map(([code, label]) => (
+              <option key={code} value={code}>{code} · {label}</option>
+            ))}
+          </Form.Select>
+          <Button variant="outline-secondary" size="sm" onClick={() => setShowRates(true)} title="Tipos de cambio">
+            <i className="bi bi-currency-exchange"></i>
+          </Button>
+          <ExportMenu items={DASHBOARD_EXPORTS} onSelect={handleExport} size="sm" disabled={loading || !!error} />
+          <Badge
+            bg={error ? 'danger' : 'success'}
+            className="fs-6 d-flex align-items-center"
+            title={live ? 'Los cambios de otros usuarios se muestran al momento' : undefined}
+          >
+            {live && !error && <i className="bi bi-broadcast me-1"></i>}
+            {error ? 'Error de conexión' : live ? 'En vivo' : 'En línea'}
           </Badge>
           {error && (
             <Button variant="outline-primary" size="sm" onClick={loadDashboardData}>
@@ -149,6 +355,13 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {exportError && (
+        <Alert variant="warning" className="mb-4" dismissible onClose={() => setExportError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {exportError}
+        </Alert>
+      )}
+
       {/* Error Alert */}
       {error && (
         <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
@@ -223,7 +436,7 @@ const Dashboard = () => {
                 <i className="bi bi-currency-dollar fs-4 text-success"></i>
               </div>
               <h5 className="mb-1">
-                {loading ? <Spinner animation="border" size="sm" /> : `$${stats.pricing.maxPrice.toLocaleString()}`}
+                {loading ? <Spinner animation="border" size="sm" /> : formatMoney(stats.pricing.maxPrice, stats.pricing.currency)}
               </h5>
               <small className="text-muted">Precio Máximo</small>
             </Card.Body>
@@ -236,7 +449,7 @@ const Dashboard = () => {
                 <i className="bi bi-currency-dollar fs-4 text-warning"></i>
               </div>
               <h5 className="mb-1">
-                {loading ? <Spinner animation="border" size="sm" /> : `$${stats.pricing.minPrice.toLocaleString()}`}
+                {loading ? <Spinner animation="border" size="sm" /> : formatMoney(stats.pricing.minPrice, stats.pricing.currency)}
               </h5>
               <small className="text-muted">Precio Mínimo</small>
             </Card.Body>
@@ -244,6 +457,102 @@ const Dashboard = () => {
         </Col>
       </Row>
 
+      {/* Tendencias (instantáneas diarias de las estadísticas) */}
+      <Row className="g-4 mb-4">
+        <Col lg={12}>
+          <Card className="border-0 shadow-sm">
+            <Card.Header className="bg-white border-0 py-3">
+              <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+                <h5 className="mb-0">Tendencias</h5>
+                <div className="d-flex align-items-center gap-2">
+                  {historyLoading && <Spinner animation="border" size="sm" />}
+                  <Form.Select
+                    size="sm"
+                    value={historyDays}
+                    onChange={(e) => handleHistoryRangeChange(Number(e.target.value))}
+                    style={{ width: 'auto' }}
+                  >
+                    {STATS_HISTORY_RANGES.map(range => (
+                      <option key={range.days} value={range.days}>{range.label}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Select
+                    size="sm"
+                    value={granularity}
+                    onChange={(e) => setGranularity(e.target.value)}
+                    style={{ width: 'auto' }}
+                  >
+                    {STATS_HISTORY_RANGES.find(range => range.days === historyDays).granularities.map(value => (
+                      <option key={value} value={value}>{STATS_GRANULARITIES[value]}</option>
+                    ))}
+                  </Form.Select>
+                </div>
+              </div>
+            </Card.Header>
+            <Card.Body>
+              {historyError ? (
+                <Alert variant="warning" className="mb-0 d-flex justify-content-between align-items-center">
+                  <span>
+                    <i className="bi bi-exclamation-triangle me-2"></i>
+                    {historyError}
+                  </span>
+                  <Button variant="outline-warning" size="sm" onClick={loadHistory}>
+                    <i className="bi bi-arrow-clockwise me-1"></i>
+                    Reintentar
+                  </Button>
+                </Alert>
+              ) : !history ? (
+                <div className="text-center py-4">
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  Cargando tendencias...
+                </div>
+              ) : history.points.length === 0 ? (
+                <div className="text-center py-4 text-muted">
+                  <i className="bi bi-graph-up display-6 d-block mb-2"></i>
+                  <p className="mb-0">Aún no hay datos en este rango</p>
+                  <small>Las estadísticas se guardan una vez al día; la evolución empieza con la primera instantánea</small>
+                </div>
+              ) : (
+                <Row className="g-4">
+                  <Col lg={4}>
+                    <h6 className="text-muted">Servicios por estado</h6>
+                    <TrendChart
+                      type="bar"
+                      series={STATUS_SERIES}
+                      points={history.points.map(point => ({
+                        label: formatPeriod(point.date, history.granularity),
+                        values: point.services
+                      }))}
+                    />
+                  </Col>
+                  <Col lg={4} md={6}>
+                    <h6 className="text-muted">Clientes</h6>
+                    <TrendChart
+                      series={[{ key: 'clients', label: 'Clientes', color: 'info' }]}
+                      points={history.points.map(point => ({
+                        label: formatPeriod(point.date, history.granularity),
+                        values: { clients: point.clients }
+                      }))}
+                    />
+                  </Col>
+                  <Col lg={4} md={6}>
+                    <h6 className="text-muted">Precio promedio ({history.currency})</h6>
+                    <TrendChart
+                      series={[{ key: 'averagePrice', label: 'Precio promedio', color: 'warning' }]}
+                      formatValue={(value) => formatCompactMoney(value, history.currency)}
+                      points={history.points.map(point => ({
+                        label: formatPeriod(point.date, history.granularity),
+                        values: { averagePrice: point.pricing.averagePrice }
+                      }))}
+                    />
+                  </Col>
+                </Row>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
       {/* Content Cards */}
       <Row className="g-4">
         <Col lg={8}>
@@ -284,7 +593,7 @@ const Dashboard = () => {
                         </small>
                         <small className="text-success">
                           <i className="bi bi-currency-dollar me-1"></i>
-                          ${service.price.toLocaleString()}
+                          {formatMoney(service.price, service.currency)}
                         </small>
                         <small className="text-muted">
                           <i className="bi bi-people me-1"></i>
@@ -323,35 +632,20 @@ const Dashboard = () => {
                 </div>
               ) : (
                 stats.categories.availableCategories.map((category, index) => {
-                  const categoryIcons = {
-                    'Digital': 'bi-laptop',
-                    'Social': 'bi-chat-dots',
-                    'Contenido': 'bi-file-text',
-                    'Diseño': 'bi-palette',
-                    'Desarrollo': 'bi-code-slash',
-                    'Análisis': 'bi-graph-up'
-                  };
-                  
-                  const categoryColors = {
-                    'Digital': 'primary',
-                    'Social': 'info',
-                    'Contenido': 'warning',
-                    'Diseño': 'success',
-                    'Desarrollo': 'danger',
-                    'Análisis': 'dark'
-                  };
+                  const { color, icon } = getCategoryStyle(categories, category);
+                  const serviceCount = categories.find(item => item.name === category)?.services ?? 0;
 
                   return (
                     <div key={category} className={`d-flex align-items-center py-2 ${index < stats.categories.availableCategories.length - 1 ? 'border-bottom' : ''}`}>
                       <div className="me-3">
-                        <div className={`bg-${categoryColors[category] || 'secondary'} bg-opacity-10 p-2 rounded`} style={{width: '40px', height: '40px', display: 'flex', alignItems: 'center', justifyContent: 'center'}}>
-                          <i className={`bi ${categoryIcons[category] || 'bi-tag'} text-${categoryColors[category] || 'secondary'}`}></i>
+                        <div className={`bg-${color} bg-opacity-10 p-2 rounded`} style={{width: '40px', height: '40px', display: 'flex', alignItems: 'center', justifyContent: 'center'}}>
+                          <i className={`bi bi-${icon} text-${color}`}></i>
                         </div>
                       </div>
                       <div className="flex-grow-1">
                         <h6 className="mb-0 fs-6">{category}</h6>
                         <small className="text-muted">
-                          {recentServices.filter(s => s.category === category).length} servicios
+                          {serviceCount} servicios
                         </small>
                       </div>
                     </div>
@@ -362,6 +656,84 @@ const Dashboard = () => {
           </Card>
         </Col>
       </Row>
+
+      {/* Precios por nivel (solo si algún servicio tiene niveles) */}
+      {!loading && stats.breakdown?.byTier?.length > 0 && (
+        <Row className="g-4 mt-0">
+          <Col lg={12}>
+            <Card className="border-0 shadow-sm">
+              <Card.Header className="bg-white border-0 py-3">
+                <div className="d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0">Precios por Nivel</h5>
+                  <small className="text-muted">
+                    {stats.pricing.tieredServices} servicio(s) con niveles · {stats.pricing.pricePoints} precios ofrecidos
+                  </small>
+                </div>
+              </Card.Header>
+              <Card.Body className="p-0">
+                <Table hover className="mb-0">
+                  <thead className="bg-light">
+                    <tr>
+                      <th className="border-0 ps-4">Nivel</th>
+                      <th className="border-0 text-end">Servicios</th>
+                      <th className="border-0 text-end">Precio medio</th>
+                      <th className="border-0 text-end">Mínimo</th>
+                      <th className="border-0 text-end pe-4">Máximo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.breakdown.byTier.map(row => (
+                      <tr key={row.tier}>
+                        <td className="ps-4 fw-semibold">{row.tier}</td>
+                        <td className="text-end">{row.services}</td>
+                        <td className="text-end">{formatMoney(row.averagePrice, stats.pricing.currency)}</td>
+                        <td className="text-end">{formatMoney(row.minPrice, stats.pricing.currency)}</td>
+                        <td className="text-end pe-4">{formatMoney(row.maxPrice, stats.pricing.currency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
+      {/* Paquetes (solo si hay alguno) */}
+      {!loading && stats.bundles?.totalBundles > 0 && (
+        <Row className="g-4 mt-0">
+          <Col lg={12}>
+            <Card className="border-0 shadow-sm">
+              <Card.Body className="d-flex flex-wrap justify-content-between align-items-center gap-3">
+                <h5 className="mb-0">
+                  <i className="bi bi-box-seam me-2"></i>
+                  Paquetes
+                </h5>
+                <span>{stats.bundles.totalBundles} paquete(s)</span>
+                <span className={stats.bundles.flaggedBundles > 0 ? 'text-warning fw-semibold' : 'text-muted'}>
+                  {stats.bundles.flaggedBundles} no disponible(s)
+                </span>
+                <span>Precio medio: {formatMoney(stats.bundles.averagePrice, stats.pricing.currency)}</span>
+                <span className="text-success">Ahorro medio: {formatMoney(stats.bundles.averageSavings, stats.pricing.currency)}</span>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
+      {/* Activity Feed */}
+      <Row className="g-4 mt-0">
+        <Col lg={12}>
+          <ActivityFeed />
+        </Col>
+      </Row>
+
+      <ExchangeRatesModal
+        show={showRates}
+        onHide={() => setShowRates(false)}
+        onChanged={loadDashboardData}
+        canManage={hasPermission(user, PERMISSIONS.EXCHANGE_RATES_MANAGE)}
+      />
     </div>
   );
 };
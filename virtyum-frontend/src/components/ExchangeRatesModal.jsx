@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Modal de tipos de cambio
+ * @description Consulta de los tipos frente a la moneda base; los administradores los fijan o eliminan
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Table, Form, Button, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import CurrencyAPI, { BASE_CURRENCY, CURRENCIES } from '../services/currencyApi';
+import { formatDate } from '../services/format';
+
+/**
+ * Modal de tipos de cambio
+ * @component ExchangeRatesModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla la visibilidad del modal
+ * @param {Function} props.onHide - Función para cerrar el modal
+ * @param {Function} [props.onChanged] - Se llama tras guardar o eliminar un tipo
+ * @param {boolean} props.canManage - Si el usuario puede fijar y eliminar tipos
+ * @returns {JSX.Element} Componente modal renderizado
+ */
+const ExchangeRatesModal = ({ show, onHide, onChanged, canManage }) => {
+  const [rates, setRates] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [savingCurrency, setSavingCurrency] = useState(null);
+  const [alertMessage, setAlertMessage] = useState(null);
+
+  /**
+   * Carga los tipos al abrir el modal
+   */
+  useEffect(() => {
+    if (!show) return;
+
+    const loadRates = async () => {
+      try {
+        setLoading(true);
+        setAlertMessage(null);
+        const data = await CurrencyAPI.getRates();
+        setRates(data.rates);
+        setDrafts(Object.fromEntries(data.rates.map(({ currency, rate }) => [currency, rate ?? ''])));
+      } catch (error) {
+        setAlertMessage(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRates();
+  }, [show]);
+
+  /**
+   * Sustituye un tipo en la tabla tras guardarlo o eliminarlo
+   * @param {Object} updated - Tipo con `currency`, `rate`, `updatedAt` y `updatedBy`
+   */
+  const replaceRate = (updated) => {
+    setRates(prev => prev.map(rate => (rate.currency === updated.currency ? updated : rate)));
+    setDrafts(prev => ({ ...prev, [updated.currency]: updated.rate ?? '' }));
+  };
+
+  /**
+   * Guarda el tipo editado de una moneda
+   * @param {string} currency - Código de la moneda
+   */
+  const handleSave = async (currency) => {
+    const rate = Number(drafts[currency]);
+    if (drafts[currency] === '' || !(rate > 0)) {
+      setAlertMessage(`El tipo de ${currency} debe ser mayor que 0`);
+      return;
+    }
+
+    try {
+      setSavingCurrency(currency);
+      setAlertMessage(null);
+      replaceRate(await CurrencyAPI.setRate(currency, rate));
+      onChanged?.();
+    } catch (error) {
+      setAlertMessage(error.message);
+    } finally {
+      setSavingCurrency(null);
+    }
+  };
+
+  /**
+   * Elimina el tipo de una moneda
+   * @param {string} currency - Código de la moneda
+   */
+  const handleDelete = async (currency) => {
+    if (!window.confirm(`¿Eliminar el tipo de cambio de ${currency}? Los servicios en ${currency} no podrán convertirse.`)) return;
+
+    try {
+      setSavingCurrency(currency);
+      setAlertMessage(null);
+      await CurrencyAPI.deleteRate(currency);
+      replaceRate({ currency, rate: null, updatedAt: null, updatedBy: null });
+      onChanged?.();
+    } catch (error) {
+      setAlertMessage(error.message);
+    } finally {
+      setSavingCurrency(null);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className="bi bi-currency-exchange me-2"></i>
+          Tipos de cambio
+        </Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {alertMessage && (
+          <Alert variant="danger" dismissible onClose={() => setAlertMessage(null)} className="mb-3">
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {alertMessage}
+          </Alert>
+        )}
+
+        <p className="text-muted small">
+          Unidades de cada moneda por 1 {BASE_CURRENCY}. Se usan para las estadísticas y para copiar
+          precios del catálogo a presupuestos, suscripciones y facturas.
+        </p>
+
+        {loading ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" className="me-2" />
+            Cargando tipos de cambio...
+          </div>
+        ) : (
+          <Table size="sm" className="mb-0 align-middle">
+            <thead>
+              <tr>
+                <th>Moneda</th>
+                <th>1 {BASE_CURRENCY} =</th>
+                <th>Actualizado</th>
+                {canManage && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(({ currency, rate, updatedAt, updatedBy }) => (
+                <tr key={currency}>
+                  <td>
+                    <strong>{currency}</strong>
+                    <small className="d-block text-muted">{CURRENCIES[currency]}</small>
+                  </td>
+                  <td style={{ width: '40%' }}>
+                    {canManage ? (
+                      <InputGroup size="sm">
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={drafts[currency] ?? ''}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [currency]: e.target.value }))}
+                          disabled={savingCurrency === currency}
+                        />
+                        <InputGroup.Text>{currency}</InputGroup.Text>
+                      </InputGroup>
+                    ) : (
+                      rate ?? <span className="text-danger">Sin tipo</span>
+                    )}
+                  </td>
+                  <td>
+                    <small className="text-muted">
+                      {updatedAt ? formatDate(updatedAt) : '—'}
+                      {updatedBy?.name && <span className="d-block">{updatedBy.name}</span>}
+                    </small>
+                  </td>
+                  {canManage && (
+                    <td className="text-end text-nowrap">
+                      <Button
+                        variant="outline-success"
+                        size="sm"
+                        className="me-1"
+                        onClick={() => handleSave(currency)}
+                        disabled={savingCurrency !== null || String(drafts[currency]) === String(rate ?? '')}
+                        title="Guardar"
+                      >
+                        <i className="bi bi-check-lg"></i>
+                      </Button>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => handleDelete(currency)}
+                        disabled={savingCurrency !== null || rate === null}
+                        title="Eliminar"
+                      >
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Cerrar
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default ExchangeRatesModal;
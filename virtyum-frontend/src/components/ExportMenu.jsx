@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Menú desplegable de exportación
+ * @description Lista de formatos de descarga con indicador de carga mientras se genera el archivo
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, Fragment } from 'react';
+import { Dropdown, Spinner } from 'react-bootstrap';
+
+/**
+ * Botón "Exportar" con las opciones de descarga
+ * @component ExportMenu
+ * @param {Object} props - Props del componente
+ * @param {Array<{key: string, label: string, icon: string, header?: string}>} props.items - Opciones;
+ * `header` agrupa las opciones bajo un título
+ * @param {Function} props.onSelect - Recibe la `key` elegida; puede devolver una promesa
+ * @param {boolean} [props.disabled=false] - Deshabilita el botón
+ * @param {string} [props.size] - Tamaño del botón de react-bootstrap
+ * @returns {JSX.Element} Menú renderizado
+ */
+const ExportMenu = ({ items, onSelect, disabled = false, size }) => {
+  const [exporting, setExporting] = useState(null);
+
+  /**
+   * Ejecuta la exportación elegida y mantiene el indicador mientras dura
+   * @param {string} key - Opción elegida
+   */
+  const handleSelect = async (key) => {
+    try {
+      setExporting(key);
+      await onSelect(key);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <Dropdown align="end">
+      <Dropdown.Toggle variant="outline-secondary" size={size} disabled={disabled || exporting !== null}>
+        {exporting ? (
+          <Spinner as="span" animation="border" size="sm" className="me-2" />
+        ) : (
+          <i className="bi bi-download me-2"></i>
+        )}
+        Exportar
+      </Dropdown.Toggle>
+      <Dropdown.Menu>
+        {items.map((item, index) => (
+          <Fragment key={item.key}>
+            {item.header && (
+              <>
+                {index > 0 && <Dropdown.Divider />}
+                <Dropdown.Header>{item.header}</Dropdown.Header>
+              </>
+            )}
+            <Dropdown.Item onClick={() => handleSelect(item.key)}>
+              <i className={`bi bi-${item.icon} me-2`}></i>
+              {item.label}
+            </Dropdown.Item>
+          </Fragment>
+        ))}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Modal de generación de facturas de suscripciones
+ * @description Muestra primero lo que se facturaría hasta una fecha (simulación) y, tras
+ * confirmar, crea los borradores
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Spinner, ListGroup, Badge } from 'react-bootstrap';
+import InvoiceAPI from '../services/invoiceApi';
+import { formatMoney } from '../services/format';
+
+/**
+ * Modal de generación de borradores a partir de las suscripciones
+ * @component GenerateInvoicesModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla la visibilidad del modal
+ * @param {Function} props.onHide - Función para cerrar el modal
+ * @param {Function} props.onGenerated - Recibe la respuesta del backend tras generar
+ * @returns {JSX.Element} Componente modal renderizado
+ */
+const GenerateInvoicesModal = ({ show, onHide, onGenerated }) => {
+  const [asOf, setAsOf] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [alertMessage, setAlertMessage] = useState(null);
+
+  useEffect(() => {
+    setAsOf(new Date().toISOString().slice(0, 10));
+    setPreview(null);
+    setAlertMessage(null);
+  }, [show]);
+
+  /**
+   * Simula la generación o crea los borradores
+   * @async
+   * @param {boolean} dryRun - true para solo ver lo que se facturaría
+   */
+  const run = async (dryRun) => {
+    setLoading(true);
+    setAlertMessage(null);
+
+    try {
+      const response = await InvoiceAPI.generateInvoices({ asOf, dryRun });
+      if (dryRun) {
+        setPreview(response);
+      } else {
+        onGenerated?.(response);
+        onHide();
+      }
+    } catch (error) {
+      console.error('Error al generar facturas:', error);
+      setAlertMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg" backdrop="static" keyboard={false}>
+      <Modal.Header closeButton={!loading}>
+        <Modal.Title>
+          <i className="bi bi-arrow-repeat me-2"></i>
+          Facturar suscripciones
+        </Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {alertMessage && (
+          <Alert variant="danger" dismissible onClose={() => setAlertMessage(null)} className="mb-3">
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {alertMessage}
+          </Alert>
+        )}
+
+        <p className="text-muted small">
+          Se crea un borrador por cliente con los periodos de sus suscripciones que empiezan hasta
+          la fecha indicada. Los servicios recurrentes se facturan por periodos completos de su
+          periodicidad y por adelantado; los de pago único o por campaña, una sola vez.
+        </p>
+
+        <Form.Group className="mb-3" style={{ maxWidth: '240px' }}>
+          <Form.Label>Facturar hasta</Form.Label>
+          <Form.Control
+            type="date"
+            value={asOf}
+            onChange={(e) => {
+              setAsOf(e.target.value);
+              setPreview(null);
+            }}
+            disabled={loading}
+          />
+        </Form.Group>
+
+        {preview && (
+          preview.invoices.length === 0 ? (
+            <Alert variant="info" className="mb-0">
+              <i className="bi bi-info-circle me-2"></i>
+              {preview.message}
+            </Alert>
+          ) : (
+            <>
+              <p className="fw-semibold mb-2">{preview.message}</p>
+              <ListGroup>
+                {preview.invoices.map(invoice => (
+                  <ListGroup.Item key={invoice._id}>
+                    <div className="d-flex justify-content-between">
+                      <strong>{invoice.client?.company || 'Cliente'}</strong>
+                      <span>{formatMoney(invoice.totals.total)}</span>
+                    </div>
+                    {invoice.items.map(item => (
+                      <div key={item._id} className="small text-muted d-flex justify-content-between">
+                        <span>{item.description}</span>
+                        <span>{formatMoney(item.total)}</span>
+                      </div>
+                    ))}
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            </>
+          )
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={loading}>
+          Cancelar
+        </Button>
+        <Button variant="outline-primary" onClick={() => run(true)} disabled={loading || !asOf}>
+          {loading && !preview ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <i className="bi bi-eye me-2"></i>}
+          Previsualizar
+        </Button>
+        <Button variant="primary" onClick={() => run(false)} disabled={loading || !preview || preview.invoices.length === 0}>
+          {loading && preview ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <i className="bi bi-check-lg me-2"></i>}
+          Generar borradores
+          {preview?.invoices.length > 0 && <Badge bg="light" text="dark" className="ms-2">{preview.invoices.length}</Badge>}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default GenerateInvoicesModal;
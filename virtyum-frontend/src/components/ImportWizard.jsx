@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Asistente para importar servicios desde CSV o Excel
+ * @description Subida del archivo, asignación de columnas, validación en seco con errores
+ * por fila e importación final
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Form, Table, Alert, Badge, Spinner, Row, Col } from 'react-bootstrap';
+import ServiceAPI from '../services/serviceApi';
+import { AUDIT_FIELD_LABELS } from '../services/activityApi';
+
+/**
+ * Pasos del asistente en orden
+ * @constant {Array<{id: string, label: string}>} STEPS
+ */
+const STEPS = [
+  { id: 'upload', label: 'Archivo' },
+  { id: 'mapping', label: 'Columnas' },
+  { id: 'review', label: 'Validación' },
+  { id: 'done', label: 'Resultado' }
+];
+
+/**
+ * Modal de importación de servicios
+ * @component ImportWizard
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el modal está visible
+ * @param {Function} props.onHide - Cierra el modal
+ * @param {Function} props.onImported - Se llama con el resumen cuando se importan servicios
+ * @returns {JSX.Element} Modal renderizado
+ */
+const ImportWizard = ({ show, onHide, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [validation, setValidation] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reiniciar el asistente cada vez que se abre
+  useEffect(() => {
+    if (show) {
+      setStep('upload');
+      setFile(null);
+      setPreview(null);
+      setMapping({});
+      setValidation(null);
+      setSkipInvalid(false);
+      setResult(null);
+      setError(null);
+    }
+  }, [show]);
+
+  /**
+   * Sube el archivo y carga columnas y mapeo sugerido
+   */
+  const handleUpload = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ServiceAPI.previewImport(file);
+      setPreview(data);
+      setMapping(data.suggestedMapping);
+      setStep('mapping');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Valida todas las filas sin guardar nada
+   */
+  const handleValidate = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ServiceAPI.importServices(file, mapping, { dryRun: true });
+      setValidation(data);
+      setSkipInvalid(false);
+      setStep('review');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Importa las filas validadas
+   */
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ServiceAPI.importServices(file, mapping, { skipInvalid });
+      setResult(data);
+      setStep('done');
+      onImported(data.summary);
+    } catch (err) {
+      setError(err.message);
+      // Si los datos cambiaron entre la validación y la importación, mostrar los errores nuevos
+      if (err.rows?.length > 0) {
+        setValidation({ summary: err.summary, rows: err.rows });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const requiredMissing = preview
+    ? preview.fields.filter(({ field, required }) => required && !mapping[field])
+    : [];
+  const invalidRows = validation ? validation.rows.filter(row => !row.valid) : [];
+  const canImport = validation && validation.summary.valid > 0 &&
+    (validation.summary.invalid === 0 || skipInvalid);
+  const stepIndex = STEPS.findIndex(({ id }) => id === step);
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg" centered backdrop={loading ? 'static' : true}>
+      <Modal.Header closeButton={!loading}>
+        <Modal.Title>
+          <i className="bi bi-file-earmark-arrow-up me-2"></i>
+          Importar servicios
+        </Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        <div className="d-flex gap-2 mb-4">
+          {STEPS.map(({ id, label }, index) => (
+            <Badge
+              key={id}
+              bg={index === stepIndex ? 'primary' : index < stepIndex ? 'success' : 'light'}
+              text={index > stepIndex ? 'dark' : undefined}
+              className="px-3 py-2"
+            >
+              {index + 1}. {label}
+            </Badge>
+          ))}
+        </div>
+
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError(null)}>
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {step === 'upload' && (
+          <Form.Group>
+            <Form.Label>Archivo CSV o Excel (.xlsx)</Form.Label>
+            <Form.Control
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              disabled={loading}
+            />
+            <Form.Text className="text-muted">
+              La primera fila debe contener los encabezados. Máximo 1000 filas y 4 MB.
+            </Form.Text>
+          </Form.Group>
+        )}
+
+        {step === 'mapping' && preview && (
+          <>
+            <p className="text-muted small">
+              {preview.totalRows} fila(s) en <strong>{file.name}</strong>. Indica qué columna
+              corresponde a cada campo del servicio.
+            </p>
+            <Row className="g-3 mb-4">
+              {preview.fields.map(({ field, required }) => (
+                <Col md={6} key={field}>
+                  <Form.Group>
+                    <Form.Label className="small mb-1">
+                      {AUDIT_FIELD_LABELS[field] || field}
+                      {required && <span className="text-danger"> *</span>}
+                    </Form.Label>
+                    <Form.Select
+                      size="sm"
+                      value={mapping[field] || ''}
+                      onChange={(e) => setMapping({ ...mapping, [field]: e.target.value || null })}
+                      disabled={loading}
+                    >
+                      <option value="">{required ? 'Selecciona una columna' : 'No importar'}</option>
+                      {preview.columns.map(column => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              ))}
+            </Row>
+
+            <h6 className="small text-muted text-uppercase">Primeras filas</h6>
+            <div className="table-responsive">
+              <Table size="sm" bordered className="small mb-0">
+                <thead>
+                  <tr>
+                    {preview.columns.map(column => <th key={column}>{column}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.sampleRows.map((row, index) => (
+                    <tr key={index}>
+                      {preview.columns.map(column => <td key={column}>{String(row[column] ?? '')}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          </>
+        )}
+
+        {step === 'review' && validation && (
+          <>
+            <Alert variant={validation.summary.invalid === 0 ? 'success' : 'warning'}>
+              <strong>{validation.summary.valid}</strong> de {validation.summary.total} fila(s) son válidas
+              {validation.summary.invalid > 0 && (
+                <>; <strong>{validation.summary.invalid}</strong> tienen errores</>
+              )}.
+            </Alert>
+
+            {invalidRows.length > 0 && (
+              <>
+                <div className="table-responsive mb-3" style={{ maxHeight: 300 }}>
+                  <Table size="sm" className="small mb-0">
+                    <thead>
+                      <tr>
+                        <th>Fila</th>
+                        <th>Servicio</th>
+                        <th>Errores</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {invalidRows.map(row => (
+                        <tr key={row.row}>
+                          <td>{row.row}</td>
+                          <td>{row.data.name || <span className="text-muted">—</span>}</td>
+                          <td>
+                            <ul className="mb-0 ps-3 text-danger">
+                              {row.errors.map((message, index) => <li key={index}>{message}</li>)}
+                            </ul>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+
+                {validation.summary.valid > 0 && (
+                  <Form.Check
+                    type="checkbox"
+                    id="import-skip-invalid"
+                    label={`Importar solo las ${validation.summary.valid} fila(s) válidas y omitir el resto`}
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                    disabled={loading}
+                  />
+                )}
+              </>
+            )}
+          </>
+        )}
+
+        {step === 'done' && result && (
+          <div className="text-center py-3">
+            <i className="bi bi-check-circle text-success" style={{ fontSize: '3rem' }}></i>
+            <p className="mt-3 mb-0">{result.message}</p>
+          </div>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        {step === 'mapping' && (
+          <Button variant="outline-secondary" className="me-auto" onClick={() => setStep('upload')} disabled={loading}>
+            Atrás
+          </Button>
+        )}
+        {step === 'review' && (
+          <Button variant="outline-secondary" className="me-auto" onClick={() => setStep('mapping')} disabled={loading}>
+            Cambiar columnas
+          </Button>
+        )}
+
+        <Button variant="secondary" onClick={onHide} disabled={loading}>
+          {step === 'done' ? 'Cerrar' : 'Cancelar'}
+        </Button>
+
+        {step === 'upload' && (
+          <Button variant="primary" onClick={handleUpload} disabled={loading || !file}>
+            {loading ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <i className="bi bi-arrow-right me-2"></i>}
+            Continuar
+          </Button>
+        )}
+        {step === 'mapping' && (
+          <Button variant="primary" onClick={handleValidate} disabled={loading || requiredMissing.length > 0}>
+            {loading ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <i className="bi bi-check2-square me-2"></i>}
+            Validar filas
+          </Button>
+        )}
+        {step === 'review' && (
+          <Button variant="primary" onClick={handleImport} disabled={loading || !canImport}>
+            {loading ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <i className="bi bi-upload me-2"></i>}
+            Importar {validation.summary.valid} servicio(s)
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Ficha de una factura
+ * @description Líneas, desglose de impuestos, cobros y acciones de emisión, cobro y anulación
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Row, Col, Alert, Spinner, Form, InputGroup } from 'react-bootstrap';
+import InvoiceAPI, { INVOICE_STATUSES, PAYMENT_METHODS } from '../services/invoiceApi';
+import { formatMoney, formatDate } from '../services/format';
+import InvoiceModal from './InvoiceModal';
+import PaymentModal from './PaymentModal';
+
+/**
+ * Ficha de factura
+ * @component InvoiceDetail
+ * @param {Object} props - Props del componente
+ * @param {string} props.invoiceId - ID de la factura
+ * @param {boolean} props.canWrite - Si el usuario puede editar, emitir y registrar cobros
+ * @param {boolean} props.canDelete - Si el usuario puede anular, eliminar borradores y cobros
+ * @param {Function} props.onBack - Vuelve al listado
+ * @param {Function} props.onNotify - Muestra una notificación `(message, type)`
+ * @returns {JSX.Element} Ficha renderizada
+ */
+const InvoiceDetail = ({ invoiceId, canWrite, canDelete, onBack, onNotify }) => {
+  const [invoice, setInvoice] = useState(null);
+  const [payments, setPayments] = useState([]);
+  const [dueDate, setDueDate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [showEditModal, setShowEditModal] = useState(false);
+  const [showPaymentModal, setShowPaymentModal] = useState(false);
+
+  /**
+   * Carga la factura y sus cobros
+   * @async
+   */
+  const loadInvoice = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await InvoiceAPI.getInvoiceById(invoiceId);
+      setInvoice(data.invoice);
+      setPayments(data.payments);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [invoiceId]);
+
+  useEffect(() => {
+    loadInvoice();
+  }, [loadInvoice]);
+
+  /**
+   * Ejecuta una acción sobre la factura y la recarga
+   * @async
+   * @param {Function} action - Llamada a la API que devuelve `{ message }`
+   */
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await action();
+      onNotify(response.message);
+      await loadInvoice();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Emite el borrador tras confirmación
+   */
+  const handleIssue = () => {
+    if (!window.confirm('¿Emitir la factura?\n\nSe le asignará un número y ya no se podrá editar.')) return;
+    runAction(() => InvoiceAPI.changeStatus(invoice._id, 'issued', { dueDate }));
+  };
+
+  /**
+   * Anula la factura pidiendo el motivo
+   */
+  const handleVoid = () => {
+    const reason = window.prompt(`Motivo de la anulación de ${invoice.number}:`);
+    if (reason === null) return;
+    runAction(() => InvoiceAPI.changeStatus(invoice._id, 'void', { reason }));
+  };
+
+  /**
+   * Elimina el borrador tras confirmación
+   * @async
+   */
+  const handleDelete = async () => {
+    if (!window.confirm('¿Eliminar este borrador?')) return;
+
+    try {
+      setSaving(true);
+      const response = await InvoiceAPI.deleteInvoice(invoice._id);
+      onNotify(response.message);
+      onBack();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Elimina un cobro tras confirmación
+   * @param {Object} payment - Cobro a eliminar
+   */
+  const handleDeletePayment = (payment) => {
+    if (!window.confirm(`¿Eliminar el cobro de ${formatMoney(payment.amount)} del ${formatDate(payment.date)}?`)) return;
+    runAction(() => InvoiceAPI.deletePayment(payment._id));
+  };
+
+  if (loading && !invoice) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" className="me-2" />
+        Cargando factura...
+      </div>
+    );
+  }
+
+  if (!invoice) {
+    return (
+      <div>
+        <Button variant="link" className="px-0 mb-3" onClick={onBack}>
+          <i className="bi bi-arrow-left me-1"></i>
+          Volver a facturas
+        </Button>
+        <Alert variant="danger">{error}</Alert>
+      </div>
+    );
+  }
+
+  const statusInfo = INVOICE_STATUSES[invoice.status];
+  const isDraft = invoice.status === 'draft';
+  const isPayable = invoice.status === 'issued' || invoice.status === 'overdue';
+
+  return (
+    <div>
+      <Button variant="link" className="px-0 mb-3" onClick={onBack}>
+        <i className="bi bi-arrow-left me-1"></i>
+        Volver a facturas
+      </Button>
+
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-start mb-4">
+        <div>
+          <h1 className="h3 mb-0">
+            {invoice.number ? `Factura ${invoice.number}` : 'Borrador de factura'}
+            <Badge bg={statusInfo.variant} className="ms-2 fs-6 align-middle">
+              <i className={`bi bi-${statusInfo.icon} me-1`}></i>
+              {statusInfo.label}
+            </Badge>
+          </h1>
+          <p className="text-muted mb-0">
+            {invoice.client?.company || 'Cliente eliminado'}
+            {invoice.issueDate && ` · emitida el ${formatDate(invoice.issueDate)}`}
+            {invoice.dueDate && ` · vence el ${formatDate(invoice.dueDate)}`}
+          </p>
+        </div>
+        <div className="d-flex gap-2 flex-wrap justify-content-end">
+          {isDraft && canDelete && (
+            <Button variant="outline-danger" onClick={handleDelete} disabled={saving}>
+              <i className="bi bi-trash me-2"></i>
+              Eliminar
+            </Button>
+          )}
+          {isDraft && canWrite && (
+            <Button variant="outline-primary" onClick={() => setShowEditModal(true)} disabled={saving}>
+              <i className="bi bi-pencil me-2"></i>
+              Editar
+            </Button>
+          )}
+          {isPayable && canDelete && invoice.amountPaid === 0 && (
+            <Button variant="outline-dark" onClick={handleVoid} disabled={saving}>
+              <i className="bi bi-slash-circle me-2"></i>
+              Anular
+            </Button>
+          )}
+          {isPayable && canWrite && (
+            <Button variant="success" onClick={() => setShowPaymentModal(true)} disabled={saving}>
+              <i className="bi bi-cash-coin me-2"></i>
+              Registrar cobro
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      {invoice.status === 'void' && (
+        <Alert variant="secondary" className="mb-4">
+          <i className="bi bi-slash-circle me-2"></i>
+          Anulada el {formatDate(invoice.voidedAt)}{invoice.voidReason && `: ${invoice.voidReason}`}.
+          Los periodos de suscripción de esta factura vuelven a quedar pendientes de facturar.
+        </Alert>
+      )}
+
+      {isDraft && canWrite && (
+        <Card className="border-0 shadow-sm mb-4">
+          <Card.Body className="d-flex flex-wrap align-items-center gap-2">
+            <small className="text-muted me-auto">Revisa el borrador antes de emitirlo: una factura emitida no se puede editar.</small>
+            <InputGroup size="sm" style={{ maxWidth: '300px' }}>
+              <InputGroup.Text>Vencimiento</InputGroup.Text>
+              <Form.Control type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+            </InputGroup>
+            <Button variant="primary" size="sm" onClick={handleIssue} disabled={saving}>
+              <i className="bi bi-send me-1"></i>
+              Emitir
+            </Button>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Row className="g-4">
+        <Col lg={8}>
+          {/* Líneas */}
+          <Card className="border-0 shadow-sm">
+            <Card.Body className="p-0">
+              <Table responsive className="mb-0 align-middle">
+                <thead className="bg-light">
+                  <tr>
+                    <th className="border-0 py-3 px-4">Concepto</th>
+                    <th className="border-0 py-3 text-end">Cant.</th>
+                    <th className="border-0 py-3 text-end">Precio</th>
+                    <th className="border-0 py-3 text-end">Imp.</th>
+                    <th className="border-0 py-3 text-end px-4">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invoice.items.map(item => (
+                    <tr key={item._id}>
+                      <td className="py-3 px-4">
+                        {item.description}
+                        {item.subscription && <i className="bi bi-arrow-repeat text-muted ms-2" title="Suscripción"></i>}
+                      </td>
+                      <td className="py-3 text-end">{item.quantity}</td>
+                      <td className="py-3 text-end">{formatMoney(item.unitPrice)}</td>
+                      <td className="py-3 text-end">{item.taxRate ? `${item.taxRate} %` : '—'}</td>
+                      <td className="py-3 text-end px-4 fw-semibold">{formatMoney(item.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Card.Body>
+            <Card.Footer className="bg-white border-0 py-3">
+              <div className="ms-auto" style={{ maxWidth: '320px' }}>
+                <div className="d-flex justify-content-between"><span>Base imponible</span><span>{formatMoney(invoice.totals.subtotal)}</span></div>
+                {invoice.taxLines.filter(line => line.rate > 0).map(line => (
+                  <div key={line.rate} className="d-flex justify-content-between text-muted">
+                    <span>Impuesto {line.rate} % s/ {formatMoney(line.base)}</span>
+                    <span>{formatMoney(line.amount)}</span>
+                  </div>
+                ))}
+                <div className="d-flex justify-content-between fw-bold fs-5 border-top mt-2 pt-2">
+                  <span>Total</span><span>{formatMoney(invoice.totals.total)}</span>
+                </div>
+                {invoice.status !== 'draft' && invoice.status !== 'void' && (
+                  <>
+                    <div className="d-flex justify-content-between text-success"><span>Cobrado</span><span>{formatMoney(invoice.amountPaid)}</span></div>
+                    <div className={`d-flex justify-content-between fw-semibold ${invoice.balance > 0 ? 'text-danger' : ''}`}>
+                      <span>Pendiente</span><span>{formatMoney(invoice.balance)}</span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </Card.Footer>
+          </Card>
+          {invoice.notes && (
+            <Card className="border-0 shadow-sm mt-4">
+              <Card.Body>
+                <h6 className="text-muted">Notas</h6>
+                <p className="mb-0" style={{ whiteSpace: 'pre-line' }}>{invoice.notes}</p>
+              </Card.Body>
+            </Card>
+          )}
+        </Col>
+
+        {/* Cobros */}
+        <Col lg={4}>
+          <Card className="border-0 shadow-sm">
+            <Card.Header className="bg-white border-0 py-3">
+              <h6 className="mb-0">
+                <i className="bi bi-cash-stack me-2"></i>
+                Cobros
+              </h6>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {payments.length === 0 ? (
+                <p className="text-muted small px-3">Sin cobros registrados</p>
+              ) : (
+                <Table size="sm" className="mb-0 align-middle">
+                  <tbody>
+                    {payments.map(payment => (
+                      <tr key={payment._id}>
+                        <td className="ps-3">
+                          <div>{formatDate(payment.date)}</div>
+                          <small className="text-muted">
+                            {PAYMENT_METHODS[payment.method]}{payment.reference && ` · ${payment.reference}`}
+                          </small>
+                        </td>
+                        <td className="text-end fw-semibold">{formatMoney(payment.amount)}</td>
+                        <td className="pe-3 text-end">
+                          {canDelete && (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="text-danger p-0"
+                              onClick={() => handleDeletePayment(payment)}
+                              title="Eliminar cobro"
+                              disabled={saving}
+                            >
+                              <i className="bi bi-trash"></i>
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <InvoiceModal
+        show={showEditModal}
+        onHide={() => setShowEditModal(false)}
+        editingInvoice={invoice}
+        onSaved={(response) => {
+          onNotify(response.message);
+          loadInvoice();
+        }}
+      />
+
+      <PaymentModal
+        show={showPaymentModal}
+        onHide={() => setShowPaymentModal(false)}
+        invoice={invoice}
+        onSaved={(response) => {
+          onNotify(response.message);
+          loadInvoice();
+        }}
+      />
+    </div>
+  );
+};
+
+export default InvoiceDetail;
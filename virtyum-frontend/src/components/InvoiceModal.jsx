@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Modal para crear y editar borradores de factura
+ * @description Factura manual (servicios puntuales u otros conceptos) o corrección de un
+ * borrador generado a partir de las suscripciones
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Spinner, Table, InputGroup } from 'react-bootstrap';
+import InvoiceAPI from '../services/invoiceApi';
+import ClientAPI from '../services/clientApi';
+import ServiceAPI from '../services/serviceApi';
+import CurrencyAPI, { convertToBase } from '../services/currencyApi';
+import { formatMoney, formatDate } from '../services/format';
+
+/**
+ * Línea vacía para conceptos que no son del catálogo
+ * @constant {Object} EMPTY_LINE
+ */
+const EMPTY_LINE = { description: '', quantity: 1, unitPrice: '', taxRate: 0 };
+
+/**
+ * Modal de alta y edición de un borrador de factura
+ * @component InvoiceModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla la visibilidad del modal
+ * @param {Function} props.onHide - Función para cerrar el modal
+ * @param {Function} props.onSaved - Recibe la respuesta del backend con la factura guardada
+ * @param {Object|null} props.editingInvoice - Borrador a editar (null para crear una factura manual)
+ * @returns {JSX.Element} Componente modal renderizado
+ */
+const InvoiceModal = ({ show, onHide, onSaved, editingInvoice = null }) => {
+  const [client, setClient] = useState('');
+  const [notes, setNotes] = useState('');
+  const [items, setItems] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [services, setServices] = useState([]);
+  const [rates, setRates] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [alertMessage, setAlertMessage] = useState(null);
+
+  const isEditing = Boolean(editingInvoice?._id);
+
+  /**
+   * Carga el borrador (o un formulario vacío) al abrir el modal
+   */
+  useEffect(() => {
+    setClient(editingInvoice?.client?._id || '');
+    setNotes(editingInvoice?.notes || '');
+    setItems(editingInvoice?.items?.map(item => ({
+      _id: item._id,
+      subscription: item.subscription,
+      periodStart: item.periodStart,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      taxRate: item.taxRate
+    })) || [{ ...EMPTY_LINE }]);
+    setAlertMessage(null);
+  }, [editingInvoice, show]);
+
+  /**
+   * Carga clientes (solo al crear) y el catálogo para añadir líneas
+   */
+  useEffect(() => {
+    if (!show) return;
+
+    const requests = [
+      ServiceAPI.getAllServices({ limit: 100, sortBy: 'name', order: 'asc' }),
+      CurrencyAPI.getRateMap()
+    ];
+    if (!isEditing) {
+      requests.push(ClientAPI.getClients({ limit: 100 }));
+    }
+    Promise.all(requests)
+      .then(([serviceData, rateMap, clientData]) => {
+        setServices(serviceData.services);
+        setRates(rateMap);
+        if (clientData) setClients(clientData.clients);
+      })
+      .catch(error => setAlertMessage(error.message));
+  }, [show, isEditing]);
+
+  /**
+   * Cambia un campo de una línea
+   * @param {number} index - Posición de la línea
+   * @param {string} field - description | quantity | unitPrice | taxRate
+   * @param {string} value - Valor del input
+   */
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, position) => {
+      if (position !== index) return item;
+      const parsed = field === 'description' || value === '' ? value : Number(value);
+      return { ...item, [field]: parsed };
+    }));
+  };
+
+  /**
+   * Añade una línea con el nombre y el precio de un servicio del catálogo. El precio se convierte
+   * a la moneda base; si falta el tipo de cambio queda vacío para escribirlo a mano.
+   * @param {string} serviceId - ID del servicio elegido
+   */
+  const addService = (serviceId) => {
+    const service = services.find(candidate => candidate._id === serviceId);
+    if (!service) return;
+    const unitPrice = convertToBase(service.price, service.currency, rates);
+    setItems(prev => [...prev, { ...EMPTY_LINE, service: service._id, description: service.name, unitPrice: unitPrice ?? '' }]);
+  };
+
+  const total = items.reduce((sum, item) => (
+    sum + Number(item.quantity || 0) * Number(item.unitPrice || 0) * (1 + Number(item.taxRate || 0) / 100)
+  ), 0);
+
+  /**
+   * Valida y envía el borrador
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = [];
+    if (!isEditing && !client) errors.push('Elige un cliente');
+    if (items.length === 0) errors.push('Añade al menos una línea');
+    if (items.some(item => !String(item.description).trim() || item.unitPrice === '')) {
+      errors.push('Cada línea necesita concepto y precio');
+    }
+    if (errors.length > 0) {
+      setAlertMessage(errors.join('. '));
+      return;
+    }
+
+    setAlertMessage(null);
+    setLoading(true);
+
+    const payload = {
+      notes,
+      items: items.map(({ _id, service, description, quantity, unitPrice, taxRate }) => ({
+        _id, service, description, quantity, unitPrice, taxRate
+      }))
+    };
+
+    try {
+      const response = isEditing
+        ? await InvoiceAPI.updateInvoice(editingInvoice._id, payload)
+        : await InvoiceAPI.createInvoice({ ...payload, client });
+      onSaved?.(response);
+      onHide();
+    } catch (error) {
+      console.error('Error al guardar factura:', error);
+      setAlertMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl" backdrop="static" keyboard={false}>
+      <Modal.Header closeButton={!loading}>
+        <Modal.Title>
+          <i className={`bi bi-${isEditing ? 'pencil' : 'receipt'} me-2`}></i>
+          {isEditing ? 'Editar borrador' : 'Nueva factura'}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {alertMessage && (
+            <Alert variant="danger" dismissible onClose={() => setAlertMessage(null)} className="mb-3">
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {alertMessage}
+            </Alert>
+          )}
+
+          <Form.Group className="mb-3">
+            <Form.Label>Cliente <span className="text-danger">*</span></Form.Label>
+            {isEditing ? (
+              <div className="fw-semibold">{editingInvoice.client?.company}</div>
+            ) : (
+              <Form.Select value={client} onChange={(e) => setClient(e.target.value)} disabled={loading}>
+                <option value="">Seleccionar cliente...</option>
+                {clients.map(candidate => (
+                  <option key={candidate._id} value={candidate._id}>{candidate.company}</option>
+                ))}
+              </Form.Select>
+            )}
+          </Form.Group>
+
+          <Table responsive size="sm" className="align-middle">
+            <thead>
+              <tr>
+                <th>Concepto</th>
+                <th style={{ width: '90px' }}>Cant.</th>
+                <th style={{ width: '130px' }}>Precio</th>
+                <th style={{ width: '100px' }}>Imp. %</th>
+                <th className="text-end" style={{ width: '120px' }}>Total</th>
+                <th style={{ width: '40px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => (
+                <tr key={item._id || `new-${index}`}>
+                  <td>
+                    <Form.Control
+                      size="sm"
+                      value={item.description}
+                      onChange={(e) => updateItem(index, 'description', e.target.value)}
+                      maxLength={200}
+                      disabled={loading}
+                    />
+                    {item.subscription && (
+                      <small className="text-muted">
+                        <i className="bi bi-arrow-repeat me-1"></i>
+                        Suscripción{item.periodStart && ` · desde ${formatDate(item.periodStart)}`}
+                      </small>
+                    )}
+                  </td>
+                  {['quantity', 'unitPrice', 'taxRate'].map(field => (
+                    <td key={field}>
+                      <Form.Control
+                        size="sm"
+                        type="number"
+                        min={field === 'quantity' ? 0.01 : 0}
+                        max={field === 'taxRate' ? 100 : undefined}
+                        step="0.01"
+                        value={item[field]}
+                        onChange={(e) => updateItem(index, field, e.target.value)}
+                        disabled={loading}
+                      />
+                    </td>
+                  ))}
+                  <td className="text-end">
+                    {formatMoney(Number(item.quantity || 0) * Number(item.unitPrice || 0) * (1 + Number(item.taxRate || 0) / 100))}
+                  </td>
+                  <td>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="text-danger p-0"
+                      onClick={() => setItems(prev => prev.filter((_, position) => position !== index))}
+                      title="Quitar línea"
+                      disabled={loading}
+                    >
+                      <i className="bi bi-x-lg"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <div className="d-flex flex-wrap gap-2 align-items-center mb-3">
+            <Button variant="outline-secondary" size="sm" onClick={() => setItems(prev => [...prev, { ...EMPTY_LINE }])} disabled={loading}>
+              <i className="bi bi-plus-lg me-1"></i>
+              Línea libre
+            </Button>
+            <InputGroup size="sm" style={{ maxWidth: '360px' }}>
+              <InputGroup.Text>Servicio</InputGroup.Text>
+              <Form.Select value="" onChange={(e) => addService(e.target.value)} disabled={loading}>
+                <option value="">Añadir del catálogo...</option>
+                {services.map(service => (
+                  <option key={service._id} value={service._id}>{service.name} · {formatMoney(service.price, service.currency)}</option>
+                ))}
+              </Form.Select>
+            </InputGroup>
+            <strong className="ms-auto">Total aprox.: {formatMoney(total)}</strong>
+          </div>
+
+          <Form.Group>
+            <Form.Label>Notas</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Datos de pago, referencias..."
+              maxLength={2000}
+              disabled={loading}
+            />
+          </Form.Group>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            Cancelar
+          </Button>
+          <Button variant="primary" type="submit" disabled={loading}>
+            {loading ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                Guardando...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-check-lg me-2"></i>
+                {isEditing ? 'Guardar borrador' : 'Crear borrador'}
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default InvoiceModal;
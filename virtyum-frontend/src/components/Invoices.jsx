@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Gestión de facturación
+ * @description Facturas (listado, generación desde suscripciones y altas manuales), cuentas por
+ * cobrar y libro de cobros
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, InputGroup, Alert, Spinner, Toast, ToastContainer, Pagination, Tabs, Tab } from 'react-bootstrap';
+import InvoiceAPI, { INVOICE_STATUSES } from '../services/invoiceApi';
+import { formatMoney, formatDate } from '../services/format';
+import InvoiceDetail from './InvoiceDetail';
+import InvoiceModal from './InvoiceModal';
+import GenerateInvoicesModal from './GenerateInvoicesModal';
+import Receivables from './Receivables';
+import PaymentLedger from './PaymentLedger';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
+
+/**
+ * Facturas por página
+ * @constant {number} INVOICES_PAGE_SIZE
+ */
+const INVOICES_PAGE_SIZE = 20;
+
+/**
+ * Página de facturación
+ * @component Invoices
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado (con su lista de permisos)
+ * @returns {JSX.Element} Pestañas de facturación o ficha de la factura seleccionada
+ */
+const Invoices = ({ user }) => {
+  const canWrite = hasPermission(user, PERMISSIONS.INVOICES_WRITE);
+  const canDelete = hasPermission(user, PERMISSIONS.INVOICES_DELETE);
+
+  const [activeTab, setActiveTab] = useState('invoices');
+  const [invoices, setInvoices] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [clientFilter, setClientFilter] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 0, hasNextPage: false, hasPrevPage: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedInvoiceId, setSelectedInvoiceId] = useState(null);
+  const [showInvoiceModal, setShowInvoiceModal] = useState(false);
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  // Estados para notificaciones
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [toastType, setToastType] = useState('success');
+
+  /**
+   * Muestra notificaciones toast temporales
+   * @param {string} message - Mensaje a mostrar
+   * @param {string} type - Tipo de notificación (success, error)
+   */
+  const showNotification = (message, type = 'success') => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  };
+
+  /**
+   * Carga la página actual de facturas
+   * @async
+   */
+  const loadInvoices = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await InvoiceAPI.getInvoices({
+        q: searchTerm.trim(),
+        status: statusFilter,
+        client: clientFilter?._id,
+        page,
+        limit: INVOICES_PAGE_SIZE
+      });
+
+      // Si la página quedó vacía tras eliminar, volver a la última con datos
+      if (data.invoices.length === 0 && page > 1 && data.pagination.totalPages > 0) {
+        setPage(data.pagination.totalPages);
+        return;
+      }
+
+      setInvoices(data.invoices);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Error al cargar facturas:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [searchTerm, statusFilter, clientFilter, page]);
+
+  /**
+   * Recarga al cambiar búsqueda, filtros o página; se espera un momento para no lanzar
+   * una petición por cada tecla
+   */
+  useEffect(() => {
+    if (selectedInvoiceId || activeTab !== 'invoices') return undefined;
+    const timeoutId = setTimeout(loadInvoices, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadInvoices, selectedInvoiceId, activeTab, reloadCount]);
+
+  /**
+   * Muestra las facturas de un cliente de las cuentas por cobrar
+   * @param {Object} client - Cliente (`_id`, `company`)
+   */
+  const handleSelectClient = (client) => {
+    setClientFilter(client);
+    setStatusFilter('all');
+    setPage(1);
+    setActiveTab('invoices');
+  };
+
+  /**
+   * Renderiza las notificaciones (compartidas por el listado y la ficha)
+   * @returns {JSX.Element} Contenedor de toasts
+   */
+  const renderToast = () => (
+    <ToastContainer position="top-end" className="p-3" style={{ zIndex: 1050 }}>
+      <Toast
+        show={showToast}
+        onClose={() => setShowToast(false)}
+        autohide
+        delay={4000}
+        bg={toastType === 'error' ? 'danger' : 'success'}
+      >
+        <Toast.Header closeButton={false}>
+          <i className={`bi bi-${toastType === 'error' ? 'exclamation-triangle' : 'check-circle'} me-2`}></i>
+          <strong className="me-auto">
+            {toastType === 'error' ? 'Error' : 'Éxito'}
+          </strong>
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 text-white"
+            onClick={() => setShowToast(false)}
+          >
+            <i className="bi bi-x"></i>
+          </Button>
+        </Toast.Header>
+        <Toast.Body className="text-white">
+          {toastMessage}
+        </Toast.Body>
+      </Toast>
+    </ToastContainer>
+  );
+
+  if (selectedInvoiceId) {
+    return (
+      <>
+        <InvoiceDetail
+          key={selectedInvoiceId}
+          invoiceId={selectedInvoiceId}
+          canWrite={canWrite}
+          canDelete={canDelete}
+          onBack={() => setSelectedInvoiceId(null)}
+          onNotify={showNotification}
+        />
+        {renderToast()}
+      </>
+    );
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Facturación</h1>
+          <p className="text-muted mb-0">Facturas de suscripciones y servicios, cobros y saldos pendientes</p>
+        </div>
+        {canWrite && (
+          <div className="d-flex gap-2">
+            <Button variant="outline-primary" onClick={() => setShowGenerateModal(true)}>
+              <i className="bi bi-arrow-repeat me-2"></i>
+              Facturar suscripciones
+            </Button>
+            <Button variant="primary" onClick={() => setShowInvoiceModal(true)}>
+              <i className="bi bi-receipt me-2"></i>
+              Nueva Factura
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <Tabs activeKey={activeTab} onSelect={(key) => setActiveTab(key)} className="mb-4" mountOnEnter unmountOnExit>
+        <Tab eventKey="invoices" title="Facturas">
+          {error && (
+            <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          {clientFilter && (
+            <Alert variant="info" className="mb-4 d-flex justify-content-between align-items-center">
+              <span>
+                <i className="bi bi-funnel me-2"></i>
+                Facturas de <strong>{clientFilter.company}</strong>
+              </span>
+              <Button variant="link" size="sm" className="p-0" onClick={() => { setClientFilter(null); setPage(1); }}>
+                Ver todas
+              </Button>
+            </Alert>
+          )}
+
+          <Card className="border-0 shadow-sm">
+            <Card.Header className="bg-white border-0 py-3 d-flex flex-wrap gap-2">
+              <InputGroup style={{ maxWidth: '360px' }}>
+                <InputGroup.Text className="bg-white">
+                  <i className="bi bi-search"></i>
+                </InputGroup.Text>
+                <Form.Control
+                  type="search"
+                  placeholder="Buscar por número..."
+                  value={searchTerm}
+                  onChange={(e) => {
+                    setSearchTerm(e.target.value);
+                    setPage(1);
+                  }}
+                />
+              </InputGroup>
+              <Form.Select
+                style={{ maxWidth: '200px' }}
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(1);
+                }}
+              >
+                <option value="all">Todos los estados</option>
+                {Object.entries(INVOICE_STATUSES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Card.Header>
+            <Card.Body className="p-0">
+              <Table responsive hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th className="border-0 py-3 px-4">Número</th>
+                    <th className="border-0 py-3">Cliente</th>
+                    <th className="border-0 py-3">Estado</th>
+                    <th className="border-0 py-3">Vencimiento</th>
+                    <th className="border-0 py-3 text-end">Total</th>
+                    <th className="border-0 py-3 text-end">Pendiente</th>
+                    <th className="border-0 py-3 text-end px-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan="7" className="text-center py-5">
+                        <Spinner animation="border" className="me-2" />
+                        Cargando facturas...
+                      </td>
+                    </tr>
+                  ) : invoices.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="text-center py-5 text-muted">
+                        <i className="bi bi-receipt display-6 d-block mb-2"></i>
+                        {searchTerm || statusFilter !== 'all' || clientFilter ? 'Ninguna factura coincide con el filtro' : 'Todavía no hay facturas'}
+                      </td>
+                    </tr>
+                  ) : (
+                    invoices.map(invoice => {
+                      const statusInfo = INVOICE_STATUSES[invoice.status];
+                      return (
+                        <tr key={invoice._id} role="button" onClick={() => setSelectedInvoiceId(invoice._id)}>
+                          <td className="py-3 px-4">
+                            <h6 className="mb-0">{invoice.number || <span className="text-muted">Sin número</span>}</h6>
+                            <small className="text-muted">{formatDate(invoice.issueDate || invoice.createdAt)}</small>
+                          </td>
+                          <td className="py-3">{invoice.client?.company || <span className="text-muted">Cliente eliminado</span>}</td>
+                          <td className="py-3">
+                            <Badge bg={statusInfo.variant}>
+                              <i className={`bi bi-${statusInfo.icon} me-1`}></i>
+                              {statusInfo.label}
+                            </Badge>
+                          </td>
+                          <td className="py-3">
+                            <small>{formatDate(invoice.dueDate)}</small>
+                          </td>
+                          <td className="py-3 text-end">{formatMoney(invoice.totals.total)}</td>
+                          <td className={`py-3 text-end fw-semibold ${invoice.status === 'overdue' ? 'text-danger' : ''}`}>
+                            {invoice.status === 'draft' || invoice.status === 'void' ? '—' : formatMoney(invoice.balance)}
+                          </td>
+                          <td className="py-3 text-end px-4">
+                            <i className="bi bi-chevron-right text-muted"></i>
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+            {pagination.totalPages > 1 && (
+              <Card.Footer className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+                <small className="text-muted">{pagination.total} facturas</small>
+                <Pagination className="mb-0">
+                  <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+                  <Pagination.Item active>{pagination.page}</Pagination.Item>
+                  <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+                </Pagination>
+              </Card.Footer>
+            )}
+          </Card>
+        </Tab>
+
+        <Tab eventKey="receivables" title="Cuentas por cobrar">
+          <Receivables onSelectClient={handleSelectClient} />
+        </Tab>
+
+        <Tab eventKey="payments" title="Cobros">
+          <PaymentLedger
+            canDelete={canDelete}
+            onSelectInvoice={setSelectedInvoiceId}
+            onNotify={showNotification}
+          />
+        </Tab>
+      </Tabs>
+
+      <InvoiceModal
+        show={showInvoiceModal}
+        onHide={() => setShowInvoiceModal(false)}
+        onSaved={(response) => {
+          showNotification(response.message);
+          setSelectedInvoiceId(response.invoice._id);
+        }}
+      />
+
+      <GenerateInvoicesModal
+        show={showGenerateModal}
+        onHide={() => setShowGenerateModal(false)}
+        onGenerated={(response) => {
+          showNotification(response.message);
+          setStatusFilter('draft');
+          setClientFilter(null);
+          setPage(1);
+          setActiveTab('invoices');
+          setReloadCount(count => count + 1);
+        }}
+      />
+
+      {renderToast()}
+    </div>
+  );
+};
+
+export default Invoices;
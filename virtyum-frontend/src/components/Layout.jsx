@@ -3,13 +3,13 @@ import { Container } from 'react-bootstrap';
 import Navbar from './Navbar';
 import Sidebar from './Sidebar';
 
-const Layout = ({ children, currentPage, setCurrentPage }) => {
+const Layout = ({ children, currentPage, setCurrentPage, user, onLogout }) => {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
 
   return (
     <div className="min-vh-100 bg-light">
       {/* Navbar */}
-      <Navbar currentPage={currentPage} setCurrentPage={setCurrentPage} />
+      <Navbar currentPage={currentPage} setCurrentPage={setCurrentPage} user={user} onLogout={onLogout} />
       
       {/* Sidebar */}
       <Sidebar 
@@ -17,6 +17,7 @@ const Layout = ({ children, currentPage, setCurrentPage }) => {
         setIsCollapsed={setSidebarCollapsed}
         currentPage={currentPage}
         setCurrentPage={setCurrentPage}
+        user={user}
       />
       
       {/* Main Content */}
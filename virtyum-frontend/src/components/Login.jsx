@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Página de inicio de sesión
+ * @description Formulario de acceso a Virtyum. No hay registro abierto: las cuentas las crea un
+ * administrador
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import AuthAPI from '../services/authApi';
+
+/**
+ * Página de acceso
+ * @component Login
+ * @param {Object} props - Props del componente
+ * @param {Function} props.onAuthenticated - Callback con el usuario tras iniciar sesión
+ * @param {string} [props.notice] - Aviso a mostrar (p. ej. sesión expirada)
+ * @returns {JSX.Element} Formulario de login
+ */
+const Login = ({ onAuthenticated, notice }) => {
+  const [formData, setFormData] = useState({ email: '', password: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Maneja cambios en los campos del formulario
+   * @param {Event} e - Evento del input
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Maneja el envío del formulario
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const user = await AuthAPI.login(formData.email, formData.password);
+      onAuthenticated(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-vh-100 bg-light d-flex align-items-center justify-content-center p-3">
+      <Card className="border-0 shadow-sm" style={{ width: '100%', maxWidth: '420px' }}>
+        <Card.Body className="p-4">
+          <div className="text-center mb-4">
+            <i className="bi bi-box fs-1 text-primary"></i>
+            <h1 className="h4 mt-2 mb-1">Virtyum</h1>
+            <p className="text-muted mb-0">
+              Inicia sesión para continuar
+            </p>
+          </div>
+
+          {notice && !error && (
+            <Alert variant="warning" className="mb-3">
+              <i className="bi bi-info-circle me-2"></i>
+              {notice}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert variant="danger" className="mb-3" dismissible onClose={() => setError(null)}>
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          <Form onSubmit={handleSubmit}>
+            <Form.Group className="mb-3">
+              <Form.Label>Correo electrónico</Form.Label>
+              <Form.Control
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                placeholder="nombre@empresa.com"
+                autoComplete="username"
+                required
+                disabled={loading}
+              />
+            </Form.Group>
+
+            <Form.Group className="mb-4">
+              <Form.Label>Contraseña</Form.Label>
+              <Form.Control
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                autoComplete="current-password"
+                required
+                disabled={loading}
+              />
+            </Form.Group>
+
+            <Button variant="primary" type="submit" className="w-100" disabled={loading}>
+              {loading ? (
+                <>
+                  <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                  Entrando...
+                </>
+              ) : (
+                <>
+                  <i className="bi bi-box-arrow-in-right me-2"></i>
+                  Iniciar sesión
+                </>
+              )}
+            </Button>
+          </Form>
+
+          <p className="text-center text-muted small mt-3 mb-0">
+            ¿No tienes cuenta? Pídela a un administrador.
+          </p>
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default Login;
@@ -1,6 +1,6 @@
 import { Navbar as BootstrapNavbar, Nav, NavDropdown, Container } from 'react-bootstrap';
 
-const Navbar = ({ currentPage, setCurrentPage }) => {
+const Navbar = ({ currentPage, setCurrentPage, user, onLogout }) => {
   const handleNavClick = (pageId, e) => {
     e.preventDefault();
     setCurrentPage(pageId);
@@ -45,14 +45,18 @@ const Navbar = ({ currentPage, setCurrentPage }) => {
             <NavDropdown title={
               <span>
                 <i className="bi bi-person-circle me-1"></i>
-                Usuario
+                {user?.name || 'Usuario'}
               </span>
             } id="basic-nav-dropdown" align="end">
-              <NavDropdown.Item href="#profile">
+              <NavDropdown.Item href="#profile" onClick={(e) => handleNavClick('profile', e)}>
                 <i className="bi bi-person me-2"></i>
                 Perfil
               </NavDropdown.Item>
-            
+              <NavDropdown.Divider />
+              <NavDropdown.Item href="#logout" onClick={(e) => { e.preventDefault(); onLogout(); }}>
+                <i className="bi bi-box-arrow-right me-2"></i>
+                Cerrar sesión
+              </NavDropdown.Item>
             </NavDropdown>
           </Nav>
         </BootstrapNavbar.Collapse>
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Libro de cobros
+ * @description Cobros registrados entre dos fechas, con el total cobrado del periodo
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Form, InputGroup, Alert, Spinner, Pagination } from 'react-bootstrap';
+import InvoiceAPI, { PAYMENT_METHODS } from '../services/invoiceApi';
+import { formatMoney, formatDate } from '../services/format';
+
+/**
+ * Cobros por página
+ * @constant {number} PAYMENTS_PAGE_SIZE
+ */
+const PAYMENTS_PAGE_SIZE = 50;
+
+/**
+ * Tabla del libro de cobros
+ * @component PaymentLedger
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.canDelete - Si el usuario puede eliminar cobros
+ * @param {Function} props.onSelectInvoice - Recibe el ID de la factura pulsada
+ * @param {Function} props.onNotify - Muestra una notificación `(message, type)`
+ * @returns {JSX.Element} Tabla renderizada
+ */
+const PaymentLedger = ({ canDelete, onSelectInvoice, onNotify }) => {
+  const [payments, setPayments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 0, hasNextPage: false, hasPrevPage: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Carga la página actual de cobros
+   * @async
+   */
+  const loadPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await InvoiceAPI.getPayments({ from, to, page, limit: PAYMENTS_PAGE_SIZE });
+      setPayments(data.payments);
+      setTotal(data.total);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, page]);
+
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
+
+  /**
+   * Elimina un cobro tras confirmación
+   * @async
+   * @param {Object} payment - Cobro a eliminar
+   */
+  const handleDelete = async (payment) => {
+    if (!window.confirm(`¿Eliminar el cobro de ${formatMoney(payment.amount)} de la factura ${payment.invoice?.number}?`)) return;
+
+    try {
+      const response = await InvoiceAPI.deletePayment(payment._id);
+      onNotify(response.message);
+      loadPayments();
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  return (
+    <Card className="border-0 shadow-sm">
+      <Card.Header className="bg-white border-0 py-3 d-flex flex-wrap gap-2 align-items-center">
+        <InputGroup style={{ maxWidth: '230px' }}>
+          <InputGroup.Text>Desde</InputGroup.Text>
+          <Form.Control type="date" value={from} onChange={(e) => { setFrom(e.target.value); setPage(1); }} />
+        </InputGroup>
+        <InputGroup style={{ maxWidth: '230px' }}>
+          <InputGroup.Text>Hasta</InputGroup.Text>
+          <Form.Control type="date" value={to} onChange={(e) => { setTo(e.target.value); setPage(1); }} />
+        </InputGroup>
+        <span className="ms-auto fw-semibold">Total cobrado: {formatMoney(total)}</span>
+      </Card.Header>
+      <Card.Body className="p-0">
+        {error && <Alert variant="danger" className="m-3">{error}</Alert>}
+        <Table responsive hover className="mb-0 align-middle">
+          <thead className="bg-light">
+            <tr>
+              <th className="border-0 py-3 px-4">Fecha</th>
+              <th className="border-0 py-3">Factura</th>
+              <th className="border-0 py-3">Cliente</th>
+              <th className="border-0 py-3">Forma de pago</th>
+              <th className="border-0 py-3 text-end">Importe</th>
+              <th className="border-0 py-3 text-end px-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6" className="text-center py-5">
+                  <Spinner animation="border" className="me-2" />
+                  Cargando cobros...
+                </td>
+              </tr>
+            ) : payments.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center py-5 text-muted">
+                  <i className="bi bi-cash-stack display-6 d-block mb-2"></i>
+                  No hay cobros en el periodo
+                </td>
+              </tr>
+            ) : (
+              payments.map(payment => (
+                <tr key={payment._id}>
+                  <td className="py-3 px-4">{formatDate(payment.date)}</td>
+                  <td className="py-3">
+                    {payment.invoice ? (
+                      <Button variant="link" className="p-0" onClick={() => onSelectInvoice(payment.invoice._id)}>
+                        {payment.invoice.number}
+                      </Button>
+                    ) : '—'}
+                  </td>
+                  <td className="py-3">{payment.client?.company || <span className="text-muted">Cliente eliminado</span>}</td>
+                  <td className="py-3">
+                    {PAYMENT_METHODS[payment.method]}
+                    {payment.reference && <small className="text-muted d-block">{payment.reference}</small>}
+                  </td>
+                  <td className="py-3 text-end fw-semibold">{formatMoney(payment.amount)}</td>
+                  <td className="py-3 text-end px-4">
+                    {canDelete && (
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="text-danger p-0"
+                        onClick={() => handleDelete(payment)}
+                        title="Eliminar cobro"
+                      >
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </Table>
+      </Card.Body>
+      {pagination.totalPages > 1 && (
+        <Card.Footer className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+          <small className="text-muted">{pagination.total} cobros</small>
+          <Pagination className="mb-0">
+            <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+            <Pagination.Item active>{pagination.page}</Pagination.Item>
+            <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+          </Pagination>
+        </Card.Footer>
+      )}
+    </Card>
+  );
+};
+
+export default PaymentLedger;
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Modal para registrar cobros de facturas
+ * @description Importe (por defecto el saldo pendiente), fecha, forma de pago y referencia
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert, Spinner, Row, Col } from 'react-bootstrap';
+import InvoiceAPI, { PAYMENT_METHODS } from '../services/invoiceApi';
+import { formatMoney } from '../services/format';
+
+/**
+ * Modal de registro de un cobro
+ * @component PaymentModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla la visibilidad del modal
+ * @param {Function} props.onHide - Función para cerrar el modal
+ * @param {Function} props.onSaved - Recibe la respuesta del backend (`payment` e `invoice`)
+ * @param {Object|null} props.invoice - Factura cobrada (`_id`, `number`, `balance`)
+ * @returns {JSX.Element} Componente modal renderizado
+ */
+const PaymentModal = ({ show, onHide, onSaved, invoice }) => {
+  const [formData, setFormData] = useState({ amount: '', date: '', method: 'transfer', reference: '', notes: '' });
+  const [loading, setLoading] = useState(false);
+  const [alertMessage, setAlertMessage] = useState(null);
+
+  /**
+   * Propone el saldo pendiente y la fecha de hoy al abrir el modal
+   */
+  useEffect(() => {
+    setFormData({
+      amount: invoice?.balance ?? '',
+      date: new Date().toISOString().slice(0, 10),
+      method: 'transfer',
+      reference: '',
+      notes: ''
+    });
+    setAlertMessage(null);
+  }, [invoice, show]);
+
+  /**
+   * Maneja cambios en los campos del formulario
+   * @param {Event} e - Evento del input
+   */
+  const handleInputChange = (e) => {
+    const { name, value, type } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'number' && value !== '' ? Number(value) : value
+    }));
+  };
+
+  /**
+   * Valida y envía el cobro
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.amount === '' || formData.amount <= 0) {
+      setAlertMessage('El importe debe ser mayor que 0');
+      return;
+    }
+    if (formData.amount > invoice.balance) {
+      setAlertMessage(`El importe no puede superar el saldo pendiente (${formatMoney(invoice.balance)})`);
+      return;
+    }
+
+    setAlertMessage(null);
+    setLoading(true);
+
+    try {
+      const response = await InvoiceAPI.recordPayment(invoice._id, formData);
+      onSaved?.(response);
+      onHide();
+    } catch (error) {
+      console.error('Error al registrar cobro:', error);
+      setAlertMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} backdrop="static" keyboard={false}>
+      <Modal.Header closeButton={!loading}>
+        <Modal.Title>
+          <i className="bi bi-cash-coin me-2"></i>
+          Registrar cobro {invoice?.number && `· ${invoice.number}`}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {alertMessage && (
+            <Alert variant="danger" dismissible onClose={() => setAlertMessage(null)} className="mb-3">
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {alertMessage}
+            </Alert>
+          )}
+
+          <Row>
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Importe (USD) <span className="text-danger">*</span></Form.Label>
+                <Form.Control
+                  type="number"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleInputChange}
+                  min="0.01"
+                  max={invoice?.balance}
+                  step="0.01"
+                  disabled={loading}
+                />
+                <Form.Text className="text-muted">
+                  Pendiente: {formatMoney(invoice?.balance)}
+                </Form.Text>
+              </Form.Group>
+            </Col>
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Fecha</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="date"
+                  value={formData.date}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Forma de pago</Form.Label>
+                <Form.Select name="method" value={formData.method} onChange={handleInputChange} disabled={loading}>
+                  {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Referencia</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="reference"
+                  value={formData.reference}
+                  onChange={handleInputChange}
+                  placeholder="Nº de operación"
+                  maxLength={100}
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={12}>
+              <Form.Group>
+                <Form.Label>Notas</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  maxLength={500}
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            Cancelar
+          </Button>
+          <Button variant="success" type="submit" disabled={loading}>
+            {loading ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                Guardando...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-check-lg me-2"></i>
+                Registrar
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default PaymentModal;
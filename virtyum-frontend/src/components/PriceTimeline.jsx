@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Historial de precios de un servicio
+ * @description Precio actual, cambios programados, línea de tiempo de precios aplicados y
+ * consulta del precio vigente en una fecha
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Form, Button, Badge, Spinner, Alert, Table, Row, Col, InputGroup } from 'react-bootstrap';
+import ServiceAPI, { PRICE_CHANGE_SOURCES } from '../services/serviceApi';
+import { CURRENCIES } from '../services/currencyApi';
+import { formatMoney, formatDate } from '../services/format';
+
+/**
+ * Devuelve la fecha de mañana en formato YYYY-MM-DD (mínimo para programar un cambio)
+ * @returns {string} Fecha local de mañana
+ */
+const getTomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Formulario vacío para programar un cambio
+ * @param {string} currency - Moneda actual del servicio
+ * @returns {Object} Estado inicial del formulario
+ */
+const emptyScheduleForm = (currency) => ({ price: '', currency, effectiveDate: getTomorrow(), note: '' });
+
+/**
+ * Historial y programación de precios de un servicio
+ * @component PriceTimeline
+ * @param {Object} props - Props del componente
+ * @param {string} props.serviceId - ID del servicio
+ * @returns {JSX.Element} Precio actual, cambios programados, historial y consulta por fecha
+ * @example
+ * <PriceTimeline serviceId={service._id} />
+ */
+const PriceTimeline = ({ serviceId }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [scheduleForm, setScheduleForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [cancellingId, setCancellingId] = useState(null);
+  const [lookupDate, setLookupDate] = useState('');
+  const [lookup, setLookup] = useState(null);
+  const [lookupError, setLookupError] = useState(null);
+
+  const loadPrices = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setData(await ServiceAPI.getPriceHistory(serviceId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [serviceId]);
+
+  useEffect(() => {
+    loadPrices();
+  }, [loadPrices]);
+
+  /**
+   * Actualiza un campo del formulario de programación
+   * @param {Event} e - Evento del control
+   */
+  const handleScheduleChange = (e) => {
+    const { name, value } = e.target;
+    setScheduleForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Programa el cambio de precio y recarga el historial
+   * @async
+   * @param {Event} e - Evento de envío del formulario
+   */
+  const handleSchedule = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setFormError(null);
+      await ServiceAPI.schedulePriceChange(serviceId, {
+        ...scheduleForm,
+        price: parseFloat(scheduleForm.price)
+      });
+      setScheduleForm(null);
+      await loadPrices();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Cancela un cambio programado tras confirmarlo
+   * @async
+   * @param {Object} change - Cambio programado
+   */
+  const handleCancel = async (change) => {
+    if (!window.confirm(`¿Cancelar el cambio a ${formatMoney(change.price, change.currency)} del ${formatDate(change.effectiveDate)}?`)) {
+      return;
+    }
+    try {
+      setCancellingId(change._id);
+      await ServiceAPI.cancelPriceChange(serviceId, change._id);
+      await loadPrices();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  /**
+   * Consulta el precio vigente en la fecha indicada
+   * @async
+   * @param {Event} e - Evento de envío del formulario
+   */
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    try {
+      setLookupError(null);
+      setLookup(await ServiceAPI.getPriceAt(serviceId, lookupDate));
+    } catch (err) {
+      setLookup(null);
+      setLookupError(err.message);
+    }
+  };
+
+  if (error) {
+    return (
+      <Alert variant="danger" className="mb-0">
+        <i className="bi bi-exclamation-triangle me-2"></i>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" size="sm" className="me-2" />
+        Cargando precios...
+      </div>
+    );
+  }
+
+  const { service, scheduled, failed = [], history } = data;
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <div>
+          <small className="text-muted d-block">Precio actual</small>
+          <span className="fs-5 fw-bold text-success">{formatMoney(service.price, service.currency)}</span>
+        </div>
+        {!scheduleForm && !service.hasTiers && (
+          <Button variant="outline-primary" size="sm" onClick={() => setScheduleForm(emptyScheduleForm(service.currency))}>
+            <i className="bi bi-calendar-plus me-1"></i>
+            Programar cambio
+          </Button>
+        )}
+      </div>
+
+      {service.hasTiers && (
+        <p className="text-muted small">
+          <i className="bi bi-info-circle me-1"></i>
+          El precio es el del nivel más barato: se cambia editando los niveles y no admite cambios programados.
+        </p>
+      )}
+
+      {scheduleForm && (
+        <Form onSubmit={handleSchedule} className="border rounded p-3 mb-3 bg-light">
+          {formError && (
+            <Alert variant="danger" className="py-2">
+              {formError}
+            </Alert>
+          )}
+          <Row className="g-2">
+            <Col md={5}>
+              <Form.Label className="small">Precio nuevo *</Form.Label>
+              <InputGroup size="sm">
+                <Form.Control
+                  type="number"
+                  name="price"
+                  min="0"
+                  step="0.01"
+                  value={scheduleForm.price}
+                  onChange={handleScheduleChange}
+                  required
+                />
+                <Form.Select name="currency" value={scheduleForm.currency} onChange={handleScheduleChange} style={{ maxWidth: '6rem' }}>
+                  {Object.keys(CURRENCIES).map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </Form.Select>
+              </InputGroup>
+            </Col>
+            <Col md={3}>
+              <Form.Label className="small">Desde *</Form.Label>
+              <Form.Control
+                size="sm"
+                type="date"
+                name="effectiveDate"
+                min={getTomorrow()}
+                value={scheduleForm.effectiveDate}
+                onChange={handleScheduleChange}
+                required
+              />
+            </Col>
+            <Col md={4}>
+              <Form.Label className="small">Motivo</Form.Label>
+              <Form.Control
+                size="sm"
+                name="note"
+                maxLength={200}
+                placeholder="Revisión anual..."
+                value={scheduleForm.note}
+                onChange={handleScheduleChange}
+              />
+            </Col>
+          </Row>
+          <div className="d-flex justify-content-end gap-2 mt-2">
+            <Button variant="secondary" size="sm" onClick={() => { setScheduleForm(null); setFormError(null); }} disabled={saving}>
+              Cancelar
+            </Button>
+            <Button type="submit" variant="primary" size="sm" disabled={saving}>
+              {saving ? <Spinner animation="border" size="sm" /> : 'Programar'}
+            </Button>
+          </div>
+        </Form>
+      )}
+
+      {scheduled.length > 0 && (
+        <>
+          <h6 className="text-muted small text-uppercase">Programados</h6>
+          <Table size="sm" className="small mb-3">
+            <tbody>
+              {scheduled.map(change => (
+                <tr key={change._id}>
+                  <td style={{ width: '20%' }}>{formatDate(change.effectiveDate)}</td>
+                  <td className="fw-semibold">{formatMoney(change.price, change.currency)}</td>
+                  <td className="text-muted">{change.note}</td>
+                  <td className="text-muted">{change.createdBy?.name}</td>
+                  <td className="text-end">
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => handleCancel(change)}
+                      disabled={cancellingId === change._id}
+                      title="Cancelar cambio"
+                    >
+                      <i className="bi bi-x-lg"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+
+      {failed.length > 0 && (
+        <>
+          <h6 className="text-muted small text-uppercase">No aplicados</h6>
+          <Table size="sm" className="small mb-3">
+            <tbody>
+              {failed.map(change => (
+                <tr key={change._id}>
+                  <td style={{ width: '20%' }}>{formatDate(change.effectiveDate)}</td>
+                  <td className="text-decoration-line-through">{formatMoney(change.price, change.currency)}</td>
+                  <td className="text-danger">{change.failureReason}</td>
+                  <td className="text-muted">{change.createdBy?.name}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+
+      <h6 className="text-muted small text-uppercase">Historial</h6>
+      {history.length === 0 ? (
+        <p className="text-muted small">Sin cambios de precio registrados</p>
+      ) : (
+        <Table size="sm" className="small mb-3">
+          <tbody>
+            {history.map(change => (
+              <tr key={change._id}>
+                <td style={{ width: '20%' }}>{new Date(change.appliedAt).toLocaleString()}</td>
+                <td>
+                  {change.previousPrice !== null && (
+                    <>
+                      <span className="text-danger text-decoration-line-through">
+                        {formatMoney(change.previousPrice, change.previousCurrency)}
+                      </span>
+                      <i className="bi bi-arrow-right mx-2 text-muted"></i>
+                    </>
+                  )}
+                  <span className="text-success fw-semibold">{formatMoney(change.price, change.currency)}</span>
+                  {change.note && <div className="text-muted">{change.note}</div>}
+                </td>
+                <td>
+                  <Badge bg={change.source === 'schedule' ? 'info' : 'secondary'}>
+                    {PRICE_CHANGE_SOURCES[change.source] || change.source}
+                  </Badge>
+                </td>
+                <td className="text-muted">{change.createdBy?.name || 'Desconocido'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      <h6 className="text-muted small text-uppercase">Precio en una fecha</h6>
+      <Form onSubmit={handleLookup}>
+        <InputGroup size="sm" style={{ maxWidth: '20rem' }}>
+          <Form.Control
+            type="date"
+            value={lookupDate}
+            onChange={(e) => setLookupDate(e.target.value)}
+            required
+          />
+          <Button type="submit" variant="outline-secondary">
+            <i className="bi bi-search me-1"></i>
+            Consultar
+          </Button>
+        </InputGroup>
+      </Form>
+      {lookupError && <small className="text-danger d-block mt-2">{lookupError}</small>}
+      {lookup && (
+        <div className="small mt-2">
+          <strong>{formatMoney(lookup.price, lookup.currency)}</strong>
+          <span className="text-muted ms-2">
+            {lookup.since ? `vigente desde ${new Date(lookup.since).toLocaleString()}` : 'precio anterior al historial registrado'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceTimeline;
@@ -5,24 +5,72 @@
  * @version 2.0.0 - Conectado con backend
  */
 
-import { useState, useEffect } from 'react';
-import { Card, Table, Button, Badge, Form, InputGroup, Row, Col, Dropdown, Alert, Spinner, Toast, ToastContainer } from 'react-bootstrap';
-import ServiceAPI from '../services/serviceApi';
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
+import { Card, Table, Button, Badge, Form, InputGroup, Row, Col, Dropdown, Alert, Spinner, Toast, ToastContainer, Pagination } from 'react-bootstrap';
+import ServiceAPI, { VALID_STATUSES, SERVICE_EXPORT_FORMATS } from '../services/serviceApi';
+import CategoryAPI, { getCategoryStyle } from '../services/categoryApi';
 import ServiceModal from './ServiceModal';
+import BulkPriceModal from './BulkPriceModal';
+import ImportWizard from './ImportWizard';
+import ExportMenu from './ExportMenu';
+import ServiceTiers from './ServiceTiers';
+import Bundles from './Bundles';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
+import { formatMoney } from '../services/format';
+import { subscribeToCatalogEvents, describeServiceEvent } from '../services/realtime';
+
+/**
+ * Tamaño de página por defecto y opciones disponibles en el selector
+ * @constant {number} DEFAULT_PAGE_SIZE
+ * @constant {Array<number>} PAGE_SIZE_OPTIONS
+ */
+const DEFAULT_PAGE_SIZE = 10;
+const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
 
 /**
  * Componente principal para gestión de servicios de marketing
  * @component Products
- * @description Permite listar, crear, editar y eliminar servicios conectados al backend
+ * @description Permite listar, crear, editar y eliminar servicios conectados al backend.
+ * Las acciones se muestran según los permisos del usuario autenticado.
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado (con su lista de permisos)
+ * @param {Function} [props.onViewClients] - Abre el listado de clientes de un servicio
  * @returns {JSX.Element} Interfaz completa de gestión de servicios
  */
-const Products = () => {
+const Products = ({ user, onViewClients }) => {
+  // Acciones permitidas para el rol del usuario
+  const canCreate = hasPermission(user, PERMISSIONS.SERVICES_CREATE);
+  const canUpdate = hasPermission(user, PERMISSIONS.SERVICES_UPDATE);
+  const canDelete = hasPermission(user, PERMISSIONS.SERVICES_DELETE);
+  const canDeactivate = hasPermission(user, PERMISSIONS.SERVICES_DEACTIVATE);
+  const canBulkSelect = canUpdate || canDelete;
+  const canViewClients = Boolean(onViewClients) && hasPermission(user, PERMISSIONS.CLIENTS_READ);
+  const hasRowActions = canUpdate || canCreate || canDelete || canViewClients;
+
   // Estados para filtros y búsqueda
   const [searchTerm, setSearchTerm] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [priceRange, setPriceRange] = useState({ minPrice: '', maxPrice: '' });
+  const [dateRange, setDateRange] = useState({ createdFrom: '', createdTo: '' });
+
+  // Estados para paginación y orden (resueltos en el backend)
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+  const [sortBy, setSortBy] = useState('createdAt');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [pagination, setPagination] = useState({
+    total: 0,
+    page: 1,
+    limit: DEFAULT_PAGE_SIZE,
+    totalPages: 1,
+    hasNextPage: false,
+    hasPrevPage: false
+  });
 
   // Estados para datos del backend
   const [services, setServices] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [stats, setStats] = useState({
     overview: { totalServices: 0, activeServices: 0 },
     clients: { totalClients: 0 },
@@ -32,9 +80,24 @@ const Products = () => {
   // Estados para UI y loading
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Aumenta en cada recarga del catálogo para que los paquetes reflejen el estado de los servicios
+  const [catalogVersion, setCatalogVersion] = useState(0);
   const [showModal, setShowModal] = useState(false);
   const [editingService, setEditingService] = useState(null);
 
+  // Estados para selección y operaciones masivas
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [expandedIds, setExpandedIds] = useState([]);
+  const [bulkLoading, setBulkLoading] = useState(false);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [showPriceModal, setShowPriceModal] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+
+  // Cambios de otros usuarios recibidos por el canal en tiempo real
+  const [remoteChanges, setRemoteChanges] = useState({});
+  const [lastRemoteChange, setLastRemoteChange] = useState(null);
+  const [pendingRemoteCreations, setPendingRemoteCreations] = useState(0);
+
   // Estados para notificaciones
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
@@ -52,22 +115,44 @@ const Products = () => {
   };
 
   /**
-   * Carga todos los servicios desde el backend
+   * Carga la página actual de servicios y las estadísticas desde el backend
    * @async
    * @function loadServices
    */
-  const loadServices = async () => {
+  const loadServices = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
       
       const [servicesData, statsData] = await Promise.all([
-        ServiceAPI.getAllServices(),
+        ServiceAPI.searchServices({
+          searchTerm,
+          page,
+          limit: pageSize,
+          // Con texto de búsqueda se ordena por relevancia
+          ...(searchTerm.trim() ? {} : { sortBy, order: sortOrder }),
+          category: categoryFilter,
+          status: statusFilter,
+          ...priceRange,
+          ...dateRange
+        }),
         ServiceAPI.getServiceStats()
       ]);
       
-      setServices(servicesData);
+      // Si la página actual quedó vacía (p. ej. tras eliminar), volver a la última disponible
+      if (servicesData.services.length === 0 && page > servicesData.pagination.totalPages) {
+        setPage(servicesData.pagination.totalPages);
+        return;
+      }
+
+      setServices(servicesData.services);
+      setPagination(servicesData.pagination);
+      // Conservar solo la selección que sigue visible en la página
+      setSelectedIds(prev => prev.filter(id => servicesData.services.some(service => service._id === id)));
       setStats(statsData);
+      setCatalogVersion(version => version + 1);
+      setRemoteChanges({});
+      setPendingRemoteCreations(0);
       
     } catch (err) {
       console.error('Error al cargar servicios:', err);
@@ -76,149 +161,197 @@ const Products = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [searchTerm, page, pageSize, sortBy, sortOrder, categoryFilter, statusFilter, priceRange, dateRange]);
 
   /**
-   * Efecto para cargar datos al montar el componente
+   * Efecto para cargar datos al montar el componente y al cambiar filtros, orden o página.
+   * Se espera un momento para no lanzar una petición por cada tecla en la búsqueda o los precios.
    */
   useEffect(() => {
-    loadServices();
-  }, []);
+    const timeoutId = setTimeout(loadServices, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadServices]);
 
-  // Datos estáticos originales (para fallback o comparación)
-  const fallbackServices = [
-    {
-      id: 1,
-      name: 'SEO & Posicionamiento Web',
-      category: 'Digital',
-      price: '$899',
-      duration: '3-6 meses',
-      status: 'Activo',
-      description: 'Optimización completa para motores de búsqueda',
-      clients: 45
-    },
-    {
-      id: 2,
-      name: 'Social Media Marketing',
-      category: 'Social',
-      price: '$599',
-      duration: 'Mensual',
-      status: 'Activo',
-      description: 'Gestión completa de redes sociales',
-      clients: 78
-    },
-    {
-      id: 3,
-      name: 'Google Ads & PPC',
-      category: 'Digital',
-      price: '$1,299',
-      duration: 'Mensual',
-      status: 'Activo',
-      description: 'Campañas publicitarias en Google y redes',
-      clients: 34
-    },
-    {
-      id: 4,
-      name: 'Content Marketing',
-      category: 'Contenido',
-      price: '$799',
-      duration: 'Mensual',
-      status: 'Activo',
-      description: 'Creación de contenido estratégico',
-      clients: 56
-    },
-    {
-      id: 5,
-      name: 'Email Marketing',
-      category: 'Digital',
-      price: '$399',
-      duration: 'Mensual',
-      status: 'Activo',
-      description: 'Campañas automatizadas de email',
-      clients: 89
-    },
-    {
-      id: 6,
-      name: 'Diseño Gráfico & Branding',
-      category: 'Diseño',
-      price: '$1,199',
-      duration: '2-4 semanas',
-      status: 'Activo',
-      description: 'Identidad visual y materiales gráficos',
-      clients: 67
-    },
-    {
-      id: 7,
-      name: 'Desarrollo Web',
-      category: 'Desarrollo',
-      price: '$2,499',
-      duration: '4-8 semanas',
-      status: 'Activo',
-      description: 'Sitios web profesionales y e-commerce',
-      clients: 23
-    },
-    {
-      id: 8,
-      name: 'Marketing Analytics',
-      category: 'Análisis',
-      price: '$699',
-      duration: 'Mensual',
-      status: 'Activo',
-      description: 'Análisis y reportes de rendimiento',
-      clients: 41
-    },
-    {
-      id: 9,
-      name: 'Influencer Marketing',
-      category: 'Social',
-      price: '$1,599',
-      duration: 'Por campaña',
-      status: 'Nuevo',
-      description: 'Colaboraciones con influencers',
-      clients: 12
-    },
-    {
-      id: 10,
-      name: 'Video Marketing',
-      category: 'Contenido',
-      price: '$1,899',
-      duration: '2-3 semanas',
-      status: 'Activo',
-      description: 'Producción de videos publicitarios',
-      clients: 28
-    }
-  ];
+  // Categorías configuradas: filtro, desplegables y colores
+  useEffect(() => {
+    CategoryAPI.getCategories()
+      .then(data => setCategories(data.categories))
+      .catch(err => showNotification(err.message, 'error'));
+  }, []);
 
   /**
-   * Maneja la creación exitosa de un nuevo servicio
-   * @param {Object} response - Respuesta del backend con el servicio creado
+   * Recarga solo las estadísticas de la cabecera
+   * @async
    */
-  const handleServiceCreated = async (response) => {
+  const loadStats = useCallback(async () => {
     try {
-      // Recargar servicios y estadísticas
-      await loadServices();
-      setShowModal(false);
-      showNotification('Servicio creado exitosamente');
+      setStats(await ServiceAPI.getServiceStats());
     } catch (err) {
-      showNotification(`Error al actualizar la lista: ${err.message}`, 'error');
+      console.error('Error al actualizar estadísticas:', err);
+    }
+  }, []);
+
+  /**
+   * Aplica a la página actual un servicio creado, modificado o eliminado, sin recargarla
+   * @param {Object} change - `{ action, serviceId, service }` (service es null al eliminar)
+   * @returns {boolean} true si el cambio afecta a la página visible
+   */
+  const applyServiceChange = ({ action, serviceId, service }) => {
+    const isListed = services.some(item => item._id === serviceId);
+
+    if (action === 'update') {
+      if (isListed && service) {
+        setServices(prev => prev.map(item => (item._id === serviceId ? { ...item, ...service } : item)));
+      }
+      return isListed;
+    }
+    if (action === 'delete' || action === 'purge') {
+      if (isListed) {
+        setServices(prev => prev.filter(item => item._id !== serviceId));
+        setSelectedIds(prev => prev.filter(id => id !== serviceId));
+        setPagination(prev => ({ ...prev, total: Math.max(0, prev.total - 1) }));
+      }
+      return isListed;
+    }
+
+    // Un servicio nuevo solo se coloca si la página muestra los más recientes sin filtros
+    const showsNewest = page === 1 && !hasActiveFilters && sortBy === 'createdAt' && sortOrder === 'desc';
+    if (action === 'create' && service && !isListed && showsNewest) {
+      setServices(prev => [service, ...prev].slice(0, pageSize));
+      setPagination(prev => ({ ...prev, total: prev.total + 1 }));
+      return true;
+    }
+    return isListed;
+  };
+
+  /**
+   * Atiende un evento del canal en tiempo real
+   * @param {string} event - Nombre del evento
+   * @param {Object} data - Datos del evento
+   */
+  const handleCatalogEvent = (event, data) => {
+    if (event === 'stats') {
+      loadStats();
+      return;
+    }
+    if (event === 'services:reload' || (event === 'ready' && data.reconnected)) {
+      loadServices();
+      if (event === 'services:reload' && data.actor._id !== user?._id) {
+        setLastRemoteChange({ text: `${data.count} servicios modificados por ${data.actor.name}`, at: new Date() });
+      }
+      return;
+    }
+    if (event !== 'service') return;
+
+    const visible = applyServiceChange(data);
+    setCatalogVersion(version => version + 1);
+    // Los cambios propios ya se ven al hacerlos: solo se señalan los de otros usuarios
+    if (data.actor._id === user?._id) return;
+
+    const description = describeServiceEvent(data);
+    setLastRemoteChange({ text: `${data.serviceName}: ${description}`, at: new Date(data.at) });
+    if (visible) {
+      setRemoteChanges(prev => ({ ...prev, [data.serviceId]: description }));
+    } else if (data.action === 'create' || data.action === 'restore') {
+      setPendingRemoteCreations(count => count + 1);
+    }
+  };
+
+  // El canal se abre una vez; el manejador se lee de la ref para usar siempre el estado actual
+  const catalogEventHandler = useRef(handleCatalogEvent);
+  useEffect(() => {
+    catalogEventHandler.current = handleCatalogEvent;
+  });
+  useEffect(() => subscribeToCatalogEvents((event, data) => catalogEventHandler.current(event, data)), []);
+
+  /**
+   * Actualiza un filtro y vuelve a la primera página
+   * @param {Function} setter - Setter del estado del filtro
+   * @returns {Function} Manejador que recibe el nuevo valor
+   */
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  /**
+   * Cambia el orden de la tabla; si se pulsa la misma columna se invierte la dirección
+   * @param {string} field - Campo por el que ordenar
+   */
+  const handleSort = (field) => {
+    if (sortBy === field) {
+      setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortBy(field);
+      setSortOrder(field === 'name' || field === 'category' ? 'asc' : 'desc');
     }
+    setPage(1);
+  };
+
+  /**
+   * Limpia todos los filtros aplicados
+   */
+  const handleClearFilters = () => {
+    setSearchTerm('');
+    setCategoryFilter('all');
+    setStatusFilter('all');
+    setPriceRange({ minPrice: '', maxPrice: '' });
+    setDateRange({ createdFrom: '', createdTo: '' });
+    setPage(1);
+  };
+
+  /**
+   * Maneja la creación exitosa de un nuevo servicio
+   * @param {Object} response - Respuesta del backend con `service`
+   */
+  const handleServiceCreated = ({ service }) => {
+    applyServiceChange({ action: 'create', serviceId: service._id, service });
+    loadStats();
+    setShowModal(false);
+    showNotification('Servicio creado exitosamente');
   };
 
   /**
    * Maneja la actualización exitosa de un servicio
-   * @param {Object} response - Respuesta del backend con el servicio actualizado
+   * @param {Object} response - Respuesta del backend con `service`
+   */
+  const handleServiceUpdated = ({ service }) => {
+    applyServiceChange({ action: 'update', serviceId: service._id, service });
+    loadStats();
+    setShowModal(false);
+    setEditingService(null);
+    showNotification('Servicio actualizado exitosamente');
+  };
+
+  /**
+   * Descarga los servicios que cumplen los filtros actuales (todas las páginas)
+   * @param {string} format - csv | xlsx | json | pdf
    */
-  const handleServiceUpdated = async (response) => {
+  const handleExport = async (format) => {
     try {
-      await loadServices();
-      setShowModal(false);
-      setEditingService(null);
-      showNotification('Servicio actualizado exitosamente');
+      const filename = await ServiceAPI.exportServices({
+        searchTerm,
+        ...(searchTerm.trim() ? {} : { sortBy, order: sortOrder }),
+        category: categoryFilter,
+        status: statusFilter,
+        ...priceRange,
+        ...dateRange
+      }, format);
+      showNotification(`Exportación descargada: ${filename}`);
     } catch (err) {
-      showNotification(`Error al actualizar la lista: ${err.message}`, 'error');
+      showNotification(err.message, 'error');
     }
   };
 
+  /**
+   * Recarga la lista después de una importación
+   * @param {Object} summary - Resumen devuelto por el backend
+   */
+  const handleImported = async (summary) => {
+    showNotification(`${summary.imported} servicio(s) importados`);
+    await loadServices();
+  };
+
   /**
    * Abre el modal para crear un nuevo servicio
    */
@@ -243,15 +376,21 @@ const Products = () => {
    */
   const handleDelete = async (serviceId, serviceName) => {
     const confirmed = window.confirm(
-      `¿Estás seguro de que quieres eliminar el servicio "${serviceName}"?\n\nEsta acción no se puede deshacer.`
+      `¿Estás seguro de que quieres eliminar el servicio "${serviceName}"?\n\nSe moverá a la papelera, desde donde podrá restaurarse hasta que se purgue.`
     );
 
     if (!confirmed) return;
 
     try {
       await ServiceAPI.deleteService(serviceId);
-      await loadServices();
-      showNotification(`Servicio "${serviceName}" eliminado exitosamente`);
+      // Si la página se queda vacía se recarga para traer la siguiente
+      if (services.length === 1) {
+        await loadServices();
+      } else {
+        applyServiceChange({ action: 'delete', serviceId });
+        loadStats();
+      }
+      showNotification(`Servicio "${serviceName}" movido a la papelera`);
     } catch (err) {
       showNotification(`Error al eliminar servicio: ${err.message}`, 'error');
     }
@@ -265,7 +404,6 @@ const Products = () => {
     const duplicatedService = {
       ...service,
       name: `${service.name} (Copia)`,
-      clients: 0,
       status: 'Nuevo'
     };
     
@@ -278,20 +416,138 @@ const Products = () => {
     setShowModal(true);
   };
 
-  // Filtrar servicios (usando datos del backend o fallback)
-  const currentServices = loading ? [] : (services.length > 0 ? services : fallbackServices);
-  
-  const filteredServices = currentServices.filter(service => {
-    const matchesSearch = service.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         service.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = categoryFilter === 'all' || service.category === categoryFilter;
-    return matchesSearch && matchesCategory;
-  });
+  /**
+   * Marca o desmarca un servicio
+   * @param {string} serviceId - ID del servicio
+   */
+  const toggleSelected = (serviceId) => {
+    setSelectedIds(prev => (
+      prev.includes(serviceId) ? prev.filter(id => id !== serviceId) : [...prev, serviceId]
+    ));
+  };
+
+  /**
+   * Muestra u oculta los niveles de un servicio bajo su fila
+   * @param {string} serviceId - ID del servicio
+   */
+  const toggleExpanded = (serviceId) => {
+    setExpandedIds(prev => (
+      prev.includes(serviceId) ? prev.filter(id => id !== serviceId) : [...prev, serviceId]
+    ));
+  };
+
+  /**
+   * Marca o desmarca todos los servicios de la página actual
+   */
+  const toggleSelectAll = () => {
+    setSelectedIds(prev => (prev.length === services.length ? [] : services.map(service => service._id)));
+  };
+
+  /**
+   * Ejecuta una operación masiva sobre la selección
+   * @async
+   * @param {Function} operation - Recibe los IDs y devuelve la promesa de ServiceAPI
+   * @param {string} [confirmMessage] - Si se indica, se pide confirmación antes
+   * @returns {Promise<boolean>} true si el lote se aplicó
+   */
+  const runBulkAction = async (operation, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) {
+      return false;
+    }
+
+    setBulkLoading(true);
+    setBulkFailures([]);
+    try {
+      const result = await operation(selectedIds);
+      setSelectedIds([]);
+      await loadServices();
+      showNotification(result.message);
+      return true;
+    } catch (err) {
+      // El lote es atómico: si algo falla no se aplicó ningún cambio
+      setBulkFailures((err.results || []).filter(result => result.status === 'failed'));
+      showNotification(err.message, 'error');
+      return false;
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
+  /**
+   * Aplica el ajuste de precio elegido en el modal
+   * @param {Object} adjustment - `{ mode, value }`
+   */
+  const handleBulkPrice = async (adjustment) => {
+    const applied = await runBulkAction(ids => ServiceAPI.bulkAdjustPrice(ids, adjustment));
+    if (applied) {
+      setShowPriceModal(false);
+    }
+  };
+
+  const selectedServices = services.filter(service => selectedIds.includes(service._id));
+  const allSelected = services.length > 0 && selectedIds.length === services.length;
+  const columnCount = canBulkSelect ? 8 : 7;
+
+  const isSearching = searchTerm.trim().length > 0;
+
+  const hasActiveFilters = Boolean(
+    searchTerm ||
+    categoryFilter !== 'all' ||
+    statusFilter !== 'all' ||
+    priceRange.minPrice !== '' ||
+    priceRange.maxPrice !== '' ||
+    dateRange.createdFrom ||
+    dateRange.createdTo
+  );
 
-  // Obtener categorías únicas (del backend o fallback)
-  const categories = stats.categories.availableCategories.length > 0 
-    ? stats.categories.availableCategories 
-    : [...new Set(currentServices.map(service => service.category))];
+  /**
+   * Renderiza la cabecera de una columna ordenable
+   * @param {string} field - Campo de orden en el backend
+   * @param {string} label - Texto de la cabecera
+   * @param {string} [className] - Clases adicionales
+   * @returns {JSX.Element} Celda de cabecera con indicador de orden
+   */
+  const renderSortableHeader = (field, label, className = '') => {
+    // Durante una búsqueda los resultados vienen ordenados por relevancia
+    const isActive = !isSearching && sortBy === field;
+    const icon = isSearching ? '' : !isActive ? 'bi-arrow-down-up text-muted' : (sortOrder === 'asc' ? 'bi-sort-up' : 'bi-sort-down');
+    return (
+      <th
+        className={`border-0 ${className}`}
+        role={isSearching ? undefined : 'button'}
+        onClick={isSearching ? undefined : () => handleSort(field)}
+        aria-sort={isActive ? (sortOrder === 'asc' ? 'ascending' : 'descending') : 'none'}
+      >
+        {label}
+        {icon && <i className={`bi ${icon} ms-1 small`}></i>}
+      </th>
+    );
+  };
+
+  /**
+   * Construye los elementos del paginador (ventana de hasta 5 páginas)
+   * @returns {Array<JSX.Element>} Elementos de Pagination
+   */
+  const renderPageItems = () => {
+    const { totalPages } = pagination;
+    const windowSize = 5;
+    let start = Math.max(1, page - Math.floor(windowSize / 2));
+    const end = Math.min(totalPages, start + windowSize - 1);
+    start = Math.max(1, end - windowSize + 1);
+
+    const items = [];
+    for (let number = start; number <= end; number++) {
+      items.push(
+        <Pagination.Item key={number} active={number === page} onClick={() => setPage(number)}>
+          {number}
+        </Pagination.Item>
+      );
+    }
+    return items;
+  };
+
+  const firstItem = pagination.total === 0 ? 0 : (pagination.page - 1) * pagination.limit + 1;
+  const lastItem = Math.min(pagination.page * pagination.limit, pagination.total);
 
   const getStatusBadge = (status) => {
     const variants = {
@@ -303,17 +559,7 @@ const Products = () => {
     return <Badge bg={variants[status] || 'secondary'}>{status}</Badge>;
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Digital': 'primary',
-      'Social': 'info',
-      'Contenido': 'warning',
-      'Diseño': 'success',
-      'Desarrollo': 'danger',
-      'Análisis': 'dark'
-    };
-    return colors[category] || 'secondary';
-  };
+  const getCategoryColor = (category) => getCategoryStyle(categories, category).color;
 
   return (
     <div>
@@ -322,11 +568,32 @@ const Products = () => {
         <div>
           <h1 className="h3 mb-0">Servicios de Marketing</h1>
           <p className="text-muted mb-0">Gestiona todos los servicios que ofrece Virtyum</p>
+          {lastRemoteChange && (
+            <small className="text-muted" title="Cambio recibido en tiempo real">
+              <i className="bi bi-broadcast me-1"></i>
+              {lastRemoteChange.text} · {lastRemoteChange.at.toLocaleTimeString()}
+            </small>
+          )}
+        </div>
+        <div className="d-flex gap-2">
+          <ExportMenu
+            items={SERVICE_EXPORT_FORMATS}
+            onSelect={handleExport}
+            disabled={loading || pagination.total === 0}
+          />
+          {canCreate && (
+            <>
+              <Button variant="outline-primary" onClick={() => setShowImport(true)} disabled={loading}>
+                <i className="bi bi-file-earmark-arrow-up me-2"></i>
+                Importar
+              </Button>
+              <Button variant="primary" onClick={handleCreateNew} disabled={loading}>
+                <i className="bi bi-plus-lg me-2"></i>
+                Nuevo Servicio
+              </Button>
+            </>
+          )}
         </div>
-        <Button variant="primary" onClick={handleCreateNew} disabled={loading}>
-          <i className="bi bi-plus-lg me-2"></i>
-          Nuevo Servicio
-        </Button>
       </div>
 
       {/* Filters */}
@@ -341,26 +608,95 @@ const Products = () => {
                 <Form.Control
                   placeholder="Buscar servicios..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => updateFilter(setSearchTerm)(e.target.value)}
                 />
               </InputGroup>
             </Col>
-            <Col md={6}>
+            <Col md={3}>
               <Form.Select
                 value={categoryFilter}
-                onChange={(e) => setCategoryFilter(e.target.value)}
+                onChange={(e) => updateFilter(setCategoryFilter)(e.target.value)}
               >
                 <option value="all">Todas las categorías</option>
                 {categories.map(category => (
-                  <option key={category} value={category}>{category}</option>
+                  <option key={category._id} value={category.name}>{category.name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Select
+                value={statusFilter}
+                onChange={(e) => updateFilter(setStatusFilter)(e.target.value)}
+              >
+                <option value="all">Todos los estados</option>
+                {VALID_STATUSES.map(status => (
+                  <option key={status} value={status}>{status}</option>
                 ))}
               </Form.Select>
             </Col>
-           
+            <Col md={3}>
+              <InputGroup>
+                <InputGroup.Text>$ mín.</InputGroup.Text>
+                <Form.Control
+                  type="number"
+                  min="0"
+                  placeholder="0"
+                  value={priceRange.minPrice}
+                  onChange={(e) => updateFilter(setPriceRange)({ ...priceRange, minPrice: e.target.value })}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={3}>
+              <InputGroup>
+                <InputGroup.Text>$ máx.</InputGroup.Text>
+                <Form.Control
+                  type="number"
+                  min="0"
+                  placeholder="Sin límite"
+                  value={priceRange.maxPrice}
+                  onChange={(e) => updateFilter(setPriceRange)({ ...priceRange, maxPrice: e.target.value })}
+                />
+              </InputGroup>
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type="date"
+                title="Creado desde"
+                value={dateRange.createdFrom}
+                onChange={(e) => updateFilter(setDateRange)({ ...dateRange, createdFrom: e.target.value })}
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Control
+                type="date"
+                title="Creado hasta"
+                value={dateRange.createdTo}
+                onChange={(e) => updateFilter(setDateRange)({ ...dateRange, createdTo: e.target.value })}
+              />
+            </Col>
+            <Col md={2} className="d-grid">
+              <Button variant="outline-secondary" onClick={handleClearFilters} disabled={!hasActiveFilters}>
+                <i className="bi bi-x-circle me-1"></i>
+                Limpiar
+              </Button>
+            </Col>
           </Row>
         </Card.Body>
       </Card>
 
+      {pendingRemoteCreations > 0 && (
+        <Alert variant="info" className="py-2 d-flex justify-content-between align-items-center">
+          <span>
+            <i className="bi bi-broadcast me-2"></i>
+            Otros usuarios han añadido {pendingRemoteCreations} servicio(s) que no están en esta vista
+          </span>
+          <Button variant="outline-info" size="sm" onClick={loadServices}>
+            <i className="bi bi-arrow-clockwise me-1"></i>
+            Actualizar
+          </Button>
+        </Alert>
+      )}
+
       {/* Error Alert */}
       {error && (
         <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
@@ -432,9 +768,93 @@ const Products = () => {
       <Card className="border-0 shadow-sm">
         <Card.Header className="bg-white border-0 py-3">
           <div className="d-flex justify-content-between align-items-center">
-            <h5 className="mb-0">Lista de Servicios</h5>
-            <small className="text-muted">{filteredServices.length} servicios encontrados</small>
+            <h5 className="mb-0">
+              Lista de Servicios
+              {isSearching && (
+                <small className="text-muted fw-normal ms-2">ordenados por relevancia</small>
+              )}
+            </h5>
+            <small className="text-muted">{pagination.total} servicios encontrados</small>
           </div>
+
+          {/* Barra de acciones masivas */}
+          {selectedIds.length > 0 && (
+            <div className="d-flex flex-wrap align-items-center gap-2 mt-3 p-2 bg-primary bg-opacity-10 rounded">
+              <strong className="me-2">{selectedIds.length} seleccionado(s)</strong>
+              {canUpdate && (
+                <>
+                  <Dropdown>
+                    <Dropdown.Toggle variant="outline-primary" size="sm" disabled={bulkLoading}>
+                      <i className="bi bi-toggle-on me-1"></i>Estado
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu>
+                      {VALID_STATUSES.map(status => (
+                        <Dropdown.Item
+                          key={status}
+                          disabled={status === 'Inactivo' && !canDeactivate}
+                          onClick={() => runBulkAction(ids => ServiceAPI.bulkUpdateStatus(ids, status))}
+                        >
+                          {status}
+                        </Dropdown.Item>
+                      ))}
+                    </Dropdown.Menu>
+                  </Dropdown>
+                  <Dropdown>
+                    <Dropdown.Toggle variant="outline-primary" size="sm" disabled={bulkLoading}>
+                      <i className="bi bi-tags me-1"></i>Categoría
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu>
+                      {categories.filter(category => category.active).map(category => (
+                        <Dropdown.Item
+                          key={category._id}
+                          onClick={() => runBulkAction(ids => ServiceAPI.bulkMoveCategory(ids, category.name))}
+                        >
+                          {category.name}
+                        </Dropdown.Item>
+                      ))}
+                    </Dropdown.Menu>
+                  </Dropdown>
+                  <Button variant="outline-primary" size="sm" onClick={() => setShowPriceModal(true)} disabled={bulkLoading}>
+                    <i className="bi bi-currency-dollar me-1"></i>Precio
+                  </Button>
+                </>
+              )}
+              {canDelete && (
+                <Button
+                  variant="outline-danger"
+                  size="sm"
+                  disabled={bulkLoading}
+                  onClick={() => runBulkAction(
+                    ids => ServiceAPI.bulkDelete(ids),
+                    `¿Mover ${selectedIds.length} servicio(s) a la papelera?`
+                  )}
+                >
+                  <i className="bi bi-trash me-1"></i>Eliminar
+                </Button>
+              )}
+              {bulkLoading && <Spinner animation="border" size="sm" />}
+              <Button variant="link" size="sm" className="ms-auto" onClick={() => setSelectedIds([])} disabled={bulkLoading}>
+                Quitar selección
+              </Button>
+            </div>
+          )}
+
+          {/* Servicios que impidieron aplicar el último lote */}
+          {bulkFailures.length > 0 && (
+            <Alert variant="warning" className="mt-3 mb-0" dismissible onClose={() => setBulkFailures([])}>
+              <Alert.Heading as="h6">
+                <i className="bi bi-exclamation-triangle me-2"></i>
+                No se aplicó ningún cambio. Servicios con errores:
+              </Alert.Heading>
+              <ul className="mb-0 small">
+                {bulkFailures.map(failure => (
+                  <li key={failure.id}>
+                    <strong>{failure.name || failure.id}</strong>: {failure.error}
+                  </li>
+                ))}
+              </ul>
+            </Alert>
+          )}
         </Card.Header>
         <Card.Body className="p-0">
           {/* Contenedor con altura fija y scroll */}
@@ -442,32 +862,43 @@ const Products = () => {
             <Table hover className="mb-0">
               <thead className="bg-light table-sticky-header">
                 <tr>
-                  <th className="border-0 ps-4">Servicio</th>
-                  <th className="border-0">Categoría</th>
-                  <th className="border-0">Precio</th>
+                  {canBulkSelect && (
+                    <th className="border-0 ps-4" style={{ width: '40px' }}>
+                      <Form.Check
+                        type="checkbox"
+                        aria-label="Seleccionar todos"
+                        checked={allSelected}
+                        onChange={toggleSelectAll}
+                        disabled={services.length === 0}
+                      />
+                    </th>
+                  )}
+                  {renderSortableHeader('name', 'Servicio', canBulkSelect ? '' : 'ps-4')}
+                  {renderSortableHeader('category', 'Categoría')}
+                  {renderSortableHeader('price', 'Precio')}
                   <th className="border-0">Duración</th>
-                  <th className="border-0">Clientes</th>
-                  <th className="border-0">Estado</th>
+                  {renderSortableHeader('clients', 'Clientes')}
+                  {renderSortableHeader('status', 'Estado')}
                   <th className="border-0 pe-4">Acciones</th>
                 </tr>
               </thead>
               <tbody>
                 {loading ? (
                   <tr>
-                    <td colSpan="7" className="text-center py-4">
+                    <td colSpan={columnCount} className="text-center py-4">
                       <Spinner animation="border" className="me-2" />
                       Cargando servicios...
                     </td>
                   </tr>
-                ) : filteredServices.length === 0 ? (
+                ) : services.length === 0 ? (
                   <tr>
-                    <td colSpan="7" className="text-center py-4 text-muted">
+                    <td colSpan={columnCount} className="text-center py-4 text-muted">
                       <i className="bi bi-inbox display-4 d-block mb-2"></i>
-                      {searchTerm || categoryFilter !== 'all' 
+                      {hasActiveFilters
                         ? 'No se encontraron servicios con los filtros aplicados'
                         : 'No hay servicios disponibles'
                       }
-                      {!searchTerm && categoryFilter === 'all' && (
+                      {!hasActiveFilters && canCreate && (
                         <div className="mt-2">
                           <Button variant="primary" size="sm" onClick={handleCreateNew}>
                             <i className="bi bi-plus-lg me-1"></i>
@@ -478,63 +909,179 @@ const Products = () => {
                     </td>
                   </tr>
                 ) : (
-                  filteredServices.map((service) => (
-                    <tr key={service._id || service.id}>
-                      <td className="ps-4">
-                        <div>
-                          <h6 className="mb-1">{service.name}</h6>
-                          <small className="text-muted">{service.description}</small>
-                        </div>
-                      </td>
-                      <td>
-                        <Badge bg={getCategoryColor(service.category)} className="bg-opacity-10" text={getCategoryColor(service.category)}>
-                          {service.category}
-                        </Badge>
-                      </td>
-                      <td>
-                        <strong className="text-success">
-                          {typeof service.price === 'number' 
-                            ? `$${service.price.toLocaleString()}` 
-                            : service.price
-                          }
-                        </strong>
-                      </td>
-                      <td className="text-muted">{service.duration}</td>
-                      <td>
-                        <div className="d-flex align-items-center">
-                          <i className="bi bi-people me-1 text-muted"></i>
-                          {service.clients}
-                        </div>
-                      </td>
-                      <td>{getStatusBadge(service.status)}</td>
-                      <td className="pe-4">
-                        <Dropdown>
-                          <Dropdown.Toggle variant="outline-secondary" size="sm" className="border-0">
-                            <i className="bi bi-three-dots"></i>
-                          </Dropdown.Toggle>
-                          <Dropdown.Menu>
-                            <Dropdown.Item onClick={() => handleEdit(service)}>
-                              <i className="bi bi-pencil me-2"></i>Editar
-                            </Dropdown.Item>
-                            <Dropdown.Divider />
-                            <Dropdown.Item 
-                              onClick={() => handleDelete(service._id || service.id, service.name)}
-                              className="text-danger"
+                  services.map((service) => (
+                    <Fragment key={service._id || service.id}>
+                      <tr className={selectedIds.includes(service._id) ? 'table-active' : ''}>
+                        {canBulkSelect && (
+                          <td className="ps-4">
+                            <Form.Check
+                              type="checkbox"
+                              aria-label={`Seleccionar ${service.name}`}
+                              checked={selectedIds.includes(service._id)}
+                              onChange={() => toggleSelected(service._id)}
+                            />
+                          </td>
+                        )}
+                        <td className={canBulkSelect ? '' : 'ps-4'}>
+                          <div>
+                            <h6 className="mb-1">
+                              {service.name}
+                              {service.score !== undefined && (
+                                <Badge bg="light" text="secondary" className="ms-2 fw-normal" title="Relevancia">
+                                  <i className="bi bi-bullseye me-1"></i>
+                                  {service.score.toFixed(2)}
+                                </Badge>
+                              )}
+                            </h6>
+                            <small className="text-muted">{service.description}</small>
+                            {remoteChanges[service._id] && (
+                              <small className="d-block text-info">
+                                <i className="bi bi-arrow-repeat me-1"></i>
+                                {remoteChanges[service._id]}
+                              </small>
+                            )}
+                          </div>
+                        </td>
+                        <td>
+                          <Badge bg={getCategoryColor(service.category)} className="bg-opacity-10" text={getCategoryColor(service.category)}>
+                            {service.category}
+                          </Badge>
+                        </td>
+                        <td>
+                          {service.tiers?.length > 0 && <small className="text-muted d-block">Desde</small>}
+                          <strong className="text-success">
+                            {typeof service.price === 'number' 
+                              ? formatMoney(service.price, service.currency)
+                              : service.price
+                            }
+                          </strong>
+                          {service.tiers?.length > 0 && (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="p-0 d-block text-decoration-none"
+                              onClick={() => toggleExpanded(service._id)}
+                              aria-expanded={expandedIds.includes(service._id)}
+                            >
+                              <i className={`bi bi-chevron-${expandedIds.includes(service._id) ? 'up' : 'down'} me-1`}></i>
+                              {service.tiers.length} niveles
+                            </Button>
+                          )}
+                        </td>
+                        <td className="text-muted">{service.duration}</td>
+                        <td>
+                          {canViewClients ? (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="p-0 text-decoration-none d-flex align-items-center"
+                              onClick={() => onViewClients(service)}
+                              title="Ver clientes"
+                            >
+                              <i className="bi bi-people me-1"></i>
+                              {service.clients}
+                            </Button>
+                          ) : (
+                            <div className="d-flex align-items-center">
+                              <i className="bi bi-people me-1 text-muted"></i>
+                              {service.clients}
+                            </div>
+                          )}
+                        </td>
+                        <td>{getStatusBadge(service.status)}</td>
+                        <td className="pe-4">
+                          <Dropdown>
+                            <Dropdown.Toggle
+                              variant="outline-secondary"
+                              size="sm"
+                              className="border-0"
+                              disabled={!hasRowActions}
+                              title={!hasRowActions ? 'Tu rol solo permite consultar servicios' : undefined}
                             >
-                              <i className="bi bi-trash me-2"></i>Eliminar
-                            </Dropdown.Item>
-                          </Dropdown.Menu>
-                        </Dropdown>
-                      </td>
-                    </tr>
+                              <i className="bi bi-three-dots"></i>
+                            </Dropdown.Toggle>
+                            <Dropdown.Menu>
+                              {canUpdate && (
+                                <Dropdown.Item onClick={() => handleEdit(service)}>
+                                  <i className="bi bi-pencil me-2"></i>Editar
+                                </Dropdown.Item>
+                              )}
+                              {canCreate && (
+                                <Dropdown.Item onClick={() => handleDuplicate(service)}>
+                                  <i className="bi bi-copy me-2"></i>Duplicar
+                                </Dropdown.Item>
+                              )}
+                              {canViewClients && (
+                                <Dropdown.Item onClick={() => onViewClients(service)}>
+                                  <i className="bi bi-people me-2"></i>Ver clientes
+                                </Dropdown.Item>
+                              )}
+                              {canDelete && (
+                                <>
+                                  {(canUpdate || canCreate || canViewClients) && <Dropdown.Divider />}
+                                  <Dropdown.Item 
+                                    onClick={() => handleDelete(service._id || service.id, service.name)}
+                                    className="text-danger"
+                                  >
+                                    <i className="bi bi-trash me-2"></i>Eliminar
+                                  </Dropdown.Item>
+                                </>
+                              )}
+                            </Dropdown.Menu>
+                          </Dropdown>
+                        </td>
+                      </tr>
+                      {expandedIds.includes(service._id) && service.tiers?.length > 0 && (
+                        <tr className="table-light">
+                          <td colSpan={columnCount} className="px-4 py-3">
+                            <ServiceTiers tiers={service.tiers} currency={service.currency} />
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
                   ))
                 )}
               </tbody>
             </Table>
           </div>
         </Card.Body>
+        <Card.Footer className="bg-white border-0 py-3">
+          <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+            <div className="d-flex align-items-center gap-2">
+              <small className="text-muted">
+                Mostrando {firstItem}–{lastItem} de {pagination.total}
+              </small>
+              <Form.Select
+                size="sm"
+                style={{ width: 'auto' }}
+                value={pageSize}
+                onChange={(e) => updateFilter(setPageSize)(Number(e.target.value))}
+              >
+                {PAGE_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size} por página</option>
+                ))}
+              </Form.Select>
+            </div>
+            <Pagination size="sm" className="mb-0">
+              <Pagination.First disabled={!pagination.hasPrevPage} onClick={() => setPage(1)} />
+              <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+              {renderPageItems()}
+              <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+              <Pagination.Last disabled={!pagination.hasNextPage} onClick={() => setPage(pagination.totalPages)} />
+            </Pagination>
+          </div>
+        </Card.Footer>
       </Card>
 
+      {/* Paquetes formados por servicios del catálogo */}
+      <Bundles
+        canCreate={canCreate}
+        canUpdate={canUpdate}
+        canDelete={canDelete}
+        refreshKey={catalogVersion}
+        onNotify={showNotification}
+      />
+
       {/* Modal para crear/editar servicios */}
       <ServiceModal
         show={showModal}
@@ -545,6 +1092,24 @@ const Products = () => {
         onServiceCreated={handleServiceCreated}
         onServiceUpdated={handleServiceUpdated}
         editingService={editingService}
+        canDeactivate={canDeactivate}
+        categories={categories}
+      />
+
+      {/* Modal de ajuste masivo de precios */}
+      <BulkPriceModal
+        show={showPriceModal}
+        onHide={() => setShowPriceModal(false)}
+        onConfirm={handleBulkPrice}
+        services={selectedServices}
+        loading={bulkLoading}
+      />
+
+      {/* Asistente de importación CSV / Excel */}
+      <ImportWizard
+        show={showImport}
+        onHide={() => setShowImport(false)}
+        onImported={handleImported}
       />
 
       {/* Toast notifications */}
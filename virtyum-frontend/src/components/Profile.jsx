@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Página de perfil del usuario autenticado
+ * @description Muestra los datos de la cuenta y permite cerrar la sesión
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { Card, Row, Col, Button, Badge } from 'react-bootstrap';
+
+/**
+ * Página de perfil
+ * @component Profile
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado
+ * @param {Function} props.onLogout - Cierra la sesión
+ * @returns {JSX.Element} Datos de la cuenta
+ */
+const Profile = ({ user, onLogout }) => {
+  /**
+   * Formatea una fecha ISO para mostrarla
+   * @param {string} dateString - Fecha en formato ISO
+   * @returns {string} Fecha legible o guion
+   */
+  const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Perfil</h1>
+          <p className="text-muted mb-0">Datos de tu cuenta en Virtyum</p>
+        </div>
+        <Button variant="outline-danger" onClick={onLogout}>
+          <i className="bi bi-box-arrow-right me-2"></i>
+          Cerrar sesión
+        </Button>
+      </div>
+
+      <Card className="border-0 shadow-sm">
+        <Card.Body>
+          <div className="d-flex align-items-center mb-4">
+            <div className="bg-primary bg-opacity-10 p-3 rounded-circle me-3">
+              <i className="bi bi-person fs-3 text-primary"></i>
+            </div>
+            <div>
+              <h5 className="mb-0">{user.name}</h5>
+              <small className="text-muted">{user.email}</small>
+            </div>
+          </div>
+
+          <Row className="g-3">
+            <Col md={4}>
+              <h6 className="text-muted mb-1">Rol</h6>
+              <Badge bg="primary" className="text-capitalize">{user.role}</Badge>
+            </Col>
+            <Col md={4}>
+              <h6 className="text-muted mb-1">Miembro desde</h6>
+              <div>{formatDate(user.createdAt)}</div>
+            </Col>
+            <Col md={4}>
+              <h6 className="text-muted mb-1">Último inicio de sesión</h6>
+              <div>{formatDate(user.lastLoginAt)}</div>
+            </Col>
+          </Row>
+
+          {user.permissions?.length > 0 && (
+            <div className="mt-4">
+              <h6 className="text-muted mb-2">Permisos</h6>
+              <div className="d-flex flex-wrap gap-2">
+                {user.permissions.map(permission => (
+                  <Badge key={permission} bg="light" text="dark" className="border">
+                    {permission}
+                  </Badge>
+                ))}
+              </div>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,563 @@
+/**
+ * @fileoverview Editor de presupuestos
+ * @description Elige el cliente y los servicios del catálogo, ajusta cantidades, descuentos e
+ * impuestos con vista previa de los totales y gestiona el ciclo de vida del presupuesto
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, InputGroup, Row, Col, Alert, Spinner, ListGroup } from 'react-bootstrap';
+import QuoteAPI, { QUOTE_STATUSES, QUOTE_ACTIONS, computeQuoteLine, computeQuoteTotals } from '../services/quoteApi';
+import { formatMoney } from '../services/format';
+import ClientAPI from '../services/clientApi';
+import ServiceAPI from '../services/serviceApi';
+import CurrencyAPI, { convertToBase } from '../services/currencyApi';
+
+/**
+ * Cabecera vacía de un presupuesto nuevo
+ * @constant {Object} EMPTY_HEADER
+ */
+const EMPTY_HEADER = { client: '', title: '', validUntil: '', notes: '' };
+
+/**
+ * Convierte una fecha al formato de los inputs de tipo date
+ * @param {string|Date|null} value - Fecha
+ * @returns {string} YYYY-MM-DD o texto vacío
+ */
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+/**
+ * Editor y ficha de un presupuesto
+ * @component QuoteBuilder
+ * @param {Object} props - Props del componente
+ * @param {string|null} props.quoteId - Presupuesto a abrir (null para crear uno nuevo)
+ * @param {boolean} props.canWrite - Si el usuario puede editar y cambiar el estado
+ * @param {boolean} props.canDelete - Si el usuario puede eliminar el presupuesto
+ * @param {Function} props.onBack - Vuelve al listado
+ * @param {Function} props.onCreated - Recibe el presupuesto recién creado
+ * @param {Function} props.onNotify - Muestra una notificación `(message, type)`
+ * @returns {JSX.Element} Editor renderizado
+ */
+const QuoteBuilder = ({ quoteId, canWrite, canDelete, onBack, onCreated, onNotify }) => {
+  const [quote, setQuote] = useState(null);
+  const [header, setHeader] = useState(EMPTY_HEADER);
+  const [items, setItems] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [catalogSearch, setCatalogSearch] = useState('');
+  const [catalog, setCatalog] = useState([]);
+  const [rates, setRates] = useState({});
+  const [acceptStartDate, setAcceptStartDate] = useState(toDateInput(new Date()));
+  const [loading, setLoading] = useState(Boolean(quoteId));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const status = quote?.status || 'draft';
+  const editable = canWrite && status === 'draft';
+  const totals = computeQuoteTotals(items);
+
+  /**
+   * Copia un presupuesto del backend en el estado del editor
+   * @param {Object} loaded - Presupuesto con líneas
+   */
+  const applyQuote = (loaded) => {
+    setQuote(loaded);
+    setHeader({
+      client: loaded.client?._id || '',
+      title: loaded.title || '',
+      validUntil: toDateInput(loaded.validUntil),
+      notes: loaded.notes || ''
+    });
+    setItems(loaded.items.map(item => ({
+      _id: item._id,
+      service: item.service?._id || '',
+      // Estado actual del servicio en el catálogo (null si se eliminó)
+      catalogService: item.service,
+      name: item.name,
+      unitPrice: item.unitPrice,
+      quantity: item.quantity,
+      discount: item.discount,
+      taxRate: item.taxRate
+    })));
+  };
+
+  /**
+   * Carga el presupuesto abierto
+   * @async
+   */
+  const loadQuote = useCallback(async () => {
+    if (!quoteId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await QuoteAPI.getQuoteById(quoteId);
+      applyQuote(data.quote);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [quoteId]);
+
+  useEffect(() => {
+    loadQuote();
+  }, [loadQuote]);
+
+  // Clientes para el selector y tipos de cambio (solo hacen falta mientras se puede editar)
+  useEffect(() => {
+    if (!editable) return;
+    Promise.all([ClientAPI.getClients({ limit: 100 }), CurrencyAPI.getRateMap()])
+      .then(([data, rateMap]) => {
+        setClients(data.clients);
+        setRates(rateMap);
+      })
+      .catch(err => setError(err.message));
+  }, [editable]);
+
+  // Búsqueda en el catálogo con espera para no lanzar una petición por tecla
+  useEffect(() => {
+    if (!editable) return undefined;
+    const timeoutId = setTimeout(() => {
+      ServiceAPI.searchServices({ searchTerm: catalogSearch, limit: 8, sortBy: 'name', order: 'asc' })
+        .then(data => setCatalog(data.services))
+        .catch(err => setError(err.message));
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [catalogSearch, editable]);
+
+  /**
+   * Añade un servicio del catálogo como línea nueva. El precio se muestra convertido a la moneda
+   * base; al guardar, el backend lo copia con el tipo vigente.
+   * @param {Object} service - Servicio del catálogo
+   */
+  const addService = (service) => {
+    setItems(prev => [...prev, {
+      service: service._id,
+      catalogService: service,
+      name: service.name,
+      unitPrice: convertToBase(service.price, service.currency, rates) ?? service.price,
+      quantity: 1,
+      discount: 0,
+      taxRate: prev.length > 0 ? prev[prev.length - 1].taxRate : 0
+    }]);
+  };
+
+  /**
+   * Cambia un campo numérico de una línea
+   * @param {number} index - Posición de la línea
+   * @param {string} field - quantity | discount | taxRate
+   * @param {string} value - Valor del input
+   */
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, position) => (
+      position === index ? { ...item, [field]: value === '' ? '' : Number(value) } : item
+    )));
+  };
+
+  /**
+   * Quita una línea
+   * @param {number} index - Posición de la línea
+   */
+  const removeItem = (index) => {
+    setItems(prev => prev.filter((_, position) => position !== index));
+  };
+
+  /**
+   * Guarda el borrador (lo crea si es nuevo)
+   * @async
+   */
+  const handleSave = async () => {
+    if (!header.client) {
+      setError('Elige un cliente');
+      return;
+    }
+    if (items.length === 0) {
+      setError('Añade al menos un servicio');
+      return;
+    }
+
+    const payload = {
+      ...header,
+      items: items.map(({ _id, service, quantity, discount, taxRate }) => ({ _id, service, quantity, discount, taxRate }))
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      if (quote) {
+        const response = await QuoteAPI.updateQuote(quote._id, payload);
+        await loadQuote();
+        onNotify(response.message);
+      } else {
+        const response = await QuoteAPI.createQuote(payload);
+        onNotify(`Presupuesto ${response.quote.number} creado`);
+        onCreated(response.quote);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Cambia el estado del presupuesto tras confirmación
+   * @async
+   * @param {string} nextStatus - Estado destino
+   */
+  const handleStatus = async (nextStatus) => {
+    const confirmations = {
+      accepted: `¿Aceptar el presupuesto ${quote.number}?\n\nSe crearán ${items.length} suscripción(es) del cliente a partir del ${new Date(acceptStartDate || Date.now()).toLocaleDateString()}.`,
+      rejected: `¿Marcar el presupuesto ${quote.number} como rechazado?`
+    };
+    if (confirmations[nextStatus] && !window.confirm(confirmations[nextStatus])) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await QuoteAPI.changeStatus(quote._id, nextStatus, {
+        startDate: nextStatus === 'accepted' ? acceptStartDate : undefined
+      });
+      await loadQuote();
+      onNotify(response.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Elimina el presupuesto tras confirmación
+   * @async
+   */
+  const handleDelete = async () => {
+    if (!window.confirm(`¿Eliminar el presupuesto ${quote.number}?`)) return;
+
+    try {
+      setSaving(true);
+      await QuoteAPI.deleteQuote(quote._id);
+      onNotify(`Presupuesto ${quote.number} eliminado`);
+      onBack();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Descarga el PDF del presupuesto guardado
+   * @async
+   */
+  const handleDownload = async () => {
+    try {
+      await QuoteAPI.downloadPdf(quote);
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" className="me-2" />
+        Cargando presupuesto...
+      </div>
+    );
+  }
+
+  const statusInfo = QUOTE_STATUSES[status];
+  // El cliente del presupuesto puede no estar entre los 100 primeros del listado
+  const clientOptions = quote?.client && !clients.some(client => client._id === quote.client._id)
+    ? [quote.client, ...clients]
+    : clients;
+
+  return (
+    <div>
+      <Button variant="link" className="px-0 mb-3" onClick={onBack}>
+        <i className="bi bi-arrow-left me-1"></i>
+        Volver a presupuestos
+      </Button>
+
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-start mb-4">
+        <div>
+          <h1 className="h3 mb-0">
+            {quote ? `Presupuesto ${quote.number}` : 'Nuevo presupuesto'}
+            <Badge bg={statusInfo.variant} className="ms-2 fs-6 align-middle">
+              <i className={`bi bi-${statusInfo.icon} me-1`}></i>
+              {statusInfo.label}
+            </Badge>
+          </h1>
+          {quote && (
+            <p className="text-muted mb-0">
+              Creado el {new Date(quote.createdAt).toLocaleDateString()}
+              {quote.sentAt && ` · enviado el ${new Date(quote.sentAt).toLocaleDateString()}`}
+              {quote.decidedAt && ` · ${statusInfo.label.toLowerCase()} el ${new Date(quote.decidedAt).toLocaleDateString()}`}
+            </p>
+          )}
+        </div>
+        <div className="d-flex gap-2 flex-wrap justify-content-end">
+          {quote && (
+            <Button variant="outline-secondary" onClick={handleDownload}>
+              <i className="bi bi-file-earmark-pdf me-2"></i>
+              PDF
+            </Button>
+          )}
+          {quote && canDelete && status !== 'accepted' && (
+            <Button variant="outline-danger" onClick={handleDelete} disabled={saving}>
+              <i className="bi bi-trash me-2"></i>
+              Eliminar
+            </Button>
+          )}
+          {editable && (
+            <Button variant="primary" onClick={handleSave} disabled={saving}>
+              {saving ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <i className="bi bi-save me-2"></i>}
+              Guardar borrador
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      {/* Cambios de estado */}
+      {quote && canWrite && QUOTE_ACTIONS[status].length > 0 && (
+        <Card className="border-0 shadow-sm mb-4">
+          <Card.Body className="d-flex flex-wrap align-items-center gap-2">
+            {status === 'draft' && (
+              <small className="text-muted me-auto">Guarda los cambios antes de enviarlo: un presupuesto enviado no se puede editar.</small>
+            )}
+            {status === 'sent' && (
+              <InputGroup size="sm" className="me-auto" style={{ maxWidth: '320px' }}>
+                <InputGroup.Text>Inicio de las suscripciones</InputGroup.Text>
+                <Form.Control
+                  type="date"
+                  value={acceptStartDate}
+                  onChange={(e) => setAcceptStartDate(e.target.value)}
+                />
+              </InputGroup>
+            )}
+            {QUOTE_ACTIONS[status].map(action => (
+              <Button
+                key={action.status}
+                variant={action.variant}
+                size="sm"
+                onClick={() => handleStatus(action.status)}
+                disabled={saving}
+              >
+                {action.label}
+              </Button>
+            ))}
+          </Card.Body>
+        </Card>
+      )}
+
+      {status === 'accepted' && quote?.subscriptions?.length > 0 && (
+        <Alert variant="success" className="mb-4">
+          <i className="bi bi-check-circle me-2"></i>
+          Se crearon {quote.subscriptions.length} suscripción(es) para {quote.client?.company || 'el cliente'}.
+        </Alert>
+      )}
+
+      <Row className="g-4">
+        <Col lg={editable ? 8 : 12}>
+          {/* Datos generales */}
+          <Card className="border-0 shadow-sm mb-4">
+            <Card.Body>
+              <Row>
+                <Col md={6} className="mb-3">
+                  <Form.Group>
+                    <Form.Label>Cliente <span className="text-danger">*</span></Form.Label>
+                    {editable ? (
+                      <Form.Select
+                        value={header.client}
+                        onChange={(e) => setHeader(prev => ({ ...prev, client: e.target.value }))}
+                      >
+                        <option value="">Seleccionar cliente...</option>
+                        {clientOptions.map(client => (
+                          <option key={client._id} value={client._id}>{client.company}</option>
+                        ))}
+                      </Form.Select>
+                    ) : (
+                      <div className="fw-semibold">{quote?.client?.company || 'Cliente eliminado'}</div>
+                    )}
+                  </Form.Group>
+                </Col>
+                <Col md={6} className="mb-3">
+                  <Form.Group>
+                    <Form.Label>Válido hasta</Form.Label>
+                    <Form.Control
+                      type="date"
+                      value={header.validUntil}
+                      onChange={(e) => setHeader(prev => ({ ...prev, validUntil: e.target.value }))}
+                      disabled={!editable}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={12} className="mb-3">
+                  <Form.Group>
+                    <Form.Label>Título</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={header.title}
+                      onChange={(e) => setHeader(prev => ({ ...prev, title: e.target.value }))}
+                      placeholder="Ej: Plan de lanzamiento digital"
+                      maxLength={150}
+                      disabled={!editable}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={12}>
+                  <Form.Group>
+                    <Form.Label>Condiciones</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={2}
+                      value={header.notes}
+                      onChange={(e) => setHeader(prev => ({ ...prev, notes: e.target.value }))}
+                      placeholder="Forma de pago, plazos..."
+                      maxLength={2000}
+                      disabled={!editable}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+            </Card.Body>
+          </Card>
+
+          {/* Líneas */}
+          <Card className="border-0 shadow-sm">
+            <Card.Body className="p-0">
+              <Table responsive className="mb-0 align-middle">
+                <thead className="bg-light">
+                  <tr>
+                    <th className="border-0 py-3 px-4">Servicio</th>
+                    <th className="border-0 py-3 text-end">Precio</th>
+                    <th className="border-0 py-3" style={{ width: '90px' }}>Cant.</th>
+                    <th className="border-0 py-3" style={{ width: '100px' }}>Dto. %</th>
+                    <th className="border-0 py-3" style={{ width: '100px' }}>Imp. %</th>
+                    <th className="border-0 py-3 text-end px-4">Total</th>
+                    {editable && <th className="border-0 py-3"></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.length === 0 ? (
+                    <tr>
+                      <td colSpan={editable ? 7 : 6} className="text-center py-5 text-muted">
+                        <i className="bi bi-cart display-6 d-block mb-2"></i>
+                        Añade servicios del catálogo
+                      </td>
+                    </tr>
+                  ) : (
+                    items.map((item, index) => {
+                      const priceChanged = item.catalogService &&
+                        convertToBase(item.catalogService.price, item.catalogService.currency, rates) !== item.unitPrice;
+                      return (
+                        <tr key={item._id || `new-${index}`}>
+                          <td className="py-3 px-4">
+                            <div className="fw-semibold">{item.name}</div>
+                            {!item.catalogService && (
+                              <small className="text-danger">Ya no está en el catálogo</small>
+                            )}
+                            {priceChanged && (
+                              <small className="text-muted">Precio actual: {formatMoney(item.catalogService.price, item.catalogService.currency)}</small>
+                            )}
+                          </td>
+                          <td className="py-3 text-end">{formatMoney(item.unitPrice)}</td>
+                          {['quantity', 'discount', 'taxRate'].map(field => (
+                            <td key={field} className="py-3">
+                              {editable ? (
+                                <Form.Control
+                                  type="number"
+                                  size="sm"
+                                  min={field === 'quantity' ? 1 : 0}
+                                  max={field === 'quantity' ? undefined : 100}
+                                  step={field === 'quantity' ? 1 : 0.01}
+                                  value={item[field]}
+                                  onChange={(e) => updateItem(index, field, e.target.value)}
+                                />
+                              ) : (
+                                item[field]
+                              )}
+                            </td>
+                          ))}
+                          <td className="py-3 text-end px-4 fw-semibold">{formatMoney(computeQuoteLine(item).total)}</td>
+                          {editable && (
+                            <td className="py-3 pe-3">
+                              <Button variant="link" size="sm" className="text-danger p-0" onClick={() => removeItem(index)} title="Quitar línea">
+                                <i className="bi bi-x-lg"></i>
+                              </Button>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+            <Card.Footer className="bg-white border-0 py-3">
+              <div className="ms-auto" style={{ maxWidth: '280px' }}>
+                <div className="d-flex justify-content-between"><span>Subtotal</span><span>{formatMoney(totals.subtotal)}</span></div>
+                {totals.discount > 0 && (
+                  <div className="d-flex justify-content-between text-muted"><span>Descuentos</span><span>-{formatMoney(totals.discount)}</span></div>
+                )}
+                <div className="d-flex justify-content-between"><span>Impuestos</span><span>{formatMoney(totals.tax)}</span></div>
+                <div className="d-flex justify-content-between fw-bold fs-5 border-top mt-2 pt-2">
+                  <span>Total</span><span className="text-success">{formatMoney(totals.total)}</span>
+                </div>
+              </div>
+            </Card.Footer>
+          </Card>
+        </Col>
+
+        {/* Catálogo */}
+        {editable && (
+          <Col lg={4}>
+            <Card className="border-0 shadow-sm">
+              <Card.Header className="bg-white border-0 py-3">
+                <h6 className="mb-2">Catálogo</h6>
+                <InputGroup size="sm">
+                  <InputGroup.Text className="bg-white">
+                    <i className="bi bi-search"></i>
+                  </InputGroup.Text>
+                  <Form.Control
+                    type="search"
+                    placeholder="Buscar servicios..."
+                    value={catalogSearch}
+                    onChange={(e) => setCatalogSearch(e.target.value)}
+                  />
+                </InputGroup>
+              </Card.Header>
+              <ListGroup variant="flush">
+                {catalog.length === 0 ? (
+                  <ListGroup.Item className="text-muted small">Sin resultados</ListGroup.Item>
+                ) : (
+                  catalog.map(service => (
+                    <ListGroup.Item key={service._id} className="d-flex justify-content-between align-items-center">
+                      <div className="me-2">
+                        <div className="small fw-semibold">{service.name}</div>
+                        <small className="text-muted">{service.category} · {formatMoney(service.price, service.currency)}</small>
+                      </div>
+                      <Button variant="outline-primary" size="sm" onClick={() => addService(service)} title="Añadir al presupuesto">
+                        <i className="bi bi-plus-lg"></i>
+                      </Button>
+                    </ListGroup.Item>
+                  ))
+                )}
+              </ListGroup>
+            </Card>
+          </Col>
+        )}
+      </Row>
+    </div>
+  );
+};
+
+export default QuoteBuilder;
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Gestión de presupuestos
+ * @description Listado con filtro por estado, búsqueda y paginación, y acceso al editor de cada presupuesto
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, InputGroup, Alert, Spinner, Toast, ToastContainer, Pagination } from 'react-bootstrap';
+import QuoteAPI, { QUOTE_STATUSES } from '../services/quoteApi';
+import { formatMoney } from '../services/format';
+import QuoteBuilder from './QuoteBuilder';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
+
+/**
+ * Presupuestos por página
+ * @constant {number} QUOTES_PAGE_SIZE
+ */
+const QUOTES_PAGE_SIZE = 20;
+
+/**
+ * Valor de `selectedQuoteId` que abre el editor vacío
+ * @constant {string} NEW_QUOTE
+ */
+const NEW_QUOTE = 'new';
+
+/**
+ * Página de presupuestos
+ * @component Quotes
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado (con su lista de permisos)
+ * @returns {JSX.Element} Listado de presupuestos o editor del presupuesto seleccionado
+ */
+const Quotes = ({ user }) => {
+  const canWrite = hasPermission(user, PERMISSIONS.QUOTES_WRITE);
+  const canDelete = hasPermission(user, PERMISSIONS.QUOTES_DELETE);
+
+  const [quotes, setQuotes] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 0, hasNextPage: false, hasPrevPage: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedQuoteId, setSelectedQuoteId] = useState(null);
+
+  // Estados para notificaciones
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [toastType, setToastType] = useState('success');
+
+  /**
+   * Muestra notificaciones toast temporales
+   * @param {string} message - Mensaje a mostrar
+   * @param {string} type - Tipo de notificación (success, error)
+   */
+  const showNotification = (message, type = 'success') => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  };
+
+  /**
+   * Carga la página actual de presupuestos
+   * @async
+   */
+  const loadQuotes = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await QuoteAPI.getQuotes({
+        q: searchTerm.trim(),
+        status: statusFilter,
+        page,
+        limit: QUOTES_PAGE_SIZE
+      });
+
+      // Si la página quedó vacía tras eliminar, volver a la última con datos
+      if (data.quotes.length === 0 && page > 1 && data.pagination.totalPages > 0) {
+        setPage(data.pagination.totalPages);
+        return;
+      }
+
+      setQuotes(data.quotes);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Error al cargar presupuestos:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [searchTerm, statusFilter, page]);
+
+  /**
+   * Recarga al cambiar búsqueda, filtro o página; se espera un momento para no lanzar
+   * una petición por cada tecla
+   */
+  useEffect(() => {
+    if (selectedQuoteId) return undefined;
+    const timeoutId = setTimeout(loadQuotes, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadQuotes, selectedQuoteId]);
+
+  /**
+   * Renderiza las notificaciones (compartidas por el listado y el editor)
+   * @returns {JSX.Element} Contenedor de toasts
+   */
+  const renderToast = () => (
+    <ToastContainer position="top-end" className="p-3" style={{ zIndex: 1050 }}>
+      <Toast
+        show={showToast}
+        onClose={() => setShowToast(false)}
+        autohide
+        delay={4000}
+        bg={toastType === 'error' ? 'danger' : 'success'}
+      >
+        <Toast.Header closeButton={false}>
+          <i className={`bi bi-${toastType === 'error' ? 'exclamation-triangle' : 'check-circle'} me-2`}></i>
+          <strong className="me-auto">
+            {toastType === 'error' ? 'Error' : 'Éxito'}
+          </strong>
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 text-white"
+            onClick={() => setShowToast(false)}
+          >
+            <i className="bi bi-x"></i>
+          </Button>
+        </Toast.Header>
+        <Toast.Body className="text-white">
+          {toastMessage}
+        </Toast.Body>
+      </Toast>
+    </ToastContainer>
+  );
+
+  if (selectedQuoteId) {
+    return (
+      <>
+        <QuoteBuilder
+          key={selectedQuoteId}
+          quoteId={selectedQuoteId === NEW_QUOTE ? null : selectedQuoteId}
+          canWrite={canWrite}
+          canDelete={canDelete}
+          onBack={() => setSelectedQuoteId(null)}
+          onCreated={(quote) => setSelectedQuoteId(quote._id)}
+          onNotify={showNotification}
+        />
+        {renderToast()}
+      </>
+    );
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Presupuestos</h1>
+          <p className="text-muted mb-0">Propuestas a clientes con servicios del catálogo</p>
+        </div>
+        {canWrite && (
+          <Button variant="primary" onClick={() => setSelectedQuoteId(NEW_QUOTE)}>
+            <i className="bi bi-file-earmark-plus me-2"></i>
+            Nuevo Presupuesto
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm">
+        <Card.Header className="bg-white border-0 py-3 d-flex flex-wrap gap-2">
+          <InputGroup style={{ maxWidth: '360px' }}>
+            <InputGroup.Text className="bg-white">
+              <i className="bi bi-search"></i>
+            </InputGroup.Text>
+            <Form.Control
+              type="search"
+              placeholder="Buscar por número o título..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setPage(1);
+              }}
+            />
+          </InputGroup>
+          <Form.Select
+            style={{ maxWidth: '200px' }}
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPage(1);
+            }}
+          >
+            <option value="all">Todos los estados</option>
+            {Object.entries(QUOTE_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Form.Select>
+        </Card.Header>
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th className="border-0 py-3 px-4">Número</th>
+                <th className="border-0 py-3">Cliente</th>
+                <th className="border-0 py-3">Estado</th>
+                <th className="border-0 py-3">Fecha</th>
+                <th className="border-0 py-3 text-end">Total</th>
+                <th className="border-0 py-3 text-end px-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="6" className="text-center py-5">
+                    <Spinner animation="border" className="me-2" />
+                    Cargando presupuestos...
+                  </td>
+                </tr>
+              ) : quotes.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center py-5 text-muted">
+                    <i className="bi bi-file-earmark-text display-6 d-block mb-2"></i>
+                    {searchTerm || statusFilter !== 'all' ? 'Ningún presupuesto coincide con el filtro' : 'Todavía no hay presupuestos'}
+                  </td>
+                </tr>
+              ) : (
+                quotes.map(quote => {
+                  const statusInfo = QUOTE_STATUSES[quote.status];
+                  return (
+                    <tr key={quote._id} role="button" onClick={() => setSelectedQuoteId(quote._id)}>
+                      <td className="py-3 px-4">
+                        <h6 className="mb-0">{quote.number}</h6>
+                        {quote.title && <small className="text-muted">{quote.title}</small>}
+                      </td>
+                      <td className="py-3">{quote.client?.company || <span className="text-muted">Cliente eliminado</span>}</td>
+                      <td className="py-3">
+                        <Badge bg={statusInfo.variant}>
+                          <i className={`bi bi-${statusInfo.icon} me-1`}></i>
+                          {statusInfo.label}
+                        </Badge>
+                      </td>
+                      <td className="py-3">
+                        <small>{new Date(quote.createdAt).toLocaleDateString()}</small>
+                      </td>
+                      <td className="py-3 text-end fw-semibold">{formatMoney(quote.totals.total)}</td>
+                      <td className="py-3 text-end px-4">
+                        <i className="bi bi-chevron-right text-muted"></i>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+        {pagination.totalPages > 1 && (
+          <Card.Footer className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+            <small className="text-muted">{pagination.total} presupuestos</small>
+            <Pagination className="mb-0">
+              <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+              <Pagination.Item active>{pagination.page}</Pagination.Item>
+              <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+            </Pagination>
+          </Card.Footer>
+        )}
+      </Card>
+
+      {renderToast()}
+    </div>
+  );
+};
+
+export default Quotes;
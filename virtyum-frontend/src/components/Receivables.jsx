@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Cuentas por cobrar
+ * @description Saldo pendiente por cliente repartido por antigüedad desde el vencimiento
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Card, Table, Alert, Spinner } from 'react-bootstrap';
+import InvoiceAPI, { AGING_BUCKETS } from '../services/invoiceApi';
+import { formatMoney, formatDate } from '../services/format';
+
+/**
+ * Tabla de cuentas por cobrar
+ * @component Receivables
+ * @param {Object} props - Props del componente
+ * @param {Function} props.onSelectClient - Recibe el cliente pulsado para ver sus facturas
+ * @returns {JSX.Element} Tabla renderizada
+ */
+const Receivables = ({ onSelectClient }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    InvoiceAPI.getReceivables()
+      .then(setData)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" className="me-2" />
+        Cargando cuentas por cobrar...
+      </div>
+    );
+  }
+
+  if (error) {
+    return <Alert variant="danger">{error}</Alert>;
+  }
+
+  return (
+    <Card className="border-0 shadow-sm">
+      <Card.Body className="p-0">
+        <Table responsive hover className="mb-0 align-middle">
+          <thead className="bg-light">
+            <tr>
+              <th className="border-0 py-3 px-4">Cliente</th>
+              <th className="border-0 py-3 text-end">Facturas</th>
+              {AGING_BUCKETS.map(({ key, label }) => (
+                <th key={key} className="border-0 py-3 text-end">{label}</th>
+              ))}
+              <th className="border-0 py-3 text-end px-4">Pendiente</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.clients.length === 0 ? (
+              <tr>
+                <td colSpan={AGING_BUCKETS.length + 3} className="text-center py-5 text-muted">
+                  <i className="bi bi-check2-circle display-6 d-block mb-2"></i>
+                  No hay facturas pendientes de cobro
+                </td>
+              </tr>
+            ) : (
+              data.clients.map(entry => (
+                <tr key={entry.client._id} role="button" onClick={() => onSelectClient(entry.client)}>
+                  <td className="py-3 px-4">
+                    <h6 className="mb-0">{entry.client.company || 'Cliente eliminado'}</h6>
+                    <small className="text-muted">Vencimiento más antiguo: {formatDate(entry.oldestDueDate)}</small>
+                  </td>
+                  <td className="py-3 text-end">{entry.invoices}</td>
+                  {AGING_BUCKETS.map(({ key }) => (
+                    <td key={key} className={`py-3 text-end ${key !== 'current' && entry[key] > 0 ? 'text-danger' : ''}`}>
+                      {entry[key] > 0 ? formatMoney(entry[key]) : '—'}
+                    </td>
+                  ))}
+                  <td className="py-3 text-end px-4 fw-semibold">{formatMoney(entry.outstanding)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+          {data.clients.length > 0 && (
+            <tfoot className="bg-light fw-semibold">
+              <tr>
+                <td className="py-3 px-4">Total</td>
+                <td className="py-3 text-end">{data.totals.invoices}</td>
+                {AGING_BUCKETS.map(({ key }) => (
+                  <td key={key} className="py-3 text-end">{formatMoney(data.totals[key])}</td>
+                ))}
+                <td className="py-3 text-end px-4">{formatMoney(data.totals.outstanding)}</td>
+              </tr>
+            </tfoot>
+          )}
+        </Table>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default Receivables;
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Historial de cambios de un servicio
+ * @description Lista las entradas de auditoría (quién, cuándo y qué campos cambiaron)
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Badge, Button, Spinner, Alert, Table } from 'react-bootstrap';
+import ServiceAPI from '../services/serviceApi';
+import { AUDIT_ACTIONS, AUDIT_FIELD_LABELS, formatAuditValue } from '../services/activityApi';
+
+/**
+ * Entradas de historial por página
+ * @constant {number} HISTORY_PAGE_SIZE
+ */
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Tabla de cambios campo a campo de una entrada de auditoría
+ * @component AuditChangeList
+ * @param {Object} props - Props del componente
+ * @param {Array<{field: string, before: *, after: *}>} props.changes - Cambios registrados
+ * @param {string} props.action - Acción auditada (create, update, delete)
+ * @returns {JSX.Element|null} Tabla de cambios
+ */
+export const AuditChangeList = ({ changes, action }) => {
+  if (!changes || changes.length === 0) {
+    return null;
+  }
+
+  return (
+    <Table size="sm" className="mb-0 small">
+      <tbody>
+        {changes.map(change => (
+          <tr key={change.field}>
+            <td className="text-muted" style={{ width: '25%' }}>
+              {AUDIT_FIELD_LABELS[change.field] || change.field}
+            </td>
+            <td>
+              {action === 'update' && (
+                <>
+                  <span className="text-danger text-decoration-line-through">{formatAuditValue(change.before)}</span>
+                  <i className="bi bi-arrow-right mx-2 text-muted"></i>
+                </>
+              )}
+              <span className={action === 'delete' ? 'text-muted' : 'text-success'}>
+                {formatAuditValue(action === 'delete' ? change.before : change.after)}
+              </span>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+};
+
+/**
+ * Historial de auditoría de un servicio
+ * @component ServiceHistory
+ * @param {Object} props - Props del componente
+ * @param {string} props.serviceId - ID del servicio
+ * @returns {JSX.Element} Lista de cambios, del más reciente al más antiguo
+ * @example
+ * <ServiceHistory serviceId={service._id} />
+ */
+const ServiceHistory = ({ serviceId }) => {
+  const [history, setHistory] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Carga una página del historial
+   * @param {number} page - Página a cargar (la 1 reemplaza la lista, las siguientes se añaden)
+   */
+  const loadHistory = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ServiceAPI.getServiceHistory(serviceId, { page, limit: HISTORY_PAGE_SIZE });
+      setHistory(prev => (page === 1 ? data.history : [...prev, ...data.history]));
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [serviceId]);
+
+  useEffect(() => {
+    loadHistory(1);
+  }, [loadHistory]);
+
+  if (error) {
+    return (
+      <Alert variant="danger" className="mb-0">
+        <i className="bi bi-exclamation-triangle me-2"></i>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!loading && history.length === 0) {
+    return (
+      <div className="text-center py-4 text-muted">
+        <i className="bi bi-clock-history display-6 d-block mb-2"></i>
+        <p className="mb-0">Sin cambios registrados</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {history.map((entry, index) => {
+        const action = AUDIT_ACTIONS[entry.action] || AUDIT_ACTIONS.update;
+        return (
+          <div key={entry._id} className={`py-3 ${index < history.length - 1 ? 'border-bottom' : ''}`}>
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <div className="d-flex align-items-center gap-2">
+                <Badge bg={action.variant}>
+                  <i className={`bi bi-${action.icon} me-1`}></i>
+                  {action.label}
+                </Badge>
+                <span className="fw-semibold">{entry.actor?.name || 'Desconocido'}</span>
+                {entry.actor?.email && <small className="text-muted">{entry.actor.email}</small>}
+              </div>
+              <small className="text-muted">{new Date(entry.createdAt).toLocaleString()}</small>
+            </div>
+            <AuditChangeList changes={entry.changes} action={entry.action} />
+          </div>
+        );
+      })}
+
+      {loading && (
+        <div className="text-center py-3">
+          <Spinner animation="border" size="sm" className="me-2" />
+          Cargando historial...
+        </div>
+      )}
+
+      {!loading && pagination?.hasNextPage && (
+        <div className="text-center pt-2">
+          <Button variant="outline-secondary" size="sm" onClick={() => loadHistory(pagination.page + 1)}>
+            Cargar más
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServiceHistory;
@@ -6,8 +6,92 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
-import ServiceAPI, { VALID_CATEGORIES, VALID_STATUSES, ServiceValidation } from '../services/serviceApi';
+import { Modal, Button, Form, Row, Col, Alert, Spinner, Tabs, Tab, InputGroup } from 'react-bootstrap';
+import ServiceAPI, {
+  VALID_STATUSES,
+  BILLING_MODELS,
+  INTERVAL_UNITS,
+  DURATION_UNITS,
+  ServiceValidation
+} from '../services/serviceApi';
+import { BASE_CURRENCY, CURRENCIES } from '../services/currencyApi';
+import ServiceHistory from './ServiceHistory';
+import PriceTimeline from './PriceTimeline';
+import TaskTemplateEditor from './TaskTemplateEditor';
+import TierEditor from './TierEditor';
+
+/**
+ * Formulario vacío. La periodicidad y la duración estimada se editan como campos planos
+ * y se agrupan al enviar (ver buildServicePayload)
+ * @constant {Object} EMPTY_FORM
+ */
+const EMPTY_FORM = {
+  name: '',
+  category: '',
+  price: '',
+  currency: BASE_CURRENCY,
+  billingModel: '',
+  intervalCount: 1,
+  intervalUnit: 'month',
+  durationMin: '',
+  durationMax: '',
+  durationUnit: 'month',
+  status: 'Nuevo',
+  description: '',
+  tiers: []
+};
+
+/**
+ * Pasa los niveles de un servicio al formato del editor (entregables como texto, uno por línea)
+ * @param {Array<Object>} [tiers] - Niveles del servicio
+ * @param {boolean} keepIds - Conservar los _id (al editar; no al duplicar)
+ * @returns {Array<Object>} Niveles del formulario
+ */
+const toTierForms = (tiers, keepIds) => (tiers || []).map((tier, index) => ({
+  key: tier._id || `tier-${index}`,
+  _id: keepIds ? tier._id : undefined,
+  name: tier.name,
+  price: tier.price,
+  deliverables: (tier.deliverables || []).join('\n'),
+  limits: (tier.limits || []).map(({ label, value }) => ({ label, value }))
+}));
+
+/**
+ * Precio "desde" de los niveles del formulario
+ * @param {Array<Object>} tiers - Niveles del formulario
+ * @returns {number|null} Precio del nivel más barato, o null si ninguno tiene precio
+ */
+const getFromPrice = (tiers) => {
+  const prices = tiers.map(tier => tier.price).filter(price => typeof price === 'number');
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+/**
+ * Convierte los campos planos del formulario en los datos que espera la API
+ * @param {Object} formData - Estado del formulario
+ * @returns {Object} Servicio con `billingInterval`, `estimatedDuration` (o null) y `tiers`
+ */
+const buildServicePayload = (formData) => {
+  const { intervalCount, intervalUnit, durationMin, durationMax, durationUnit, tiers, ...service } = formData;
+  return {
+    ...service,
+    // Con niveles el backend calcula el precio; se envía el mismo para validar el formulario
+    price: tiers.length > 0 ? getFromPrice(tiers) : service.price,
+    tiers: tiers.map(({ _id, name, price, deliverables, limits }) => ({
+      _id,
+      name: name.trim(),
+      price,
+      deliverables: deliverables.split('\n').map(line => line.trim()).filter(Boolean),
+      limits: limits.filter(limit => limit.label.trim() && limit.value.trim())
+    })),
+    billingInterval: service.billingModel === 'recurring' ? { count: intervalCount, unit: intervalUnit } : null,
+    estimatedDuration: durationMin === '' ? null : {
+      min: durationMin,
+      max: durationMax === '' ? durationMin : durationMax,
+      unit: durationUnit
+    }
+  };
+};
 
 /**
  * Modal para crear y editar servicios de marketing
@@ -18,6 +102,8 @@ import ServiceAPI, { VALID_CATEGORIES, VALID_STATUSES, ServiceValidation } from
  * @param {Function} props.onServiceCreated - Callback cuando se crea un servicio exitosamente
  * @param {Function} props.onServiceUpdated - Callback cuando se actualiza un servicio exitosamente
  * @param {Object|null} props.editingService - Servicio a editar (null para crear nuevo)
+ * @param {boolean} [props.canDeactivate=true] - Si el usuario puede pasar el servicio a Inactivo
+ * @param {Array<Object>} [props.categories=[]] - Categorías de CategoryAPI.getCategories
  * @returns {JSX.Element} Componente modal renderizado
  * 
  * @example
@@ -36,22 +122,16 @@ const ServiceModal = ({
   onHide, 
   onServiceCreated, 
   onServiceUpdated, 
-  editingService = null 
+  editingService = null,
+  canDeactivate = true,
+  categories = []
 }) => {
   
   /**
    * Estado del formulario
    * @type {Object} formData - Datos del formulario
    */
-  const [formData, setFormData] = useState({
-    name: '',
-    category: '',
-    price: '',
-    duration: '',
-    status: 'Nuevo',
-    description: '',
-    clients: 0
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   /**
    * Estados de la UI
@@ -62,44 +142,50 @@ const ServiceModal = ({
   const [showAlert, setShowAlert] = useState(false);
   const [alertMessage, setAlertMessage] = useState('');
   const [alertType, setAlertType] = useState('danger');
+  const [activeTab, setActiveTab] = useState('details');
 
   /**
-   * Indica si estamos en modo edición
+   * Indica si estamos en modo edición. Un servicio sin _id (p. ej. duplicado)
+   * solo precarga el formulario y se crea como nuevo.
    * @type {boolean}
    */
-  const isEditing = Boolean(editingService);
+  const isEditing = Boolean(editingService?._id);
+
+  // Solo se asignan categorías activas; al editar se conserva la actual aunque esté desactivada
+  const categoryOptions = categories.filter(category => (
+    category.active || (isEditing && category.name === editingService.category)
+  ));
 
   /**
    * Efecto para cargar datos cuando se abre el modal para editar
    */
   useEffect(() => {
-    if (isEditing && editingService) {
+    if (editingService) {
       setFormData({
         name: editingService.name || '',
         category: editingService.category || '',
         price: editingService.price || '',
-        duration: editingService.duration || '',
+        currency: editingService.currency || BASE_CURRENCY,
+        billingModel: editingService.billingModel || '',
+        intervalCount: editingService.billingInterval?.count ?? 1,
+        intervalUnit: editingService.billingInterval?.unit || 'month',
+        durationMin: editingService.estimatedDuration?.min ?? '',
+        durationMax: editingService.estimatedDuration?.max ?? '',
+        durationUnit: editingService.estimatedDuration?.unit || 'month',
         status: editingService.status || 'Nuevo',
         description: editingService.description || '',
-        clients: editingService.clients || 0
+        tiers: toTierForms(editingService.tiers, isEditing)
       });
     } else {
       // Reset form for creating new service
-      setFormData({
-        name: '',
-        category: '',
-        price: '',
-        duration: '',
-        status: 'Nuevo',
-        description: '',
-        clients: 0
-      });
+      setFormData(EMPTY_FORM);
     }
     
     // Limpiar errores al abrir/cambiar modal
     setErrors([]);
     setValidationErrors({});
     setShowAlert(false);
+    setActiveTab('details');
   }, [editingService, isEditing, show]);
 
   /**
@@ -129,12 +215,23 @@ const ServiceModal = ({
     }
   };
 
+  /**
+   * Actualiza la lista de niveles desde el editor
+   * @param {Array<Object>} tiers - Niveles del formulario
+   */
+  const handleTiersChange = (tiers) => {
+    setFormData(prev => ({ ...prev, tiers }));
+  };
+
   /**
    * Valida el formulario antes de enviar
    * @returns {boolean} True si el formulario es válido
    */
   const validateForm = () => {
-    const validation = ServiceValidation.validateServiceData(formData);
+    const validation = ServiceValidation.validateServiceData(
+      buildServicePayload(formData),
+      categoryOptions.map(category => category.name)
+    );
     
     if (!validation.isValid) {
       setErrors(validation.errors);
@@ -179,7 +276,7 @@ const ServiceModal = ({
     try {
       if (isEditing) {
         // Actualizar servicio existente
-        const response = await ServiceAPI.updateService(editingService._id, formData);
+        const response = await ServiceAPI.updateService(editingService._id, buildServicePayload(formData));
         showAlertMessage('Servicio actualizado exitosamente', 'success');
         
         // Callback para actualizar la lista en el componente padre
@@ -194,7 +291,7 @@ const ServiceModal = ({
         
       } else {
         // Crear nuevo servicio
-        const response = await ServiceAPI.createService(formData);
+        const response = await ServiceAPI.createService(buildServicePayload(formData));
         showAlertMessage('Servicio creado exitosamente', 'success');
         
         // Callback para actualizar la lista en el componente padre
@@ -220,21 +317,287 @@ const ServiceModal = ({
    * Resetea el formulario y cierra el modal
    */
   const handleClose = () => {
-    setFormData({
-      name: '',
-      category: '',
-      price: '',
-      duration: '',
-      status: 'Nuevo',
-      description: '',
-      clients: 0
-    });
+    setFormData(EMPTY_FORM);
     setErrors([]);
     setValidationErrors({});
     setShowAlert(false);
     onHide();
   };
 
+  const hasTiers = formData.tiers.length > 0;
+
+  /**
+   * Campos del formulario (pestaña Detalles al editar)
+   */
+  const formFields = (
+    <Row>
+      {/* Nombre del servicio */}
+      <Col md={12} className="mb-3">
+        <Form.Group>
+          <Form.Label>
+            Nombre del Servicio <span className="text-danger">*</span>
+          </Form.Label>
+          <Form.Control
+            type="text"
+            name="name"
+            value={formData.name}
+            onChange={handleInputChange}
+            placeholder="Ej: Email Marketing Avanzado"
+            maxLength={100}
+            required
+            disabled={loading}
+            isInvalid={validationErrors.name}
+          />
+          <Form.Text className="text-muted">
+            Máximo 100 caracteres
+          </Form.Text>
+        </Form.Group>
+      </Col>
+
+      {/* Categoría */}
+      <Col md={6} className="mb-3">
+        <Form.Group>
+          <Form.Label>
+            Categoría <span className="text-danger">*</span>
+          </Form.Label>
+          <Form.Select
+            name="category"
+            value={formData.category}
+            onChange={handleInputChange}
+            required
+            disabled={loading}
+            isInvalid={validationErrors.category}
+          >
+            <option value="">Seleccionar categoría...</option>
+            {categoryOptions.map(category => (
+              <option key={category._id} value={category.name}>
+                {category.name}{category.active ? '' : ' (desactivada)'}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+
+      {/* Estado */}
+      <Col md={6} className="mb-3">
+        <Form.Group>
+          <Form.Label>Estado</Form.Label>
+          <Form.Select
+            name="status"
+            value={formData.status}
+            onChange={handleInputChange}
+            disabled={loading}
+          >
+            {VALID_STATUSES.map(status => (
+              <option
+                key={status}
+                value={status}
+                // Solo un administrador puede pasar un servicio a Inactivo
+                disabled={status === 'Inactivo' && !canDeactivate && editingService?.status !== 'Inactivo'}
+              >
+                {status}
+              </option>
+            ))}
+          </Form.Select>
+          {!canDeactivate && (
+            <Form.Text className="text-muted">
+              Solo un administrador puede marcar el servicio como Inactivo
+            </Form.Text>
+          )}
+        </Form.Group>
+      </Col>
+
+      {/* Precio */}
+      <Col md={6} className="mb-3">
+        <Form.Group>
+          <Form.Label>
+            Precio <span className="text-danger">*</span>
+          </Form.Label>
+          <InputGroup>
+            {hasTiers && <InputGroup.Text>Desde</InputGroup.Text>}
+            <Form.Control
+              type="number"
+              name="price"
+              value={hasTiers ? getFromPrice(formData.tiers) ?? '' : formData.price}
+              onChange={handleInputChange}
+              placeholder="399"
+              min="0"
+              step="0.01"
+              required={!hasTiers}
+              disabled={loading || hasTiers}
+              isInvalid={validationErrors.price}
+            />
+            <Form.Select
+              name="currency"
+              value={formData.currency}
+              onChange={handleInputChange}
+              disabled={loading}
+              aria-label="Moneda"
+              style={{ maxWidth: '6.5rem' }}
+            >
+              {Object.keys(CURRENCIES).map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </Form.Select>
+          </InputGroup>
+          {hasTiers && (
+            <Form.Text className="text-muted">
+              Precio del nivel más barato; edítalo en los niveles
+            </Form.Text>
+          )}
+        </Form.Group>
+      </Col>
+
+      {/* Modelo de facturación */}
+      <Col md={6} className="mb-3">
+        <Form.Group>
+          <Form.Label>
+            Facturación <span className="text-danger">*</span>
+          </Form.Label>
+          <Form.Select
+            name="billingModel"
+            value={formData.billingModel}
+            onChange={handleInputChange}
+            required
+            disabled={loading}
+          >
+            <option value="">Seleccionar modelo...</option>
+            {Object.entries(BILLING_MODELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Form.Select>
+          {isEditing && editingService.duration && (
+            <Form.Text className="text-muted">
+              Se muestra como: {editingService.duration}
+            </Form.Text>
+          )}
+        </Form.Group>
+      </Col>
+
+      {/* Periodicidad (solo servicios recurrentes) */}
+      {formData.billingModel === 'recurring' && (
+        <Col md={6} className="mb-3">
+          <Form.Group>
+            <Form.Label>
+              Periodicidad de cobro <span className="text-danger">*</span>
+            </Form.Label>
+            <InputGroup>
+              <InputGroup.Text>Cada</InputGroup.Text>
+              <Form.Control
+                type="number"
+                name="intervalCount"
+                value={formData.intervalCount}
+                onChange={handleInputChange}
+                min="1"
+                max="24"
+                step="1"
+                required
+                disabled={loading}
+              />
+              <Form.Select
+                name="intervalUnit"
+                value={formData.intervalUnit}
+                onChange={handleInputChange}
+                disabled={loading}
+              >
+                {Object.entries(INTERVAL_UNITS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </InputGroup>
+          </Form.Group>
+        </Col>
+      )}
+
+      {/* Duración estimada */}
+      <Col md={6} className="mb-3">
+        <Form.Group>
+          <Form.Label>Duración estimada</Form.Label>
+          <InputGroup>
+            <Form.Control
+              type="number"
+              name="durationMin"
+              value={formData.durationMin}
+              onChange={handleInputChange}
+              placeholder="Mín."
+              min="1"
+              disabled={loading}
+            />
+            <InputGroup.Text>a</InputGroup.Text>
+            <Form.Control
+              type="number"
+              name="durationMax"
+              value={formData.durationMax}
+              onChange={handleInputChange}
+              placeholder="Máx."
+              min={formData.durationMin || 1}
+              disabled={loading}
+            />
+            <Form.Select
+              name="durationUnit"
+              value={formData.durationUnit}
+              onChange={handleInputChange}
+              disabled={loading}
+            >
+              {Object.entries(DURATION_UNITS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </InputGroup>
+          <Form.Text className="text-muted">
+            Opcional. Deja el máximo vacío si la duración es fija
+          </Form.Text>
+        </Form.Group>
+      </Col>
+
+      {/* Número de clientes (calculado a partir de las suscripciones) */}
+      {isEditing && (
+        <Col md={12} className="mb-3">
+          <Form.Text className="text-muted">
+            <i className="bi bi-people me-1"></i>
+            {editingService.clients || 0} cliente(s) con suscripción vigente. Se actualiza al
+            gestionar las suscripciones de los clientes.
+          </Form.Text>
+        </Col>
+      )}
+
+      {/* Descripción */}
+      <Col md={12} className="mb-3">
+        <Form.Group>
+          <Form.Label>
+            Descripción <span className="text-danger">*</span>
+          </Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={3}
+            name="description"
+            value={formData.description}
+            onChange={handleInputChange}
+            placeholder="Describe detalladamente el servicio, sus beneficios y características principales..."
+            maxLength={500}
+            required
+            disabled={loading}
+            isInvalid={validationErrors.description}
+          />
+          <Form.Text className="text-muted">
+            {formData.description.length}/500 caracteres
+          </Form.Text>
+        </Form.Group>
+      </Col>
+
+      {/* Niveles */}
+      <Col md={12} className="mb-3">
+        <Form.Label>Niveles</Form.Label>
+        <TierEditor
+          tiers={formData.tiers}
+          onChange={handleTiersChange}
+          currency={formData.currency}
+          disabled={loading}
+        />
+      </Col>
+    </Row>
+  );
+
   return (
     <Modal 
       show={show} 
@@ -280,160 +643,27 @@ const ServiceModal = ({
             </Alert>
           )}
 
-          <Row>
-            {/* Nombre del servicio */}
-            <Col md={12} className="mb-3">
-              <Form.Group>
-                <Form.Label>
-                  Nombre del Servicio <span className="text-danger">*</span>
-                </Form.Label>
-                <Form.Control
-                  type="text"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleInputChange}
-                  placeholder="Ej: Email Marketing Avanzado"
-                  maxLength={100}
-                  required
-                  disabled={loading}
-                  isInvalid={validationErrors.name}
-                />
-                <Form.Text className="text-muted">
-                  Máximo 100 caracteres
-                </Form.Text>
-              </Form.Group>
-            </Col>
-
-            {/* Categoría */}
-            <Col md={6} className="mb-3">
-              <Form.Group>
-                <Form.Label>
-                  Categoría <span className="text-danger">*</span>
-                </Form.Label>
-                <Form.Select
-                  name="category"
-                  value={formData.category}
-                  onChange={handleInputChange}
-                  required
-                  disabled={loading}
-                  isInvalid={validationErrors.category}
-                >
-                  <option value="">Seleccionar categoría...</option>
-                  {VALID_CATEGORIES.map(category => (
-                    <option key={category} value={category}>
-                      {category}
-                    </option>
-                  ))}
-                </Form.Select>
-              </Form.Group>
-            </Col>
-
-            {/* Estado */}
-            <Col md={6} className="mb-3">
-              <Form.Group>
-                <Form.Label>Estado</Form.Label>
-                <Form.Select
-                  name="status"
-                  value={formData.status}
-                  onChange={handleInputChange}
-                  disabled={loading}
-                >
-                  {VALID_STATUSES.map(status => (
-                    <option key={status} value={status}>
-                      {status}
-                    </option>
-                  ))}
-                </Form.Select>
-              </Form.Group>
-            </Col>
-
-            {/* Precio */}
-            <Col md={6} className="mb-3">
-              <Form.Group>
-                <Form.Label>
-                  Precio (USD) <span className="text-danger">*</span>
-                </Form.Label>
-                <Form.Control
-                  type="number"
-                  name="price"
-                  value={formData.price}
-                  onChange={handleInputChange}
-                  placeholder="399"
-                  min="0"
-                  step="0.01"
-                  required
-                  disabled={loading}
-                  isInvalid={validationErrors.price}
-                />
-              </Form.Group>
-            </Col>
-
-            {/* Duración */}
-            <Col md={6} className="mb-3">
-              <Form.Group>
-                <Form.Label>
-                  Duración <span className="text-danger">*</span>
-                </Form.Label>
-                <Form.Control
-                  type="text"
-                  name="duration"
-                  value={formData.duration}
-                  onChange={handleInputChange}
-                  placeholder="Ej: Mensual, 2-3 semanas, Por proyecto"
-                  maxLength={50}
-                  required
-                  disabled={loading}
-                  isInvalid={validationErrors.duration}
-                />
-                <Form.Text className="text-muted">
-                  Máximo 50 caracteres
-                </Form.Text>
-              </Form.Group>
-            </Col>
-
-            {/* Número de clientes */}
-            <Col md={12} className="mb-3">
-              <Form.Group>
-                <Form.Label>Número de Clientes</Form.Label>
-                <Form.Control
-                  type="number"
-                  name="clients"
-                  value={formData.clients}
-                  onChange={handleInputChange}
-                  placeholder="0"
-                  min="0"
-                  disabled={loading}
-                />
-                <Form.Text className="text-muted">
-                  Número actual de clientes que utilizan este servicio
-                </Form.Text>
-              </Form.Group>
-            </Col>
-
-            {/* Descripción */}
-            <Col md={12} className="mb-3">
-              <Form.Group>
-                <Form.Label>
-                  Descripción <span className="text-danger">*</span>
-                </Form.Label>
-                <Form.Control
-                  as="textarea"
-                  rows={3}
-                  name="description"
-                  value={formData.description}
-                  onChange={handleInputChange}
-                  placeholder="Describe detalladamente el servicio, sus beneficios y características principales..."
-                  maxLength={500}
-                  required
-                  disabled={loading}
-                  isInvalid={validationErrors.description}
-                />
-                <Form.Text className="text-muted">
-                  {formData.description.length}/500 caracteres
-                </Form.Text>
-              </Form.Group>
-            </Col>
-          </Row>
+          {isEditing ? (
+            <Tabs
+              activeKey={activeTab}
+              onSelect={(key) => setActiveTab(key)}
+              className="mb-3"
+              mountOnEnter
+            >
+              <Tab eventKey="details" title={<><i className="bi bi-card-text me-1"></i>Detalles</>}>
+                {formFields}
+              </Tab>
+              <Tab eventKey="history" title={<><i className="bi bi-clock-history me-1"></i>Historial</>}>
+                <ServiceHistory serviceId={editingService._id} />
+              </Tab>
+              <Tab eventKey="prices" title={<><i className="bi bi-graph-up me-1"></i>Precios</>}>
+                <PriceTimeline serviceId={editingService._id} />
+              </Tab>
+              <Tab eventKey="tasks" title={<><i className="bi bi-list-check me-1"></i>Tareas</>}>
+                <TaskTemplateEditor serviceId={editingService._id} />
+              </Tab>
+            </Tabs>
+          ) : formFields}
         </Modal.Body>
 
         <Modal.Footer>
@@ -444,30 +674,32 @@ const ServiceModal = ({
           >
             Cancelar
           </Button>
-          <Button 
-            variant="primary" 
-            type="submit"
-            disabled={loading}
-          >
-            {loading ? (
-              <>
-                <Spinner
-                  as="span"
-                  animation="border"
-                  size="sm"
-                  role="status"
-                  aria-hidden="true"
-                  className="me-2"
-                />
-                {isEditing ? 'Actualizando...' : 'Creando...'}
-              </>
-            ) : (
-              <>
-                <i className={`bi bi-${isEditing ? 'check-lg' : 'plus-lg'} me-2`}></i>
-                {isEditing ? 'Actualizar Servicio' : 'Crear Servicio'}
-              </>
-            )}
-          </Button>
+          {activeTab === 'details' && (
+            <Button 
+              variant="primary" 
+              type="submit"
+              disabled={loading}
+            >
+              {loading ? (
+                <>
+                  <Spinner
+                    as="span"
+                    animation="border"
+                    size="sm"
+                    role="status"
+                    aria-hidden="true"
+                    className="me-2"
+                  />
+                  {isEditing ? 'Actualizando...' : 'Creando...'}
+                </>
+              ) : (
+                <>
+                  <i className={`bi bi-${isEditing ? 'check-lg' : 'plus-lg'} me-2`}></i>
+                  {isEditing ? 'Actualizar Servicio' : 'Crear Servicio'}
+                </>
+              )}
+            </Button>
+          )}
         </Modal.Footer>
       </Form>
     </Modal>
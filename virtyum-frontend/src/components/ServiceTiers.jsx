@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Niveles de un servicio
+ * @description Tarjetas de solo lectura con el precio, los entregables y los límites de cada nivel
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { Row, Col, Card } from 'react-bootstrap';
+import { formatMoney } from '../services/format';
+
+/**
+ * Niveles de un servicio en el orden definido
+ * @component ServiceTiers
+ * @param {Object} props - Props del componente
+ * @param {Array<Object>} props.tiers - Niveles `{ _id, name, price, deliverables, limits }`
+ * @param {string} [props.currency] - Moneda del servicio
+ * @returns {JSX.Element} Una tarjeta por nivel
+ * @example
+ * <ServiceTiers tiers={service.tiers} currency={service.currency} />
+ */
+const ServiceTiers = ({ tiers, currency }) => (
+  <Row className="g-2">
+    {tiers.map(tier => (
+      <Col key={tier._id || tier.name} md={6} lg={4}>
+        <Card className="h-100">
+          <Card.Body className="p-3">
+            <div className="d-flex justify-content-between align-items-baseline mb-2">
+              <h6 className="mb-0">{tier.name}</h6>
+              <strong className="text-success">{formatMoney(tier.price, currency)}</strong>
+            </div>
+            {tier.deliverables?.length > 0 && (
+              <ul className="small mb-2 ps-3">
+                {tier.deliverables.map((deliverable, index) => (
+                  <li key={index}>{deliverable}</li>
+                ))}
+              </ul>
+            )}
+            {tier.limits?.length > 0 && (
+              <div className="small text-muted">
+                {tier.limits.map((limit, index) => (
+                  <div key={index} className="d-flex justify-content-between">
+                    <span>{limit.label}</span>
+                    <span className="fw-semibold">{limit.value}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      </Col>
+    ))}
+  </Row>
+);
+
+export default ServiceTiers;
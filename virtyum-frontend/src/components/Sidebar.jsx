@@ -1,11 +1,18 @@
-import { useState } from 'react';
 import { Nav } from 'react-bootstrap';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
 
-const Sidebar = ({ isCollapsed, setIsCollapsed, currentPage, setCurrentPage }) => {
+const Sidebar = ({ isCollapsed, setIsCollapsed, currentPage, setCurrentPage, user }) => {
   const menuItems = [
     { id: 'dashboard', icon: 'bi-house', label: 'Dashboard' },
     { id: 'products', icon: 'bi-box-seam', label: 'Productos' },
-  ];
+    { id: 'clients', icon: 'bi-people', label: 'Clientes', permission: PERMISSIONS.CLIENTS_READ },
+    { id: 'quotes', icon: 'bi-file-earmark-text', label: 'Presupuestos', permission: PERMISSIONS.QUOTES_READ },
+    { id: 'invoices', icon: 'bi-receipt', label: 'Facturación', permission: PERMISSIONS.INVOICES_READ },
+    { id: 'tasks', icon: 'bi-list-check', label: 'Tareas', permission: PERMISSIONS.TASKS_READ },
+    { id: 'categories', icon: 'bi-tags', label: 'Categorías', permission: PERMISSIONS.CATEGORIES_MANAGE },
+    { id: 'trash', icon: 'bi-trash', label: 'Papelera', permission: PERMISSIONS.SERVICES_TRASH },
+    { id: 'users', icon: 'bi-person-gear', label: 'Usuarios', permission: PERMISSIONS.USERS_MANAGE },
+  ].filter(item => !item.permission || hasPermission(user, item.permission));
 
   const handleNavClick = (pageId, e) => {
     e.preventDefault();
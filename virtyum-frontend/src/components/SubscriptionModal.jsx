@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Modal para suscribir un cliente a un servicio o editar la suscripción
+ * @description Elige el servicio del catálogo, la vigencia y el precio pactado
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import ClientAPI, { ClientValidation } from '../services/clientApi';
+import ServiceAPI from '../services/serviceApi';
+import { BASE_CURRENCY } from '../services/currencyApi';
+import { formatMoney } from '../services/format';
+
+/**
+ * Convierte una fecha al formato de los inputs de tipo date
+ * @param {string|Date|null} value - Fecha
+ * @returns {string} YYYY-MM-DD o texto vacío
+ */
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+/**
+ * Modal para crear y editar suscripciones de un cliente
+ * @component SubscriptionModal
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el modal está visible
+ * @param {Function} props.onHide - Función para cerrar el modal
+ * @param {Function} props.onSaved - Recibe la respuesta del backend al guardar
+ * @param {string} props.clientId - Cliente al que pertenece la suscripción
+ * @param {Object|null} props.editingSubscription - Suscripción a editar (null para crear una nueva)
+ * @returns {JSX.Element} Componente modal renderizado
+ */
+const SubscriptionModal = ({ show, onHide, onSaved, clientId, editingSubscription = null }) => {
+  const [formData, setFormData] = useState({ service: '', startDate: '', endDate: '', agreedPrice: '', taxRate: 0, notes: '' });
+  const [services, setServices] = useState([]);
+  const [loadingServices, setLoadingServices] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [alertMessage, setAlertMessage] = useState(null);
+
+  const isEditing = Boolean(editingSubscription?._id);
+
+  /**
+   * Carga los datos de la suscripción al abrir el modal
+   */
+  useEffect(() => {
+    setFormData({
+      service: editingSubscription?.service?._id || '',
+      startDate: toDateInput(editingSubscription?.startDate || new Date()),
+      endDate: toDateInput(editingSubscription?.endDate),
+      agreedPrice: editingSubscription?.agreedPrice ?? '',
+      taxRate: editingSubscription?.taxRate ?? 0,
+      notes: editingSubscription?.notes || ''
+    });
+    setErrors([]);
+    setAlertMessage(null);
+  }, [editingSubscription, show]);
+
+  /**
+   * Carga el catálogo para el selector de servicio
+   */
+  useEffect(() => {
+    if (!show) return;
+
+    setLoadingServices(true);
+    ServiceAPI.getAllServices({ limit: 100, sortBy: 'name', order: 'asc' })
+      .then(data => setServices(data.services))
+      .catch(error => setAlertMessage(error.message))
+      .finally(() => setLoadingServices(false));
+  }, [show]);
+
+  const selectedService = services.find(service => service._id === formData.service);
+
+  /**
+   * Maneja cambios en los campos del formulario
+   * @param {Event} e - Evento del input
+   */
+  const handleInputChange = (e) => {
+    const { name, value, type } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'number' && value !== '' ? Number(value) : value
+    }));
+  };
+
+  /**
+   * Valida y envía el formulario
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = ClientValidation.validateSubscriptionData(formData);
+    // Al editar el precio pactado ya existe y no puede quedar vacío
+    if (isEditing && formData.agreedPrice === '') {
+      validation.errors.push('El precio pactado es obligatorio');
+    }
+    if (validation.errors.length > 0) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setErrors([]);
+    setAlertMessage(null);
+    setLoading(true);
+
+    try {
+      const response = isEditing
+        ? await ClientAPI.updateSubscription(clientId, editingSubscription._id, formData)
+        : await ClientAPI.createSubscription(clientId, formData);
+      onSaved?.(response);
+      onHide();
+    } catch (error) {
+      console.error('Error al guardar suscripción:', error);
+      setAlertMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} backdrop="static" keyboard={false}>
+      <Modal.Header closeButton={!loading}>
+        <Modal.Title>
+          <i className={`bi bi-${isEditing ? 'pencil' : 'link-45deg'} me-2`}></i>
+          {isEditing ? 'Editar Suscripción' : 'Nueva Suscripción'}
+        </Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          {alertMessage && (
+            <Alert variant="danger" dismissible onClose={() => setAlertMessage(null)} className="mb-3">
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {alertMessage}
+            </Alert>
+          )}
+
+          {errors.length > 0 && (
+            <Alert variant="danger" className="mb-3">
+              <ul className="mb-0">
+                {errors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </Alert>
+          )}
+
+          <Row>
+            {/* Servicio */}
+            <Col md={12} className="mb-3">
+              <Form.Group>
+                <Form.Label>
+                  Servicio <span className="text-danger">*</span>
+                </Form.Label>
+                <Form.Select
+                  name="service"
+                  value={formData.service}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading || loadingServices}
+                >
+                  <option value="">{loadingServices ? 'Cargando servicios...' : 'Seleccionar servicio...'}</option>
+                  {/* El servicio actual puede no estar entre los 100 primeros del catálogo */}
+                  {isEditing && editingSubscription.service &&
+                    !services.some(service => service._id === editingSubscription.service._id) && (
+                    <option value={editingSubscription.service._id}>
+                      {editingSubscription.service.name} · {editingSubscription.service.category}
+                    </option>
+                  )}
+                  {services.map(service => (
+                    <option key={service._id} value={service._id}>
+                      {service.name} · {service.category}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+
+            {/* Vigencia */}
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Inicio</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6} className="mb-3">
+              <Form.Group>
+                <Form.Label>Fin</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="endDate"
+                  value={formData.endDate}
+                  onChange={handleInputChange}
+                  min={formData.startDate || undefined}
+                  disabled={loading}
+                />
+                <Form.Text className="text-muted">
+                  Vacío si no tiene fecha de fin
+                </Form.Text>
+              </Form.Group>
+            </Col>
+
+            {/* Precio pactado */}
+            <Col md={8} className="mb-3">
+              <Form.Group>
+                <Form.Label>Precio pactado (USD)</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="agreedPrice"
+                  value={formData.agreedPrice}
+                  onChange={handleInputChange}
+                  placeholder={selectedService && (selectedService.currency || BASE_CURRENCY) === BASE_CURRENCY
+                    ? String(selectedService.price)
+                    : ''}
+                  min="0"
+                  step="0.01"
+                  disabled={loading}
+                />
+                {!isEditing && (
+                  <Form.Text className="text-muted">
+                    Si se deja vacío se usa el precio actual del servicio
+                    {selectedService && (selectedService.currency || BASE_CURRENCY) !== BASE_CURRENCY &&
+                      ` (${formatMoney(selectedService.price, selectedService.currency)}, convertido a ${BASE_CURRENCY})`}
+                  </Form.Text>
+                )}
+              </Form.Group>
+            </Col>
+
+            {/* Impuesto */}
+            <Col md={4} className="mb-3">
+              <Form.Group>
+                <Form.Label>Impuesto (%)</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="taxRate"
+                  value={formData.taxRate}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  disabled={loading}
+                />
+                <Form.Text className="text-muted">
+                  Se aplica al facturar
+                </Form.Text>
+              </Form.Group>
+            </Col>
+
+            {/* Notas */}
+            <Col md={12} className="mb-3">
+              <Form.Group>
+                <Form.Label>Notas</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  placeholder="Condiciones, descuentos..."
+                  disabled={loading}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={loading}>
+            Cancelar
+          </Button>
+          <Button variant="primary" type="submit" disabled={loading || loadingServices}>
+            {loading ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" role="status" aria-hidden="true" className="me-2" />
+                Guardando...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-check-lg me-2"></i>
+                {isEditing ? 'Actualizar Suscripción' : 'Crear Suscripción'}
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default SubscriptionModal;
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Tablero Kanban de tareas de entrega
+ * @description Una columna por estado; arrastrar una tarjeta a otra columna cambia el estado de
+ * la tarea en el backend
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Badge, Spinner, ProgressBar } from 'react-bootstrap';
+import TaskAPI, { TASK_STATUSES, TASK_PRIORITIES, isTaskOverdue, hasPendingDependencies } from '../services/taskApi';
+import { formatDate } from '../services/format';
+
+/**
+ * Tarjetas que se cargan por columna
+ * @constant {number} BOARD_COLUMN_LIMIT
+ */
+const BOARD_COLUMN_LIMIT = 50;
+
+/**
+ * Columnas vacías, una por estado
+ * @returns {Object<string, Object>} `{ tasks, total }` por estado
+ */
+const emptyColumns = () => Object.fromEntries(
+  Object.keys(TASK_STATUSES).map(status => [status, { tasks: [], total: 0 }])
+);
+
+/**
+ * Tablero de tareas
+ * @component TaskBoard
+ * @param {Object} props - Props del componente
+ * @param {Object} props.params - Filtros de GET /api/tasks (sin estado ni paginación)
+ * @param {boolean} props.canWrite - Si el usuario puede mover tarjetas
+ * @param {Function} props.onOpenTask - Abre el detalle de una tarea
+ * @param {number} props.refreshKey - Cambia para forzar la recarga (p. ej. tras guardar)
+ * @param {Function} props.onNotify - Muestra una notificación `(message, type)`
+ * @returns {JSX.Element} Columnas con sus tarjetas
+ */
+const TaskBoard = ({ params, canWrite, onOpenTask, refreshKey, onNotify }) => {
+  const [columns, setColumns] = useState(emptyColumns);
+  const [loading, setLoading] = useState(true);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  /**
+   * Carga las tarjetas de todas las columnas: las abiertas por fecha límite y las terminadas
+   * por la más reciente
+   * @async
+   */
+  const loadBoard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const statuses = Object.keys(TASK_STATUSES);
+      const results = await Promise.all(statuses.map(status => TaskAPI.getTasks({
+        ...params,
+        status,
+        sortBy: status === 'done' ? 'updatedAt' : 'dueDate',
+        order: status === 'done' ? 'desc' : 'asc',
+        limit: BOARD_COLUMN_LIMIT
+      })));
+      setColumns(Object.fromEntries(statuses.map((status, index) => [
+        status,
+        { tasks: results[index].tasks, total: results[index].pagination.total }
+      ])));
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [params, onNotify]);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(loadBoard, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadBoard, refreshKey]);
+
+  /**
+   * Mueve la tarjeta arrastrada a otra columna. El cambio se muestra al momento y se
+   * deshace recargando el tablero si el backend lo rechaza.
+   * @async
+   * @param {string} status - Estado de la columna de destino
+   */
+  const handleDrop = async (status) => {
+    const task = draggedTask;
+    setDraggedTask(null);
+    setDropTarget(null);
+    if (!task || task.status === status) return;
+
+    setColumns(prev => ({
+      ...prev,
+      [task.status]: {
+        tasks: prev[task.status].tasks.filter(item => item._id !== task._id),
+        total: prev[task.status].total - 1
+      },
+      [status]: {
+        tasks: [{ ...task, status }, ...prev[status].tasks],
+        total: prev[status].total + 1
+      }
+    }));
+
+    try {
+      const { task: updated } = await TaskAPI.updateTask(task._id, { status });
+      setColumns(prev => ({
+        ...prev,
+        [status]: {
+          ...prev[status],
+          tasks: prev[status].tasks.map(item => (item._id === updated._id ? updated : item))
+        }
+      }));
+    } catch (err) {
+      onNotify(err.message, 'error');
+      await loadBoard();
+    }
+  };
+
+  /**
+   * Renderiza una tarjeta
+   * @param {Object} task - Tarea
+   * @returns {JSX.Element} Tarjeta arrastrable
+   */
+  const renderCard = (task) => {
+    const doneItems = task.checklist.filter(item => item.done).length;
+    const overdue = isTaskOverdue(task);
+
+    return (
+      <Card
+        key={task._id}
+        className={`border-0 shadow-sm mb-2 ${draggedTask?._id === task._id ? 'opacity-50' : ''}`}
+        draggable={canWrite}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          setDraggedTask(task);
+        }}
+        onDragEnd={() => {
+          setDraggedTask(null);
+          setDropTarget(null);
+        }}
+        onClick={() => onOpenTask(task)}
+        style={{ cursor: canWrite ? 'grab' : 'pointer' }}
+      >
+        <Card.Body className="p-2">
+          <div className="d-flex justify-content-between align-items-start mb-1">
+            <span className="fw-semibold small">
+              {hasPendingDependencies(task) && (
+                <i
+                  className="bi bi-lock text-muted me-1"
+                  title={`Pendiente de: ${task.dependsOn.filter(dependency => dependency.status !== 'done').map(dependency => dependency.title).join(', ')}`}
+                ></i>
+              )}
+              {task.title}
+            </span>
+            <Badge bg={TASK_PRIORITIES[task.priority].variant} text={task.priority === 'low' ? 'dark' : undefined} className="ms-2">
+              {TASK_PRIORITIES[task.priority].label}
+            </Badge>
+          </div>
+          <div className="small text-muted">
+            {task.service?.name || '—'}
+            {task.client && ` · ${task.client.company}`}
+          </div>
+          {task.checklist.length > 0 && (
+            <ProgressBar now={(doneItems / task.checklist.length) * 100} variant="success" className="my-1" style={{ height: 3 }} />
+          )}
+          <div className="d-flex justify-content-between small mt-1">
+            <span className={overdue ? 'text-danger fw-semibold' : 'text-muted'}>
+              {task.dueDate && <i className="bi bi-calendar-event me-1"></i>}
+              {task.dueDate ? formatDate(task.dueDate) : ''}
+            </span>
+            <span className="text-muted">
+              <i className="bi bi-person me-1"></i>
+              {task.assignee?.name || 'Sin asignar'}
+            </span>
+          </div>
+        </Card.Body>
+      </Card>
+    );
+  };
+
+  return (
+    <div className="d-flex gap-3 overflow-auto pb-2">
+      {Object.entries(TASK_STATUSES).map(([status, { label, variant, icon }]) => {
+        const column = columns[status];
+
+        return (
+          <div
+            key={status}
+            className={`flex-shrink-0 rounded p-2 ${dropTarget === status ? 'bg-primary bg-opacity-10' : 'bg-light'}`}
+            style={{ width: 280, minHeight: 300 }}
+            onDragOver={(e) => {
+              if (!draggedTask) return;
+              e.preventDefault();
+              setDropTarget(status);
+            }}
+            onDragLeave={() => setDropTarget(prev => (prev === status ? null : prev))}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(status);
+            }}
+          >
+            <div className="d-flex justify-content-between align-items-center mb-2 px-1">
+              <span className="fw-semibold">
+                <i className={`bi bi-${icon} text-${variant} me-2`}></i>
+                {label}
+              </span>
+              <Badge bg={variant}>{column.total}</Badge>
+            </div>
+
+            {loading && column.tasks.length === 0 ? (
+              <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+            ) : column.tasks.length === 0 ? (
+              <p className="text-muted small text-center py-3 mb-0">Sin tareas</p>
+            ) : (
+              column.tasks.map(renderCard)
+            )}
+
+            {column.total > column.tasks.length && (
+              <p className="text-muted small text-center mb-0">
+                Mostrando {column.tasks.length} de {column.total}: usa los filtros o la lista
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TaskBoard;
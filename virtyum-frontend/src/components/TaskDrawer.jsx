@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Panel lateral de detalle de una tarea de entrega
+ * @description Título, servicio, cliente (a través de una de sus suscripciones al servicio),
+ * responsable, fecha límite, prioridad, estado y lista de comprobación de una tarea. Lo usan
+ * tanto la lista como el tablero de tareas para crear y editar.
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+import { Offcanvas, Button, Form, Row, Col, Alert, Spinner, InputGroup, ProgressBar, Badge } from 'react-bootstrap';
+import TaskAPI, { TASK_STATUSES, TASK_PRIORITIES } from '../services/taskApi';
+import ClientAPI from '../services/clientApi';
+import { formatDate } from '../services/format';
+
+/**
+ * Formulario vacío
+ * @constant {Object} EMPTY_TASK
+ */
+const EMPTY_TASK = {
+  title: '',
+  description: '',
+  service: '',
+  client: '',
+  subscription: '',
+  assignee: '',
+  dueDate: '',
+  priority: 'medium',
+  status: 'todo',
+  checklist: []
+};
+
+/**
+ * Panel de alta, detalle y edición de tareas
+ * @component TaskDrawer
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.show - Controla si el panel está visible
+ * @param {Function} props.onHide - Cierra el panel
+ * @param {Function} props.onSaved - Recibe la respuesta del backend tras guardar
+ * @param {Object|null} [props.task=null] - Tarea a editar (null para crear)
+ * @param {Array<Object>} props.services - Servicios del catálogo para elegir
+ * @param {Array<Object>} props.assignees - Usuarios a los que se puede asignar
+ * @param {boolean} [props.readOnly=false] - Solo muestra el detalle (sin permiso tasks:write)
+ * @returns {JSX.Element} Panel lateral con el formulario
+ */
+const TaskDrawer = ({ show, onHide, onSaved, task = null, services, assignees, readOnly = false }) => {
+  const [formData, setFormData] = useState(EMPTY_TASK);
+  const [clients, setClients] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [newItem, setNewItem] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!show) return;
+    setFormData(task ? {
+      title: task.title,
+      description: task.description || '',
+      service: task.service?._id || '',
+      client: task.client?._id || '',
+      subscription: task.subscription || '',
+      assignee: task.assignee?._id || '',
+      dueDate: task.dueDate ? task.dueDate.slice(0, 10) : '',
+      priority: task.priority,
+      status: task.status,
+      checklist: task.checklist.map(({ _id, text, done }) => ({ _id, text, done }))
+    } : EMPTY_TASK);
+    setNewItem('');
+    setError(null);
+
+    ClientAPI.getClients({ limit: 100 })
+      .then(data => setClients(data.clients))
+      .catch(err => setError(err.message));
+  }, [show, task]);
+
+  /**
+   * Carga las suscripciones del cliente elegido
+   */
+  useEffect(() => {
+    if (!show || !formData.client) {
+      setSubscriptions([]);
+      return;
+    }
+    ClientAPI.getClientById(formData.client)
+      .then(data => setSubscriptions(data.subscriptions))
+      .catch(err => setError(err.message));
+  }, [show, formData.client]);
+
+  // Solo las suscripciones del servicio de la tarea pueden vincularse a ella
+  const serviceSubscriptions = subscriptions.filter(subscription => subscription.service?._id === formData.service);
+
+  /**
+   * Elige automáticamente la suscripción cuando el cliente solo tiene una al servicio
+   */
+  useEffect(() => {
+    if (!formData.client || formData.subscription) return;
+    const matching = subscriptions.filter(subscription => subscription.service?._id === formData.service);
+    if (matching.length === 1) {
+      setFormData(prev => ({ ...prev, subscription: matching[0]._id }));
+    }
+  }, [subscriptions, formData.client, formData.service, formData.subscription]);
+
+  /**
+   * Actualiza un campo del formulario
+   * @param {Event} e - Evento del control
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const next = { ...prev, [name]: value };
+      // Cambiar el servicio o el cliente invalida la suscripción elegida
+      if (name === 'service' || name === 'client') next.subscription = '';
+      return next;
+    });
+  };
+
+  /**
+   * Añade un elemento a la lista de comprobación
+   */
+  const addChecklistItem = () => {
+    const text = newItem.trim();
+    if (!text) return;
+    setFormData(prev => ({ ...prev, checklist: [...prev.checklist, { text, done: false }] }));
+    setNewItem('');
+  };
+
+  /**
+   * Modifica un elemento de la lista
+   * @param {number} index - Posición del elemento
+   * @param {Object} changes - Campos a cambiar (`text`, `done`)
+   */
+  const updateChecklistItem = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      checklist: prev.checklist.map((item, position) => (position === index ? { ...item, ...changes } : item))
+    }));
+  };
+
+  /**
+   * Quita un elemento de la lista
+   * @param {number} index - Posición del elemento
+   */
+  const removeChecklistItem = (index) => {
+    setFormData(prev => ({ ...prev, checklist: prev.checklist.filter((_, position) => position !== index) }));
+  };
+
+  /**
+   * Guarda la tarea
+   * @async
+   * @param {Event} e - Evento de envío del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.client && !formData.subscription) {
+      setError('El cliente no tiene una suscripción a este servicio');
+      return;
+    }
+
+    // El cliente no se envía: el backend lo toma de la suscripción
+    const { client, ...fields } = formData;
+    const payload = {
+      ...fields,
+      subscription: client ? fields.subscription : null,
+      assignee: fields.assignee || null,
+      checklist: fields.checklist.filter(item => item.text.trim())
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = task
+        ? await TaskAPI.updateTask(task._id, payload)
+        : await TaskAPI.createTask(payload);
+      onSaved(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const locked = saving || readOnly;
+  const doneItems = formData.checklist.filter(item => item.done).length;
+  // Un servicio en la papelera solo se muestra si la tarea ya pertenece a él
+  const serviceOptions = task?.service?.deletedAt ? [task.service, ...services] : services;
+
+  return (
+    <Offcanvas show={show} onHide={onHide} placement="end" style={{ width: 'min(560px, 100vw)' }}>
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title>
+          <i className={`bi bi-${task ? 'card-checklist' : 'list-check'} me-2`}></i>
+          {task ? 'Detalle de la Tarea' : 'Nueva Tarea'}
+        </Offcanvas.Title>
+      </Offcanvas.Header>
+
+      <Form onSubmit={handleSubmit} className="d-flex flex-column flex-grow-1 overflow-hidden">
+        <Offcanvas.Body className="flex-grow-1">
+          {task && (
+            <p className="small text-muted">
+              Creada el {formatDate(task.createdAt)}{task.createdBy ? ` por ${task.createdBy.name}` : ''}
+              {task.template && ' a partir de la plantilla del servicio'}
+              {task.completedAt && ` · terminada el ${formatDate(task.completedAt)}`}
+            </p>
+          )}
+
+          {task?.dependsOn?.length > 0 && (
+            <div className="small mb-3">
+              <span className="text-muted d-block mb-1">
+                <i className="bi bi-lock me-1"></i>
+                Solo puede empezar cuando estén terminadas:
+              </span>
+              {task.dependsOn.map(dependency => (
+                <div key={dependency._id} className="d-flex justify-content-between">
+                  <span>{dependency.title}</span>
+                  <Badge bg={TASK_STATUSES[dependency.status].variant}>{TASK_STATUSES[dependency.status].label}</Badge>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          <Row className="g-3">
+            <Col md={12}>
+              <Form.Label>Título <span className="text-danger">*</span></Form.Label>
+              <Form.Control
+                name="title"
+                value={formData.title}
+                onChange={handleChange}
+                placeholder="Ej: Auditoría SEO inicial"
+                maxLength={150}
+                required
+                disabled={locked}
+              />
+            </Col>
+            <Col md={6}>
+              <Form.Label>Servicio <span className="text-danger">*</span></Form.Label>
+              <Form.Select name="service" value={formData.service} onChange={handleChange} required disabled={locked}>
+                <option value="">Elige un servicio</option>
+                {serviceOptions.map(service => (
+                  <option key={service._id} value={service._id}>
+                    {service.name}{service.deletedAt ? ' (en la papelera)' : ''}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={6}>
+              <Form.Label>Cliente</Form.Label>
+              <Form.Select name="client" value={formData.client} onChange={handleChange} disabled={locked || !formData.service}>
+                <option value="">Trabajo interno (sin cliente)</option>
+                {clients.map(client => (
+                  <option key={client._id} value={client._id}>{client.company}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            {formData.client && serviceSubscriptions.length > 1 && (
+              <Col md={12}>
+                <Form.Label>Suscripción</Form.Label>
+                <Form.Select name="subscription" value={formData.subscription} onChange={handleChange} required disabled={locked}>
+                  <option value="">Elige la suscripción</option>
+                  {serviceSubscriptions.map(subscription => (
+                    <option key={subscription._id} value={subscription._id}>
+                      Desde {formatDate(subscription.startDate)}{subscription.endDate ? ` hasta ${formatDate(subscription.endDate)}` : ''}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+            )}
+            {formData.client && serviceSubscriptions.length === 0 && (
+              <Col md={12}>
+                <Form.Text className="text-danger">
+                  El cliente no tiene ninguna suscripción a este servicio
+                </Form.Text>
+              </Col>
+            )}
+            <Col md={6}>
+              <Form.Label>Responsable</Form.Label>
+              <Form.Select name="assignee" value={formData.assignee} onChange={handleChange} disabled={locked}>
+                <option value="">Sin asignar</option>
+                {assignees.map(user => (
+                  <option key={user._id} value={user._id}>{user.name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={6}>
+              <Form.Label>Fecha límite</Form.Label>
+              <Form.Control type="date" name="dueDate" value={formData.dueDate} onChange={handleChange} disabled={locked} />
+            </Col>
+            <Col md={6}>
+              <Form.Label>Prioridad</Form.Label>
+              <Form.Select name="priority" value={formData.priority} onChange={handleChange} disabled={locked}>
+                {Object.entries(TASK_PRIORITIES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={6}>
+              <Form.Label>Estado</Form.Label>
+              <Form.Select name="status" value={formData.status} onChange={handleChange} disabled={locked}>
+                {Object.entries(TASK_STATUSES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={12}>
+              <Form.Label>Descripción</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                maxLength={2000}
+                disabled={locked}
+              />
+            </Col>
+          </Row>
+
+          <div className="mt-4">
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <Form.Label className="mb-0">Lista de comprobación</Form.Label>
+              {formData.checklist.length > 0 && (
+                <small className="text-muted">{doneItems} de {formData.checklist.length}</small>
+              )}
+            </div>
+            {formData.checklist.length > 0 && (
+              <ProgressBar now={(doneItems / formData.checklist.length) * 100} variant="success" className="mb-2" style={{ height: 4 }} />
+            )}
+            {formData.checklist.map((item, index) => (
+              <InputGroup key={item._id || index} size="sm" className="mb-1">
+                <InputGroup.Checkbox
+                  checked={item.done}
+                  onChange={(e) => updateChecklistItem(index, { done: e.target.checked })}
+                  disabled={locked}
+                  aria-label="Hecho"
+                />
+                <Form.Control
+                  value={item.text}
+                  onChange={(e) => updateChecklistItem(index, { text: e.target.value })}
+                  maxLength={200}
+                  className={item.done ? 'text-decoration-line-through text-muted' : ''}
+                  disabled={locked}
+                />
+                <Button variant="outline-danger" onClick={() => removeChecklistItem(index)} disabled={locked} title="Quitar">
+                  <i className="bi bi-x"></i>
+                </Button>
+              </InputGroup>
+            ))}
+            {!readOnly && (
+              <InputGroup size="sm">
+                <Form.Control
+                  value={newItem}
+                  onChange={(e) => setNewItem(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      addChecklistItem();
+                    }
+                  }}
+                  placeholder="Añadir un paso..."
+                  maxLength={200}
+                  disabled={locked}
+                />
+                <Button variant="outline-secondary" onClick={addChecklistItem} disabled={locked || !newItem.trim()}>
+                  <i className="bi bi-plus-lg"></i>
+                </Button>
+              </InputGroup>
+            )}
+          </div>
+        </Offcanvas.Body>
+
+        <div className="border-top p-3 d-flex justify-content-end gap-2">
+          <Button variant="secondary" onClick={onHide} disabled={saving}>
+            {readOnly ? 'Cerrar' : 'Cancelar'}
+          </Button>
+          {!readOnly && (
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? <Spinner animation="border" size="sm" /> : (task ? 'Guardar' : 'Crear tarea')}
+            </Button>
+          )}
+        </div>
+      </Form>
+    </Offcanvas>
+  );
+};
+
+export default TaskDrawer;
@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Editor de la plantilla de tareas de un servicio
+ * @description Tareas que se crean al empezar cada suscripción al servicio, con plazo relativo
+ * al inicio, rol del responsable y dependencias. Cada guardado crea una versión nueva y las
+ * tareas ya creadas no cambian.
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Form, Button, Spinner, Alert, Row, Col, Card, InputGroup } from 'react-bootstrap';
+import ServiceAPI from '../services/serviceApi';
+import { TASK_PRIORITIES, TEMPLATE_ASSIGNEE_ROLES } from '../services/taskApi';
+
+/**
+ * Tareas que admite una plantilla (mismo límite que config/tasks del backend)
+ * @constant {number} MAX_TEMPLATE_TASKS
+ */
+const MAX_TEMPLATE_TASKS = 30;
+
+/**
+ * Tarea vacía del formulario
+ * @returns {Object} Estado inicial de una tarea
+ */
+const emptyTemplateTask = () => ({
+  title: '',
+  description: '',
+  dueOffsetDays: '',
+  priority: 'medium',
+  assigneeRole: '',
+  checklistText: '',
+  dependsOn: []
+});
+
+/**
+ * Convierte las tareas de una versión en el estado del formulario
+ * @param {Object|null} template - Versión de la plantilla
+ * @returns {Array<Object>} Tareas del formulario (checklist como texto, una línea por paso)
+ */
+const toTemplateForm = (template) => (template?.tasks || []).map(task => ({
+  title: task.title,
+  description: task.description || '',
+  dueOffsetDays: task.dueOffsetDays ?? '',
+  priority: task.priority,
+  assigneeRole: task.assigneeRole || '',
+  checklistText: task.checklist.join('\n'),
+  dependsOn: task.dependsOn
+}));
+
+/**
+ * Convierte el formulario en el body de PUT /task-template
+ * @param {Array<Object>} tasks - Tareas del formulario
+ * @returns {Array<Object>} Tareas de la plantilla
+ */
+const toTemplatePayload = (tasks) => tasks.map(task => ({
+  title: task.title.trim(),
+  description: task.description.trim(),
+  dueOffsetDays: task.dueOffsetDays === '' ? null : Number(task.dueOffsetDays),
+  priority: task.priority,
+  assigneeRole: task.assigneeRole || null,
+  checklist: task.checklistText.split('\n').map(line => line.trim()).filter(Boolean),
+  dependsOn: task.dependsOn
+}));
+
+/**
+ * Editor y versiones de la plantilla de tareas
+ * @component TaskTemplateEditor
+ * @param {Object} props - Props del componente
+ * @param {string} props.serviceId - ID del servicio
+ * @returns {JSX.Element} Tareas de la plantilla e historial de versiones
+ * @example
+ * <TaskTemplateEditor serviceId={service._id} />
+ */
+const TaskTemplateEditor = ({ serviceId }) => {
+  const [data, setData] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  /**
+   * Carga una versión (la vigente si no se indica) y el historial
+   * @async
+   * @param {number|null} [version=null] - Versión a consultar
+   */
+  const loadTemplate = useCallback(async (version = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await ServiceAPI.getTaskTemplate(serviceId, version ?? undefined);
+      setData(result);
+      setTasks(toTemplateForm(result.template));
+      setViewedVersion(version);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [serviceId]);
+
+  useEffect(() => {
+    loadTemplate();
+  }, [loadTemplate]);
+
+  // Las versiones anteriores solo se consultan; para recuperarlas se copian al editor
+  const readOnly = viewedVersion !== null;
+
+  /**
+   * Actualiza un campo de una tarea
+   * @param {number} index - Posición de la tarea
+   * @param {string} field - Campo
+   * @param {*} value - Valor nuevo
+   */
+  const updateTask = (index, field, value) => {
+    setTasks(prev => prev.map((task, position) => (position === index ? { ...task, [field]: value } : task)));
+  };
+
+  /**
+   * Marca o desmarca una dependencia de una tarea
+   * @param {number} index - Posición de la tarea
+   * @param {number} dependency - Posición de la tarea anterior
+   */
+  const toggleDependency = (index, dependency) => {
+    const { dependsOn } = tasks[index];
+    updateTask(index, 'dependsOn', dependsOn.includes(dependency)
+      ? dependsOn.filter(position => position !== dependency)
+      : [...dependsOn, dependency].sort((a, b) => a - b));
+  };
+
+  /**
+   * Quita una tarea y recoloca las dependencias de las siguientes
+   * @param {number} index - Posición de la tarea
+   */
+  const removeTask = (index) => {
+    setTasks(prev => prev
+      .filter((_, position) => position !== index)
+      .map(task => ({
+        ...task,
+        dependsOn: task.dependsOn
+          .filter(position => position !== index)
+          .map(position => (position > index ? position - 1 : position))
+      })));
+  };
+
+  /**
+   * Guarda las tareas como versión nueva
+   * @async
+   * @param {Event} e - Evento de envío del formulario
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    // El editor va dentro del formulario del servicio: que no lo envíe también
+    e.stopPropagation();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const { message } = await ServiceAPI.saveTaskTemplate(serviceId, toTemplatePayload(tasks));
+      await loadTemplate();
+      setSuccess(message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" size="sm" className="me-2" />
+        Cargando plantilla...
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <Alert variant="danger" className="mb-0">
+        <i className="bi bi-exclamation-triangle me-2"></i>
+        {error}
+      </Alert>
+    );
+  }
+
+  const { template, versions } = data;
+  const current = versions[0];
+
+  return (
+    <Form onSubmit={handleSave}>
+      <p className="text-muted small">
+        <i className="bi bi-info-circle me-1"></i>
+        Estas tareas se crean al empezar cada suscripción al servicio. El plazo cuenta desde el
+        inicio de la suscripción y el responsable es el usuario del rol con menos tareas abiertas.
+        Guardar crea una versión nueva: las tareas ya creadas no cambian.
+      </p>
+
+      {error && (
+        <Alert variant="danger" className="py-2" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" className="py-2" dismissible onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      {versions.length > 0 && (
+        <div className="d-flex align-items-center gap-2 mb-3">
+          <Form.Select
+            size="sm"
+            style={{ maxWidth: '22rem' }}
+            value={viewedVersion ?? ''}
+            onChange={(e) => loadTemplate(e.target.value === '' ? null : Number(e.target.value))}
+            disabled={loading || saving}
+          >
+            {versions.map(version => (
+              <option key={version._id} value={version === current ? '' : version.version}>
+                Versión {version.version}{version === current ? ' (vigente)' : ''} ·{' '}
+                {new Date(version.createdAt).toLocaleDateString()} · {version.createdBy?.name || 'Desconocido'} ·{' '}
+                {version.tasks} tarea(s)
+              </option>
+            ))}
+          </Form.Select>
+          {readOnly && (
+            <Button variant="outline-primary" size="sm" onClick={() => setViewedVersion(null)}>
+              <i className="bi bi-arrow-counterclockwise me-1"></i>
+              Usar como base
+            </Button>
+          )}
+          {loading && <Spinner animation="border" size="sm" />}
+        </div>
+      )}
+
+      {tasks.length === 0 && (
+        <p className="text-muted small text-center py-3 mb-3 border rounded">
+          {template ? 'Esta versión no tiene tareas' : 'El servicio no tiene plantilla de tareas'}
+        </p>
+      )}
+
+      {tasks.map((task, index) => (
+        <Card key={index} className="mb-2">
+          <Card.Body className="p-2">
+            <Row className="g-2">
+              <Col md={7}>
+                <InputGroup size="sm">
+                  <InputGroup.Text>{index + 1}</InputGroup.Text>
+                  <Form.Control
+                    placeholder="Título *"
+                    maxLength={150}
+                    value={task.title}
+                    onChange={(e) => updateTask(index, 'title', e.target.value)}
+                    disabled={readOnly || saving}
+                    required
+                  />
+                </InputGroup>
+              </Col>
+              <Col md={5}>
+                <InputGroup size="sm">
+                  <InputGroup.Text>Día +</InputGroup.Text>
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    max="365"
+                    step="1"
+                    placeholder="Sin plazo"
+                    value={task.dueOffsetDays}
+                    onChange={(e) => updateTask(index, 'dueOffsetDays', e.target.value)}
+                    disabled={readOnly || saving}
+                  />
+                  {!readOnly && (
+                    <Button variant="outline-danger" onClick={() => removeTask(index)} disabled={saving} title="Quitar tarea">
+                      <i className="bi bi-trash"></i>
+                    </Button>
+                  )}
+                </InputGroup>
+              </Col>
+              <Col md={6}>
+                <Form.Select
+                  size="sm"
+                  value={task.priority}
+                  onChange={(e) => updateTask(index, 'priority', e.target.value)}
+                  disabled={readOnly || saving}
+                >
+                  {Object.entries(TASK_PRIORITIES).map(([value, { label }]) => (
+                    <option key={value} value={value}>Prioridad {label.toLowerCase()}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={6}>
+                <Form.Select
+                  size="sm"
+                  value={task.assigneeRole}
+                  onChange={(e) => updateTask(index, 'assigneeRole', e.target.value)}
+                  disabled={readOnly || saving}
+                >
+                  <option value="">Sin asignar</option>
+                  {Object.entries(TEMPLATE_ASSIGNEE_ROLES).map(([value, label]) => (
+                    <option key={value} value={value}>Responsable: {label}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={6}>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  size="sm"
+                  placeholder="Descripción"
+                  maxLength={2000}
+                  value={task.description}
+                  onChange={(e) => updateTask(index, 'description', e.target.value)}
+                  disabled={readOnly || saving}
+                />
+              </Col>
+              <Col md={6}>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  size="sm"
+                  placeholder="Lista de comprobación (un paso por línea)"
+                  value={task.checklistText}
+                  onChange={(e) => updateTask(index, 'checklistText', e.target.value)}
+                  disabled={readOnly || saving}
+                />
+              </Col>
+            </Row>
+            {index > 0 && (
+              <div className="small mt-2">
+                <span className="text-muted me-2">
+                  <i className="bi bi-lock me-1"></i>
+                  Después de:
+                </span>
+                {tasks.slice(0, index).map((previous, position) => (
+                  <Form.Check
+                    key={position}
+                    inline
+                    type="checkbox"
+                    id={`template-${index}-depends-${position}`}
+                    label={previous.title || `Tarea ${position + 1}`}
+                    checked={task.dependsOn.includes(position)}
+                    onChange={() => toggleDependency(index, position)}
+                    disabled={readOnly || saving}
+                  />
+                ))}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      ))}
+
+      {!readOnly && (
+        <div className="d-flex justify-content-between mt-3">
+          <Button
+            variant="outline-primary"
+            size="sm"
+            onClick={() => setTasks(prev => [...prev, emptyTemplateTask()])}
+            disabled={saving || tasks.length >= MAX_TEMPLATE_TASKS}
+          >
+            <i className="bi bi-plus-lg me-1"></i>
+            Añadir tarea
+          </Button>
+          <Button type="submit" variant="primary" size="sm" disabled={saving || (!template && tasks.length === 0)}>
+            {saving ? <Spinner animation="border" size="sm" /> : (
+              <>
+                <i className="bi bi-save me-1"></i>
+                Guardar versión
+              </>
+            )}
+          </Button>
+        </div>
+      )}
+    </Form>
+  );
+};
+
+export default TaskTemplateEditor;
@@ -0,0 +1,478 @@
+/**
+ * @fileoverview Seguimiento de las tareas de entrega
+ * @description Lista paginada o tablero Kanban de las tareas, con filtros por estado, prioridad,
+ * responsable, servicio y fecha límite, y un panel lateral para ver y editar cada tarea
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Card, Table, Button, ButtonGroup, Badge, Form, InputGroup, Row, Col, Alert, Spinner, Toast, ToastContainer, Pagination } from 'react-bootstrap';
+import TaskAPI, { TASK_STATUSES, TASK_PRIORITIES, DUE_DATE_FILTERS, isTaskOverdue, hasPendingDependencies, buildDueDateParams } from '../services/taskApi';
+import ServiceAPI from '../services/serviceApi';
+import TaskDrawer from './TaskDrawer';
+import TaskBoard from './TaskBoard';
+import { formatDate } from '../services/format';
+import { PERMISSIONS, hasPermission } from '../services/permissions';
+
+/**
+ * Tareas por página
+ * @constant {number} TASKS_PAGE_SIZE
+ */
+const TASKS_PAGE_SIZE = 20;
+
+/**
+ * Filtros iniciales: solo las tareas abiertas
+ * @constant {Object} DEFAULT_FILTERS
+ */
+const DEFAULT_FILTERS = {
+  q: '',
+  status: 'todo,in_progress,blocked',
+  priority: '',
+  assignee: '',
+  service: '',
+  due: ''
+};
+
+/**
+ * Página de tareas
+ * @component Tasks
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado (con su lista de permisos)
+ * @returns {JSX.Element} Filtros, lista o tablero y panel de detalle
+ */
+const Tasks = ({ user }) => {
+  const canWrite = hasPermission(user, PERMISSIONS.TASKS_WRITE);
+  const canDelete = hasPermission(user, PERMISSIONS.TASKS_DELETE);
+
+  const [tasks, setTasks] = useState([]);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 0, hasNextPage: false, hasPrevPage: false });
+  const [services, setServices] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState('board');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showDrawer, setShowDrawer] = useState(false);
+  const [editingTask, setEditingTask] = useState(null);
+
+  // Estados para notificaciones
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [toastType, setToastType] = useState('success');
+
+  /**
+   * Muestra notificaciones toast temporales
+   * @param {string} message - Mensaje a mostrar
+   * @param {string} type - Tipo de notificación (success, error)
+   */
+  const showNotification = useCallback((message, type = 'success') => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  }, []);
+
+  /**
+   * Carga el catálogo y los responsables para los filtros y el modal
+   */
+  useEffect(() => {
+    Promise.all([
+      ServiceAPI.getAllServices({ limit: 100, sortBy: 'name', order: 'asc' }),
+      TaskAPI.getAssignees()
+    ])
+      .then(([serviceData, users]) => {
+        setServices(serviceData.services);
+        setAssignees(users);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  /**
+   * Filtros comunes a la lista y al tablero (el tablero ignora el estado: es una columna)
+   */
+  const params = useMemo(() => ({
+    q: filters.q.trim(),
+    priority: filters.priority,
+    assignee: filters.assignee,
+    service: filters.service,
+    ...buildDueDateParams(filters.due)
+  }), [filters.q, filters.priority, filters.assignee, filters.service, filters.due]);
+
+  /**
+   * Carga la página actual de tareas
+   * @async
+   */
+  const loadTasks = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await TaskAPI.getTasks({
+        ...params,
+        status: filters.status,
+        sortBy: 'dueDate',
+        order: 'asc',
+        page,
+        limit: TASKS_PAGE_SIZE
+      });
+
+      // Si la página quedó vacía tras eliminar, volver a la última con datos
+      if (data.tasks.length === 0 && page > 1 && data.pagination.totalPages > 0) {
+        setPage(data.pagination.totalPages);
+        return;
+      }
+
+      setTasks(data.tasks);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [params, filters.status, page]);
+
+  /**
+   * Recarga la lista al cambiar filtros o página; se espera un momento para no lanzar una
+   * petición por cada tecla de la búsqueda
+   */
+  useEffect(() => {
+    if (view !== 'list') return undefined;
+    const timeoutId = setTimeout(loadTasks, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadTasks, view, refreshKey]);
+
+  /**
+   * Cambia un filtro y vuelve a la primera página
+   * @param {string} name - Filtro a cambiar
+   * @param {string|boolean} value - Nuevo valor
+   */
+  const changeFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  /**
+   * Abre el panel de detalle
+   * @param {Object|null} task - Tarea a ver o editar (null para crear)
+   */
+  const openDrawer = (task) => {
+    setEditingTask(task);
+    setShowDrawer(true);
+  };
+
+  /**
+   * Cierra el panel y recarga la vista tras guardar
+   * @param {Object} response - Respuesta del backend
+   */
+  const handleSaved = (response) => {
+    setShowDrawer(false);
+    setEditingTask(null);
+    showNotification(response.message);
+    setRefreshKey(key => key + 1);
+  };
+
+  /**
+   * Cambia el estado de una tarea desde la tabla
+   * @async
+   * @param {Object} task - Tarea a cambiar
+   * @param {string} status - Nuevo estado
+   */
+  const changeStatus = async (task, status) => {
+    try {
+      setSaving(true);
+      await TaskAPI.updateTask(task._id, { status });
+      showNotification(`"${task.title}" pasa a ${TASK_STATUSES[status].label.toLowerCase()}`);
+      await loadTasks();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Elimina una tarea después de confirmación
+   * @async
+   * @param {Object} task - Tarea a eliminar
+   */
+  const handleDelete = async (task) => {
+    if (!window.confirm(`¿Eliminar la tarea "${task.title}"?`)) return;
+
+    try {
+      setSaving(true);
+      await TaskAPI.deleteTask(task._id);
+      showNotification(`Tarea "${task.title}" eliminada`);
+      await loadTasks();
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Tareas</h1>
+          <p className="text-muted mb-0">Trabajo de entrega de los servicios contratados</p>
+        </div>
+        <div className="d-flex gap-2">
+          <ButtonGroup>
+            <Button variant={view === 'board' ? 'secondary' : 'outline-secondary'} onClick={() => setView('board')} title="Tablero">
+              <i className="bi bi-kanban"></i>
+            </Button>
+            <Button variant={view === 'list' ? 'secondary' : 'outline-secondary'} onClick={() => setView('list')} title="Lista">
+              <i className="bi bi-list-ul"></i>
+            </Button>
+          </ButtonGroup>
+          {canWrite && (
+            <Button variant="primary" onClick={() => openDrawer(null)}>
+              <i className="bi bi-plus-lg me-2"></i>
+              Nueva Tarea
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="danger">
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      {/* Filtros */}
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Body>
+          <Row className="g-2 align-items-center">
+            <Col md={3}>
+              <InputGroup>
+                <InputGroup.Text><i className="bi bi-search"></i></InputGroup.Text>
+                <Form.Control
+                  placeholder="Buscar tareas..."
+                  value={filters.q}
+                  onChange={(e) => changeFilter('q', e.target.value)}
+                />
+              </InputGroup>
+            </Col>
+            {view === 'list' && (
+              <Col md>
+                <Form.Select value={filters.status} onChange={(e) => changeFilter('status', e.target.value)}>
+                  <option value={DEFAULT_FILTERS.status}>Abiertas</option>
+                  <option value="">Todos los estados</option>
+                  {Object.entries(TASK_STATUSES).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+            )}
+            <Col md>
+              <Form.Select value={filters.priority} onChange={(e) => changeFilter('priority', e.target.value)}>
+                <option value="">Todas las prioridades</option>
+                {Object.entries(TASK_PRIORITIES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md>
+              <Form.Select value={filters.assignee} onChange={(e) => changeFilter('assignee', e.target.value)}>
+                <option value="">Todos los responsables</option>
+                <option value="me">Asignadas a mí</option>
+                <option value="none">Sin asignar</option>
+                {assignees.map(assignee => (
+                  <option key={assignee._id} value={assignee._id}>{assignee.name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md>
+              <Form.Select value={filters.service} onChange={(e) => changeFilter('service', e.target.value)}>
+                <option value="">Todos los servicios</option>
+                {services.map(service => (
+                  <option key={service._id} value={service._id}>{service.name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md>
+              <Form.Select value={filters.due} onChange={(e) => changeFilter('due', e.target.value)}>
+                <option value="">Cualquier fecha límite</option>
+                {Object.entries(DUE_DATE_FILTERS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {view === 'board' ? (
+        <TaskBoard
+          params={params}
+          canWrite={canWrite}
+          onOpenTask={openDrawer}
+          refreshKey={refreshKey}
+          onNotify={showNotification}
+        />
+      ) : (
+        <Card className="border-0 shadow-sm">
+          <Card.Body className="p-0">
+            <Table hover responsive className="mb-0 align-middle">
+              <thead className="bg-light">
+                <tr>
+                  <th className="border-0 ps-4">Tarea</th>
+                  <th className="border-0">Servicio / Cliente</th>
+                  <th className="border-0">Responsable</th>
+                  <th className="border-0">Fecha límite</th>
+                  <th className="border-0">Prioridad</th>
+                  <th className="border-0">Estado</th>
+                  <th className="border-0 text-end pe-4">Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={7} className="text-center py-4">
+                      <Spinner animation="border" size="sm" className="me-2" />
+                      Cargando...
+                    </td>
+                  </tr>
+                ) : tasks.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="text-center py-4 text-muted">No hay tareas con estos filtros</td>
+                  </tr>
+                ) : (
+                  tasks.map(task => {
+                    const doneItems = task.checklist.filter(item => item.done).length;
+                    const overdue = isTaskOverdue(task);
+
+                    return (
+                      <tr key={task._id}>
+                        <td className="ps-4">
+                          {hasPendingDependencies(task) && (
+                            <i className="bi bi-lock text-muted me-1" title="Tiene tareas previas sin terminar"></i>
+                          )}
+                          <Button variant="link" className="p-0 fw-semibold text-decoration-none text-start" onClick={() => openDrawer(task)}>
+                            {task.title}
+                          </Button>
+                          {task.checklist.length > 0 && (
+                            <small className="text-muted d-block">
+                              <i className="bi bi-check2-square me-1"></i>
+                              {doneItems}/{task.checklist.length}
+                            </small>
+                          )}
+                        </td>
+                        <td>
+                          {task.service?.name || '—'}
+                          {task.service?.deletedAt && <Badge bg="secondary" className="ms-1">En la papelera</Badge>}
+                          <small className="text-muted d-block">{task.client?.company || 'Interna'}</small>
+                        </td>
+                        <td>{task.assignee?.name || <span className="text-muted">Sin asignar</span>}</td>
+                        <td className={overdue ? 'text-danger fw-semibold' : ''}>
+                          {formatDate(task.dueDate)}
+                          {overdue && <i className="bi bi-exclamation-circle ms-1" title="Vencida"></i>}
+                        </td>
+                        <td>
+                          <Badge bg={TASK_PRIORITIES[task.priority].variant} text={task.priority === 'low' ? 'dark' : undefined}>
+                            {TASK_PRIORITIES[task.priority].label}
+                          </Badge>
+                        </td>
+                        <td>
+                          {canWrite ? (
+                            <Form.Select
+                              size="sm"
+                              value={task.status}
+                              onChange={(e) => changeStatus(task, e.target.value)}
+                              disabled={saving}
+                              style={{ width: 'auto' }}
+                            >
+                              {Object.entries(TASK_STATUSES).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                              ))}
+                            </Form.Select>
+                          ) : (
+                            <Badge bg={TASK_STATUSES[task.status].variant}>
+                              {TASK_STATUSES[task.status].label}
+                            </Badge>
+                          )}
+                        </td>
+                        <td className="text-end pe-4 text-nowrap">
+                          {canWrite && (
+                            <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => openDrawer(task)} disabled={saving} title="Editar">
+                              <i className="bi bi-pencil"></i>
+                            </Button>
+                          )}
+                          {canDelete && (
+                            <Button variant="outline-danger" size="sm" onClick={() => handleDelete(task)} disabled={saving} title="Eliminar">
+                              <i className="bi bi-trash"></i>
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </Table>
+          </Card.Body>
+          {pagination.totalPages > 1 && (
+            <Card.Footer className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+              <small className="text-muted">{pagination.total} tareas</small>
+              <Pagination className="mb-0">
+                <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+                <Pagination.Item active>{pagination.page}</Pagination.Item>
+                <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+              </Pagination>
+            </Card.Footer>
+          )}
+        </Card>
+      )}
+
+      <TaskDrawer
+        show={showDrawer}
+        onHide={() => {
+          setShowDrawer(false);
+          setEditingTask(null);
+        }}
+        onSaved={handleSaved}
+        task={editingTask}
+        services={services}
+        assignees={assignees}
+        readOnly={!canWrite}
+      />
+
+      {/* Toast notifications */}
+      <ToastContainer position="top-end" className="p-3" style={{ zIndex: 1050 }}>
+        <Toast
+          show={showToast}
+          onClose={() => setShowToast(false)}
+          autohide
+          delay={4000}
+          bg={toastType === 'error' ? 'danger' : 'success'}
+        >
+          <Toast.Header closeButton={false}>
+            <i className={`bi bi-${toastType === 'error' ? 'exclamation-triangle' : 'check-circle'} me-2`}></i>
+            <strong className="me-auto">
+              {toastType === 'error' ? 'Error' : 'Éxito'}
+            </strong>
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 text-white"
+              onClick={() => setShowToast(false)}
+            >
+              <i className="bi bi-x"></i>
+            </Button>
+          </Toast.Header>
+          <Toast.Body className="text-white">
+            {toastMessage}
+          </Toast.Body>
+        </Toast>
+      </ToastContainer>
+    </div>
+  );
+};
+
+export default Tasks;
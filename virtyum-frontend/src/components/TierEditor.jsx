@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Editor de niveles de un servicio
+ * @description Alta, baja y orden de los niveles (Básico, Pro, Enterprise...) con su precio,
+ * entregables y límites
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { Card, Button, Form, Row, Col, InputGroup } from 'react-bootstrap';
+import { MAX_TIERS } from '../services/serviceApi';
+
+/**
+ * Contador para la clave de los niveles que aún no tienen _id
+ * @type {number}
+ */
+let newTierSeed = 0;
+
+/**
+ * Nivel vacío del formulario. Los entregables se editan como texto, uno por línea
+ * @returns {Object} Nivel con clave propia
+ */
+const createTierForm = () => {
+  newTierSeed += 1;
+  return { key: `new-${newTierSeed}`, name: '', price: '', deliverables: '', limits: [] };
+};
+
+/**
+ * Editor de la lista de niveles
+ * @component TierEditor
+ * @param {Object} props - Props del componente
+ * @param {Array<Object>} props.tiers - Niveles en formato de formulario (`key`, `name`, `price`,
+ * `deliverables` como texto y `limits`)
+ * @param {Function} props.onChange - Recibe la lista actualizada
+ * @param {string} props.currency - Moneda del servicio (la de todos sus niveles)
+ * @param {boolean} [props.disabled=false] - Deshabilita la edición
+ * @returns {JSX.Element} Tarjeta por nivel y botón para añadir
+ * @example
+ * <TierEditor tiers={formData.tiers} onChange={(tiers) => setFormData({ ...formData, tiers })} currency="USD" />
+ */
+const TierEditor = ({ tiers, onChange, currency, disabled = false }) => {
+  /**
+   * Sustituye un nivel por una copia con los cambios indicados
+   * @param {number} index - Posición del nivel
+   * @param {Object} changes - Campos modificados
+   */
+  const updateTier = (index, changes) => {
+    onChange(tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier)));
+  };
+
+  /**
+   * Intercambia un nivel con el anterior o el siguiente
+   * @param {number} index - Posición del nivel
+   * @param {number} offset - -1 para subir, 1 para bajar
+   */
+  const moveTier = (index, offset) => {
+    const next = [...tiers];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  /**
+   * Modifica un límite de un nivel
+   * @param {number} index - Posición del nivel
+   * @param {number} limitIndex - Posición del límite
+   * @param {Object} changes - `label` o `value`
+   */
+  const updateLimit = (index, limitIndex, changes) => {
+    updateTier(index, {
+      limits: tiers[index].limits.map((limit, i) => (i === limitIndex ? { ...limit, ...changes } : limit))
+    });
+  };
+
+  return (
+    <div>
+      {tiers.length === 0 && (
+        <p className="text-muted small mb-2">
+          Sin niveles: el servicio tiene un único precio. Añade niveles si se ofrece en varias
+          variantes (Básico, Pro...); el precio del servicio será el del más barato.
+        </p>
+      )}
+
+      {tiers.map((tier, index) => (
+        <Card key={tier.key} className="mb-2">
+          <Card.Body className="p-2">
+            <Row className="g-2 align-items-end">
+              <Col md={5}>
+                <Form.Label className="small mb-1">Nombre *</Form.Label>
+                <Form.Control
+                  size="sm"
+                  value={tier.name}
+                  onChange={(e) => updateTier(index, { name: e.target.value })}
+                  placeholder="Pro"
+                  maxLength={50}
+                  required
+                  disabled={disabled}
+                />
+              </Col>
+              <Col md={4}>
+                <Form.Label className="small mb-1">Precio *</Form.Label>
+                <InputGroup size="sm">
+                  <Form.Control
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={tier.price}
+                    onChange={(e) => updateTier(index, { price: e.target.value === '' ? '' : Number(e.target.value) })}
+                    required
+                    disabled={disabled}
+                  />
+                  <InputGroup.Text>{currency}</InputGroup.Text>
+                </InputGroup>
+              </Col>
+              <Col md={3} className="text-end">
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  className="me-1"
+                  onClick={() => moveTier(index, -1)}
+                  disabled={disabled || index === 0}
+                  title="Subir"
+                >
+                  <i className="bi bi-arrow-up"></i>
+                </Button>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  className="me-1"
+                  onClick={() => moveTier(index, 1)}
+                  disabled={disabled || index === tiers.length - 1}
+                  title="Bajar"
+                >
+                  <i className="bi bi-arrow-down"></i>
+                </Button>
+                <Button
+                  variant="outline-danger"
+                  size="sm"
+                  onClick={() => onChange(tiers.filter((_, i) => i !== index))}
+                  disabled={disabled}
+                  title="Quitar nivel"
+                >
+                  <i className="bi bi-trash"></i>
+                </Button>
+              </Col>
+
+              <Col md={6}>
+                <Form.Label className="small mb-1">Entregables</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  size="sm"
+                  rows={3}
+                  value={tier.deliverables}
+                  onChange={(e) => updateTier(index, { deliverables: e.target.value })}
+                  placeholder={'Uno por línea\nAuditoría inicial\nInforme mensual'}
+                  disabled={disabled}
+                />
+              </Col>
+              <Col md={6}>
+                <Form.Label className="small mb-1">Límites</Form.Label>
+                {tier.limits.map((limit, limitIndex) => (
+                  <InputGroup size="sm" className="mb-1" key={limitIndex}>
+                    <Form.Control
+                      value={limit.label}
+                      onChange={(e) => updateLimit(index, limitIndex, { label: e.target.value })}
+                      placeholder="Publicaciones/mes"
+                      maxLength={50}
+                      disabled={disabled}
+                    />
+                    <Form.Control
+                      value={limit.value}
+                      onChange={(e) => updateLimit(index, limitIndex, { value: e.target.value })}
+                      placeholder="12"
+                      maxLength={50}
+                      disabled={disabled}
+                    />
+                    <Button
+                      variant="outline-secondary"
+                      onClick={() => updateTier(index, { limits: tier.limits.filter((_, i) => i !== limitIndex) })}
+                      disabled={disabled}
+                      title="Quitar límite"
+                    >
+                      <i className="bi bi-x"></i>
+                    </Button>
+                  </InputGroup>
+                ))}
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="p-0"
+                  onClick={() => updateTier(index, { limits: [...tier.limits, { label: '', value: '' }] })}
+                  disabled={disabled}
+                >
+                  <i className="bi bi-plus me-1"></i>
+                  Añadir límite
+                </Button>
+              </Col>
+            </Row>
+          </Card.Body>
+        </Card>
+      ))}
+
+      <Button
+        variant="outline-primary"
+        size="sm"
+        onClick={() => onChange([...tiers, createTierForm()])}
+        disabled={disabled || tiers.length >= MAX_TIERS}
+      >
+        <i className="bi bi-plus-lg me-1"></i>
+        Añadir nivel
+      </Button>
+    </div>
+  );
+};
+
+export default TierEditor;
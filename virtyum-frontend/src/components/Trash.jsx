@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Papelera de servicios
+ * @description Lista los servicios eliminados y permite restaurarlos o borrarlos definitivamente
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Alert, Spinner, Toast, ToastContainer, Pagination } from 'react-bootstrap';
+import ServiceAPI from '../services/serviceApi';
+import { formatMoney } from '../services/format';
+
+/**
+ * Servicios por página en la papelera
+ * @constant {number} TRASH_PAGE_SIZE
+ */
+const TRASH_PAGE_SIZE = 20;
+
+/**
+ * Días que faltan hasta una fecha
+ * @param {string} dateString - Fecha en formato ISO
+ * @returns {number} Días restantes (0 si ya pasó)
+ */
+const daysUntil = (dateString) => Math.max(0, Math.ceil((new Date(dateString) - Date.now()) / (1000 * 60 * 60 * 24)));
+
+/**
+ * Página de la papelera
+ * @component Trash
+ * @returns {JSX.Element} Tabla de servicios eliminados con acciones de restaurar y purgar
+ */
+const Trash = () => {
+  const [services, setServices] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 1, hasNextPage: false, hasPrevPage: false });
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState('');
+  const [toastType, setToastType] = useState('success');
+
+  /**
+   * Muestra una notificación temporal
+   * @param {string} message - Mensaje a mostrar
+   * @param {string} [type='success'] - success | error
+   */
+  const showNotification = (message, type = 'success') => {
+    setToastMessage(message);
+    setToastType(type);
+    setShowToast(true);
+  };
+
+  /**
+   * Carga la página actual de la papelera
+   */
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await ServiceAPI.getTrash({ page, limit: TRASH_PAGE_SIZE });
+
+      // Si la página quedó vacía tras restaurar o purgar, volver a la última con datos
+      if (data.services.length === 0 && page > 1 && data.pagination.totalPages > 0) {
+        setPage(data.pagination.totalPages);
+        return;
+      }
+
+      setServices(data.services);
+      setPagination(data.pagination);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      console.error('Error al cargar la papelera:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  /**
+   * Restaura un servicio
+   * @param {Object} service - Servicio eliminado
+   */
+  const handleRestore = async (service) => {
+    try {
+      setBusyId(service._id);
+      await ServiceAPI.restoreService(service._id);
+      await loadTrash();
+      showNotification(`Servicio "${service.name}" restaurado`);
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Borra definitivamente un servicio tras confirmación
+   * @param {Object} service - Servicio eliminado
+   */
+  const handlePurge = async (service) => {
+    const confirmed = window.confirm(
+      `¿Eliminar definitivamente el servicio "${service.name}"?\n\nEsta acción no se puede deshacer.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setBusyId(service._id);
+      await ServiceAPI.purgeService(service._id);
+      await loadTrash();
+      showNotification(`Servicio "${service.name}" eliminado definitivamente`);
+    } catch (err) {
+      showNotification(err.message, 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h1 className="h3 mb-0">Papelera</h1>
+          <p className="text-muted mb-0">
+            Servicios eliminados
+            {retentionDays && ` · se borran definitivamente a los ${retentionDays} días`}
+          </p>
+        </div>
+        <Button variant="outline-primary" onClick={loadTrash} disabled={loading}>
+          <i className="bi bi-arrow-clockwise me-2"></i>
+          Actualizar
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm">
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th className="border-0 py-3 px-4">Servicio</th>
+                <th className="border-0 py-3">Categoría</th>
+                <th className="border-0 py-3">Eliminado</th>
+                <th className="border-0 py-3">Eliminado por</th>
+                <th className="border-0 py-3">Purga</th>
+                <th className="border-0 py-3 text-end px-4">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="6" className="text-center py-5">
+                    <Spinner animation="border" className="me-2" />
+                    Cargando papelera...
+                  </td>
+                </tr>
+              ) : services.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center py-5 text-muted">
+                    <i className="bi bi-trash display-6 d-block mb-2"></i>
+                    La papelera está vacía
+                  </td>
+                </tr>
+              ) : (
+                services.map(service => {
+                  const remaining = daysUntil(service.purgeAt);
+                  return (
+                    <tr key={service._id}>
+                      <td className="py-3 px-4">
+                        <h6 className="mb-0">{service.name}</h6>
+                        <small className="text-muted">{formatMoney(service.price, service.currency)}</small>
+                      </td>
+                      <td className="py-3">
+                        <Badge bg="light" text="dark">{service.category}</Badge>
+                      </td>
+                      <td className="py-3">
+                        <small>{new Date(service.deletedAt).toLocaleString()}</small>
+                      </td>
+                      <td className="py-3">
+                        <small>{service.deletedBy?.name || '—'}</small>
+                      </td>
+                      <td className="py-3">
+                        <Badge bg={remaining <= 3 ? 'danger' : 'secondary'}>
+                          {remaining === 0 ? 'Pendiente' : `En ${remaining} días`}
+                        </Badge>
+                      </td>
+                      <td className="py-3 text-end px-4">
+                        <div className="d-inline-flex gap-2">
+                          <Button
+                            variant="outline-success"
+                            size="sm"
+                            onClick={() => handleRestore(service)}
+                            disabled={busyId === service._id}
+                          >
+                            <i className="bi bi-arrow-counterclockwise me-1"></i>
+                            Restaurar
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handlePurge(service)}
+                            disabled={busyId === service._id}
+                          >
+                            <i className="bi bi-x-octagon me-1"></i>
+                            Eliminar
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+        {pagination.totalPages > 1 && (
+          <Card.Footer className="bg-white border-0 py-3 d-flex justify-content-between align-items-center">
+            <small className="text-muted">{pagination.total} servicios en la papelera</small>
+            <Pagination className="mb-0">
+              <Pagination.Prev disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)} />
+              <Pagination.Item active>{pagination.page}</Pagination.Item>
+              <Pagination.Next disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)} />
+            </Pagination>
+          </Card.Footer>
+        )}
+      </Card>
+
+      {/* Toast notifications */}
+      <ToastContainer position="top-end" className="p-3" style={{ zIndex: 1050 }}>
+        <Toast
+          show={showToast}
+          onClose={() => setShowToast(false)}
+          autohide
+          delay={4000}
+          bg={toastType === 'error' ? 'danger' : 'success'}
+        >
+          <Toast.Header closeButton={false}>
+            <i className={`bi bi-${toastType === 'error' ? 'exclamation-triangle' : 'check-circle'} me-2`}></i>
+            <strong className="me-auto">
+              {toastType === 'error' ? 'Error' : 'Éxito'}
+            </strong>
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 text-white"
+              onClick={() => setShowToast(false)}
+            >
+              <i className="bi bi-x"></i>
+            </Button>
+          </Toast.Header>
+          <Toast.Body className="text-white">
+            {toastMessage}
+          </Toast.Body>
+        </Toast>
+      </ToastContainer>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Gráfico de evolución en SVG
+ * @description Líneas o barras apiladas sobre una serie de puntos en el tiempo, con rejilla,
+ * leyenda y el valor de cada punto al pasar el ratón
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Medidas del área de dibujo (el SVG se escala al ancho disponible)
+ */
+const WIDTH = 400;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 56 };
+const GRID_LINES = 4;
+const MAX_X_LABELS = 6;
+
+/**
+ * Redondea el máximo del eje a un valor legible (1, 2, 2.5 o 5 por potencia de 10)
+ * @param {number} value - Máximo de los datos
+ * @returns {number} Máximo del eje
+ */
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+};
+
+/**
+ * Gráfico de líneas o de barras apiladas
+ * @component TrendChart
+ * @param {Object} props - Props del componente
+ * @param {Array<Object>} props.points - Puntos en orden: `label` (eje X) y `values` por serie (un
+ * valor null deja un hueco en la línea)
+ * @param {Array<{key: string, label: string, color: string}>} props.series - Series; `color` es
+ * un color de Bootstrap (success, primary...)
+ * @param {string} [props.type='line'] - line o bar (barras apiladas)
+ * @param {Function} [props.formatValue=String] - Formato de los valores del eje y de la leyenda
+ * @returns {JSX.Element} Gráfico con leyenda
+ * @example
+ * <TrendChart
+ *   type="bar"
+ *   points={[{ label: '1 mar', values: { active: 8, paused: 2 } }]}
+ *   series={[{ key: 'active', label: 'Activos', color: 'success' }, { key: 'paused', label: 'Pausados', color: 'warning' }]}
+ * />
+ */
+const TrendChart = ({ points, series, type = 'line', formatValue = String }) => {
+  const stacked = type === 'bar';
+  const totals = points.map(point => (stacked
+    ? series.reduce((sum, { key }) => sum + (point.values[key] || 0), 0)
+    : Math.max(...series.map(({ key }) => point.values[key] || 0))));
+  const max = niceMax(Math.max(0, ...totals));
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / Math.max(points.length, 1);
+  const xOf = (index) => PADDING.left + slot * index + slot / 2;
+  const yOf = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+  const labelEvery = Math.ceil(points.length / MAX_X_LABELS);
+  const fill = (color) => ({ fill: `var(--bs-${color})` });
+  const stroke = (color) => ({ stroke: `var(--bs-${color})` });
+
+  const formatPointValue = (value) => (value == null ? 'sin datos' : formatValue(value));
+  const describePoint = (point) => [
+    point.label,
+    ...series.map(({ key, label }) => `${label}: ${formatPointValue(point.values[key])}`)
+  ].join('\n');
+
+  /**
+   * Tramos de puntos seguidos con valor de una serie (los null cortan la línea)
+   * @param {string} key - Serie
+   * @returns {Array<string>} Coordenadas de cada tramo para <polyline>
+   */
+  const lineSegments = (key) => points.reduce((segments, point, index) => {
+    const value = point.values[key];
+    if (value == null) {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(`${xOf(index)},${yOf(value)}`);
+    }
+    return segments;
+  }, [[]]).filter(segment => segment.length > 0).map(segment => segment.join(' '));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-100" role="img">
+        {Array.from({ length: GRID_LINES + 1 }, (_, index) => {
+          const value = (max / GRID_LINES) * index;
+          return (
+            <g key={index}>
+              <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={yOf(value)}
+                y2={yOf(value)}
+                style={{ stroke: 'var(--bs-border-color)' }}
+                strokeDasharray={index === 0 ? undefined : '3 3'}
+              />
+              <text x={PADDING.left - 6} y={yOf(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" style={fill('secondary')}>
+                {formatValue(value)}
+              </text>
+            </g>
+          );
+        })}
+
+        {points.map((point, index) => (index % labelEvery === 0 ? (
+          <text key={index} x={xOf(index)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" style={fill('secondary')}>
+            {point.label}
+          </text>
+        ) : null))}
+
+        {stacked ? points.map((point, index) => {
+          const barWidth = Math.max(Math.min(slot * 0.7, 40), 1);
+          let base = 0;
+          return (
+            <g key={index}>
+              <title>{describePoint(point)}</title>
+              {series.map(({ key, color }) => {
+                const value = point.values[key] || 0;
+                const y = yOf(base + value);
+                const height = yOf(base) - y;
+                base += value;
+                return value > 0 ? (
+                  <rect key={key} x={xOf(index) - barWidth / 2} y={y} width={barWidth} height={height} style={fill(color)} />
+                ) : null;
+              })}
+            </g>
+          );
+        }) : (
+          <>
+            {series.map(({ key, color }) => lineSegments(key).map((segment, index) => (
+              <polyline
+                key={`${key}-${index}`}
+                points={segment}
+                fill="none"
+                strokeWidth="2"
+                style={stroke(color)}
+              />
+            )))}
+            {points.map((point, index) => (
+              <g key={index}>
+                <title>{describePoint(point)}</title>
+                {/* Zona invisible para mostrar el valor al pasar por cualquier altura */}
+                <rect x={xOf(index) - slot / 2} y={PADDING.top} width={slot} height={plotHeight} fill="transparent" />
+                {series.map(({ key, color }) => (point.values[key] == null ? null : (
+                  <circle key={key} cx={xOf(index)} cy={yOf(point.values[key])} r={points.length > 60 ? 1.5 : 3} style={fill(color)} />
+                )))}
+              </g>
+            ))}
+          </>
+        )}
+      </svg>
+
+      <div className="d-flex flex-wrap justify-content-center gap-3 small">
+        {series.map(({ key, label, color }) => (
+          <span key={key}>
+            <i className={`bi bi-square-fill text-${color} me-1`}></i>
+            {label}
+            {points.length > 0 && (
+              <span className="text-muted ms-1">({formatPointValue(points[points.length - 1].values[key])})</span>
+            )}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TrendChart;
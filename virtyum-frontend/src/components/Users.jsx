@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Administración de usuarios
+ * @description Alta de usuarios y cambio de rol. No hay registro abierto: las cuentas las crea
+ * un administrador. Solo lo ven los usuarios con el permiso users:manage.
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import UserAPI, { USER_ROLES } from '../services/userApi';
+import AuthAPI from '../services/authApi';
+
+/**
+ * Formulario vacío de alta
+ * @constant {Object} EMPTY_USER_FORM
+ */
+const EMPTY_USER_FORM = { name: '', email: '', password: '', role: 'viewer' };
+
+/**
+ * Fecha y hora en el formato local
+ * @param {string|null} value - Fecha ISO
+ * @returns {string} Fecha formateada o "—" si no hay
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * Pantalla de usuarios
+ * @component Users
+ * @param {Object} props - Props del componente
+ * @param {Object} props.user - Usuario autenticado
+ * @returns {JSX.Element} Formulario de alta y tabla de usuarios
+ */
+const Users = ({ user }) => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_USER_FORM);
+
+  /**
+   * Carga los usuarios
+   * @async
+   */
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await UserAPI.getUsers();
+      setUsers(data.users);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  /**
+   * Actualiza un campo del formulario de alta
+   * @param {Event} e - Evento del control
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Crea el usuario y recarga la lista
+   * @async
+   * @param {Event} e - Evento del formulario
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const { message } = await AuthAPI.register(formData);
+      setFormData(EMPTY_USER_FORM);
+      setSuccess(message);
+      await loadUsers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Cambia el rol de un usuario
+   * @async
+   * @param {Object} target - Usuario a cambiar
+   * @param {string} role - Rol nuevo
+   */
+  const handleRoleChange = async (target, role) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const { message } = await UserAPI.updateUserRole(target._id, role);
+      setSuccess(`${target.name}: ${message}`);
+      await loadUsers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-4">
+        <h1 className="h3 mb-0">Usuarios</h1>
+        <p className="text-muted mb-0">Cuentas con acceso a Virtyum y su rol</p>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Body>
+          <h5 className="mb-3">Nuevo usuario</h5>
+          <Form onSubmit={handleCreate}>
+            <Row className="g-2 align-items-end">
+              <Col md={3}>
+                <Form.Label className="small">Nombre</Form.Label>
+                <Form.Control name="name" value={formData.name} onChange={handleInputChange} maxLength={100} required disabled={saving} />
+              </Col>
+              <Col md={3}>
+                <Form.Label className="small">Correo electrónico</Form.Label>
+                <Form.Control type="email" name="email" value={formData.email} onChange={handleInputChange} required disabled={saving} />
+              </Col>
+              <Col md={2}>
+                <Form.Label className="small">Contraseña inicial</Form.Label>
+                <Form.Control
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  autoComplete="new-password"
+                  minLength={8}
+                  required
+                  disabled={saving}
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Label className="small">Rol</Form.Label>
+                <Form.Select name="role" value={formData.role} onChange={handleInputChange} disabled={saving}>
+                  {Object.entries(USER_ROLES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={2}>
+                <Button type="submit" variant="primary" className="w-100" disabled={saving}>
+                  <i className="bi bi-person-plus me-2"></i>
+                  Crear
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+
+      <Card className="border-0 shadow-sm">
+        <Card.Body className="p-0">
+          <Table hover responsive className="mb-0 align-middle">
+            <thead className="bg-light">
+              <tr>
+                <th className="border-0 ps-4">Nombre</th>
+                <th className="border-0">Correo electrónico</th>
+                <th className="border-0">Último acceso</th>
+                <th className="border-0 pe-4">Rol</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={4} className="text-center py-4">
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    Cargando...
+                  </td>
+                </tr>
+              ) : (
+                users.map(item => (
+                  <tr key={item._id}>
+                    <td className="ps-4 fw-semibold">{item.name}</td>
+                    <td>{item.email}</td>
+                    <td>{formatDate(item.lastLoginAt)}</td>
+                    <td className="pe-4">
+                      <Form.Select
+                        size="sm"
+                        value={item.role}
+                        onChange={(e) => handleRoleChange(item, e.target.value)}
+                        disabled={saving || item._id === user._id}
+                        title={item._id === user._id ? 'No puedes cambiar tu propio rol' : undefined}
+                        style={{ width: 'auto' }}
+                      >
+                        {Object.entries(USER_ROLES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default Users;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Servicio API para el feed de actividad (registro de auditoría)
+ * @description Consulta quién creó, modificó o eliminó entidades y qué campos cambiaron
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para la actividad
+ * @constant {AxiosInstance} activityApi - Cliente HTTP preconfigurado
+ */
+const activityApi = createApiClient('/activity');
+
+/**
+ * Etiquetas legibles de los campos auditados de un servicio
+ * @constant {Object<string, string>} AUDIT_FIELD_LABELS
+ */
+export const AUDIT_FIELD_LABELS = {
+  name: 'Nombre',
+  category: 'Categoría',
+  price: 'Precio',
+  currency: 'Moneda',
+  duration: 'Duración',
+  status: 'Estado',
+  description: 'Descripción',
+  tiers: 'Niveles',
+  clients: 'Clientes'
+};
+
+/**
+ * Texto, icono y color de cada acción auditada
+ * @constant {Object<string, {label: string, icon: string, variant: string}>} AUDIT_ACTIONS
+ */
+export const AUDIT_ACTIONS = {
+  create: { label: 'Creado', icon: 'plus-circle', variant: 'success' },
+  update: { label: 'Modificado', icon: 'pencil', variant: 'primary' },
+  delete: { label: 'Eliminado', icon: 'trash', variant: 'danger' },
+  restore: { label: 'Restaurado', icon: 'arrow-counterclockwise', variant: 'info' },
+  purge: { label: 'Purgado', icon: 'x-octagon', variant: 'dark' }
+};
+
+/**
+ * Formatea un valor del historial para mostrarlo
+ * @param {*} value - Valor guardado en la auditoría
+ * @returns {string} Texto a mostrar ('—' si está vacío)
+ */
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  // Niveles de un servicio: nombre y precio de cada uno
+  if (Array.isArray(value)) {
+    return value.map(item => (item?.name !== undefined ? `${item.name} (${item.price})` : formatAuditValue(item))).join(', ') || '—';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Clase para consultar el feed global de actividad
+ * @class ActivityAPI
+ */
+class ActivityAPI {
+
+  /**
+   * Obtiene la actividad reciente
+   * @async
+   * @method getActivityFeed
+   * @param {Object} [params={}] - Parámetros de consulta
+   * @param {number} [params.page=1] - Página solicitada
+   * @param {number} [params.limit=20] - Entradas por página
+   * @param {string} [params.entityType] - Tipo de entidad (Service)
+   * @param {string} [params.action] - create | update | delete
+   * @param {string} [params.actor] - ID del usuario
+   * @returns {Promise<Object>} Objeto con `activity` y `pagination`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { activity } = await ActivityAPI.getActivityFeed({ limit: 10 });
+   */
+  static async getActivityFeed(params = {}) {
+    try {
+      const cleaned = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      );
+      const response = await activityApi.get('/', { params: cleaned });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al obtener actividad: ${error.response?.data?.message || error.message}`);
+    }
+  }
+}
+
+export default ActivityAPI;
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Cliente HTTP base compartido por todos los servicios API
+ * @description Configura axios con la URL del backend, el token de acceso y la renovación automática de sesión
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import axios from 'axios';
+
+/**
+ * Configuración base de axios para la API
+ * @constant {string} API_BASE_URL - URL base del backend
+ */
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Evento global emitido cuando la sesión deja de ser válida
+ * @constant {string} AUTH_LOGOUT_EVENT
+ */
+export const AUTH_LOGOUT_EVENT = 'virtyum:auth-logout';
+
+/**
+ * Claves de almacenamiento local de la sesión
+ * @constant {Object} STORAGE_KEYS
+ */
+const STORAGE_KEYS = {
+  accessToken: 'virtyum.accessToken',
+  refreshToken: 'virtyum.refreshToken',
+  user: 'virtyum.user'
+};
+
+/**
+ * Almacenamiento de la sesión en localStorage
+ * @namespace TokenStorage
+ */
+export const TokenStorage = {
+  getAccessToken: () => localStorage.getItem(STORAGE_KEYS.accessToken),
+
+  getRefreshToken: () => localStorage.getItem(STORAGE_KEYS.refreshToken),
+
+  getUser: () => {
+    const raw = localStorage.getItem(STORAGE_KEYS.user);
+    try {
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Guarda los datos de sesión devueltos por login o refresh
+   * @param {Object} session - Respuesta del backend
+   * @param {string} session.accessToken - Token de acceso
+   * @param {string} session.refreshToken - Token de refresco
+   * @param {Object} [session.user] - Usuario autenticado
+   */
+  setSession: ({ accessToken, refreshToken, user }) => {
+    localStorage.setItem(STORAGE_KEYS.accessToken, accessToken);
+    localStorage.setItem(STORAGE_KEYS.refreshToken, refreshToken);
+    if (user) {
+      localStorage.setItem(STORAGE_KEYS.user, JSON.stringify(user));
+    }
+  },
+
+  clear: () => {
+    Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+  }
+};
+
+/**
+ * Petición de refresco en curso, compartida para que varias respuestas 401
+ * simultáneas no roten el refresh token más de una vez
+ * @type {Promise<string>|null}
+ */
+let refreshPromise = null;
+
+/**
+ * Renueva los tokens con el refresh token guardado
+ * @async
+ * @returns {Promise<string>} Nuevo access token
+ * @throws {Error} Si no hay refresh token o el backend lo rechaza
+ */
+export const refreshAccessToken = async () => {
+  if (!refreshPromise) {
+    const refreshToken = TokenStorage.getRefreshToken();
+    if (!refreshToken) {
+      throw new Error('No hay sesión activa');
+    }
+
+    // Se usa axios directamente para no pasar por los interceptores
+    refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then(({ data }) => {
+        TokenStorage.setSession(data);
+        return data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * Cierra la sesión local y avisa a la aplicación para que muestre el login
+ */
+export const endSession = () => {
+  TokenStorage.clear();
+  window.dispatchEvent(new CustomEvent(AUTH_LOGOUT_EVENT));
+};
+
+/**
+ * Crea una instancia de axios para un recurso del backend
+ * @function createApiClient
+ * @param {string} resourcePath - Ruta del recurso (p. ej. '/services')
+ * @returns {AxiosInstance} Cliente HTTP preconfigurado con autenticación
+ * @example
+ * const serviceApi = createApiClient('/services');
+ * const { data } = await serviceApi.get('/stats');
+ */
+export const createApiClient = (resourcePath) => {
+  const client = axios.create({
+    baseURL: `${API_BASE_URL}${resourcePath}`,
+    timeout: 10000, // 10 segundos de timeout
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+
+  /**
+   * Interceptor para requests - adjunta el access token
+   */
+  client.interceptors.request.use((config) => {
+    const accessToken = TokenStorage.getAccessToken();
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return config;
+  });
+
+  /**
+   * Interceptor para responses - maneja errores globalmente
+   */
+  client.interceptors.response.use(
+    (response) => {
+      console.log(`✅ API Response: ${response.status} ${response.config.url}`);
+      return response;
+    },
+    async (error) => {
+      const originalRequest = error.config;
+      const status = error.response?.status;
+      const code = error.response?.data?.code;
+
+      // Access token expirado: renovar una vez y repetir la petición
+      if (status === 401 && code === 'TOKEN_EXPIRED' && originalRequest && !originalRequest._retry) {
+        originalRequest._retry = true;
+        try {
+          const accessToken = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+          return client(originalRequest);
+        } catch (refreshError) {
+          console.log('🔐 Sesión expirada - redirigiendo al login');
+          endSession();
+          return Promise.reject(refreshError);
+        }
+      }
+
+      console.error('❌ Response Error:', error.response?.data || error.message);
+
+      // Manejo global de errores
+      if (status === 401) {
+        // Token ausente, inválido o revocado
+        console.log('🔐 Unauthorized - redirecting to login');
+        endSession();
+      } else if (status >= 500) {
+        // Errores del servidor
+        console.log('🔥 Server Error - showing notification');
+      }
+
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+};
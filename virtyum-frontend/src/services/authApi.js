@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Servicio API para autenticación de usuarios
+ * @description Login, registro de usuarios (administradores), cierre de sesión y consulta del
+ * usuario autenticado
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient, TokenStorage } from './apiClient';
+
+/**
+ * Instancia configurada de axios para autenticación
+ * @constant {AxiosInstance} authApi - Cliente HTTP preconfigurado
+ */
+const authApi = createApiClient('/auth');
+
+/**
+ * Clase principal para operaciones de autenticación
+ * @class AuthAPI
+ * @description Gestiona la sesión del usuario y su almacenamiento local
+ */
+class AuthAPI {
+
+  /**
+   * Inicia sesión y guarda los tokens
+   * @async
+   * @method login
+   * @param {string} email - Correo electrónico
+   * @param {string} password - Contraseña
+   * @returns {Promise<Object>} Usuario autenticado
+   * @throws {Error} Credenciales inválidas o error de red
+   * @example
+   * const user = await AuthAPI.login('ana@virtyum.com', 'secreto123');
+   */
+  static async login(email, password) {
+    try {
+      const response = await authApi.post('/login', { email, password });
+      TokenStorage.setSession(response.data);
+      return response.data.user;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || `Error al iniciar sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra un usuario nuevo (solo administradores; la sesión actual no cambia)
+   * @async
+   * @method register
+   * @param {Object} userData - Datos del usuario
+   * @param {string} userData.name - Nombre completo
+   * @param {string} userData.email - Correo electrónico
+   * @param {string} userData.password - Contraseña inicial (mínimo 8 caracteres)
+   * @param {string} [userData.role='viewer'] - admin, editor o viewer
+   * @returns {Promise<Object>} Respuesta con `message` y el usuario creado
+   * @throws {Error} Error de validación o correo ya registrado
+   */
+  static async register(userData) {
+    try {
+      const response = await authApi.post('/register', userData);
+      return response.data;
+    } catch (error) {
+      const validationErrors = error.response?.data?.errors;
+
+      if (validationErrors) {
+        throw new Error(`Errores de validación: ${validationErrors.join(', ')}`);
+      }
+
+      throw new Error(error.response?.data?.message || `Error al registrarse: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cierra la sesión en el backend y borra los tokens locales
+   * @async
+   * @method logout
+   * @returns {Promise<void>}
+   */
+  static async logout() {
+    const refreshToken = TokenStorage.getRefreshToken();
+    try {
+      if (refreshToken) {
+        await authApi.post('/logout', { refreshToken });
+      }
+    } catch (error) {
+      // Aunque falle el backend, la sesión local se cierra igualmente
+      console.error('Error al cerrar sesión en el servidor:', error.message);
+    } finally {
+      TokenStorage.clear();
+    }
+  }
+
+  /**
+   * Obtiene el usuario autenticado desde el backend
+   * @async
+   * @method getCurrentUser
+   * @returns {Promise<Object>} Usuario autenticado
+   * @throws {Error} Si la sesión no es válida
+   */
+  static async getCurrentUser() {
+    try {
+      const response = await authApi.get('/me');
+      TokenStorage.setSession({
+        accessToken: TokenStorage.getAccessToken(),
+        refreshToken: TokenStorage.getRefreshToken(),
+        user: response.data.user
+      });
+      return response.data.user;
+    } catch (error) {
+      throw new Error(`Error al obtener el usuario: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Indica si hay una sesión guardada localmente
+   * @method hasSession
+   * @returns {boolean} true si existe un refresh token
+   */
+  static hasSession() {
+    return Boolean(TokenStorage.getRefreshToken());
+  }
+
+  /**
+   * Devuelve el usuario guardado localmente (sin llamar al backend)
+   * @method getStoredUser
+   * @returns {Object|null} Usuario o null
+   */
+  static getStoredUser() {
+    return TokenStorage.getUser();
+  }
+}
+
+export default AuthAPI;
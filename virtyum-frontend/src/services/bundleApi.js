@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Servicio API para paquetes de servicios
+ * @description Llamadas HTTP de los paquetes del catálogo y textos de sus modos de precio e incidencias
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para paquetes
+ * @constant {AxiosInstance} bundleApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const bundleApi = createApiClient('/bundles');
+
+/**
+ * Modos de precio de un paquete
+ * @constant {Object<string, string>} BUNDLE_PRICING_MODES
+ */
+export const BUNDLE_PRICING_MODES = {
+  computed: 'Suma de servicios con descuento',
+  fixed: 'Precio fijo'
+};
+
+/**
+ * Texto de cada problema de un componente que impide vender el paquete
+ * @constant {Object<string, string>} BUNDLE_ISSUES
+ */
+export const BUNDLE_ISSUES = {
+  Pausado: 'pausado',
+  Inactivo: 'inactivo',
+  deleted: 'en la papelera',
+  missing: 'eliminado definitivamente'
+};
+
+/**
+ * Construye el error que lanzan los métodos de BundleAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló
+ * @returns {Error} Error con el mensaje del backend o la lista de errores
+ */
+const buildBundleError = (error, action) => {
+  if (error.response?.status === 404) {
+    return new Error('Paquete no encontrado');
+  }
+
+  const data = error.response?.data;
+  if (data?.errors) {
+    return new Error(`${data.message || `Error al ${action}`}: ${data.errors.join(', ')}`);
+  }
+  return new Error(`Error al ${action}: ${data?.message || error.message}`);
+};
+
+/**
+ * Clase para la gestión de paquetes
+ * @class BundleAPI
+ * @description Métodos estáticos para listar, crear, editar y eliminar paquetes
+ */
+class BundleAPI {
+
+  /**
+   * Lista los paquetes con su precio y disponibilidad
+   * @async
+   * @method getBundles
+   * @param {Object} [params={}] - `q`, `service`, `available` (true | false) y `currency`
+   * @returns {Promise<Object>} Objeto con `bundles` y `total`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { bundles } = await BundleAPI.getBundles({ available: false });
+   */
+  static async getBundles(params = {}) {
+    try {
+      const cleaned = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 'all')
+      );
+      const response = await bundleApi.get('/', { params: cleaned });
+      return response.data;
+    } catch (error) {
+      throw buildBundleError(error, 'obtener paquetes');
+    }
+  }
+
+  /**
+   * Crea un paquete
+   * @async
+   * @method createBundle
+   * @param {Object} bundleData - name, description, items (`service`, `quantity`), pricingMode,
+   * discountPercent y fixedPrice
+   * @returns {Promise<Object>} Respuesta con el paquete creado
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async createBundle(bundleData) {
+    try {
+      const response = await bundleApi.post('/', bundleData);
+      return response.data;
+    } catch (error) {
+      throw buildBundleError(error, 'crear paquete');
+    }
+  }
+
+  /**
+   * Modifica un paquete
+   * @async
+   * @method updateBundle
+   * @param {string} bundleId - ID del paquete
+   * @param {Object} bundleData - Campos a modificar; `items` sustituye todos los componentes
+   * @returns {Promise<Object>} Respuesta con el paquete actualizado
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async updateBundle(bundleId, bundleData) {
+    try {
+      const response = await bundleApi.put(`/${bundleId}`, bundleData);
+      return response.data;
+    } catch (error) {
+      throw buildBundleError(error, 'actualizar paquete');
+    }
+  }
+
+  /**
+   * Elimina un paquete
+   * @async
+   * @method deleteBundle
+   * @param {string} bundleId - ID del paquete
+   * @returns {Promise<Object>} Mensaje de confirmación
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async deleteBundle(bundleId) {
+    try {
+      const response = await bundleApi.delete(`/${bundleId}`);
+      return response.data;
+    } catch (error) {
+      throw buildBundleError(error, 'eliminar paquete');
+    }
+  }
+}
+
+export default BundleAPI;
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Servicio API para categorías de servicios
+ * @description Llamadas HTTP de las categorías del catálogo y utilidades para pintarlas con su
+ * color e icono
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para categorías
+ * @constant {AxiosInstance} categoryApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const categoryApi = createApiClient('/categories');
+
+/**
+ * Colores de Bootstrap admitidos (mismos que config/categories del backend)
+ * @constant {Object<string, string>} CATEGORY_COLORS
+ */
+export const CATEGORY_COLORS = {
+  primary: 'Azul',
+  info: 'Celeste',
+  success: 'Verde',
+  warning: 'Amarillo',
+  danger: 'Rojo',
+  dark: 'Negro',
+  secondary: 'Gris'
+};
+
+/**
+ * Estilo de una categoría desconocida (p. ej. mientras se cargan)
+ * @constant {Object} DEFAULT_CATEGORY_STYLE
+ */
+export const DEFAULT_CATEGORY_STYLE = { color: 'secondary', icon: 'tag' };
+
+/**
+ * Busca el color y el icono de una categoría por su nombre
+ * @function getCategoryStyle
+ * @param {Array<Object>} categories - Categorías de CategoryAPI.getCategories
+ * @param {string} name - Nombre guardado en el servicio
+ * @returns {{color: string, icon: string}} Color de Bootstrap e icono sin el prefijo `bi-`
+ * @example
+ * const { color, icon } = getCategoryStyle(categories, service.category);
+ */
+export const getCategoryStyle = (categories, name) => {
+  const category = categories.find(item => item.name === name);
+  return category ? { color: category.color, icon: category.icon } : DEFAULT_CATEGORY_STYLE;
+};
+
+/**
+ * Construye el error que lanzan los métodos de CategoryAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló
+ * @returns {Error} Error con el mensaje del backend o la lista de errores
+ */
+const buildCategoryError = (error, action) => {
+  if (error.response?.status === 404) {
+    return new Error('Categoría no encontrada');
+  }
+
+  const data = error.response?.data;
+  if (data?.errors) {
+    return new Error(`${data.message || `Error al ${action}`}: ${data.errors.join(', ')}`);
+  }
+  return new Error(`Error al ${action}: ${data?.message || error.message}`);
+};
+
+/**
+ * Clase para la gestión de categorías
+ * @class CategoryAPI
+ * @description Métodos estáticos para listar, crear, editar, ordenar y eliminar categorías
+ */
+class CategoryAPI {
+
+  /**
+   * Lista las categorías en su orden
+   * @async
+   * @method getCategories
+   * @param {Object} [params={}] - `active` (true | false) para filtrar
+   * @returns {Promise<Object>} Objeto con `categories` (con `services` y `trashedServices`) y `total`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { categories } = await CategoryAPI.getCategories({ active: true });
+   */
+  static async getCategories(params = {}) {
+    try {
+      const response = await categoryApi.get('/', { params });
+      return response.data;
+    } catch (error) {
+      throw buildCategoryError(error, 'obtener categorías');
+    }
+  }
+
+  /**
+   * Crea una categoría
+   * @async
+   * @method createCategory
+   * @param {Object} categoryData - name, slug (opcional), color, icon y active
+   * @returns {Promise<Object>} Respuesta con la categoría creada
+   * @throws {Error} Error en la petición HTTP, validación o nombre repetido
+   */
+  static async createCategory(categoryData) {
+    try {
+      const response = await categoryApi.post('/', categoryData);
+      return response.data;
+    } catch (error) {
+      throw buildCategoryError(error, 'crear categoría');
+    }
+  }
+
+  /**
+   * Modifica una categoría (renombrarla renombra también sus servicios)
+   * @async
+   * @method updateCategory
+   * @param {string} categoryId - ID de la categoría
+   * @param {Object} categoryData - Campos a modificar
+   * @returns {Promise<Object>} Respuesta con la categoría y `renamedServices`
+   * @throws {Error} Error en la petición HTTP, validación o nombre repetido
+   */
+  static async updateCategory(categoryId, categoryData) {
+    try {
+      const response = await categoryApi.put(`/${categoryId}`, categoryData);
+      return response.data;
+    } catch (error) {
+      throw buildCategoryError(error, 'actualizar categoría');
+    }
+  }
+
+  /**
+   * Fija el orden de las categorías
+   * @async
+   * @method reorderCategories
+   * @param {Array<string>} ids - IDs de todas las categorías en el orden deseado
+   * @returns {Promise<Object>} Respuesta con las categorías ordenadas
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async reorderCategories(ids) {
+    try {
+      const response = await categoryApi.put('/order', { ids });
+      return response.data;
+    } catch (error) {
+      throw buildCategoryError(error, 'ordenar categorías');
+    }
+  }
+
+  /**
+   * Elimina una categoría sin servicios
+   * @async
+   * @method deleteCategory
+   * @param {string} categoryId - ID de la categoría
+   * @returns {Promise<Object>} Mensaje de confirmación
+   * @throws {Error} Error en la petición HTTP o categoría en uso
+   */
+  static async deleteCategory(categoryId) {
+    try {
+      const response = await categoryApi.delete(`/${categoryId}`);
+      return response.data;
+    } catch (error) {
+      throw buildCategoryError(error, 'eliminar categoría');
+    }
+  }
+}
+
+export default CategoryAPI;
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Servicio API para la gestión de clientes y sus suscripciones
+ * @description Centraliza las llamadas HTTP al backend para clientes y suscripciones a servicios
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para clientes
+ * @constant {AxiosInstance} clientApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const clientApi = createApiClient('/clients');
+
+/**
+ * Construye el error que lanzan los métodos de ClientAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló (p. ej. 'crear cliente')
+ * @param {string} [notFoundMessage] - Mensaje para las respuestas 404
+ * @returns {Error} Error con el mensaje del backend o la lista de errores de validación
+ */
+const buildClientError = (error, action, notFoundMessage) => {
+  if (notFoundMessage && error.response?.status === 404) {
+    return new Error(notFoundMessage);
+  }
+
+  const validationErrors = error.response?.data?.errors;
+  if (validationErrors) {
+    return new Error(`Errores de validación: ${validationErrors.join(', ')}`);
+  }
+
+  return new Error(`Error al ${action}: ${error.response?.data?.message || error.message}`);
+};
+
+/**
+ * Indica si una suscripción está vigente hoy
+ * @param {Object} subscription - Suscripción con `startDate` y `endDate`
+ * @returns {boolean} true si ya empezó y no ha terminado
+ */
+export const isSubscriptionActive = (subscription) => {
+  const now = Date.now();
+  return new Date(subscription.startDate).getTime() <= now &&
+    (!subscription.endDate || new Date(subscription.endDate).getTime() > now);
+};
+
+/**
+ * Clase principal para la gestión de clientes
+ * @class ClientAPI
+ * @description Métodos estáticos para listar, crear, editar y eliminar clientes y sus suscripciones
+ */
+class ClientAPI {
+
+  /**
+   * Obtiene una página de clientes
+   * @async
+   * @method getClients
+   * @param {Object} [params={}] - Parámetros de consulta
+   * @param {string} [params.q] - Texto a buscar en empresa, contacto, email o identificación fiscal
+   * @param {string} [params.service] - Solo clientes con una suscripción vigente a este servicio
+   * @param {number} [params.page=1] - Página solicitada
+   * @param {number} [params.limit=20] - Clientes por página
+   * @returns {Promise<Object>} Objeto con `clients` (incluye `activeSubscriptions`) y `pagination`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { clients, pagination } = await ClientAPI.getClients({ q: 'acme', page: 1 });
+   */
+  static async getClients(params = {}) {
+    try {
+      const cleaned = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      );
+      const response = await clientApi.get('/', { params: cleaned });
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'obtener clientes');
+    }
+  }
+
+  /**
+   * Obtiene un cliente con sus suscripciones
+   * @async
+   * @method getClientById
+   * @param {string} clientId - ID del cliente
+   * @returns {Promise<Object>} Objeto con `client` y `subscriptions` (con los datos básicos del servicio)
+   * @throws {Error} Error en la petición HTTP o cliente no encontrado
+   */
+  static async getClientById(clientId) {
+    try {
+      if (!clientId) {
+        throw new Error('ID de cliente es requerido');
+      }
+
+      const response = await clientApi.get(`/${clientId}`);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'obtener cliente', 'Cliente no encontrado');
+    }
+  }
+
+  /**
+   * Crea un cliente
+   * @async
+   * @method createClient
+   * @param {Object} clientData - company (obligatorio), contactName, email, phone, taxId, notes
+   * @returns {Promise<Object>} Respuesta con el cliente creado
+   * @throws {Error} Error en la petición HTTP o validación
+   * @example
+   * const { client } = await ClientAPI.createClient({ company: 'Acme S.A.' });
+   */
+  static async createClient(clientData) {
+    try {
+      const response = await clientApi.post('/', clientData);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'crear cliente');
+    }
+  }
+
+  /**
+   * Actualiza un cliente
+   * @async
+   * @method updateClient
+   * @param {string} clientId - ID del cliente
+   * @param {Object} updateData - Campos a modificar (un texto vacío borra el campo)
+   * @returns {Promise<Object>} Respuesta con el cliente actualizado
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async updateClient(clientId, updateData) {
+    try {
+      if (!clientId) {
+        throw new Error('ID de cliente es requerido');
+      }
+
+      const response = await clientApi.put(`/${clientId}`, updateData);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'actualizar cliente', 'Cliente no encontrado para actualizar');
+    }
+  }
+
+  /**
+   * Elimina un cliente y todas sus suscripciones
+   * @async
+   * @method deleteClient
+   * @param {string} clientId - ID del cliente
+   * @returns {Promise<Object>} Confirmación con `deletedSubscriptions`
+   * @throws {Error} Error en la petición HTTP o cliente no encontrado
+   */
+  static async deleteClient(clientId) {
+    try {
+      if (!clientId) {
+        throw new Error('ID de cliente es requerido');
+      }
+
+      const response = await clientApi.delete(`/${clientId}`);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'eliminar cliente', 'Cliente no encontrado para eliminar');
+    }
+  }
+
+  /**
+   * Suscribe un cliente a un servicio
+   * @async
+   * @method createSubscription
+   * @param {string} clientId - ID del cliente
+   * @param {Object} subscriptionData - service (obligatorio), startDate, endDate, agreedPrice, taxRate, notes
+   * @returns {Promise<Object>} Respuesta con la suscripción creada
+   * @throws {Error} Error en la petición HTTP o validación
+   * @example
+   * await ClientAPI.createSubscription(clientId, { service: serviceId, startDate: '2025-02-01' });
+   */
+  static async createSubscription(clientId, subscriptionData) {
+    try {
+      const response = await clientApi.post(`/${clientId}/subscriptions`, subscriptionData);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'crear suscripción');
+    }
+  }
+
+  /**
+   * Modifica una suscripción (p. ej. `endDate` para finalizarla)
+   * @async
+   * @method updateSubscription
+   * @param {string} clientId - ID del cliente
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {Object} updateData - Campos a modificar; `endDate: ''` la deja sin fecha de fin
+   * @returns {Promise<Object>} Respuesta con la suscripción actualizada
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async updateSubscription(clientId, subscriptionId, updateData) {
+    try {
+      const response = await clientApi.put(`/${clientId}/subscriptions/${subscriptionId}`, updateData);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'actualizar suscripción', 'Suscripción no encontrada');
+    }
+  }
+
+  /**
+   * Elimina una suscripción
+   * @async
+   * @method deleteSubscription
+   * @param {string} clientId - ID del cliente
+   * @param {string} subscriptionId - ID de la suscripción
+   * @returns {Promise<Object>} Confirmación de eliminación
+   * @throws {Error} Error en la petición HTTP o suscripción no encontrada
+   */
+  static async deleteSubscription(clientId, subscriptionId) {
+    try {
+      const response = await clientApi.delete(`/${clientId}/subscriptions/${subscriptionId}`);
+      return response.data;
+    } catch (error) {
+      throw buildClientError(error, 'eliminar suscripción', 'Suscripción no encontrada');
+    }
+  }
+}
+
+/**
+ * Utilidades de validación para formularios de clientes
+ * @class ClientValidation
+ */
+export class ClientValidation {
+  /**
+   * Valida los datos de un cliente antes de enviarlos al backend
+   * @static
+   * @method validateClientData
+   * @param {Object} clientData - Datos a validar
+   * @returns {Object} Resultado de validación con `isValid` y `errors`
+   */
+  static validateClientData(clientData) {
+    const errors = [];
+
+    if (!clientData.company || clientData.company.trim().length === 0) {
+      errors.push('El nombre de la empresa es obligatorio');
+    }
+
+    if (clientData.company && clientData.company.length > 120) {
+      errors.push('El nombre de la empresa no puede exceder 120 caracteres');
+    }
+
+    if (clientData.email && !/^\S+@\S+\.\S+$/.test(clientData.email)) {
+      errors.push('El email no es válido');
+    }
+
+    if (clientData.notes && clientData.notes.length > 1000) {
+      errors.push('Las notas no pueden exceder 1000 caracteres');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Valida los datos de una suscripción antes de enviarlos al backend
+   * @static
+   * @method validateSubscriptionData
+   * @param {Object} subscriptionData - Datos a validar
+   * @returns {Object} Resultado de validación con `isValid` y `errors`
+   */
+  static validateSubscriptionData(subscriptionData) {
+    const errors = [];
+
+    if (!subscriptionData.service) {
+      errors.push('El servicio es obligatorio');
+    }
+
+    if (subscriptionData.agreedPrice !== '' && subscriptionData.agreedPrice < 0) {
+      errors.push('El precio pactado no puede ser negativo');
+    }
+
+    if (subscriptionData.taxRate !== '' && (subscriptionData.taxRate < 0 || subscriptionData.taxRate > 100)) {
+      errors.push('El impuesto debe estar entre 0 y 100');
+    }
+
+    if (subscriptionData.endDate && subscriptionData.startDate &&
+      subscriptionData.endDate < subscriptionData.startDate) {
+      errors.push('La fecha de fin no puede ser anterior a la de inicio');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default ClientAPI;
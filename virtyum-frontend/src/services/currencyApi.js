@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Servicio API para monedas y tipos de cambio
+ * @description Monedas admitidas en los precios del catálogo y llamadas al backend para
+ * consultar y fijar los tipos de cambio frente a la moneda base
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para tipos de cambio
+ * @constant {AxiosInstance} currencyApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const currencyApi = createApiClient('/exchange-rates');
+
+/**
+ * Moneda base: la de presupuestos, suscripciones y facturas, y la referencia de los tipos de cambio
+ * @constant {string} BASE_CURRENCY
+ */
+export const BASE_CURRENCY = 'USD';
+
+/**
+ * Monedas admitidas en los precios del catálogo (mismas que config/currencies del backend)
+ * @constant {Object<string, string>} CURRENCIES
+ */
+export const CURRENCIES = {
+  USD: 'Dólar estadounidense',
+  EUR: 'Euro',
+  MXN: 'Peso mexicano',
+  COP: 'Peso colombiano'
+};
+
+/**
+ * Convierte un precio del catálogo a la moneda base (mismo redondeo que el backend)
+ * @function convertToBase
+ * @param {number} amount - Importe en `currency`
+ * @param {string} [currency] - Moneda del importe (sin moneda equivale a la base)
+ * @param {Object<string, number>} rates - Mapa de CurrencyAPI.getRateMap
+ * @returns {number|null} Importe en la moneda base, o null si falta el tipo de cambio
+ * @example
+ * convertToBase(100, 'EUR', { USD: 1, EUR: 0.8 }); // 125
+ */
+export const convertToBase = (amount, currency, rates) => {
+  if (!currency || currency === BASE_CURRENCY) return amount;
+  const rate = rates?.[currency];
+  return rate ? Math.round((amount / rate + Number.EPSILON) * 100) / 100 : null;
+};
+
+/**
+ * Construye el error que lanzan los métodos de CurrencyAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló (p. ej. 'guardar el tipo de cambio')
+ * @returns {Error} Error con el mensaje del backend o la lista de errores de validación
+ */
+const buildCurrencyError = (error, action) => {
+  const validationErrors = error.response?.data?.errors;
+  if (validationErrors) {
+    return new Error(`Errores de validación: ${validationErrors.join(', ')}`);
+  }
+
+  return new Error(`Error al ${action}: ${error.response?.data?.message || error.message}`);
+};
+
+/**
+ * Clase para consultar y mantener los tipos de cambio
+ * @class CurrencyAPI
+ */
+class CurrencyAPI {
+
+  /**
+   * Obtiene los tipos de cambio de todas las monedas admitidas
+   * @async
+   * @method getRates
+   * @returns {Promise<Object>} `{ base, currencies, rates }`; `rate` es null en las monedas sin tipo
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { rates } = await CurrencyAPI.getRates();
+   * console.log(rates[0]); // { currency: 'EUR', rate: 0.92, updatedAt: '...' }
+   */
+  static async getRates() {
+    try {
+      const response = await currencyApi.get('/');
+      return response.data;
+    } catch (error) {
+      throw buildCurrencyError(error, 'obtener los tipos de cambio');
+    }
+  }
+
+  /**
+   * Obtiene los tipos de cambio como mapa moneda → unidades por 1 de la moneda base
+   * @async
+   * @method getRateMap
+   * @returns {Promise<Object<string, number>>} Mapa que incluye la moneda base con 1 (sin las monedas sin tipo)
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getRateMap() {
+    const { rates } = await CurrencyAPI.getRates();
+    return rates.reduce(
+      (map, { currency, rate }) => (rate ? { ...map, [currency]: rate } : map),
+      { [BASE_CURRENCY]: 1 }
+    );
+  }
+
+  /**
+   * Fija el tipo de cambio de una moneda
+   * @async
+   * @method setRate
+   * @param {string} currency - Código de la moneda (distinta de la base)
+   * @param {number} rate - Unidades de la moneda por 1 unidad de la moneda base
+   * @returns {Promise<Object>} Tipo de cambio guardado
+   * @throws {Error} Error de validación o permisos
+   */
+  static async setRate(currency, rate) {
+    try {
+      const response = await currencyApi.put(`/${currency}`, { rate });
+      return response.data;
+    } catch (error) {
+      throw buildCurrencyError(error, 'guardar el tipo de cambio');
+    }
+  }
+
+  /**
+   * Elimina el tipo de cambio de una moneda
+   * @async
+   * @method deleteRate
+   * @param {string} currency - Código de la moneda
+   * @returns {Promise<Object>} Mensaje de confirmación
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async deleteRate(currency) {
+    try {
+      const response = await currencyApi.delete(`/${currency}`);
+      return response.data;
+    } catch (error) {
+      throw buildCurrencyError(error, 'eliminar el tipo de cambio');
+    }
+  }
+}
+
+export default CurrencyAPI;
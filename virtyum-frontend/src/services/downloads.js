@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Utilidades para descargar archivos generados por el backend
+ * @description Guarda en el equipo las respuestas binarias (exportaciones, informes, PDFs)
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Guarda en el equipo un archivo recibido como blob
+ * @param {Object} response - Respuesta de axios con `responseType: 'blob'`
+ * @param {string} fallbackName - Nombre si el backend no envía Content-Disposition
+ * @returns {string} Nombre con el que se guardó el archivo
+ */
+export const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  return filename;
+};
+
+/**
+ * Extrae el mensaje de error de una descarga fallida (el cuerpo llega como blob)
+ * @async
+ * @param {Error} error - Error de axios
+ * @returns {Promise<string>} Mensaje del backend o del propio error
+ */
+export const readDownloadError = async (error) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      const body = JSON.parse(await data.text());
+      return body.errors ? body.errors.join(', ') : body.message;
+    } catch {
+      return error.message;
+    }
+  }
+  return error.message;
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Formato de importes y fechas
+ * @description Utilidades de presentación compartidas por el catálogo, presupuestos y facturas
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Formatea un importe en su moneda según el idioma del navegador
+ * @function formatMoney
+ * @param {number} value - Importe
+ * @param {string} [currency='USD'] - Código ISO de la moneda
+ * @returns {string} Importe con símbolo, separadores y hasta dos decimales (p. ej. "1.299,50 €")
+ */
+export const formatMoney = (value, currency = 'USD') => new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: currency || 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2
+}).format(Number(value || 0));
+
+/**
+ * Formatea un importe de forma abreviada (ejes de gráficos)
+ * @function formatCompactMoney
+ * @param {number} value - Importe
+ * @param {string} [currency='USD'] - Código ISO de la moneda
+ * @returns {string} Importe abreviado (p. ej. "1,3 mil €")
+ */
+export const formatCompactMoney = (value, currency = 'USD') => new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: currency || 'USD',
+  notation: 'compact',
+  maximumFractionDigits: 1
+}).format(Number(value || 0));
+
+/**
+ * Formatea una fecha sin hora
+ * @function formatDate
+ * @param {string|Date|null} value - Fecha
+ * @returns {string} Fecha en el formato local o "—" si no hay fecha
+ */
+export const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
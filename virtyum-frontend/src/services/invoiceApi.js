@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Servicio API para facturas y cobros
+ * @description Llamadas HTTP de facturas, libro de cobros y cuentas por cobrar
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para facturas
+ * @constant {AxiosInstance} invoiceApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const invoiceApi = createApiClient('/invoices');
+
+/**
+ * Instancia configurada de axios para el libro de cobros
+ * @constant {AxiosInstance} paymentApi
+ */
+const paymentApi = createApiClient('/payments');
+
+/**
+ * Texto, color e icono de cada estado de una factura
+ * @constant {Object<string, {label: string, variant: string, icon: string}>} INVOICE_STATUSES
+ */
+export const INVOICE_STATUSES = {
+  draft: { label: 'Borrador', variant: 'secondary', icon: 'pencil-square' },
+  issued: { label: 'Emitida', variant: 'primary', icon: 'send' },
+  paid: { label: 'Cobrada', variant: 'success', icon: 'check-circle' },
+  overdue: { label: 'Vencida', variant: 'danger', icon: 'exclamation-circle' },
+  void: { label: 'Anulada', variant: 'dark', icon: 'slash-circle' }
+};
+
+/**
+ * Formas de pago (mismos valores que el modelo Payment del backend)
+ * @constant {Object<string, string>} PAYMENT_METHODS
+ */
+export const PAYMENT_METHODS = {
+  transfer: 'Transferencia',
+  card: 'Tarjeta',
+  cash: 'Efectivo',
+  other: 'Otro'
+};
+
+/**
+ * Tramos de antigüedad de las cuentas por cobrar (claves de la respuesta del backend)
+ * @constant {Array<{key: string, label: string}>} AGING_BUCKETS
+ */
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Sin vencer' },
+  { key: 'days1to30', label: '1-30 días' },
+  { key: 'days31to60', label: '31-60 días' },
+  { key: 'days61to90', label: '61-90 días' },
+  { key: 'over90', label: '+90 días' }
+];
+
+/**
+ * Quita los parámetros vacíos antes de enviarlos
+ * @param {Object} params - Parámetros de consulta
+ * @returns {Object} Parámetros con valor
+ */
+const cleanParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 'all')
+);
+
+/**
+ * Construye el error que lanzan los métodos de InvoiceAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló
+ * @param {string} [notFoundMessage='Factura no encontrada'] - Mensaje para el 404
+ * @returns {Error} Error con el mensaje del backend o la lista de errores
+ */
+const buildInvoiceError = (error, action, notFoundMessage = 'Factura no encontrada') => {
+  if (error.response?.status === 404) {
+    return new Error(notFoundMessage);
+  }
+
+  const data = error.response?.data;
+  if (data?.errors) {
+    return new Error(`${data.message || `Error al ${action}`}: ${data.errors.join(', ')}`);
+  }
+  return new Error(`Error al ${action}: ${data?.message || error.message}`);
+};
+
+/**
+ * Clase principal para la gestión de facturas y cobros
+ * @class InvoiceAPI
+ * @description Métodos estáticos para facturas, cobros y cuentas por cobrar
+ */
+class InvoiceAPI {
+
+  /**
+   * Obtiene una página de facturas
+   * @async
+   * @method getInvoices
+   * @param {Object} [params={}] - `status`, `client`, `q`, `page`, `limit`
+   * @returns {Promise<Object>} Objeto con `invoices` (sin líneas) y `pagination`
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getInvoices(params = {}) {
+    try {
+      const response = await invoiceApi.get('/', { params: cleanParams(params) });
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'obtener facturas');
+    }
+  }
+
+  /**
+   * Obtiene una factura con sus líneas y cobros
+   * @async
+   * @method getInvoiceById
+   * @param {string} invoiceId - ID de la factura
+   * @returns {Promise<Object>} Objeto con `invoice` y `payments`
+   * @throws {Error} Error en la petición HTTP o factura no encontrada
+   */
+  static async getInvoiceById(invoiceId) {
+    try {
+      const response = await invoiceApi.get(`/${invoiceId}`);
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'obtener factura');
+    }
+  }
+
+  /**
+   * Crea una factura manual en borrador
+   * @async
+   * @method createInvoice
+   * @param {Object} invoiceData - client, notes e items (`service`, `description`, `quantity`, `unitPrice`, `taxRate`)
+   * @returns {Promise<Object>} Respuesta con la factura creada
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async createInvoice(invoiceData) {
+    try {
+      const response = await invoiceApi.post('/', invoiceData);
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'crear factura');
+    }
+  }
+
+  /**
+   * Modifica una factura en borrador
+   * @async
+   * @method updateInvoice
+   * @param {string} invoiceId - ID de la factura
+   * @param {Object} invoiceData - `notes` y/o `items` (sustituye todas las líneas)
+   * @returns {Promise<Object>} Respuesta con la factura actualizada
+   * @throws {Error} Error en la petición HTTP, validación o si ya está emitida
+   */
+  static async updateInvoice(invoiceId, invoiceData) {
+    try {
+      const response = await invoiceApi.put(`/${invoiceId}`, invoiceData);
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'actualizar factura');
+    }
+  }
+
+  /**
+   * Elimina una factura en borrador
+   * @async
+   * @method deleteInvoice
+   * @param {string} invoiceId - ID de la factura
+   * @returns {Promise<Object>} Confirmación de eliminación
+   * @throws {Error} Error en la petición HTTP o factura ya emitida
+   */
+  static async deleteInvoice(invoiceId) {
+    try {
+      const response = await invoiceApi.delete(`/${invoiceId}`);
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'eliminar factura');
+    }
+  }
+
+  /**
+   * Emite o anula una factura
+   * @async
+   * @method changeStatus
+   * @param {string} invoiceId - ID de la factura
+   * @param {string} status - issued | void
+   * @param {Object} [options={}] - `dueDate` al emitir, `reason` al anular
+   * @returns {Promise<Object>} Respuesta con la factura actualizada
+   * @throws {Error} Error en la petición HTTP o transición no permitida
+   */
+  static async changeStatus(invoiceId, status, { dueDate, reason } = {}) {
+    try {
+      const response = await invoiceApi.post(`/${invoiceId}/status`, cleanParams({ status, dueDate, reason }));
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'cambiar el estado');
+    }
+  }
+
+  /**
+   * Genera (o simula) los borradores de los periodos pendientes de las suscripciones
+   * @async
+   * @method generateInvoices
+   * @param {Object} [options={}] - `asOf`, `client` y `dryRun`
+   * @returns {Promise<Object>} Respuesta con `invoices` generadas o previstas
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const preview = await InvoiceAPI.generateInvoices({ asOf: '2025-03-31', dryRun: true });
+   */
+  static async generateInvoices(options = {}) {
+    try {
+      const response = await invoiceApi.post('/generate', cleanParams(options));
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'generar facturas');
+    }
+  }
+
+  /**
+   * Obtiene las cuentas por cobrar por cliente
+   * @async
+   * @method getReceivables
+   * @returns {Promise<Object>} Objeto con `clients` y `totals` por tramos de antigüedad
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getReceivables() {
+    try {
+      const response = await invoiceApi.get('/receivables');
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'obtener las cuentas por cobrar');
+    }
+  }
+
+  /**
+   * Registra un cobro de una factura
+   * @async
+   * @method recordPayment
+   * @param {string} invoiceId - ID de la factura
+   * @param {Object} paymentData - amount, date, method, reference, notes
+   * @returns {Promise<Object>} Respuesta con `payment` e `invoice` actualizada
+   * @throws {Error} Error en la petición HTTP o importe superior al saldo
+   */
+  static async recordPayment(invoiceId, paymentData) {
+    try {
+      const response = await invoiceApi.post(`/${invoiceId}/payments`, paymentData);
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'registrar cobro');
+    }
+  }
+
+  /**
+   * Obtiene una página del libro de cobros
+   * @async
+   * @method getPayments
+   * @param {Object} [params={}] - `client`, `invoice`, `from`, `to`, `page`, `limit`
+   * @returns {Promise<Object>} Objeto con `payments`, `total` cobrado y `pagination`
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getPayments(params = {}) {
+    try {
+      const response = await paymentApi.get('/', { params: cleanParams(params) });
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'obtener cobros');
+    }
+  }
+
+  /**
+   * Elimina un cobro y repone el saldo de su factura
+   * @async
+   * @method deletePayment
+   * @param {string} paymentId - ID del cobro
+   * @returns {Promise<Object>} Confirmación con la factura actualizada
+   * @throws {Error} Error en la petición HTTP o cobro no encontrado
+   */
+  static async deletePayment(paymentId) {
+    try {
+      const response = await paymentApi.delete(`/${paymentId}`);
+      return response.data;
+    } catch (error) {
+      throw buildInvoiceError(error, 'eliminar cobro', 'Cobro no encontrado');
+    }
+  }
+}
+
+export default InvoiceAPI;
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Permisos del usuario autenticado
+ * @description Nombres de permisos enviados por el backend y utilidades para consultarlos en la UI
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+/**
+ * Permisos de la aplicación (mismos valores que config/permissions del backend)
+ * @constant {Object} PERMISSIONS
+ */
+export const PERMISSIONS = {
+  SERVICES_READ: 'services:read',
+  SERVICES_STATS: 'services:stats',
+  SERVICES_CREATE: 'services:create',
+  SERVICES_UPDATE: 'services:update',
+  SERVICES_DELETE: 'services:delete',
+  SERVICES_DEACTIVATE: 'services:deactivate',
+  SERVICES_TRASH: 'services:trash',
+  CLIENTS_READ: 'clients:read',
+  CLIENTS_WRITE: 'clients:write',
+  CLIENTS_DELETE: 'clients:delete',
+  QUOTES_READ: 'quotes:read',
+  QUOTES_WRITE: 'quotes:write',
+  QUOTES_DELETE: 'quotes:delete',
+  INVOICES_READ: 'invoices:read',
+  INVOICES_WRITE: 'invoices:write',
+  INVOICES_DELETE: 'invoices:delete',
+  EXCHANGE_RATES_MANAGE: 'exchange-rates:manage',
+  CATEGORIES_MANAGE: 'categories:manage',
+  TASKS_READ: 'tasks:read',
+  TASKS_WRITE: 'tasks:write',
+  TASKS_DELETE: 'tasks:delete',
+  USERS_MANAGE: 'users:manage'
+};
+
+/**
+ * Indica si el usuario tiene un permiso según el payload `permissions` del backend
+ * @function hasPermission
+ * @param {Object|null} user - Usuario autenticado
+ * @param {string} permission - Permiso a comprobar
+ * @returns {boolean} true si lo tiene
+ * @example
+ * if (hasPermission(user, PERMISSIONS.SERVICES_DELETE)) { ... }
+ */
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
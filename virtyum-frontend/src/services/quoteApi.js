@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Servicio API para presupuestos
+ * @description Llamadas HTTP de presupuestos y cálculo de importes para la vista previa del editor
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+import { saveDownload, readDownloadError } from './downloads';
+
+/**
+ * Instancia configurada de axios para presupuestos
+ * @constant {AxiosInstance} quoteApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const quoteApi = createApiClient('/quotes');
+
+/**
+ * Tiempo máximo de la descarga del PDF
+ * @constant {number} PDF_TIMEOUT
+ */
+const PDF_TIMEOUT = 30000;
+
+/**
+ * Texto, color e icono de cada estado de un presupuesto
+ * @constant {Object<string, {label: string, variant: string, icon: string}>} QUOTE_STATUSES
+ */
+export const QUOTE_STATUSES = {
+  draft: { label: 'Borrador', variant: 'secondary', icon: 'pencil-square' },
+  sent: { label: 'Enviado', variant: 'primary', icon: 'send' },
+  accepted: { label: 'Aceptado', variant: 'success', icon: 'check-circle' },
+  rejected: { label: 'Rechazado', variant: 'danger', icon: 'x-circle' }
+};
+
+/**
+ * Acciones de cambio de estado disponibles en cada estado (mismas transiciones que el backend)
+ * @constant {Object<string, Array<{status: string, label: string, variant: string}>>} QUOTE_ACTIONS
+ */
+export const QUOTE_ACTIONS = {
+  draft: [{ status: 'sent', label: 'Marcar como enviado', variant: 'primary' }],
+  sent: [
+    { status: 'accepted', label: 'Aceptar', variant: 'success' },
+    { status: 'rejected', label: 'Rechazar', variant: 'outline-danger' },
+    { status: 'draft', label: 'Volver a borrador', variant: 'outline-secondary' }
+  ],
+  accepted: [],
+  rejected: []
+};
+
+/**
+ * Redondea un importe a céntimos
+ * @param {number} value - Importe
+ * @returns {number} Importe con dos decimales como máximo
+ */
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calcula los importes de una línea igual que el backend
+ * @function computeQuoteLine
+ * @param {Object} item - Línea con `unitPrice`, `quantity`, `discount` y `taxRate`
+ * @returns {{subtotal: number, discountAmount: number, taxAmount: number, total: number}} Importes
+ */
+export const computeQuoteLine = ({ unitPrice = 0, quantity = 0, discount = 0, taxRate = 0 }) => {
+  const subtotal = roundMoney(Number(unitPrice) * Number(quantity || 0));
+  const discountAmount = roundMoney(subtotal * Number(discount || 0) / 100);
+  const taxAmount = roundMoney((subtotal - discountAmount) * Number(taxRate || 0) / 100);
+  return { subtotal, discountAmount, taxAmount, total: roundMoney(subtotal - discountAmount + taxAmount) };
+};
+
+/**
+ * Suma los importes de todas las líneas
+ * @function computeQuoteTotals
+ * @param {Array<Object>} items - Líneas del presupuesto
+ * @returns {{subtotal: number, discount: number, tax: number, total: number}} Totales
+ */
+export const computeQuoteTotals = (items) => {
+  const totals = items.map(computeQuoteLine).reduce((sum, line) => ({
+    subtotal: sum.subtotal + line.subtotal,
+    discount: sum.discount + line.discountAmount,
+    tax: sum.tax + line.taxAmount,
+    total: sum.total + line.total
+  }), { subtotal: 0, discount: 0, tax: 0, total: 0 });
+
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundMoney(value)]));
+};
+
+/**
+ * Construye el error que lanzan los métodos de QuoteAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló
+ * @returns {Error} Error con el mensaje del backend o la lista de errores
+ */
+const buildQuoteError = (error, action) => {
+  if (error.response?.status === 404) {
+    return new Error('Presupuesto no encontrado');
+  }
+
+  const data = error.response?.data;
+  if (data?.errors) {
+    return new Error(`${data.message || `Error al ${action}`}: ${data.errors.join(', ')}`);
+  }
+  return new Error(`Error al ${action}: ${data?.message || error.message}`);
+};
+
+/**
+ * Clase principal para la gestión de presupuestos
+ * @class QuoteAPI
+ * @description Métodos estáticos para listar, crear, editar, cambiar de estado y descargar presupuestos
+ */
+class QuoteAPI {
+
+  /**
+   * Obtiene una página de presupuestos
+   * @async
+   * @method getQuotes
+   * @param {Object} [params={}] - `status`, `client`, `q`, `page`, `limit`
+   * @returns {Promise<Object>} Objeto con `quotes` (sin líneas) y `pagination`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { quotes } = await QuoteAPI.getQuotes({ status: 'sent' });
+   */
+  static async getQuotes(params = {}) {
+    try {
+      const cleaned = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 'all')
+      );
+      const response = await quoteApi.get('/', { params: cleaned });
+      return response.data;
+    } catch (error) {
+      throw buildQuoteError(error, 'obtener presupuestos');
+    }
+  }
+
+  /**
+   * Obtiene un presupuesto con sus líneas
+   * @async
+   * @method getQuoteById
+   * @param {string} quoteId - ID del presupuesto
+   * @returns {Promise<Object>} Objeto con `quote`
+   * @throws {Error} Error en la petición HTTP o presupuesto no encontrado
+   */
+  static async getQuoteById(quoteId) {
+    try {
+      const response = await quoteApi.get(`/${quoteId}`);
+      return response.data;
+    } catch (error) {
+      throw buildQuoteError(error, 'obtener presupuesto');
+    }
+  }
+
+  /**
+   * Crea un presupuesto en borrador
+   * @async
+   * @method createQuote
+   * @param {Object} quoteData - client, title, validUntil, notes e items (`service`, `quantity`, `discount`, `taxRate`)
+   * @returns {Promise<Object>} Respuesta con el presupuesto creado
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async createQuote(quoteData) {
+    try {
+      const response = await quoteApi.post('/', quoteData);
+      return response.data;
+    } catch (error) {
+      throw buildQuoteError(error, 'crear presupuesto');
+    }
+  }
+
+  /**
+   * Modifica un presupuesto en borrador
+   * @async
+   * @method updateQuote
+   * @param {string} quoteId - ID del presupuesto
+   * @param {Object} quoteData - Campos a modificar; `items` sustituye todas las líneas
+   * @returns {Promise<Object>} Respuesta con el presupuesto actualizado
+   * @throws {Error} Error en la petición HTTP, validación o si ya no es un borrador
+   */
+  static async updateQuote(quoteId, quoteData) {
+    try {
+      const response = await quoteApi.put(`/${quoteId}`, quoteData);
+      return response.data;
+    } catch (error) {
+      throw buildQuoteError(error, 'actualizar presupuesto');
+    }
+  }
+
+  /**
+   * Cambia el estado de un presupuesto
+   * @async
+   * @method changeStatus
+   * @param {string} quoteId - ID del presupuesto
+   * @param {string} status - sent | accepted | rejected | draft
+   * @param {Object} [options={}] - `startDate` de las suscripciones al aceptar
+   * @returns {Promise<Object>} Respuesta con `quote` (y `subscriptions` al aceptar)
+   * @throws {Error} Error en la petición HTTP o transición no permitida
+   */
+  static async changeStatus(quoteId, status, { startDate } = {}) {
+    try {
+      const response = await quoteApi.post(`/${quoteId}/status`, { status, startDate: startDate || undefined });
+      return response.data;
+    } catch (error) {
+      throw buildQuoteError(error, 'cambiar el estado');
+    }
+  }
+
+  /**
+   * Elimina un presupuesto no aceptado
+   * @async
+   * @method deleteQuote
+   * @param {string} quoteId - ID del presupuesto
+   * @returns {Promise<Object>} Confirmación de eliminación
+   * @throws {Error} Error en la petición HTTP o presupuesto aceptado
+   */
+  static async deleteQuote(quoteId) {
+    try {
+      const response = await quoteApi.delete(`/${quoteId}`);
+      return response.data;
+    } catch (error) {
+      throw buildQuoteError(error, 'eliminar presupuesto');
+    }
+  }
+
+  /**
+   * Descarga el presupuesto en PDF
+   * @async
+   * @method downloadPdf
+   * @param {Object} quote - Presupuesto (`_id` y `number`)
+   * @returns {Promise<string>} Nombre del archivo descargado
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async downloadPdf(quote) {
+    try {
+      const response = await quoteApi.get(`/${quote._id}/pdf`, {
+        responseType: 'blob',
+        timeout: PDF_TIMEOUT
+      });
+      return saveDownload(response, `presupuesto-${quote.number}.pdf`);
+    } catch (error) {
+      throw new Error(`Error al generar el PDF: ${await readDownloadError(error)}`);
+    }
+  }
+}
+
+export default QuoteAPI;
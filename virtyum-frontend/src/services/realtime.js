@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Canal de eventos en tiempo real del catálogo
+ * @description Una sola conexión a GET /api/services/events (Server-Sent Events) compartida por
+ * las pantallas que la usan. Se lee con fetch en lugar de EventSource para enviar el token en la
+ * cabecera Authorization y renovarlo cuando expira. Donde el servidor limita la duración de las
+ * peticiones (Vercel) avisa con `reconnect` antes de cerrar: se vuelve a conectar al momento con
+ * `since` para recibir lo que llegó entre medias, sin que las pantallas lo noten.
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { API_BASE_URL, TokenStorage, refreshAccessToken, endSession } from './apiClient';
+
+/**
+ * Esperas entre reintentos de conexión (la última se repite)
+ * @constant {Array<number>} RECONNECT_DELAYS_MS
+ */
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * Espera antes de cerrar la conexión cuando se va el último oyente, para no reconectar al
+ * cambiar de pantalla o al volver a suscribirse
+ * @constant {number} IDLE_CLOSE_MS
+ */
+const IDLE_CLOSE_MS = 5000;
+
+/**
+ * Oyentes suscritos y estado de la conexión compartida
+ */
+const listeners = new Set();
+let controller = null;
+let attempts = 0;
+let reconnectTimer = null;
+let idleTimer = null;
+// Si ya hubo conexión: al reconectar se pudieron perder eventos y las pantallas deben recargar
+let connectedBefore = false;
+let connected = false;
+// Fecha del último cierre planificado (evento `reconnect`): la siguiente conexión la reanuda
+let resumeSince = null;
+
+/**
+ * Reparte un evento entre los oyentes
+ * @param {string} event - Nombre del evento
+ * @param {Object} data - Datos del evento
+ */
+const dispatch = (event, data) => {
+  listeners.forEach(listener => listener(event, data));
+};
+
+/**
+ * Extrae los eventos completos del texto recibido
+ * @param {string} buffer - Texto acumulado
+ * @returns {{events: Array<Object>, rest: string}} Eventos `{ event, data }` y el texto pendiente
+ */
+const parseEvents = (buffer) => {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks.map(block => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      // Las líneas que empiezan por ":" son comentarios (keep-alive)
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+  }).filter(Boolean);
+  return { events, rest };
+};
+
+/**
+ * Programa el siguiente intento de conexión
+ */
+const scheduleReconnect = () => {
+  if (listeners.size === 0) return;
+  const delay = RECONNECT_DELAYS_MS[Math.min(attempts, RECONNECT_DELAYS_MS.length - 1)];
+  attempts += 1;
+  reconnectTimer = setTimeout(connect, delay);
+};
+
+/**
+ * Abre la conexión y reparte los eventos hasta que se corta
+ * @async
+ */
+const connect = async () => {
+  reconnectTimer = null;
+  const current = new AbortController();
+  controller = current;
+  const resuming = resumeSince !== null;
+  const url = `${API_BASE_URL}/services/events${resuming ? `?since=${encodeURIComponent(resumeSince)}` : ''}`;
+  resumeSince = null;
+  let plannedClose = false;
+
+  // La sesión terminó: no se reintenta, pero la próxima suscripción debe poder conectar
+  const stop = () => {
+    if (controller === current) {
+      controller = null;
+      connected = false;
+    }
+    endSession();
+  };
+
+  try {
+    let response = await fetch(url, {
+      headers: { Accept: 'text/event-stream', Authorization: `Bearer ${TokenStorage.getAccessToken()}` },
+      signal: current.signal
+    });
+
+    if (response.status === 401) {
+      const { code } = await response.json().catch(() => ({}));
+      if (code !== 'TOKEN_EXPIRED') {
+        stop();
+        return;
+      }
+      try {
+        const accessToken = await refreshAccessToken();
+        response = await fetch(url, {
+          headers: { Accept: 'text/event-stream', Authorization: `Bearer ${accessToken}` },
+          signal: current.signal
+        });
+      } catch {
+        stop();
+        return;
+      }
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    attempts = 0;
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      const { events, rest } = parseEvents(buffer + value);
+      buffer = rest;
+      events.forEach(({ event, data }) => {
+        if (event === 'ready') {
+          // Al reanudar un cierre planificado el servidor reenvía lo perdido: no hace falta recargar
+          dispatch(event, { ...data, reconnected: connectedBefore && !resuming });
+          connectedBefore = true;
+          connected = true;
+        } else if (event === 'reconnect') {
+          resumeSince = data.at;
+          plannedClose = true;
+        } else {
+          dispatch(event, data);
+        }
+      });
+    }
+  } catch (error) {
+    if (current.signal.aborted) return;
+    console.error('Canal de eventos desconectado:', error.message);
+  }
+
+  if (controller === current) {
+    controller = null;
+    connected = false;
+    if (plannedClose && listeners.size > 0) {
+      connect();
+      return;
+    }
+    resumeSince = null;
+    dispatch('disconnected', {});
+    scheduleReconnect();
+  }
+};
+
+/**
+ * Cierra la conexión y cancela los reintentos
+ */
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  attempts = 0;
+  connectedBefore = false;
+  connected = false;
+  resumeSince = null;
+  controller?.abort();
+  controller = null;
+};
+
+/**
+ * Se suscribe a los eventos del catálogo; la conexión se abre con el primer oyente
+ * @function subscribeToCatalogEvents
+ * @param {Function} listener - Recibe `(event, data)`: `ready` (con `reconnected` si se
+ * recuperó una conexión cortada), `service`, `services:reload`, `stats` o `disconnected`
+ * @returns {Function} Cancela la suscripción
+ * @example
+ * useEffect(() => subscribeToCatalogEvents((event, data) => {
+ *   if (event === 'stats') loadStats();
+ * }), []);
+ */
+export const subscribeToCatalogEvents = (listener) => {
+  listeners.add(listener);
+  clearTimeout(idleTimer);
+  if (!controller && !reconnectTimer) {
+    connect();
+  } else if (connected) {
+    // La conexión ya estaba abierta: el nuevo oyente no recibirá su `ready`
+    queueMicrotask(() => listener('ready', { reconnected: false }));
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      idleTimer = setTimeout(() => {
+        if (listeners.size === 0) disconnect();
+      }, IDLE_CLOSE_MS);
+    }
+  };
+};
+
+/**
+ * Texto del indicador de un cambio remoto
+ * @function describeServiceEvent
+ * @param {Object} data - Datos del evento `service`
+ * @returns {string} Texto como "Actualizado por Ana"
+ */
+export const describeServiceEvent = (data) => {
+  const verbs = {
+    create: 'Creado',
+    update: 'Actualizado',
+    delete: 'Enviado a la papelera',
+    restore: 'Restaurado',
+    purge: 'Eliminado'
+  };
+  return `${verbs[data.action] || 'Modificado'} por ${data.actor.name}`;
+};
@@ -5,50 +5,73 @@
  * @version 1.0.0
  */
 
-import axios from 'axios';
+import { createApiClient } from './apiClient';
+import { saveDownload, readDownloadError } from './downloads';
 
 /**
- * Configuración base de axios para la API
- * @constant {string} API_BASE_URL - URL base del backend
+ * Instancia configurada de axios para servicios
+ * @constant {AxiosInstance} serviceApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
  */
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const serviceApi = createApiClient('/services');
 
 /**
- * Instancia configurada de axios para servicios
- * @constant {AxiosInstance} serviceApi - Cliente HTTP preconfigurado
+ * Elimina de los parámetros de consulta los valores vacíos o sin filtro
+ * @param {Object} params - Parámetros de consulta
+ * @returns {Object} Parámetros listos para enviarse al backend
  */
-const serviceApi = axios.create({
-  baseURL: `${API_BASE_URL}/services`,
-  timeout: 10000, // 10 segundos de timeout
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
+const cleanParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 'all')
+);
 
 /**
- * Interceptor para responses - maneja errores globalmente
+ * Envía una operación masiva y normaliza la respuesta
+ * @async
+ * @param {string} method - Método HTTP (patch | post)
+ * @param {string} path - Ruta relativa a /services/bulk
+ * @param {Object} body - Cuerpo con `ids` y los datos de la operación
+ * @returns {Promise<Object>} Respuesta con `summary` y `results` por servicio
+ * @throws {Error} Si el lote no se aplicó; incluye `results` y `summary` cuando el backend los devuelve
  */
-serviceApi.interceptors.response.use(
-  (response) => {
-    console.log(`✅ API Response: ${response.status} ${response.config.url}`);
-    return response;
-  },
-  (error) => {
-    console.error('❌ Response Error:', error.response?.data || error.message);
-    
-    // Manejo global de errores
-    if (error.response?.status === 401) {
-      // Manejar errores de autenticación
-      console.log('🔐 Unauthorized - redirecting to login');
-    } else if (error.response?.status >= 500) {
-      // Errores del servidor
-      console.log('🔥 Server Error - showing notification');
-    }
-    
-    return Promise.reject(error);
+const sendBulk = async (method, path, body) => {
+  try {
+    const response = await serviceApi[method](`/bulk/${path}`, body);
+    return response.data;
+  } catch (error) {
+    const data = error.response?.data;
+    const detail = data?.errors ? data.errors.join(', ') : (data?.message || error.message);
+    const bulkError = new Error(`Error en la operación masiva: ${detail}`);
+    bulkError.results = data?.results || [];
+    bulkError.summary = data?.summary;
+    throw bulkError;
   }
-);
+};
+
+/**
+ * Tiempo máximo de las descargas (generar un PDF o XLSX grande tarda más que una consulta)
+ * @constant {number} EXPORT_TIMEOUT
+ */
+const EXPORT_TIMEOUT = 60000;
+
+/**
+ * Tiempo máximo de las peticiones de importación (subida y validación de hasta 1000 filas)
+ * @constant {number} IMPORT_TIMEOUT
+ */
+const IMPORT_TIMEOUT = 60000;
+
+/**
+ * Construye el formulario multipart de una importación
+ * @param {File} file - Archivo CSV o XLSX seleccionado
+ * @param {Object} [fields={}] - Campos adicionales (los objetos se envían como JSON)
+ * @returns {FormData} Formulario listo para enviar
+ */
+const buildImportForm = (file, fields = {}) => {
+  const form = new FormData();
+  form.append('file', file);
+  Object.entries(fields).forEach(([key, value]) => {
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  return form;
+};
 
 /**
  * Clase principal para operaciones de servicios
@@ -58,20 +81,37 @@ serviceApi.interceptors.response.use(
 class ServiceAPI {
   
   /**
-   * Obtiene todos los servicios de marketing
+   * Obtiene una página de servicios de marketing
    * @async
    * @method getAllServices
-   * @returns {Promise<Array>} Lista de servicios ordenados por fecha de creación
-   * @throws {Error} Error en la petición HTTP
+   * @param {Object} [params={}] - Parámetros de consulta enviados al backend
+   * @param {number} [params.page=1] - Página solicitada
+   * @param {number} [params.limit=20] - Servicios por página (máximo 100)
+   * @param {string} [params.sortBy='createdAt'] - Campo de orden
+   * @param {string} [params.order='desc'] - Dirección del orden (asc | desc)
+   * @param {string} [params.category] - Categoría (o varias separadas por comas)
+   * @param {string} [params.status] - Estado (o varios separados por comas)
+   * @param {number} [params.minPrice] - Precio mínimo
+   * @param {number} [params.maxPrice] - Precio máximo
+   * @param {string} [params.createdFrom] - Fecha de creación desde (YYYY-MM-DD)
+   * @param {string} [params.createdTo] - Fecha de creación hasta (YYYY-MM-DD)
+   * @returns {Promise<Object>} Objeto con `services`, `pagination`, `sort` y `filters`
+   * @throws {Error} Error en la petición HTTP o parámetros inválidos
    * @example
-   * const services = await ServiceAPI.getAllServices();
-   * console.log(services); // [{ _id: '...', name: 'SEO', ... }]
+   * const { services, pagination } = await ServiceAPI.getAllServices({ page: 2, limit: 10 });
+   * console.log(pagination.total); // 24
    */
-  static async getAllServices() {
+  static async getAllServices(params = {}) {
     try {
-      const response = await serviceApi.get('/');
+      const response = await serviceApi.get('/', { params: cleanParams(params) });
       return response.data;
     } catch (error) {
+      const validationErrors = error.response?.data?.errors;
+      
+      if (validationErrors) {
+        throw new Error(`Parámetros inválidos: ${validationErrors.join(', ')}`);
+      }
+      
       throw new Error(`Error al obtener servicios: ${error.response?.data?.message || error.message}`);
     }
   }
@@ -84,10 +124,11 @@ class ServiceAPI {
    * @param {string} serviceData.name - Nombre del servicio
    * @param {string} serviceData.category - Categoría del servicio
    * @param {number} serviceData.price - Precio del servicio
-   * @param {string} serviceData.duration - Duración del servicio
+   * @param {string} serviceData.billingModel - recurring | one-off | per-campaign
+   * @param {Object} [serviceData.billingInterval] - `{ unit, count }` (obligatorio si es recurring)
+   * @param {Object} [serviceData.estimatedDuration] - `{ min, max, unit }`
    * @param {string} [serviceData.status='Nuevo'] - Estado del servicio
    * @param {string} serviceData.description - Descripción del servicio
-   * @param {number} [serviceData.clients=0] - Número de clientes
    * @returns {Promise<Object>} Respuesta con el servicio creado
    * @throws {Error} Error en la petición HTTP o validación
    * @example
@@ -95,7 +136,8 @@ class ServiceAPI {
    *   name: 'Email Marketing',
    *   category: 'Digital',
    *   price: 399,
-   *   duration: 'Mensual',
+   *   billingModel: 'recurring',
+   *   billingInterval: { unit: 'month', count: 1 },
    *   description: 'Campañas automatizadas'
    * });
    */
@@ -209,6 +251,320 @@ class ServiceAPI {
     }
   }
 
+  /**
+   * Cambia el estado de varios servicios (todos o ninguno)
+   * @async
+   * @method bulkUpdateStatus
+   * @param {Array<string>} ids - IDs de los servicios
+   * @param {string} status - Nuevo estado
+   * @returns {Promise<Object>} `summary` y `results` por servicio
+   * @throws {Error} Si algún servicio falla; `error.results` indica cuál
+   */
+  static async bulkUpdateStatus(ids, status) {
+    return sendBulk('patch', 'status', { ids, status });
+  }
+
+  /**
+   * Mueve varios servicios a otra categoría (todos o ninguno)
+   * @async
+   * @method bulkMoveCategory
+   * @param {Array<string>} ids - IDs de los servicios
+   * @param {string} category - Categoría de destino
+   * @returns {Promise<Object>} `summary` y `results` por servicio
+   * @throws {Error} Si algún servicio falla; `error.results` indica cuál
+   */
+  static async bulkMoveCategory(ids, category) {
+    return sendBulk('patch', 'category', { ids, category });
+  }
+
+  /**
+   * Ajusta el precio de varios servicios (todos o ninguno)
+   * @async
+   * @method bulkAdjustPrice
+   * @param {Array<string>} ids - IDs de los servicios
+   * @param {Object} adjustment - Ajuste a aplicar
+   * @param {string} adjustment.mode - percent | absolute
+   * @param {number} adjustment.value - Porcentaje o importe (negativo para bajar)
+   * @returns {Promise<Object>} `summary` y `results` por servicio
+   * @throws {Error} Si algún precio resultante es inválido; `error.results` indica cuál
+   * @example
+   * await ServiceAPI.bulkAdjustPrice(selectedIds, { mode: 'percent', value: 10 });
+   */
+  static async bulkAdjustPrice(ids, { mode, value }) {
+    return sendBulk('patch', 'price', { ids, mode, value });
+  }
+
+  /**
+   * Mueve varios servicios a la papelera (todos o ninguno)
+   * @async
+   * @method bulkDelete
+   * @param {Array<string>} ids - IDs de los servicios
+   * @returns {Promise<Object>} `summary` y `results` por servicio
+   * @throws {Error} Si algún servicio falla; `error.results` indica cuál
+   */
+  static async bulkDelete(ids) {
+    return sendBulk('post', 'delete', { ids });
+  }
+
+  /**
+   * Obtiene los servicios de la papelera
+   * @async
+   * @method getTrash
+   * @param {Object} [params={}] - Paginación (`page`, `limit`)
+   * @returns {Promise<Object>} Objeto con `services` (incluye `deletedAt`, `deletedBy` y `purgeAt`),
+   * `pagination` y `retentionDays`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { services, retentionDays } = await ServiceAPI.getTrash();
+   */
+  static async getTrash(params = {}) {
+    try {
+      const response = await serviceApi.get('/trash', { params: cleanParams(params) });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al obtener la papelera: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Restaura un servicio de la papelera
+   * @async
+   * @method restoreService
+   * @param {string} serviceId - ID del servicio eliminado
+   * @returns {Promise<Object>} Respuesta con el servicio restaurado
+   * @throws {Error} Error en la petición HTTP o servicio fuera de la papelera
+   */
+  static async restoreService(serviceId) {
+    try {
+      if (!serviceId) {
+        throw new Error('ID de servicio es requerido');
+      }
+
+      const response = await serviceApi.post(`/${serviceId}/restore`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al restaurar servicio: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Elimina definitivamente un servicio de la papelera
+   * @async
+   * @method purgeService
+   * @param {string} serviceId - ID del servicio eliminado
+   * @returns {Promise<Object>} Confirmación de la purga
+   * @throws {Error} Error en la petición HTTP o servicio fuera de la papelera
+   */
+  static async purgeService(serviceId) {
+    try {
+      if (!serviceId) {
+        throw new Error('ID de servicio es requerido');
+      }
+
+      const response = await serviceApi.delete(`/${serviceId}/purge`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al eliminar definitivamente: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene el historial de cambios (auditoría) de un servicio
+   * @async
+   * @method getServiceHistory
+   * @param {string} serviceId - ID del servicio
+   * @param {Object} [params={}] - Paginación (`page`, `limit`)
+   * @returns {Promise<Object>} Objeto con `history` y `pagination`
+   * @throws {Error} Error en la petición HTTP
+   * @example
+   * const { history } = await ServiceAPI.getServiceHistory('507f...');
+   * console.log(history[0].changes); // [{ field: 'price', before: 899, after: 999 }]
+   */
+  static async getServiceHistory(serviceId, params = {}) {
+    try {
+      if (!serviceId) {
+        throw new Error('ID de servicio es requerido');
+      }
+
+      const response = await serviceApi.get(`/${serviceId}/history`, { params: cleanParams(params) });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al obtener historial: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene el historial de precios de un servicio y sus cambios programados
+   * @async
+   * @method getPriceHistory
+   * @param {string} serviceId - ID del servicio
+   * @returns {Promise<Object>} Objeto con `service` (precio actual), `scheduled` e `history`
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getPriceHistory(serviceId) {
+    try {
+      const response = await serviceApi.get(`/${serviceId}/prices`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al obtener el historial de precios: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Programa un cambio de precio para una fecha futura
+   * @async
+   * @method schedulePriceChange
+   * @param {string} serviceId - ID del servicio
+   * @param {Object} change - `{ price, currency, effectiveDate, note }`
+   * @returns {Promise<Object>} Respuesta con el cambio programado
+   * @throws {Error} Error de validación o fecha ya ocupada
+   * @example
+   * await ServiceAPI.schedulePriceChange('507f...', { price: 949, effectiveDate: '2025-07-01' });
+   */
+  static async schedulePriceChange(serviceId, change) {
+    try {
+      const response = await serviceApi.post(`/${serviceId}/prices`, change);
+      return response.data;
+    } catch (error) {
+      const validationErrors = error.response?.data?.errors;
+      throw new Error(validationErrors
+        ? `Errores de validación: ${validationErrors.join(', ')}`
+        : `Error al programar el cambio de precio: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Cancela un cambio de precio programado
+   * @async
+   * @method cancelPriceChange
+   * @param {string} serviceId - ID del servicio
+   * @param {string} changeId - ID del cambio programado
+   * @returns {Promise<Object>} Mensaje de confirmación
+   * @throws {Error} Error en la petición HTTP o el cambio ya se aplicó
+   */
+  static async cancelPriceChange(serviceId, changeId) {
+    try {
+      const response = await serviceApi.delete(`/${serviceId}/prices/${changeId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al cancelar el cambio de precio: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene el precio de un servicio vigente en una fecha
+   * @async
+   * @method getPriceAt
+   * @param {string} serviceId - ID del servicio
+   * @param {string} date - Fecha YYYY-MM-DD
+   * @returns {Promise<Object>} `{ price, currency, since, change }`
+   * @throws {Error} Fecha inválida o el servicio aún no existía
+   */
+  static async getPriceAt(serviceId, date) {
+    try {
+      const response = await serviceApi.get(`/${serviceId}/prices/at`, { params: { date } });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al obtener el precio: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene la plantilla de tareas de un servicio y su historial de versiones
+   * @async
+   * @method getTaskTemplate
+   * @param {string} serviceId - ID del servicio
+   * @param {number} [version] - Versión concreta (por defecto, la vigente)
+   * @returns {Promise<Object>} Objeto con `template` (null si no hay plantilla) y `versions`
+   * @throws {Error} Error en la petición HTTP o versión inexistente
+   */
+  static async getTaskTemplate(serviceId, version) {
+    try {
+      const response = await serviceApi.get(`/${serviceId}/task-template`, { params: cleanParams({ version }) });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al obtener la plantilla de tareas: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Guarda una versión nueva de la plantilla de tareas de un servicio
+   * @async
+   * @method saveTaskTemplate
+   * @param {string} serviceId - ID del servicio
+   * @param {Array<Object>} tasks - Tareas en orden: title, description, dueOffsetDays, priority,
+   * assigneeRole, checklist (textos) y dependsOn (posiciones de tareas anteriores)
+   * @returns {Promise<Object>} Respuesta con `message` y la versión vigente
+   * @throws {Error} Error de validación o guardado simultáneo
+   * @example
+   * await ServiceAPI.saveTaskTemplate('507f...', [{ title: 'Reunión de arranque', dueOffsetDays: 1 }]);
+   */
+  static async saveTaskTemplate(serviceId, tasks) {
+    try {
+      const response = await serviceApi.put(`/${serviceId}/task-template`, { tasks });
+      return response.data;
+    } catch (error) {
+      const validationErrors = error.response?.data?.errors;
+      throw new Error(validationErrors
+        ? `Errores de validación: ${validationErrors.join(', ')}`
+        : `Error al guardar la plantilla de tareas: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Lee un archivo de importación y obtiene el mapeo de columnas sugerido
+   * @async
+   * @method previewImport
+   * @param {File} file - Archivo CSV o XLSX
+   * @returns {Promise<Object>} Objeto con `columns`, `sampleRows`, `totalRows`, `suggestedMapping` y `fields`
+   * @throws {Error} Error en la petición HTTP o archivo no válido
+   * @example
+   * const { columns, suggestedMapping } = await ServiceAPI.previewImport(file);
+   */
+  static async previewImport(file) {
+    try {
+      const response = await serviceApi.post('/import/preview', buildImportForm(file), {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: IMPORT_TIMEOUT
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Error al leer el archivo: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Valida o importa los servicios de un archivo
+   * @async
+   * @method importServices
+   * @param {File} file - Archivo CSV o XLSX
+   * @param {Object} mapping - Campo del servicio → columna del archivo
+   * @param {Object} [options={}] - Opciones
+   * @param {boolean} [options.dryRun=false] - Solo validar, sin guardar
+   * @param {boolean} [options.skipInvalid=false] - Importar solo las filas válidas
+   * @returns {Promise<Object>} Objeto con `summary` y `rows` (errores por fila)
+   * @throws {Error} Si no se importó; incluye `rows` y `summary` cuando el backend los devuelve
+   * @example
+   * const { summary, rows } = await ServiceAPI.importServices(file, mapping, { dryRun: true });
+   */
+  static async importServices(file, mapping, { dryRun = false, skipInvalid = false } = {}) {
+    try {
+      const form = buildImportForm(file, { mapping, dryRun, skipInvalid });
+      const response = await serviceApi.post('/import', form, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: IMPORT_TIMEOUT
+      });
+      return response.data;
+    } catch (error) {
+      const data = error.response?.data;
+      const detail = data?.errors ? data.errors.join(', ') : (data?.message || error.message);
+      const importError = new Error(`Error al importar servicios: ${detail}`);
+      importError.rows = data?.rows || [];
+      importError.summary = data?.summary;
+      throw importError;
+    }
+  }
+
   /**
    * Obtiene servicios filtrados por categoría
    * @async
@@ -243,17 +599,19 @@ class ServiceAPI {
    * Obtiene estadísticas generales de servicios
    * @async
    * @method getServiceStats
+   * @param {Object} [params={}] - Parámetros de consulta
+   * @param {string} [params.currency='USD'] - Moneda en la que se expresan precios e ingresos
    * @returns {Promise<Object>} Estadísticas completas de servicios
-   * @throws {Error} Error en la petición HTTP
+   * @throws {Error} Error en la petición HTTP o falta algún tipo de cambio
    * @example
-   * const stats = await ServiceAPI.getServiceStats();
+   * const stats = await ServiceAPI.getServiceStats({ currency: 'EUR' });
    * console.log(stats.overview.totalServices); // 10
-   * console.log(stats.clients.totalClients); // 473
+   * console.log(stats.pricing.currency); // 'EUR'
    * console.log(stats.categories.availableCategories); // ['Digital', 'Social', ...]
    */
-  static async getServiceStats() {
+  static async getServiceStats(params = {}) {
     try {
-      const response = await serviceApi.get('/stats');
+      const response = await serviceApi.get('/stats', { params: cleanParams(params) });
       return response.data;
     } catch (error) {
       throw new Error(`Error al obtener estadísticas: ${error.response?.data?.message || error.message}`);
@@ -261,58 +619,134 @@ class ServiceAPI {
   }
 
   /**
-   * Búsqueda avanzada de servicios (función helper para el frontend)
+   * Obtiene la evolución de las estadísticas (instantáneas diarias)
+   * @async
+   * @method getStatsHistory
+   * @param {Object} [params={}] - Parámetros de consulta
+   * @param {string} [params.from] - Desde, YYYY-MM-DD (por defecto, 90 días antes de `to`)
+   * @param {string} [params.to] - Hasta, YYYY-MM-DD (por defecto, hoy)
+   * @param {string} [params.granularity='day'] - day, week o month
+   * @returns {Promise<Object>} Objeto con `granularity`, `currency` (moneda base) y `points`
+   * @throws {Error} Error en la petición HTTP o rango no admitido
+   * @example
+   * const { points } = await ServiceAPI.getStatsHistory({ from: '2025-01-01', granularity: 'week' });
+   * console.log(points[0].services.active); // 8
+   */
+  static async getStatsHistory(params = {}) {
+    try {
+      const response = await serviceApi.get('/stats/history', { params: cleanParams(params) });
+      return response.data;
+    } catch (error) {
+      const validationErrors = error.response?.data?.errors;
+      throw new Error(validationErrors
+        ? `Parámetros inválidos: ${validationErrors.join(', ')}`
+        : `Error al obtener la evolución de las estadísticas: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Descarga los servicios que cumplen los filtros del listado
+   * @async
+   * @method exportServices
+   * @param {Object} [filters={}] - Mismos filtros que searchServices (sin paginación)
+   * @param {string} [filters.searchTerm] - Texto de búsqueda
+   * @param {string} [format='csv'] - csv | xlsx | json | pdf
+   * @returns {Promise<string>} Nombre del archivo descargado
+   * @throws {Error} Error en la petición HTTP o demasiados servicios
+   * @example
+   * await ServiceAPI.exportServices({ category: 'Digital', status: 'Activo' }, 'xlsx');
+   */
+  static async exportServices(filters = {}, format = 'csv') {
+    const { searchTerm, ...params } = filters;
+
+    try {
+      const response = await serviceApi.get('/export', {
+        params: cleanParams({ ...params, q: searchTerm?.trim(), format }),
+        responseType: 'blob',
+        timeout: EXPORT_TIMEOUT
+      });
+      return saveDownload(response, `servicios.${format}`);
+    } catch (error) {
+      throw new Error(`Error al exportar servicios: ${await readDownloadError(error)}`);
+    }
+  }
+
+  /**
+   * Descarga el informe PDF de estadísticas
+   * @async
+   * @method downloadStatsReport
+   * @param {Object} [params={}] - Parámetros de consulta
+   * @param {string} [params.currency='USD'] - Moneda del informe
+   * @returns {Promise<string>} Nombre del archivo descargado
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async downloadStatsReport(params = {}) {
+    try {
+      const response = await serviceApi.get('/stats/report', {
+        params: cleanParams(params),
+        responseType: 'blob',
+        timeout: EXPORT_TIMEOUT
+      });
+      return saveDownload(response, 'estadisticas-servicios.pdf');
+    } catch (error) {
+      throw new Error(`Error al generar el informe: ${await readDownloadError(error)}`);
+    }
+  }
+
+  /**
+   * Búsqueda de servicios por texto completo en el backend
    * @async
    * @method searchServices
    * @param {Object} filters - Filtros de búsqueda
-   * @param {string} [filters.searchTerm] - Término de búsqueda
-   * @param {string} [filters.category] - Categoría específica
+   * @param {string} [filters.searchTerm] - Texto a buscar (insensible a tildes, con stemming en español)
+   * @param {string} [filters.category] - Categoría específica ('all' para todas)
    * @param {string} [filters.status] - Estado específico
-   * @returns {Promise<Array>} Servicios filtrados
+   * @param {number} [filters.page] - Página solicitada
+   * @param {number} [filters.limit] - Servicios por página
+   * @param {string} [filters.sortBy] - Campo de orden (por defecto relevancia)
+   * @returns {Promise<Object>} Página de servicios con `score` de relevancia y metadatos de paginación.
+   * Sin `searchTerm` devuelve el listado normal de getAllServices.
+   * @throws {Error} Error en la petición HTTP
    * @example
-   * const results = await ServiceAPI.searchServices({
-   *   searchTerm: 'marketing',
-   *   category: 'Digital',
+   * const { services } = await ServiceAPI.searchServices({
+   *   searchTerm: 'analisis',
+   *   category: 'Análisis',
    *   status: 'Activo'
    * });
+   * console.log(services[0].score); // 1.8
    */
   static async searchServices(filters = {}) {
+    const { searchTerm, ...params } = filters;
+    const query = searchTerm?.trim();
+
+    if (!query) {
+      return this.getAllServices(params);
+    }
+
     try {
-      // Por ahora implementamos búsqueda en el frontend
-      // En el futuro se puede mover al backend para mejor rendimiento
-      const allServices = await this.getAllServices();
-      
-      return allServices.filter(service => {
-        const matchesSearch = !filters.searchTerm || 
-          service.name.toLowerCase().includes(filters.searchTerm.toLowerCase()) ||
-          service.description.toLowerCase().includes(filters.searchTerm.toLowerCase());
-          
-        const matchesCategory = !filters.category || 
-          filters.category === 'all' || 
-          service.category === filters.category;
-          
-        const matchesStatus = !filters.status || 
-          service.status === filters.status;
-          
-        return matchesSearch && matchesCategory && matchesStatus;
-      });
+      const response = await serviceApi.get('/search', { params: cleanParams({ ...params, q: query }) });
+      return response.data;
     } catch (error) {
-      throw new Error(`Error en búsqueda de servicios: ${error.message}`);
+      const validationErrors = error.response?.data?.errors;
+      
+      if (validationErrors) {
+        throw new Error(`Parámetros inválidos: ${validationErrors.join(', ')}`);
+      }
+      
+      throw new Error(`Error en búsqueda de servicios: ${error.response?.data?.message || error.message}`);
     }
   }
 }
 
 /**
- * Constantes para categorías válidas
- * @constant {Array<string>} VALID_CATEGORIES - Lista de categorías permitidas
+ * Formatos de exportación del catálogo
+ * @constant {Array<{key: string, label: string, icon: string}>} SERVICE_EXPORT_FORMATS
  */
-export const VALID_CATEGORIES = [
-  'Digital',
-  'Social', 
-  'Contenido',
-  'Diseño',
-  'Desarrollo',
-  'Análisis'
+export const SERVICE_EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', icon: 'filetype-csv' },
+  { key: 'xlsx', label: 'Excel (.xlsx)', icon: 'file-earmark-spreadsheet' },
+  { key: 'json', label: 'JSON', icon: 'filetype-json' },
+  { key: 'pdf', label: 'PDF', icon: 'filetype-pdf' }
 ];
 
 /**
@@ -326,6 +760,77 @@ export const VALID_STATUSES = [
   'Inactivo'
 ];
 
+/**
+ * Modelos de facturación de un servicio (mismos valores que el backend)
+ * @constant {Object<string, string>} BILLING_MODELS
+ */
+export const BILLING_MODELS = {
+  recurring: 'Recurrente',
+  'one-off': 'Pago único',
+  'per-campaign': 'Por campaña'
+};
+
+/**
+ * Unidades de la periodicidad de cobro de un servicio recurrente
+ * @constant {Object<string, string>} INTERVAL_UNITS
+ */
+export const INTERVAL_UNITS = {
+  week: 'semana(s)',
+  month: 'mes(es)',
+  year: 'año(s)'
+};
+
+/**
+ * Número máximo de niveles por servicio (mismo límite que el modelo del backend)
+ * @constant {number} MAX_TIERS
+ */
+export const MAX_TIERS = 6;
+
+/**
+ * Origen de cada entrada del historial de precios (mismos valores que el backend)
+ * @constant {Object<string, string>} PRICE_CHANGE_SOURCES
+ */
+export const PRICE_CHANGE_SOURCES = {
+  create: 'Alta',
+  update: 'Edición',
+  bulk: 'Ajuste masivo',
+  import: 'Importación',
+  schedule: 'Programado'
+};
+
+/**
+ * Granularidades de la evolución de las estadísticas (mismos valores que el backend)
+ * @constant {Object<string, string>} STATS_GRANULARITIES
+ */
+export const STATS_GRANULARITIES = {
+  day: 'Por día',
+  week: 'Por semana',
+  month: 'Por mes'
+};
+
+/**
+ * Rangos de la evolución de las estadísticas, en días, con las granularidades que admite el
+ * backend para cada uno
+ * @constant {Array<{days: number, label: string, granularities: Array<string>}>} STATS_HISTORY_RANGES
+ */
+export const STATS_HISTORY_RANGES = [
+  { days: 30, label: 'Últimos 30 días', granularities: ['day', 'week'] },
+  { days: 90, label: 'Últimos 90 días', granularities: ['day', 'week', 'month'] },
+  { days: 365, label: 'Último año', granularities: ['day', 'week', 'month'] },
+  { days: 3 * 365, label: 'Últimos 3 años', granularities: ['week', 'month'] }
+];
+
+/**
+ * Unidades de la duración estimada
+ * @constant {Object<string, string>} DURATION_UNITS
+ */
+export const DURATION_UNITS = {
+  day: 'días',
+  week: 'semanas',
+  month: 'meses',
+  year: 'años'
+};
+
 /**
  * Utilidades para validación en el frontend
  * @class ServiceValidation
@@ -336,14 +841,16 @@ export class ServiceValidation {
    * @static
    * @method validateServiceData
    * @param {Object} serviceData - Datos a validar
+   * @param {Array<string>} [categories] - Nombres de las categorías que se pueden asignar (sin
+   * indicar solo se comprueba que haya una)
    * @returns {Object} Resultado de validación
    * @example
-   * const validation = ServiceValidation.validateServiceData(data);
+   * const validation = ServiceValidation.validateServiceData(data, ['Digital', 'Social']);
    * if (!validation.isValid) {
    *   console.log(validation.errors);
    * }
    */
-  static validateServiceData(serviceData) {
+  static validateServiceData(serviceData, categories) {
     const errors = [];
     
     if (!serviceData.name || serviceData.name.trim().length === 0) {
@@ -354,16 +861,47 @@ export class ServiceValidation {
       errors.push('El nombre no puede exceder 100 caracteres');
     }
     
-    if (!serviceData.category || !VALID_CATEGORIES.includes(serviceData.category)) {
-      errors.push(`La categoría debe ser una de: ${VALID_CATEGORIES.join(', ')}`);
+    if (!serviceData.category) {
+      errors.push('La categoría es obligatoria');
+    } else if (categories && !categories.includes(serviceData.category)) {
+      errors.push(`La categoría debe ser una de: ${categories.join(', ')}`);
     }
     
-    if (!serviceData.price || serviceData.price < 0) {
+    const tiers = serviceData.tiers || [];
+    if (tiers.length === 0 && (!serviceData.price || serviceData.price < 0)) {
       errors.push('El precio debe ser un número positivo');
     }
+
+    if (tiers.length > MAX_TIERS) {
+      errors.push(`Un servicio no puede tener más de ${MAX_TIERS} niveles`);
+    }
+
+    if (tiers.some(tier => !tier.name || tier.name.trim().length === 0)) {
+      errors.push('Cada nivel necesita un nombre');
+    }
+
+    if (tiers.some(tier => typeof tier.price !== 'number' || !(tier.price >= 0))) {
+      errors.push('El precio de cada nivel debe ser un número mayor o igual que 0');
+    }
+
+    const tierNames = tiers.map(tier => (tier.name || '').trim().toLowerCase());
+    if (new Set(tierNames).size !== tierNames.length) {
+      errors.push('Los nombres de los niveles no se pueden repetir');
+    }
     
-    if (!serviceData.duration || serviceData.duration.trim().length === 0) {
-      errors.push('La duración es obligatoria');
+    if (!BILLING_MODELS[serviceData.billingModel]) {
+      errors.push('Elige el modelo de facturación');
+    }
+
+    const interval = serviceData.billingInterval;
+    if (serviceData.billingModel === 'recurring' &&
+        (!interval || !INTERVAL_UNITS[interval.unit] || !Number.isInteger(interval.count) || interval.count < 1 || interval.count > 24)) {
+      errors.push('La periodicidad debe ser un número entero de 1 a 24 semanas, meses o años');
+    }
+
+    const estimate = serviceData.estimatedDuration;
+    if (estimate && (!(estimate.min >= 1) || !(estimate.max >= estimate.min) || !DURATION_UNITS[estimate.unit])) {
+      errors.push('La duración estimada debe empezar en 1 y el máximo no puede ser menor que el mínimo');
     }
     
     if (!serviceData.description || serviceData.description.trim().length === 0) {
@@ -378,10 +916,6 @@ export class ServiceValidation {
       errors.push(`El estado debe ser uno de: ${VALID_STATUSES.join(', ')}`);
     }
     
-    if (serviceData.clients && serviceData.clients < 0) {
-      errors.push('El número de clientes no puede ser negativo');
-    }
-    
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Servicio API para las tareas de entrega
+ * @description Llamadas HTTP de las tareas de entrega de servicios y etiquetas de sus estados y
+ * prioridades
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para tareas
+ * @constant {AxiosInstance} taskApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const taskApi = createApiClient('/tasks');
+
+/**
+ * Estados de una tarea en el orden del flujo de trabajo (mismos que config/tasks del backend)
+ * @constant {Object<string, Object>} TASK_STATUSES
+ */
+export const TASK_STATUSES = {
+  todo: { label: 'Pendiente', variant: 'secondary', icon: 'circle' },
+  in_progress: { label: 'En curso', variant: 'primary', icon: 'play-circle' },
+  blocked: { label: 'Bloqueada', variant: 'danger', icon: 'slash-circle' },
+  done: { label: 'Terminada', variant: 'success', icon: 'check-circle' }
+};
+
+/**
+ * Prioridades de una tarea, de menor a mayor
+ * @constant {Object<string, Object>} TASK_PRIORITIES
+ */
+export const TASK_PRIORITIES = {
+  low: { label: 'Baja', variant: 'light' },
+  medium: { label: 'Media', variant: 'info' },
+  high: { label: 'Alta', variant: 'warning' },
+  urgent: { label: 'Urgente', variant: 'danger' }
+};
+
+/**
+ * Roles de los que una plantilla puede elegir responsable (los que pueden editar tareas)
+ * @constant {Object<string, string>} TEMPLATE_ASSIGNEE_ROLES
+ */
+export const TEMPLATE_ASSIGNEE_ROLES = {
+  admin: 'Administrador',
+  editor: 'Editor'
+};
+
+/**
+ * Indica si una tarea está bloqueada por dependencias sin terminar
+ * @function hasPendingDependencies
+ * @param {Object} task - Tarea con `dependsOn` poblado (title, status)
+ * @returns {boolean} true si alguna dependencia no está terminada
+ */
+export const hasPendingDependencies = (task) => (
+  Boolean(task.dependsOn?.some(dependency => dependency.status !== 'done'))
+);
+
+/**
+ * Indica si una tarea está vencida: sin terminar y con la fecha límite pasada
+ * @function isTaskOverdue
+ * @param {Object} task - Tarea con `status` y `dueDate`
+ * @returns {boolean} true si está vencida
+ */
+export const isTaskOverdue = (task) => (
+  task.status !== 'done' && Boolean(task.dueDate) && new Date(task.dueDate).getTime() < Date.now()
+);
+
+/**
+ * Filtros rápidos por fecha límite
+ * @constant {Object<string, string>} DUE_DATE_FILTERS
+ */
+export const DUE_DATE_FILTERS = {
+  overdue: 'Vencidas',
+  week: 'Próximos 7 días',
+  month: 'Próximos 30 días'
+};
+
+/**
+ * Fecha local en el formato de los inputs de tipo date
+ * @param {Date} date - Fecha
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+const toDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Traduce un filtro rápido de fecha límite a parámetros de GET /api/tasks
+ * @function buildDueDateParams
+ * @param {string} preset - Clave de DUE_DATE_FILTERS o '' (sin filtro)
+ * @param {Date} [now=new Date()] - Fecha de referencia
+ * @returns {Object} `overdue` o `dueFrom`/`dueTo`
+ * @example
+ * TaskAPI.getTasks({ ...buildDueDateParams('week'), assignee: 'me' });
+ */
+export const buildDueDateParams = (preset, now = new Date()) => {
+  if (preset === 'overdue') return { overdue: 'true' };
+  if (preset === 'week' || preset === 'month') {
+    const until = new Date(now);
+    until.setDate(until.getDate() + (preset === 'week' ? 7 : 30));
+    return { dueFrom: toDateInput(now), dueTo: toDateInput(until) };
+  }
+  return {};
+};
+
+/**
+ * Construye el error que lanzan los métodos de TaskAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló
+ * @returns {Error} Error con el mensaje del backend o la lista de errores
+ */
+const buildTaskError = (error, action) => {
+  if (error.response?.status === 404) {
+    return new Error(error.response.data?.message || 'Tarea no encontrada');
+  }
+
+  const data = error.response?.data;
+  if (data?.errors) {
+    return new Error(`${data.message || `Error al ${action}`}: ${data.errors.join(', ')}`);
+  }
+  return new Error(`Error al ${action}: ${data?.message || error.message}`);
+};
+
+/**
+ * Clase para la gestión de tareas de entrega
+ * @class TaskAPI
+ * @description Métodos estáticos para listar, crear, editar y eliminar tareas
+ */
+class TaskAPI {
+
+  /**
+   * Obtiene una página de tareas
+   * @async
+   * @method getTasks
+   * @param {Object} [params={}] - Filtros: q, service, client, assignee (ID, `me` o `none`),
+   * status, priority, overdue, dueFrom, dueTo, sortBy, order, page y limit
+   * @returns {Promise<Object>} Objeto con `tasks` y `pagination`
+   * @throws {Error} Error en la petición HTTP o parámetros inválidos
+   * @example
+   * const { tasks } = await TaskAPI.getTasks({ assignee: 'me', status: 'todo,in_progress' });
+   */
+  static async getTasks(params = {}) {
+    try {
+      const cleaned = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value !== undefined));
+      const response = await taskApi.get('/', { params: cleaned });
+      return response.data;
+    } catch (error) {
+      throw buildTaskError(error, 'obtener tareas');
+    }
+  }
+
+  /**
+   * Lista los usuarios a los que se puede asignar una tarea
+   * @async
+   * @method getAssignees
+   * @returns {Promise<Array<Object>>} Usuarios con `name` y `email`
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getAssignees() {
+    try {
+      const response = await taskApi.get('/assignees');
+      return response.data.users;
+    } catch (error) {
+      throw buildTaskError(error, 'obtener responsables');
+    }
+  }
+
+  /**
+   * Crea una tarea
+   * @async
+   * @method createTask
+   * @param {Object} taskData - title, description, service, subscription, assignee, dueDate,
+   * priority, status y checklist
+   * @returns {Promise<Object>} Respuesta con la tarea creada
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async createTask(taskData) {
+    try {
+      const response = await taskApi.post('/', taskData);
+      return response.data;
+    } catch (error) {
+      throw buildTaskError(error, 'crear tarea');
+    }
+  }
+
+  /**
+   * Crea las tareas de la plantilla del servicio para una suscripción que ya existía
+   * @async
+   * @method createFromTemplate
+   * @param {string} subscriptionId - ID de la suscripción
+   * @returns {Promise<Object>} Respuesta con `message` y las tareas creadas
+   * @throws {Error} Sin plantilla, tareas ya creadas o error en la petición HTTP
+   */
+  static async createFromTemplate(subscriptionId) {
+    try {
+      const response = await taskApi.post('/from-template', { subscription: subscriptionId });
+      return response.data;
+    } catch (error) {
+      throw buildTaskError(error, 'crear las tareas de la plantilla');
+    }
+  }
+
+  /**
+   * Modifica una tarea
+   * @async
+   * @method updateTask
+   * @param {string} taskId - ID de la tarea
+   * @param {Object} taskData - Campos a modificar (`checklist` sustituye toda la lista)
+   * @returns {Promise<Object>} Respuesta con la tarea actualizada
+   * @throws {Error} Error en la petición HTTP o validación
+   */
+  static async updateTask(taskId, taskData) {
+    try {
+      const response = await taskApi.put(`/${taskId}`, taskData);
+      return response.data;
+    } catch (error) {
+      throw buildTaskError(error, 'actualizar tarea');
+    }
+  }
+
+  /**
+   * Elimina una tarea
+   * @async
+   * @method deleteTask
+   * @param {string} taskId - ID de la tarea
+   * @returns {Promise<Object>} Mensaje de confirmación
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async deleteTask(taskId) {
+    try {
+      const response = await taskApi.delete(`/${taskId}`);
+      return response.data;
+    } catch (error) {
+      throw buildTaskError(error, 'eliminar tarea');
+    }
+  }
+}
+
+export default TaskAPI;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Servicio API para la administración de usuarios
+ * @description Listado y cambio de rol de los usuarios (solo administradores)
+ * @author Virtyum Frontend Team
+ * @version 1.0.0
+ */
+
+import { createApiClient } from './apiClient';
+
+/**
+ * Instancia configurada de axios para usuarios
+ * @constant {AxiosInstance} userApi - Cliente HTTP preconfigurado (autenticación y manejo global de errores)
+ */
+const userApi = createApiClient('/users');
+
+/**
+ * Roles de usuario (mismos valores que config/permissions del backend)
+ * @constant {Object<string, string>} USER_ROLES
+ */
+export const USER_ROLES = {
+  viewer: 'Lector',
+  editor: 'Editor',
+  admin: 'Administrador'
+};
+
+/**
+ * Construye el error que lanzan los métodos de UserAPI
+ * @param {Error} error - Error de axios
+ * @param {string} action - Acción que falló
+ * @returns {Error} Error con el mensaje del backend o la lista de errores
+ */
+const buildUserError = (error, action) => {
+  const data = error.response?.data;
+  if (data?.errors) {
+    return new Error(`${data.message || `Error al ${action}`}: ${data.errors.join(', ')}`);
+  }
+  return new Error(`Error al ${action}: ${data?.message || error.message}`);
+};
+
+/**
+ * Clase para la administración de usuarios
+ * @class UserAPI
+ * @description Métodos estáticos para listar usuarios y cambiar su rol
+ */
+class UserAPI {
+
+  /**
+   * Lista los usuarios
+   * @async
+   * @method getUsers
+   * @returns {Promise<Object>} Objeto con `users` y `roles` (permisos por rol)
+   * @throws {Error} Error en la petición HTTP
+   */
+  static async getUsers() {
+    try {
+      const response = await userApi.get('/');
+      return response.data;
+    } catch (error) {
+      throw buildUserError(error, 'obtener usuarios');
+    }
+  }
+
+  /**
+   * Cambia el rol de un usuario
+   * @async
+   * @method updateUserRole
+   * @param {string} userId - ID del usuario
+   * @param {string} role - admin, editor o viewer
+   * @returns {Promise<Object>} Respuesta con el usuario actualizado
+   * @throws {Error} Error en la petición HTTP o último administrador
+   */
+  static async updateUserRole(userId, role) {
+    try {
+      const response = await userApi.patch(`/${userId}/role`, { role });
+      return response.data;
+    } catch (error) {
+      throw buildUserError(error, 'actualizar rol');
+    }
+  }
+}
+
+export default UserAPI;